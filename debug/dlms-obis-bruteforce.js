@@ -20,6 +20,10 @@
  *   - Incremental JSON save
  *   - Graceful Ctrl+C with partial results
  *
+ * The gateway's discover_objects command (MQTT, or POST /api/meters/:meterId/discover)
+ * reads the association object_list without stopping the service. Use this
+ * scanner for meters whose object_list is missing or incomplete.
+ *
  * Usage:
  *   sudo systemctl stop ivy-gateway
  *   node debug/dlms-obis-bruteforce.js           # Full scan
@@ -19,6 +19,97 @@ const parseIntDefault = (value, defaultValue) => {
   return isNaN(parsed) ? defaultValue : parsed;
 };
 
+/**
+ * Parse a decimal or 0x-prefixed hex number, undefined when absent or invalid
+ * @param {string|undefined} value
+ * @returns {number|undefined}
+ */
+const parseOptionalNumber = (value) => {
+  return value && !isNaN(Number(value)) ? Number(value) : undefined;
+};
+
+/**
+ * Parse a separated list, trimming entries and dropping empty ones
+ * @param {string|undefined} value
+ * @param {string} [separator=',']
+ * @returns {string[]}
+ */
+const parseList = (value, separator = ',') => {
+  return (value || '')
+    .split(separator)
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+};
+
+/**
+ * Parse per-meter WPDU settings: "meterId[:serverWPort[:clientWPort]],..."
+ * Omitted wPorts fall back to the defaults
+ * @param {string|undefined} value
+ * @returns {Object<string, {serverPort: number|undefined, clientPort: number|undefined}>}
+ */
+const parseWpduMeters = (value) => {
+  const meters = {};
+  for (const entry of parseList(value)) {
+    const [meterId, serverPort, clientPort] = entry.split(':');
+    meters[meterId] = {
+      serverPort: parseOptionalNumber(serverPort),
+      clientPort: parseOptionalNumber(clientPort),
+    };
+  }
+  return meters;
+};
+
+/**
+ * Parse per-meter HDLC settings: "meterId[:serverAddress[:physicalAddress]],..."
+ * An omitted server address is taken from the meter's frames, or the default
+ * @param {string|undefined} value
+ * @returns {Object<string, {serverAddress: number|undefined, physicalAddress: number|undefined}>}
+ */
+const parseHdlcMeters = (value) => {
+  const meters = {};
+  for (const entry of parseList(value)) {
+    const [meterId, serverAddress, physicalAddress] = entry.split(':');
+    meters[meterId] = {
+      serverAddress: parseOptionalNumber(serverAddress),
+      physicalAddress: parseOptionalNumber(physicalAddress),
+    };
+  }
+  return meters;
+};
+
+/**
+ * Parse per-meter DLMS association settings: "meterId:clientAddress[:password],..."
+ * The password is the rest of the entry, so it may contain colons but not commas
+ * @param {string|undefined} value
+ * @returns {Object<string, {clientAddress: number|undefined, password: string|undefined}>}
+ */
+const parseMeterCredentials = (value) => {
+  const meters = {};
+  for (const entry of parseList(value)) {
+    const [meterId, clientAddress, ...password] = entry.split(':');
+    meters[meterId] = {
+      clientAddress: parseOptionalNumber(clientAddress),
+      password: password.length > 0 ? password.join(':') : undefined,
+    };
+  }
+  return meters;
+};
+
+/**
+ * Parse per-meter HLS-GMAC keys: "meterId:blockCipherKey:authenticationKey,..."
+ * Keys are 32 hex digits
+ * @param {string|undefined} value
+ * @returns {Object<string, {blockCipherKey: string, authenticationKey: string}>}
+ */
+const parseMeterKeys = (value) => {
+  const meters = {};
+  for (const entry of parseList(value)) {
+    const [meterId, blockCipherKey, authenticationKey] = entry.split(':');
+    meters[meterId] = { blockCipherKey, authenticationKey };
+  }
+  return meters;
+};
+
 /**
  * Application configuration object
  */
@@ -100,6 +191,49 @@ export const config = {
     staggerDelay: parseIntDefault(process.env.POLLING_STAGGER_DELAY, 100),
   },
 
+  // Meter clock synchronisation
+  clock: {
+    enabled: process.env.CLOCK_SYNC_ENABLED !== 'false', // true by default
+    interval: parseIntDefault(process.env.CLOCK_CHECK_INTERVAL, 3600000), // 1 hour
+    driftThreshold: parseIntDefault(process.env.CLOCK_DRIFT_THRESHOLD, 60), // seconds
+    autoSync: process.env.CLOCK_AUTO_SYNC !== 'false', // true by default
+    syncMethod: process.env.CLOCK_SYNC_METHOD || 'broadcast', // DLT645: 'broadcast' or 'addressed'
+    checkOnConnect: process.env.CLOCK_CHECK_ON_CONNECT !== 'false', // true by default
+    connectDelay: parseIntDefault(process.env.CLOCK_CONNECT_DELAY, 5000),
+  },
+
+  // DLT645 protocol generation: meters listed here are always addressed as DL/T 645-1997;
+  // others use the generation detected from their frames, or defaultVariant until detected
+  dlt645: {
+    defaultVariant: process.env.DLT645_DEFAULT_VARIANT || '2007',
+    meters1997: parseList(process.env.DLT645_1997_METERS),
+    // Multi-drop RS485 buses: "addr1,addr2;addr3,addr4" - one group per DTU
+    buses: parseList(process.env.DLT645_BUSES, ';').map((bus) => parseList(bus)),
+    // Consecutive command timeouts before a meter on a connection is reported offline
+    meterOfflineAfter: parseIntDefault(process.env.DLT645_METER_OFFLINE_AFTER, 3),
+  },
+
+  // DLT645 load profile (interval data) queries
+  loadProfile: {
+    interval: parseIntDefault(process.env.LOAD_PROFILE_INTERVAL, 15), // minutes between blocks
+    maxBlocks: parseIntDefault(process.env.LOAD_PROFILE_MAX_BLOCKS, 2880), // per query (30 days)
+  },
+
+  // DLT645 frozen / billing-period snapshots, collected after local midnight
+  billing: {
+    enabled: process.env.BILLING_ENABLED !== 'false', // true by default
+    delay: parseIntDefault(process.env.BILLING_COLLECT_DELAY, 600000), // ms after midnight
+    kinds: parseList(process.env.BILLING_FREEZE_KINDS || 'daily,settlement'),
+    snapshotFile: process.env.BILLING_SNAPSHOT_FILE ?? './data/billing-snapshots.json', // freezes published, empty = memory only
+  },
+
+  // DLT645 event record collection (power down, cover open, relay operation, ...)
+  eventRecords: {
+    enabled: process.env.EVENT_RECORDS_ENABLED !== 'false', // true by default
+    interval: parseIntDefault(process.env.EVENT_RECORDS_INTERVAL, 900000), // 15 minutes
+    types: process.env.EVENT_RECORD_TYPES ? parseList(process.env.EVENT_RECORD_TYPES) : null, // all
+  },
+
   // Heartbeat (IVY EM114070 proprietary registration packet)
   heartbeat: {
     ackEnabled: process.env.HEARTBEAT_ACK_ENABLED === 'true',
@@ -118,11 +252,33 @@ export const config = {
     enabled: process.env.DLMS_ENABLED !== 'false', // true by default
     passiveOnly: process.env.DLMS_PASSIVE_ONLY !== 'false', // true by default - only parse, don't query
     clientAddress: parseIntDefault(process.env.DLMS_CLIENT_ADDRESS, 0x10), // public client
+    password: process.env.DLMS_PASSWORD || '', // LLS password, empty = no authentication
+    meterCredentials: parseMeterCredentials(process.env.DLMS_METER_CREDENTIALS), // per-meter client/password
+    authentication: process.env.DLMS_AUTHENTICATION || '', // 'hls-gmac' for all meters, empty = LLS/none by password
+    systemTitle: process.env.DLMS_SYSTEM_TITLE || '4956590000000001', // our system title, 16 hex digits
+    blockCipherKey: process.env.DLMS_BLOCK_CIPHER_KEY || '', // global unicast encryption key, 32 hex digits
+    authenticationKey: process.env.DLMS_AUTHENTICATION_KEY || '', // 32 hex digits
+    meterKeys: parseMeterKeys(process.env.DLMS_METER_KEYS), // per-meter keys, selects HLS-GMAC
     associationTimeout: parseIntDefault(process.env.DLMS_ASSOCIATION_TIMEOUT, 5000),
     queryTimeout: parseIntDefault(process.env.DLMS_QUERY_TIMEOUT, 5000),
+    maxListSize: parseIntDefault(process.env.DLMS_MAX_LIST_SIZE, 10), // registers per GET-with-list, 1 = single GETs
+    sessionIdleTimeout: parseIntDefault(process.env.DLMS_SESSION_IDLE_TIMEOUT, 120000), // keep polling association, 0 = release each poll
+    scalerUnitFile: process.env.DLMS_SCALER_UNIT_FILE || '', // per-meter scaler_unit cache, empty = memory only
+    capabilityFile: process.env.DLMS_CAPABILITY_FILE || '', // per-meter object_list profiles, empty = memory only
+    pushSetupFile: process.env.DLMS_PUSH_SETUP_FILE || '', // per-meter push setups, empty = memory only
+    limiterPolling: process.env.DLMS_POLL_LIMITER === 'true', // false by default - read limiter + disconnector each poll
     autoAssociate: process.env.DLMS_AUTO_ASSOCIATE === 'true', // false by default
     wrapOutgoing: process.env.DLMS_WRAP_OUTGOING !== 'false', // true by default - wrap outgoing DLMS with IVY header
     ivyDestination: parseIntDefault(process.env.DLMS_IVY_DESTINATION, 0x0001), // IVY destination for DLMS packets
+    hdlcServerAddress: parseIntDefault(process.env.DLMS_HDLC_SERVER_ADDRESS, 1), // HDLC upper (logical device) address
+    hdlcPhysicalAddress: parseIntDefault(process.env.DLMS_HDLC_PHYSICAL_ADDRESS, null), // HDLC lower address, unset = none
+    hdlcMaxInfoLength: parseIntDefault(process.env.DLMS_HDLC_MAX_INFO_LENGTH, 128), // proposed in SNRM
+    hdlcResponseTimeout: parseIntDefault(process.env.DLMS_HDLC_RESPONSE_TIMEOUT, 5000), // UA/RR wait
+    hdlcMeters: parseHdlcMeters(process.env.DLMS_HDLC_METERS), // meters always sent HDLC, with their addresses
+    transport: process.env.DLMS_TRANSPORT || 'auto', // 'auto' detects per connection, 'wpdu'/'hdlc' force one
+    wpduClientPort: parseIntDefault(process.env.DLMS_WPDU_CLIENT_PORT, 0x10), // our wPort (public client)
+    wpduServerPort: parseIntDefault(process.env.DLMS_WPDU_SERVER_PORT, 0x01), // meter wPort (management device)
+    wpduMeters: parseWpduMeters(process.env.DLMS_WPDU_METERS), // meters always sent WPDUs, with their wPorts
     captureEnabled: process.env.DLMS_CAPTURE_ENABLED === 'true',
     captureDuration: parseIntDefault(process.env.DLMS_CAPTURE_DURATION, 3600000), // 1 hour
   },
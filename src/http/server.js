@@ -28,6 +28,32 @@ try {
   // fallback to hardcoded
 }
 
+/**
+ * Describe one meter of a connection for the REST API
+ * Meters on a shared RS485 bus report the connection's details plus their own
+ * online state and protocol generation.
+ * @param {Object} conn - Connection object
+ * @param {Object} meter - Bus meter state
+ * @returns {Object} Meter info
+ */
+function describeMeter(conn, meter) {
+  return {
+    meterId: meter.meterId,
+    online: conn.state !== 'disconnected' && meter.online,
+    state: conn.state,
+    protocolType: conn.protocolType || null,
+    dlt645Variant: meter.dlt645Variant || null,
+    connectionId: conn.id,
+    busMeters: conn.meters.size,
+    lastSeen: meter.lastSeen,
+    remoteAddress: conn.remoteAddress,
+    connectedAt: conn.connectedAt,
+    lastActivity: conn.lastActivity,
+    bytesReceived: conn.bytesReceived || 0,
+    bytesSent: conn.bytesSent || 0,
+  };
+}
+
 /**
  * Create HTTP server
  * @param {Object} options - Server options
@@ -37,6 +63,8 @@ try {
  * @param {Object} [options.statusManager] - Status manager instance
  * @param {Object} [options.pollingManager] - Polling manager instance
  * @param {Object} [options.commandHandler] - Command handler instance
+ * @param {Object} [options.capabilities] - DLMS capability store
+ * @param {Object} [options.pushSetups] - DLMS push setup store
  * @returns {Object} Server instance
  */
 export function createHttpServer(options = {}) {
@@ -48,6 +76,8 @@ export function createHttpServer(options = {}) {
   const statusManager = options.statusManager || null;
   const pollingManager = options.pollingManager || null;
   const commandHandler = options.commandHandler || null;
+  const capabilities = options.capabilities || null;
+  const pushSetups = options.pushSetups || null;
 
   // Apply security middleware
   app.use(securityHeaders());
@@ -95,18 +125,8 @@ export function createHttpServer(options = {}) {
     const meters = [];
 
     for (const [, conn] of connections) {
-      if (conn.meterId) {
-        meters.push({
-          meterId: conn.meterId,
-          online: conn.state !== 'disconnected',
-          state: conn.state,
-          protocolType: conn.protocolType || null,
-          remoteAddress: conn.remoteAddress,
-          connectedAt: conn.connectedAt,
-          lastActivity: conn.lastActivity,
-          bytesReceived: conn.bytesReceived || 0,
-          bytesSent: conn.bytesSent || 0,
-        });
+      for (const meter of conn.meters.values()) {
+        meters.push(describeMeter(conn, meter));
       }
     }
 
@@ -131,18 +151,9 @@ export function createHttpServer(options = {}) {
 
     if (tcpServer?.connectionManager) {
       const conn = tcpServer.connectionManager.getConnectionByMeter(meterId);
-      if (conn) {
-        meterInfo = {
-          meterId: conn.meterId,
-          online: conn.state !== 'disconnected',
-          state: conn.state,
-          protocolType: conn.protocolType || null,
-          remoteAddress: conn.remoteAddress,
-          connectedAt: conn.connectedAt,
-          lastActivity: conn.lastActivity,
-          bytesReceived: conn.bytesReceived || 0,
-          bytesSent: conn.bytesSent || 0,
-        };
+      const meter = conn?.meters.get(meterId);
+      if (meter) {
+        meterInfo = describeMeter(conn, meter);
       }
     }
 
@@ -170,6 +181,41 @@ export function createHttpServer(options = {}) {
     res.json(meterInfo);
   });
 
+  // POST /api/meters/:meterId/discover - Read the DLMS object_list into the capability profile
+  app.post('/api/meters/:meterId/discover', async (req, res) => {
+    if (!commandHandler) {
+      return res.status(503).json({ error: 'Command handler not available' });
+    }
+
+    try {
+      const result = await commandHandler.execute(req.params.meterId, 'discover_objects');
+      res.json(result);
+    } catch (error) {
+      const status = error.message === 'Meter not connected' ? 404 : 502;
+      res.status(status).json({ error: error.message });
+    }
+  });
+
+  // GET /api/meters/:meterId/capabilities - DLMS capability profile from discovery
+  app.get('/api/meters/:meterId/capabilities', (req, res) => {
+    const profile = capabilities?.get(req.params.meterId);
+    if (!profile) {
+      return res.status(404).json({ error: 'No capability profile' });
+    }
+
+    res.json(profile);
+  });
+
+  // GET /api/meters/:meterId/push-setups - DLMS push setups naming DataNotification fields
+  app.get('/api/meters/:meterId/push-setups', (req, res) => {
+    const setups = pushSetups?.get(req.params.meterId);
+    if (!setups) {
+      return res.status(404).json({ error: 'No push setups' });
+    }
+
+    res.json(setups);
+  });
+
   // GET /api/stats - Gateway statistics
   app.get('/api/stats', (req, res) => {
     const stats = {
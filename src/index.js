@@ -10,9 +10,14 @@ import { createMQTTBroker } from './mqtt/broker.js';
 import { createAuthManager } from './mqtt/auth.js';
 import { createTelemetryPublisher } from './mqtt/publisher.js';
 import { createCommandHandler } from './mqtt/command-handler.js';
-import { createPollingManager } from './services/polling-manager.js';
+import { createPollingManager, POLLING_EVENTS } from './services/polling-manager.js';
 import { createStatusManager } from './services/status-manager.js';
-import { lookupObis } from './protocol/dlms/obis-registry.js';
+import { createClockSyncService } from './services/clock-sync-service.js';
+import { createEventRecordService } from './services/event-record-service.js';
+import { createScalerUnitCache } from './services/dlms-scaler-units.js';
+import { createCapabilityStore } from './services/dlms-discovery.js';
+import { createPushSetupStore } from './services/dlms-push.js';
+import { createBillingSnapshotStore } from './services/billing-snapshots.js';
 import { createHttpServer } from './http/server.js';
 
 /** @type {import('./tcp/server.js').TCPServer|null} */
@@ -36,6 +41,24 @@ let pollingManager = null;
 /** @type {import('./services/status-manager.js').StatusManager|null} */
 let statusManager = null;
 
+/** @type {import('./services/clock-sync-service.js').ClockSyncService|null} */
+let clockSyncService = null;
+
+/** @type {import('./services/event-record-service.js').EventRecordService|null} */
+let eventRecordService = null;
+
+/** @type {import('./services/dlms-scaler-units.js').ScalerUnitCache|null} */
+let scalerUnits = null;
+
+/** @type {import('./services/dlms-discovery.js').CapabilityStore|null} */
+let capabilities = null;
+
+/** @type {import('./services/dlms-push.js').PushSetupStore|null} */
+let pushSetups = null;
+
+/** @type {import('./services/billing-snapshots.js').BillingSnapshotStore|null} */
+let billingSnapshots = null;
+
 /** @type {Object|null} */
 let httpServer = null;
 
@@ -53,8 +76,24 @@ const main = async () => {
     validateConfig();
     logger.info('Configuration validated');
 
+    // Per-meter DLMS scaler_unit cache, shared by telemetry, polling and commands
+    scalerUnits = createScalerUnitCache();
+    await scalerUnits.load();
+
+    // Per-meter DLMS capability profiles, filled by discover_objects
+    capabilities = createCapabilityStore();
+    await capabilities.load();
+
+    // Per-meter DLMS push setups, naming the fields of DataNotifications
+    pushSetups = createPushSetupStore();
+    await pushSetups.load();
+
+    // Billing freezes already published, so a restart does not publish them again
+    billingSnapshots = createBillingSnapshotStore();
+    await billingSnapshots.load();
+
     // Create and start TCP server
-    tcpServer = createTCPServer();
+    tcpServer = createTCPServer({ connectionManagerOptions: { scalerUnits, pushSetups } });
 
     // Setup event handlers
     setupEventHandlers();
@@ -95,7 +134,29 @@ const main = async () => {
     logger.info('Telemetry Publisher started');
 
     // Create Polling Manager (before Command Handler so it can be injected)
-    pollingManager = createPollingManager({ tcpServer });
+    pollingManager = createPollingManager({
+      tcpServer,
+      publisher: telemetryPublisher,
+      scalerUnits,
+      billingSnapshots,
+    });
+
+    // Active DLMS polls return their readings instead of raising DLMS telemetry events
+    pollingManager.on(POLLING_EVENTS.POLL_COMPLETED, publishDlmsPollReadings);
+    pollingManager.on(POLLING_EVENTS.POLL_FAILED, publishDlmsPollReadings);
+
+    // Create and start Status Manager (before Command Handler so it can be injected)
+    statusManager = createStatusManager({
+      publisher: telemetryPublisher,
+      tcpServer,
+    });
+    statusManager.start();
+    logger.info('Status Manager started');
+
+    // Limiter readings from DLMS polls raise and clear limiter_trip alarms
+    pollingManager.on(POLLING_EVENTS.LIMITER_READ, ({ meterId, reading, ...data }) =>
+      statusManager.handleLimiterReading(meterId, reading, data)
+    );
 
     // Create and start Command Handler
     commandHandler = createCommandHandler({
@@ -103,6 +164,10 @@ const main = async () => {
       tcpServer,
       publisher: telemetryPublisher,
       pollingManager,
+      scalerUnits,
+      capabilities,
+      pushSetups,
+      statusManager,
     });
     commandHandler.start();
     logger.info('Command Handler started');
@@ -113,15 +178,34 @@ const main = async () => {
       interval: config.polling.interval,
       registerGroup: config.polling.registerGroup,
       enabled: config.polling.enabled,
+      billing: config.billing.enabled,
     });
 
-    // Create and start Status Manager
-    statusManager = createStatusManager({
+    // Create and start Clock Sync Service
+    clockSyncService = createClockSyncService({
+      tcpServer,
       publisher: telemetryPublisher,
+      statusManager,
+      pollingManager,
+    });
+    clockSyncService.start();
+    logger.info('Clock Sync Service started', {
+      interval: config.clock.interval,
+      driftThreshold: config.clock.driftThreshold,
+      enabled: config.clock.enabled,
+    });
+
+    // Create and start Event Record Service
+    eventRecordService = createEventRecordService({
       tcpServer,
+      publisher: telemetryPublisher,
+      statusManager,
+    });
+    eventRecordService.start();
+    logger.info('Event Record Service started', {
+      interval: config.eventRecords.interval,
+      enabled: config.eventRecords.enabled,
     });
-    statusManager.start();
-    logger.info('Status Manager started');
 
     // Start HTTP server for dashboard
     if (config.http?.enabled !== false) {
@@ -131,6 +215,8 @@ const main = async () => {
         statusManager,
         pollingManager,
         commandHandler,
+        capabilities,
+        pushSetups,
       });
       await httpServer.start();
       logger.info('Dashboard available', {
@@ -209,35 +295,6 @@ const setupEventHandlers = () => {
 
   // DLMS telemetry from IVY/DLMS meters
   tcpServer.on(SERVER_EVENTS.DLMS_TELEMETRY_RECEIVED, async (data) => {
-    // For GET.response, resolve invokeId to OBIS code via polling manager
-    if (data.apduType === 'get-response' && data.invokeId != null && pollingManager) {
-      const reqInfo = pollingManager.resolveDlmsInvokeId(data.meterId, data.invokeId);
-      if (reqInfo && data.telemetry) {
-        const obisInfo = lookupObis(reqInfo.obisCode);
-        const key = obisInfo?.key || reqInfo.obisCode;
-        const value = data.telemetry.data?.value !== undefined ? data.telemetry.data.value : data.telemetry.data;
-        data.telemetry.readings[key] = {
-          value,
-          unit: obisInfo?.unit || '',
-          obis: reqInfo.obisCode,
-        };
-      }
-    }
-
-    // Apply OBIS scalers to all readings in-place (synchronously).
-    // This must run before any await so that other event listeners
-    // (e.g. StatusManager) see correctly scaled values.
-    if (data.telemetry?.readings) {
-      for (const reading of Object.values(data.telemetry.readings)) {
-        if (reading.obis && typeof reading.value === 'number') {
-          const obisInfo = lookupObis(reading.obis);
-          if (obisInfo?.scaler) {
-            reading.value = Math.round(reading.value * obisInfo.scaler * 1000) / 1000;
-          }
-        }
-      }
-    }
-
     logger.debug('DLMS telemetry received', {
       meterId: data.meterId,
       apduType: data.apduType,
@@ -245,7 +302,7 @@ const setupEventHandlers = () => {
       readings: data.telemetry?.readings ? Object.keys(data.telemetry.readings) : [],
     });
 
-    // Publish each reading to MQTT (values already scaled above)
+    // Publish each reading to MQTT (values scaled by the APDU parser)
     if (telemetryPublisher && data.telemetry?.readings) {
       for (const [key, reading] of Object.entries(data.telemetry.readings)) {
         await telemetryPublisher.publishTelemetry(data.meterId, {
@@ -285,6 +342,7 @@ const setupEventHandlers = () => {
       errorName: data.errorName,
     });
 
+    // The polling session that sent the request knows which register it read
     let obisInfo = null;
     if (pollingManager && data.invokeId != null) {
       obisInfo = pollingManager.resolveDlmsInvokeId(data.meterId, data.invokeId);
@@ -308,6 +366,38 @@ const setupEventHandlers = () => {
   });
 };
 
+/**
+ * Publish the readings of an active DLMS poll and check them against alarm thresholds
+ * @param {Object} data - POLL_COMPLETED / POLL_FAILED event ({ meterId, readings })
+ */
+const publishDlmsPollReadings = async ({ meterId, readings = [] }) => {
+  for (const reading of readings) {
+    if (reading.source !== 'dlms') {
+      continue;
+    }
+
+    const register = { key: reading.register, name: reading.register };
+    statusManager?.handleTelemetryReceived({
+      meterId,
+      value: reading.value,
+      unit: reading.unit || '',
+      register,
+      source: 'dlms',
+    });
+
+    if (telemetryPublisher) {
+      await telemetryPublisher.publishTelemetry(meterId, {
+        source: 'dlms',
+        register,
+        dataIdFormatted: reading.obisCode,
+        value: reading.value,
+        unit: reading.unit || '',
+        timestamp: reading.timestamp,
+      });
+    }
+  }
+};
+
 /**
  * Graceful shutdown handler
  */
@@ -320,6 +410,16 @@ const shutdown = async () => {
       logger.info('HTTP server stopped');
     }
 
+    if (eventRecordService) {
+      eventRecordService.stop();
+      logger.info('Event Record Service stopped');
+    }
+
+    if (clockSyncService) {
+      clockSyncService.stop();
+      logger.info('Clock Sync Service stopped');
+    }
+
     if (statusManager) {
       statusManager.stop();
       logger.info('Status Manager stopped');
@@ -340,6 +440,19 @@ const shutdown = async () => {
       logger.info('TCP Server stopped');
     }
 
+    if (scalerUnits) {
+      // Let a pending cache file write finish
+      await scalerUnits.saving;
+    }
+
+    if (capabilities) {
+      await capabilities.saving;
+    }
+
+    if (pushSetups) {
+      await pushSetups.saving;
+    }
+
     if (telemetryPublisher) {
       await telemetryPublisher.stop();
       logger.info('Telemetry Publisher stopped');
@@ -12,9 +12,18 @@
  *
  * Supported Commands:
  * - read_register: Read a specific register
+ * - write_register: Write a parameter register (DLT645)
+ * - read_load_profile: Read load profile interval data (DLT645, DLMS Profile Generic)
  * - relay_control: Open/close relay (prepaid meters)
+ * - set_relay_control_mode: Write the disconnector's control_mode (DLMS)
  * - read_address: Read meter address
  * - read_all: Read multiple registers
+ * - dlms_set: Write a COSEM attribute (DLMS)
+ * - discover_objects: Read the association object_list into the meter's capability profile (DLMS)
+ * - read_push_setup: Read a push setup object (DLMS)
+ * - write_push_setup: Write push setup attributes (DLMS)
+ * - read_limiter: Read a limiter object and the value it monitors (DLMS)
+ * - write_limiter: Write limiter thresholds, durations and emergency profile (DLMS)
  *
  * @module mqtt/command-handler
  */
@@ -22,18 +31,70 @@
 import { EventEmitter } from 'events';
 import { createChildLogger } from '../utils/logger.js';
 import { Topics } from './publisher.js';
-import { buildReadFrame, buildSimpleRelayFrame } from '../protocol/frame-builder.js';
+import {
+  buildReadFrame,
+  buildSimpleRelayFrame,
+  buildWriteFrame,
+  buildLoadProfileReadFrame,
+} from '../protocol/frame-builder.js';
+import { parseLoadProfileRecords } from '../protocol/frame-parser.js';
 import {
   ENERGY_REGISTERS,
   INSTANTANEOUS_REGISTERS,
   PARAMETER_REGISTERS,
   PREPAID_REGISTERS,
+  LOAD_PROFILE_REGISTERS,
+  MAX_LOAD_PROFILE_BLOCKS,
   findRegisterById,
+  fromEngineeringUnits,
+  getErrorCodeNames,
 } from '../protocol/registers.js';
-import { PROTOCOL_TYPES } from '../protocol/protocol-router.js';
-import { buildAarq, buildActionRequest, buildGetRequest, buildReleaseRequest, prepareDlmsForSending } from '../protocol/dlms/client.js';
+import {
+  DLT645_VARIANTS,
+  findRegisterById as findRegister1997ById,
+  getErrorCodeNames as getErrorCodeNames1997,
+  toRegister1997,
+} from '../protocol/dlt645-1997/registers.js';
+import { buildReadFrame1997 } from '../protocol/dlt645-1997/frame-builder.js';
+import { formatDataId1997 } from '../protocol/dlt645-1997/frame-parser.js';
+import { decimalToBcd, signedDecimalToBcd } from '../protocol/bcd.js';
+import { isDlmsProtocol } from '../protocol/protocol-router.js';
+import {
+  buildActionRequest,
+  buildGetRequest,
+  buildReleaseRequest,
+  buildSetRequest,
+} from '../protocol/dlms/client.js';
+import { encodeDlmsValue } from '../protocol/dlms/data-types.js';
 import { OBIS_REGISTRY, lookupObis } from '../protocol/dlms/obis-registry.js';
+import { PROFILE_GENERIC } from '../protocol/dlms/profile-generic.js';
 import { CONNECTION_EVENTS } from '../tcp/connection-manager.js';
+import { openDlmsAssociation } from '../services/dlms-association.js';
+import { createDlmsSession } from '../services/dlms-session.js';
+import { sendDlmsGet } from '../services/dlms-transfer.js';
+import { DEFAULT_LOAD_PROFILE, readDlmsProfile } from '../services/dlms-profile.js';
+import { discoverScalerUnits } from '../services/dlms-scaler-units.js';
+import { readObjectList } from '../services/dlms-discovery.js';
+import { readPushSetup } from '../services/dlms-push.js';
+import { PUSH_SETUP, encodePushSetupChanges } from '../protocol/dlms/push-setup.js';
+import {
+  CONTROL_MODES,
+  DISCONNECT_CONTROL,
+  RELAY_ACTIONS,
+  explainRelayState,
+  isRelayTransition,
+  toRelayState,
+} from '../protocol/dlms/disconnect-control.js';
+import { readLimiter } from '../services/dlms-limiter.js';
+import {
+  LIMITER,
+  THRESHOLD_ATTRIBUTES,
+  encodeLimiterChanges,
+  isLimiterTrip,
+  isOverThreshold,
+  parseValueDefinition,
+} from '../protocol/dlms/limiter.js';
+import { scaleDlmsValue, unscaleDlmsValue } from '../protocol/dlms/scaler-unit.js';
 import config from '../config/index.js';
 
 const logger = createChildLogger({ module: 'command-handler' });
@@ -53,10 +114,19 @@ export const COMMAND_EVENTS = {
  */
 export const COMMAND_METHODS = {
   READ_REGISTER: 'read_register',
+  WRITE_REGISTER: 'write_register',
+  READ_LOAD_PROFILE: 'read_load_profile',
   RELAY_CONTROL: 'relay_control',
   READ_RELAY_STATE: 'read_relay_state',
+  SET_RELAY_CONTROL_MODE: 'set_relay_control_mode',
   READ_ADDRESS: 'read_address',
   READ_ALL: 'read_all',
+  DLMS_SET: 'dlms_set',
+  DISCOVER_OBJECTS: 'discover_objects',
+  READ_PUSH_SETUP: 'read_push_setup',
+  WRITE_PUSH_SETUP: 'write_push_setup',
+  READ_LIMITER: 'read_limiter',
+  WRITE_LIMITER: 'write_limiter',
 };
 
 /**
@@ -76,6 +146,11 @@ export const COMMAND_STATUS = {
  */
 const COMMAND_TOPIC_PATTERN = /^ivy\/v1\/meters\/([^/]+)\/command\/request$/;
 
+/**
+ * OBIS code in "A-B:C.D.E.F" format
+ */
+const OBIS_PATTERN = /^\d{1,3}-\d{1,3}:\d{1,3}\.\d{1,3}\.\d{1,3}\.\d{1,3}$/;
+
 /**
  * Mapping from DLT645 register names to DLMS OBIS codes.
  * Used when a DLMS meter receives a read_register command with a DLT645 register name.
@@ -104,6 +179,14 @@ export class CommandHandler extends EventEmitter {
    * @param {Object} options.tcpServer - TCP server instance
    * @param {Object} [options.publisher] - Telemetry publisher for responses
    * @param {Object} [options.pollingManager] - Polling manager for DLMS lock coordination
+   * @param {import('../services/dlms-scaler-units.js').ScalerUnitCache} [options.scalerUnits] -
+   *   Per-meter DLMS scaler_unit cache
+   * @param {import('../services/dlms-discovery.js').CapabilityStore} [options.capabilities] -
+   *   Per-meter capability profiles filled by discover_objects
+   * @param {import('../services/dlms-push.js').PushSetupStore} [options.pushSetups] -
+   *   Per-meter push setups filled by read_push_setup and write_push_setup
+   * @param {import('../services/status-manager.js').StatusManager} [options.statusManager] -
+   *   Status manager for limiter_trip alarms
    * @param {number} [options.timeout=10000] - Command timeout in ms
    */
   constructor(options = {}) {
@@ -120,6 +203,10 @@ export class CommandHandler extends EventEmitter {
     this.tcpServer = options.tcpServer;
     this.publisher = options.publisher || null;
     this.pollingManager = options.pollingManager || null;
+    this.scalerUnits = options.scalerUnits || null;
+    this.capabilities = options.capabilities || null;
+    this.pushSetups = options.pushSetups || null;
+    this.statusManager = options.statusManager || null;
     this.options = {
       timeout: options.timeout ?? 10000,
     };
@@ -130,6 +217,12 @@ export class CommandHandler extends EventEmitter {
     /** @type {Map<string, Object>} Pending commands */
     this.pendingCommands = new Map();
 
+    /**
+     * Meter ID -> last DLMS relay state read, to spot transitions
+     * @type {Map<string, Object>}
+     */
+    this.relayStates = new Map();
+
     /** @type {Object} Statistics */
     this.stats = {
       commandsReceived: 0,
@@ -296,11 +389,117 @@ export class CommandHandler extends EventEmitter {
         }
         break;
 
+      case COMMAND_METHODS.WRITE_REGISTER:
+        if (!command.params?.register && !command.params?.dataId) {
+          return { valid: false, error: 'Missing register or dataId parameter' };
+        }
+        if (typeof command.params.value !== 'number' || !Number.isFinite(command.params.value)) {
+          return { valid: false, error: 'Missing or invalid value parameter (must be a number)' };
+        }
+        break;
+
+      case COMMAND_METHODS.READ_LOAD_PROFILE: {
+        const { start, end, blocks, interval, profile } = command.params || {};
+        if (start === undefined && blocks === undefined) {
+          return { valid: false, error: 'Missing start or blocks parameter' };
+        }
+        if (profile !== undefined && (typeof profile !== 'string' || !profile)) {
+          return { valid: false, error: 'Invalid profile parameter (OBIS code or name)' };
+        }
+        if (
+          blocks !== undefined &&
+          (!Number.isInteger(blocks) || blocks < 1 || blocks > MAX_LOAD_PROFILE_BLOCKS)
+        ) {
+          return {
+            valid: false,
+            error: `Invalid blocks parameter (must be 1-${MAX_LOAD_PROFILE_BLOCKS})`,
+          };
+        }
+        for (const [name, time] of [['start', start], ['end', end]]) {
+          if (time !== undefined && Number.isNaN(new Date(time).getTime())) {
+            return { valid: false, error: `Invalid ${name} parameter (must be a date)` };
+          }
+        }
+        if (interval !== undefined && (!Number.isInteger(interval) || interval < 1)) {
+          return { valid: false, error: 'Invalid interval parameter (minutes, must be >= 1)' };
+        }
+        break;
+      }
+
       case COMMAND_METHODS.RELAY_CONTROL:
         if (!command.params?.state || !['open', 'close'].includes(command.params.state)) {
           return { valid: false, error: 'Invalid relay state (must be "open" or "close")' };
         }
         break;
+
+      case COMMAND_METHODS.SET_RELAY_CONTROL_MODE:
+        if (!(command.params?.mode in CONTROL_MODES)) {
+          return { valid: false, error: 'Missing or invalid mode parameter (control_mode 0-6)' };
+        }
+        break;
+
+      case COMMAND_METHODS.DLMS_SET: {
+        const { obis, classId, attribute, value } = command.params || {};
+        if (typeof obis !== 'string' || !OBIS_PATTERN.test(obis)) {
+          return { valid: false, error: 'Missing or invalid obis parameter (A-B:C.D.E.F)' };
+        }
+        if (!Number.isInteger(classId) || classId < 1 || classId > 0xFFFF) {
+          return { valid: false, error: 'Missing or invalid classId parameter' };
+        }
+        if (!Number.isInteger(attribute) || attribute < 1 || attribute > 0x7F) {
+          return { valid: false, error: 'Missing or invalid attribute parameter (1-127)' };
+        }
+        try {
+          encodeDlmsValue(value);
+        } catch (error) {
+          return { valid: false, error: `Invalid value parameter: ${error.message}` };
+        }
+        break;
+      }
+
+      case COMMAND_METHODS.READ_PUSH_SETUP:
+      case COMMAND_METHODS.WRITE_PUSH_SETUP: {
+        const { obis } = command.params || {};
+        if (obis !== undefined && (typeof obis !== 'string' || !OBIS_PATTERN.test(obis))) {
+          return { valid: false, error: 'Invalid obis parameter (A-B:C.D.E.F)' };
+        }
+        if (command.method === COMMAND_METHODS.WRITE_PUSH_SETUP) {
+          try {
+            for (const { value } of encodePushSetupChanges(command.params)) {
+              encodeDlmsValue(value);
+            }
+          } catch (error) {
+            return { valid: false, error: error.message };
+          }
+        }
+        break;
+      }
+
+      case COMMAND_METHODS.READ_LIMITER:
+      case COMMAND_METHODS.WRITE_LIMITER: {
+        const { obis, thresholdType, scaled } = command.params || {};
+        if (obis !== undefined && (typeof obis !== 'string' || !OBIS_PATTERN.test(obis))) {
+          return { valid: false, error: 'Invalid obis parameter (A-B:C.D.E.F)' };
+        }
+        if (command.method === COMMAND_METHODS.WRITE_LIMITER) {
+          if (scaled !== undefined && typeof scaled !== 'boolean') {
+            return { valid: false, error: 'Invalid scaled parameter (boolean)' };
+          }
+          try {
+            // Without thresholdType, or with scaled thresholds, thresholds are typed
+            // from the meter when written
+            const type = scaled ? undefined : thresholdType;
+            for (const { value } of encodeLimiterChanges(command.params, type)) {
+              if (value.type !== undefined) {
+                encodeDlmsValue(value);
+              }
+            }
+          } catch (error) {
+            return { valid: false, error: error.message };
+          }
+        }
+        break;
+      }
     }
 
     return { valid: true };
@@ -343,6 +542,14 @@ export class CommandHandler extends EventEmitter {
           result = await this.executeReadRegister(meterId, command.params);
           break;
 
+        case COMMAND_METHODS.WRITE_REGISTER:
+          result = await this.executeWriteRegister(meterId, command.params);
+          break;
+
+        case COMMAND_METHODS.READ_LOAD_PROFILE:
+          result = await this.executeReadLoadProfile(meterId, command.params);
+          break;
+
         case COMMAND_METHODS.RELAY_CONTROL:
           result = await this.executeRelayControl(meterId, command.params);
           break;
@@ -355,10 +562,38 @@ export class CommandHandler extends EventEmitter {
           result = await this.executeReadRelayState(meterId);
           break;
 
+        case COMMAND_METHODS.SET_RELAY_CONTROL_MODE:
+          result = await this.executeSetRelayControlMode(meterId, command.params);
+          break;
+
         case COMMAND_METHODS.READ_ALL:
           result = await this.executeReadAll(meterId, command.params);
           break;
 
+        case COMMAND_METHODS.DLMS_SET:
+          result = await this.executeDlmsSet(meterId, command.params);
+          break;
+
+        case COMMAND_METHODS.DISCOVER_OBJECTS:
+          result = await this.executeDiscoverObjects(meterId);
+          break;
+
+        case COMMAND_METHODS.READ_PUSH_SETUP:
+          result = await this.executeReadPushSetup(meterId, command.params);
+          break;
+
+        case COMMAND_METHODS.WRITE_PUSH_SETUP:
+          result = await this.executeWritePushSetup(meterId, command.params);
+          break;
+
+        case COMMAND_METHODS.READ_LIMITER:
+          result = await this.executeReadLimiter(meterId, command.params);
+          break;
+
+        case COMMAND_METHODS.WRITE_LIMITER:
+          result = await this.executeWriteLimiter(meterId, command.params);
+          break;
+
         default:
           throw new Error(`Unhandled method: ${command.method}`);
       }
@@ -376,7 +611,8 @@ export class CommandHandler extends EventEmitter {
         result,
       });
     } catch (error) {
-      await this.sendErrorResponse(meterId, commandId, error.message);
+      const details = this.describeMeterError(error, meterId);
+      await this.sendErrorResponse(meterId, commandId, error.message, details);
 
       this.stats.commandsFailed++;
       this.pendingCommands.delete(commandId);
@@ -385,6 +621,7 @@ export class CommandHandler extends EventEmitter {
         meterId,
         commandId,
         error: error.message,
+        ...details,
       });
     }
   }
@@ -399,27 +636,34 @@ export class CommandHandler extends EventEmitter {
   async executeReadRegister(meterId, params) {
     // Check if this is a DLMS meter
     const connection = this.tcpServer.connectionManager?.getConnectionByMeter(meterId);
-    if (connection?.protocolType === PROTOCOL_TYPES.IVY_DLMS) {
+    if (isDlmsProtocol(connection?.protocolType)) {
       return this.executeDlmsReadRegister(meterId, params);
     }
 
-    // DLT645 path
+    // DLT645 path; register names resolve to their 1997 equivalent on 1997 meters
+    const is1997 = this.tcpServer.getDlt645Variant?.(meterId) === DLT645_VARIANTS.V1997;
     let register;
     let dataId;
 
     if (params.dataId) {
       dataId = typeof params.dataId === 'string' ? parseInt(params.dataId, 16) : params.dataId;
-      register = findRegisterById(dataId);
+      register = is1997 ? findRegister1997ById(dataId) : findRegisterById(dataId);
     } else if (params.register) {
       register = this.resolveRegisterByName(params.register);
       if (!register) {
         throw new Error(`Unknown register: ${params.register}`);
       }
+      if (is1997) {
+        register = toRegister1997(register);
+        if (!register) {
+          throw new Error(`Register not available on DL/T 645-1997 meters: ${params.register}`);
+        }
+      }
       dataId = register.id;
     }
 
     // Build and send frame
-    const frame = buildReadFrame(meterId, dataId);
+    const frame = is1997 ? buildReadFrame1997(meterId, dataId) : buildReadFrame(meterId, dataId);
     const response = await this.tcpServer.sendCommand(
       meterId,
       frame,
@@ -429,75 +673,330 @@ export class CommandHandler extends EventEmitter {
 
     return {
       register: register?.key || register?.name || params.register,
-      dataId: `0x${dataId.toString(16).padStart(8, '0')}`,
+      dataId: is1997 ? formatDataId1997(dataId) : `0x${dataId.toString(16).padStart(8, '0')}`,
+      ...(is1997 && { variant: DLT645_VARIANTS.V1997 }),
       value: response.value,
+      ...(response.flags && { flags: response.flags }),
       unit: response.unit || register?.unit || '',
       timestamp: Date.now(),
     };
   }
 
   /**
-   * Execute read_register for a DLMS meter via AARQ → GET.request → RLRQ
+   * Execute write_register command (DLT645 only)
+   *
+   * Encodes the engineering value to BCD using the register's resolution and
+   * byte length, then sends a WRITE DATA (0x14) frame authenticated with the
+   * operator code and password.
+   *
    * @private
    * @param {string} meterId - Meter address
    * @param {Object} params - Command parameters
-   * @returns {Promise<Object>} Read result
+   * @param {string} [params.register] - Register name
+   * @param {string|number} [params.dataId] - Data identifier (hex string or number)
+   * @param {number} params.value - Value in engineering units
+   * @param {number} [params.bytes] - Value length, required for unknown data identifiers
+   * @param {string} [params.operatorCode] - 8-digit operator code (default: config.security)
+   * @param {string} [params.password] - 8-digit password (default: config.security)
+   * @returns {Promise<Object>} Write result
    */
-  async executeDlmsReadRegister(meterId, params) {
-    const dlmsInfo = this.resolveDlmsRegister(params.register || params.dataId);
-    if (!dlmsInfo) {
-      throw new Error(`No DLMS mapping for register: ${params.register || params.dataId}`);
+  async executeWriteRegister(meterId, params) {
+    const connection = this.tcpServer.connectionManager?.getConnectionByMeter(meterId);
+    if (isDlmsProtocol(connection?.protocolType)) {
+      throw new Error('write_register is not supported for DLMS meters');
     }
 
-    const wrapWithIvy = config.dlms?.wrapOutgoing !== false;
-    let release = null;
-    try {
-      if (this.pollingManager) {
-        release = await this.pollingManager.acquireDlmsLock(meterId, 15000);
+    let register;
+    let dataId;
+
+    if (params.dataId) {
+      dataId = typeof params.dataId === 'string' ? parseInt(params.dataId, 16) : params.dataId;
+      register = findRegisterById(dataId);
+    } else {
+      register = this.resolveRegisterByName(params.register);
+      if (!register) {
+        throw new Error(`Unknown register: ${params.register}`);
       }
+      dataId = register.id;
+    }
 
-      const preparePacket = (apdu) => prepareDlmsForSending(apdu, { wrapWithIvy });
+    const bytes = params.bytes ?? register?.bytes;
+    if (!Number.isInteger(bytes) || bytes < 1) {
+      throw new Error(`Unknown value length for dataId 0x${dataId.toString(16)} (pass bytes)`);
+    }
 
-      // 1. AARQ → AARE
-      const aarq = preparePacket(buildAarq());
-      await this.tcpServer.sendCommandNoWait(meterId, aarq);
+    const rawValue = fromEngineeringUnits(params.value, register);
+    const valueBuffer = this.encodeWriteValue(rawValue, bytes, register?.signed);
 
-      const aare = await this.waitForDlmsResponse(meterId, 'aare', 5000);
-      if (!aare || !aare.accepted) {
-        throw new Error('DLMS association failed: ' + (aare ? 'rejected' : 'timeout'));
+    const operatorCode = params.operatorCode ?? config.security?.operatorCode ?? '00000000';
+    const password = params.password ?? config.security?.password ?? '00000000';
+    for (const [label, code] of [['operatorCode', operatorCode], ['password', password]]) {
+      if (!/^[0-9a-fA-F]{8}$/.test(code)) {
+        throw new Error(`Invalid ${label}: must be 8 hex digits`);
       }
+    }
 
-      // 2. GET.request → GET.response
-      const getReq = preparePacket(buildGetRequest(dlmsInfo.classId, dlmsInfo.obisCode, 2, 1));
-      await this.tcpServer.sendCommandNoWait(meterId, getReq);
+    const frame = buildWriteFrame(meterId, dataId, valueBuffer, operatorCode, password);
+    await this.tcpServer.sendCommand(meterId, frame, dataId, this.options.timeout);
 
-      const getResp = await this.waitForDlmsResponse(meterId, 'get-response', 5000);
-      if (!getResp || getResp.accessResult !== 'success') {
-        const errorDetail = getResp?.data?.errorName || getResp?.accessResult || 'timeout';
-        throw new Error(`DLMS GET failed: ${errorDetail}`);
+    return {
+      register: register?.key || register?.name || params.register,
+      dataId: `0x${dataId.toString(16).padStart(8, '0')}`,
+      value: params.value,
+      rawValue,
+      unit: register?.unit || '',
+      timestamp: Date.now(),
+    };
+  }
+
+  /**
+   * Execute read_load_profile command
+   *
+   * Reads either the last N blocks or every block in a start/end window, then
+   * publishes the decoded records as one batch on the load_profile topic.
+   * Windows are split into requests of at most MAX_LOAD_PROFILE_BLOCKS blocks.
+   *
+   * @private
+   * @param {string} meterId - Meter address
+   * @param {Object} params - Command parameters
+   * @param {number} [params.blocks] - Read the N most recent blocks
+   * @param {string|number} [params.start] - Window start (ISO string or ms)
+   * @param {string|number} [params.end] - Window end (default: now)
+   * @param {number} [params.interval] - Meter recording interval in minutes (default: config)
+   * @param {string} [params.profile] - DLMS profile OBIS code or name (default: load profile 1)
+   * @returns {Promise<Object>} Query summary (records go to the load_profile topic)
+   */
+  async executeReadLoadProfile(meterId, params) {
+    const connection = this.tcpServer.connectionManager?.getConnectionByMeter(meterId);
+    if (isDlmsProtocol(connection?.protocolType)) {
+      return this.executeDlmsReadLoadProfile(meterId, params);
+    }
+
+    let records;
+    let details;
+
+    if (params.start !== undefined) {
+      const start = new Date(params.start);
+      const end = params.end !== undefined ? new Date(params.end) : new Date();
+      if (end < start) {
+        throw new Error('Load profile end must not be before start');
       }
 
-      // 3. RLRQ (fire and forget)
-      const rlrq = preparePacket(buildReleaseRequest());
-      await this.tcpServer.sendCommandNoWait(meterId, rlrq);
+      const interval = params.interval ?? config.loadProfile?.interval ?? 15;
+      const intervalMs = interval * 60 * 1000;
+      const totalBlocks = Math.floor((end - start) / intervalMs) + 1;
+      const maxBlocks = config.loadProfile?.maxBlocks ?? 2880;
+      if (totalBlocks > maxBlocks) {
+        throw new Error(`Load profile range too large: ${totalBlocks} blocks (max ${maxBlocks})`);
+      }
 
-      // Extract and scale value
-      let value = getResp.data?.value !== undefined ? getResp.data.value : getResp.data;
-      if (dlmsInfo.obisInfo?.scaler && typeof value === 'number') {
-        value = Math.round(value * dlmsInfo.obisInfo.scaler * 1000) / 1000;
+      // Meters may answer a chunk from the next stored block, so dedupe by time
+      const byTime = new Map();
+      for (let offset = 0; offset < totalBlocks; offset += MAX_LOAD_PROFILE_BLOCKS) {
+        const count = Math.min(MAX_LOAD_PROFILE_BLOCKS, totalBlocks - offset);
+        const chunkStart = new Date(start.getTime() + offset * intervalMs);
+        const chunk = await this.readLoadProfileBlocks(meterId, { count, start: chunkStart });
+        for (const record of chunk) {
+          if (record.timestamp >= start && record.timestamp <= end) {
+            byTime.set(record.timestamp.getTime(), record);
+          }
+        }
       }
 
-      return {
-        register: dlmsInfo.obisInfo?.key || params.register,
-        obisCode: dlmsInfo.obisCode,
-        value,
-        unit: dlmsInfo.obisInfo?.unit || '',
-        protocol: 'dlms',
-        timestamp: Date.now(),
-      };
-    } finally {
-      if (release) release();
+      records = [...byTime.values()].sort((a, b) => a.timestamp - b.timestamp);
+      details = { start: start.getTime(), end: end.getTime(), interval };
+    } else {
+      records = await this.readLoadProfileBlocks(meterId, { count: params.blocks });
+      details = { blocks: params.blocks };
+    }
+
+    const published = this.publisher
+      ? await this.publisher.publishLoadProfile(meterId, records, details)
+      : false;
+
+    return {
+      ...details,
+      count: records.length,
+      first: records.length > 0 ? records[0].timestamp.getTime() : null,
+      last: records.length > 0 ? records[records.length - 1].timestamp.getTime() : null,
+      published,
+      timestamp: Date.now(),
+    };
+  }
+
+  /**
+   * Execute read_load_profile on a DLMS meter: AARQ → Profile Generic reads → RLRQ,
+   * in a DLMS session so each GET is matched to its response by invoke ID
+   *
+   * A start/end window is read with a range_descriptor on the clock column,
+   * `blocks` as the newest N entries. Rows go to the load_profile topic.
+   *
+   * @private
+   * @param {string} meterId - Meter address
+   * @param {Object} params - { profile?, start?, end?, blocks? }
+   * @returns {Promise<Object>} Query summary
+   */
+  async executeDlmsReadLoadProfile(meterId, params) {
+    const profileName = params.profile ?? DEFAULT_LOAD_PROFILE;
+    const profile = this.resolveDlmsRegister(profileName);
+    if (!profile || (profile.obisInfo && profile.classId !== PROFILE_GENERIC.CLASS_ID)) {
+      throw new Error(`Not a DLMS profile: ${profileName}`);
+    }
+
+    let details;
+    const options = { obisCode: profile.obisCode };
+    if (params.start !== undefined) {
+      options.from = new Date(params.start);
+      options.to = params.end !== undefined ? new Date(params.end) : new Date();
+      if (options.to < options.from) {
+        throw new Error('Load profile end must not be before start');
+      }
+      details = { start: options.from.getTime(), end: options.to.getTime() };
+    } else {
+      options.entries = params.blocks;
+      details = { blocks: params.blocks };
     }
+
+    // capture_objects, capture_period, buffer
+    const result = await this.withDlmsSession(meterId, (session) =>
+      readDlmsProfile(this.tcpServer, meterId, {
+        ...options,
+        scalerUnits: this.scalerUnits,
+        get: (request) => session.get(request),
+      })
+    );
+
+    const { rows } = result;
+    details = {
+      source: 'dlms',
+      profile: profile.obisInfo?.key || profile.obisCode,
+      obisCode: profile.obisCode,
+      capturePeriod: result.capturePeriod,
+      ...details,
+    };
+    const published = this.publisher
+      ? await this.publisher.publishLoadProfile(meterId, rows, details)
+      : false;
+
+    return {
+      ...details,
+      count: rows.length,
+      first: rows.length > 0 ? rows[0].timestamp.getTime() : null,
+      last: rows.length > 0 ? rows[rows.length - 1].timestamp.getTime() : null,
+      published,
+      timestamp: Date.now(),
+    };
+  }
+
+  /**
+   * Send one load profile request and decode the returned blocks
+   * @private
+   * @param {string} meterId - Meter address
+   * @param {Object} options - { count, start? } for buildLoadProfileReadFrame()
+   * @returns {Promise<Object[]>} Decoded records (empty when the meter has none)
+   */
+  async readLoadProfileBlocks(meterId, options) {
+    const dataId = options.start
+      ? LOAD_PROFILE_REGISTERS.BLOCKS_FROM_TIME.id
+      : LOAD_PROFILE_REGISTERS.LATEST_BLOCKS.id;
+    const frame = buildLoadProfileReadFrame(meterId, options);
+
+    try {
+      const response = await this.tcpServer.sendCommand(meterId, frame, dataId, this.options.timeout);
+      return parseLoadProfileRecords(response.data);
+    } catch (error) {
+      // NO_DATA: nothing recorded in the requested window
+      if (typeof error.errorCode === 'number' && error.errorCode & 0x02) {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Encode a raw register value as little-endian BCD
+   * @private
+   * @param {number} rawValue - Raw integer value
+   * @param {number} bytes - Value length in bytes
+   * @param {boolean} [signed=false] - Use sign bit in the high byte
+   * @returns {Buffer} BCD encoded value
+   * @throws {Error} If the value does not fit the register
+   */
+  encodeWriteValue(rawValue, bytes, signed = false) {
+    // Signed BCD uses the top bit of the high byte, leaving 0-7 for the top digit
+    const limit = signed ? 8 * Math.pow(10, bytes * 2 - 1) : Math.pow(100, bytes);
+
+    if (!signed && rawValue < 0) {
+      throw new Error(`Negative value not allowed for unsigned register: ${rawValue}`);
+    }
+    if (Math.abs(rawValue) >= limit) {
+      throw new Error(`Value ${rawValue} does not fit in ${bytes} BCD bytes`);
+    }
+
+    return signed ? signedDecimalToBcd(rawValue, bytes) : decimalToBcd(rawValue, bytes);
+  }
+
+  /**
+   * Build structured error details for a DLT645 error response
+   *
+   * The error bits differ between 1997 and 2007 meters, so they are named
+   * by the meter's DLT645 generation.
+   * @private
+   * @param {Error} error - Error thrown while executing a command
+   * @param {string} meterId - Meter address
+   * @returns {Object} { code, errorCode } for meter errors, empty object otherwise
+   */
+  describeMeterError(error, meterId) {
+    if (typeof error?.errorCode !== 'number') {
+      return {};
+    }
+
+    const is1997 = this.tcpServer.getDlt645Variant?.(meterId) === DLT645_VARIANTS.V1997;
+    const names = is1997 ? getErrorCodeNames1997 : getErrorCodeNames;
+    return {
+      code: names(error.errorCode)[0],
+      errorCode: error.errorCode,
+    };
+  }
+
+  /**
+   * Execute read_register for a DLMS meter via AARQ → GET.request → RLRQ, in a
+   * DLMS session so the GET is matched to its response by invoke ID
+   * @private
+   * @param {string} meterId - Meter address
+   * @param {Object} params - Command parameters
+   * @returns {Promise<Object>} Read result
+   */
+  async executeDlmsReadRegister(meterId, params) {
+    const dlmsInfo = this.resolveDlmsRegister(params.register || params.dataId);
+    if (!dlmsInfo) {
+      throw new Error(`No DLMS mapping for register: ${params.register || params.dataId}`);
+    }
+
+    const getResp = await this.withDlmsSession(meterId, async (session) => {
+      const get = (request) => session.get(request);
+      await this.discoverScalerUnits(meterId, [dlmsInfo], get);
+
+      // GET.request → GET.response
+      const response = await get(buildGetRequest(dlmsInfo.classId, dlmsInfo.obisCode, 2, 1));
+      if (!response || response.accessResult !== 'success') {
+        const errorDetail = response?.data?.errorName || response?.accessResult || 'timeout';
+        throw new Error(`DLMS GET failed: ${errorDetail}`);
+      }
+      return response;
+    });
+
+    // Extract and scale value
+    const { value, unit } = this.scaleDlmsValue(meterId, dlmsInfo, getResp.data);
+
+    return {
+      register: dlmsInfo.obisInfo?.key || params.register,
+      obisCode: dlmsInfo.obisCode,
+      value,
+      unit,
+      protocol: 'dlms',
+      timestamp: Date.now(),
+    };
   }
 
   /**
@@ -512,7 +1011,7 @@ export class CommandHandler extends EventEmitter {
 
     // Check if this is a DLMS meter
     const connection = this.tcpServer.connectionManager?.getConnectionByMeter(meterId);
-    if (connection?.protocolType === PROTOCOL_TYPES.IVY_DLMS) {
+    if (isDlmsProtocol(connection?.protocolType)) {
       return this.executeDlmsRelayControl(meterId, state);
     }
 
@@ -547,66 +1046,392 @@ export class CommandHandler extends EventEmitter {
 
   /**
    * Execute DLMS relay control via ACTION.request
+   *
+   * Reads the disconnector state before and after the action, so the result
+   * says where the relay ended up under the meter's control_mode (a remote
+   * reconnect may only reach ready_for_reconnection) and transitions are
+   * published as events. Runs in a DLMS session, so each response is matched
+   * to its request by invoke ID.
    * @private
    * @param {string} meterId - Meter address
    * @param {string} state - 'open' (disconnect) or 'close' (reconnect)
    * @returns {Promise<Object>} Relay result
    */
   async executeDlmsRelayControl(meterId, state) {
-    const DISCONNECT_OBIS = '0-0:96.3.10.255';
-    const DISCONNECT_CLASS_ID = 70;
-    // method 1 = remote_disconnect, method 2 = remote_reconnect
-    const methodId = state === 'open' ? 1 : 2;
-    const wrapWithIvy = config.dlms?.wrapOutgoing !== false;
+    const action = state === 'open' ? 'disconnect' : 'reconnect';
 
-    let release = null;
-    try {
-      // Acquire DLMS association lock
-      if (this.pollingManager) {
-        release = await this.pollingManager.acquireDlmsLock(meterId, 15000);
+    const { before, after } = await this.withDlmsSession(meterId, async (session) => {
+      const get = (request) => session.get(request);
+
+      // 1. output_state, control_state and control_mode before the action
+      const stateBefore = await this.readRelayState(meterId, get);
+
+      // 2. ACTION.request → ACTION.response
+      const actionReq = buildActionRequest(
+        DISCONNECT_CONTROL.CLASS_ID,
+        DISCONNECT_CONTROL.DEFAULT,
+        RELAY_ACTIONS[action].methodId
+      );
+      const actionResp = await session.request(actionReq);
+      if (!actionResp || !actionResp.success) {
+        throw new Error('DLMS ACTION failed: ' + (actionResp ? actionResp.actionResultName : 'timeout'));
       }
 
-      const preparePacket = (apdu) => prepareDlmsForSending(apdu, { wrapWithIvy });
+      // 3. Wait for the relay to switch and read the state again
+      await this.delay(1000);
+      return { before: stateBefore, after: await this.readRelayState(meterId, get) };
+    });
+
+    this.recordRelayState(meterId, before);
+    this.recordRelayState(meterId, after, RELAY_ACTIONS[action].name);
+
+    return {
+      relay_state: state,
+      ...this.formatRelayState(after, action),
+      before: this.formatRelayState(before),
+      protocol: 'dlms',
+      timestamp: Date.now(),
+    };
+  }
 
-      // 1. Send AARQ and wait for AARE
-      const aarq = preparePacket(buildAarq());
-      await this.tcpServer.sendCommandNoWait(meterId, aarq);
+  /**
+   * Execute set_relay_control_mode via AARQ → SET control_mode → GET state → RLRQ,
+   * in a DLMS session
+   * @private
+   * @param {string} meterId - Meter address
+   * @param {Object} params - { mode } control_mode 0-6
+   * @returns {Promise<Object>} Relay state under the new control_mode
+   */
+  async executeSetRelayControlMode(meterId, params) {
+    const connection = this.tcpServer.connectionManager?.getConnectionByMeter(meterId);
+    if (!isDlmsProtocol(connection?.protocolType)) {
+      throw new Error('set_relay_control_mode is only supported for DLMS meters');
+    }
 
-      const aare = await this.waitForDlmsResponse(meterId, 'aare', 5000);
-      if (!aare || !aare.accepted) {
-        throw new Error('DLMS association failed: ' + (aare ? 'rejected' : 'timeout'));
+    const state = await this.withDlmsSession(meterId, async (session) => {
+      // 1. SET control_mode (attribute 4, enum)
+      const setReq = buildSetRequest(
+        DISCONNECT_CONTROL.CLASS_ID,
+        DISCONNECT_CONTROL.DEFAULT,
+        DISCONNECT_CONTROL.CONTROL_MODE,
+        { type: 'enum', value: params.mode }
+      );
+      const setResp = await session.request(setReq);
+      if (!setResp || !setResp.success) {
+        throw new Error(`DLMS SET control_mode failed: ${setResp?.accessResultName || 'timeout'}`);
       }
 
-      // 2. Send ACTION.request
-      const actionReq = preparePacket(buildActionRequest(DISCONNECT_CLASS_ID, DISCONNECT_OBIS, methodId));
-      await this.tcpServer.sendCommandNoWait(meterId, actionReq);
+      // 2. State under the new mode
+      return this.readRelayState(meterId, (request) => session.get(request));
+    });
 
-      const actionResp = await this.waitForDlmsResponse(meterId, 'action-response', 5000);
-      if (!actionResp || !actionResp.success) {
-        throw new Error('DLMS ACTION failed: ' + (actionResp ? actionResp.actionResultName : 'timeout'));
+    this.recordRelayState(meterId, state);
+
+    return {
+      ...this.formatRelayState(state),
+      protocol: 'dlms',
+      timestamp: Date.now(),
+    };
+  }
+
+  /**
+   * Execute dlms_set via AARQ → SET.request → RLRQ, in a DLMS session so the
+   * SET is matched to its response by invoke ID
+   * @private
+   * @param {string} meterId - Meter address
+   * @param {Object} params - { obis, classId, attribute, value: { type, value } }
+   * @returns {Promise<Object>} Write result
+   */
+  async executeDlmsSet(meterId, params) {
+    const connection = this.tcpServer.connectionManager?.getConnectionByMeter(meterId);
+    if (!isDlmsProtocol(connection?.protocolType)) {
+      throw new Error('dlms_set is only supported for DLMS meters');
+    }
+
+    const { obis, classId, attribute, value } = params;
+    const setResp = await this.withDlmsSession(meterId, async (session) => {
+      // SET.request → SET.response
+      const response = await session.request(buildSetRequest(classId, obis, attribute, value));
+      if (!response || !response.success) {
+        throw new Error(`DLMS SET failed: ${response?.accessResultName || 'timeout'}`);
       }
+      return response;
+    });
 
-      // 3. Wait and read output_state to confirm
-      await this.delay(1000);
-      const getReq = preparePacket(buildGetRequest(DISCONNECT_CLASS_ID, DISCONNECT_OBIS, 2, 1));
-      await this.tcpServer.sendCommandNoWait(meterId, getReq);
+    return {
+      obisCode: obis,
+      classId,
+      attribute,
+      result: setResp.accessResultName,
+      protocol: 'dlms',
+      timestamp: Date.now(),
+    };
+  }
+
+  /**
+   * Execute discover_objects via AARQ → GET object_list → RLRQ, in a DLMS
+   * session so the blocks are matched to the request by invoke ID
+   * @private
+   * @param {string} meterId - Meter address
+   * @returns {Promise<Object>} Discovery summary: object count, the objects the registry does
+   *   not know, and the OBIS codes new to the meter's profile (null without a store)
+   */
+  async executeDiscoverObjects(meterId) {
+    const connection = this.tcpServer.connectionManager?.getConnectionByMeter(meterId);
+    if (!isDlmsProtocol(connection?.protocolType)) {
+      throw new Error('discover_objects is only supported for DLMS meters');
+    }
 
-      const getResp = await this.waitForDlmsResponse(meterId, 'get-response', 5000);
-      const outputState = getResp?.data?.value;
+    // object_list of the current association (block transfer)
+    const objects = await this.withDlmsSession(meterId, (session) =>
+      readObjectList(this.tcpServer, meterId, { get: (request) => session.get(request) })
+    );
 
-      // 4. Send RLRQ (fire and forget)
-      const rlrq = preparePacket(buildReleaseRequest());
-      await this.tcpServer.sendCommandNoWait(meterId, rlrq);
+    const merged = this.capabilities?.merge(meterId, objects);
+    const unknown = objects.filter((object) => !lookupObis(object.obisCode));
+    logger.info('DLMS objects discovered', {
+      meterId,
+      objects: objects.length,
+      unknown: unknown.length,
+      added: merged?.added.length,
+    });
 
-      return {
-        relay_state: state,
-        output_state: outputState,
-        protocol: 'dlms',
-        timestamp: Date.now(),
-      };
+    return {
+      objects: objects.length,
+      unknown,
+      added: merged?.added ?? null,
+      protocol: 'dlms',
+      timestamp: Date.now(),
+    };
+  }
+
+  /**
+   * Execute read_push_setup via AARQ → GET attributes 2-5 → RLRQ, in a DLMS
+   * session so each GET is matched to its response by invoke ID
+   * @private
+   * @param {string} meterId - Meter address
+   * @param {Object} [params] - { obis } push setup, default 0-0:25.9.0.255
+   * @returns {Promise<Object>} Push setup from readPushSetup()
+   */
+  async executeReadPushSetup(meterId, params = {}) {
+    const connection = this.tcpServer.connectionManager?.getConnectionByMeter(meterId);
+    if (!isDlmsProtocol(connection?.protocolType)) {
+      throw new Error('read_push_setup is only supported for DLMS meters');
+    }
+
+    const { obis = PUSH_SETUP.DEFAULT } = params;
+    // push_object_list, send_destination_and_method, communication_window,
+    // randomisation_start_interval
+    const setup = await this.withDlmsSession(meterId, (session) =>
+      readPushSetup(this.tcpServer, meterId, obis, { get: (request) => session.get(request) })
+    );
+
+    const { obisCode, ...attributes } = setup;
+    this.pushSetups?.update(meterId, obisCode, attributes);
+
+    return {
+      ...setup,
+      protocol: 'dlms',
+      timestamp: Date.now(),
+    };
+  }
+
+  /**
+   * Execute write_push_setup via AARQ → SET.request per attribute → RLRQ, in a
+   * DLMS session so each SET is matched to its response by invoke ID
+   *
+   * Attributes are written in order and the first refused SET stops the
+   * command; the ones written before it stay written.
+   * @private
+   * @param {string} meterId - Meter address
+   * @param {Object} params - { obis, objectList, sendDestinationAndMethod,
+   *   communicationWindow, randomisationStartInterval }, any of the attributes
+   * @returns {Promise<Object>} Write result with the attributes written
+   */
+  async executeWritePushSetup(meterId, params) {
+    const connection = this.tcpServer.connectionManager?.getConnectionByMeter(meterId);
+    if (!isDlmsProtocol(connection?.protocolType)) {
+      throw new Error('write_push_setup is only supported for DLMS meters');
+    }
+
+    const { obis = PUSH_SETUP.DEFAULT } = params;
+    const written = {};
+    try {
+      await this.withDlmsSession(meterId, async (session) => {
+        // SET.request → SET.response, one attribute at a time
+        for (const { name, attribute, value } of encodePushSetupChanges(params)) {
+          const setReq = buildSetRequest(PUSH_SETUP.CLASS_ID, obis, attribute, value);
+          const setResp = await session.request(setReq);
+          if (!setResp || !setResp.success) {
+            throw new Error(`DLMS SET ${name} failed: ${setResp?.accessResultName || 'timeout'}`);
+          }
+          written[name] = params[name];
+        }
+      });
     } finally {
-      if (release) release();
+      if (Object.keys(written).length > 0) {
+        this.pushSetups?.update(meterId, obis, written);
+      }
+    }
+
+    return {
+      obisCode: obis,
+      written: Object.keys(written),
+      protocol: 'dlms',
+      timestamp: Date.now(),
+    };
+  }
+
+  /**
+   * Execute read_limiter via AARQ → GET limiter attributes, monitored value and
+   * disconnector state → RLRQ, in a DLMS session so each GET is matched to
+   * its response by invoke ID
+   *
+   * Raises or clears the meter's limiter_trip alarm through the status manager,
+   * which compares the reading with the meter's previous one.
+   * @private
+   * @param {string} meterId - Meter address
+   * @param {Object} [params] - { obis } limiter, default 0-0:17.0.0.255
+   * @returns {Promise<Object>} Limiter from readLimiter() with the values scaled, the relay
+   *   state and whether the limiter has tripped
+   */
+  async executeReadLimiter(meterId, params = {}) {
+    const connection = this.tcpServer.connectionManager?.getConnectionByMeter(meterId);
+    if (!isDlmsProtocol(connection?.protocolType)) {
+      throw new Error('read_limiter is only supported for DLMS meters');
+    }
+
+    const { obis = LIMITER.DEFAULT } = params;
+    const { limiter, relay } = await this.withDlmsSession(meterId, async (session) => {
+      const get = (request) => session.get(request);
+
+      // 1. monitored_value, thresholds, durations and emergency profile, then the
+      //    value monitored and its scaler_unit
+      const read = await readLimiter(this.tcpServer, meterId, obis, { get });
+      await this.discoverScalerUnits(meterId, [read.monitoredValue], get);
+
+      // 2. Disconnector state, to see the relay open while over the threshold
+      return { limiter: read, relay: await this.readRelayState(meterId, get) };
+    });
+
+    this.recordRelayState(meterId, relay);
+    const scaled = this.scaleLimiterValues(meterId, limiter);
+    const reading = { overThreshold: isOverThreshold(limiter), relayState: relay };
+    const data = {
+      obisCode: limiter.obisCode,
+      monitored: limiter.monitoredValue.obisCode,
+      value: scaled.currentValue.value,
+      threshold: scaled.thresholdActive.value,
+      unit: scaled.thresholdActive.unit,
+      minOverThresholdDuration: limiter.minOverThresholdDuration,
+      emergencyProfileActive: limiter.emergencyProfileActive,
+      relayState: relay.controlStateName,
+    };
+    const tripped = this.statusManager
+      ? this.statusManager.handleLimiterReading(meterId, reading, data)
+      : isLimiterTrip(null, reading);
+
+    return {
+      ...limiter,
+      scaled,
+      tripped,
+      relay: this.formatRelayState(relay),
+      protocol: 'dlms',
+      timestamp: Date.now(),
+    };
+  }
+
+  /**
+   * Execute write_limiter via AARQ → SET.request per attribute → RLRQ, in a
+   * DLMS session
+   *
+   * Thresholds are raw values of the monitored attribute, or with
+   * params.scaled the scaled values read_limiter reports (e.g. W), turned
+   * back into raw values with the monitored value's scaler_unit. They are
+   * written in the type the meter gives threshold_active unless
+   * params.thresholdType says otherwise. Attributes are written in order and
+   * the first refused SET stops the command; the ones written before it stay
+   * written.
+   * @private
+   * @param {string} meterId - Meter address
+   * @param {Object} params - { obis, thresholdType, scaled, ...attributes } with any of
+   *   monitoredValue, thresholdActive, thresholdNormal, thresholdEmergency,
+   *   minOverThresholdDuration, minUnderThresholdDuration and emergencyProfile
+   * @returns {Promise<Object>} Write result with the attributes written, and the raw
+   *   thresholds when they were given scaled
+   */
+  async executeWriteLimiter(meterId, params) {
+    const connection = this.tcpServer.connectionManager?.getConnectionByMeter(meterId);
+    if (!isDlmsProtocol(connection?.protocolType)) {
+      throw new Error('write_limiter is only supported for DLMS meters');
+    }
+
+    const { obis = LIMITER.DEFAULT, scaled = false } = params;
+    const thresholds = THRESHOLD_ATTRIBUTES.filter((name) => params[name] !== undefined);
+    const written = [];
+    const raw = await this.withDlmsSession(meterId, async (session) => {
+      const get = (request) => session.get(request);
+
+      // 1. GET threshold_active for the type thresholds are written in
+      let { thresholdType } = params;
+      if (thresholdType === undefined && thresholds.length > 0) {
+        thresholdType = (await this.readLimiterAttribute(get, obis, 'threshold_active')).type;
+      }
+
+      // 2. Scaled thresholds back to raw values of the monitored attribute
+      const changes = { ...params };
+      if (scaled && thresholds.length > 0) {
+        const monitored =
+          params.monitoredValue ??
+          parseValueDefinition(await this.readLimiterAttribute(get, obis, 'monitored_value'));
+        await this.discoverScalerUnits(meterId, [monitored], get);
+        const scalerUnit = this.scalerUnits?.get(meterId, monitored.obisCode) ?? null;
+        for (const name of thresholds) {
+          changes[name] = unscaleDlmsValue(params[name], monitored.obisCode, scalerUnit);
+        }
+      }
+
+      // 3. SET.request → SET.response, one attribute at a time
+      for (const { name, attribute, value } of encodeLimiterChanges(changes, thresholdType)) {
+        const setReq = buildSetRequest(LIMITER.CLASS_ID, obis, attribute, value);
+        const setResp = await session.request(setReq);
+        if (!setResp || !setResp.success) {
+          throw new Error(`DLMS SET ${name} failed: ${setResp?.accessResultName || 'timeout'}`);
+        }
+        written.push(name);
+      }
+      return Object.fromEntries(thresholds.map((name) => [name, changes[name]]));
+    });
+
+    return {
+      obisCode: obis,
+      written,
+      ...(scaled && thresholds.length > 0 ? { raw } : {}),
+      protocol: 'dlms',
+      timestamp: Date.now(),
+    };
+  }
+
+  /**
+   * GET the limiter attribute write_limiter needs to type or unscale thresholds
+   * @private
+   * @param {Function} get - (request) => Promise<Object|null> sending one GET
+   * @param {string} obis - Limiter logical name
+   * @param {string} name - 'threshold_active' or 'monitored_value'
+   * @returns {Promise<Object>} Parsed attribute value
+   * @throws {Error} If the meter does not give the attribute, with the parameter to give instead
+   */
+  async readLimiterAttribute(get, obis, name) {
+    const [attribute, instead] = {
+      threshold_active: [LIMITER.THRESHOLD_ACTIVE, 'give thresholdType to write thresholds'],
+      monitored_value: [LIMITER.MONITORED_VALUE, 'give monitoredValue to write scaled thresholds'],
+    }[name];
+    const response = await get(buildGetRequest(LIMITER.CLASS_ID, obis, attribute));
+    if (response?.accessResult !== 'success') {
+      const reason = response?.data?.errorName || response?.accessResult || 'timeout';
+      throw new Error(`DLMS GET ${name} failed: ${reason} (${instead})`);
     }
+    return response.data;
   }
 
   /**
@@ -617,56 +1442,162 @@ export class CommandHandler extends EventEmitter {
    */
   async executeReadRelayState(meterId) {
     const connection = this.tcpServer.connectionManager?.getConnectionByMeter(meterId);
-    if (connection?.protocolType !== PROTOCOL_TYPES.IVY_DLMS) {
+    if (!isDlmsProtocol(connection?.protocolType)) {
       throw new Error('read_relay_state is only supported for DLMS meters');
     }
 
-    const DISCONNECT_OBIS = '0-0:96.3.10.255';
-    const DISCONNECT_CLASS_ID = 70;
-    const wrapWithIvy = config.dlms?.wrapOutgoing !== false;
-
-    let release = null;
-    try {
-      if (this.pollingManager) {
-        release = await this.pollingManager.acquireDlmsLock(meterId, 15000);
-      }
+    // GET output_state, control_state and control_mode in a DLMS session
+    const state = await this.withDlmsSession(meterId, (session) =>
+      this.readRelayState(meterId, (request) => session.get(request))
+    );
 
-      const preparePacket = (apdu) => prepareDlmsForSending(apdu, { wrapWithIvy });
+    // A change since the last read happened at the meter (button, local function)
+    this.recordRelayState(meterId, state);
 
-      // 1. AARQ → AARE
-      const aarq = preparePacket(buildAarq());
-      await this.tcpServer.sendCommandNoWait(meterId, aarq);
+    return {
+      ...this.formatRelayState(state),
+      protocol: 'dlms',
+      timestamp: Date.now(),
+    };
+  }
 
-      const aare = await this.waitForDlmsResponse(meterId, 'aare', 5000);
-      if (!aare || !aare.accepted) {
-        throw new Error('DLMS association failed: ' + (aare ? 'rejected' : 'timeout'));
-      }
+  /**
+   * Read the disconnector's output_state, control_state and control_mode
+   * @private
+   * @param {string} meterId - Meter address
+   * @param {Function} [get] - (request) => Promise<Object|null> sending one GET, e.g. a
+   *   DlmsSession's get(); defaults to sendDlmsGet()
+   * @returns {Promise<Object>} State from toRelayState(); attributes not read are null
+   */
+  async readRelayState(meterId, get = (request) => this.sendDlmsGet(meterId, request)) {
+    const values = {};
+    const attributes = [
+      ['outputState', DISCONNECT_CONTROL.OUTPUT_STATE],
+      ['controlState', DISCONNECT_CONTROL.CONTROL_STATE],
+      ['controlMode', DISCONNECT_CONTROL.CONTROL_MODE],
+    ];
+    for (const [i, [name, attribute]] of attributes.entries()) {
+      const request = buildGetRequest(
+        DISCONNECT_CONTROL.CLASS_ID,
+        DISCONNECT_CONTROL.DEFAULT,
+        attribute,
+        i + 1
+      );
+      const response = await get(request);
+      values[name] = response?.accessResult === 'success' ? response.data?.value : null;
+    }
+    return toRelayState(values);
+  }
 
-      // 2. GET output_state (attribute 2, invokeId 1)
-      const getReq1 = preparePacket(buildGetRequest(DISCONNECT_CLASS_ID, DISCONNECT_OBIS, 2, 1));
-      await this.tcpServer.sendCommandNoWait(meterId, getReq1);
+  /**
+   * Keep a meter's relay state and publish a relay_state_changed event when
+   * it differs from the last one read
+   * @private
+   * @param {string} meterId - Meter address
+   * @param {Object} state - State from readRelayState()
+   * @param {string|null} [cause=null] - Method that caused the change, null when the
+   *   change happened at the meter
+   */
+  recordRelayState(meterId, state, cause = null) {
+    const previous = this.relayStates.get(meterId) ?? null;
+    if (state.controlState === null) {
+      return;
+    }
+    this.relayStates.set(meterId, state);
+    if (!isRelayTransition(previous, state)) {
+      return;
+    }
 
-      const getResp1 = await this.waitForDlmsResponse(meterId, 'get-response', 5000);
-      const outputState = getResp1?.data?.value;
+    const event = {
+      source: 'dlms',
+      from: previous.controlStateName,
+      to: state.controlStateName,
+      outputState: state.outputState,
+      controlMode: state.controlMode,
+      cause,
+      explanation: explainRelayState(state),
+    };
+    logger.info('DLMS relay state changed', { meterId, ...event });
+    if (this.publisher) {
+      this.publisher.publishMeterEvent(meterId, 'relay_state_changed', event);
+    }
+  }
 
-      // 3. GET control_state (attribute 3, invokeId 2)
-      const getReq2 = preparePacket(buildGetRequest(DISCONNECT_CLASS_ID, DISCONNECT_OBIS, 3, 2));
-      await this.tcpServer.sendCommandNoWait(meterId, getReq2);
+  /**
+   * Relay state as returned by the relay commands
+   * @private
+   * @param {Object} state - State from readRelayState()
+   * @param {string} [action] - 'disconnect' or 'reconnect' just performed
+   * @returns {Object} { output_state, control_state, control_state_name, control_mode,
+   *   explanation }
+   */
+  formatRelayState(state, action) {
+    return {
+      output_state: state.outputState,
+      control_state: state.controlState,
+      control_state_name: state.controlStateName,
+      control_mode: state.controlMode,
+      explanation: explainRelayState(state, action),
+    };
+  }
 
-      const getResp2 = await this.waitForDlmsResponse(meterId, 'get-response', 5000);
-      const controlState = getResp2?.data?.value;
+  /**
+   * Scale a limiter's current value and thresholds like the value it monitors
+   * @private
+   * @param {string} meterId - Meter address
+   * @param {Object} limiter - Limiter from readLimiter()
+   * @returns {Object} { currentValue, thresholdActive, thresholdNormal, thresholdEmergency },
+   *   each { value, unit }
+   */
+  scaleLimiterValues(meterId, limiter) {
+    const { obisCode } = limiter.monitoredValue;
+    const scaled = {};
+    for (const name of ['currentValue', ...THRESHOLD_ATTRIBUTES]) {
+      scaled[name] = this.scaleDlmsValue(meterId, { obisCode }, limiter[name]);
+    }
+    return scaled;
+  }
 
-      // 4. RLRQ (fire and forget)
-      const rlrq = preparePacket(buildReleaseRequest());
-      await this.tcpServer.sendCommandNoWait(meterId, rlrq);
+  /**
+   * Open a DLMS association (AARQ → AARE, plus the HLS-GMAC challenge exchange
+   * when the meter has keys) with the meter's client address and credentials
+   * @private
+   * @param {string} meterId - Meter address
+   * @returns {Promise<Object>} Parsed AARE
+   * @throws {Error} With the association result and diagnostic if the meter does not accept
+   */
+  async associateDlms(meterId) {
+    return openDlmsAssociation(this.tcpServer, meterId, {
+      timeout: 5000,
+      waitForResponse: (type, timeout) => this.waitForDlmsResponse(meterId, type, timeout),
+    });
+  }
 
-      return {
-        output_state: outputState,
-        control_state: controlState,
-        protocol: 'dlms',
-        timestamp: Date.now(),
-      };
+  /**
+   * Run requests in a DLMS session of their own: AARQ → work → RLRQ, holding
+   * the polling manager's lock for the meter
+   * @private
+   * @param {string} meterId - Meter address
+   * @param {Function} work - (session) => Promise, run once the association is open
+   * @returns {Promise<*>} What work resolves with
+   * @throws {Error} If the meter rejects the association, or what work throws
+   */
+  async withDlmsSession(meterId, work) {
+    const session = createDlmsSession(this.tcpServer, meterId, {
+      timeout: 5000,
+      associationTimeout: 5000,
+      idleTimeout: 0,
+    });
+    let release = null;
+    try {
+      if (this.pollingManager) {
+        release = await this.pollingManager.acquireDlmsLock(meterId, 15000);
+      }
+      await session.open();
+      return await work(session);
     } finally {
+      await session.release();
+      session.close();
       if (release) release();
     }
   }
@@ -677,9 +1608,10 @@ export class CommandHandler extends EventEmitter {
    * @param {string} meterId - Meter address
    * @param {string} expectedType - Expected parsedApdu.type (e.g., 'aare', 'action-response')
    * @param {number} [timeout=5000] - Timeout in ms
+   * @param {number|null} [invokeId=null] - Invoke ID the response must carry
    * @returns {Promise<Object|null>} Parsed APDU or null on timeout
    */
-  waitForDlmsResponse(meterId, expectedType, timeout = 5000) {
+  waitForDlmsResponse(meterId, expectedType, timeout = 5000, invokeId = null) {
     return new Promise((resolve) => {
       const connectionManager = this.tcpServer.connectionManager;
       if (!connectionManager) {
@@ -688,7 +1620,11 @@ export class CommandHandler extends EventEmitter {
       }
 
       const listener = (data) => {
-        if (data.meterId === meterId && data.parsedApdu?.type === expectedType) {
+        if (
+          data.meterId === meterId &&
+          data.parsedApdu?.type === expectedType &&
+          (invokeId === null || data.parsedApdu.invokeId === invokeId)
+        ) {
           clearTimeout(timer);
           connectionManager.removeListener(CONNECTION_EVENTS.DLMS_RECEIVED, listener);
           resolve(data.parsedApdu);
@@ -704,6 +1640,57 @@ export class CommandHandler extends EventEmitter {
     });
   }
 
+  /**
+   * Send a DLMS GET.request and wait for the complete response,
+   * following long GETs block by block. Only a response with the request's
+   * invoke ID is taken.
+   * @private
+   * @param {string} meterId - Meter address
+   * @param {Buffer} request - GET.request APDU
+   * @returns {Promise<Object|null>} Parsed GET.response or null on timeout
+   */
+  sendDlmsGet(meterId, request) {
+    return sendDlmsGet(this.tcpServer, meterId, request, {
+      timeout: 5000,
+      waitForResponse: (type, timeout) =>
+        this.waitForDlmsResponse(meterId, type, timeout, request[2]),
+    });
+  }
+
+  /**
+   * Read the scaler_unit of registers not read on this meter yet
+   * @private
+   * @param {string} meterId - Meter address
+   * @param {Object[]} registers - Resolved registers ({ classId, obisCode })
+   * @param {Function} [get] - (request) => Promise<Object|null> sending one GET, e.g. a
+   *   DlmsSession's get(); defaults to sendDlmsGet()
+   * @returns {Promise<void>}
+   */
+  async discoverScalerUnits(meterId, registers, get) {
+    if (!this.scalerUnits) {
+      return;
+    }
+    await discoverScalerUnits(this.tcpServer, meterId, registers, this.scalerUnits, {
+      timeout: 5000,
+      waitForResponse: (type, timeout) => this.waitForDlmsResponse(meterId, type, timeout),
+      get,
+    });
+  }
+
+  /**
+   * Scale a GET.response value by the meter's scaler_unit or the registry
+   * @private
+   * @param {string} meterId - Meter address
+   * @param {Object} dlmsInfo - Resolved register
+   * @param {Object} data - Parsed GET.response data
+   * @returns {Object} { value, unit }
+   */
+  scaleDlmsValue(meterId, dlmsInfo, data) {
+    const value = data?.value !== undefined ? data.value : data;
+    const scalerUnit = this.scalerUnits?.get(meterId, dlmsInfo.obisCode);
+    return scaleDlmsValue(value, dlmsInfo.obisCode, scalerUnit);
+  }
+
   /**
    * Delay helper
    * @private
@@ -739,7 +1726,7 @@ export class CommandHandler extends EventEmitter {
 
     // Check if this is a DLMS meter - use batched reads for efficiency
     const connection = this.tcpServer.connectionManager?.getConnectionByMeter(meterId);
-    if (connection?.protocolType === PROTOCOL_TYPES.IVY_DLMS) {
+    if (isDlmsProtocol(connection?.protocolType)) {
       return this.executeDlmsReadAll(meterId, registers);
     }
 
@@ -773,23 +1760,18 @@ export class CommandHandler extends EventEmitter {
    * @returns {Promise<Object>} Read results
    */
   async executeDlmsReadAll(meterId, registerNames) {
-    const wrapWithIvy = config.dlms?.wrapOutgoing !== false;
     let release = null;
     try {
       if (this.pollingManager) {
         release = await this.pollingManager.acquireDlmsLock(meterId, 15000);
       }
 
-      const preparePacket = (apdu) => prepareDlmsForSending(apdu, { wrapWithIvy });
-
       // 1. AARQ → AARE
-      const aarq = preparePacket(buildAarq());
-      await this.tcpServer.sendCommandNoWait(meterId, aarq);
-
-      const aare = await this.waitForDlmsResponse(meterId, 'aare', 5000);
-      if (!aare || !aare.accepted) {
-        throw new Error('DLMS association failed: ' + (aare ? 'rejected' : 'timeout'));
-      }
+      await this.associateDlms(meterId);
+      await this.discoverScalerUnits(
+        meterId,
+        registerNames.map((name) => this.resolveDlmsRegister(name)).filter(Boolean)
+      );
 
       // 2. GET each register
       const results = {};
@@ -802,19 +1784,10 @@ export class CommandHandler extends EventEmitter {
         }
 
         const invokeId = (i + 1) & 0xFF;
-        const getReq = preparePacket(buildGetRequest(dlmsInfo.classId, dlmsInfo.obisCode, 2, invokeId));
-        await this.tcpServer.sendCommandNoWait(meterId, getReq);
-
-        const getResp = await this.waitForDlmsResponse(meterId, 'get-response', 5000);
+        const getReq = buildGetRequest(dlmsInfo.classId, dlmsInfo.obisCode, 2, invokeId);
+        const getResp = await this.sendDlmsGet(meterId, getReq);
         if (getResp?.accessResult === 'success' && getResp.data) {
-          let value = getResp.data.value !== undefined ? getResp.data.value : getResp.data;
-          if (dlmsInfo.obisInfo?.scaler && typeof value === 'number') {
-            value = Math.round(value * dlmsInfo.obisInfo.scaler * 1000) / 1000;
-          }
-          results[regName] = {
-            value,
-            unit: dlmsInfo.obisInfo?.unit || '',
-          };
+          results[regName] = this.scaleDlmsValue(meterId, dlmsInfo, getResp.data);
         } else {
           results[regName] = {
             error: getResp?.data?.errorName || 'Read failed',
@@ -823,8 +1796,8 @@ export class CommandHandler extends EventEmitter {
       }
 
       // 3. RLRQ (fire and forget)
-      const rlrq = preparePacket(buildReleaseRequest());
-      await this.tcpServer.sendCommandNoWait(meterId, rlrq);
+      const rlrq = buildReleaseRequest();
+      await this.tcpServer.sendDlmsApdu(meterId, rlrq);
 
       return {
         readings: results,
@@ -935,16 +1908,18 @@ export class CommandHandler extends EventEmitter {
    * @param {string} meterId - Meter address
    * @param {string} commandId - Command ID
    * @param {string} error - Error message
+   * @param {Object} [details] - Structured error details (e.g., { code, errorCode })
    */
-  async sendErrorResponse(meterId, commandId, error) {
+  async sendErrorResponse(meterId, commandId, error, details = {}) {
     if (this.publisher) {
-      await this.publisher.publishCommandResponse(meterId, commandId, false, { error });
+      await this.publisher.publishCommandResponse(meterId, commandId, false, { error, ...details });
     } else {
       const topic = Topics.meterCommandResponse(meterId);
       const response = {
         id: commandId,
         success: false,
         error,
+        ...details,
         ts: Date.now(),
       };
       await this.broker.publish(topic, response);
@@ -987,18 +1962,45 @@ export class CommandHandler extends EventEmitter {
       case COMMAND_METHODS.READ_REGISTER:
         return await this.executeReadRegister(meterId, params);
 
+      case COMMAND_METHODS.WRITE_REGISTER:
+        return await this.executeWriteRegister(meterId, params);
+
+      case COMMAND_METHODS.READ_LOAD_PROFILE:
+        return await this.executeReadLoadProfile(meterId, params);
+
       case COMMAND_METHODS.RELAY_CONTROL:
         return await this.executeRelayControl(meterId, params);
 
       case COMMAND_METHODS.READ_RELAY_STATE:
         return await this.executeReadRelayState(meterId);
 
+      case COMMAND_METHODS.SET_RELAY_CONTROL_MODE:
+        return await this.executeSetRelayControlMode(meterId, params);
+
       case COMMAND_METHODS.READ_ADDRESS:
         return await this.executeReadAddress(meterId);
 
       case COMMAND_METHODS.READ_ALL:
         return await this.executeReadAll(meterId, params);
 
+      case COMMAND_METHODS.DLMS_SET:
+        return await this.executeDlmsSet(meterId, params);
+
+      case COMMAND_METHODS.DISCOVER_OBJECTS:
+        return await this.executeDiscoverObjects(meterId);
+
+      case COMMAND_METHODS.READ_PUSH_SETUP:
+        return await this.executeReadPushSetup(meterId, params);
+
+      case COMMAND_METHODS.WRITE_PUSH_SETUP:
+        return await this.executeWritePushSetup(meterId, params);
+
+      case COMMAND_METHODS.READ_LIMITER:
+        return await this.executeReadLimiter(meterId, params);
+
+      case COMMAND_METHODS.WRITE_LIMITER:
+        return await this.executeWriteLimiter(meterId, params);
+
       default:
         throw new Error(`Unhandled method: ${method}`);
     }
@@ -8,6 +8,8 @@
  * - ivy/v1/meters/{meterId}/telemetry - Meter readings
  * - ivy/v1/meters/{meterId}/status - Connection status
  * - ivy/v1/meters/{meterId}/events - Alarms and events
+ * - ivy/v1/meters/{meterId}/load_profile - Load profile interval data
+ * - ivy/v1/meters/{meterId}/billing - Frozen / billing-period snapshots
  * - ivy/v1/gateway/status - Gateway status
  * - ivy/v1/gateway/stats - Gateway statistics
  *
@@ -31,6 +33,8 @@ export const Topics = {
   meterTelemetry: (meterId) => `${TOPIC_PREFIX}/meters/${meterId}/telemetry`,
   meterStatus: (meterId) => `${TOPIC_PREFIX}/meters/${meterId}/status`,
   meterEvents: (meterId) => `${TOPIC_PREFIX}/meters/${meterId}/events`,
+  meterLoadProfile: (meterId) => `${TOPIC_PREFIX}/meters/${meterId}/load_profile`,
+  meterBilling: (meterId) => `${TOPIC_PREFIX}/meters/${meterId}/billing`,
   meterCommandResponse: (meterId) => `${TOPIC_PREFIX}/meters/${meterId}/command/response`,
   gatewayStatus: () => `${TOPIC_PREFIX}/gateway/status`,
   gatewayStats: () => `${TOPIC_PREFIX}/gateway/stats`,
@@ -43,6 +47,8 @@ export const PUBLISHER_EVENTS = {
   TELEMETRY_PUBLISHED: 'telemetry:published',
   STATUS_PUBLISHED: 'status:published',
   EVENT_PUBLISHED: 'event:published',
+  LOAD_PROFILE_PUBLISHED: 'load_profile:published',
+  BILLING_PUBLISHED: 'billing:published',
   PUBLISH_ERROR: 'publish:error',
 };
 
@@ -82,6 +88,8 @@ export class TelemetryPublisher extends EventEmitter {
       telemetryPublished: 0,
       statusPublished: 0,
       eventsPublished: 0,
+      loadProfilesPublished: 0,
+      billingPublished: 0,
       errors: 0,
       lastPublish: null,
     };
@@ -169,6 +177,16 @@ export class TelemetryPublisher extends EventEmitter {
         source: data.source || 'dlt645',
       };
 
+      // Max demand: when the demand value occurred
+      if (data.occurredAt !== undefined) {
+        message.occurredAt = data.occurredAt ? data.occurredAt.getTime() : null;
+      }
+
+      // Status words: decoded bit flags
+      if (data.flags) {
+        message.flags = data.flags;
+      }
+
       await this.broker.publish(topic, message, {
         qos: this.options.qos,
         retain: false, // Don't retain telemetry
@@ -267,6 +285,120 @@ export class TelemetryPublisher extends EventEmitter {
     }
   }
 
+  /**
+   * Publish a batch of load profile records (interval data)
+   *
+   * @param {string} meterId - Meter address
+   * @param {Object[]} records - Records from parseLoadProfileRecords()
+   * @param {Object} [details] - Query details (e.g., start, end, blocks)
+   * @returns {Promise<boolean>} Success
+   */
+  async publishLoadProfile(meterId, records, details = {}) {
+    if (!this.isRunning) {
+      return false;
+    }
+
+    try {
+      const topic = Topics.meterLoadProfile(meterId);
+
+      const message = {
+        ts: Date.now(),
+        meterId,
+        source: details.source || 'dlt645',
+        ...details,
+        count: records.length,
+        points: records.map((record) => ({
+          ts: record.timestamp.getTime(),
+          values: record.values,
+        })),
+      };
+
+      await this.broker.publish(topic, message, {
+        qos: this.options.qos,
+        retain: false,
+      });
+
+      this.stats.loadProfilesPublished++;
+      this.stats.lastPublish = Date.now();
+
+      this.emit(PUBLISHER_EVENTS.LOAD_PROFILE_PUBLISHED, {
+        meterId,
+        topic,
+        message,
+      });
+
+      logger.debug('Load profile published', {
+        meterId,
+        count: records.length,
+      });
+
+      return true;
+    } catch (error) {
+      this.stats.errors++;
+      logger.error('Failed to publish load profile', {
+        meterId,
+        error: error.message,
+      });
+      return false;
+    }
+  }
+
+  /**
+   * Publish a frozen / billing-period snapshot
+   *
+   * @param {string} meterId - Meter address
+   * @param {Object} snapshot - { kind, freezeTime: Date, values }
+   * @param {Object} [details] - Additional fields (e.g., source)
+   * @returns {Promise<boolean>} Success
+   */
+  async publishBillingSnapshot(meterId, snapshot, details = {}) {
+    if (!this.isRunning) {
+      return false;
+    }
+
+    try {
+      const topic = Topics.meterBilling(meterId);
+
+      const message = {
+        ts: Date.now(),
+        meterId,
+        source: details.source || 'dlt645',
+        ...details,
+        kind: snapshot.kind,
+        freezeTime: snapshot.freezeTime.getTime(),
+        values: snapshot.values,
+      };
+
+      await this.broker.publish(topic, message, {
+        qos: this.options.qos,
+        retain: false,
+      });
+
+      this.stats.billingPublished++;
+      this.stats.lastPublish = Date.now();
+
+      this.emit(PUBLISHER_EVENTS.BILLING_PUBLISHED, {
+        meterId,
+        topic,
+        message,
+      });
+
+      logger.debug('Billing snapshot published', {
+        meterId,
+        kind: snapshot.kind,
+      });
+
+      return true;
+    } catch (error) {
+      this.stats.errors++;
+      logger.error('Failed to publish billing snapshot', {
+        meterId,
+        error: error.message,
+      });
+      return false;
+    }
+  }
+
   /**
    * Publish meter status (online/offline)
    *
@@ -7,15 +7,25 @@
  * DLMS APDU tags:
  *   0xC2 = EventNotification-Request
  *   0x0F = DataNotification (data-notification)
- *   0xC4 = GET.response (get-response-normal)
+ *   0xC4 = GET.response (normal, with-datablock, with-list)
  *   0x61 = AARE (association response)
  *   0x63 = RLRE (release response)
+ *   0xC8-0xCF, 0x21-0x2E = glo-ciphered APDUs (deciphered by the security context)
  *
  * @module protocol/dlms/apdu-parser
  */
 
-import { parseDlmsValue, parseCosemDateTime, parseObisCode, looksLikeCosemDateTime } from './data-types.js';
+import {
+  parseAxdrLength,
+  parseDlmsValue,
+  parseCosemDateTime,
+  parseObisCode,
+  looksLikeCosemDateTime,
+} from './data-types.js';
 import { lookupObis } from './obis-registry.js';
+import { scaleDlmsValue } from './scaler-unit.js';
+import { mapPushPayload } from './push-setup.js';
+import { isCipheredApdu } from './security.js';
 import { createChildLogger } from '../../utils/logger.js';
 
 const logger = createChildLogger({ module: 'dlms-apdu-parser' });
@@ -95,6 +105,35 @@ export const ACTION_RESULT_NAMES = {
   250: 'other-reason',
 };
 
+/**
+ * AARE association-result values (IEC 62056-5-3)
+ */
+export const ASSOCIATION_RESULT_NAMES = {
+  0: 'accepted',
+  1: 'rejected-permanent',
+  2: 'rejected-transient',
+};
+
+/**
+ * AARE result-source-diagnostic values, per diagnostic source
+ */
+export const ASSOCIATION_DIAGNOSTIC_NAMES = {
+  'acse-service-user': {
+    0: 'null',
+    1: 'no-reason-given',
+    2: 'application-context-name-not-supported',
+    11: 'authentication-mechanism-name-not-recognised',
+    12: 'authentication-mechanism-name-required',
+    13: 'authentication-failure',
+    14: 'authentication-required',
+  },
+  'acse-service-provider': {
+    0: 'null',
+    1: 'no-reason-given',
+    2: 'no-common-acse-version',
+  },
+};
+
 /**
  * Parse a DLMS APDU and dispatch to the appropriate handler
  *
@@ -109,6 +148,11 @@ export const parseApdu = (buffer) => {
   const tag = buffer[0];
   const tagName = APDU_TAG_NAMES[tag] || `Unknown(0x${tag.toString(16)})`;
 
+  if (isCipheredApdu(buffer)) {
+    // No security context to decipher it (e.g. association not set up by us)
+    return { type: 'ciphered', tag, tagName: `glo-ciphered(0x${tag.toString(16)})`, raw: buffer };
+  }
+
   switch (tag) {
     case APDU_TAGS.EVENT_NOTIFICATION:
       return parseEventNotification(buffer);
@@ -134,6 +178,9 @@ export const parseApdu = (buffer) => {
     case APDU_TAGS.GET_REQUEST:
       return { type: 'get-request', tag, tagName, raw: buffer };
 
+    case APDU_TAGS.SET_RESPONSE:
+      return parseSetResponse(buffer);
+
     case APDU_TAGS.ACTION_REQUEST:
       return { type: 'action-request', tag, tagName, raw: buffer };
 
@@ -333,8 +380,18 @@ export const parseDataNotification = (buffer) => {
  *   0x02 = get-response-with-datablock
  *   0x03 = get-response-with-list
  *
+ * A get-response-with-datablock carries one block of a long GET:
+ *   [last-block: 1] [block-number: uint32] [choice: 0 = raw-data, 1 = data-access-result]
+ *   raw-data is an octet string holding the next slice of the encoded value;
+ *   the slices are joined by the requester (see services/dlms-transfer) and
+ *   parsed once the last block arrives.
+ *
+ * A get-response-with-list answers a GET.request-with-list in request order:
+ *   [count: A-XDR length] then per attribute [choice: 0 = data, 1 = data-access-result] [...]
+ *
  * @param {Buffer} buffer - APDU starting with 0xC4
- * @returns {Object} Parsed GET response
+ * @returns {Object} Parsed GET response (with `block` for a datablock response,
+ *   `results` for a list response)
  */
 export const parseGetResponse = (buffer) => {
   const result = {
@@ -396,6 +453,55 @@ export const parseGetResponse = (buffer) => {
           }
         }
       }
+    } else if (result.responseType === 0x02 && buffer.length >= pos + 6) {
+      // get-response-with-datablock: DataBlock-G
+      const lastBlock = buffer[pos] !== 0x00;
+      const blockNumber = buffer.readUInt32BE(pos + 1);
+      const choice = buffer[pos + 5];
+      pos += 6;
+
+      if (choice === 0x00) {
+        const { length, bytesConsumed } = parseAxdrLength(buffer, pos);
+        pos += bytesConsumed;
+        if (buffer.length < pos + length) {
+          throw new Error(`Data block ${blockNumber} truncated`);
+        }
+        result.accessResult = 'success';
+        result.block = { lastBlock, blockNumber, rawData: buffer.subarray(pos, pos + length) };
+      } else if (choice === 0x01 && buffer.length > pos) {
+        const errorCode = buffer[pos];
+        const errorName = DATA_ACCESS_RESULT_NAMES[errorCode] || `unknown(${errorCode})`;
+        result.accessResult = 'error';
+        result.block = { lastBlock, blockNumber, rawData: null };
+        result.data = { errorCode, errorName };
+        logger.warn('GET.response data block error', {
+          invokeId: result.invokeId,
+          blockNumber,
+          errorCode,
+          errorName,
+        });
+      }
+    } else if (result.responseType === 0x03 && buffer.length > pos) {
+      // get-response-with-list: one Get-Data-Result per requested attribute
+      const { length: count, bytesConsumed } = parseAxdrLength(buffer, pos);
+      pos += bytesConsumed;
+      result.results = [];
+      for (let i = 0; i < count; i++) {
+        const choice = buffer[pos];
+        if (choice === 0x00) {
+          const value = parseDlmsValue(buffer, pos + 1);
+          result.results.push({ accessResult: 'success', data: value });
+          pos += 1 + value.bytesConsumed;
+        } else if (choice === 0x01 && buffer.length > pos + 1) {
+          const errorCode = buffer[pos + 1];
+          const errorName = DATA_ACCESS_RESULT_NAMES[errorCode] || `unknown(${errorCode})`;
+          result.results.push({ accessResult: 'error', data: { errorCode, errorName } });
+          pos += 2;
+        } else {
+          throw new Error(`List result ${i + 1} of ${count} truncated`);
+        }
+      }
+      result.accessResult = 'success';
     }
   } catch (err) {
     logger.warn('GET.response parse error', { error: err.message });
@@ -405,9 +511,49 @@ export const parseGetResponse = (buffer) => {
   return result;
 };
 
+/**
+ * Parse SET.response APDU (tag 0xC5)
+ *
+ * Structure (set-response-normal):
+ *   [0xC5] [response-type: 1 byte] [invoke-id: 1 byte] [data-access-result: 1 byte]
+ *
+ * @param {Buffer} buffer - APDU starting with 0xC5
+ * @returns {Object} Parsed SET response
+ */
+export const parseSetResponse = (buffer) => {
+  const result = {
+    type: 'set-response',
+    tag: APDU_TAGS.SET_RESPONSE,
+    tagName: 'SET.response',
+    responseType: buffer.length > 1 ? buffer[1] : null,
+    invokeId: buffer.length > 2 ? buffer[2] : null,
+    accessResult: null,
+    accessResultName: null,
+    success: false,
+    raw: buffer,
+  };
+
+  if (result.responseType === 0x01 && buffer.length > 3) {
+    result.accessResult = buffer[3];
+    result.accessResultName =
+      DATA_ACCESS_RESULT_NAMES[result.accessResult] || `unknown(${result.accessResult})`;
+    result.success = result.accessResult === 0;
+  }
+
+  return result;
+};
+
 /**
  * Parse AARE (Association Response) APDU (tag 0x61)
  *
+ * Walks the BER-TLV fields for the association result, the
+ * result-source-diagnostic (why an association was rejected, e.g.
+ * authentication-failure), the mechanism-name and the negotiated
+ * InitiateResponse parameters. For HLS the meter's system title
+ * (responding-AP-title) and StoC challenge (responding-authentication-value)
+ * are returned as well; a glo-ciphered InitiateResponse is left in
+ * cipheredInitiateResponse for the security context to decipher.
+ *
  * @param {Buffer} buffer - APDU starting with 0x61
  * @returns {Object} Parsed AARE
  */
@@ -417,28 +563,74 @@ export const parseAare = (buffer) => {
     tag: APDU_TAGS.AARE,
     tagName: 'AARE',
     accepted: false,
+    associationResult: null,
+    associationResultName: null,
+    diagnosticSource: null,
+    diagnostic: null,
+    diagnosticName: null,
+    mechanism: null,
+    respondingApTitle: null,
+    respondingAuthenticationValue: null,
+    cipheredInitiateResponse: null,
     raw: buffer,
   };
 
   try {
-    // AARE is BER-TLV encoded. Basic extraction:
-    // After tag and length, look for result field (tag 0xA2)
-    // Result source diagnostic contains acceptance info
-    // For now, do a simple scan for the association-result value
-    // association-result: 0 = accepted, 1 = rejected-permanent, 2 = rejected-transient
-    for (let i = 2; i < buffer.length - 2; i++) {
-      // Look for context tag [2] (result) followed by integer
-      if (buffer[i] === 0xA2) {
-        const len = buffer[i + 1];
-        if (len >= 3 && i + 2 + len <= buffer.length) {
-          // Inside should be INTEGER with the result value
-          if (buffer[i + 2] === 0x02 && buffer[i + 3] >= 1) {
-            const associationResult = buffer[i + 4];
-            result.associationResult = associationResult;
-            result.accepted = associationResult === 0;
-            break;
+    let pos = buffer.length > 1 && buffer[1] & 0x80 ? 2 + (buffer[1] & 0x7F) : 2;
+
+    while (pos + 2 <= buffer.length) {
+      const fieldTag = buffer[pos];
+      const value = buffer.subarray(pos + 2, pos + 2 + buffer[pos + 1]);
+      pos += 2 + buffer[pos + 1];
+
+      switch (fieldTag) {
+        case 0xA2: // result [2]: INTEGER
+          if (value[0] === 0x02 && value.length >= 3) {
+            result.associationResult = value[2];
+            result.associationResultName =
+              ASSOCIATION_RESULT_NAMES[value[2]] || `unknown(${value[2]})`;
+            result.accepted = value[2] === 0;
+          }
+          break;
+        case 0xA3: { // result-source-diagnostic [3]: CHOICE of user [1] / provider [2]
+          const source = value[0] === 0xA1 ? 'acse-service-user' : 'acse-service-provider';
+          if (value.length >= 5 && value[2] === 0x02) {
+            result.diagnosticSource = source;
+            result.diagnostic = value[4];
+            result.diagnosticName =
+              ASSOCIATION_DIAGNOSTIC_NAMES[source][value[4]] || `unknown(${value[4]})`;
+          }
+          break;
+        }
+        case 0xA4: // responding-AP-title [4]: OCTET STRING with the meter's system title
+          if (value[0] === 0x04 && value.length > 2) {
+            result.respondingApTitle = Buffer.from(value.subarray(2, 2 + value[1]));
+          }
+          break;
+        case 0x89: // mechanism-name [9]: OID, last arc is the mechanism id
+          if (value.length > 0) {
+            result.mechanism = value[value.length - 1];
           }
+          break;
+        case 0xAA: // responding-authentication-value [10]: charstring [0] with StoC
+          if (value[0] === 0x80 && value.length > 2) {
+            result.respondingAuthenticationValue = Buffer.from(value.subarray(2, 2 + value[1]));
+          }
+          break;
+        case 0xBE: {
+          // user-information [30]: OCTET STRING with InitiateResponse
+          if (value[0] === 0x04 && value.length > 2) {
+            const userInformation = value.subarray(2, 2 + value[1]);
+            if (isCipheredApdu(userInformation)) {
+              result.cipheredInitiateResponse = Buffer.from(userInformation);
+            } else {
+              Object.assign(result, parseInitiateResponse(userInformation));
+            }
+          }
+          break;
         }
+        default:
+          break;
       }
     }
   } catch (err) {
@@ -449,6 +641,58 @@ export const parseAare = (buffer) => {
   return result;
 };
 
+/**
+ * Parse the xDLMS InitiateResponse (or ConfirmedServiceError) from AARE user-information
+ *
+ * @param {Buffer} buffer - Decoded (and deciphered) user-information
+ * @returns {Object} Negotiated parameters
+ */
+export const parseInitiateResponse = (buffer) => {
+  if (buffer[0] === 0x0E) {
+    // ConfirmedServiceError: service, error type, error value
+    return { initiateError: { service: buffer[1], errorType: buffer[2], error: buffer[3] } };
+  }
+  if (buffer[0] !== 0x08) {
+    return {};
+  }
+
+  // negotiated-quality-of-service is optional (presence byte, then value)
+  let pos = buffer[1] ? 3 : 2;
+  const negotiatedDlmsVersion = buffer[pos++];
+  // negotiated-conformance: 5F 1F 04 00 + 24 bits
+  pos += 4;
+  if (pos + 5 > buffer.length) {
+    return { negotiatedDlmsVersion };
+  }
+
+  return {
+    negotiatedDlmsVersion,
+    negotiatedConformance: buffer.readUIntBE(pos, 3),
+    serverMaxReceivePduSize: buffer.readUInt16BE(pos + 3),
+  };
+};
+
+/**
+ * Describe the outcome of an association attempt for error messages
+ *
+ * @param {Object|null} aare - Parsed AARE, or null when none arrived
+ * @returns {string} 'accepted', 'timeout', or the result with its diagnostic
+ *   (e.g. 'rejected-permanent: authentication-failure')
+ */
+export const describeAssociationResult = (aare) => {
+  if (!aare) {
+    return 'timeout';
+  }
+  if (aare.accepted) {
+    return 'accepted';
+  }
+
+  const resultName = aare.associationResultName || 'rejected';
+  const diagnostic =
+    aare.diagnosticName && aare.diagnosticName !== 'null' ? aare.diagnosticName : null;
+  return diagnostic ? `${resultName}: ${diagnostic}` : resultName;
+};
+
 /**
  * Parse ExceptionResponse APDU (tag 0xD8)
  *
@@ -520,14 +764,23 @@ export const parseActionResponse = (buffer) => {
       pos += 1;
     }
 
-    // Optional return data (only present if action-result == 0 and data follows)
+    // Optional return-parameters (only present if action-result == 0 and data follows):
+    // presence flag, then Get-Data-Result CHOICE: data [0] or data-access-result [1]
     if (result.success && buffer.length > pos) {
       const returnDataPresent = buffer[pos];
       pos += 1;
 
-      if (returnDataPresent !== 0x00 && buffer.length > pos) {
+      if (returnDataPresent !== 0x00 && buffer.length > pos + 1) {
+        const choice = buffer[pos];
+        pos += 1;
         try {
-          result.data = parseDlmsValue(buffer, pos);
+          if (choice === 0x00) {
+            result.data = parseDlmsValue(buffer, pos);
+          } else {
+            const errorCode = buffer[pos];
+            const errorName = DATA_ACCESS_RESULT_NAMES[errorCode] || `unknown(${errorCode})`;
+            result.data = { errorCode, errorName };
+          }
         } catch (err) {
           logger.debug('Failed to parse ACTION.response return data', { error: err.message });
           result.data = { raw: buffer.subarray(pos) };
@@ -547,17 +800,22 @@ export const parseActionResponse = (buffer) => {
  * Converts DLMS data into the format expected by the gateway publisher
  *
  * @param {Object} parsedApdu - Result from parseApdu()
+ * @param {Object} [options] - Options
+ * @param {Function} [options.scalerUnitFor] - (obisCode) => { scaler, unit }|null, the
+ *   meter's scaler_unit for a register; registry scalers are used without one
+ * @param {Function} [options.pushObjectListFor] - (fields) => Object[]|null, the
+ *   push_object_list a DataNotification's fields were pushed by, to name its readings
  * @returns {Object|null} Telemetry data or null if not telemetry-relevant
  */
-export const extractTelemetry = (parsedApdu) => {
+export const extractTelemetry = (parsedApdu, options = {}) => {
   if (!parsedApdu) return null;
 
   if (parsedApdu.type === 'event-notification') {
-    return extractEventNotificationTelemetry(parsedApdu);
+    return extractEventNotificationTelemetry(parsedApdu, options);
   }
 
   if (parsedApdu.type === 'data-notification') {
-    return extractDataNotificationTelemetry(parsedApdu);
+    return extractDataNotificationTelemetry(parsedApdu, options);
   }
 
   if (parsedApdu.type === 'get-response' && parsedApdu.accessResult === 'success') {
@@ -575,7 +833,7 @@ export const extractTelemetry = (parsedApdu) => {
  * Extract telemetry from EventNotification
  * @private
  */
-const extractEventNotificationTelemetry = (parsed) => {
+const extractEventNotificationTelemetry = (parsed, { scalerUnitFor } = {}) => {
   const result = {
     source: 'dlms',
     type: 'event-notification',
@@ -589,8 +847,7 @@ const extractEventNotificationTelemetry = (parsed) => {
   if (parsed.obisInfo && parsed.data) {
     const value = parsed.data.value !== undefined ? parsed.data.value : parsed.data;
     result.readings[parsed.obisInfo.key] = {
-      value,
-      unit: parsed.obisInfo.unit,
+      ...scaleDlmsValue(value, parsed.obisCode, scalerUnitFor?.(parsed.obisCode)),
       obis: parsed.obisCode,
     };
   }
@@ -600,9 +857,12 @@ const extractEventNotificationTelemetry = (parsed) => {
 
 /**
  * Extract telemetry from DataNotification
+ *
+ * Fields are named by the push_object_list that produced them when known,
+ * else by their data type.
  * @private
  */
-const extractDataNotificationTelemetry = (parsed) => {
+const extractDataNotificationTelemetry = (parsed, { scalerUnitFor, pushObjectListFor } = {}) => {
   const result = {
     source: 'dlms',
     type: 'data-notification',
@@ -612,27 +872,59 @@ const extractDataNotificationTelemetry = (parsed) => {
     data: parsed.data,
   };
 
-  // If data is a structure or array, try to extract individual values
-  if (parsed.data && parsed.data.typeName === 'STRUCTURE' && Array.isArray(parsed.data.value)) {
-    for (const field of parsed.data.value) {
-      if (field && field.value !== undefined) {
-        result.readings[field.typeName || 'value'] = field.value;
-      }
+  const fields = notificationFields(parsed.data);
+  const objectList = fields.length > 0 ? pushObjectListFor?.(fields) : null;
+  if (objectList) {
+    const pushed = mapPushPayload(fields, objectList, { scalerUnitFor });
+    result.timestamp = result.timestamp || pushed.timestamp;
+    result.readings = pushed.readings;
+    return result;
+  }
+
+  for (const [i, field] of fields.entries()) {
+    if (field && field.value !== undefined) {
+      const name = field.typeName || 'value';
+      result.readings[name in result.readings ? `${name}_${i}` : name] = { value: field.value };
     }
   }
 
   return result;
 };
 
+/**
+ * Typed fields of a DataNotification body: the fields of a structure, or
+ * of the newest (last) row of an array or compact array of structures
+ * @private
+ */
+const notificationFields = (data) => {
+  if (!Array.isArray(data?.value)) {
+    return [];
+  }
+  if (data.typeName === 'STRUCTURE') {
+    return data.value;
+  }
+  if (data.typeName === 'ARRAY' || data.typeName === 'COMPACT_ARRAY') {
+    // Structure elements are lists of typed fields; other elements are plain values
+    const row = data.value.at(-1);
+    return Array.isArray(row) && row.every((field) => field?.typeName) ? row : [];
+  }
+  return [];
+};
+
 export default {
   APDU_TAGS,
   DATA_ACCESS_RESULT_NAMES,
   ACTION_RESULT_NAMES,
+  ASSOCIATION_RESULT_NAMES,
+  ASSOCIATION_DIAGNOSTIC_NAMES,
   parseApdu,
   parseEventNotification,
   parseDataNotification,
   parseGetResponse,
+  parseSetResponse,
   parseAare,
+  parseInitiateResponse,
+  describeAssociationResult,
   parseActionResponse,
   parseExceptionResponse,
   extractTelemetry,
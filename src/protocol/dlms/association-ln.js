@@ -0,0 +1,104 @@
+/**
+ * DLMS/COSEM Association LN (class 15)
+ *
+ * The current association (0-0:40.0.0.255) lists every object the client
+ * may use in its object_list (attribute 2), so reading it tells which OBIS
+ * codes a meter supports without probing them one by one:
+ *
+ *   object_list_element: structure {
+ *     class_id: long-unsigned, version: unsigned, logical_name: octet-string(6),
+ *     access_rights: structure {
+ *       attribute_access: array of { attribute_id, access_mode: enum, access_selectors },
+ *       method_access: array of { method_id, access_mode: boolean (v0) | enum (v1+) }
+ *     }
+ *   }
+ *
+ * @module protocol/dlms/association-ln
+ */
+
+import { DLMS_DATA_TYPES, parseObisCode } from './data-types.js';
+
+/**
+ * Association LN class ID, attributes and the current association object
+ */
+export const ASSOCIATION_LN = {
+  CLASS_ID: 15,
+  OBJECT_LIST: 2,
+  CURRENT: '0-0:40.0.0.255',
+};
+
+/**
+ * Attribute access modes
+ */
+export const ATTRIBUTE_ACCESS_MODES = {
+  0: 'no-access',
+  1: 'read-only',
+  2: 'write-only',
+  3: 'read-and-write',
+  4: 'authenticated-read-only',
+  5: 'authenticated-write-only',
+  6: 'authenticated-read-and-write',
+};
+
+/**
+ * Method access modes (Association LN version 1 and later)
+ */
+export const METHOD_ACCESS_MODES = {
+  0: 'no-access',
+  1: 'access',
+  2: 'authenticated-access',
+};
+
+/**
+ * Parse one access item list (attribute_access or method_access)
+ * @private
+ */
+const parseAccessItems = (field, names) => {
+  if (field?.type !== DLMS_DATA_TYPES.ARRAY) {
+    return [];
+  }
+  return field.value.map(([id, mode, selectors]) => {
+    // Version 0 method access is a boolean
+    const access = typeof mode?.value === 'boolean' ? Number(mode.value) : mode?.value;
+    const item = { id: id?.value, access: names[access] ?? `unknown(${access})` };
+    if (Array.isArray(selectors?.value)) {
+      item.selectors = selectors.value;
+    }
+    return item;
+  });
+};
+
+/**
+ * Parse object_list (attribute 2)
+ *
+ * @param {Object} data - Parsed DLMS value of the attribute (array of structures)
+ * @returns {Object[]} Objects: { classId, version, obisCode, attributes, methods }, with
+ *   attributes and methods lists of { id, access[, selectors] }
+ * @throws {Error} If the value is not an array of object list elements
+ */
+export const parseObjectList = (data) => {
+  if (data?.type !== DLMS_DATA_TYPES.ARRAY) {
+    throw new Error('object_list is not an array');
+  }
+  return data.value.map((fields, i) => {
+    const [classId, version, logicalName, accessRights] = fields ?? [];
+    if (!Buffer.isBuffer(logicalName?.value) || logicalName.value.length !== 6) {
+      throw new Error(`object_list entry ${i} is not an object list element`);
+    }
+    const [attributeAccess, methodAccess] = accessRights?.value ?? [];
+    return {
+      classId: classId.value,
+      version: version?.value ?? 0,
+      obisCode: parseObisCode(logicalName.value),
+      attributes: parseAccessItems(attributeAccess, ATTRIBUTE_ACCESS_MODES),
+      methods: parseAccessItems(methodAccess, METHOD_ACCESS_MODES),
+    };
+  });
+};
+
+export default {
+  ASSOCIATION_LN,
+  ATTRIBUTE_ACCESS_MODES,
+  METHOD_ACCESS_MODES,
+  parseObjectList,
+};
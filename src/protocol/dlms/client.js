@@ -1,5 +1,5 @@
 /**
- * DLMS/COSEM Client - AARQ, GET.request, and Release builders
+ * DLMS/COSEM Client - AARQ, GET.request, SET.request, ACTION.request, and Release builders
  *
  * Builds DLMS APDUs for initiating associations and querying meter registers.
  * Used by the DLMS probe and active polling when the meter supports queries.
@@ -8,6 +8,7 @@
  */
 
 import { wrapIvyPacket, IVY_DESTINATIONS } from '../ivy-wrapper.js';
+import { encodeAxdrLength, encodeDlmsValue } from './data-types.js';
 import { config } from '../../config/index.js';
 
 /**
@@ -20,19 +21,81 @@ export const APPLICATION_CONTEXT = {
   SN_WITH_CIPHER: Buffer.from([0x60, 0x85, 0x74, 0x05, 0x08, 0x01, 0x04]),
 };
 
+/**
+ * Authentication mechanisms (last arc of the mechanism-name OID 2.16.756.5.8.2.x)
+ */
+export const AUTHENTICATION_MECHANISMS = {
+  NONE: 0,
+  LLS: 1, // Low Level Security: password sent in the AARQ
+  HLS_GMAC: 5, // High Level Security: challenges answered with AES-GMAC (security suite 0)
+};
+
+/**
+ * Well-known client SAPs (HDLC client address / WPDU client wPort)
+ */
+export const CLIENT_ADDRESSES = {
+  MANAGEMENT: 0x01,
+  PUBLIC: 0x10,
+};
+
+/**
+ * xDLMS conformance block bits, as masks of the 24-bit negotiated-conformance
+ * (bit 0 of the block is the most significant)
+ */
+export const CONFORMANCE = {
+  BLOCK_TRANSFER_WITH_GET: 0x001000,
+  BLOCK_TRANSFER_WITH_SET: 0x000800,
+  BLOCK_TRANSFER_WITH_ACTION: 0x000400,
+  MULTIPLE_REFERENCES: 0x000200, // GET/SET-with-list
+  GET: 0x000010,
+  SET: 0x000008,
+  SELECTIVE_ACCESS: 0x000004,
+  ACTION: 0x000001,
+};
+
+/**
+ * mechanism-name OID prefix (joint-iso-ccitt(2) country(16) country-name(756)
+ * identified-organization(5) DLMS-UA(8) authentication-mechanism-name(2))
+ */
+const MECHANISM_NAME_PREFIX = [0x60, 0x85, 0x74, 0x05, 0x08, 0x02];
+
+/**
+ * Longest password that keeps the AARQ within single-byte BER lengths
+ */
+const MAX_PASSWORD_LENGTH = 64;
+
 /**
  * Build an AARQ (Association Request) APDU
  *
+ * With LLS the AARQ also carries sender-acse-requirements (authentication),
+ * mechanism-name and calling-authentication-value (the password). With
+ * HLS-GMAC it carries our system title as calling-AP-title, the CtoS
+ * challenge as calling-authentication-value and a glo-ciphered
+ * InitiateRequest, in the ciphered application context.
+ *
  * @param {Object} [options] - AARQ options
- * @param {Buffer} [options.applicationContext] - Application context OID
- * @param {number} [options.clientAddress=0x10] - Client address (public=0x10)
+ * @param {Buffer} [options.applicationContext] - Application context OID (default: LN,
+ *   ciphered when a security context is given)
  * @param {boolean} [options.proposedDlmsVersion=6] - Proposed DLMS version
+ * @param {number} [options.authentication] - AUTHENTICATION_MECHANISMS value (default: LLS
+ *   when a password is given, otherwise none)
+ * @param {string|Buffer} [options.password] - LLS password
+ * @param {import('./security.js').DlmsSecurityContext} [options.security] - HLS-GMAC security
+ *   context, used for the system title and to cipher the InitiateRequest
+ * @param {Buffer} [options.challenge] - HLS-GMAC CtoS challenge
  * @returns {Buffer} AARQ APDU bytes
+ * @throws {Error} If the mechanism is unsupported or its credentials are missing or invalid
  */
 export const buildAarq = (options = {}) => {
   const {
-    applicationContext = APPLICATION_CONTEXT.LN_NO_CIPHER,
+    security = null,
+    challenge = null,
+    applicationContext = security
+      ? APPLICATION_CONTEXT.LN_WITH_CIPHER
+      : APPLICATION_CONTEXT.LN_NO_CIPHER,
     proposedDlmsVersion = 6,
+    password = null,
+    authentication = password ? AUTHENTICATION_MECHANISMS.LLS : AUTHENTICATION_MECHANISMS.NONE,
   } = options;
 
   // Build the AARQ body using BER-TLV encoding
@@ -46,11 +109,18 @@ export const buildAarq = (options = {}) => {
   parts.push(Buffer.from([0xA1, ctxValue.length]));
   parts.push(ctxValue);
 
-  // sender-acse-requirements [10] - authentication (bit 0)
-  // Optional - skip for public client
+  let initiateRequest = buildInitiateRequest(proposedDlmsVersion);
+
+  if (authentication === AUTHENTICATION_MECHANISMS.LLS) {
+    parts.push(...buildLlsFields(password));
+  } else if (authentication === AUTHENTICATION_MECHANISMS.HLS_GMAC) {
+    parts.push(...buildHlsFields(security, challenge));
+    initiateRequest = security.encrypt(initiateRequest);
+  } else if (authentication !== AUTHENTICATION_MECHANISMS.NONE) {
+    throw new Error(`Unsupported authentication mechanism: ${authentication}`);
+  }
 
   // user-information [30] - InitiateRequest
-  const initiateRequest = buildInitiateRequest(proposedDlmsVersion);
   const userInfoOctet = Buffer.concat([
     Buffer.from([0x04, initiateRequest.length]),
     initiateRequest,
@@ -67,6 +137,93 @@ export const buildAarq = (options = {}) => {
   ]);
 };
 
+/**
+ * Build the AARQ authentication fields for Low Level Security
+ * @private
+ */
+const buildLlsFields = (password) => {
+  const secret = Buffer.isBuffer(password) ? password : Buffer.from(password || '', 'ascii');
+  if (secret.length === 0) {
+    throw new Error('LLS authentication requires a password');
+  }
+  if (secret.length > MAX_PASSWORD_LENGTH) {
+    throw new Error(`LLS password too long: ${secret.length} bytes (max ${MAX_PASSWORD_LENGTH})`);
+  }
+
+  return [
+    // sender-acse-requirements [10]: BIT STRING, authentication (bit 0) set
+    Buffer.from([0x8A, 0x02, 0x07, 0x80]),
+    // mechanism-name [11]
+    Buffer.from([0x8B, 0x07, ...MECHANISM_NAME_PREFIX, AUTHENTICATION_MECHANISMS.LLS]),
+    // calling-authentication-value [12]: charstring [0]
+    Buffer.from([0xAC, secret.length + 2, 0x80, secret.length]),
+    secret,
+  ];
+};
+
+/**
+ * Build the AARQ authentication fields for HLS-GMAC
+ * @private
+ */
+const buildHlsFields = (security, challenge) => {
+  if (!security || !challenge) {
+    throw new Error('HLS-GMAC authentication requires a security context and a challenge');
+  }
+
+  return [
+    // calling-AP-title [6]: OCTET STRING with our system title
+    Buffer.from([0xA6, security.systemTitle.length + 2, 0x04, security.systemTitle.length]),
+    security.systemTitle,
+    // sender-acse-requirements [10]: BIT STRING, authentication (bit 0) set
+    Buffer.from([0x8A, 0x02, 0x07, 0x80]),
+    // mechanism-name [11]
+    Buffer.from([0x8B, 0x07, ...MECHANISM_NAME_PREFIX, AUTHENTICATION_MECHANISMS.HLS_GMAC]),
+    // calling-authentication-value [12]: charstring [0] with the CtoS challenge
+    Buffer.from([0xAC, challenge.length + 2, 0x80, challenge.length]),
+    challenge,
+  ];
+};
+
+/**
+ * Resolve how the gateway associates with a meter
+ *
+ * Per-meter entries in config.dlms.meterCredentials override the global
+ * client address and password. A password selects LLS authentication.
+ * Per-meter keys in config.dlms.meterKeys, or DLMS_AUTHENTICATION=hls-gmac
+ * with the global keys, select HLS-GMAC.
+ *
+ * @param {string} meterId - Meter address
+ * @returns {{clientAddress: number, password: string|null, authentication: number,
+ *   keys: {systemTitle: string, blockCipherKey: string, authenticationKey: string}|null}}
+ */
+export const resolveAssociation = (meterId) => {
+  const meter = config.dlms?.meterCredentials?.[meterId];
+  const meterKeys = config.dlms?.meterKeys?.[meterId];
+  const clientAddress =
+    meter?.clientAddress ?? config.dlms?.clientAddress ?? CLIENT_ADDRESSES.PUBLIC;
+
+  if (meterKeys || config.dlms?.authentication === 'hls-gmac') {
+    return {
+      clientAddress,
+      password: null,
+      authentication: AUTHENTICATION_MECHANISMS.HLS_GMAC,
+      keys: {
+        systemTitle: config.dlms?.systemTitle,
+        blockCipherKey: meterKeys?.blockCipherKey ?? config.dlms?.blockCipherKey,
+        authenticationKey: meterKeys?.authenticationKey ?? config.dlms?.authenticationKey,
+      },
+    };
+  }
+
+  const password = meter?.password ?? (config.dlms?.password || null);
+  return {
+    clientAddress,
+    password,
+    authentication: password ? AUTHENTICATION_MECHANISMS.LLS : AUTHENTICATION_MECHANISMS.NONE,
+    keys: null,
+  };
+};
+
 /**
  * Build InitiateRequest for AARQ user-information
  * @private
@@ -93,12 +250,21 @@ const buildInitiateRequest = (dlmsVersion) => {
  * @param {string} obisCode - OBIS code in "A-B:C.D.E.F" format
  * @param {number} [attributeIndex=2] - Attribute index (2=value for most classes)
  * @param {number} [invokeId=1] - Invoke ID for request/response matching
+ * @param {Object} [accessSelection] - Selective access (e.g. a profile buffer range)
+ * @param {number} accessSelection.selector - Access selector defined by the class
+ * @param {Object} accessSelection.parameters - Typed value for encodeDlmsValue()
  * @returns {Buffer} GET.request APDU bytes
  */
-export const buildGetRequest = (classId, obisCode, attributeIndex = 2, invokeId = 1) => {
+export const buildGetRequest = (
+  classId,
+  obisCode,
+  attributeIndex = 2,
+  invokeId = 1,
+  accessSelection = null
+) => {
   const obisBytes = obisToBytes(obisCode);
 
-  return Buffer.from([
+  const request = Buffer.from([
     0xC0, // GET.request tag
     0x01, // get-request-normal
     invokeId & 0xFF, // invoke-id-and-priority
@@ -108,6 +274,98 @@ export const buildGetRequest = (classId, obisCode, attributeIndex = 2, invokeId
     attributeIndex, // attribute-id (int8)
     0x00, // access-selection: not present
   ]);
+  if (!accessSelection) {
+    return request;
+  }
+
+  request[request.length - 1] = 0x01; // access-selection present
+  return Buffer.concat([
+    request,
+    Buffer.from([accessSelection.selector]),
+    encodeDlmsValue(accessSelection.parameters),
+  ]);
+};
+
+/**
+ * Build a GET.request-next APDU asking for the next block of a long GET
+ *
+ * @param {number} blockNumber - Number of the last block received
+ * @param {number} [invokeId=1] - Invoke ID of the original GET.request
+ * @returns {Buffer} GET.request APDU bytes (7 bytes)
+ */
+export const buildGetRequestNext = (blockNumber, invokeId = 1) => {
+  return Buffer.from([
+    0xC0, // GET.request tag
+    0x02, // get-request-next
+    invokeId & 0xFF, // invoke-id-and-priority
+    (blockNumber >>> 24) & 0xFF, (blockNumber >> 16) & 0xFF, // block-number (uint32)
+    (blockNumber >> 8) & 0xFF, blockNumber & 0xFF,
+  ]);
+};
+
+/**
+ * Build a GET.request-with-list APDU reading several attributes at once
+ *
+ * @param {Object[]} attributes - Attributes to read, answered in the same order
+ * @param {number} attributes[].classId - COSEM class ID
+ * @param {string} attributes[].obisCode - OBIS code in "A-B:C.D.E.F" format
+ * @param {number} [attributes[].attributeIndex=2] - Attribute index
+ * @param {number} [invokeId=1] - Invoke ID for request/response matching
+ * @returns {Buffer} GET.request APDU bytes (4 + 10 per attribute)
+ */
+export const buildGetRequestWithList = (attributes, invokeId = 1) => {
+  if (!attributes.length) {
+    throw new Error('GET.request-with-list needs at least one attribute');
+  }
+
+  const descriptors = attributes.map(({ classId, obisCode, attributeIndex = 2 }) =>
+    Buffer.from([
+      // cosem-attribute-descriptor:
+      (classId >> 8) & 0xFF, classId & 0xFF, // class-id (uint16)
+      ...obisToBytes(obisCode), // instance-id (6 bytes)
+      attributeIndex, // attribute-id (int8)
+      0x00, // access-selection: not present
+    ])
+  );
+
+  return Buffer.concat([
+    Buffer.from([
+      0xC0, // GET.request tag
+      0x03, // get-request-with-list
+      invokeId & 0xFF, // invoke-id-and-priority
+    ]),
+    encodeAxdrLength(attributes.length),
+    ...descriptors,
+  ]);
+};
+
+/**
+ * Build a SET.request-normal APDU
+ *
+ * @param {number} classId - COSEM class ID (e.g., 8=Clock)
+ * @param {string} obisCode - OBIS code in "A-B:C.D.E.F" format
+ * @param {number} attributeIndex - Attribute index to write
+ * @param {Buffer|Object} value - Encoded DLMS value (type tag + content), or a
+ *   typed value ({ type, value }) for encodeDlmsValue()
+ * @param {number} [invokeId=1] - Invoke ID for request/response matching
+ * @returns {Buffer} SET.request APDU bytes
+ */
+export const buildSetRequest = (classId, obisCode, attributeIndex, value, invokeId = 1) => {
+  const obisBytes = obisToBytes(obisCode);
+
+  return Buffer.concat([
+    Buffer.from([
+      0xC1, // SET.request tag
+      0x01, // set-request-normal
+      invokeId & 0xFF, // invoke-id-and-priority
+      // cosem-attribute-descriptor:
+      (classId >> 8) & 0xFF, classId & 0xFF, // class-id (uint16)
+      ...obisBytes, // instance-id (6 bytes)
+      attributeIndex, // attribute-id (int8)
+      0x00, // access-selection: not present
+    ]),
+    Buffer.isBuffer(value) ? value : encodeDlmsValue(value),
+  ]);
 };
 
 /**
@@ -117,20 +375,24 @@ export const buildGetRequest = (classId, obisCode, attributeIndex = 2, invokeId
  * @param {string} obisCode - OBIS code in "A-B:C.D.E.F" format
  * @param {number} methodId - Method index (e.g., 1=remote_disconnect, 2=remote_reconnect)
  * @param {number} [invokeId=1] - Invoke ID for request/response matching
- * @returns {Buffer} ACTION.request APDU bytes (13 bytes)
+ * @param {Buffer} [parameters] - Encoded DLMS value passed to the method
+ * @returns {Buffer} ACTION.request APDU bytes (13 bytes without parameters)
  */
-export const buildActionRequest = (classId, obisCode, methodId, invokeId = 1) => {
+export const buildActionRequest = (classId, obisCode, methodId, invokeId = 1, parameters = null) => {
   const obisBytes = obisToBytes(obisCode);
 
-  return Buffer.from([
-    0xC3, // ACTION.request tag
-    0x01, // action-request-normal
-    invokeId & 0xFF, // invoke-id-and-priority
-    // cosem-method-descriptor:
-    (classId >> 8) & 0xFF, classId & 0xFF, // class-id (uint16)
-    ...obisBytes, // instance-id (6 bytes)
-    methodId, // method-id (int8)
-    0x00, // method-invocation-parameters: not present
+  return Buffer.concat([
+    Buffer.from([
+      0xC3, // ACTION.request tag
+      0x01, // action-request-normal
+      invokeId & 0xFF, // invoke-id-and-priority
+      // cosem-method-descriptor:
+      (classId >> 8) & 0xFF, classId & 0xFF, // class-id (uint16)
+      ...obisBytes, // instance-id (6 bytes)
+      methodId, // method-id (int8)
+      parameters ? 0x01 : 0x00, // method-invocation-parameters: present / not present
+    ]),
+    parameters ?? Buffer.alloc(0),
   ]);
 };
 
@@ -197,8 +459,15 @@ export const obisToBytes = (obisCode) => {
 
 export default {
   APPLICATION_CONTEXT,
+  AUTHENTICATION_MECHANISMS,
+  CLIENT_ADDRESSES,
+  CONFORMANCE,
   buildAarq,
+  resolveAssociation,
   buildGetRequest,
+  buildGetRequestNext,
+  buildGetRequestWithList,
+  buildSetRequest,
   buildActionRequest,
   buildReleaseRequest,
   wrapDlmsForSending,
@@ -46,6 +46,51 @@ for (const [name, tag] of Object.entries(DLMS_DATA_TYPES)) {
   TYPE_NAMES[tag] = name;
 }
 
+/**
+ * Parse an A-XDR length (element count or byte length)
+ *
+ * Lengths below 0x80 take one byte; otherwise the low bits of the first
+ * byte give the number of length bytes that follow (e.g. 0x82 0x01 0x2C = 300).
+ *
+ * @param {Buffer} buffer - Buffer containing the length
+ * @param {number} [offset=0] - Offset of the first length byte
+ * @returns {{ length: number, bytesConsumed: number }}
+ */
+export const parseAxdrLength = (buffer, offset = 0) => {
+  if (offset >= buffer.length) {
+    throw new Error(`DLMS parse: length at offset ${offset} beyond buffer length ${buffer.length}`);
+  }
+
+  const first = buffer[offset];
+  if (first < 0x80) {
+    return { length: first, bytesConsumed: 1 };
+  }
+
+  const count = first & 0x7F;
+  if (count === 0 || count > 4 || offset + 1 + count > buffer.length) {
+    throw new Error(
+      `DLMS parse: invalid length encoding 0x${first.toString(16)} at offset ${offset}`
+    );
+  }
+  return { length: buffer.readUIntBE(offset + 1, count), bytesConsumed: 1 + count };
+};
+
+/**
+ * Encode an A-XDR length (element count or byte length)
+ *
+ * @param {number} length - Length to encode
+ * @returns {Buffer} One byte below 0x80, otherwise 0x81/0x82/0x84 followed by the length
+ */
+export const encodeAxdrLength = (length) => {
+  if (length < 0x80) return Buffer.from([length]);
+  if (length <= 0xFF) return Buffer.from([0x81, length]);
+  if (length <= 0xFFFF) return Buffer.from([0x82, length >> 8, length & 0xFF]);
+  const buf = Buffer.alloc(5);
+  buf[0] = 0x84;
+  buf.writeUInt32BE(length, 1);
+  return buf;
+};
+
 /**
  * Parse a single DLMS value from a buffer at the given offset
  *
@@ -109,32 +154,32 @@ export const parseDlmsValue = (buffer, offset = 0) => {
       return { value: buffer.readUInt8(pos), type: tag, typeName, bytesConsumed: 2 };
 
     case DLMS_DATA_TYPES.OCTET_STRING: {
-      const len = buffer[pos];
-      pos++;
+      const { length: len, bytesConsumed: lenSize } = parseAxdrLength(buffer, pos);
+      pos += lenSize;
       const octets = Buffer.from(buffer.subarray(pos, pos + len));
-      return { value: octets, type: tag, typeName, bytesConsumed: 2 + len };
+      return { value: octets, type: tag, typeName, bytesConsumed: 1 + lenSize + len };
     }
 
     case DLMS_DATA_TYPES.VISIBLE_STRING: {
-      const len = buffer[pos];
-      pos++;
+      const { length: len, bytesConsumed: lenSize } = parseAxdrLength(buffer, pos);
+      pos += lenSize;
       const str = buffer.subarray(pos, pos + len).toString('ascii');
-      return { value: str, type: tag, typeName, bytesConsumed: 2 + len };
+      return { value: str, type: tag, typeName, bytesConsumed: 1 + lenSize + len };
     }
 
     case DLMS_DATA_TYPES.UTF8_STRING: {
-      const len = buffer[pos];
-      pos++;
+      const { length: len, bytesConsumed: lenSize } = parseAxdrLength(buffer, pos);
+      pos += lenSize;
       const str = buffer.subarray(pos, pos + len).toString('utf8');
-      return { value: str, type: tag, typeName, bytesConsumed: 2 + len };
+      return { value: str, type: tag, typeName, bytesConsumed: 1 + lenSize + len };
     }
 
     case DLMS_DATA_TYPES.BIT_STRING: {
-      const bitCount = buffer[pos];
-      pos++;
+      const { length: bitCount, bytesConsumed: lenSize } = parseAxdrLength(buffer, pos);
+      pos += lenSize;
       const byteCount = Math.ceil(bitCount / 8);
       const bits = Buffer.from(buffer.subarray(pos, pos + byteCount));
-      return { value: bits, type: tag, typeName, bytesConsumed: 2 + byteCount };
+      return { value: bits, type: tag, typeName, bytesConsumed: 1 + lenSize + byteCount };
     }
 
     case DLMS_DATA_TYPES.DATE_TIME: {
@@ -173,10 +218,9 @@ export const parseDlmsValue = (buffer, offset = 0) => {
     }
 
     case DLMS_DATA_TYPES.ARRAY: {
-      const count = buffer[pos];
-      pos++;
+      const { length: count, bytesConsumed: lenSize } = parseAxdrLength(buffer, pos);
       const elements = [];
-      let totalConsumed = 2; // tag + count
+      let totalConsumed = 1 + lenSize; // tag + count
       for (let i = 0; i < count; i++) {
         const elem = parseDlmsValue(buffer, offset + totalConsumed);
         elements.push(elem.value);
@@ -186,10 +230,9 @@ export const parseDlmsValue = (buffer, offset = 0) => {
     }
 
     case DLMS_DATA_TYPES.STRUCTURE: {
-      const count = buffer[pos];
-      pos++;
+      const { length: count, bytesConsumed: lenSize } = parseAxdrLength(buffer, pos);
       const fields = [];
-      let totalConsumed = 2; // tag + count
+      let totalConsumed = 1 + lenSize; // tag + count
       for (let i = 0; i < count; i++) {
         const field = parseDlmsValue(buffer, offset + totalConsumed);
         fields.push(field);
@@ -198,11 +241,459 @@ export const parseDlmsValue = (buffer, offset = 0) => {
       return { value: fields, type: tag, typeName, bytesConsumed: totalConsumed };
     }
 
+    case DLMS_DATA_TYPES.COMPACT_ARRAY: {
+      const { description, bytesConsumed: descSize } = parseTypeDescription(buffer, pos);
+      pos += descSize;
+      const { length, bytesConsumed: lenSize } = parseAxdrLength(buffer, pos);
+      pos += lenSize;
+      const end = pos + length;
+      if (end > buffer.length) {
+        throw new Error(
+          `DLMS parse: compact-array contents of ${length} bytes beyond buffer length ${buffer.length}`
+        );
+      }
+      const elements = [];
+      while (pos < end) {
+        const elem = parseCompactContent(buffer, pos, end, description);
+        elements.push(elem.value);
+        pos += elem.bytesConsumed;
+      }
+      return {
+        value: elements,
+        type: tag,
+        typeName,
+        contentsDescription: description,
+        bytesConsumed: end - offset,
+      };
+    }
+
     default:
       throw new Error(`Unknown DLMS data type tag: 0x${tag.toString(16)} (${tag}) at offset ${offset}`);
   }
 };
 
+/**
+ * Content sizes of fixed-size types inside a compact array
+ * @private
+ */
+const FIXED_CONTENT_SIZES = {
+  [DLMS_DATA_TYPES.NULL_DATA]: 0,
+  [DLMS_DATA_TYPES.BOOLEAN]: 1,
+  [DLMS_DATA_TYPES.INT8]: 1,
+  [DLMS_DATA_TYPES.UINT8]: 1,
+  [DLMS_DATA_TYPES.ENUM]: 1,
+  [DLMS_DATA_TYPES.INT16]: 2,
+  [DLMS_DATA_TYPES.UINT16]: 2,
+  [DLMS_DATA_TYPES.INT32]: 4,
+  [DLMS_DATA_TYPES.UINT32]: 4,
+  [DLMS_DATA_TYPES.FLOAT32]: 4,
+  [DLMS_DATA_TYPES.INT64]: 8,
+  [DLMS_DATA_TYPES.UINT64]: 8,
+  [DLMS_DATA_TYPES.FLOAT64]: 8,
+  [DLMS_DATA_TYPES.DATE_TIME]: 12,
+  [DLMS_DATA_TYPES.DATE]: 5,
+  [DLMS_DATA_TYPES.TIME]: 4,
+};
+
+/**
+ * Parse a compact-array contents-description (TypeDescription)
+ *
+ *   simple type: [tag]
+ *   array:       [01] [number-of-elements: 2] [type-description]
+ *   structure:   [02] [number-of-fields: A-XDR length] [type-description] * count
+ *
+ * @private
+ * @returns {{ description: Object, bytesConsumed: number }} description is { type } for
+ *   simple types, { type: ARRAY, count, element } or { type: STRUCTURE, fields }
+ */
+const parseTypeDescription = (buffer, offset) => {
+  if (offset >= buffer.length) {
+    throw new Error(`DLMS parse: type description at offset ${offset} beyond buffer length`);
+  }
+
+  const tag = buffer[offset];
+  if (tag === DLMS_DATA_TYPES.ARRAY) {
+    if (offset + 3 > buffer.length) {
+      throw new Error(`DLMS parse: array type description at offset ${offset} truncated`);
+    }
+    const count = buffer.readUInt16BE(offset + 1);
+    const element = parseTypeDescription(buffer, offset + 3);
+    return {
+      description: { type: tag, count, element: element.description },
+      bytesConsumed: 3 + element.bytesConsumed,
+    };
+  }
+
+  if (tag === DLMS_DATA_TYPES.STRUCTURE) {
+    const { length: count, bytesConsumed: lenSize } = parseAxdrLength(buffer, offset + 1);
+    const fields = [];
+    let totalConsumed = 1 + lenSize;
+    for (let i = 0; i < count; i++) {
+      const field = parseTypeDescription(buffer, offset + totalConsumed);
+      fields.push(field.description);
+      totalConsumed += field.bytesConsumed;
+    }
+    return { description: { type: tag, fields }, bytesConsumed: totalConsumed };
+  }
+
+  if (FIXED_CONTENT_SIZES[tag] === undefined && !TYPE_NAMES[tag]?.endsWith('STRING')) {
+    throw new Error(
+      `DLMS parse: 0x${tag.toString(16)} is not a compact-array element type (offset ${offset})`
+    );
+  }
+  return { description: { type: tag }, bytesConsumed: 1 };
+};
+
+/**
+ * Parse one value of a compact array's contents (no type tags, no element
+ * counts; both come from the description)
+ *
+ * Arrays give plain element values and structures typed fields, as in parseDlmsValue().
+ * @private
+ */
+const parseCompactContent = (buffer, offset, end, description) => {
+  const { type } = description;
+  const typeName = TYPE_NAMES[type];
+
+  if (type === DLMS_DATA_TYPES.ARRAY || type === DLMS_DATA_TYPES.STRUCTURE) {
+    const array = type === DLMS_DATA_TYPES.ARRAY;
+    const items = array ? Array(description.count).fill(description.element) : description.fields;
+    const values = [];
+    let pos = offset;
+    for (const item of items) {
+      const parsed = parseCompactContent(buffer, pos, end, item);
+      values.push(array ? parsed.value : parsed);
+      pos += parsed.bytesConsumed;
+    }
+    return { value: values, type, typeName, bytesConsumed: pos - offset };
+  }
+
+  // Simple value: parse it with its tag put back in front
+  let size = FIXED_CONTENT_SIZES[type];
+  if (size === undefined) {
+    const { length, bytesConsumed: lenSize } = parseAxdrLength(buffer, offset);
+    size = lenSize + (type === DLMS_DATA_TYPES.BIT_STRING ? Math.ceil(length / 8) : length);
+  }
+  if (offset + size > end) {
+    throw new Error(`DLMS parse: compact-array ${typeName} at offset ${offset} beyond contents`);
+  }
+  const parsed = parseDlmsValue(
+    Buffer.concat([Buffer.from([type]), buffer.subarray(offset, offset + size)])
+  );
+  return { ...parsed, bytesConsumed: size };
+};
+
+/**
+ * Fixed-size numeric types: [byte length, Buffer write method, min, max]
+ * @private
+ */
+const NUMERIC_ENCODINGS = {
+  [DLMS_DATA_TYPES.INT8]: [1, 'writeInt8', -0x80, 0x7F],
+  [DLMS_DATA_TYPES.UINT8]: [1, 'writeUInt8', 0, 0xFF],
+  [DLMS_DATA_TYPES.ENUM]: [1, 'writeUInt8', 0, 0xFF],
+  [DLMS_DATA_TYPES.INT16]: [2, 'writeInt16BE', -0x8000, 0x7FFF],
+  [DLMS_DATA_TYPES.UINT16]: [2, 'writeUInt16BE', 0, 0xFFFF],
+  [DLMS_DATA_TYPES.INT32]: [4, 'writeInt32BE', -0x80000000, 0x7FFFFFFF],
+  [DLMS_DATA_TYPES.UINT32]: [4, 'writeUInt32BE', 0, 0xFFFFFFFF],
+  [DLMS_DATA_TYPES.INT64]: [8, 'writeBigInt64BE', -(2n ** 63n), 2n ** 63n - 1n],
+  [DLMS_DATA_TYPES.UINT64]: [8, 'writeBigUInt64BE', 0n, 2n ** 64n - 1n],
+};
+
+/**
+ * Resolve a data type given as tag number or name ('UINT16', 'uint16', 'octet-string')
+ * @private
+ */
+const resolveTypeTag = (type) => {
+  const tag =
+    typeof type === 'string' ? DLMS_DATA_TYPES[type.toUpperCase().replace(/-/g, '_')] : type;
+  if (TYPE_NAMES[tag] === undefined) {
+    throw new Error(`DLMS encode: unknown data type ${type}`);
+  }
+  return tag;
+};
+
+/**
+ * Encode a length-prefixed value (tag, A-XDR length, content)
+ * @private
+ */
+const encodeWithLength = (tag, length, content) =>
+  Buffer.concat([Buffer.from([tag]), encodeAxdrLength(length), content]);
+
+/**
+ * Describe a typed value as a compact-array element type
+ * @private
+ */
+const describeCompactType = (typed) => {
+  if (!typed) {
+    throw new Error('DLMS encode: empty COMPACT_ARRAY needs a contentsDescription');
+  }
+  const tag = resolveTypeTag(typed.type);
+  if (tag === DLMS_DATA_TYPES.ARRAY || tag === DLMS_DATA_TYPES.STRUCTURE) {
+    if (!Array.isArray(typed.value)) {
+      throw new Error(`DLMS encode: ${TYPE_NAMES[tag]} needs an array of typed values`);
+    }
+    if (tag === DLMS_DATA_TYPES.STRUCTURE) {
+      return { type: tag, fields: typed.value.map(describeCompactType) };
+    }
+    const element = describeCompactType(typed.value[0]);
+    const signature = JSON.stringify(element);
+    if (typed.value.some((item) => JSON.stringify(describeCompactType(item)) !== signature)) {
+      throw new Error('DLMS encode: COMPACT_ARRAY elements must all have one type');
+    }
+    return { type: tag, count: typed.value.length, element };
+  }
+  if (tag === DLMS_DATA_TYPES.COMPACT_ARRAY) {
+    throw new Error('DLMS encode: COMPACT_ARRAY cannot be nested');
+  }
+  return { type: tag };
+};
+
+/**
+ * Type a compact-array element from the contents-description
+ *
+ * parseDlmsValue() gives compact-array elements and array items as plain
+ * values and structure fields as typed values; typed values are kept as is.
+ * @private
+ */
+const typeCompactElement = (description, element) => {
+  const { type } = description;
+  const typed = element?.type !== undefined && Object.hasOwn(element, 'value');
+  if (type === DLMS_DATA_TYPES.ARRAY || type === DLMS_DATA_TYPES.STRUCTURE) {
+    const items = typed ? element.value : element;
+    if (!Array.isArray(items)) {
+      throw new Error(`DLMS encode: ${TYPE_NAMES[type]} needs an array of typed values`);
+    }
+    if (type === DLMS_DATA_TYPES.STRUCTURE && items.length !== description.fields.length) {
+      throw new Error('DLMS encode: COMPACT_ARRAY elements must all have one type');
+    }
+    return {
+      type,
+      value: items.map((item, i) =>
+        typeCompactElement(
+          type === DLMS_DATA_TYPES.ARRAY ? description.element : description.fields[i],
+          item
+        )
+      ),
+    };
+  }
+  return typed ? element : { type, value: element };
+};
+
+/**
+ * Encode a compact-array contents-description
+ * @private
+ */
+const encodeTypeDescription = (description) => {
+  const { type } = description;
+  if (type === DLMS_DATA_TYPES.ARRAY) {
+    const head = Buffer.from([type, 0, 0]);
+    head.writeUInt16BE(description.count, 1);
+    return Buffer.concat([head, encodeTypeDescription(description.element)]);
+  }
+  if (type === DLMS_DATA_TYPES.STRUCTURE) {
+    return Buffer.concat([
+      Buffer.from([type]),
+      encodeAxdrLength(description.fields.length),
+      ...description.fields.map(encodeTypeDescription),
+    ]);
+  }
+  return Buffer.from([type]);
+};
+
+/**
+ * Encode a value of a compact array's contents: the encoding without type
+ * tags and element counts
+ * @private
+ */
+const encodeCompactContent = (typed) => {
+  const tag = resolveTypeTag(typed.type);
+  if (tag === DLMS_DATA_TYPES.ARRAY || tag === DLMS_DATA_TYPES.STRUCTURE) {
+    return Buffer.concat(typed.value.map(encodeCompactContent));
+  }
+  return encodeDlmsValue(typed).subarray(1);
+};
+
+/**
+ * Encode a typed value as DLMS data (type tag + content)
+ *
+ * Inverse of parseDlmsValue(). Array elements and structure fields are typed
+ * values themselves, so parsed structure fields can be encoded again as is.
+ *
+ * Value forms per type:
+ *   integers, ENUM: number (INT64/UINT64 also bigint)
+ *   FLOAT32/FLOAT64: number
+ *   BOOLEAN: boolean
+ *   OCTET_STRING: Buffer, hex string, or Date (12-byte COSEM date-time)
+ *   VISIBLE_STRING/UTF8_STRING: string
+ *   BIT_STRING: string of '0'/'1', or Buffer (8 bits per byte)
+ *   DATE_TIME: Date, date string or 12-byte Buffer
+ *   DATE: { year, month, day, dayOfWeek }; TIME: { hour, minute, second, hundredths }
+ *     (null or missing fields = not specified)
+ *   ARRAY/STRUCTURE: array of typed values
+ *   COMPACT_ARRAY: array of typed values of one type; the contents-description is
+ *     taken from the first element, or from contentsDescription. With
+ *     contentsDescription the elements may also be plain values, as parsed.
+ *
+ * @param {Object} typed - Typed value
+ * @param {number|string} typed.type - Data type tag or name
+ * @param {*} typed.value - Value
+ * @param {Object} [typed.contentsDescription] - COMPACT_ARRAY element type, as returned
+ *   by parseDlmsValue()
+ * @returns {Buffer} Encoded DLMS data
+ * @throws {Error} For unknown types, values of the wrong form, or out-of-range numbers
+ */
+export const encodeDlmsValue = ({ type, value, contentsDescription } = {}) => {
+  const tag = resolveTypeTag(type);
+  const typeName = TYPE_NAMES[tag];
+
+  const numeric = NUMERIC_ENCODINGS[tag];
+  if (numeric) {
+    const [size, write, min, max] = numeric;
+    const big = typeof min === 'bigint';
+    let number = value;
+    if (big && (typeof value === 'number' || typeof value === 'string')) {
+      try {
+        number = BigInt(value);
+      } catch {
+        number = null;
+      }
+    }
+    const valid = big ? typeof number === 'bigint' : Number.isInteger(number);
+    if (!valid || number < min || number > max) {
+      throw new Error(`DLMS encode: ${value} is not a valid ${typeName}`);
+    }
+    const buffer = Buffer.alloc(1 + size);
+    buffer[0] = tag;
+    buffer[write](number, 1);
+    return buffer;
+  }
+
+  switch (tag) {
+    case DLMS_DATA_TYPES.NULL_DATA:
+      return Buffer.from([tag]);
+
+    case DLMS_DATA_TYPES.BOOLEAN:
+      if (typeof value !== 'boolean') {
+        throw new Error(`DLMS encode: ${value} is not a valid BOOLEAN`);
+      }
+      return Buffer.from([tag, value ? 0x01 : 0x00]);
+
+    case DLMS_DATA_TYPES.FLOAT32:
+    case DLMS_DATA_TYPES.FLOAT64: {
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        throw new Error(`DLMS encode: ${value} is not a valid ${typeName}`);
+      }
+      const single = tag === DLMS_DATA_TYPES.FLOAT32;
+      const buffer = Buffer.alloc(single ? 5 : 9);
+      buffer[0] = tag;
+      if (single) {
+        buffer.writeFloatBE(value, 1);
+      } else {
+        buffer.writeDoubleBE(value, 1);
+      }
+      return buffer;
+    }
+
+    case DLMS_DATA_TYPES.OCTET_STRING: {
+      let octets;
+      if (Buffer.isBuffer(value)) {
+        octets = value;
+      } else if (value instanceof Date) {
+        octets = encodeCosemDateTime(value);
+      } else if (typeof value === 'string' && /^([0-9a-f]{2})*$/i.test(value)) {
+        octets = Buffer.from(value, 'hex');
+      } else {
+        throw new Error('DLMS encode: OCTET_STRING needs a Buffer, hex string or Date');
+      }
+      return encodeWithLength(tag, octets.length, octets);
+    }
+
+    case DLMS_DATA_TYPES.VISIBLE_STRING:
+    case DLMS_DATA_TYPES.UTF8_STRING: {
+      if (typeof value !== 'string') {
+        throw new Error(`DLMS encode: ${typeName} needs a string`);
+      }
+      const bytes = Buffer.from(value, tag === DLMS_DATA_TYPES.UTF8_STRING ? 'utf8' : 'ascii');
+      return encodeWithLength(tag, bytes.length, bytes);
+    }
+
+    case DLMS_DATA_TYPES.BIT_STRING: {
+      if (Buffer.isBuffer(value)) {
+        return encodeWithLength(tag, value.length * 8, value);
+      }
+      if (typeof value !== 'string' || !/^[01]*$/.test(value)) {
+        throw new Error("DLMS encode: BIT_STRING needs a string of '0'/'1' or a Buffer");
+      }
+      const bits = Buffer.alloc(Math.ceil(value.length / 8));
+      for (let i = 0; i < value.length; i++) {
+        if (value[i] === '1') {
+          bits[i >> 3] |= 0x80 >> (i & 0x07);
+        }
+      }
+      return encodeWithLength(tag, value.length, bits);
+    }
+
+    case DLMS_DATA_TYPES.DATE_TIME: {
+      const date = typeof value === 'string' ? new Date(value) : value;
+      const dateTime =
+        date instanceof Date && !Number.isNaN(date.getTime()) ? encodeCosemDateTime(date) : date;
+      if (!Buffer.isBuffer(dateTime) || dateTime.length !== 12) {
+        throw new Error('DLMS encode: DATE_TIME needs a date or a 12-byte Buffer');
+      }
+      return Buffer.concat([Buffer.from([tag]), dateTime]);
+    }
+
+    case DLMS_DATA_TYPES.DATE: {
+      const { year, month, day, dayOfWeek } = value ?? {};
+      const buffer = Buffer.from([tag, 0, 0, month ?? 0xFF, day ?? 0xFF, dayOfWeek ?? 0xFF]);
+      buffer.writeUInt16BE(year ?? 0xFFFF, 1);
+      return buffer;
+    }
+
+    case DLMS_DATA_TYPES.TIME: {
+      const { hour, minute, second, hundredths } = value ?? {};
+      return Buffer.from([tag, hour ?? 0xFF, minute ?? 0xFF, second ?? 0xFF, hundredths ?? 0xFF]);
+    }
+
+    case DLMS_DATA_TYPES.ARRAY:
+    case DLMS_DATA_TYPES.STRUCTURE: {
+      if (!Array.isArray(value)) {
+        throw new Error(`DLMS encode: ${typeName} needs an array of typed values`);
+      }
+      const elements = value.map((element) => encodeDlmsValue(element));
+      return encodeWithLength(tag, value.length, Buffer.concat(elements));
+    }
+
+    case DLMS_DATA_TYPES.COMPACT_ARRAY: {
+      if (!Array.isArray(value)) {
+        throw new Error('DLMS encode: COMPACT_ARRAY needs an array of typed values');
+      }
+      const description = contentsDescription ?? describeCompactType(value[0]);
+      const signature = JSON.stringify(description);
+      const contents = Buffer.concat(
+        value.map((element) => {
+          const typed = contentsDescription
+            ? typeCompactElement(contentsDescription, element)
+            : element;
+          if (JSON.stringify(describeCompactType(typed)) !== signature) {
+            throw new Error('DLMS encode: COMPACT_ARRAY elements must all have one type');
+          }
+          return encodeCompactContent(typed);
+        })
+      );
+      return Buffer.concat([
+        Buffer.from([tag]),
+        encodeTypeDescription(description),
+        encodeAxdrLength(contents.length),
+        contents,
+      ]);
+    }
+
+    default:
+      throw new Error(`DLMS encode: ${typeName} is not supported`);
+  }
+};
+
 /**
  * Parse a COSEM date-time value (12 bytes)
  *
@@ -271,6 +762,34 @@ export const parseCosemDateTime = (buffer, offset = 0) => {
   return result;
 };
 
+/**
+ * Encode a Date as a COSEM date-time value (12 bytes, no type tag)
+ * Inverse of parseCosemDateTime(); fields are taken from local time.
+ *
+ * @param {Date} [date=new Date()] - Date to encode
+ * @param {Object} [options] - Encoding options
+ * @param {number|null} [options.deviation=null] - Minutes from UTC (null = not specified)
+ * @param {number} [options.clockStatus=0x00] - Clock status bit flags
+ * @returns {Buffer} 12-byte COSEM date-time
+ */
+export const encodeCosemDateTime = (date = new Date(), options = {}) => {
+  const { deviation = null, clockStatus = 0x00 } = options;
+  const buffer = Buffer.alloc(12);
+
+  buffer.writeUInt16BE(date.getFullYear(), 0);
+  buffer[2] = date.getMonth() + 1;
+  buffer[3] = date.getDate();
+  buffer[4] = date.getDay() === 0 ? 7 : date.getDay(); // 1=Monday, 7=Sunday
+  buffer[5] = date.getHours();
+  buffer[6] = date.getMinutes();
+  buffer[7] = date.getSeconds();
+  buffer[8] = Math.floor(date.getMilliseconds() / 10);
+  buffer.writeInt16BE(deviation === null ? -0x8000 : deviation, 9);
+  buffer[11] = clockStatus;
+
+  return buffer;
+};
+
 /**
  * Parse an OBIS code from 6 bytes
  *
@@ -320,8 +839,12 @@ export const looksLikeCosemDateTime = (buffer, offset = 0) => {
 
 export default {
   DLMS_DATA_TYPES,
+  parseAxdrLength,
+  encodeAxdrLength,
   parseDlmsValue,
+  encodeDlmsValue,
   parseCosemDateTime,
+  encodeCosemDateTime,
   parseObisCode,
   looksLikeCosemDateTime,
 };
@@ -0,0 +1,185 @@
+/**
+ * DLMS/COSEM Disconnect Control (class 70)
+ *
+ * The disconnector (0-0:96.3.10.255) is a three-state machine. Its
+ * control_mode (attribute 4) decides which transitions are allowed and
+ * what triggers them:
+ *
+ *   connected ──(b) remote_disconnect──────────▶ disconnected
+ *   connected ──(f) manual / (g) local disconnect──▶ ready_for_reconnection
+ *   ready_for_reconnection ──(c) remote_disconnect──▶ disconnected
+ *   ready_for_reconnection ──(e) manual / (h) local reconnect──▶ connected
+ *   disconnected ──(a) remote_reconnect──────────▶ connected
+ *   disconnected ──(d) remote_reconnect──────────▶ ready_for_reconnection
+ *
+ * In modes 1, 3, 5 and 6 a remote_reconnect only arms the relay (d): it
+ * stays open in ready_for_reconnection until someone presses the button on
+ * the meter, so the supply only comes back with someone on site.
+ *
+ * @module protocol/dlms/disconnect-control
+ */
+
+/**
+ * Disconnect control class ID, attributes, methods and the disconnector object
+ */
+export const DISCONNECT_CONTROL = {
+  CLASS_ID: 70,
+  OUTPUT_STATE: 2,
+  CONTROL_STATE: 3,
+  CONTROL_MODE: 4,
+  REMOTE_DISCONNECT: 1, // method
+  REMOTE_RECONNECT: 2, // method
+  DEFAULT: '0-0:96.3.10.255',
+};
+
+/**
+ * control_state values
+ */
+export const CONTROL_STATES = {
+  0: 'disconnected',
+  1: 'connected',
+  2: 'ready_for_reconnection',
+};
+
+/**
+ * Transitions each control_mode allows: where a remote_reconnect leads
+ * (null = not allowed), and whether the meter's button can disconnect (f)
+ * and a local function reconnect (h)
+ */
+export const CONTROL_MODES = {
+  0: {
+    remoteDisconnect: false,
+    remoteReconnect: null,
+    manualDisconnect: false,
+    localReconnect: false,
+  },
+  1: {
+    remoteDisconnect: true,
+    remoteReconnect: 'ready_for_reconnection',
+    manualDisconnect: true,
+    localReconnect: false,
+  },
+  2: {
+    remoteDisconnect: true,
+    remoteReconnect: 'connected',
+    manualDisconnect: true,
+    localReconnect: false,
+  },
+  3: {
+    remoteDisconnect: true,
+    remoteReconnect: 'ready_for_reconnection',
+    manualDisconnect: false,
+    localReconnect: false,
+  },
+  4: {
+    remoteDisconnect: true,
+    remoteReconnect: 'connected',
+    manualDisconnect: false,
+    localReconnect: false,
+  },
+  5: {
+    remoteDisconnect: true,
+    remoteReconnect: 'ready_for_reconnection',
+    manualDisconnect: true,
+    localReconnect: true,
+  },
+  6: {
+    remoteDisconnect: true,
+    remoteReconnect: 'ready_for_reconnection',
+    manualDisconnect: false,
+    localReconnect: true,
+  },
+};
+
+/**
+ * Relay actions and the method that performs them
+ */
+export const RELAY_ACTIONS = {
+  disconnect: { methodId: DISCONNECT_CONTROL.REMOTE_DISCONNECT, name: 'remote_disconnect' },
+  reconnect: { methodId: DISCONNECT_CONTROL.REMOTE_RECONNECT, name: 'remote_reconnect' },
+};
+
+/**
+ * Build the relay state from the disconnector's attribute values
+ *
+ * @param {Object} values - Raw GET values (undefined or null when not read)
+ * @param {boolean} [values.outputState] - Attribute 2, true = supply connected
+ * @param {number} [values.controlState] - Attribute 3
+ * @param {number} [values.controlMode] - Attribute 4
+ * @returns {Object} { outputState, controlState, controlStateName, controlMode }
+ */
+export const toRelayState = ({ outputState, controlState, controlMode } = {}) => ({
+  outputState: typeof outputState === 'boolean' ? outputState : null,
+  controlState: Number.isInteger(controlState) ? controlState : null,
+  controlStateName: CONTROL_STATES[controlState] ?? null,
+  controlMode: Number.isInteger(controlMode) ? controlMode : null,
+});
+
+/**
+ * control_state a remote action should lead to under a control_mode
+ *
+ * @param {string} action - 'disconnect' or 'reconnect'
+ * @param {number|null} controlMode - control_mode (null = not known)
+ * @returns {string|null} State name, or null when the mode does not allow the
+ *   action or is not known
+ */
+export const expectedControlState = (action, controlMode) => {
+  const mode = CONTROL_MODES[controlMode];
+  if (!mode) {
+    return null;
+  }
+  if (action === 'disconnect') {
+    return mode.remoteDisconnect ? 'disconnected' : null;
+  }
+  return mode.remoteReconnect;
+};
+
+/**
+ * Explain a relay state an operator may not expect
+ *
+ * @param {Object} state - State from toRelayState()
+ * @param {string} [action] - 'disconnect' or 'reconnect' just performed
+ * @returns {string|null} Explanation, or null when the state needs none
+ */
+export const explainRelayState = (state, action) => {
+  const mode = CONTROL_MODES[state.controlMode];
+  if (state.controlMode === 0) {
+    return 'control_mode 0 (none): the disconnector stays connected and ignores remote actions';
+  }
+  if (state.controlStateName === 'ready_for_reconnection') {
+    const local = mode?.localReconnect ? ' or a local reconnection' : '';
+    return (
+      `ready_for_reconnection: the relay stays open until the button on the meter is pressed` +
+      `${local} (control_mode ${state.controlMode ?? 'unknown'})`
+    );
+  }
+  const expected = action ? expectedControlState(action, state.controlMode) : null;
+  if (expected && state.controlStateName && state.controlStateName !== expected) {
+    const method = RELAY_ACTIONS[action].name;
+    return `expected ${expected} after ${method}, the meter reports ${state.controlStateName}`;
+  }
+  return null;
+};
+
+/**
+ * Whether two relay states differ in output or control state
+ *
+ * @param {Object|null} before - Previous state from toRelayState()
+ * @param {Object} after - Current state from toRelayState()
+ * @returns {boolean} True when a transition happened (false without a previous state)
+ */
+export const isRelayTransition = (before, after) =>
+  !!before &&
+  after.controlState !== null &&
+  (before.controlState !== after.controlState || before.outputState !== after.outputState);
+
+export default {
+  DISCONNECT_CONTROL,
+  CONTROL_STATES,
+  CONTROL_MODES,
+  RELAY_ACTIONS,
+  toRelayState,
+  expectedControlState,
+  explainRelayState,
+  isRelayTransition,
+};
@@ -0,0 +1,478 @@
+/**
+ * HDLC Link Session (IEC 62056-46)
+ *
+ * Connection state machine for DLMS meters reached over HDLC:
+ * - SNRM → UA link setup with information field length negotiation
+ * - I-frame send/receive sequence numbers (window size 1)
+ * - Segmentation of outgoing APDUs, acknowledged segment by segment (RR)
+ * - Reassembly of incoming segmented I-frames, requesting each next
+ *   segment with RR
+ * - DISC → UA/DM link release, DM/FRMR from the meter drop the link
+ *
+ * The session does not own a socket: frames go out through the `send`
+ * callback and received frames are fed in with handleFrame().
+ *
+ * Frames go to the configured server address until the meter answers;
+ * after that they go to the address it answered from, unless the server
+ * address was given explicitly (per-meter configuration).
+ *
+ * @module protocol/dlms/hdlc-session
+ */
+
+import { EventEmitter } from 'events';
+import {
+  HDLC_CONTROL,
+  HDLC_POLL_FINAL,
+  HDLC_FRAME_TYPES,
+  LLC_HEADER,
+  HDLC_DEFAULT_MAX_INFO_LENGTH,
+  encodeHdlcAddress,
+  buildHdlcFrame,
+  buildInformationControl,
+  buildReceiveReadyControl,
+  buildHdlcParameters,
+  parseHdlcParameters,
+  stripLlcHeader,
+} from './hdlc.js';
+import { createChildLogger } from '../../utils/logger.js';
+import config from '../../config/index.js';
+
+const logger = createChildLogger({ module: 'hdlc-session' });
+
+/**
+ * Link states
+ */
+export const HDLC_STATES = {
+  DISCONNECTED: 'disconnected',
+  CONNECTING: 'connecting',
+  CONNECTED: 'connected',
+  DISCONNECTING: 'disconnecting',
+};
+
+/**
+ * Session events
+ */
+export const HDLC_EVENTS = {
+  CONNECTED: 'link:connected',
+  DISCONNECTED: 'link:disconnected',
+  APDU: 'apdu',
+};
+
+/**
+ * HDLC link session with one meter
+ */
+export class HdlcSession extends EventEmitter {
+  /**
+   * @param {Object} [options] - Session options
+   * @param {Function} [options.send] - (frame: Buffer) => Promise<boolean>|boolean
+   * @param {number} [options.clientAddress] - Client SAP (default: config.dlms.clientAddress, 0x10)
+   * @param {number} [options.serverAddress] - Server upper (logical device) address (default:
+   *   config.dlms.hdlcServerAddress, 1, then the address the meter answers from)
+   * @param {number|null} [options.physicalAddress] - Server lower (physical) address, null for none
+   * @param {number} [options.maxInfoLength] - Proposed maximum information field length
+   * @param {number} [options.responseTimeout] - Link-level response timeout in ms
+   */
+  constructor(options = {}) {
+    super();
+
+    const dlmsConfig = config.dlms || {};
+    this.options = {
+      clientAddress: options.clientAddress ?? dlmsConfig.clientAddress ?? 0x10,
+      serverAddress: options.serverAddress ?? dlmsConfig.hdlcServerAddress ?? 1,
+      physicalAddress: options.physicalAddress ?? dlmsConfig.hdlcPhysicalAddress ?? null,
+      maxInfoLength:
+        options.maxInfoLength ?? dlmsConfig.hdlcMaxInfoLength ?? HDLC_DEFAULT_MAX_INFO_LENGTH,
+      responseTimeout: options.responseTimeout ?? dlmsConfig.hdlcResponseTimeout ?? 5000,
+    };
+
+    /** @type {boolean} Server address given explicitly, not taken from the meter's frames */
+    this.serverAddressFixed = options.serverAddress !== undefined;
+
+    this.send = options.send ?? null;
+    this.state = HDLC_STATES.DISCONNECTED;
+    this.sendSequence = 0;
+    this.receiveSequence = 0;
+    this.maxInfoTransmit = HDLC_DEFAULT_MAX_INFO_LENGTH;
+    this.maxInfoReceive = HDLC_DEFAULT_MAX_INFO_LENGTH;
+
+    /** @type {Buffer[]} Received segments of an APDU still being reassembled */
+    this.segments = [];
+
+    /** @type {{types: string[], resolve: Function, reject: Function, timer: NodeJS.Timeout}|null} */
+    this.waiter = null;
+
+    /** @type {Promise<Object>|null} Link setup in progress */
+    this.connecting = null;
+  }
+
+  /**
+   * Establish the link (SNRM → UA). Resolves immediately when already connected.
+   *
+   * @returns {Promise<Object>} Negotiated { maxInfoTransmit, maxInfoReceive }
+   * @throws {Error} If the meter refuses (DM) or does not answer in time
+   */
+  async connect() {
+    if (this.state === HDLC_STATES.CONNECTED) {
+      return this.getParameters();
+    }
+    if (!this.connecting) {
+      this.connecting = this.setupLink().finally(() => {
+        this.connecting = null;
+      });
+    }
+    return this.connecting;
+  }
+
+  /**
+   * Run the SNRM → UA exchange
+   * @private
+   */
+  async setupLink() {
+    this.state = HDLC_STATES.CONNECTING;
+
+    const proposal = buildHdlcParameters({
+      maxInfoTransmit: this.options.maxInfoLength,
+      maxInfoReceive: this.options.maxInfoLength,
+    });
+
+    let reply;
+    try {
+      reply = await this.exchange(
+        HDLC_CONTROL.SNRM | HDLC_POLL_FINAL,
+        proposal,
+        [HDLC_FRAME_TYPES.UA, HDLC_FRAME_TYPES.DM],
+        'HDLC link setup'
+      );
+    } catch (error) {
+      this.state = HDLC_STATES.DISCONNECTED;
+      throw error;
+    }
+
+    if (reply.type === HDLC_FRAME_TYPES.DM) {
+      this.state = HDLC_STATES.DISCONNECTED;
+      throw new Error('HDLC link setup refused by meter (DM)');
+    }
+
+    // UA parameters are given from the meter's side: its receive limit is our transmit limit
+    const params = parseHdlcParameters(reply.information) || {};
+    this.maxInfoTransmit = params.maxInfoReceive ?? HDLC_DEFAULT_MAX_INFO_LENGTH;
+    this.maxInfoReceive = params.maxInfoTransmit ?? HDLC_DEFAULT_MAX_INFO_LENGTH;
+    this.sendSequence = 0;
+    this.receiveSequence = 0;
+    this.segments = [];
+    this.state = HDLC_STATES.CONNECTED;
+
+    logger.debug('HDLC link established', this.getParameters());
+    this.emit(HDLC_EVENTS.CONNECTED, this.getParameters());
+    return this.getParameters();
+  }
+
+  /**
+   * Release the link (DISC → UA/DM). The link is considered closed even if
+   * the meter does not answer.
+   *
+   * @returns {Promise<void>}
+   */
+  async disconnect() {
+    if (this.state === HDLC_STATES.DISCONNECTED) {
+      return;
+    }
+
+    this.state = HDLC_STATES.DISCONNECTING;
+    try {
+      await this.exchange(
+        HDLC_CONTROL.DISC | HDLC_POLL_FINAL,
+        null,
+        [HDLC_FRAME_TYPES.UA, HDLC_FRAME_TYPES.DM],
+        'HDLC disconnect'
+      );
+    } catch (error) {
+      logger.debug('HDLC disconnect not acknowledged', { error: error.message });
+    }
+    this.setDisconnected();
+  }
+
+  /**
+   * Switch the client SAP used in frames to the meter
+   *
+   * The link belongs to one client, so an established link is disconnected
+   * and set up again with the new address on the next send.
+   *
+   * @param {number} clientAddress - Client SAP (e.g. 0x01 management, 0x10 public)
+   * @returns {Promise<void>}
+   */
+  async setClientAddress(clientAddress) {
+    if (clientAddress === this.options.clientAddress) {
+      return;
+    }
+
+    await this.disconnect();
+    this.options.clientAddress = clientAddress;
+  }
+
+  /**
+   * Address frames to a given server (per-meter configuration)
+   *
+   * Like the client address, the server address belongs to the link, so an
+   * established link to another address is disconnected first. The meter's
+   * own frames no longer change it.
+   *
+   * @param {number} serverAddress - Server upper (logical device) address
+   * @param {number|null} [physicalAddress=null] - Server lower (physical) address, null for none
+   * @returns {Promise<void>}
+   */
+  async setServerAddress(serverAddress, physicalAddress = null) {
+    this.serverAddressFixed = true;
+    if (
+      serverAddress === this.options.serverAddress &&
+      physicalAddress === this.options.physicalAddress
+    ) {
+      return;
+    }
+
+    await this.disconnect();
+    this.options.serverAddress = serverAddress;
+    this.options.physicalAddress = physicalAddress;
+  }
+
+  /**
+   * Send a DLMS APDU, setting up the link first if needed
+   *
+   * APDUs longer than the negotiated information field are segmented; the
+   * meter acknowledges every segment but the last with RR.
+   *
+   * @param {Buffer} apdu - DLMS APDU
+   * @returns {Promise<boolean>} True when the last segment was written
+   * @throws {Error} If link setup or a segment acknowledgement fails
+   */
+  async sendApdu(apdu) {
+    if (this.state !== HDLC_STATES.CONNECTED) {
+      await this.connect();
+    }
+
+    const information = Buffer.concat([LLC_HEADER.COMMAND, apdu]);
+    const size = this.maxInfoTransmit;
+
+    for (let offset = 0; offset < information.length; offset += size) {
+      const segment = information.subarray(offset, offset + size);
+      const last = offset + size >= information.length;
+      const control = buildInformationControl(this.sendSequence, this.receiveSequence);
+      this.sendSequence = (this.sendSequence + 1) & 0x07;
+
+      if (last) {
+        return this.writeFrame(control, segment);
+      }
+
+      await this.exchange(
+        control,
+        segment,
+        [HDLC_FRAME_TYPES.RR],
+        'HDLC segment acknowledgement',
+        true
+      );
+    }
+    return false;
+  }
+
+  /**
+   * Feed a frame received from the meter into the state machine
+   *
+   * @param {Object} frame - Frame from parseHdlcFrame()
+   */
+  handleFrame(frame) {
+    if (!this.serverAddressFixed && frame.source) {
+      this.options.serverAddress = frame.source.upper;
+      this.options.physicalAddress = frame.source.lower ?? null;
+    }
+
+    if (this.waiter && this.waiter.types.includes(frame.type)) {
+      const { resolve, timer } = this.waiter;
+      clearTimeout(timer);
+      this.waiter = null;
+      resolve(frame);
+      return;
+    }
+
+    switch (frame.type) {
+      case HDLC_FRAME_TYPES.I:
+        this.receiveSequence = (frame.sendSequence + 1) & 0x07;
+        this.segments.push(frame.information);
+
+        if (frame.segmented) {
+          // Ask for the next segment
+          Promise.resolve(this.writeFrame(buildReceiveReadyControl(this.receiveSequence))).catch(
+            (error) => logger.warn('Failed to request next HDLC segment', { error: error.message })
+          );
+          return;
+        }
+
+        this.emitApdu(Buffer.concat(this.segments));
+        this.segments = [];
+        return;
+
+      case HDLC_FRAME_TYPES.UI:
+        this.emitApdu(frame.information);
+        return;
+
+      case HDLC_FRAME_TYPES.DM:
+      case HDLC_FRAME_TYPES.FRMR:
+        if (this.state !== HDLC_STATES.DISCONNECTED) {
+          logger.warn('HDLC link dropped by meter', { frameType: frame.type });
+          this.setDisconnected();
+        }
+        return;
+
+      default:
+        logger.debug('Ignoring HDLC frame', { frameType: frame.type, state: this.state });
+    }
+  }
+
+  /**
+   * Drop the link without notifying the meter (e.g. the socket closed)
+   */
+  close() {
+    this.setDisconnected();
+  }
+
+  /**
+   * Get the current link state
+   * @returns {string} One of HDLC_STATES
+   */
+  getState() {
+    return this.state;
+  }
+
+  /**
+   * Check whether the link is established
+   * @returns {boolean}
+   */
+  isConnected() {
+    return this.state === HDLC_STATES.CONNECTED;
+  }
+
+  /**
+   * Get the negotiated link parameters
+   * @returns {{maxInfoTransmit: number, maxInfoReceive: number}}
+   */
+  getParameters() {
+    return {
+      maxInfoTransmit: this.maxInfoTransmit,
+      maxInfoReceive: this.maxInfoReceive,
+    };
+  }
+
+  /**
+   * Emit a received APDU without its LLC header
+   * @private
+   */
+  emitApdu(information) {
+    const apdu = stripLlcHeader(information);
+    if (apdu.length > 0) {
+      this.emit(HDLC_EVENTS.APDU, apdu);
+    }
+  }
+
+  /**
+   * Mark the link down and fail any exchange waiting for a reply
+   * @private
+   */
+  setDisconnected() {
+    const previous = this.state;
+    this.state = HDLC_STATES.DISCONNECTED;
+    this.segments = [];
+
+    if (this.waiter) {
+      const { reject, timer } = this.waiter;
+      clearTimeout(timer);
+      this.waiter = null;
+      reject(new Error('HDLC link disconnected'));
+    }
+
+    if (previous !== HDLC_STATES.DISCONNECTED) {
+      this.emit(HDLC_EVENTS.DISCONNECTED);
+    }
+  }
+
+  /**
+   * Send a frame and wait for a reply of one of the given types
+   * @private
+   * @param {number} control - Control byte
+   * @param {Buffer|null} information - Information field
+   * @param {string[]} types - Accepted reply frame types
+   * @param {string} label - Used in error messages
+   * @param {boolean} [segmented=false] - Set the segmentation bit
+   * @returns {Promise<Object>} Reply frame
+   */
+  async exchange(control, information, types, label, segmented = false) {
+    // Register before writing: the reply may arrive before write() returns
+    const reply = new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.waiter = null;
+        reject(new Error(`${label} timeout after ${this.options.responseTimeout}ms`));
+      }, this.options.responseTimeout);
+      this.waiter = { types, resolve, reject, timer };
+    });
+
+    let sent;
+    try {
+      sent = await this.writeFrame(control, information, segmented);
+    } catch (error) {
+      this.cancelWaiter();
+      throw error;
+    }
+    if (!sent) {
+      this.cancelWaiter();
+      throw new Error(`${label} failed: frame not sent`);
+    }
+
+    return reply;
+  }
+
+  /**
+   * Stop waiting for a reply that can no longer arrive
+   * @private
+   */
+  cancelWaiter() {
+    if (this.waiter) {
+      clearTimeout(this.waiter.timer);
+      this.waiter = null;
+    }
+  }
+
+  /**
+   * Build a frame to the meter and pass it to the transport
+   * @private
+   * @returns {Promise<boolean>} Transport result
+   */
+  async writeFrame(control, information = null, segmented = false) {
+    if (!this.send) {
+      throw new Error('HDLC session has no transport');
+    }
+
+    const frame = buildHdlcFrame({
+      destination: encodeHdlcAddress(this.options.serverAddress, this.options.physicalAddress),
+      source: encodeHdlcAddress(this.options.clientAddress),
+      control,
+      information,
+      segmented,
+    });
+    return this.send(frame);
+  }
+}
+
+/**
+ * Create a new HdlcSession instance
+ *
+ * @param {Object} [options] - Session options
+ * @returns {HdlcSession} New instance
+ */
+export const createHdlcSession = (options) => {
+  return new HdlcSession(options);
+};
+
+export default {
+  HDLC_STATES,
+  HDLC_EVENTS,
+  HdlcSession,
+  createHdlcSession,
+};
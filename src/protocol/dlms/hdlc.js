@@ -0,0 +1,609 @@
+/**
+ * HDLC Link Layer Framing (IEC 62056-46)
+ *
+ * DLMS meters behind transparent modems carry their APDUs in HDLC frames
+ * instead of the IVY wrapper. This module handles the framing only; link
+ * setup and segmentation live in hdlc-session.js.
+ *
+ * Frame structure (frame format type 3, no byte stuffing):
+ *   [0x7E] [Format: 2] [Dest addr: 1-4] [Src addr: 1-4] [Control: 1]
+ *   [HCS: 2] [Information: N] [FCS: 2] [0x7E]
+ *
+ * - Format: 0xA000 | segmentation bit (0x0800) | frame length (11 bits,
+ *   excluding the flags)
+ * - HCS is only present when the frame carries an information field
+ * - HCS/FCS: CRC-16/X.25, transmitted least significant byte first
+ *
+ * @module protocol/dlms/hdlc
+ */
+
+/**
+ * Opening and closing flag
+ */
+export const HDLC_FLAG = 0x7e;
+
+/**
+ * High nibble of the first format byte (frame format type 3)
+ */
+export const HDLC_FORMAT_TYPE = 0xa0;
+
+/**
+ * Segmentation bit of the format field
+ */
+const SEGMENTATION_BIT = 0x0800;
+
+/**
+ * Largest frame length the 11-bit length field can carry
+ */
+const MAX_FRAME_LENGTH = 0x7ff;
+
+/**
+ * Poll/final bit of the control field
+ */
+export const HDLC_POLL_FINAL = 0x10;
+
+/**
+ * Control field values (poll/final bit clear)
+ */
+export const HDLC_CONTROL = {
+  SNRM: 0x83, // Set Normal Response Mode
+  UA: 0x63, // Unnumbered Acknowledge
+  DISC: 0x43, // Disconnect
+  DM: 0x0f, // Disconnected Mode
+  FRMR: 0x87, // Frame Reject
+  UI: 0x03, // Unnumbered Information
+  RR: 0x01, // Receive Ready (N(R) in bits 5-7)
+  RNR: 0x05, // Receive Not Ready (N(R) in bits 5-7)
+};
+
+/**
+ * Frame types as reported by parseHdlcFrame()
+ */
+export const HDLC_FRAME_TYPES = {
+  I: 'I',
+  RR: 'RR',
+  RNR: 'RNR',
+  SNRM: 'SNRM',
+  UA: 'UA',
+  DISC: 'DISC',
+  DM: 'DM',
+  FRMR: 'FRMR',
+  UI: 'UI',
+  UNKNOWN: 'unknown',
+};
+
+/**
+ * LLC headers that prefix the first information segment of a DLMS APDU
+ */
+export const LLC_HEADER = {
+  COMMAND: Buffer.from([0xe6, 0xe6, 0x00]), // client → meter
+  RESPONSE: Buffer.from([0xe6, 0xe7, 0x00]), // meter → client
+};
+
+/**
+ * Default maximum information field length (both directions)
+ */
+export const HDLC_DEFAULT_MAX_INFO_LENGTH = 128;
+
+/**
+ * CRC-16/X.25 lookup table (reflected polynomial 0x8408)
+ */
+const FCS_TABLE = (() => {
+  const table = new Uint16Array(256);
+  for (let i = 0; i < 256; i++) {
+    let crc = i;
+    for (let bit = 0; bit < 8; bit++) {
+      crc = crc & 1 ? (crc >>> 1) ^ 0x8408 : crc >>> 1;
+    }
+    table[i] = crc;
+  }
+  return table;
+})();
+
+/**
+ * Compute the HDLC frame check sequence (CRC-16/X.25)
+ *
+ * @param {Buffer} buffer - Data buffer
+ * @param {number} [start=0] - First byte to include
+ * @param {number} [end=buffer.length] - Index after the last byte to include
+ * @returns {number} 16-bit check sequence
+ */
+export const computeFcs = (buffer, start = 0, end = buffer.length) => {
+  let fcs = 0xffff;
+  for (let i = start; i < end; i++) {
+    fcs = (fcs >>> 8) ^ FCS_TABLE[(fcs ^ buffer[i]) & 0xff];
+  }
+  return ~fcs & 0xffff;
+};
+
+/**
+ * Encode an HDLC address
+ *
+ * Each byte carries 7 address bits; the low bit marks the last byte. Client
+ * addresses are a single byte. Server addresses are an upper (logical device)
+ * address, optionally followed by a lower (physical device) address, and use
+ * 1, 2 or 4 bytes depending on their size.
+ *
+ * @param {number} upper - Upper (or only) address
+ * @param {number|null} [lower=null] - Lower (physical) address
+ * @returns {Buffer} Encoded address
+ * @throws {Error} If an address is out of range
+ * @example
+ * encodeHdlcAddress(0x10)    // public client → <Buffer 21>
+ * encodeHdlcAddress(1, 0x11) // logical 1, physical 17 → <Buffer 02 23>
+ */
+export const encodeHdlcAddress = (upper, lower = null) => {
+  if (!Number.isInteger(upper) || upper < 0 || upper > 0x3fff) {
+    throw new Error(`Invalid HDLC address: ${upper}`);
+  }
+
+  if (lower === null || lower === undefined) {
+    if (upper > 0x7f) {
+      throw new Error(`Invalid HDLC address: ${upper}. One-byte addresses must be 0-127.`);
+    }
+    return Buffer.from([(upper << 1) | 0x01]);
+  }
+
+  if (!Number.isInteger(lower) || lower < 0 || lower > 0x3fff) {
+    throw new Error(`Invalid HDLC physical address: ${lower}`);
+  }
+
+  if (upper <= 0x7f && lower <= 0x7f) {
+    return Buffer.from([upper << 1, (lower << 1) | 0x01]);
+  }
+
+  return Buffer.from([
+    (upper >> 7) << 1,
+    (upper & 0x7f) << 1,
+    (lower >> 7) << 1,
+    ((lower & 0x7f) << 1) | 0x01,
+  ]);
+};
+
+/**
+ * Decode an HDLC address starting at the given offset
+ *
+ * @param {Buffer} buffer - Frame buffer
+ * @param {number} offset - Offset of the first address byte
+ * @returns {{upper: number, lower: number|null, length: number}} Decoded address
+ * @throws {Error} If the address is not terminated or has an invalid length
+ */
+export const decodeHdlcAddress = (buffer, offset) => {
+  let end = offset;
+  while (end < buffer.length && (buffer[end] & 0x01) === 0) {
+    end++;
+  }
+  if (end >= buffer.length) {
+    throw new Error('HDLC address not terminated');
+  }
+
+  const length = end - offset + 1;
+  const b = (i) => buffer[offset + i] >> 1;
+
+  switch (length) {
+    case 1:
+      return { upper: b(0), lower: null, length };
+    case 2:
+      return { upper: b(0), lower: b(1), length };
+    case 4:
+      return { upper: (b(0) << 7) | b(1), lower: (b(2) << 7) | b(3), length };
+    default:
+      throw new Error(`Invalid HDLC address length: ${length}`);
+  }
+};
+
+/**
+ * Build the control field of an I-frame
+ *
+ * @param {number} sendSequence - N(S), 0-7
+ * @param {number} receiveSequence - N(R), 0-7
+ * @param {boolean} [poll=true] - Poll/final bit
+ * @returns {number} Control byte
+ */
+export const buildInformationControl = (sendSequence, receiveSequence, poll = true) => {
+  return (
+    ((receiveSequence & 0x07) << 5) | (poll ? HDLC_POLL_FINAL : 0) | ((sendSequence & 0x07) << 1)
+  );
+};
+
+/**
+ * Build the control field of an RR (receive ready) frame
+ *
+ * @param {number} receiveSequence - N(R), 0-7
+ * @returns {number} Control byte (poll bit set)
+ */
+export const buildReceiveReadyControl = (receiveSequence) => {
+  return ((receiveSequence & 0x07) << 5) | HDLC_POLL_FINAL | HDLC_CONTROL.RR;
+};
+
+/**
+ * Decode a control byte into frame type and sequence numbers
+ *
+ * @param {number} control - Control byte
+ * @returns {{type: string, pollFinal: boolean, sendSequence: number|null, receiveSequence: number|null}}
+ */
+export const decodeControl = (control) => {
+  const pollFinal = (control & HDLC_POLL_FINAL) !== 0;
+
+  // I-frame: bit 0 clear
+  if ((control & 0x01) === 0) {
+    return {
+      type: HDLC_FRAME_TYPES.I,
+      pollFinal,
+      sendSequence: (control >> 1) & 0x07,
+      receiveSequence: (control >> 5) & 0x07,
+    };
+  }
+
+  // S-frame: bits 0-1 = 01
+  if ((control & 0x03) === 0x01) {
+    const kind = control & 0x0f;
+    let type = HDLC_FRAME_TYPES.UNKNOWN;
+    if (kind === HDLC_CONTROL.RR) type = HDLC_FRAME_TYPES.RR;
+    else if (kind === HDLC_CONTROL.RNR) type = HDLC_FRAME_TYPES.RNR;
+    return { type, pollFinal, sendSequence: null, receiveSequence: (control >> 5) & 0x07 };
+  }
+
+  // U-frame
+  const code = control & ~HDLC_POLL_FINAL & 0xff;
+  const name = Object.keys(HDLC_CONTROL).find(
+    (key) => HDLC_CONTROL[key] === code && key !== 'RR' && key !== 'RNR'
+  );
+  return {
+    type: name ? HDLC_FRAME_TYPES[name] : HDLC_FRAME_TYPES.UNKNOWN,
+    pollFinal,
+    sendSequence: null,
+    receiveSequence: null,
+  };
+};
+
+/**
+ * Build a complete HDLC frame
+ *
+ * @param {Object} params - Frame parameters
+ * @param {Buffer} params.destination - Encoded destination address
+ * @param {Buffer} params.source - Encoded source address
+ * @param {number} params.control - Control byte
+ * @param {Buffer|null} [params.information=null] - Information field
+ * @param {boolean} [params.segmented=false] - Set the segmentation bit (more segments follow)
+ * @returns {Buffer} Frame including both flags
+ * @throws {Error} If the frame exceeds the maximum frame length
+ */
+export const buildHdlcFrame = ({
+  destination,
+  source,
+  control,
+  information = null,
+  segmented = false,
+}) => {
+  const hasInfo = information !== null && information.length > 0;
+  const headerLength = 2 + destination.length + source.length + 1;
+  const frameLength = headerLength + (hasInfo ? 2 + information.length : 0) + 2;
+
+  if (frameLength > MAX_FRAME_LENGTH) {
+    throw new Error(`HDLC frame too long: ${frameLength} bytes (max ${MAX_FRAME_LENGTH})`);
+  }
+
+  const frame = Buffer.alloc(frameLength + 2);
+  frame[0] = HDLC_FLAG;
+  frame.writeUInt16BE(
+    (HDLC_FORMAT_TYPE << 8) | (segmented ? SEGMENTATION_BIT : 0) | frameLength,
+    1
+  );
+  destination.copy(frame, 3);
+  source.copy(frame, 3 + destination.length);
+  frame[headerLength] = control;
+
+  let pos = headerLength + 1;
+  if (hasInfo) {
+    frame.writeUInt16LE(computeFcs(frame, 1, pos), pos);
+    pos += 2;
+    information.copy(frame, pos);
+    pos += information.length;
+  }
+
+  frame.writeUInt16LE(computeFcs(frame, 1, pos), pos);
+  frame[pos + 2] = HDLC_FLAG;
+  return frame;
+};
+
+/**
+ * Parse and validate a complete HDLC frame
+ *
+ * @param {Buffer} frame - Frame including both flags
+ * @returns {Object} Parsed frame: { segmented, length, destination, source, control,
+ *   type, pollFinal, sendSequence, receiveSequence, information, hex }
+ * @throws {Error} If flags, format, length, HCS or FCS are invalid
+ */
+export const parseHdlcFrame = (frame) => {
+  if (!Buffer.isBuffer(frame) || frame.length < 9) {
+    throw new Error(`HDLC frame too short: ${frame ? frame.length : 0} bytes`);
+  }
+  if (frame[0] !== HDLC_FLAG || frame[frame.length - 1] !== HDLC_FLAG) {
+    throw new Error('HDLC frame missing flag');
+  }
+
+  const format = frame.readUInt16BE(1);
+  if (((format >> 8) & 0xf0) !== HDLC_FORMAT_TYPE) {
+    throw new Error(`Invalid HDLC frame format: 0x${format.toString(16)}`);
+  }
+
+  const length = format & MAX_FRAME_LENGTH;
+  if (length !== frame.length - 2) {
+    throw new Error(`HDLC length mismatch: format says ${length}, frame has ${frame.length - 2}`);
+  }
+
+  const fcsPos = frame.length - 3;
+  const fcs = computeFcs(frame, 1, fcsPos);
+  if (fcs !== frame.readUInt16LE(fcsPos)) {
+    throw new Error(
+      `HDLC FCS mismatch: expected 0x${fcs.toString(16)}, got 0x${frame.readUInt16LE(fcsPos).toString(16)}`
+    );
+  }
+
+  let pos = 3;
+  const destination = decodeHdlcAddress(frame, pos);
+  pos += destination.length;
+  const source = decodeHdlcAddress(frame, pos);
+  pos += source.length;
+  if (pos >= fcsPos) {
+    throw new Error('HDLC frame missing control field');
+  }
+  const control = frame[pos++];
+
+  let information = Buffer.alloc(0);
+  if (pos < fcsPos) {
+    if (pos + 2 > fcsPos) {
+      throw new Error('HDLC frame missing HCS');
+    }
+    const hcs = computeFcs(frame, 1, pos);
+    if (hcs !== frame.readUInt16LE(pos)) {
+      throw new Error(
+        `HDLC HCS mismatch: expected 0x${hcs.toString(16)}, got 0x${frame.readUInt16LE(pos).toString(16)}`
+      );
+    }
+    information = Buffer.from(frame.subarray(pos + 2, fcsPos));
+  }
+
+  return {
+    segmented: (format & SEGMENTATION_BIT) !== 0,
+    length,
+    destination: { upper: destination.upper, lower: destination.lower },
+    source: { upper: source.upper, lower: source.lower },
+    control,
+    ...decodeControl(control),
+    information,
+    hex: frame.toString('hex'),
+  };
+};
+
+/**
+ * Remove the LLC header from a reassembled information field, if present
+ *
+ * @param {Buffer} information - Information field (all segments)
+ * @returns {Buffer} DLMS APDU
+ */
+export const stripLlcHeader = (information) => {
+  if (
+    information.length >= 3 &&
+    information[0] === 0xe6 &&
+    (information[1] === 0xe6 || information[1] === 0xe7) &&
+    information[2] === 0x00
+  ) {
+    return information.subarray(3);
+  }
+  return information;
+};
+
+/**
+ * Build the SNRM/UA parameter negotiation information field
+ *
+ * Values are given from the sender's point of view: "transmit" is what the
+ * sender will send, "receive" what it accepts.
+ *
+ * @param {Object} params - Link parameters
+ * @param {number} params.maxInfoTransmit - Maximum information field length, transmit
+ * @param {number} params.maxInfoReceive - Maximum information field length, receive
+ * @param {number} [params.windowTransmit=1] - Window size, transmit
+ * @param {number} [params.windowReceive=1] - Window size, receive
+ * @returns {Buffer} Information field
+ */
+export const buildHdlcParameters = ({
+  maxInfoTransmit,
+  maxInfoReceive,
+  windowTransmit = 1,
+  windowReceive = 1,
+}) => {
+  const lengthParam = (id, value) =>
+    value > 0xff
+      ? Buffer.from([id, 2, (value >> 8) & 0xff, value & 0xff])
+      : Buffer.from([id, 1, value]);
+  const windowParam = (id, value) => {
+    const buf = Buffer.from([id, 4, 0, 0, 0, 0]);
+    buf.writeUInt32BE(value, 2);
+    return buf;
+  };
+
+  const group = Buffer.concat([
+    lengthParam(0x05, maxInfoTransmit),
+    lengthParam(0x06, maxInfoReceive),
+    windowParam(0x07, windowTransmit),
+    windowParam(0x08, windowReceive),
+  ]);
+  return Buffer.concat([Buffer.from([0x81, 0x80, group.length]), group]);
+};
+
+/**
+ * Parse a SNRM/UA parameter negotiation information field
+ *
+ * @param {Buffer} information - Information field
+ * @returns {Object|null} { maxInfoTransmit, maxInfoReceive, windowTransmit, windowReceive },
+ *   only the parameters present; null if the field is not a parameter group
+ */
+export const parseHdlcParameters = (information) => {
+  if (
+    !information ||
+    information.length < 3 ||
+    information[0] !== 0x81 ||
+    information[1] !== 0x80
+  ) {
+    return null;
+  }
+
+  const names = {
+    0x05: 'maxInfoTransmit',
+    0x06: 'maxInfoReceive',
+    0x07: 'windowTransmit',
+    0x08: 'windowReceive',
+  };
+  const params = {};
+  const end = Math.min(information.length, 3 + information[2]);
+  let pos = 3;
+  while (pos + 2 <= end) {
+    const id = information[pos];
+    const len = information[pos + 1];
+    if (pos + 2 + len > end) break;
+    let value = 0;
+    for (let i = 0; i < len; i++) {
+      value = value * 256 + information[pos + 2 + i];
+    }
+    if (names[id]) {
+      params[names[id]] = value;
+    }
+    pos += 2 + len;
+  }
+  return params;
+};
+
+/**
+ * Create a stateful HDLC stream parser
+ *
+ * Accumulates incoming TCP data and emits validated frames. Consecutive
+ * frames may share a single flag between them.
+ *
+ * @param {Function} onFrame - Callback: (parsedFrame, raw) => void
+ * @param {Function} [onError] - Callback: (error) => void
+ * @returns {Object} Stream parser with push() and reset() methods
+ */
+export const createHdlcStreamParser = (onFrame, onError = null) => {
+  let buffer = Buffer.alloc(0);
+  let frameCount = 0;
+
+  const parser = {
+    /**
+     * Push new data into the parser
+     * @param {Buffer} data - Incoming data chunk
+     */
+    push(data) {
+      buffer = Buffer.concat([buffer, data]);
+
+      while (buffer.length > 0) {
+        if (buffer[0] !== HDLC_FLAG) {
+          const next = buffer.indexOf(HDLC_FLAG);
+          if (next === -1) {
+            if (onError) {
+              onError(new Error(`No HDLC flag found, discarding ${buffer.length} bytes`));
+            }
+            buffer = Buffer.alloc(0);
+            break;
+          }
+          if (onError) {
+            onError(new Error(`Skipping ${next} bytes to next HDLC flag`));
+          }
+          buffer = buffer.subarray(next);
+          continue;
+        }
+
+        if (buffer.length < 3) {
+          break; // wait for the format field
+        }
+
+        // Back-to-back or idle flags
+        if (buffer[1] === HDLC_FLAG) {
+          buffer = buffer.subarray(1);
+          continue;
+        }
+
+        if ((buffer[1] & 0xf0) !== HDLC_FORMAT_TYPE) {
+          if (onError) {
+            onError(new Error(`Invalid HDLC frame format byte 0x${buffer[1].toString(16)}`));
+          }
+          buffer = buffer.subarray(1);
+          continue;
+        }
+
+        const totalLength = (((buffer[1] & 0x07) << 8) | buffer[2]) + 2;
+        if (buffer.length < totalLength) {
+          break; // wait for complete frame
+        }
+
+        const raw = Buffer.from(buffer.subarray(0, totalLength));
+        let frame;
+        try {
+          frame = parseHdlcFrame(raw);
+        } catch (err) {
+          if (onError) onError(err);
+          buffer = buffer.subarray(1);
+          continue;
+        }
+
+        // Keep the closing flag: it may also open the next frame
+        buffer = buffer.subarray(totalLength - 1);
+
+        frameCount++;
+        try {
+          onFrame(frame, raw);
+        } catch (err) {
+          if (onError) onError(err);
+        }
+      }
+    },
+
+    /**
+     * Reset parser state
+     */
+    reset() {
+      buffer = Buffer.alloc(0);
+    },
+
+    /**
+     * Get current buffer length
+     * @returns {number}
+     */
+    getBufferLength() {
+      return buffer.length;
+    },
+
+    /**
+     * Get frame count
+     * @returns {number}
+     */
+    getFrameCount() {
+      return frameCount;
+    },
+  };
+
+  return parser;
+};
+
+export default {
+  HDLC_FLAG,
+  HDLC_FORMAT_TYPE,
+  HDLC_POLL_FINAL,
+  HDLC_CONTROL,
+  HDLC_FRAME_TYPES,
+  LLC_HEADER,
+  HDLC_DEFAULT_MAX_INFO_LENGTH,
+  computeFcs,
+  encodeHdlcAddress,
+  decodeHdlcAddress,
+  buildInformationControl,
+  buildReceiveReadyControl,
+  decodeControl,
+  buildHdlcFrame,
+  parseHdlcFrame,
+  stripLlcHeader,
+  buildHdlcParameters,
+  parseHdlcParameters,
+  createHdlcStreamParser,
+};
@@ -0,0 +1,299 @@
+/**
+ * DLMS/COSEM Limiter (class 71)
+ *
+ * A limiter (0-0:17.0.0.255) watches one attribute of another object and
+ * runs an action (usually a disconnect through the disconnector) when the
+ * value stays above the active threshold:
+ *
+ *   monitored_value (2): value_definition { class_id: long-unsigned,
+ *     logical_name: octet-string, attribute_index: integer }
+ *   threshold_active (3), threshold_normal (4), threshold_emergency (5):
+ *     same type as the monitored value, unscaled
+ *   min_over_threshold_duration (6), min_under_threshold_duration (7):
+ *     double-long-unsigned, seconds
+ *   emergency_profile (8): structure { emergency_profile_id: long-unsigned,
+ *     emergency_activation_time: date-time, emergency_duration:
+ *     double-long-unsigned seconds }
+ *   emergency_profile_active (10): boolean
+ *
+ * threshold_active is threshold_normal, or threshold_emergency while an
+ * emergency profile runs. The limiter trips once the monitored value has
+ * been over it for min_over_threshold_duration and releases once it has
+ * been under it for min_under_threshold_duration. Thresholds are raw values
+ * of the monitored attribute: with active power (1-0:1.7.0.255) at scaler 0
+ * and unit W, 5 kW is 5000. A trip, as isLimiterTrip() sees it, is the
+ * disconnector opening while the monitored value was over threshold_active.
+ *
+ * @module protocol/dlms/limiter
+ */
+
+import {
+  DLMS_DATA_TYPES,
+  encodeCosemDateTime,
+  parseCosemDateTime,
+  parseObisCode,
+} from './data-types.js';
+import { obisToBytes } from './client.js';
+
+/**
+ * Limiter class ID, attributes and the default limiter object
+ */
+export const LIMITER = {
+  CLASS_ID: 71,
+  MONITORED_VALUE: 2,
+  THRESHOLD_ACTIVE: 3,
+  THRESHOLD_NORMAL: 4,
+  THRESHOLD_EMERGENCY: 5,
+  MIN_OVER_THRESHOLD_DURATION: 6,
+  MIN_UNDER_THRESHOLD_DURATION: 7,
+  EMERGENCY_PROFILE: 8,
+  EMERGENCY_PROFILE_ACTIVE: 10,
+  DEFAULT: '0-0:17.0.0.255',
+};
+
+/**
+ * Parse monitored_value (attribute 2)
+ *
+ * @param {Object} data - Parsed DLMS value of the attribute
+ * @returns {Object} { classId, obisCode, attributeIndex }
+ * @throws {Error} If the value is not a value_definition
+ */
+export const parseValueDefinition = (data) => {
+  const [classId, logicalName, attributeIndex] =
+    data?.type === DLMS_DATA_TYPES.STRUCTURE ? data.value : [];
+  if (
+    !Number.isInteger(classId?.value) ||
+    !Buffer.isBuffer(logicalName?.value) ||
+    logicalName.value.length !== 6 ||
+    !Number.isInteger(attributeIndex?.value)
+  ) {
+    throw new Error('monitored_value is not a value_definition');
+  }
+  return {
+    classId: classId.value,
+    obisCode: parseObisCode(logicalName.value),
+    attributeIndex: attributeIndex.value,
+  };
+};
+
+/**
+ * Parse a threshold (attributes 3-5)
+ *
+ * @param {Object} data - Parsed DLMS value of the attribute
+ * @returns {number} Unscaled threshold
+ * @throws {Error} If the value is not a number
+ */
+export const parseThreshold = (data) => {
+  if (typeof data?.value !== 'number' && typeof data?.value !== 'bigint') {
+    throw new Error(`threshold is not a number (${data?.typeName ?? 'no value'})`);
+  }
+  return data.value;
+};
+
+/**
+ * Parse emergency_profile (attribute 8)
+ *
+ * @param {Object} data - Parsed DLMS value of the attribute
+ * @returns {Object} { id, activationTime, duration } with activationTime an ISO
+ *   string (null when not specified) and duration in seconds
+ * @throws {Error} If the value is not an emergency profile structure
+ */
+export const parseEmergencyProfile = (data) => {
+  const [id, activationTime, duration] = data?.type === DLMS_DATA_TYPES.STRUCTURE ? data.value : [];
+  if (
+    !Number.isInteger(id?.value) ||
+    !Buffer.isBuffer(activationTime?.value) ||
+    activationTime.value.length !== 12 ||
+    !Number.isInteger(duration?.value)
+  ) {
+    throw new Error('emergency_profile is not a structure of id, activation time and duration');
+  }
+  return {
+    id: id.value,
+    activationTime: parseCosemDateTime(activationTime.value).iso,
+    duration: duration.value,
+  };
+};
+
+/**
+ * Typed double-long-unsigned seconds
+ * @private
+ */
+const encodeSeconds = (seconds, name) => {
+  if (!Number.isInteger(seconds) || seconds < 0 || seconds > 0xffffffff) {
+    throw new Error(`${name} must be 0-4294967295 seconds`);
+  }
+  return { type: DLMS_DATA_TYPES.UINT32, value: seconds };
+};
+
+/**
+ * Typed threshold in the monitored value's type
+ * @private
+ */
+const encodeThreshold = (name) => (value, thresholdType) => {
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    throw new Error(`${name} must be a number`);
+  }
+  return { type: thresholdType, value };
+};
+
+/**
+ * Encoders of the writable attributes, by command parameter
+ * @private
+ */
+const ATTRIBUTE_ENCODERS = {
+  monitoredValue: {
+    attribute: LIMITER.MONITORED_VALUE,
+    encode: ({ classId, obisCode, attributeIndex = 2 } = {}) => {
+      if (!Number.isInteger(classId) || typeof obisCode !== 'string') {
+        throw new Error('monitoredValue needs a classId and an obisCode');
+      }
+      return {
+        type: DLMS_DATA_TYPES.STRUCTURE,
+        value: [
+          { type: DLMS_DATA_TYPES.UINT16, value: classId },
+          { type: DLMS_DATA_TYPES.OCTET_STRING, value: obisToBytes(obisCode) },
+          { type: DLMS_DATA_TYPES.INT8, value: attributeIndex },
+        ],
+      };
+    },
+  },
+  thresholdActive: {
+    attribute: LIMITER.THRESHOLD_ACTIVE,
+    encode: encodeThreshold('thresholdActive'),
+  },
+  thresholdNormal: {
+    attribute: LIMITER.THRESHOLD_NORMAL,
+    encode: encodeThreshold('thresholdNormal'),
+  },
+  thresholdEmergency: {
+    attribute: LIMITER.THRESHOLD_EMERGENCY,
+    encode: encodeThreshold('thresholdEmergency'),
+  },
+  minOverThresholdDuration: {
+    attribute: LIMITER.MIN_OVER_THRESHOLD_DURATION,
+    encode: (seconds) => encodeSeconds(seconds, 'minOverThresholdDuration'),
+  },
+  minUnderThresholdDuration: {
+    attribute: LIMITER.MIN_UNDER_THRESHOLD_DURATION,
+    encode: (seconds) => encodeSeconds(seconds, 'minUnderThresholdDuration'),
+  },
+  emergencyProfile: {
+    attribute: LIMITER.EMERGENCY_PROFILE,
+    encode: ({ id, activationTime, duration } = {}) => {
+      if (!Number.isInteger(id) || id < 0 || id > 0xffff) {
+        throw new Error('emergencyProfile needs an id (0-65535)');
+      }
+      const start = new Date(activationTime);
+      if (Number.isNaN(start.getTime())) {
+        throw new Error('emergencyProfile needs an activationTime (date)');
+      }
+      return {
+        type: DLMS_DATA_TYPES.STRUCTURE,
+        value: [
+          { type: DLMS_DATA_TYPES.UINT16, value: id },
+          { type: DLMS_DATA_TYPES.OCTET_STRING, value: encodeCosemDateTime(start) },
+          encodeSeconds(duration, 'emergencyProfile duration'),
+        ],
+      };
+    },
+  },
+};
+
+/**
+ * Names of the threshold attributes, which take the monitored value's type
+ */
+export const THRESHOLD_ATTRIBUTES = ['thresholdActive', 'thresholdNormal', 'thresholdEmergency'];
+
+/**
+ * Encode limiter changes as attribute values to SET
+ *
+ * Takes the shape readLimiter() returns, so a read limiter can be edited
+ * and written back.
+ *
+ * @param {Object} changes - Any of monitoredValue, thresholdActive, thresholdNormal,
+ *   thresholdEmergency, minOverThresholdDuration, minUnderThresholdDuration and
+ *   emergencyProfile
+ * @param {number|string} [thresholdType] - DLMS type (tag or name) of the monitored
+ *   value; thresholds are left untyped without it
+ * @returns {Object[]} { name, attribute, value } with value a typed DLMS value, in
+ *   attribute order
+ * @throws {Error} If nothing is changed or a value cannot be encoded
+ */
+export const encodeLimiterChanges = (changes = {}, thresholdType) => {
+  const encoded = Object.entries(ATTRIBUTE_ENCODERS)
+    .filter(([name]) => changes[name] !== undefined)
+    .map(([name, { attribute, encode }]) => ({
+      name,
+      attribute,
+      value: encode(changes[name], thresholdType),
+    }));
+  if (encoded.length === 0) {
+    throw new Error(
+      `No limiter attribute to write (${Object.keys(ATTRIBUTE_ENCODERS).join(', ')})`
+    );
+  }
+  return encoded;
+};
+
+/**
+ * Disconnector control states a limiter trip leaves the relay in
+ */
+export const LIMITER_TRIP_STATES = ['disconnected', 'ready_for_reconnection'];
+
+/**
+ * Whether the monitored value is over threshold_active
+ *
+ * @param {Object} limiter - { currentValue, thresholdActive } from readLimiter()
+ * @returns {boolean|null} null when either value was not read
+ */
+export const isOverThreshold = ({ currentValue, thresholdActive }) => {
+  if (typeof currentValue !== 'number' || typeof thresholdActive !== 'number') {
+    return null;
+  }
+  return currentValue > thresholdActive;
+};
+
+/**
+ * Whether a limiter has tripped, from two readings of it and the relay
+ *
+ * A trip is the disconnector going to disconnected or
+ * ready_for_reconnection while the monitored value was over
+ * threshold_active. Once the relay has opened the value drops, so the
+ * reading before the relay opened counts as well as the one that finds it
+ * open. The trip ends when the relay is connected again. A meter without a
+ * disconnector never trips.
+ *
+ * @param {Object|null} previous - Last reading of the meter, null if none
+ * @param {Object} current - This reading
+ * @param {boolean|null} current.overThreshold - From isOverThreshold()
+ * @param {Object|null} current.relayState - Disconnector state from toRelayState()
+ * @returns {boolean|null} True when the limiter tripped, false when the relay is connected
+ *   or opened under the threshold, null when nothing changed or it cannot tell
+ */
+export const isLimiterTrip = (previous, current) => {
+  const state = current.relayState?.controlStateName;
+  if (!state || state === 'connected') {
+    return false;
+  }
+  const before = previous?.relayState?.controlStateName;
+  if (!LIMITER_TRIP_STATES.includes(state) || LIMITER_TRIP_STATES.includes(before)) {
+    return null;
+  }
+  if (previous?.overThreshold || current.overThreshold) {
+    return true;
+  }
+  return before === 'connected' ? false : null;
+};
+
+export default {
+  LIMITER,
+  THRESHOLD_ATTRIBUTES,
+  parseValueDefinition,
+  parseThreshold,
+  parseEmergencyProfile,
+  LIMITER_TRIP_STATES,
+  encodeLimiterChanges,
+  isOverThreshold,
+  isLimiterTrip,
+};
@@ -79,6 +79,10 @@ export const OBIS_REGISTRY = {
   '1-0:1.6.0.255': { name: 'Maximum demand active import', unit: 'W', category: 'demand', key: 'MAX_DEMAND_IMPORT' },
   '1-0:2.6.0.255': { name: 'Maximum demand active export', unit: 'W', category: 'demand', key: 'MAX_DEMAND_EXPORT' },
 
+  // Profiles (Profile Generic, class 7)
+  '1-0:99.1.0.255': { name: 'Load profile 1', unit: '', category: 'profile', key: 'LOAD_PROFILE_1', classId: 7 },
+  '1-0:99.2.0.255': { name: 'Load profile 2', unit: '', category: 'profile', key: 'LOAD_PROFILE_2', classId: 7 },
+
   // Clock and calendar
   '0-0:1.0.0.255': { name: 'Clock', unit: '', category: 'system', key: 'CLOCK' },
 
@@ -90,7 +94,7 @@ export const OBIS_REGISTRY = {
   // Events / logs
   '0-0:96.7.21.255': { name: 'Number of power failures', unit: '', category: 'events', key: 'POWER_FAILURE_COUNT' },
   '0-0:96.7.9.255': { name: 'Number of long power failures', unit: '', category: 'events', key: 'LONG_POWER_FAILURE_COUNT' },
-  '1-0:99.97.0.255': { name: 'Power failure event log', unit: '', category: 'events', key: 'POWER_FAILURE_LOG' },
+  '1-0:99.97.0.255': { name: 'Power failure event log', unit: '', category: 'events', key: 'POWER_FAILURE_LOG', classId: 7 },
   '0-0:96.7.19.255': { name: 'Number of voltage sags L1', unit: '', category: 'events', key: 'VOLTAGE_SAG_L1_COUNT' },
   '0-0:96.7.20.255': { name: 'Number of voltage swells L1', unit: '', category: 'events', key: 'VOLTAGE_SWELL_L1_COUNT' },
 
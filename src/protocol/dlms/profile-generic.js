@@ -0,0 +1,263 @@
+/**
+ * DLMS/COSEM Profile Generic (class 7)
+ *
+ * Load profiles and event logs are Profile Generic objects. The buffer
+ * (attribute 2) is an array of rows; the columns of each row are the
+ * capture objects (attribute 3), so the capture objects are read first to
+ * name the values. The buffer is read with selective access so only the
+ * wanted rows come back:
+ *
+ *   range_descriptor (selector 1): rows whose restricting object (usually
+ *     the clock column) lies between from_value and to_value
+ *   entry_descriptor (selector 2): rows from_entry..to_entry (1 = oldest)
+ *
+ * Meters may leave the clock column as null-data in consecutive rows; the
+ * timestamp is then the previous row's plus the capture period.
+ *
+ * @module protocol/dlms/profile-generic
+ */
+
+import {
+  DLMS_DATA_TYPES,
+  parseCosemDateTime,
+  parseObisCode,
+  looksLikeCosemDateTime,
+} from './data-types.js';
+import { obisToBytes } from './client.js';
+import { mapDlmsToGatewayRegister } from './obis-registry.js';
+import { scaleDlmsValue } from './scaler-unit.js';
+
+/**
+ * Profile Generic class ID and attributes
+ */
+export const PROFILE_GENERIC = {
+  CLASS_ID: 7,
+  BUFFER: 2,
+  CAPTURE_OBJECTS: 3,
+  CAPTURE_PERIOD: 4, // seconds, 0 = asynchronous (event logs)
+  ENTRIES_IN_USE: 7,
+  PROFILE_ENTRIES: 8,
+};
+
+/**
+ * Selective access selectors for the buffer attribute
+ */
+export const PROFILE_ACCESS_SELECTORS = {
+  RANGE: 1,
+  ENTRY: 2,
+};
+
+/**
+ * Clock object, the usual restricting object of a range_descriptor
+ */
+export const CLOCK_CAPTURE_OBJECT = {
+  classId: 8,
+  obisCode: '0-0:1.0.0.255',
+  attributeIndex: 2,
+  dataIndex: 0,
+};
+
+/**
+ * Encode a capture_object_definition as a typed structure
+ *
+ * Push setups (class 40) list their objects with the same definition.
+ *
+ * @param {Object} object - { classId, obisCode, attributeIndex, dataIndex }
+ * @returns {Object} Typed structure for encodeDlmsValue()
+ */
+export const captureObjectDefinition = ({ classId, obisCode, attributeIndex, dataIndex = 0 }) => ({
+  type: DLMS_DATA_TYPES.STRUCTURE,
+  value: [
+    { type: DLMS_DATA_TYPES.UINT16, value: classId },
+    { type: DLMS_DATA_TYPES.OCTET_STRING, value: obisToBytes(obisCode) },
+    { type: DLMS_DATA_TYPES.INT8, value: attributeIndex },
+    { type: DLMS_DATA_TYPES.UINT16, value: dataIndex },
+  ],
+});
+
+/**
+ * Build a range_descriptor access selection for the buffer
+ *
+ * @param {Object} options - Range
+ * @param {Date} options.from - First capture time (inclusive)
+ * @param {Date} options.to - Last capture time (inclusive)
+ * @param {Object} [options.restrictingObject=CLOCK_CAPTURE_OBJECT] - Column the range applies to
+ * @param {Object[]} [options.columns=[]] - Capture objects to return (empty = all)
+ * @returns {Object} { selector, parameters } for buildGetRequest()
+ */
+export const buildRangeDescriptor = ({
+  from,
+  to,
+  restrictingObject = CLOCK_CAPTURE_OBJECT,
+  columns = [],
+}) => ({
+  selector: PROFILE_ACCESS_SELECTORS.RANGE,
+  parameters: {
+    type: DLMS_DATA_TYPES.STRUCTURE,
+    value: [
+      captureObjectDefinition(restrictingObject),
+      { type: DLMS_DATA_TYPES.OCTET_STRING, value: from },
+      { type: DLMS_DATA_TYPES.OCTET_STRING, value: to },
+      { type: DLMS_DATA_TYPES.ARRAY, value: columns.map(captureObjectDefinition) },
+    ],
+  },
+});
+
+/**
+ * Build an entry_descriptor access selection for the buffer
+ *
+ * @param {Object} options - Entries and columns, 1-based
+ * @param {number} [options.fromEntry=1] - First row (1 = oldest)
+ * @param {number} [options.toEntry=0] - Last row (0 = newest)
+ * @param {number} [options.fromColumn=1] - First column
+ * @param {number} [options.toColumn=0] - Last column (0 = last)
+ * @returns {Object} { selector, parameters } for buildGetRequest()
+ */
+export const buildEntryDescriptor = ({
+  fromEntry = 1,
+  toEntry = 0,
+  fromColumn = 1,
+  toColumn = 0,
+} = {}) => ({
+  selector: PROFILE_ACCESS_SELECTORS.ENTRY,
+  parameters: {
+    type: DLMS_DATA_TYPES.STRUCTURE,
+    value: [
+      { type: DLMS_DATA_TYPES.UINT32, value: fromEntry },
+      { type: DLMS_DATA_TYPES.UINT32, value: toEntry },
+      { type: DLMS_DATA_TYPES.UINT16, value: fromColumn },
+      { type: DLMS_DATA_TYPES.UINT16, value: toColumn },
+    ],
+  },
+});
+
+/**
+ * Parse capture_objects (attribute 3)
+ *
+ * @param {Object} data - Parsed DLMS value of the attribute (array of structures)
+ * @returns {Object[]} Columns: { classId, obisCode, attributeIndex, dataIndex }
+ * @throws {Error} If the value is not an array of capture object definitions
+ */
+export const parseCaptureObjects = (data) => {
+  if (data?.type !== DLMS_DATA_TYPES.ARRAY) {
+    throw new Error('capture_objects is not an array');
+  }
+  return data.value.map((fields, i) => {
+    const [classId, logicalName, attributeIndex, dataIndex] = fields ?? [];
+    if (!Buffer.isBuffer(logicalName?.value) || logicalName.value.length !== 6) {
+      throw new Error(`capture_objects entry ${i} is not a capture object definition`);
+    }
+    return {
+      classId: classId.value,
+      obisCode: parseObisCode(logicalName.value),
+      attributeIndex: attributeIndex.value,
+      dataIndex: dataIndex?.value ?? 0,
+    };
+  });
+};
+
+/**
+ * Name a column: registry key for the value attribute, else OBIS code and attribute
+ * @private
+ */
+const columnName = ({ obisCode, attributeIndex }) => {
+  const name = mapDlmsToGatewayRegister(obisCode);
+  return attributeIndex === 2 ? name : `${name}.${attributeIndex}`;
+};
+
+/**
+ * Convert a clock column value (date-time octet-string or DATE_TIME) to a
+ * Date in local time, like the meter clock
+ * @private
+ */
+const toDate = (field) => {
+  let dt = null;
+  if (field.type === DLMS_DATA_TYPES.DATE_TIME) {
+    dt = field.value;
+  } else if (Buffer.isBuffer(field.value) && looksLikeCosemDateTime(field.value)) {
+    dt = parseCosemDateTime(field.value);
+  }
+  if (!dt || dt.year == null || dt.month == null || dt.day == null) {
+    return null;
+  }
+  return new Date(
+    dt.year,
+    dt.month - 1,
+    dt.day,
+    dt.hour ?? 0,
+    dt.minute ?? 0,
+    dt.second ?? 0,
+    (dt.hundredths ?? 0) * 10
+  );
+};
+
+/**
+ * Map buffer rows to timestamped, named and scaled values
+ *
+ * The clock column (class 8) gives the row timestamp; every other column
+ * becomes a value named by the OBIS registry and scaled by the meter's
+ * scaler_unit when known, else the registry scaler. Rows whose time cannot
+ * be determined are dropped.
+ *
+ * @param {Object} data - Parsed DLMS value of the buffer (array or compact array of
+ *   structures)
+ * @param {Object[]} columns - Capture objects from parseCaptureObjects()
+ * @param {Object} [options] - Options
+ * @param {number} [options.capturePeriod=0] - Seconds between rows, for null timestamps
+ * @param {Function} [options.scalerUnitFor] - (obisCode) => { scaler, unit } | null
+ * @returns {Object[]} Rows: { timestamp: Date, values: { [name]: value } }
+ * @throws {Error} If the value is not an array of rows
+ */
+export const mapProfileRows = (data, columns, options = {}) => {
+  const { capturePeriod = 0, scalerUnitFor } = options;
+  if (data?.type !== DLMS_DATA_TYPES.ARRAY && data?.type !== DLMS_DATA_TYPES.COMPACT_ARRAY) {
+    throw new Error('Profile buffer is not an array');
+  }
+
+  const rows = [];
+  let previous = null;
+  for (const fields of data.value) {
+    let timestamp = null;
+    let clockColumn = false;
+    const values = {};
+
+    (fields ?? []).forEach((field, i) => {
+      const column = columns[i];
+      if (!column) {
+        return;
+      }
+      if (column.classId === CLOCK_CAPTURE_OBJECT.classId) {
+        clockColumn = true;
+        timestamp = toDate(field);
+        return;
+      }
+
+      let value = Buffer.isBuffer(field.value) ? field.value.toString('hex') : field.value;
+      if (column.attributeIndex === 2) {
+        value = scaleDlmsValue(value, column.obisCode, scalerUnitFor?.(column.obisCode)).value;
+      }
+      values[columnName(column)] = value;
+    });
+
+    if (clockColumn && !timestamp && previous && capturePeriod > 0) {
+      timestamp = new Date(previous.getTime() + capturePeriod * 1000);
+    }
+    if (!timestamp) {
+      continue;
+    }
+    previous = timestamp;
+    rows.push({ timestamp, values });
+  }
+  return rows;
+};
+
+export default {
+  PROFILE_GENERIC,
+  PROFILE_ACCESS_SELECTORS,
+  CLOCK_CAPTURE_OBJECT,
+  captureObjectDefinition,
+  buildRangeDescriptor,
+  buildEntryDescriptor,
+  parseCaptureObjects,
+  mapProfileRows,
+};
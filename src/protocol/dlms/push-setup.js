@@ -0,0 +1,369 @@
+/**
+ * DLMS/COSEM Push Setup (class 40)
+ *
+ * A push setup object (0-0:25.9.0.255, 0-0:25.9.1.255, ...) says what the
+ * meter sends unsolicited in a DataNotification, where to, and when:
+ *
+ *   push_object_list (2): array of object definitions, as Profile Generic
+ *     capture objects { class_id, logical_name, attribute_index, data_index }
+ *   send_destination_and_method (3): structure { transport_service: enum,
+ *     destination: octet-string, message: enum }
+ *   communication_window (4): array of { start: date-time, end: date-time }
+ *   randomisation_start_interval (5): long-unsigned, seconds
+ *
+ * The DataNotification body is a structure with one field per entry of
+ * push_object_list and no names, so the list is needed to read it. The
+ * first entry is usually the push setup's own logical name (attribute 1),
+ * which tells the push setups of a meter apart.
+ *
+ * @module protocol/dlms/push-setup
+ */
+
+import {
+  DLMS_DATA_TYPES,
+  looksLikeCosemDateTime,
+  parseCosemDateTime,
+  parseObisCode,
+} from './data-types.js';
+import { mapDlmsToGatewayRegister } from './obis-registry.js';
+import { CLOCK_CAPTURE_OBJECT, captureObjectDefinition } from './profile-generic.js';
+import { scaleDlmsValue } from './scaler-unit.js';
+
+/**
+ * Push setup class ID, attributes, method and the default push setup object
+ */
+export const PUSH_SETUP = {
+  CLASS_ID: 40,
+  LOGICAL_NAME: 1,
+  PUSH_OBJECT_LIST: 2,
+  SEND_DESTINATION_AND_METHOD: 3,
+  COMMUNICATION_WINDOW: 4,
+  RANDOMISATION_START_INTERVAL: 5,
+  PUSH: 1, // method
+  DEFAULT: '0-0:25.9.0.255',
+};
+
+/**
+ * send_destination_and_method transport services
+ */
+export const PUSH_TRANSPORT_SERVICES = {
+  0: 'tcp',
+  1: 'udp',
+  2: 'ftp',
+  3: 'smtp',
+  4: 'sms',
+  5: 'hdlc',
+  6: 'm-bus',
+  7: 'zigbee',
+  8: 'dlms-gateway',
+};
+
+/**
+ * send_destination_and_method message types
+ */
+export const PUSH_MESSAGE_TYPES = {
+  0: 'a-xdr',
+  1: 'xml',
+};
+
+/**
+ * Date-time fields of a communication window boundary, in encoding order
+ * @private
+ */
+const WINDOW_FIELDS = ['month', 'day', 'dayOfWeek', 'hour', 'minute', 'second', 'hundredths'];
+
+/**
+ * Parse push_object_list (attribute 2)
+ *
+ * @param {Object} data - Parsed DLMS value of the attribute (array of structures)
+ * @returns {Object[]} Pushed objects: { classId, obisCode, attributeIndex, dataIndex }
+ * @throws {Error} If the value is not an array of object definitions
+ */
+export const parsePushObjectList = (data) => {
+  if (data?.type !== DLMS_DATA_TYPES.ARRAY) {
+    throw new Error('push_object_list is not an array');
+  }
+  return data.value.map((fields, i) => {
+    const [classId, logicalName, attributeIndex, dataIndex] = fields ?? [];
+    if (!Buffer.isBuffer(logicalName?.value) || logicalName.value.length !== 6) {
+      throw new Error(`push_object_list entry ${i} is not an object definition`);
+    }
+    return {
+      classId: classId.value,
+      obisCode: parseObisCode(logicalName.value),
+      attributeIndex: attributeIndex.value,
+      dataIndex: dataIndex?.value ?? 0,
+    };
+  });
+};
+
+/**
+ * Parse send_destination_and_method (attribute 3)
+ *
+ * @param {Object} data - Parsed DLMS value of the attribute
+ * @returns {Object} { transport, destination, message } with transport and message
+ *   names (numbers when not standard) and the destination as text
+ * @throws {Error} If the value is not a structure of transport, destination and message
+ */
+export const parseSendDestination = (data) => {
+  const [transport, destination, message] =
+    data?.type === DLMS_DATA_TYPES.STRUCTURE ? data.value : [];
+  if (transport?.type !== DLMS_DATA_TYPES.ENUM || !Buffer.isBuffer(destination?.value)) {
+    throw new Error('send_destination_and_method is not a structure of transport and destination');
+  }
+  return {
+    transport: PUSH_TRANSPORT_SERVICES[transport.value] ?? transport.value,
+    destination: destination.value.toString('latin1'),
+    message: PUSH_MESSAGE_TYPES[message?.value] ?? message?.value ?? null,
+  };
+};
+
+/**
+ * Parse communication_window (attribute 4)
+ *
+ * @param {Object} data - Parsed DLMS value of the attribute (array of structures)
+ * @returns {Object[]} Windows: { start, end } as date-time fields from parseCosemDateTime(),
+ *   null where the meter leaves a field unspecified (wildcard)
+ * @throws {Error} If the value is not an array of start and end date-times
+ */
+export const parseCommunicationWindow = (data) => {
+  if (data?.type !== DLMS_DATA_TYPES.ARRAY) {
+    throw new Error('communication_window is not an array');
+  }
+  return data.value.map((fields, i) => {
+    const [start, end] = Array.isArray(fields) ? fields : [];
+    if (!isDateTimeField(start) || !isDateTimeField(end)) {
+      throw new Error(`communication_window entry ${i} is not a start and end date-time`);
+    }
+    return { start: windowDateTime(start.value), end: windowDateTime(end.value) };
+  });
+};
+
+/**
+ * Whether a field holds a 12-byte date-time octet-string
+ * @private
+ */
+const isDateTimeField = (field) => Buffer.isBuffer(field?.value) && field.value.length === 12;
+
+/**
+ * Date-time fields of a window boundary, without the derived ISO string
+ * @private
+ */
+const windowDateTime = (buffer) => {
+  const fields = parseCosemDateTime(buffer);
+  delete fields.iso;
+  return fields;
+};
+
+/**
+ * Encode a window boundary; missing or null fields are wildcards (0xFF)
+ * @private
+ */
+const encodeWindowDateTime = (dt = {}) => {
+  const buffer = Buffer.alloc(12, 0xff);
+  buffer.writeUInt16BE(dt.year ?? 0xffff, 0);
+  WINDOW_FIELDS.forEach((name, i) => {
+    buffer[2 + i] = dt[name] ?? 0xff;
+  });
+  buffer.writeInt16BE(dt.deviation ?? -0x8000, 9);
+  buffer[11] = dt.clockStatus ?? 0xff;
+  return buffer;
+};
+
+/**
+ * Enum value for a name or number of a names table
+ * @private
+ */
+const enumValue = (names, value, label) => {
+  if (Number.isInteger(value) && value >= 0 && value <= 0xff) {
+    return value;
+  }
+  const entry = Object.entries(names).find(([, name]) => name === value);
+  if (!entry) {
+    throw new Error(`Unknown ${label}: ${value}`);
+  }
+  return Number(entry[0]);
+};
+
+/**
+ * Encoders of the writable attributes, by command parameter
+ * @private
+ */
+const ATTRIBUTE_ENCODERS = {
+  objectList: {
+    attribute: PUSH_SETUP.PUSH_OBJECT_LIST,
+    encode: (objects) => {
+      if (!Array.isArray(objects)) {
+        throw new Error('objectList must be a list of objects');
+      }
+      return {
+        type: DLMS_DATA_TYPES.ARRAY,
+        value: objects.map((object, i) => {
+          if (typeof object?.obisCode !== 'string') {
+            throw new Error(`objectList entry ${i} needs an obisCode`);
+          }
+          return captureObjectDefinition(object);
+        }),
+      };
+    },
+  },
+  sendDestinationAndMethod: {
+    attribute: PUSH_SETUP.SEND_DESTINATION_AND_METHOD,
+    encode: ({ transport = 'tcp', destination, message = 'a-xdr' } = {}) => {
+      if (typeof destination !== 'string') {
+        throw new Error('sendDestinationAndMethod needs a destination');
+      }
+      return {
+        type: DLMS_DATA_TYPES.STRUCTURE,
+        value: [
+          {
+            type: DLMS_DATA_TYPES.ENUM,
+            value: enumValue(PUSH_TRANSPORT_SERVICES, transport, 'transport'),
+          },
+          { type: DLMS_DATA_TYPES.OCTET_STRING, value: Buffer.from(destination, 'latin1') },
+          { type: DLMS_DATA_TYPES.ENUM, value: enumValue(PUSH_MESSAGE_TYPES, message, 'message') },
+        ],
+      };
+    },
+  },
+  communicationWindow: {
+    attribute: PUSH_SETUP.COMMUNICATION_WINDOW,
+    encode: (windows) => {
+      if (!Array.isArray(windows)) {
+        throw new Error('communicationWindow must be a list of { start, end }');
+      }
+      return {
+        type: DLMS_DATA_TYPES.ARRAY,
+        value: windows.map(({ start, end } = {}) => ({
+          type: DLMS_DATA_TYPES.STRUCTURE,
+          value: [
+            { type: DLMS_DATA_TYPES.OCTET_STRING, value: encodeWindowDateTime(start) },
+            { type: DLMS_DATA_TYPES.OCTET_STRING, value: encodeWindowDateTime(end) },
+          ],
+        })),
+      };
+    },
+  },
+  randomisationStartInterval: {
+    attribute: PUSH_SETUP.RANDOMISATION_START_INTERVAL,
+    encode: (seconds) => {
+      if (!Number.isInteger(seconds) || seconds < 0 || seconds > 0xffff) {
+        throw new Error('randomisationStartInterval must be 0-65535 seconds');
+      }
+      return { type: DLMS_DATA_TYPES.UINT16, value: seconds };
+    },
+  },
+};
+
+/**
+ * Encode push setup changes as attribute values to SET
+ *
+ * Takes the same shape parsePushObjectList(), parseSendDestination() and
+ * parseCommunicationWindow() return, so a read setup can be edited and
+ * written back.
+ *
+ * @param {Object} changes - Any of objectList, sendDestinationAndMethod,
+ *   communicationWindow and randomisationStartInterval
+ * @returns {Object[]} { name, attribute, value } with value a typed DLMS value, in
+ *   attribute order
+ * @throws {Error} If nothing is changed or a value cannot be encoded
+ */
+export const encodePushSetupChanges = (changes = {}) => {
+  const encoded = Object.entries(ATTRIBUTE_ENCODERS)
+    .filter(([name]) => changes[name] !== undefined)
+    .map(([name, { attribute, encode }]) => ({ name, attribute, value: encode(changes[name]) }));
+  if (encoded.length === 0) {
+    throw new Error(
+      `No push setup attribute to write (${Object.keys(ATTRIBUTE_ENCODERS).join(', ')})`
+    );
+  }
+  return encoded;
+};
+
+/**
+ * Timestamp of a clock field (date-time octet-string or DATE_TIME) as an ISO string
+ * @private
+ */
+const toIsoTime = (field) => {
+  if (field.type === DLMS_DATA_TYPES.DATE_TIME) {
+    return field.value?.iso ?? null;
+  }
+  if (Buffer.isBuffer(field.value) && looksLikeCosemDateTime(field.value)) {
+    return parseCosemDateTime(field.value).iso;
+  }
+  return null;
+};
+
+/**
+ * Map the fields of a push to named readings by its push_object_list
+ *
+ * Field i is the value of object i. The push setup's own logical name is
+ * skipped, a clock entry gives the timestamp, and every other scalar value
+ * becomes a reading named by the OBIS registry (OBIS code when unknown)
+ * and scaled by the meter's scaler_unit when known, else the registry
+ * scaler. Attributes other than the value are named "<name>.<attribute>".
+ *
+ * @param {Object[]} fields - Typed fields of the DataNotification body
+ * @param {Object[]} objectList - Pushed objects from parsePushObjectList()
+ * @param {Object} [options] - Options
+ * @param {Function} [options.scalerUnitFor] - (obisCode) => { scaler, unit } | null
+ * @returns {Object} { timestamp, readings: { [name]: { value, unit, obis } } }
+ */
+export const mapPushPayload = (fields, objectList, options = {}) => {
+  const { scalerUnitFor } = options;
+  const result = { timestamp: null, readings: {} };
+
+  fields.forEach((field, i) => {
+    const object = objectList[i];
+    if (!object || !field || Array.isArray(field.value)) {
+      return;
+    }
+    if (
+      object.classId === PUSH_SETUP.CLASS_ID &&
+      object.attributeIndex === PUSH_SETUP.LOGICAL_NAME
+    ) {
+      return;
+    }
+    if (object.classId === CLOCK_CAPTURE_OBJECT.classId && object.attributeIndex === 2) {
+      result.timestamp = toIsoTime(field);
+      return;
+    }
+
+    const name = mapDlmsToGatewayRegister(object.obisCode);
+    const value = Buffer.isBuffer(field.value) ? field.value.toString('hex') : field.value;
+    if (object.attributeIndex === 2) {
+      result.readings[name] = {
+        ...scaleDlmsValue(value, object.obisCode, scalerUnitFor?.(object.obisCode)),
+        obis: object.obisCode,
+      };
+    } else {
+      result.readings[`${name}.${object.attributeIndex}`] = { value, obis: object.obisCode };
+    }
+  });
+
+  return result;
+};
+
+/**
+ * Logical name a push carries in its first field, when its push_object_list
+ * starts with the push setup's own logical name
+ *
+ * @param {Object[]} fields - Typed fields of the DataNotification body
+ * @returns {string|null} OBIS code of the first field, or null when it is not a logical name
+ */
+export const pushLogicalName = (fields) => {
+  const first = fields[0]?.value;
+  return Buffer.isBuffer(first) && first.length === 6 ? parseObisCode(first) : null;
+};
+
+export default {
+  PUSH_SETUP,
+  PUSH_TRANSPORT_SERVICES,
+  PUSH_MESSAGE_TYPES,
+  parsePushObjectList,
+  parseSendDestination,
+  parseCommunicationWindow,
+  encodePushSetupChanges,
+  mapPushPayload,
+  pushLogicalName,
+};
@@ -0,0 +1,173 @@
+/**
+ * DLMS/COSEM scaler_unit
+ *
+ * Register (class 3), Extended register (class 4) and Demand register
+ * (class 5) objects carry their value as an integer plus a scaler_unit
+ * attribute: structure { scaler: integer, unit: enum }. The real value is
+ * value × 10^scaler in the given unit. Scalers differ between firmware
+ * versions, so the registry scalers are only a fallback for meters whose
+ * scaler_unit has not been read.
+ *
+ * @module protocol/dlms/scaler-unit
+ */
+
+import { DLMS_DATA_TYPES } from './data-types.js';
+import { lookupObis } from './obis-registry.js';
+
+/**
+ * scaler_unit attribute index by COSEM class ID
+ */
+export const SCALER_UNIT_ATTRIBUTES = {
+  3: 3, // Register
+  4: 3, // Extended register
+  5: 4, // Demand register
+};
+
+/**
+ * Unit enumeration (IEC 62056-6-2), symbols for the units meters use
+ */
+export const DLMS_UNITS = {
+  1: 'a',
+  2: 'mo',
+  3: 'wk',
+  4: 'd',
+  5: 'h',
+  6: 'min',
+  7: 's',
+  8: '°',
+  9: '°C',
+  10: 'currency',
+  11: 'm',
+  12: 'm/s',
+  13: 'm3',
+  14: 'm3',
+  15: 'm3/h',
+  16: 'm3/h',
+  17: 'm3/d',
+  18: 'm3/d',
+  19: 'l',
+  20: 'kg',
+  21: 'N',
+  22: 'Nm',
+  23: 'Pa',
+  24: 'bar',
+  25: 'J',
+  26: 'J/h',
+  27: 'W',
+  28: 'VA',
+  29: 'var',
+  30: 'Wh',
+  31: 'VAh',
+  32: 'varh',
+  33: 'A',
+  34: 'C',
+  35: 'V',
+  36: 'V/m',
+  37: 'F',
+  38: 'Ω',
+  39: 'Ωm2/m',
+  40: 'Wb',
+  41: 'T',
+  42: 'A/m',
+  43: 'H',
+  44: 'Hz',
+  45: '1/(Wh)',
+  46: '1/(varh)',
+  47: '1/(VAh)',
+  48: 'V2h',
+  49: 'A2h',
+  50: 'kg/s',
+  51: 'S',
+  52: 'K',
+  56: '%',
+  57: 'Ah',
+  60: 'Wh/m3',
+  61: 'J/m3',
+  62: 'mol%',
+  63: 'g/m3',
+  64: 'Pa s',
+  65: 'J/kg',
+  70: 'dBm',
+  71: 'dBμV',
+  72: 'dB',
+  254: '', // other
+  255: '', // count, no unit
+};
+
+/**
+ * Parse a scaler_unit attribute value
+ *
+ * @param {Object} data - Parsed DLMS value (structure of integer and enum)
+ * @returns {Object} { scaler, unit } with unit the enum value
+ * @throws {Error} If the value is not a scaler_unit structure
+ */
+export const parseScalerUnit = (data) => {
+  const [scaler, unit] = data?.type === DLMS_DATA_TYPES.STRUCTURE ? data.value : [];
+  if (!Number.isInteger(scaler?.value) || unit?.type !== DLMS_DATA_TYPES.ENUM) {
+    throw new Error('scaler_unit is not a structure of scaler and unit');
+  }
+  return { scaler: scaler.value, unit: unit.value };
+};
+
+/**
+ * Scale a register value and find its unit
+ *
+ * Uses the meter's scaler_unit when known, else the registry scaler and unit.
+ * Non-numeric values are returned unchanged.
+ *
+ * @param {*} value - Raw value from the meter
+ * @param {string} obisCode - OBIS code of the register
+ * @param {Object|null} [scalerUnit] - { scaler, unit } read from the meter
+ * @returns {Object} { value, unit }
+ */
+export const scaleDlmsValue = (value, obisCode, scalerUnit = null) => {
+  const obisInfo = lookupObis(obisCode);
+
+  if (scalerUnit) {
+    const unit = DLMS_UNITS[scalerUnit.unit] ?? obisInfo?.unit ?? '';
+    if (typeof value !== 'number' || scalerUnit.scaler === 0) {
+      return { value, unit };
+    }
+    const scaled = value * 10 ** scalerUnit.scaler;
+    return {
+      value: scalerUnit.scaler < 0 ? Number(scaled.toFixed(-scalerUnit.scaler)) : scaled,
+      unit,
+    };
+  }
+
+  const unit = obisInfo?.unit || '';
+  if (obisInfo?.scaler && typeof value === 'number') {
+    return { value: Math.round(value * obisInfo.scaler * 1000) / 1000, unit };
+  }
+  return { value, unit };
+};
+
+/**
+ * Turn a scaled value back into the raw value the meter holds
+ *
+ * The inverse of scaleDlmsValue(), rounded to an integer raw value.
+ *
+ * @param {number} value - Value in the register's unit, as scaleDlmsValue() gives it
+ * @param {string} obisCode - OBIS code of the register
+ * @param {Object|null} [scalerUnit] - { scaler, unit } read from the meter
+ * @returns {number} Raw value
+ * @throws {Error} If value is not a number
+ */
+export const unscaleDlmsValue = (value, obisCode, scalerUnit = null) => {
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    throw new Error('Scaled value must be a number');
+  }
+  if (scalerUnit) {
+    return Math.round(value / 10 ** scalerUnit.scaler);
+  }
+  const scaler = lookupObis(obisCode)?.scaler;
+  return Math.round(scaler ? value / scaler : value);
+};
+
+export default {
+  SCALER_UNIT_ATTRIBUTES,
+  DLMS_UNITS,
+  parseScalerUnit,
+  scaleDlmsValue,
+  unscaleDlmsValue,
+};
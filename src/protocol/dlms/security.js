@@ -0,0 +1,424 @@
+/**
+ * DLMS/COSEM Security Suite 0 (AES-GCM-128)
+ *
+ * Global ciphering of xDLMS APDUs and the HLS-GMAC (mechanism 5) challenge
+ * processing. Both sides use the same algorithms, each with its own system
+ * title, so a context works for the gateway and for a simulated meter alike.
+ *
+ * Ciphered APDU (general-glo form):
+ *   glo tag | length | SC (1) | IC (4) | ciphertext | T (12)
+ *
+ *   SC   = security control: 0x10 authenticated, 0x20 encrypted, low nibble suite id
+ *   IC   = invocation counter of the sender, incremented for every APDU
+ *   IV   = sender system title (8) || IC (4)
+ *   AAD  = SC || AK, followed by the plaintext when it is only authenticated
+ *   T    = GCM authentication tag truncated to 12 bytes
+ *
+ * HLS-GMAC pass 3/4: each side proves its keys by returning
+ * f(challenge) = SC || IC || GMAC(SC || AK || challenge) for the other side's
+ * challenge, computed with its own system title.
+ *
+ * @module protocol/dlms/security
+ */
+
+import crypto from 'crypto';
+
+/**
+ * Security control byte flags
+ */
+export const SECURITY_CONTROL = {
+  AUTHENTICATED: 0x10,
+  ENCRYPTED: 0x20,
+  AUTHENTICATED_ENCRYPTED: 0x30,
+};
+
+/**
+ * Security suite implemented here (AES-GCM-128, AES-128 key wrap)
+ */
+export const SECURITY_SUITE = 0;
+
+/**
+ * Plain xDLMS tag -> glo-ciphered tag
+ */
+export const GLO_CIPHERED_TAGS = {
+  0x01: 0x21, // InitiateRequest -> glo-initiate-request
+  0x08: 0x28, // InitiateResponse -> glo-initiate-response
+  0x0e: 0x2e, // ConfirmedServiceError -> glo-confirmed-service-error
+  0xc0: 0xc8, // GET.request
+  0xc1: 0xc9, // SET.request
+  0xc2: 0xca, // EventNotification
+  0xc3: 0xcb, // ACTION.request
+  0xc4: 0xcc, // GET.response
+  0xc5: 0xcd, // SET.response
+  0xc7: 0xcf, // ACTION.response
+};
+
+/**
+ * glo-ciphered tag -> plain xDLMS tag
+ */
+const PLAIN_TAGS = Object.fromEntries(
+  Object.entries(GLO_CIPHERED_TAGS).map(([plain, ciphered]) => [ciphered, Number(plain)])
+);
+
+const SYSTEM_TITLE_LENGTH = 8;
+const KEY_LENGTH = 16;
+const TAG_LENGTH = 12;
+const DEFAULT_CHALLENGE_LENGTH = 16;
+const MAX_INVOCATION_COUNTER = 0xffffffff;
+
+/**
+ * Check whether an APDU is glo-ciphered
+ *
+ * @param {Buffer} apdu - APDU bytes
+ * @returns {boolean}
+ */
+export const isCipheredApdu = (apdu) => {
+  return Buffer.isBuffer(apdu) && apdu.length > 0 && PLAIN_TAGS[apdu[0]] !== undefined;
+};
+
+/**
+ * Check whether an APDU has a glo-ciphered form
+ *
+ * @param {Buffer} apdu - Plain APDU bytes
+ * @returns {boolean}
+ */
+export const isCipherableApdu = (apdu) => {
+  return Buffer.isBuffer(apdu) && apdu.length > 0 && GLO_CIPHERED_TAGS[apdu[0]] !== undefined;
+};
+
+/**
+ * Convert a hex string or Buffer to a Buffer of an exact length
+ * @private
+ */
+const toFixedBuffer = (value, length, name) => {
+  const buffer = Buffer.isBuffer(value) ? value : Buffer.from(value || '', 'hex');
+  if (buffer.length !== length) {
+    throw new Error(`DLMS ${name} must be ${length} bytes, got ${buffer.length}`);
+  }
+  return buffer;
+};
+
+/**
+ * Encode a BER length
+ * @private
+ */
+const encodeLength = (length) => {
+  if (length < 0x80) return Buffer.from([length]);
+  if (length <= 0xff) return Buffer.from([0x81, length]);
+  return Buffer.from([0x82, (length >> 8) & 0xff, length & 0xff]);
+};
+
+/**
+ * Decode a BER length
+ * @private
+ * @returns {{length: number, offset: number}} Content length and content offset
+ */
+const decodeLength = (buffer, offset) => {
+  const first = buffer[offset];
+  if (first === undefined) {
+    throw new Error('Ciphered APDU truncated');
+  }
+  if (first < 0x80) {
+    return { length: first, offset: offset + 1 };
+  }
+  const count = first & 0x7f;
+  if (count === 0 || count > 2 || offset + 1 + count > buffer.length) {
+    throw new Error('Ciphered APDU has an invalid length');
+  }
+  return { length: buffer.readUIntBE(offset + 1, count), offset: offset + 1 + count };
+};
+
+/**
+ * Build the 12-byte GCM initialization vector
+ * @private
+ */
+const buildIv = (systemTitle, invocationCounter) => {
+  const iv = Buffer.alloc(12);
+  systemTitle.copy(iv, 0);
+  iv.writeUInt32BE(invocationCounter, SYSTEM_TITLE_LENGTH);
+  return iv;
+};
+
+/**
+ * Security context for one meter
+ *
+ * Holds the keys and system titles, generates our invocation counter and
+ * tracks the meter's so replayed APDUs are rejected. Ciphering is active
+ * once the meter's system title is known (from the AARE).
+ */
+export class DlmsSecurityContext {
+  /**
+   * @param {Object} options - Context options
+   * @param {string|Buffer} options.systemTitle - Our system title (8 bytes)
+   * @param {string|Buffer} options.blockCipherKey - Global unicast encryption key (16 bytes)
+   * @param {string|Buffer} options.authenticationKey - Authentication key (16 bytes)
+   * @param {number} [options.securityControl=0x30] - Security policy for sent APDUs
+   * @param {number} [options.invocationCounter] - Last invocation counter used (default:
+   *   seconds since the epoch, so it keeps increasing across restarts without persistence)
+   * @param {string|Buffer} [options.challenge] - Fixed HLS challenge (tests only)
+   * @param {number} [options.challengeLength=16] - Random HLS challenge length
+   */
+  constructor(options = {}) {
+    this.systemTitle = toFixedBuffer(options.systemTitle, SYSTEM_TITLE_LENGTH, 'system title');
+    this.blockCipherKey = toFixedBuffer(options.blockCipherKey, KEY_LENGTH, 'block cipher key');
+    this.authenticationKey = toFixedBuffer(
+      options.authenticationKey,
+      KEY_LENGTH,
+      'authentication key'
+    );
+    this.securityControl = options.securityControl ?? SECURITY_CONTROL.AUTHENTICATED_ENCRYPTED;
+    this.invocationCounter = options.invocationCounter ?? Math.floor(Date.now() / 1000);
+    this.fixedChallenge = options.challenge
+      ? Buffer.from(options.challenge, Buffer.isBuffer(options.challenge) ? undefined : 'hex')
+      : null;
+    this.challengeLength = options.challengeLength ?? DEFAULT_CHALLENGE_LENGTH;
+
+    /** @type {Buffer|null} Meter system title, from the AARE */
+    this.peerSystemTitle = null;
+    /** @type {number|null} Highest invocation counter received from the meter */
+    this.peerInvocationCounter = null;
+    /** @type {Buffer|null} Challenge we sent in the current association */
+    this.challenge = null;
+    /** @type {boolean} */
+    this.active = false;
+  }
+
+  /**
+   * Forget the previous association (invocation counters are kept)
+   */
+  reset() {
+    this.peerSystemTitle = null;
+    this.challenge = null;
+    this.active = false;
+  }
+
+  /**
+   * Create our HLS challenge for the AARQ (CtoS) or AARE (StoC)
+   * @returns {Buffer}
+   */
+  createChallenge() {
+    this.challenge = this.fixedChallenge ?? crypto.randomBytes(this.challengeLength);
+    return this.challenge;
+  }
+
+  /**
+   * Set the meter's system title and start ciphering
+   * @param {Buffer} systemTitle - Responding AP title from the AARE
+   */
+  setPeerSystemTitle(systemTitle) {
+    this.peerSystemTitle = toFixedBuffer(systemTitle, SYSTEM_TITLE_LENGTH, 'peer system title');
+    this.active = true;
+  }
+
+  /**
+   * Check whether ciphering is active
+   * @returns {boolean}
+   */
+  isActive() {
+    return this.active;
+  }
+
+  /**
+   * Cipher a plain xDLMS APDU with the configured security policy
+   *
+   * @param {Buffer} apdu - Plain APDU (its tag must have a glo-ciphered form)
+   * @returns {Buffer} glo-ciphered APDU
+   * @throws {Error} If the APDU cannot be ciphered or the invocation counter is exhausted
+   */
+  encrypt(apdu) {
+    const gloTag = GLO_CIPHERED_TAGS[apdu[0]];
+    if (gloTag === undefined) {
+      throw new Error(`APDU 0x${apdu[0].toString(16)} has no glo-ciphered form`);
+    }
+
+    const sc = this.securityControl | SECURITY_SUITE;
+    const invocationCounter = this.nextInvocationCounter();
+    const iv = buildIv(this.systemTitle, invocationCounter);
+    const header = Buffer.alloc(5);
+    header[0] = sc;
+    header.writeUInt32BE(invocationCounter, 1);
+
+    let payload;
+    if (sc & SECURITY_CONTROL.ENCRYPTED) {
+      const { ciphertext, tag } = this.gcm(iv, sc, apdu);
+      payload = sc & SECURITY_CONTROL.AUTHENTICATED ? Buffer.concat([ciphertext, tag]) : ciphertext;
+    } else if (sc & SECURITY_CONTROL.AUTHENTICATED) {
+      payload = Buffer.concat([apdu, this.gcm(iv, sc, Buffer.alloc(0), apdu).tag]);
+    } else {
+      payload = apdu;
+    }
+
+    const content = Buffer.concat([header, payload]);
+    return Buffer.concat([Buffer.from([gloTag]), encodeLength(content.length), content]);
+  }
+
+  /**
+   * Decipher a glo-ciphered APDU from the meter
+   *
+   * @param {Buffer} apdu - glo-ciphered APDU
+   * @returns {Buffer} Plain APDU
+   * @throws {Error} If the APDU is malformed, replayed or fails authentication
+   */
+  decrypt(apdu) {
+    if (!isCipheredApdu(apdu)) {
+      throw new Error(`Not a glo-ciphered APDU: 0x${apdu[0]?.toString(16)}`);
+    }
+    if (!this.peerSystemTitle) {
+      throw new Error('Meter system title unknown, no association');
+    }
+
+    const { length, offset } = decodeLength(apdu, 1);
+    const content = apdu.subarray(offset, offset + length);
+    if (content.length < length || length < 5) {
+      throw new Error('Ciphered APDU truncated');
+    }
+
+    const sc = content[0];
+    if ((sc & 0x0f) !== SECURITY_SUITE) {
+      throw new Error(`Unsupported security suite: ${sc & 0x0f}`);
+    }
+    const invocationCounter = content.readUInt32BE(1);
+    this.checkPeerInvocationCounter(invocationCounter);
+
+    const iv = buildIv(this.peerSystemTitle, invocationCounter);
+    const payload = content.subarray(5);
+    const authenticated = (sc & SECURITY_CONTROL.AUTHENTICATED) !== 0;
+    if (authenticated && payload.length < TAG_LENGTH) {
+      throw new Error('Ciphered APDU truncated');
+    }
+    const data = authenticated ? payload.subarray(0, payload.length - TAG_LENGTH) : payload;
+    const tag = authenticated ? payload.subarray(payload.length - TAG_LENGTH) : null;
+
+    let plain;
+    try {
+      if (sc & SECURITY_CONTROL.ENCRYPTED) {
+        plain = this.gcmDecrypt(iv, sc, data, tag);
+      } else {
+        if (authenticated) this.gcmDecrypt(iv, sc, Buffer.alloc(0), tag, data);
+        plain = Buffer.from(data);
+      }
+    } catch {
+      throw new Error('Ciphered APDU failed authentication');
+    }
+
+    this.peerInvocationCounter = invocationCounter;
+    return plain;
+  }
+
+  /**
+   * Compute f(challenge) for the other side's HLS challenge
+   *
+   * @param {Buffer} challenge - StoC (gateway) or CtoS (meter)
+   * @returns {Buffer} SC || IC || GMAC tag (17 bytes)
+   */
+  respondToChallenge(challenge) {
+    const sc = SECURITY_CONTROL.AUTHENTICATED | SECURITY_SUITE;
+    const invocationCounter = this.nextInvocationCounter();
+    const iv = buildIv(this.systemTitle, invocationCounter);
+    const response = Buffer.alloc(5);
+    response[0] = sc;
+    response.writeUInt32BE(invocationCounter, 1);
+    return Buffer.concat([response, this.gcm(iv, sc, Buffer.alloc(0), challenge).tag]);
+  }
+
+  /**
+   * Verify the other side's f(challenge) for our challenge
+   *
+   * @param {Buffer} response - SC || IC || GMAC tag
+   * @returns {boolean} True if it was computed with the shared authentication key
+   */
+  verifyChallengeResponse(response) {
+    if (!this.challenge || !this.peerSystemTitle || !Buffer.isBuffer(response)) {
+      return false;
+    }
+    if (response.length !== 5 + TAG_LENGTH) {
+      return false;
+    }
+
+    // No invocation counter check: the response travels inside a ciphered APDU
+    // with a later counter, and our fresh challenge already prevents replay
+    const sc = response[0];
+    const iv = buildIv(this.peerSystemTitle, response.readUInt32BE(1));
+    const expected = this.gcm(iv, sc, Buffer.alloc(0), this.challenge).tag;
+    return crypto.timingSafeEqual(expected, response.subarray(5));
+  }
+
+  /**
+   * Increment and return our invocation counter
+   * @private
+   */
+  nextInvocationCounter() {
+    if (this.invocationCounter >= MAX_INVOCATION_COUNTER) {
+      throw new Error('DLMS invocation counter exhausted, new keys required');
+    }
+    this.invocationCounter++;
+    return this.invocationCounter;
+  }
+
+  /**
+   * Reject invocation counters that do not increase
+   * @private
+   */
+  checkPeerInvocationCounter(invocationCounter) {
+    if (this.peerInvocationCounter !== null && invocationCounter <= this.peerInvocationCounter) {
+      throw new Error(
+        `Replayed invocation counter ${invocationCounter} (last ${this.peerInvocationCounter})`
+      );
+    }
+  }
+
+  /**
+   * AES-GCM encryption with additional data SC || AK [|| extra]
+   * @private
+   */
+  gcm(iv, sc, plaintext, extraAad = Buffer.alloc(0)) {
+    if (!(sc & SECURITY_CONTROL.AUTHENTICATED)) {
+      // Encryption only: GCM without a tag is AES-CTR starting at counter block 2
+      const counter = Buffer.concat([iv, Buffer.from([0, 0, 0, 2])]);
+      const cipher = crypto.createCipheriv('aes-128-ctr', this.blockCipherKey, counter);
+      return { ciphertext: Buffer.concat([cipher.update(plaintext), cipher.final()]), tag: null };
+    }
+
+    const cipher = crypto.createCipheriv('aes-128-gcm', this.blockCipherKey, iv, {
+      authTagLength: TAG_LENGTH,
+    });
+    cipher.setAAD(Buffer.concat([Buffer.from([sc]), this.authenticationKey, extraAad]));
+    const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+    return { ciphertext, tag: cipher.getAuthTag() };
+  }
+
+  /**
+   * AES-GCM decryption, throws if the tag does not match
+   * @private
+   */
+  gcmDecrypt(iv, sc, ciphertext, tag, extraAad = Buffer.alloc(0)) {
+    if (!tag) {
+      // Encryption only: CTR is its own inverse
+      return this.gcm(iv, sc, ciphertext).ciphertext;
+    }
+
+    const decipher = crypto.createDecipheriv('aes-128-gcm', this.blockCipherKey, iv, {
+      authTagLength: TAG_LENGTH,
+    });
+    decipher.setAAD(Buffer.concat([Buffer.from([sc]), this.authenticationKey, extraAad]));
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+  }
+}
+
+/**
+ * Create a security context
+ * @param {Object} options - See DlmsSecurityContext
+ * @returns {DlmsSecurityContext}
+ */
+export const createSecurityContext = (options) => new DlmsSecurityContext(options);
+
+export default {
+  SECURITY_CONTROL,
+  SECURITY_SUITE,
+  GLO_CIPHERED_TAGS,
+  isCipheredApdu,
+  isCipherableApdu,
+  DlmsSecurityContext,
+  createSecurityContext,
+};
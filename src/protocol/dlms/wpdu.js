@@ -0,0 +1,230 @@
+/**
+ * DLMS/COSEM TCP-UDP Wrapper (IEC 62056-47)
+ *
+ * Standard DLMS meters on a plain TCP port frame each APDU with the
+ * 8-byte wrapper protocol data unit (WPDU). The IVY header has the same
+ * layout, but IVY meters always use wPorts 0x0001/0x0001 and mix in
+ * heartbeats and unwrapped APDUs; this parser makes no such assumptions.
+ *
+ * WPDU structure:
+ *   Bytes 0-1: Version           (uint16 BE, always 0x0001)
+ *   Bytes 2-3: Source wPort      (uint16 BE)
+ *   Bytes 4-5: Destination wPort (uint16 BE)
+ *   Bytes 6-7: APDU length       (uint16 BE)
+ *
+ * wPorts identify the application process: the client's SAP on the
+ * gateway side (public client 0x0010) and the logical device on the
+ * meter side (management logical device 0x0001).
+ *
+ * @module protocol/dlms/wpdu
+ */
+
+/**
+ * WPDU header length in bytes
+ */
+export const WPDU_HEADER_LENGTH = 8;
+
+/**
+ * Wrapper protocol version
+ */
+export const WPDU_VERSION = 0x0001;
+
+/**
+ * Well-known wPorts
+ */
+export const WPDU_PORTS = {
+  PUBLIC_CLIENT: 0x0010,
+  MANAGEMENT_LOGICAL_DEVICE: 0x0001,
+};
+
+/**
+ * Maximum APDU length to prevent memory exhaustion from corrupted headers
+ */
+const MAX_APDU_LENGTH = 4096;
+
+/**
+ * Check if a buffer starts with a WPDU version field
+ *
+ * @param {Buffer} buffer - Buffer to check
+ * @returns {boolean} True if the first two bytes are the wrapper version
+ */
+export const isWpdu = (buffer) => {
+  return Buffer.isBuffer(buffer) && buffer.length >= 2 && buffer.readUInt16BE(0) === WPDU_VERSION;
+};
+
+/**
+ * Parse a WPDU header
+ *
+ * @param {Buffer} buffer - Buffer containing at least 8 bytes
+ * @returns {Object} { version, source, destination, length }
+ * @throws {Error} If the buffer is too short or the version is unknown
+ */
+export const parseWpduHeader = (buffer) => {
+  if (!Buffer.isBuffer(buffer) || buffer.length < WPDU_HEADER_LENGTH) {
+    throw new Error(
+      `Buffer too short for WPDU header: need ${WPDU_HEADER_LENGTH}, got ${buffer ? buffer.length : 0}`
+    );
+  }
+
+  const version = buffer.readUInt16BE(0);
+  if (version !== WPDU_VERSION) {
+    throw new Error(`Unsupported WPDU version: 0x${version.toString(16)}`);
+  }
+
+  return {
+    version,
+    source: buffer.readUInt16BE(2),
+    destination: buffer.readUInt16BE(4),
+    length: buffer.readUInt16BE(6),
+  };
+};
+
+/**
+ * Wrap an APDU in a WPDU
+ *
+ * @param {Buffer} apdu - DLMS APDU
+ * @param {Object} [ports] - wPorts
+ * @param {number} [ports.source=0x0010] - Sending application (client wPort)
+ * @param {number} [ports.destination=0x0001] - Receiving application (server wPort)
+ * @returns {Buffer} Header + APDU
+ * @throws {Error} If the APDU does not fit the length field
+ */
+export const buildWpdu = (apdu, ports = {}) => {
+  const { source = WPDU_PORTS.PUBLIC_CLIENT, destination = WPDU_PORTS.MANAGEMENT_LOGICAL_DEVICE } =
+    ports;
+
+  if (apdu.length > 0xffff) {
+    throw new Error(`APDU too long for WPDU: ${apdu.length} bytes`);
+  }
+
+  const header = Buffer.alloc(WPDU_HEADER_LENGTH);
+  header.writeUInt16BE(WPDU_VERSION, 0);
+  header.writeUInt16BE(source, 2);
+  header.writeUInt16BE(destination, 4);
+  header.writeUInt16BE(apdu.length, 6);
+  return Buffer.concat([header, apdu]);
+};
+
+/**
+ * Find the next possible WPDU start (version 0x0001)
+ *
+ * @param {Buffer} buffer - Buffer to search
+ * @param {number} startIndex - Starting position
+ * @returns {number} Index, or -1
+ */
+const findWpduStart = (buffer, startIndex) => {
+  for (let i = startIndex; i < buffer.length - 1; i++) {
+    if (buffer[i] === 0x00 && buffer[i + 1] === 0x01) {
+      return i;
+    }
+  }
+  return -1;
+};
+
+/**
+ * Create a stateful WPDU stream parser
+ *
+ * Accumulates incoming TCP data and emits one callback per complete WPDU.
+ *
+ * @param {Function} onPacket - Callback: (header, apdu, raw) => void
+ * @param {Function} [onError] - Callback: (error) => void
+ * @returns {Object} Stream parser with push() and reset() methods
+ */
+export const createWpduStreamParser = (onPacket, onError = null) => {
+  let buffer = Buffer.alloc(0);
+  let packetCount = 0;
+
+  const parser = {
+    /**
+     * Push new data into the parser
+     * @param {Buffer} data - Incoming data chunk
+     */
+    push(data) {
+      buffer = Buffer.concat([buffer, data]);
+
+      while (buffer.length >= 2) {
+        if (!isWpdu(buffer)) {
+          const next = findWpduStart(buffer, 1);
+          if (next === -1) {
+            // Keep a trailing 0x00: it may be the first half of the next version field
+            const keep = buffer[buffer.length - 1] === 0x00 ? 1 : 0;
+            if (onError) {
+              onError(new Error(`No WPDU header found, discarding ${buffer.length - keep} bytes`));
+            }
+            buffer = buffer.subarray(buffer.length - keep);
+            break;
+          }
+          if (onError) {
+            onError(new Error(`Skipping ${next} bytes to next WPDU header`));
+          }
+          buffer = buffer.subarray(next);
+          continue;
+        }
+
+        if (buffer.length < WPDU_HEADER_LENGTH) {
+          break; // wait for the full header
+        }
+
+        const header = parseWpduHeader(buffer);
+        if (header.length > MAX_APDU_LENGTH) {
+          if (onError) {
+            onError(new Error(`WPDU length too large: ${header.length}`));
+          }
+          buffer = buffer.subarray(1);
+          continue;
+        }
+
+        const totalLength = WPDU_HEADER_LENGTH + header.length;
+        if (buffer.length < totalLength) {
+          break; // wait for the complete APDU
+        }
+
+        const raw = Buffer.from(buffer.subarray(0, totalLength));
+        const apdu = Buffer.from(buffer.subarray(WPDU_HEADER_LENGTH, totalLength));
+        buffer = buffer.subarray(totalLength);
+
+        packetCount++;
+        try {
+          onPacket(header, apdu, raw);
+        } catch (err) {
+          if (onError) onError(err);
+        }
+      }
+    },
+
+    /**
+     * Reset parser state
+     */
+    reset() {
+      buffer = Buffer.alloc(0);
+    },
+
+    /**
+     * Get current buffer length
+     * @returns {number}
+     */
+    getBufferLength() {
+      return buffer.length;
+    },
+
+    /**
+     * Get packet count
+     * @returns {number}
+     */
+    getPacketCount() {
+      return packetCount;
+    },
+  };
+
+  return parser;
+};
+
+export default {
+  WPDU_HEADER_LENGTH,
+  WPDU_VERSION,
+  WPDU_PORTS,
+  isWpdu,
+  parseWpduHeader,
+  buildWpdu,
+  createWpduStreamParser,
+};
@@ -0,0 +1,89 @@
+/**
+ * DL/T 645-1997 Frame Builder
+ *
+ * Builds request frames for 1997-generation meters. The link layer is the
+ * same as DL/T 645-2007 (see ../frame-builder.js); data identifiers are
+ * 2 bytes and the control codes differ.
+ *
+ * Frame Structure:
+ * [0x68] [A0-A5] [0x68] [C] [L] [DI0 DI1] [DATA...] [CS] [0x16]
+ *
+ * @module protocol/dlt645-1997/frame-builder
+ */
+
+import { applyOffset } from '../bcd.js';
+import { buildFrame } from '../frame-builder.js';
+import { CONTROL_CODES } from './registers.js';
+
+/**
+ * Encode a 2-byte Data Identifier (little-endian, +0x33 offset applied)
+ * @param {number} dataId - 2-byte Data Identifier (e.g., 0x9010)
+ * @returns {Buffer} 2-byte DI
+ * @throws {Error} If the identifier does not fit in 2 bytes
+ */
+export const dataIdToBuffer1997 = (dataId) => {
+  if (!Number.isInteger(dataId) || dataId < 0 || dataId > 0xffff) {
+    throw new Error(`Invalid DL/T 645-1997 data identifier: ${dataId}. Must be 0x0000-0xFFFF.`);
+  }
+  return applyOffset(Buffer.from([dataId & 0xff, (dataId >> 8) & 0xff]));
+};
+
+/**
+ * Build a 1997 READ DATA (0x01) request frame
+ *
+ * @param {string} address - 12-digit meter address
+ * @param {number} dataId - 2-byte Data Identifier
+ * @returns {Buffer} Complete read request frame
+ * @example
+ * // Read total active energy from meter 000000001234
+ * buildReadFrame1997('000000001234', 0x9010)
+ */
+export const buildReadFrame1997 = (address, dataId) => {
+  return buildFrame(address, CONTROL_CODES.READ_DATA, dataIdToBuffer1997(dataId));
+};
+
+/**
+ * Build a 1997 READ FOLLOW-UP (0x02) request frame
+ * Requests the next frame of a response that was split by the meter.
+ * Unlike 2007, the request carries no sequence number.
+ *
+ * @param {string} address - 12-digit meter address
+ * @param {number} dataId - 2-byte Data Identifier of the original read
+ * @returns {Buffer} Complete read follow-up request frame
+ */
+export const buildReadFollowFrame1997 = (address, dataId) => {
+  return buildFrame(address, CONTROL_CODES.READ_FOLLOW, dataIdToBuffer1997(dataId));
+};
+
+/**
+ * Build a 1997 WRITE DATA (0x04) request frame
+ *
+ * 1997 writes carry no operator code: DI + password (PA P0 P1 P2) + value.
+ *
+ * @param {string} address - 12-digit meter address
+ * @param {number} dataId - 2-byte Data Identifier
+ * @param {Buffer} value - Value to write (raw bytes, will have offset applied)
+ * @param {string} [password='00000000'] - 8-digit password (level + 3 bytes)
+ * @returns {Buffer} Complete write request frame
+ */
+export const buildWriteFrame1997 = (address, dataId, value, password = '00000000') => {
+  const passwordBuf = Buffer.alloc(4);
+  for (let i = 0; i < 4; i++) {
+    passwordBuf[i] = parseInt(password.substring(i * 2, i * 2 + 2), 16);
+  }
+
+  const data = Buffer.concat([
+    dataIdToBuffer1997(dataId),
+    applyOffset(passwordBuf),
+    applyOffset(value),
+  ]);
+
+  return buildFrame(address, CONTROL_CODES.WRITE_DATA, data);
+};
+
+export default {
+  dataIdToBuffer1997,
+  buildReadFrame1997,
+  buildReadFollowFrame1997,
+  buildWriteFrame1997,
+};
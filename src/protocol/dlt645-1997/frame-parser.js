@@ -0,0 +1,111 @@
+/**
+ * DL/T 645-1997 Frame Parser
+ *
+ * Parses response frames from 1997-generation meters. Frame validation is
+ * shared with DL/T 645-2007 (parseFrame); read responses carry a 2-byte DI
+ * and errors carry a single status byte with no DI.
+ *
+ * Response Control Codes:
+ * - Normal response: Request + 0x80 (e.g., 0x81 for read, 0xA1 when more data follows)
+ * - Error response: Request + 0xC0 (e.g., 0xC1 for read error)
+ *
+ * Parsed results have the same shape as the 2007 parser output, with
+ * variant: '1997' added.
+ *
+ * @module protocol/dlt645-1997/frame-parser
+ */
+
+import { bcdToDecimal } from '../bcd.js';
+import { parseFrame } from '../frame-parser.js';
+import { getRequestCode, toEngineeringUnits } from '../registers.js';
+import { CONTROL_CODES, DLT645_VARIANTS, findRegisterById, parseErrorCode } from './registers.js';
+
+/**
+ * Format a 2-byte Data Identifier for display
+ * @param {number} dataId - 2-byte Data Identifier
+ * @returns {string} Hex string like "0x9010"
+ */
+export const formatDataId1997 = (dataId) => `0x${dataId.toString(16).padStart(4, '0')}`;
+
+/**
+ * Parse a 1997 read response frame (0x81/0xA1, or 0x82/0xA2 for follow-ups)
+ *
+ * When the response is one segment of a multi-frame read, the value is not
+ * decoded - use combineReadSegments() once all segments have been received.
+ *
+ * @param {Buffer} frame - Response frame
+ * @param {Object} [register] - Optional register definition for value conversion
+ * @returns {Object} Parsed response with value
+ * @throws {Error} If the frame is invalid or the data is shorter than the DI
+ */
+export const parseReadResponse1997 = (frame, register = null) => {
+  const parsed = parseFrame(frame);
+
+  if (parsed.isError) {
+    return parseErrorResponse1997(frame);
+  }
+
+  if (parsed.dataLength < 2) {
+    throw new Error(`Read response data too short: ${parsed.dataLength} bytes`);
+  }
+
+  // Data Identifier (2 bytes, little-endian, offset already removed)
+  const dataId = parsed.data[0] | (parsed.data[1] << 8);
+  const valueBuffer = parsed.data.subarray(2);
+  const isFollowUp = getRequestCode(parsed.controlCode) === CONTROL_CODES.READ_FOLLOW;
+
+  const reg = register || findRegisterById(dataId);
+
+  let rawValue = null;
+  let value = null;
+  if (!parsed.hasFollowUp && !isFollowUp && valueBuffer.length > 0) {
+    rawValue = bcdToDecimal(valueBuffer);
+    value = reg ? toEngineeringUnits(rawValue, reg) : rawValue;
+  }
+
+  return {
+    success: true,
+    variant: DLT645_VARIANTS.V1997,
+    address: parsed.address,
+    dataId,
+    dataIdHex: formatDataId1997(dataId),
+    register: reg,
+    rawValue,
+    value,
+    unit: reg ? reg.unit : null,
+    data: valueBuffer,
+    hasFollowUp: parsed.hasFollowUp,
+    isFollowUp,
+    sequence: null,
+    hex: parsed.hex,
+  };
+};
+
+/**
+ * Parse a 1997 error response frame (0xC1/0xC2/0xC4)
+ *
+ * @param {Buffer} frame - Error response frame
+ * @returns {Object} Error details
+ */
+export const parseErrorResponse1997 = (frame) => {
+  const parsed = parseFrame(frame);
+
+  const errorCode = parsed.data.length > 0 ? parsed.data[0] : 0;
+
+  return {
+    success: false,
+    variant: DLT645_VARIANTS.V1997,
+    address: parsed.address,
+    controlCode: parsed.controlCode,
+    isError: true,
+    errorCode,
+    errorMessage: parsed.data.length > 0 ? parseErrorCode(errorCode) : 'Unknown error',
+    hex: parsed.hex,
+  };
+};
+
+export default {
+  formatDataId1997,
+  parseReadResponse1997,
+  parseErrorResponse1997,
+};
@@ -0,0 +1,483 @@
+/**
+ * DL/T 645-1997 Protocol Data Registers & Constants
+ *
+ * The 1997 generation shares the 2007 frame layout (0x68 A0-A5 0x68 C L DATA CS 0x16,
+ * +0x33 data offset) but uses 2-byte data identifiers, a different control-code
+ * set and different DI tables.
+ *
+ * Data Identifier (DI) Format:
+ * - 2 bytes: DI1 DI0, stored little-endian in frames
+ * - DI1 high nibble: data class (9 = energy, A = max demand, B = variables, C = parameters)
+ *
+ * Register keys match their 2007 equivalents (registers.js), so polling groups and
+ * read_register commands written against the 2007 tables map onto 1997 meters.
+ *
+ * @module protocol/dlt645-1997/registers
+ */
+
+import { findRegisterById as findRegisterById2007, getRequestCode } from '../registers.js';
+
+/**
+ * DLT645 protocol generations
+ */
+export const DLT645_VARIANTS = {
+  V2007: '2007',
+  V1997: '1997',
+};
+
+/**
+ * Control Codes for DL/T 645-1997
+ */
+export const CONTROL_CODES = {
+  // Request codes (sent to meter)
+  READ_DATA: 0x01, // Read data from meter
+  READ_FOLLOW: 0x02, // Read subsequent data
+  REREAD_DATA: 0x03, // Repeat last response
+  WRITE_DATA: 0x04, // Write data to meter
+  BROADCAST_TIME: 0x08, // Broadcast time sync (same code as 2007)
+  WRITE_ADDRESS: 0x0a, // Write meter address
+  CHANGE_BAUD_RATE: 0x0c, // Change communication rate
+  CHANGE_PASSWORD: 0x0f, // Change password
+  CLEAR_MAX_DEMAND: 0x10, // Clear maximum demand
+
+  // Response codes (received from meter)
+  READ_DATA_RESPONSE: 0x81,
+  READ_FOLLOW_RESPONSE: 0x82,
+  WRITE_DATA_RESPONSE: 0x84,
+  // Response with "more data follows" bit (0x20) set
+  READ_DATA_RESPONSE_MORE: 0xa1,
+  READ_FOLLOW_RESPONSE_MORE: 0xa2,
+
+  // Error responses
+  READ_DATA_ERROR: 0xc1,
+  READ_FOLLOW_ERROR: 0xc2,
+  WRITE_DATA_ERROR: 0xc4,
+};
+
+/**
+ * Request codes that only exist in DL/T 645-1997
+ */
+const REQUEST_CODES_1997 = new Set([0x01, 0x02, 0x03, 0x04, 0x0a, 0x0c, 0x0f, 0x10]);
+
+/**
+ * DL/T 645-2007 request codes (0x11 read ... 0x1D multi-function output)
+ */
+const REQUEST_CODE_2007_MIN = 0x11;
+const REQUEST_CODE_2007_MAX = 0x1d;
+
+/**
+ * Error codes returned in 1997 error response frames (single status byte)
+ */
+export const ERROR_CODES = {
+  0x01: 'Illegal data',
+  0x02: 'Data identifier error',
+  0x04: 'Password error',
+  0x10: 'Annual time zones exceed limit',
+  0x20: 'Daily time periods exceed limit',
+  0x40: 'Tariff count exceeds limit',
+};
+
+/**
+ * Machine-readable names for 1997 error code bits (for structured command errors)
+ */
+export const ERROR_CODE_NAMES = {
+  0x01: 'ILLEGAL_DATA',
+  0x02: 'DATA_ID_ERROR',
+  0x04: 'PASSWORD_ERROR',
+  0x10: 'TIME_ZONES_EXCEEDED',
+  0x20: 'TIME_PERIODS_EXCEEDED',
+  0x40: 'TARIFF_COUNT_EXCEEDED',
+};
+
+/**
+ * Energy Data Registers (DI1 = 0x90/0x91), current month
+ * Resolution: 0.01 (XXXXXX.XX)
+ */
+export const ENERGY_REGISTERS = {
+  TOTAL_ACTIVE_POSITIVE: {
+    id: 0x9010,
+    name: 'Total Active Energy (Import)',
+    unit: 'kWh',
+    resolution: 0.01,
+    bytes: 4,
+  },
+  TOTAL_ACTIVE_NEGATIVE: {
+    id: 0x9020,
+    name: 'Total Active Energy (Export)',
+    unit: 'kWh',
+    resolution: 0.01,
+    bytes: 4,
+  },
+  TOTAL_REACTIVE_POSITIVE: {
+    id: 0x9110,
+    name: 'Total Reactive Energy (Import)',
+    unit: 'kvarh',
+    resolution: 0.01,
+    bytes: 4,
+  },
+  TOTAL_REACTIVE_NEGATIVE: {
+    id: 0x9120,
+    name: 'Total Reactive Energy (Export)',
+    unit: 'kvarh',
+    resolution: 0.01,
+    bytes: 4,
+  },
+  TARIFF_1_ACTIVE: {
+    id: 0x9011,
+    name: 'Tariff 1 Active Energy',
+    unit: 'kWh',
+    resolution: 0.01,
+    bytes: 4,
+  },
+  TARIFF_2_ACTIVE: {
+    id: 0x9012,
+    name: 'Tariff 2 Active Energy',
+    unit: 'kWh',
+    resolution: 0.01,
+    bytes: 4,
+  },
+  TARIFF_3_ACTIVE: {
+    id: 0x9013,
+    name: 'Tariff 3 Active Energy',
+    unit: 'kWh',
+    resolution: 0.01,
+    bytes: 4,
+  },
+  TARIFF_4_ACTIVE: {
+    id: 0x9014,
+    name: 'Tariff 4 Active Energy',
+    unit: 'kWh',
+    resolution: 0.01,
+    bytes: 4,
+  },
+};
+
+/**
+ * Maximum Demand Registers (DI1 = 0xA0/0xA1), current month
+ * XX.XXXX kW/kvar. The occurrence time is a separate register (DI1 = 0xB0/0xB1,
+ * MMDDhhmm without year), so values are read without occurredAt.
+ */
+export const MAX_DEMAND_REGISTERS = {
+  ACTIVE_IMPORT_MAX_DEMAND: {
+    id: 0xa010,
+    name: 'Active Import Max Demand',
+    unit: 'kW',
+    resolution: 0.0001,
+    bytes: 3,
+  },
+  TARIFF_1_ACTIVE_IMPORT_MAX_DEMAND: {
+    id: 0xa011,
+    name: 'Tariff 1 Active Import Max Demand',
+    unit: 'kW',
+    resolution: 0.0001,
+    bytes: 3,
+  },
+  TARIFF_2_ACTIVE_IMPORT_MAX_DEMAND: {
+    id: 0xa012,
+    name: 'Tariff 2 Active Import Max Demand',
+    unit: 'kW',
+    resolution: 0.0001,
+    bytes: 3,
+  },
+  TARIFF_3_ACTIVE_IMPORT_MAX_DEMAND: {
+    id: 0xa013,
+    name: 'Tariff 3 Active Import Max Demand',
+    unit: 'kW',
+    resolution: 0.0001,
+    bytes: 3,
+  },
+  TARIFF_4_ACTIVE_IMPORT_MAX_DEMAND: {
+    id: 0xa014,
+    name: 'Tariff 4 Active Import Max Demand',
+    unit: 'kW',
+    resolution: 0.0001,
+    bytes: 3,
+  },
+  ACTIVE_EXPORT_MAX_DEMAND: {
+    id: 0xa020,
+    name: 'Active Export Max Demand',
+    unit: 'kW',
+    resolution: 0.0001,
+    bytes: 3,
+  },
+  REACTIVE_IMPORT_MAX_DEMAND: {
+    id: 0xa110,
+    name: 'Reactive Import Max Demand',
+    unit: 'kvar',
+    resolution: 0.0001,
+    bytes: 3,
+  },
+  REACTIVE_EXPORT_MAX_DEMAND: {
+    id: 0xa120,
+    name: 'Reactive Export Max Demand',
+    unit: 'kvar',
+    resolution: 0.0001,
+    bytes: 3,
+  },
+};
+
+/**
+ * Variable Registers (DI1 = 0xB6), instantaneous values
+ * Resolutions are chosen so values come out in the same units as the 2007 registers
+ */
+export const INSTANTANEOUS_REGISTERS = {
+  // Voltage: XXX V
+  VOLTAGE_A: {
+    id: 0xb611,
+    name: 'Phase A Voltage',
+    unit: 'V',
+    resolution: 1,
+    bytes: 2,
+  },
+  VOLTAGE_B: {
+    id: 0xb612,
+    name: 'Phase B Voltage',
+    unit: 'V',
+    resolution: 1,
+    bytes: 2,
+  },
+  VOLTAGE_C: {
+    id: 0xb613,
+    name: 'Phase C Voltage',
+    unit: 'V',
+    resolution: 1,
+    bytes: 2,
+  },
+
+  // Current: XX.XX A
+  CURRENT_A: {
+    id: 0xb621,
+    name: 'Phase A Current',
+    unit: 'A',
+    resolution: 0.01,
+    bytes: 2,
+  },
+  CURRENT_B: {
+    id: 0xb622,
+    name: 'Phase B Current',
+    unit: 'A',
+    resolution: 0.01,
+    bytes: 2,
+  },
+  CURRENT_C: {
+    id: 0xb623,
+    name: 'Phase C Current',
+    unit: 'A',
+    resolution: 0.01,
+    bytes: 2,
+  },
+
+  // Active power: XX.XXXX kW
+  ACTIVE_POWER_TOTAL: {
+    id: 0xb630,
+    name: 'Total Active Power',
+    unit: 'W',
+    resolution: 0.1,
+    bytes: 3,
+  },
+  ACTIVE_POWER_A: {
+    id: 0xb631,
+    name: 'Phase A Active Power',
+    unit: 'W',
+    resolution: 0.1,
+    bytes: 3,
+  },
+  ACTIVE_POWER_B: {
+    id: 0xb632,
+    name: 'Phase B Active Power',
+    unit: 'W',
+    resolution: 0.1,
+    bytes: 3,
+  },
+  ACTIVE_POWER_C: {
+    id: 0xb633,
+    name: 'Phase C Active Power',
+    unit: 'W',
+    resolution: 0.1,
+    bytes: 3,
+  },
+
+  // Reactive power: XX.XX kvar
+  REACTIVE_POWER_TOTAL: {
+    id: 0xb640,
+    name: 'Total Reactive Power',
+    unit: 'var',
+    resolution: 10,
+    bytes: 2,
+  },
+  REACTIVE_POWER_A: {
+    id: 0xb641,
+    name: 'Phase A Reactive Power',
+    unit: 'var',
+    resolution: 10,
+    bytes: 2,
+  },
+
+  // Power factor: X.XXX
+  POWER_FACTOR_TOTAL: {
+    id: 0xb650,
+    name: 'Total Power Factor',
+    unit: '',
+    resolution: 0.001,
+    bytes: 2,
+  },
+  POWER_FACTOR_A: {
+    id: 0xb651,
+    name: 'Phase A Power Factor',
+    unit: '',
+    resolution: 0.001,
+    bytes: 2,
+  },
+};
+
+/**
+ * Parameter Registers (DI1 = 0xC0)
+ */
+export const PARAMETER_REGISTERS = {
+  DATE_TIME: {
+    id: 0xc010,
+    name: 'Meter Date/Time',
+    unit: '',
+    bytes: 4,
+    description: 'WW DD MM YY (date and day of week), same layout as 2007',
+  },
+  TIME: {
+    id: 0xc011,
+    name: 'Meter Time',
+    unit: '',
+    bytes: 3,
+    description: 'ss mm hh, same layout as 2007',
+  },
+  METER_STATUS: {
+    id: 0xc020,
+    name: 'Meter Status Word',
+    unit: '',
+    bytes: 1,
+    description: 'Bit flags for various meter states',
+  },
+  METER_ADDRESS: {
+    id: 0xc032,
+    name: 'Meter Communication Address',
+    unit: '',
+    bytes: 6,
+    description: '12-digit BCD address',
+  },
+};
+
+/**
+ * All 1997 registers combined for lookup
+ */
+export const ALL_REGISTERS = {
+  ...ENERGY_REGISTERS,
+  ...MAX_DEMAND_REGISTERS,
+  ...INSTANTANEOUS_REGISTERS,
+  ...PARAMETER_REGISTERS,
+};
+
+/**
+ * Find 1997 register definition by Data Identifier
+ * @param {number} dataId - 2-byte Data Identifier
+ * @returns {Object|null} Register definition (with key and variant) or null if not found
+ */
+export const findRegisterById = (dataId) => {
+  for (const [key, register] of Object.entries(ALL_REGISTERS)) {
+    if (register.id === dataId) {
+      return { key, ...register, variant: DLT645_VARIANTS.V1997 };
+    }
+  }
+  return null;
+};
+
+/**
+ * Map a 2007 register definition to its 1997 equivalent
+ *
+ * Names and units match the 2007 register, so readings look the same for
+ * both generations. The key is kept only if the 2007 register carried one.
+ *
+ * @param {Object} register - Register from the 2007 tables (with or without key)
+ * @returns {Object|null} 1997 register (with variant), or null if the 1997
+ *   tables have no equivalent
+ * @example
+ * toRegister1997(ENERGY_REGISTERS.TOTAL_ACTIVE_POSITIVE) // { key, id: 0x9010, ... }
+ */
+export const toRegister1997 = (register) => {
+  if (register?.variant === DLT645_VARIANTS.V1997) {
+    return register;
+  }
+
+  const key = register?.key ?? findRegisterById2007(register?.id)?.key;
+  if (!key || !ALL_REGISTERS[key]) {
+    return null;
+  }
+  return {
+    ...(register.key && { key }),
+    ...ALL_REGISTERS[key],
+    variant: DLT645_VARIANTS.V1997,
+  };
+};
+
+/**
+ * Detect the protocol generation from a frame's control code
+ *
+ * Broadcast time (0x08) is shared by both generations and gives no answer.
+ *
+ * @param {number} controlCode - Control code byte (request or response)
+ * @returns {string|null} DLT645_VARIANTS value, or null if undetermined
+ */
+export const detectVariant = (controlCode) => {
+  const requestCode = getRequestCode(controlCode);
+  if (REQUEST_CODES_1997.has(requestCode)) {
+    return DLT645_VARIANTS.V1997;
+  }
+  if (requestCode >= REQUEST_CODE_2007_MIN && requestCode <= REQUEST_CODE_2007_MAX) {
+    return DLT645_VARIANTS.V2007;
+  }
+  return null;
+};
+
+/**
+ * Parse a 1997 error status byte
+ * @param {number} errorByte - Error code byte from response
+ * @returns {string} Human-readable error description
+ */
+export const parseErrorCode = (errorByte) => {
+  const errors = [];
+  for (const [code, message] of Object.entries(ERROR_CODES)) {
+    if (errorByte & parseInt(code)) {
+      errors.push(message);
+    }
+  }
+  return errors.length > 0 ? errors.join(', ') : `Unknown error: 0x${errorByte.toString(16)}`;
+};
+
+/**
+ * Get machine-readable names for a 1997 error status byte
+ * @param {number} errorByte - Error code from error response
+ * @returns {string[]} Error names (e.g., ['DATA_ID_ERROR']), or ['UNKNOWN_ERROR']
+ */
+export const getErrorCodeNames = (errorByte) => {
+  const names = [];
+  for (const [code, name] of Object.entries(ERROR_CODE_NAMES)) {
+    if (errorByte & parseInt(code)) {
+      names.push(name);
+    }
+  }
+  return names.length > 0 ? names : ['UNKNOWN_ERROR'];
+};
+
+export default {
+  DLT645_VARIANTS,
+  CONTROL_CODES,
+  ERROR_CODES,
+  ERROR_CODE_NAMES,
+  ENERGY_REGISTERS,
+  MAX_DEMAND_REGISTERS,
+  INSTANTANEOUS_REGISTERS,
+  PARAMETER_REGISTERS,
+  ALL_REGISTERS,
+  findRegisterById,
+  toRegister1997,
+  detectVariant,
+  parseErrorCode,
+  getErrorCodeNames,
+};
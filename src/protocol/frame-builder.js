@@ -10,11 +10,17 @@
  * @module protocol/frame-builder
  */
 
-import { addressToBuffer, dataIdToBuffer, applyOffset, bufferToHex } from './bcd.js';
+import { addressToBuffer, dataIdToBuffer, applyOffset, bufferToHex, byteToBcd } from './bcd.js';
 
 import { appendChecksum, FRAME_CONSTANTS } from './checksum.js';
 
-import { CONTROL_CODES, RELAY_COMMANDS, BROADCAST_ADDRESS } from './registers.js';
+import {
+  CONTROL_CODES,
+  RELAY_COMMANDS,
+  BROADCAST_ADDRESS,
+  LOAD_PROFILE_REGISTERS,
+  MAX_LOAD_PROFILE_BLOCKS,
+} from './registers.js';
 
 import crypto from 'crypto';
 
@@ -48,12 +54,13 @@ const buildHeader = (address, controlCode) => {
 
 /**
  * Build a complete frame with header, data, checksum, and end delimiter
+ * (link layer shared by DL/T 645-2007 and DL/T 645-1997)
  * @param {string} address - 12-digit meter address
  * @param {number} controlCode - Control code byte
  * @param {Buffer} data - Data bytes (already with +0x33 offset if needed)
  * @returns {Buffer} Complete frame
  */
-const buildFrame = (address, controlCode, data) => {
+export const buildFrame = (address, controlCode, data) => {
   const header = buildHeader(address, controlCode);
 
   // Update length field
@@ -72,14 +79,16 @@ const buildFrame = (address, controlCode, data) => {
  *
  * @param {string} address - 12-digit meter address
  * @param {number} dataId - 4-byte Data Identifier (e.g., 0x00000000 for total energy)
+ * @param {Buffer} [params] - Request parameters sent after the DI (raw bytes, offset applied here)
  * @returns {Buffer} Complete read request frame
  * @example
  * // Read total active energy from meter 000000001234
  * buildReadFrame('000000001234', 0x00000000)
  */
-export const buildReadFrame = (address, dataId) => {
+export const buildReadFrame = (address, dataId, params = null) => {
   // Data ID with +0x33 offset (4 bytes)
-  const data = dataIdToBuffer(dataId);
+  const dataIdBuffer = dataIdToBuffer(dataId);
+  const data = params ? Buffer.concat([dataIdBuffer, applyOffset(params)]) : dataIdBuffer;
 
   return buildFrame(address, CONTROL_CODES.READ_DATA, data);
 };
@@ -101,6 +110,30 @@ export const buildReadFrameFromRegister = (address, register) => {
   return buildReadFrame(address, register.id);
 };
 
+/**
+ * Build a READ FOLLOW-UP request frame
+ * Requests the next frame of a response that was split by the meter
+ * (previous response had the "more data follows" bit set)
+ *
+ * @param {string} address - 12-digit meter address
+ * @param {number} dataId - 4-byte Data Identifier of the original read
+ * @param {number} sequence - Frame sequence number (1 for the first follow-up)
+ * @returns {Buffer} Complete read follow-up request frame
+ * @example
+ * // Request the second frame of a load profile read
+ * buildReadFollowFrame('000000001234', 0x06000001, 1)
+ */
+export const buildReadFollowFrame = (address, dataId, sequence) => {
+  if (!Number.isInteger(sequence) || sequence < 0 || sequence > 0xff) {
+    throw new Error(`Invalid follow-up sequence: ${sequence}. Must be 0-255.`);
+  }
+
+  // DI (4 bytes with offset) + SEQ (1 byte with offset)
+  const data = Buffer.concat([dataIdToBuffer(dataId), applyOffset(Buffer.from([sequence]))]);
+
+  return buildFrame(address, CONTROL_CODES.READ_FOLLOW, data);
+};
+
 /**
  * Build a WRITE DATA request frame
  * Writes data to a specific register on the meter
@@ -333,6 +366,79 @@ export const buildBroadcastTimeFrame = (time = new Date()) => {
   return buildFrame(address, CONTROL_CODES.BROADCAST_TIME, data);
 };
 
+/**
+ * Encode a date as the DATE_TIME (0x04000101) register value
+ * Wire order is WW DD MM YY (little-endian, BCD, offset not applied)
+ *
+ * @param {Date} [time=new Date()] - Date to encode (local time)
+ * @returns {Buffer} 4-byte value for buildWriteFrame()
+ */
+export const encodeMeterDate = (time = new Date()) => {
+  return Buffer.from([
+    byteToBcd(time.getDay()), // 0 = Sunday
+    byteToBcd(time.getDate()),
+    byteToBcd(time.getMonth() + 1),
+    byteToBcd(time.getFullYear() % 100),
+  ]);
+};
+
+/**
+ * Encode a time of day as the TIME (0x04000102) register value
+ * Wire order is ss mm hh (little-endian, BCD, offset not applied)
+ *
+ * @param {Date} [time=new Date()] - Time to encode (local time)
+ * @returns {Buffer} 3-byte value for buildWriteFrame()
+ */
+export const encodeMeterTime = (time = new Date()) => {
+  return Buffer.from([
+    byteToBcd(time.getSeconds()),
+    byteToBcd(time.getMinutes()),
+    byteToBcd(time.getHours()),
+  ]);
+};
+
+/**
+ * Build a load profile (DI3 = 0x06) read request frame
+ *
+ * With a start time, requests `count` blocks beginning at that time
+ * (BLOCKS_FROM_TIME, params NN mmhhDDMMYY). Without one, requests the
+ * `count` most recent blocks (LATEST_BLOCKS, params NN).
+ *
+ * @param {string} address - 12-digit meter address
+ * @param {Object} [options] - Request options
+ * @param {number} [options.count=1] - Number of blocks (1-99)
+ * @param {Date} [options.start] - Time of the first block (local time)
+ * @returns {Buffer} Complete read request frame
+ * @example
+ * // Four 15-minute blocks from midnight
+ * buildLoadProfileReadFrame('000000001234', { count: 4, start: new Date(2024, 0, 15) })
+ */
+export const buildLoadProfileReadFrame = (address, options = {}) => {
+  const { count = 1, start = null } = options;
+
+  if (!Number.isInteger(count) || count < 1 || count > MAX_LOAD_PROFILE_BLOCKS) {
+    throw new Error(
+      `Invalid load profile block count: ${count}. Must be 1-${MAX_LOAD_PROFILE_BLOCKS}.`
+    );
+  }
+
+  if (!start) {
+    const params = Buffer.from([byteToBcd(count)]);
+    return buildReadFrame(address, LOAD_PROFILE_REGISTERS.LATEST_BLOCKS.id, params);
+  }
+
+  const params = Buffer.from([
+    byteToBcd(count),
+    byteToBcd(start.getMinutes()),
+    byteToBcd(start.getHours()),
+    byteToBcd(start.getDate()),
+    byteToBcd(start.getMonth() + 1),
+    byteToBcd(start.getFullYear() % 100),
+  ]);
+
+  return buildReadFrame(address, LOAD_PROFILE_REGISTERS.BLOCKS_FROM_TIME.id, params);
+};
+
 /**
  * Build multiple read frames for batch polling
  *
@@ -402,13 +508,18 @@ export const isValidAddress = (address) => {
 };
 
 export default {
+  buildFrame,
   buildReadFrame,
   buildReadFrameFromRegister,
+  buildReadFollowFrame,
   buildWriteFrame,
   buildRelayControlFrame,
   buildSimpleRelayFrame,
   buildReadAddressFrame,
   buildBroadcastTimeFrame,
+  encodeMeterDate,
+  encodeMeterTime,
+  buildLoadProfileReadFrame,
   buildBatchReadFrames,
   buildBatchReadFramesFromRegisters,
   describeFrame,
@@ -20,6 +20,7 @@ import {
   removeOffset,
   bcdToDecimal,
   bcdToSignedDecimal,
+  bcdToByte,
   bufferToHex,
 } from './bcd.js';
 
@@ -29,10 +30,14 @@ import {
   CONTROL_CODES,
   isResponseCode,
   isErrorResponse,
+  hasFollowUpFrames,
   getRequestCode,
   findRegisterById,
   parseErrorCode,
   toEngineeringUnits,
+  LOAD_PROFILE_MARKERS,
+  LOAD_PROFILE_CHANNELS,
+  STATUS_WORDS,
 } from './registers.js';
 
 /**
@@ -70,6 +75,7 @@ export const parseFrame = (frame) => {
     controlType: controlCode.type,
     isResponse: controlCode.isResponse,
     isError: controlCode.isError,
+    hasFollowUp: hasFollowUpFrames(controlCode.code),
     dataLength,
     rawData,
     data,
@@ -146,9 +152,49 @@ export const extractData = (frame) => {
   return removeOffset(rawData);
 };
 
+/**
+ * Decode a read response value buffer using register definition
+ *
+ * @param {Buffer} valueBuffer - Value bytes (offset removed, DI stripped)
+ * @param {Object|null} reg - Register definition
+ * @returns {{rawValue: number|null, value: number|null, occurredAt?: Date|null, flags?: Object}}
+ *   Decoded value
+ */
+const decodeReadValue = (valueBuffer, reg) => {
+  // Record payloads are decoded by their dedicated parsers
+  if (valueBuffer.length === 0 || reg?.format === 'record') {
+    return { rawValue: null, value: null };
+  }
+
+  // Demand value + occurrence time
+  if (reg?.format === 'demand') {
+    const { rawValue, value, occurredAt } = parseTelemetryData(valueBuffer, reg);
+    return { rawValue, value, occurredAt };
+  }
+
+  // Status word bit flags
+  if (reg?.format === 'status') {
+    const { words, flags } = parseStatusWords(valueBuffer);
+    return { rawValue: null, value: words, flags };
+  }
+
+  const rawValue = reg && reg.signed ? bcdToSignedDecimal(valueBuffer) : bcdToDecimal(valueBuffer);
+
+  return {
+    rawValue,
+    value: reg ? toEngineeringUnits(rawValue, reg) : rawValue,
+  };
+};
+
 /**
  * Parse a read response frame
  *
+ * Handles both normal read responses (0x91/0xB1) and read follow-up
+ * responses (0x92/0xB2). Follow-up responses carry a trailing SEQ byte
+ * after the value bytes. When the response is one segment of a multi-frame
+ * read (hasFollowUp or isFollowUp), the value is not decoded - use
+ * combineReadSegments() once all segments have been received.
+ *
  * @param {Buffer} frame - Response frame
  * @param {Object} [register] - Optional register definition for value conversion
  * @returns {Object} Parsed response with value
@@ -173,28 +219,24 @@ export const parseReadResponse = (frame, register = null) => {
     dataIdBuffer[3] + 0x33,
   ]));
 
-  // Value bytes are after DI
-  const valueBuffer = parsed.data.subarray(4);
+  // Follow-up responses end with the frame sequence number
+  const isFollowUp = getRequestCode(parsed.controlCode) === CONTROL_CODES.READ_FOLLOW;
+  if (isFollowUp && parsed.dataLength < 5) {
+    throw new Error(`Read follow-up response missing sequence: ${parsed.dataLength} bytes`);
+  }
+  const sequence = isFollowUp ? parsed.data[parsed.data.length - 1] : null;
+
+  // Value bytes are after DI (and before SEQ for follow-up responses)
+  const valueBuffer = parsed.data.subarray(4, isFollowUp ? parsed.data.length - 1 : undefined);
 
   // Find register if not provided
   const reg = register || findRegisterById(dataId);
 
-  // Parse value based on register definition
-  let rawValue;
-  let value;
-
-  if (valueBuffer.length > 0) {
-    if (reg && reg.signed) {
-      rawValue = bcdToSignedDecimal(valueBuffer);
-    } else {
-      rawValue = bcdToDecimal(valueBuffer);
-    }
-
-    value = reg ? toEngineeringUnits(rawValue, reg) : rawValue;
-  } else {
-    rawValue = null;
-    value = null;
-  }
+  // Partial segments are decoded once combined
+  const { rawValue, value, occurredAt, flags } =
+    parsed.hasFollowUp || isFollowUp
+      ? { rawValue: null, value: null }
+      : decodeReadValue(valueBuffer, reg);
 
   return {
     success: true,
@@ -204,11 +246,67 @@ export const parseReadResponse = (frame, register = null) => {
     register: reg,
     rawValue,
     value,
+    ...(occurredAt !== undefined && { occurredAt }),
+    ...(flags && { flags }),
     unit: reg ? reg.unit : null,
+    data: valueBuffer,
+    hasFollowUp: parsed.hasFollowUp,
+    isFollowUp,
+    sequence,
     hex: parsed.hex,
   };
 };
 
+/**
+ * Combine the segments of a multi-frame read into a single read result
+ *
+ * @param {Object[]} segments - Parsed read responses, in the order received
+ * @param {Object} [register] - Optional register definition for value conversion
+ * @returns {Object} Read result shaped like parseReadResponse() output
+ * @throws {Error} If segments are empty or belong to different data identifiers
+ */
+export const combineReadSegments = (segments, register = null) => {
+  if (!Array.isArray(segments) || segments.length === 0) {
+    throw new Error('No read segments to combine');
+  }
+
+  const [first] = segments;
+  if (segments.some((segment) => segment.dataId !== first.dataId)) {
+    throw new Error('Read segments have mismatched data identifiers');
+  }
+
+  const data = Buffer.concat(segments.map((segment) => segment.data));
+  const reg = register || first.register || findRegisterById(first.dataId);
+
+  // Long payloads (records, profiles) are not necessarily a single BCD number
+  let decoded;
+  try {
+    decoded = decodeReadValue(data, reg);
+  } catch {
+    decoded = { rawValue: null, value: null };
+  }
+
+  return {
+    success: true,
+    ...(first.variant && { variant: first.variant }),
+    address: first.address,
+    dataId: first.dataId,
+    dataIdHex: first.dataIdHex,
+    register: reg,
+    rawValue: decoded.rawValue,
+    value: decoded.value,
+    ...(decoded.occurredAt !== undefined && { occurredAt: decoded.occurredAt }),
+    ...(decoded.flags && { flags: decoded.flags }),
+    unit: reg ? reg.unit : null,
+    data,
+    hasFollowUp: false,
+    isFollowUp: segments.length > 1,
+    sequence: segments[segments.length - 1].sequence,
+    segments: segments.length,
+    hex: segments.map((segment) => segment.hex).join(' | '),
+  };
+};
+
 /**
  * Parse a write response frame
  *
@@ -285,9 +383,329 @@ export const parseErrorResponse = (frame) => {
   };
 };
 
+/**
+ * Decode meter date (DATE_TIME, 0x04000101) and time (TIME, 0x04000102) values
+ *
+ * @param {Buffer} dateBuffer - WW DD MM YY (offset removed, DI stripped)
+ * @param {Buffer} timeBuffer - ss mm hh (offset removed, DI stripped)
+ * @returns {Date} Meter clock as a local-time Date
+ * @throws {Error} If the buffers are too short or hold an invalid date
+ */
+export const decodeMeterDateTime = (dateBuffer, timeBuffer) => {
+  if (!dateBuffer || dateBuffer.length < 4) {
+    throw new Error('Meter date value too short');
+  }
+  if (!timeBuffer || timeBuffer.length < 3) {
+    throw new Error('Meter time value too short');
+  }
+
+  const day = bcdToByte(dateBuffer[1]);
+  const month = bcdToByte(dateBuffer[2]);
+  const year = 2000 + bcdToByte(dateBuffer[3]);
+  const second = bcdToByte(timeBuffer[0]);
+  const minute = bcdToByte(timeBuffer[1]);
+  const hour = bcdToByte(timeBuffer[2]);
+
+  const date = new Date(year, month - 1, day, hour, minute, second);
+  if (date.getMonth() !== month - 1 || date.getDate() !== day || hour > 23 || minute > 59) {
+    throw new Error(`Invalid meter date/time: ${year}-${month}-${day} ${hour}:${minute}:${second}`);
+  }
+
+  return date;
+};
+
+/**
+ * Decode a YYMMDDhhmm time (sent as mm hh DD MM YY)
+ * @private
+ * @param {Buffer} buffer - At least 5 bytes
+ * @param {string} label - Record name used in error messages
+ * @returns {Date} Local-time Date
+ */
+const decodeMinuteTime = (buffer, label) => {
+  const minute = bcdToByte(buffer[0]);
+  const hour = bcdToByte(buffer[1]);
+  const day = bcdToByte(buffer[2]);
+  const month = bcdToByte(buffer[3]);
+  const year = 2000 + bcdToByte(buffer[4]);
+
+  const date = new Date(year, month - 1, day, hour, minute);
+  if (date.getMonth() !== month - 1 || date.getDate() !== day || hour > 23 || minute > 59) {
+    throw new Error(`Invalid ${label} time: ${year}-${month}-${day} ${hour}:${minute}`);
+  }
+
+  return date;
+};
+
+/**
+ * Decode a YYMMDDhhmmss time (sent as ss mm hh DD MM YY)
+ * @private
+ * @param {Buffer} buffer - At least 6 bytes
+ * @param {string} label - Record name used in error messages
+ * @returns {Date} Local-time Date
+ */
+const decodeSecondTime = (buffer, label) => {
+  const date = decodeMinuteTime(buffer.subarray(1), label);
+  const second = bcdToByte(buffer[0]);
+  if (second > 59) {
+    throw new Error(`Invalid ${label} time: second ${second}`);
+  }
+  date.setSeconds(second);
+  return date;
+};
+
+/**
+ * Decode one load profile block body (between the length byte and checksum)
+ * @private
+ * @param {Buffer} body - mmhhDDMMYY followed by separator-terminated sections
+ * @returns {Object} { timestamp, values }
+ */
+const decodeLoadProfileBlock = (body) => {
+  if (body.length < 5) {
+    throw new Error(`Load profile block too short: ${body.length} bytes`);
+  }
+
+  const timestamp = decodeMinuteTime(body, 'load profile');
+  const values = {};
+  let offset = 5;
+
+  for (const channels of LOAD_PROFILE_CHANNELS) {
+    // Meters may stop after the last section they record
+    if (offset >= body.length) break;
+
+    // Section not recorded by this meter
+    if (body[offset] === LOAD_PROFILE_MARKERS.SEPARATOR) {
+      offset++;
+      continue;
+    }
+
+    for (const channel of channels) {
+      const valueBuffer = body.subarray(offset, offset + channel.bytes);
+      if (valueBuffer.length < channel.bytes) {
+        throw new Error(`Load profile block truncated in ${channel.key}`);
+      }
+      const rawValue = channel.signed ? bcdToSignedDecimal(valueBuffer) : bcdToDecimal(valueBuffer);
+      values[channel.key] = toEngineeringUnits(rawValue, channel);
+      offset += channel.bytes;
+    }
+
+    if (body[offset] !== LOAD_PROFILE_MARKERS.SEPARATOR) {
+      throw new Error(`Load profile section separator missing at offset ${offset}`);
+    }
+    offset++;
+  }
+
+  if (offset !== body.length) {
+    throw new Error(`Load profile block has ${body.length - offset} unexpected trailing bytes`);
+  }
+
+  return { timestamp, values };
+};
+
+/**
+ * Parse load profile (DI3 = 0x06) record blocks
+ *
+ * Block layout: A0 A0 LEN mmhhDDMMYY [sections...] CS E5, where LEN counts the
+ * bytes between the length byte and CS, and CS is the modulo-256 sum of all
+ * bytes from the first A0 up to CS. Section layout is LOAD_PROFILE_CHANNELS.
+ *
+ * @param {Buffer} buffer - Read response value (offset removed, DI stripped)
+ * @returns {Object[]} Records in received order: { timestamp: Date, values: Object }
+ * @throws {Error} If a block is malformed
+ */
+export const parseLoadProfileRecords = (buffer) => {
+  const records = [];
+  let offset = 0;
+
+  while (offset < buffer.length) {
+    if (
+      buffer[offset] !== LOAD_PROFILE_MARKERS.START ||
+      buffer[offset + 1] !== LOAD_PROFILE_MARKERS.START
+    ) {
+      throw new Error(`Load profile block start not found at offset ${offset}`);
+    }
+
+    const bodyStart = offset + 3;
+    const bodyEnd = bodyStart + (buffer[offset + 2] ?? 0);
+    if (bodyStart > buffer.length || bodyEnd + 2 > buffer.length) {
+      throw new Error(`Load profile block truncated at offset ${offset}`);
+    }
+
+    let checksum = 0;
+    for (let i = offset; i < bodyEnd; i++) {
+      checksum = (checksum + buffer[i]) & 0xff;
+    }
+    if (buffer[bodyEnd] !== checksum) {
+      throw new Error(
+        `Load profile block checksum error: expected 0x${checksum.toString(16)}, got 0x${buffer[bodyEnd].toString(16)}`
+      );
+    }
+    if (buffer[bodyEnd + 1] !== LOAD_PROFILE_MARKERS.END) {
+      throw new Error(`Load profile block end marker missing at offset ${bodyEnd + 1}`);
+    }
+
+    records.push(decodeLoadProfileBlock(buffer.subarray(bodyStart, bodyEnd)));
+    offset = bodyEnd + 2;
+  }
+
+  return records;
+};
+
+/**
+ * Decode a frozen data freeze time (DI1 = 0x00, YYMMDDhhmm)
+ *
+ * @param {Buffer} buffer - Read response value (offset removed, DI stripped)
+ * @returns {Date} Freeze time as a local-time Date
+ * @throws {Error} If the value is too short or holds an invalid time
+ */
+export const decodeFreezeTime = (buffer) => {
+  if (!buffer || buffer.length < 5) {
+    throw new Error('Freeze time value too short');
+  }
+  return decodeMinuteTime(buffer, 'freeze');
+};
+
+/**
+ * Decode an energy data block: total followed by one value per tariff, 4 bytes each
+ *
+ * @param {Buffer} buffer - Read response value (offset removed, DI stripped)
+ * @param {Object} register - Register definition with resolution
+ * @returns {Object} { total, tariffs: number[] } in engineering units
+ * @throws {Error} If the block is empty or not a multiple of 4 bytes
+ */
+export const decodeEnergyBlock = (buffer, register) => {
+  if (!buffer || buffer.length === 0 || buffer.length % 4 !== 0) {
+    throw new Error(`Invalid energy block length: ${buffer?.length ?? 0} bytes`);
+  }
+
+  const values = [];
+  for (let offset = 0; offset < buffer.length; offset += 4) {
+    values.push(toEngineeringUnits(bcdToDecimal(buffer.subarray(offset, offset + 4)), register));
+  }
+
+  return { total: values[0], tariffs: values.slice(1) };
+};
+
+/**
+ * Decode the settlement day parameter (0x04000B01, DDhh sent as hh DD)
+ *
+ * @param {Buffer} buffer - Read response value (offset removed, DI stripped)
+ * @returns {Object} { day, hour }
+ * @throws {Error} If the value is too short or out of range
+ */
+export const decodeSettlementDay = (buffer) => {
+  if (!buffer || buffer.length < 2) {
+    throw new Error('Settlement day value too short');
+  }
+
+  const hour = bcdToByte(buffer[0]);
+  const day = bcdToByte(buffer[1]);
+  if (day < 1 || day > 28 || hour > 23) {
+    throw new Error(`Invalid settlement day: day ${day} hour ${hour}`);
+  }
+
+  return { day, hour };
+};
+
+/**
+ * Decode an event record occurrence count (first 3 bytes of the DI0 = 00 value)
+ *
+ * @param {Buffer} buffer - Read response value (offset removed, DI stripped)
+ * @returns {number} Occurrence count
+ * @throws {Error} If the value is too short
+ */
+export const decodeEventCount = (buffer) => {
+  if (!buffer || buffer.length < 3) {
+    throw new Error('Event count value too short');
+  }
+  return bcdToDecimal(buffer.subarray(0, 3));
+};
+
+/**
+ * Parse one event record using its field layout (EVENT_RECORD_TYPES[].fields)
+ *
+ * Datetime fields are ssmmhhDDMMYY; an all-zero datetime (event still active,
+ * or never ended) decodes to null. Bytes after the last field are ignored.
+ *
+ * @param {Buffer} buffer - Read response value (offset removed, DI stripped)
+ * @param {Object[]} fields - Field layout { key, bytes, type?, resolution? }
+ * @returns {Object|null} Decoded fields, or null if the record slot is empty
+ * @throws {Error} If the record is truncated or holds an invalid time
+ */
+export const parseEventRecord = (buffer, fields) => {
+  const length = fields.reduce((sum, field) => sum + field.bytes, 0);
+  if (!buffer || buffer.length < length) {
+    throw new Error(`Event record too short: ${buffer?.length ?? 0} bytes, expected ${length}`);
+  }
+
+  // Meters return an all-zero record for slots that were never written
+  if (buffer.subarray(0, length).every((byte) => byte === 0)) {
+    return null;
+  }
+
+  const record = {};
+  let offset = 0;
+
+  for (const field of fields) {
+    const valueBuffer = buffer.subarray(offset, offset + field.bytes);
+    offset += field.bytes;
+
+    if (field.type === 'datetime') {
+      record[field.key] = valueBuffer.every((byte) => byte === 0)
+        ? null
+        : decodeSecondTime(valueBuffer, `event ${field.key}`);
+    } else if (field.type === 'hex') {
+      record[field.key] = bufferToHex(Buffer.from(valueBuffer).reverse(), '');
+    } else {
+      record[field.key] = toEngineeringUnits(bcdToDecimal(valueBuffer), field);
+    }
+  }
+
+  return record;
+};
+
+/**
+ * Decode meter status words into named flags (STATUS_WORDS)
+ *
+ * Words are 2 binary bytes, low byte first. A meter may return fewer words
+ * than requested; flags of missing words are left out rather than reported
+ * as false.
+ *
+ * @param {Buffer} buffer - Status word bytes (offset removed, DI stripped)
+ * @param {number} [firstWord=1] - Number of the first word in the buffer (1-7)
+ * @returns {{words: number[], flags: Object<string, boolean>}} Raw words and flags
+ * @throws {Error} If the buffer holds no complete word or firstWord is out of range
+ */
+export const parseStatusWords = (buffer, firstWord = 1) => {
+  if (!Number.isInteger(firstWord) || firstWord < 1 || firstWord > STATUS_WORDS.length) {
+    throw new Error(`Invalid status word number: ${firstWord}`);
+  }
+  if (!buffer || buffer.length < 2) {
+    throw new Error(`Status word value too short: ${buffer?.length ?? 0} bytes`);
+  }
+
+  const count = Math.min(Math.floor(buffer.length / 2), STATUS_WORDS.length - firstWord + 1);
+  const words = [];
+  const flags = {};
+
+  for (let i = 0; i < count; i++) {
+    const word = buffer.readUInt16LE(i * 2);
+    words.push(word);
+
+    for (const [bit, flag] of Object.entries(STATUS_WORDS[firstWord - 1 + i].flags)) {
+      flags[flag] = (word & (1 << Number(bit))) !== 0;
+    }
+  }
+
+  return { words, flags };
+};
+
 /**
  * Parse telemetry data from value buffer using register definition
  *
+ * Demand registers (format: 'demand') hold the demand value followed by its
+ * YYMMDDhhmm occurrence time; the time is returned as occurredAt (null when
+ * no demand has been recorded yet).
+ *
  * @param {Buffer} dataBuffer - Raw value bytes (offset already removed)
  * @param {Object} register - Register definition
  * @returns {Object} Parsed telemetry value
@@ -301,6 +719,26 @@ export const parseTelemetryData = (dataBuffer, register) => {
     };
   }
 
+  if (register.format === 'demand') {
+    if (dataBuffer.length < 8) {
+      throw new Error(`Demand value too short: ${dataBuffer.length} bytes`);
+    }
+
+    const rawValue = bcdToDecimal(dataBuffer.subarray(0, 3));
+    const timeBuffer = dataBuffer.subarray(3, 8);
+
+    return {
+      name: register.name,
+      rawValue,
+      value: toEngineeringUnits(rawValue, register),
+      unit: register.unit,
+      resolution: register.resolution,
+      occurredAt: timeBuffer.every((byte) => byte === 0)
+        ? null
+        : decodeMinuteTime(timeBuffer, 'demand'),
+    };
+  }
+
   let rawValue;
   if (register.signed) {
     rawValue = bcdToSignedDecimal(dataBuffer);
@@ -330,6 +768,7 @@ export const buildTelemetryObject = (responses) => {
     timestamp: new Date().toISOString(),
     address: null,
     energy: {},
+    demand: {},
     instantaneous: {},
     parameters: {},
     errors: [],
@@ -362,6 +801,13 @@ export const buildTelemetryObject = (responses) => {
         value: response.value,
         unit: response.unit,
       };
+    } else if (category === 0x01) {
+      // Max demand registers
+      telemetry.demand[reg.key || reg.name] = {
+        value: response.value,
+        unit: response.unit,
+        occurredAt: response.occurredAt?.toISOString() ?? null,
+      };
     } else if (category === 0x02) {
       // Instantaneous registers
       telemetry.instantaneous[reg.key || reg.name] = {
@@ -373,6 +819,7 @@ export const buildTelemetryObject = (responses) => {
       telemetry.parameters[reg.key || reg.name] = {
         value: response.value,
         unit: response.unit,
+        ...(response.flags && { flags: response.flags }),
       };
     }
   }
@@ -581,9 +1028,18 @@ export default {
   extractControlCode,
   extractData,
   parseReadResponse,
+  combineReadSegments,
   parseWriteResponse,
   parseRelayResponse,
   parseErrorResponse,
+  decodeMeterDateTime,
+  parseLoadProfileRecords,
+  decodeFreezeTime,
+  decodeEnergyBlock,
+  decodeSettlementDay,
+  decodeEventCount,
+  parseEventRecord,
+  parseStatusWords,
   parseTelemetryData,
   buildTelemetryObject,
   isCompleteFrame,
@@ -55,6 +55,10 @@ export const RAW_DLMS_TAGS = new Set([
   0x60, // AARQ (Association Request)
   0x62, // RLRQ (Release Request)
   0xC0, // GET.request
+  0xCA, // glo-EventNotification
+  0xCC, // glo-GET.response
+  0xCD, // glo-SET.response
+  0xCF, // glo-ACTION.response
 ]);
 
 /**
@@ -127,7 +131,7 @@ export const wrapIvyPacket = (destination, payload, source = 0x0001) => {
 
 /**
  * Compute the total byte length of a BER-TLV encoded structure.
- * Used for AARE (0x61) and RLRE (0x63) APDUs.
+ * Used for AARE (0x61), RLRE (0x63) and glo-ciphered APDUs.
  *
  * @param {Buffer} buffer - Buffer starting with BER-TLV tag
  * @returns {number} Total length or -1 if insufficient data
@@ -355,6 +359,10 @@ export const computeRawDlmsLength = (buffer) => {
     case 0x61: // AARE
     case 0x62: // RLRQ
     case 0x63: // RLRE
+    case 0xCA: // glo-ciphered APDUs carry a BER length
+    case 0xCC:
+    case 0xCD:
+    case 0xCF:
       return computeBerTlvLength(buffer);
     case 0xD8: // ExceptionResponse - always 3 bytes
       return buffer.length >= 3 ? 3 : -1;
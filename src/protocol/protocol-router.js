@@ -7,6 +7,8 @@
  * Supported protocols:
  * - DLT645: Traditional Chinese energy meter protocol (starts with 0x68)
  * - IVY_DLMS: IVY EM114070 proprietary wrapper containing DLMS/COSEM or heartbeat
+ * - HDLC_DLMS: DLMS/COSEM over HDLC (IEC 62056-46), e.g. behind transparent modems
+ * - WPDU_DLMS: DLMS/COSEM in the standard TCP wrapper (IEC 62056-47)
  *
  * @module protocol/protocol-router
  */
@@ -15,6 +17,10 @@ import { createStreamParser } from './frame-parser.js';
 import { createIvyStreamParser, IVY_DESTINATIONS, RAW_DLMS_TAGS } from './ivy-wrapper.js';
 import { isHeartbeatPacket, parseHeartbeatPacket } from './heartbeat-handler.js';
 import { parseApdu, extractTelemetry } from './dlms/apdu-parser.js';
+import { HDLC_FLAG, HDLC_FORMAT_TYPE, createHdlcStreamParser } from './dlms/hdlc.js';
+import { HDLC_EVENTS, createHdlcSession } from './dlms/hdlc-session.js';
+import { createWpduStreamParser } from './dlms/wpdu.js';
+import { isCipheredApdu } from './dlms/security.js';
 import { createChildLogger } from '../utils/logger.js';
 
 const logger = createChildLogger({ module: 'protocol-router' });
@@ -25,9 +31,20 @@ const logger = createChildLogger({ module: 'protocol-router' });
 export const PROTOCOL_TYPES = {
   DLT645: 'dlt645',
   IVY_DLMS: 'ivy_dlms',
+  HDLC_DLMS: 'hdlc_dlms',
+  WPDU_DLMS: 'wpdu_dlms',
   UNKNOWN: 'unknown',
 };
 
+/**
+ * DLMS transport selection for a listener
+ */
+export const DLMS_TRANSPORTS = {
+  AUTO: 'auto', // detect from the first data
+  WPDU: 'wpdu', // every connection carries IEC 62056-47 WPDUs
+  HDLC: 'hdlc', // every connection carries HDLC; the gateway opens the link (SNRM)
+};
+
 /**
  * Detect protocol type from first data bytes
  *
@@ -51,6 +68,16 @@ export const detectProtocol = (buffer) => {
     return PROTOCOL_TYPES.IVY_DLMS;
   }
 
+  // Standard wrapper: version 00 01 with wPorts other than the IVY signature
+  if (buffer.length >= 4 && buffer[0] === 0x00 && buffer[1] === 0x01) {
+    return PROTOCOL_TYPES.WPDU_DLMS;
+  }
+
+  // HDLC frame: opening flag followed by a type 3 format field
+  if (buffer[0] === HDLC_FLAG && (buffer.length < 2 || (buffer[1] & 0xf0) === HDLC_FORMAT_TYPE)) {
+    return PROTOCOL_TYPES.HDLC_DLMS;
+  }
+
   // Raw DLMS APDU (unwrapped) - treat as IVY_DLMS protocol
   if (RAW_DLMS_TAGS.has(buffer[0])) {
     return PROTOCOL_TYPES.IVY_DLMS;
@@ -59,6 +86,20 @@ export const detectProtocol = (buffer) => {
   return PROTOCOL_TYPES.UNKNOWN;
 };
 
+/**
+ * Check whether a protocol type carries DLMS/COSEM (IVY wrapper, HDLC or WPDU)
+ *
+ * @param {string|null} protocolType - Protocol type constant
+ * @returns {boolean}
+ */
+export const isDlmsProtocol = (protocolType) => {
+  return (
+    protocolType === PROTOCOL_TYPES.IVY_DLMS ||
+    protocolType === PROTOCOL_TYPES.HDLC_DLMS ||
+    protocolType === PROTOCOL_TYPES.WPDU_DLMS
+  );
+};
+
 /**
  * Create a protocol router
  *
@@ -73,12 +114,32 @@ export const detectProtocol = (buffer) => {
  * @param {Function} [callbacks.onDlmsApdu] - (parsedApdu, telemetry, raw) => void
  * @param {Function} [callbacks.onDlmsError] - (error) => void
  * @param {Function} [callbacks.onProtocolDetected] - (protocolType) => void
- * @returns {Object} Router with push(), reset(), getProtocol() methods
+ * @param {Function} [callbacks.onHdlcFrame] - (parsedFrame) => void, before the session handles it
+ * @param {Function} [callbacks.sendHdlcFrame] - (frame) => Promise<boolean>, transport for the
+ *   HDLC session (link setup, acknowledgements)
+ * @param {Function} [callbacks.onWpduPacket] - (header) => void, before the APDU is parsed
+ * @param {Function} [callbacks.decipherApdu] - (apdu) => Buffer|null, plain APDU for a
+ *   glo-ciphered one, or null when it cannot be deciphered
+ * @param {Function} [callbacks.scalerUnitFor] - (obisCode) => Object|null, the meter's
+ *   scaler_unit for telemetry scaling
+ * @param {Function} [callbacks.pushObjectListFor] - (fields) => Object[]|null, the meter's
+ *   push_object_list for the fields of a DataNotification
+ * @param {Object} [options] - Router options
+ * @param {string} [options.transport='auto'] - DLMS_TRANSPORTS value; 'wpdu' and 'hdlc' skip
+ *   detection, 'hdlc' creates the HDLC session before the meter sends anything
+ * @returns {Object} Router with push(), reset(), startHdlc(), getProtocol(), getHdlcSession(),
+ *   getWpduPorts() methods
  */
-export const createProtocolRouter = (callbacks = {}) => {
+export const createProtocolRouter = (callbacks = {}, options = {}) => {
   let detectedProtocol = null;
   let dlt645Parser = null;
   let ivyParser = null;
+  let hdlcParser = null;
+  let hdlcSession = null;
+  let wpduParser = null;
+  let wpduPorts = null;
+
+  const { transport = DLMS_TRANSPORTS.AUTO } = options;
 
   const {
     onHeartbeat,
@@ -87,6 +148,12 @@ export const createProtocolRouter = (callbacks = {}) => {
     onDlmsApdu = null,
     onDlmsError = null,
     onProtocolDetected = null,
+    onHdlcFrame = null,
+    sendHdlcFrame = null,
+    onWpduPacket = null,
+    decipherApdu = null,
+    scalerUnitFor = null,
+    pushObjectListFor = null,
   } = callbacks;
 
   /**
@@ -95,14 +162,18 @@ export const createProtocolRouter = (callbacks = {}) => {
   const handleDlmsPayload = (header, payload, raw) => {
     if (payload.length > 0 && onDlmsApdu) {
       try {
-        const parsed = parseApdu(payload);
-        const telemetry = extractTelemetry(parsed);
+        const apdu = (isCipheredApdu(payload) && decipherApdu?.(payload)) || payload;
+        const parsed = parseApdu(apdu);
+        const telemetry = extractTelemetry(parsed, { scalerUnitFor, pushObjectListFor });
 
         const logData = {
           tag: `0x${parsed.tag.toString(16)}`,
           type: parsed.type,
           payloadLength: payload.length,
           rawDlms: !!header.isRawDlms,
+          hdlc: !!header.isHdlc,
+          wpdu: !!header.isWpdu,
+          ciphered: apdu !== payload,
         };
         if (parsed.type === 'get-response') {
           logData.invokeId = parsed.invokeId;
@@ -114,7 +185,7 @@ export const createProtocolRouter = (callbacks = {}) => {
             logData.dataType = parsed.data.typeName;
             logData.dataValue = parsed.data.value;
           }
-          logData.hex = payload.toString('hex');
+          logData.hex = apdu.toString('hex');
         } else if (parsed.type === 'event-notification') {
           logData.obisCode = parsed.obisCode;
           logData.classId = parsed.classId;
@@ -197,6 +268,82 @@ export const createProtocolRouter = (callbacks = {}) => {
     });
   };
 
+  /**
+   * Initialize the HDLC parser and link session
+   */
+  const initHdlcParser = () => {
+    hdlcSession = createHdlcSession({ send: sendHdlcFrame });
+    hdlcSession.on(HDLC_EVENTS.APDU, (apdu) => {
+      handleDlmsPayload({ isHdlc: true }, apdu, apdu);
+    });
+
+    hdlcParser = createHdlcStreamParser(
+      (frame) => {
+        if (onHdlcFrame) {
+          onHdlcFrame(frame);
+        }
+        hdlcSession.handleFrame(frame);
+      },
+      (error) => {
+        logger.debug('HDLC stream parse error', { error: error.message });
+        if (onDlmsError) {
+          onDlmsError(error);
+        }
+      }
+    );
+  };
+
+  /**
+   * Switch to HDLC and create the link session
+   * @returns {import('./dlms/hdlc-session.js').HdlcSession} Session
+   */
+  const startHdlc = () => {
+    if (!hdlcSession) {
+      detectedProtocol = PROTOCOL_TYPES.HDLC_DLMS;
+      dlt645Parser = null;
+      ivyParser = null;
+      wpduParser = null;
+      wpduPorts = null;
+      initHdlcParser();
+    }
+    return hdlcSession;
+  };
+
+  /**
+   * Handle a complete WPDU
+   *
+   * The meter's wPorts are remembered so replies go back to the same
+   * application. Modems that register with an IVY-style heartbeat before
+   * switching to the standard wrapper are still identified.
+   */
+  const handleWpduPacket = (header, apdu, raw) => {
+    if (isHeartbeatPacket(raw)) {
+      const heartbeat = parseHeartbeatPacket(raw);
+      if (heartbeat.valid && onHeartbeat) {
+        onHeartbeat(heartbeat);
+      }
+      return;
+    }
+
+    wpduPorts = { client: header.destination, server: header.source };
+    if (onWpduPacket) {
+      onWpduPacket(header);
+    }
+    handleDlmsPayload({ ...header, isWpdu: true }, apdu, raw);
+  };
+
+  /**
+   * Initialize the WPDU parser
+   */
+  const initWpduParser = () => {
+    wpduParser = createWpduStreamParser(handleWpduPacket, (error) => {
+      logger.debug('WPDU stream parse error', { error: error.message });
+      if (onDlmsError) {
+        onDlmsError(error);
+      }
+    });
+  };
+
   const router = {
     /**
      * Push data into the router
@@ -206,10 +353,12 @@ export const createProtocolRouter = (callbacks = {}) => {
      */
     push(data) {
       if (!detectedProtocol) {
-        detectedProtocol = detectProtocol(data);
+        detectedProtocol =
+          transport === DLMS_TRANSPORTS.WPDU ? PROTOCOL_TYPES.WPDU_DLMS : detectProtocol(data);
 
         logger.info('Protocol detected', {
           protocol: detectedProtocol,
+          transport,
           firstByte: `0x${data[0].toString(16)}`,
           dataLength: data.length,
         });
@@ -222,6 +371,10 @@ export const createProtocolRouter = (callbacks = {}) => {
           initDlt645Parser();
         } else if (detectedProtocol === PROTOCOL_TYPES.IVY_DLMS) {
           initIvyParser();
+        } else if (detectedProtocol === PROTOCOL_TYPES.HDLC_DLMS) {
+          initHdlcParser();
+        } else if (detectedProtocol === PROTOCOL_TYPES.WPDU_DLMS) {
+          initWpduParser();
         }
       }
 
@@ -230,6 +383,16 @@ export const createProtocolRouter = (callbacks = {}) => {
         dlt645Parser.push(data);
       } else if (detectedProtocol === PROTOCOL_TYPES.IVY_DLMS && ivyParser) {
         ivyParser.push(data);
+      } else if (detectedProtocol === PROTOCOL_TYPES.HDLC_DLMS && isHeartbeatPacket(data)) {
+        // Transparent modems may register with a heartbeat before passing HDLC through
+        const heartbeat = parseHeartbeatPacket(data);
+        if (heartbeat.valid && onHeartbeat) {
+          onHeartbeat(heartbeat);
+        }
+      } else if (detectedProtocol === PROTOCOL_TYPES.HDLC_DLMS && hdlcParser) {
+        hdlcParser.push(data);
+      } else if (detectedProtocol === PROTOCOL_TYPES.WPDU_DLMS && wpduParser) {
+        wpduParser.push(data);
       } else {
         logger.debug('Discarding data for unknown protocol', {
           protocol: detectedProtocol,
@@ -245,6 +408,35 @@ export const createProtocolRouter = (callbacks = {}) => {
       detectedProtocol = null;
       dlt645Parser = null;
       ivyParser = null;
+      hdlcParser = null;
+      wpduParser = null;
+      wpduPorts = null;
+      if (hdlcSession) {
+        hdlcSession.close();
+        hdlcSession = null;
+      }
+      if (transport === DLMS_TRANSPORTS.HDLC) {
+        startHdlc();
+      }
+    },
+
+    /**
+     * Switch the connection to HDLC, e.g. for a meter configured as HDLC
+     * behind a modem that registered with a heartbeat
+     *
+     * The session is created before the meter sends anything, so the
+     * gateway can open the link with SNRM. Calls onProtocolDetected when the
+     * protocol changes.
+     *
+     * @returns {import('./dlms/hdlc-session.js').HdlcSession} Session
+     */
+    startHdlc() {
+      const previous = detectedProtocol;
+      const session = startHdlc();
+      if (previous !== PROTOCOL_TYPES.HDLC_DLMS && onProtocolDetected) {
+        onProtocolDetected(PROTOCOL_TYPES.HDLC_DLMS);
+      }
+      return session;
     },
 
     /**
@@ -254,13 +446,36 @@ export const createProtocolRouter = (callbacks = {}) => {
     getProtocol() {
       return detectedProtocol;
     },
+
+    /**
+     * Get the HDLC link session (HDLC connections only)
+     * @returns {import('./dlms/hdlc-session.js').HdlcSession|null}
+     */
+    getHdlcSession() {
+      return hdlcSession;
+    },
+
+    /**
+     * Get the wPorts seen in the meter's last WPDU (WPDU connections only)
+     * @returns {{client: number, server: number}|null}
+     */
+    getWpduPorts() {
+      return wpduPorts;
+    },
   };
 
+  // Silent meters behind transparent modems wait for the gateway's SNRM
+  if (transport === DLMS_TRANSPORTS.HDLC) {
+    startHdlc();
+  }
+
   return router;
 };
 
 export default {
   PROTOCOL_TYPES,
+  DLMS_TRANSPORTS,
   detectProtocol,
+  isDlmsProtocol,
   createProtocolRouter,
 };
@@ -31,6 +31,9 @@ export const CONTROL_CODES = {
   READ_DATA_RESPONSE: 0x91,
   WRITE_DATA_RESPONSE: 0x94,
   READ_FOLLOW_RESPONSE: 0x92,
+  // Response with "more data follows" bit (0x20) set
+  READ_DATA_RESPONSE_MORE: 0xb1,
+  READ_FOLLOW_RESPONSE_MORE: 0xb2,
   READ_ADDRESS_RESPONSE: 0x93,
   WRITE_ADDRESS_RESPONSE: 0x95,
   RELAY_CONTROL_RESPONSE: 0x9c,
@@ -38,10 +41,21 @@ export const CONTROL_CODES = {
   // Error responses
   // Error = Request + 0x80 + 0x40 = Request + 0xC0
   READ_DATA_ERROR: 0xd1,
+  READ_FOLLOW_ERROR: 0xd2,
   WRITE_DATA_ERROR: 0xd4,
   RELAY_CONTROL_ERROR: 0xdc,
 };
 
+/**
+ * Control code bit D5: set by the meter when more frames follow
+ */
+export const FOLLOW_UP_FLAG = 0x20;
+
+/**
+ * Maximum follow-up sequence number (SEQ is a single byte)
+ */
+export const MAX_FOLLOW_SEQUENCE = 0xff;
+
 /**
  * Error codes returned in error response frames
  */
@@ -55,6 +69,19 @@ export const ERROR_CODES = {
   0x40: 'Command execution failed',
 };
 
+/**
+ * Machine-readable names for error code bits (for structured command errors)
+ */
+export const ERROR_CODE_NAMES = {
+  0x01: 'OTHER_ERROR',
+  0x02: 'NO_DATA',
+  0x04: 'PASSWORD_ERROR',
+  0x08: 'RATE_CHANGE_DENIED',
+  0x10: 'ANNUAL_LIMIT_EXCEEDED',
+  0x20: 'DAILY_LIMIT_EXCEEDED',
+  0x40: 'EXECUTION_FAILED',
+};
+
 /**
  * Data Register Categories (DI3 byte)
  */
@@ -137,6 +164,181 @@ export const ENERGY_REGISTERS = {
   },
 };
 
+/**
+ * Maximum Demand Registers (DI3 = 0x01), current billing period
+ *   DI2: quantity, DI1: 00 total / 01-04 tariff
+ * Each value is XX.XXXX demand (3 bytes) followed by its YYMMDDhhmm time (format: 'demand')
+ */
+export const MAX_DEMAND_REGISTERS = {
+  // Active import (forward) max demand: total and T1-T4
+  ACTIVE_IMPORT_MAX_DEMAND: {
+    id: 0x01010000,
+    name: 'Active Import Max Demand',
+    unit: 'kW',
+    resolution: 0.0001,
+    bytes: 8,
+    format: 'demand',
+  },
+  TARIFF_1_ACTIVE_IMPORT_MAX_DEMAND: {
+    id: 0x01010100,
+    name: 'Tariff 1 Active Import Max Demand',
+    unit: 'kW',
+    resolution: 0.0001,
+    bytes: 8,
+    format: 'demand',
+  },
+  TARIFF_2_ACTIVE_IMPORT_MAX_DEMAND: {
+    id: 0x01010200,
+    name: 'Tariff 2 Active Import Max Demand',
+    unit: 'kW',
+    resolution: 0.0001,
+    bytes: 8,
+    format: 'demand',
+  },
+  TARIFF_3_ACTIVE_IMPORT_MAX_DEMAND: {
+    id: 0x01010300,
+    name: 'Tariff 3 Active Import Max Demand',
+    unit: 'kW',
+    resolution: 0.0001,
+    bytes: 8,
+    format: 'demand',
+  },
+  TARIFF_4_ACTIVE_IMPORT_MAX_DEMAND: {
+    id: 0x01010400,
+    name: 'Tariff 4 Active Import Max Demand',
+    unit: 'kW',
+    resolution: 0.0001,
+    bytes: 8,
+    format: 'demand',
+  },
+
+  // Active export (reverse) max demand: total and T1-T4
+  ACTIVE_EXPORT_MAX_DEMAND: {
+    id: 0x01020000,
+    name: 'Active Export Max Demand',
+    unit: 'kW',
+    resolution: 0.0001,
+    bytes: 8,
+    format: 'demand',
+  },
+  TARIFF_1_ACTIVE_EXPORT_MAX_DEMAND: {
+    id: 0x01020100,
+    name: 'Tariff 1 Active Export Max Demand',
+    unit: 'kW',
+    resolution: 0.0001,
+    bytes: 8,
+    format: 'demand',
+  },
+  TARIFF_2_ACTIVE_EXPORT_MAX_DEMAND: {
+    id: 0x01020200,
+    name: 'Tariff 2 Active Export Max Demand',
+    unit: 'kW',
+    resolution: 0.0001,
+    bytes: 8,
+    format: 'demand',
+  },
+  TARIFF_3_ACTIVE_EXPORT_MAX_DEMAND: {
+    id: 0x01020300,
+    name: 'Tariff 3 Active Export Max Demand',
+    unit: 'kW',
+    resolution: 0.0001,
+    bytes: 8,
+    format: 'demand',
+  },
+  TARIFF_4_ACTIVE_EXPORT_MAX_DEMAND: {
+    id: 0x01020400,
+    name: 'Tariff 4 Active Export Max Demand',
+    unit: 'kW',
+    resolution: 0.0001,
+    bytes: 8,
+    format: 'demand',
+  },
+
+  // Combined reactive 1 (import) max demand: total and T1-T4
+  REACTIVE_IMPORT_MAX_DEMAND: {
+    id: 0x01030000,
+    name: 'Reactive Import Max Demand',
+    unit: 'kvar',
+    resolution: 0.0001,
+    bytes: 8,
+    format: 'demand',
+  },
+  TARIFF_1_REACTIVE_IMPORT_MAX_DEMAND: {
+    id: 0x01030100,
+    name: 'Tariff 1 Reactive Import Max Demand',
+    unit: 'kvar',
+    resolution: 0.0001,
+    bytes: 8,
+    format: 'demand',
+  },
+  TARIFF_2_REACTIVE_IMPORT_MAX_DEMAND: {
+    id: 0x01030200,
+    name: 'Tariff 2 Reactive Import Max Demand',
+    unit: 'kvar',
+    resolution: 0.0001,
+    bytes: 8,
+    format: 'demand',
+  },
+  TARIFF_3_REACTIVE_IMPORT_MAX_DEMAND: {
+    id: 0x01030300,
+    name: 'Tariff 3 Reactive Import Max Demand',
+    unit: 'kvar',
+    resolution: 0.0001,
+    bytes: 8,
+    format: 'demand',
+  },
+  TARIFF_4_REACTIVE_IMPORT_MAX_DEMAND: {
+    id: 0x01030400,
+    name: 'Tariff 4 Reactive Import Max Demand',
+    unit: 'kvar',
+    resolution: 0.0001,
+    bytes: 8,
+    format: 'demand',
+  },
+
+  // Combined reactive 2 (export) max demand: total and T1-T4
+  REACTIVE_EXPORT_MAX_DEMAND: {
+    id: 0x01040000,
+    name: 'Reactive Export Max Demand',
+    unit: 'kvar',
+    resolution: 0.0001,
+    bytes: 8,
+    format: 'demand',
+  },
+  TARIFF_1_REACTIVE_EXPORT_MAX_DEMAND: {
+    id: 0x01040100,
+    name: 'Tariff 1 Reactive Export Max Demand',
+    unit: 'kvar',
+    resolution: 0.0001,
+    bytes: 8,
+    format: 'demand',
+  },
+  TARIFF_2_REACTIVE_EXPORT_MAX_DEMAND: {
+    id: 0x01040200,
+    name: 'Tariff 2 Reactive Export Max Demand',
+    unit: 'kvar',
+    resolution: 0.0001,
+    bytes: 8,
+    format: 'demand',
+  },
+  TARIFF_3_REACTIVE_EXPORT_MAX_DEMAND: {
+    id: 0x01040300,
+    name: 'Tariff 3 Reactive Export Max Demand',
+    unit: 'kvar',
+    resolution: 0.0001,
+    bytes: 8,
+    format: 'demand',
+  },
+  TARIFF_4_REACTIVE_EXPORT_MAX_DEMAND: {
+    id: 0x01040400,
+    name: 'Tariff 4 Reactive Export Max Demand',
+    unit: 'kvar',
+    resolution: 0.0001,
+    bytes: 8,
+    format: 'demand',
+  },
+};
+
 /**
  * Instantaneous Data Registers (DI3 = 0x02)
  * Real-time electrical parameters
@@ -300,13 +502,14 @@ export const PARAMETER_REGISTERS = {
     },
   },
 
-  // Meter Status Word
+  // Meter Status Words 1-7 (DI0 = 01..07; FF reads all seven as one block)
   METER_STATUS: {
-    id: 0x04000503,
+    id: 0x040005ff,
     name: 'Meter Status Word',
     unit: '',
-    bytes: 2,
-    description: 'Bit flags for various meter states',
+    bytes: 14,
+    format: 'status',
+    description: 'Status words 1-7, 2 bytes each, decoded with STATUS_WORDS',
   },
 
   // Communication Address
@@ -323,11 +526,105 @@ export const PARAMETER_REGISTERS = {
     id: 0x04000101,
     name: 'Meter Date/Time',
     unit: '',
-    bytes: 6,
-    description: 'YY MM DD WW HH MM SS format',
+    bytes: 4,
+    description: 'YY MM DD WW format (date and day of week)',
+  },
+
+  // Time of day
+  TIME: {
+    id: 0x04000102,
+    name: 'Meter Time',
+    unit: '',
+    bytes: 3,
+    description: 'hh mm ss format',
   },
 };
 
+/**
+ * Phase fault flags of status words 4-6 (phase A, B, C)
+ * @param {string} phase - Phase letter
+ * @returns {Object} Bit number to flag name
+ */
+const phaseFaultFlags = (phase) => ({
+  0: `voltageLoss${phase}`,
+  1: `undervoltage${phase}`,
+  2: `overvoltage${phase}`,
+  3: `currentLoss${phase}`,
+  4: `overcurrent${phase}`,
+  5: `overload${phase}`,
+  6: `powerReverse${phase}`,
+  7: `phaseBreak${phase}`,
+  8: `currentBreak${phase}`,
+});
+
+/**
+ * Meter status words 1-7, in METER_STATUS block order
+ * Each word is 2 binary bytes, low byte first. Bits not listed are reserved
+ * or part of multi-bit fields (tariff set, meter type) and are not decoded.
+ */
+export const STATUS_WORDS = [
+  {
+    word: 1,
+    name: 'Meter Running Status',
+    flags: {
+      2: 'clockBatteryLow',
+      3: 'readingBatteryLow',
+      4: 'activePowerReverse',
+      5: 'reactivePowerReverse',
+      8: 'controlCircuitError',
+      9: 'esamError',
+      12: 'internalProgramError',
+      13: 'memoryFault',
+      14: 'overdraft',
+      15: 'clockFault',
+    },
+  },
+  {
+    word: 2,
+    name: 'Phase Power Direction',
+    flags: {
+      0: 'activePowerReverseA',
+      1: 'activePowerReverseB',
+      2: 'activePowerReverseC',
+      4: 'reactivePowerReverseA',
+      5: 'reactivePowerReverseB',
+      6: 'reactivePowerReverseC',
+    },
+  },
+  {
+    word: 3,
+    name: 'Operation Status',
+    flags: {
+      1: 'auxiliaryPowerSupply',
+      2: 'batteryPowerSupply',
+      3: 'programmingEnabled',
+      4: 'relayOpen',
+      6: 'relayOpenCommanded',
+      7: 'preTripAlarm',
+    },
+  },
+  { word: 4, name: 'Phase A Faults', flags: phaseFaultFlags('A') },
+  { word: 5, name: 'Phase B Faults', flags: phaseFaultFlags('B') },
+  { word: 6, name: 'Phase C Faults', flags: phaseFaultFlags('C') },
+  {
+    word: 7,
+    name: 'Combined Phase Faults',
+    flags: {
+      0: 'voltageReverseSequence',
+      1: 'currentReverseSequence',
+      2: 'voltageImbalance',
+      3: 'currentImbalance',
+      4: 'auxiliaryPowerLoss',
+      5: 'powerDown',
+      6: 'demandOverLimit',
+      7: 'powerFactorLow',
+      8: 'currentSevereImbalance',
+      9: 'coverOpen',
+      10: 'terminalCoverOpen',
+    },
+  },
+];
+
 /**
  * Prepaid/Balance Registers (Custom extension, DI3 = 0x09 or vendor-specific)
  * Note: These may vary by manufacturer
@@ -358,14 +655,460 @@ export const PREPAID_REGISTERS = {
   },
 };
 
+/**
+ * Load Profile Registers (DI3 = 0x06)
+ * Values are record blocks rather than single BCD numbers (format: 'record')
+ */
+export const LOAD_PROFILE_REGISTERS = {
+  EARLIEST_BLOCK: {
+    id: 0x06000000,
+    name: 'Load Profile Earliest Block',
+    unit: '',
+    bytes: 0, // variable length
+    format: 'record',
+    description: 'Oldest stored load record block',
+  },
+  BLOCKS_FROM_TIME: {
+    id: 0x06000001,
+    name: 'Load Profile Blocks From Time',
+    unit: '',
+    bytes: 0, // variable length
+    format: 'record',
+    description: 'Request NN mmhhDDMMYY: NN blocks starting at the given time',
+  },
+  LATEST_BLOCKS: {
+    id: 0x06000002,
+    name: 'Load Profile Latest Blocks',
+    unit: '',
+    bytes: 0, // variable length
+    format: 'record',
+    description: 'Request NN: the NN most recent blocks',
+  },
+};
+
+/**
+ * Load profile record block framing bytes
+ *   A0 A0 LEN mmhhDDMMYY [section] AA [section] AA ... CS E5
+ */
+export const LOAD_PROFILE_MARKERS = {
+  START: 0xa0,
+  SEPARATOR: 0xaa,
+  END: 0xe5,
+};
+
+/**
+ * Maximum number of blocks per load profile request (NN is one BCD byte)
+ */
+export const MAX_LOAD_PROFILE_BLOCKS = 99;
+
+/**
+ * Load profile channel layout, one array per record section in block order.
+ * A section the meter does not record is sent as a bare separator.
+ */
+export const LOAD_PROFILE_CHANNELS = [
+  // Voltage, current, frequency
+  [
+    { key: 'voltageA', unit: 'V', bytes: 2, resolution: 0.1 },
+    { key: 'voltageB', unit: 'V', bytes: 2, resolution: 0.1 },
+    { key: 'voltageC', unit: 'V', bytes: 2, resolution: 0.1 },
+    { key: 'currentA', unit: 'A', bytes: 3, resolution: 0.001, signed: true },
+    { key: 'currentB', unit: 'A', bytes: 3, resolution: 0.001, signed: true },
+    { key: 'currentC', unit: 'A', bytes: 3, resolution: 0.001, signed: true },
+    { key: 'frequency', unit: 'Hz', bytes: 2, resolution: 0.01 },
+  ],
+  // Active and reactive power
+  [
+    { key: 'activePowerTotal', unit: 'kW', bytes: 3, resolution: 0.0001, signed: true },
+    { key: 'activePowerA', unit: 'kW', bytes: 3, resolution: 0.0001, signed: true },
+    { key: 'activePowerB', unit: 'kW', bytes: 3, resolution: 0.0001, signed: true },
+    { key: 'activePowerC', unit: 'kW', bytes: 3, resolution: 0.0001, signed: true },
+    { key: 'reactivePowerTotal', unit: 'kvar', bytes: 3, resolution: 0.0001, signed: true },
+    { key: 'reactivePowerA', unit: 'kvar', bytes: 3, resolution: 0.0001, signed: true },
+    { key: 'reactivePowerB', unit: 'kvar', bytes: 3, resolution: 0.0001, signed: true },
+    { key: 'reactivePowerC', unit: 'kvar', bytes: 3, resolution: 0.0001, signed: true },
+  ],
+  // Power factor
+  [
+    { key: 'powerFactorTotal', unit: '', bytes: 2, resolution: 0.001, signed: true },
+    { key: 'powerFactorA', unit: '', bytes: 2, resolution: 0.001, signed: true },
+    { key: 'powerFactorB', unit: '', bytes: 2, resolution: 0.001, signed: true },
+    { key: 'powerFactorC', unit: '', bytes: 2, resolution: 0.001, signed: true },
+  ],
+  // Active and combined reactive energy
+  [
+    { key: 'activeEnergyImport', unit: 'kWh', bytes: 4, resolution: 0.01 },
+    { key: 'activeEnergyExport', unit: 'kWh', bytes: 4, resolution: 0.01 },
+    { key: 'reactiveEnergyCombined1', unit: 'kvarh', bytes: 4, resolution: 0.01 },
+    { key: 'reactiveEnergyCombined2', unit: 'kvarh', bytes: 4, resolution: 0.01 },
+  ],
+  // Four-quadrant reactive energy
+  [
+    { key: 'reactiveEnergyQ1', unit: 'kvarh', bytes: 4, resolution: 0.01 },
+    { key: 'reactiveEnergyQ2', unit: 'kvarh', bytes: 4, resolution: 0.01 },
+    { key: 'reactiveEnergyQ3', unit: 'kvarh', bytes: 4, resolution: 0.01 },
+    { key: 'reactiveEnergyQ4', unit: 'kvarh', bytes: 4, resolution: 0.01 },
+  ],
+  // Current demand
+  [
+    { key: 'activeDemand', unit: 'kW', bytes: 3, resolution: 0.0001 },
+    { key: 'reactiveDemand', unit: 'kvar', bytes: 3, resolution: 0.0001 },
+  ],
+];
+
+/**
+ * Frozen Data Registers (DI3 = 0x05)
+ *   DI2: freeze type (00 timed, 01 instantaneous, 06 daily)
+ *   DI1: item (00 freeze time, 01 forward active block, 02 reverse active block)
+ *   DI0: Nth previous freeze (01 = most recent)
+ * Energy blocks are total + tariff values (4 bytes each), so they use format: 'record'.
+ */
+export const FROZEN_DATA_REGISTERS = {
+  TIMED_FREEZE_TIME: {
+    id: 0x05000001,
+    name: 'Timed Freeze Time',
+    unit: '',
+    bytes: 5,
+    format: 'record',
+    description: 'YYMMDDhhmm of the last timed freeze',
+  },
+  TIMED_FREEZE_ACTIVE_IMPORT: {
+    id: 0x05000101,
+    name: 'Timed Freeze Active Energy (Import)',
+    unit: 'kWh',
+    resolution: 0.01,
+    bytes: 0, // total + tariffs
+    format: 'record',
+  },
+  TIMED_FREEZE_ACTIVE_EXPORT: {
+    id: 0x05000201,
+    name: 'Timed Freeze Active Energy (Export)',
+    unit: 'kWh',
+    resolution: 0.01,
+    bytes: 0, // total + tariffs
+    format: 'record',
+  },
+  INSTANT_FREEZE_TIME: {
+    id: 0x05010001,
+    name: 'Instantaneous Freeze Time',
+    unit: '',
+    bytes: 5,
+    format: 'record',
+    description: 'YYMMDDhhmm of the last instantaneous freeze',
+  },
+  INSTANT_FREEZE_ACTIVE_IMPORT: {
+    id: 0x05010101,
+    name: 'Instantaneous Freeze Active Energy (Import)',
+    unit: 'kWh',
+    resolution: 0.01,
+    bytes: 0, // total + tariffs
+    format: 'record',
+  },
+  INSTANT_FREEZE_ACTIVE_EXPORT: {
+    id: 0x05010201,
+    name: 'Instantaneous Freeze Active Energy (Export)',
+    unit: 'kWh',
+    resolution: 0.01,
+    bytes: 0, // total + tariffs
+    format: 'record',
+  },
+  DAILY_FREEZE_TIME: {
+    id: 0x05060001,
+    name: 'Daily Freeze Time',
+    unit: '',
+    bytes: 5,
+    format: 'record',
+    description: 'YYMMDDhhmm of the last daily freeze',
+  },
+  DAILY_FREEZE_ACTIVE_IMPORT: {
+    id: 0x05060101,
+    name: 'Daily Freeze Active Energy (Import)',
+    unit: 'kWh',
+    resolution: 0.01,
+    bytes: 0, // total + tariffs
+    format: 'record',
+  },
+  DAILY_FREEZE_ACTIVE_EXPORT: {
+    id: 0x05060201,
+    name: 'Daily Freeze Active Energy (Export)',
+    unit: 'kWh',
+    resolution: 0.01,
+    bytes: 0, // total + tariffs
+    format: 'record',
+  },
+};
+
+/**
+ * Settlement (billing period) Registers
+ * The standard keeps monthly settlement data under DI3 = 0x00 with DI0 = Nth previous
+ * settlement; the freeze time follows from the settlement day parameter.
+ */
+export const SETTLEMENT_REGISTERS = {
+  SETTLEMENT_DAY: {
+    id: 0x04000b01,
+    name: 'Settlement Day',
+    unit: '',
+    bytes: 2,
+    format: 'record',
+    description: 'DDhh: day of month and hour of the first settlement',
+  },
+  SETTLEMENT_ACTIVE_IMPORT: {
+    id: 0x0001ff01,
+    name: 'Last Settlement Active Energy (Import)',
+    unit: 'kWh',
+    resolution: 0.01,
+    bytes: 0, // total + tariffs
+    format: 'record',
+  },
+  SETTLEMENT_ACTIVE_EXPORT: {
+    id: 0x0002ff01,
+    name: 'Last Settlement Active Energy (Export)',
+    unit: 'kWh',
+    resolution: 0.01,
+    bytes: 0, // total + tariffs
+    format: 'record',
+  },
+};
+
+/**
+ * Freeze snapshot kinds: the freeze time register and the energy blocks read with it.
+ * A null time means the freeze time is derived from the settlement day.
+ */
+export const FREEZE_KINDS = {
+  TIMED: {
+    key: 'timed',
+    time: FROZEN_DATA_REGISTERS.TIMED_FREEZE_TIME,
+    values: {
+      activeImport: FROZEN_DATA_REGISTERS.TIMED_FREEZE_ACTIVE_IMPORT,
+      activeExport: FROZEN_DATA_REGISTERS.TIMED_FREEZE_ACTIVE_EXPORT,
+    },
+  },
+  INSTANT: {
+    key: 'instant',
+    time: FROZEN_DATA_REGISTERS.INSTANT_FREEZE_TIME,
+    values: {
+      activeImport: FROZEN_DATA_REGISTERS.INSTANT_FREEZE_ACTIVE_IMPORT,
+      activeExport: FROZEN_DATA_REGISTERS.INSTANT_FREEZE_ACTIVE_EXPORT,
+    },
+  },
+  DAILY: {
+    key: 'daily',
+    time: FROZEN_DATA_REGISTERS.DAILY_FREEZE_TIME,
+    values: {
+      activeImport: FROZEN_DATA_REGISTERS.DAILY_FREEZE_ACTIVE_IMPORT,
+      activeExport: FROZEN_DATA_REGISTERS.DAILY_FREEZE_ACTIVE_EXPORT,
+    },
+  },
+  SETTLEMENT: {
+    key: 'settlement',
+    time: null,
+    values: {
+      activeImport: SETTLEMENT_REGISTERS.SETTLEMENT_ACTIVE_IMPORT,
+      activeExport: SETTLEMENT_REGISTERS.SETTLEMENT_ACTIVE_EXPORT,
+    },
+  },
+};
+
+/**
+ * Maximum stored records per event type (DI0 = 01..0A, 01 = most recent)
+ */
+export const MAX_EVENT_RECORDS = 10;
+
+/**
+ * Event Record Registers (DI3 = 0x03)
+ *   DI0 = 00: occurrence count (3-byte BCD, first field)
+ *   DI0 = 01..0A: Nth most recent record (series: registers matched for every DI0)
+ * Relay operation records live under DI3 = 0x1D (trip) and 0x1E (close) in DL/T645-2007.
+ */
+export const EVENT_RECORD_REGISTERS = {
+  POWER_DOWN_COUNT: {
+    id: 0x03110000,
+    name: 'Power Down Count',
+    unit: '',
+    bytes: 3,
+    format: 'record',
+  },
+  POWER_DOWN_RECORD: {
+    id: 0x03110001,
+    name: 'Power Down Record',
+    unit: '',
+    bytes: 12,
+    format: 'record',
+    series: MAX_EVENT_RECORDS,
+    description: 'Start ssmmhhDDMMYY, end ssmmhhDDMMYY',
+  },
+  VOLTAGE_LOSS_COUNT: {
+    id: 0x03050000,
+    name: 'Total Voltage Loss Count',
+    unit: '',
+    bytes: 6,
+    format: 'record',
+    description: 'Count (3 bytes) and cumulative duration in minutes (3 bytes)',
+  },
+  VOLTAGE_LOSS_RECORD: {
+    id: 0x03050001,
+    name: 'Total Voltage Loss Record',
+    unit: '',
+    bytes: 15,
+    format: 'record',
+    series: MAX_EVENT_RECORDS,
+    description: 'Start, current (XXX.XXX A), end',
+  },
+  PROGRAMMING_COUNT: {
+    id: 0x03300000,
+    name: 'Programming Count',
+    unit: '',
+    bytes: 3,
+    format: 'record',
+  },
+  PROGRAMMING_RECORD: {
+    id: 0x03300001,
+    name: 'Programming Record',
+    unit: '',
+    bytes: 50,
+    format: 'record',
+    series: MAX_EVENT_RECORDS,
+    description: 'Time, operator code, first 10 programmed data identifiers',
+  },
+  COVER_OPEN_COUNT: {
+    id: 0x03300d00,
+    name: 'Meter Cover Open Count',
+    unit: '',
+    bytes: 3,
+    format: 'record',
+  },
+  COVER_OPEN_RECORD: {
+    id: 0x03300d01,
+    name: 'Meter Cover Open Record',
+    unit: '',
+    bytes: 60,
+    format: 'record',
+    series: MAX_EVENT_RECORDS,
+    description: 'Start, end, energy snapshots before and after',
+  },
+  TERMINAL_COVER_OPEN_COUNT: {
+    id: 0x03300e00,
+    name: 'Terminal Cover Open Count',
+    unit: '',
+    bytes: 3,
+    format: 'record',
+  },
+  TERMINAL_COVER_OPEN_RECORD: {
+    id: 0x03300e01,
+    name: 'Terminal Cover Open Record',
+    unit: '',
+    bytes: 60,
+    format: 'record',
+    series: MAX_EVENT_RECORDS,
+    description: 'Start, end, energy snapshots before and after',
+  },
+  RELAY_TRIP_COUNT: {
+    id: 0x1d000000,
+    name: 'Relay Trip Count',
+    unit: '',
+    bytes: 3,
+    format: 'record',
+  },
+  RELAY_TRIP_RECORD: {
+    id: 0x1d000001,
+    name: 'Relay Trip Record',
+    unit: '',
+    bytes: 34,
+    format: 'record',
+    series: MAX_EVENT_RECORDS,
+    description: 'Time, operator code, energy snapshot',
+  },
+  RELAY_CLOSE_COUNT: {
+    id: 0x1e000000,
+    name: 'Relay Close Count',
+    unit: '',
+    bytes: 3,
+    format: 'record',
+  },
+  RELAY_CLOSE_RECORD: {
+    id: 0x1e000001,
+    name: 'Relay Close Record',
+    unit: '',
+    bytes: 34,
+    format: 'record',
+    series: MAX_EVENT_RECORDS,
+    description: 'Time, operator code, energy snapshot',
+  },
+};
+
+/**
+ * Event record fields, in record order. Bytes after the last field
+ * (energy snapshots, programmed DIs) are not decoded.
+ *   type 'datetime': ssmmhhDDMMYY, all zeros when not set (e.g., event still active)
+ *   type 'hex': raw bytes as a hex string
+ *   otherwise: unsigned BCD scaled by resolution
+ */
+const EVENT_START = { key: 'start', bytes: 6, type: 'datetime' };
+const EVENT_END = { key: 'end', bytes: 6, type: 'datetime' };
+const EVENT_OPERATOR = { key: 'operator', bytes: 4, type: 'hex' };
+
+/**
+ * Event record types collected by the gateway
+ */
+export const EVENT_RECORD_TYPES = {
+  POWER_DOWN: {
+    key: 'power_down',
+    count: EVENT_RECORD_REGISTERS.POWER_DOWN_COUNT,
+    record: EVENT_RECORD_REGISTERS.POWER_DOWN_RECORD,
+    fields: [EVENT_START, EVENT_END],
+  },
+  VOLTAGE_LOSS: {
+    key: 'voltage_loss',
+    count: EVENT_RECORD_REGISTERS.VOLTAGE_LOSS_COUNT,
+    record: EVENT_RECORD_REGISTERS.VOLTAGE_LOSS_RECORD,
+    fields: [EVENT_START, { key: 'current', bytes: 3, resolution: 0.001, unit: 'A' }, EVENT_END],
+  },
+  PROGRAMMING: {
+    key: 'programming',
+    count: EVENT_RECORD_REGISTERS.PROGRAMMING_COUNT,
+    record: EVENT_RECORD_REGISTERS.PROGRAMMING_RECORD,
+    fields: [EVENT_START, EVENT_OPERATOR],
+  },
+  COVER_OPEN: {
+    key: 'cover_open',
+    count: EVENT_RECORD_REGISTERS.COVER_OPEN_COUNT,
+    record: EVENT_RECORD_REGISTERS.COVER_OPEN_RECORD,
+    fields: [EVENT_START, EVENT_END],
+    tamper: true,
+  },
+  TERMINAL_COVER_OPEN: {
+    key: 'terminal_cover_open',
+    count: EVENT_RECORD_REGISTERS.TERMINAL_COVER_OPEN_COUNT,
+    record: EVENT_RECORD_REGISTERS.TERMINAL_COVER_OPEN_RECORD,
+    fields: [EVENT_START, EVENT_END],
+    tamper: true,
+  },
+  RELAY_TRIP: {
+    key: 'relay_trip',
+    count: EVENT_RECORD_REGISTERS.RELAY_TRIP_COUNT,
+    record: EVENT_RECORD_REGISTERS.RELAY_TRIP_RECORD,
+    fields: [EVENT_START, EVENT_OPERATOR],
+  },
+  RELAY_CLOSE: {
+    key: 'relay_close',
+    count: EVENT_RECORD_REGISTERS.RELAY_CLOSE_COUNT,
+    record: EVENT_RECORD_REGISTERS.RELAY_CLOSE_RECORD,
+    fields: [EVENT_START, EVENT_OPERATOR],
+  },
+};
+
 /**
  * All registers combined for lookup
  */
 export const ALL_REGISTERS = {
   ...ENERGY_REGISTERS,
   ...INSTANTANEOUS_REGISTERS,
+  ...MAX_DEMAND_REGISTERS,
   ...PARAMETER_REGISTERS,
   ...PREPAID_REGISTERS,
+  ...LOAD_PROFILE_REGISTERS,
+  ...FROZEN_DATA_REGISTERS,
+  ...SETTLEMENT_REGISTERS,
+  ...EVENT_RECORD_REGISTERS,
 };
 
 /**
@@ -410,9 +1153,35 @@ export const findRegisterById = (dataId) => {
       return { key, ...register };
     }
   }
+
+  // Nth record of a series (DI0 = 01..series)
+  const di0 = dataId & 0xff;
+  for (const [key, register] of Object.entries(ALL_REGISTERS)) {
+    if (
+      register.series &&
+      (register.id & 0xffffff00) === (dataId & 0xffffff00) &&
+      di0 >= 1 &&
+      di0 <= register.series
+    ) {
+      return { key, ...register, id: dataId };
+    }
+  }
   return null;
 };
 
+/**
+ * Data Identifier of the Nth most recent record of a record series
+ * @param {Object} register - Series register (DI0 = 01)
+ * @param {number} n - Record number (1 = most recent)
+ * @returns {number} Data Identifier
+ */
+export const getSeriesDataId = (register, n) => {
+  if (!register.series || n < 1 || n > register.series) {
+    throw new Error(`Record number out of range: ${n}`);
+  }
+  return ((register.id & 0xffffff00) | n) >>> 0;
+};
+
 /**
  * Find register definition by name
  * @param {string} name - Register name (case-insensitive partial match)
@@ -462,6 +1231,19 @@ export const isErrorResponse = (controlCode) => {
   return (controlCode & 0xc0) === 0xc0;
 };
 
+/**
+ * Check if a response announces follow-up frames (D5 bit set)
+ * @param {number} controlCode - Control code byte
+ * @returns {boolean} True if more data follows in subsequent frames
+ */
+export const hasFollowUpFrames = (controlCode) => {
+  return (
+    isResponseCode(controlCode) &&
+    !isErrorResponse(controlCode) &&
+    (controlCode & FOLLOW_UP_FLAG) !== 0
+  );
+};
+
 /**
  * Get request code from response code
  * @param {number} responseCode - Response control code
@@ -471,7 +1253,7 @@ export const getRequestCode = (responseCode) => {
   if (isErrorResponse(responseCode)) {
     return responseCode & 0x3f; // Remove 0xC0
   }
-  return responseCode & 0x7f; // Remove 0x80
+  return responseCode & 0x7f & ~FOLLOW_UP_FLAG; // Remove 0x80 and follow-up bit
 };
 
 /**
@@ -508,6 +1290,21 @@ export const parseErrorCode = (errorByte) => {
   return errors.length > 0 ? errors.join(', ') : `Unknown error: 0x${errorByte.toString(16)}`;
 };
 
+/**
+ * Get machine-readable names for an error code byte
+ * @param {number} errorByte - Error code from error response
+ * @returns {string[]} Error names (e.g., ['PASSWORD_ERROR']), or ['UNKNOWN_ERROR']
+ */
+export const getErrorCodeNames = (errorByte) => {
+  const names = [];
+  for (const [code, name] of Object.entries(ERROR_CODE_NAMES)) {
+    if (errorByte & parseInt(code)) {
+      names.push(name);
+    }
+  }
+  return names.length > 0 ? names : ['UNKNOWN_ERROR'];
+};
+
 /**
  * Format Data Identifier for display
  * @param {number} dataId - 4-byte Data Identifier
@@ -549,12 +1346,27 @@ export const fromEngineeringUnits = (value, register) => {
 
 export default {
   CONTROL_CODES,
+  FOLLOW_UP_FLAG,
+  MAX_FOLLOW_SEQUENCE,
   ERROR_CODES,
+  ERROR_CODE_NAMES,
   REGISTER_CATEGORIES,
   ENERGY_REGISTERS,
+  MAX_DEMAND_REGISTERS,
   INSTANTANEOUS_REGISTERS,
   PARAMETER_REGISTERS,
+  STATUS_WORDS,
   PREPAID_REGISTERS,
+  LOAD_PROFILE_REGISTERS,
+  LOAD_PROFILE_MARKERS,
+  MAX_LOAD_PROFILE_BLOCKS,
+  LOAD_PROFILE_CHANNELS,
+  FROZEN_DATA_REGISTERS,
+  SETTLEMENT_REGISTERS,
+  FREEZE_KINDS,
+  MAX_EVENT_RECORDS,
+  EVENT_RECORD_REGISTERS,
+  EVENT_RECORD_TYPES,
   ALL_REGISTERS,
   TELEMETRY_REGISTERS,
   RELAY_COMMANDS,
@@ -563,12 +1375,15 @@ export default {
   findRegisterById,
   findRegisterByName,
   getRegistersByCategory,
+  getSeriesDataId,
   isResponseCode,
   isErrorResponse,
+  hasFollowUpFrames,
   getRequestCode,
   getResponseCode,
   getErrorResponseCode,
   parseErrorCode,
+  getErrorCodeNames,
   formatDataId,
   toEngineeringUnits,
   fromEngineeringUnits,
@@ -0,0 +1,84 @@
+/**
+ * Billing Snapshot Store
+ *
+ * Keeps the freeze time of the last billing snapshot published per meter
+ * and freeze kind, so a freeze is published once even across gateway
+ * restarts. Kept in a JSON file when one is configured.
+ *
+ * @module services/billing-snapshots
+ */
+
+import { JsonFileStore } from './json-file-store.js';
+import config from '../config/index.js';
+
+/**
+ * Last published freeze time per meter and freeze kind
+ */
+export class BillingSnapshotStore extends JsonFileStore {
+  /**
+   * @param {Object} [options] - Store options
+   * @param {string} [options.file] - JSON file to persist the freeze times in ('' = memory only)
+   */
+  constructor(options = {}) {
+    super(options.file ?? config.billing?.snapshotFile ?? '', 'billing snapshot times');
+
+    /** @type {Map<string, Object>} Meter ID -> { [kind]: freeze time (ms) } */
+    this.published = new Map();
+  }
+
+  /**
+   * Whether a freeze was already published
+   * @param {string} meterId - Meter address
+   * @param {string} kind - Freeze kind key
+   * @param {Date} freezeTime - Freeze time of the snapshot
+   * @returns {boolean}
+   */
+  isPublished(meterId, kind, freezeTime) {
+    return this.published.get(meterId)?.[kind] === freezeTime.getTime();
+  }
+
+  /**
+   * Record a published freeze and persist it
+   * @param {string} meterId - Meter address
+   * @param {string} kind - Freeze kind key
+   * @param {Date} freezeTime - Freeze time of the snapshot
+   * @returns {Promise<void>} Resolves once written
+   */
+  markPublished(meterId, kind, freezeTime) {
+    this.published.set(meterId, {
+      ...this.published.get(meterId),
+      [kind]: freezeTime.getTime(),
+    });
+    return this.save();
+  }
+
+  /**
+   * Restore the freeze times from their file
+   * @param {Object} stored - { [meterId]: { [kind]: freeze time (ms) } }
+   */
+  restore(stored) {
+    this.published = new Map(Object.entries(stored));
+  }
+
+  /**
+   * Build the freeze time file contents
+   * @returns {Object} { [meterId]: { [kind]: freeze time (ms) } }
+   */
+  serialize() {
+    return Object.fromEntries(this.published);
+  }
+}
+
+/**
+ * Create a billing snapshot store
+ * @param {Object} [options] - Options
+ * @returns {BillingSnapshotStore}
+ */
+export const createBillingSnapshotStore = (options) => {
+  return new BillingSnapshotStore(options);
+};
+
+export default {
+  BillingSnapshotStore,
+  createBillingSnapshotStore,
+};
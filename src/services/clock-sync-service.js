@@ -0,0 +1,686 @@
+/**
+ * Clock Sync Service
+ *
+ * Reads meter clocks, tracks drift against gateway time and resynchronises
+ * meters whose clocks have drifted past a configurable threshold.
+ *
+ * Features:
+ * - Clock check on meter connect and on a fixed schedule
+ * - Drift published as telemetry (register CLOCK_DRIFT, seconds)
+ * - DLT645 resync via broadcast time (0x08) or addressed DATE_TIME/TIME write
+ * - DLMS resync via SET of the Clock object (class 8, attribute 2)
+ * - clock_drift alarm raised/cleared through StatusManager
+ *
+ * Drift is meter time minus gateway time: positive means the meter is fast.
+ * DLMS clocks are read in UTC through their deviation; a reading whose
+ * clock_status says invalid is reported without drift and not synced.
+ *
+ * @module services/clock-sync-service
+ */
+
+import { EventEmitter } from 'events';
+import { createChildLogger } from '../utils/logger.js';
+import { SERVER_EVENTS } from '../tcp/server.js';
+import { CONNECTION_EVENTS } from '../tcp/connection-manager.js';
+import {
+  buildReadFrame,
+  buildWriteFrame,
+  buildBroadcastTimeFrame,
+  encodeMeterDate,
+  encodeMeterTime,
+} from '../protocol/frame-builder.js';
+import { decodeMeterDateTime } from '../protocol/frame-parser.js';
+import { PARAMETER_REGISTERS } from '../protocol/registers.js';
+import {
+  DLT645_VARIANTS,
+  PARAMETER_REGISTERS as PARAMETER_REGISTERS_1997,
+} from '../protocol/dlt645-1997/registers.js';
+import { buildReadFrame1997, buildWriteFrame1997 } from '../protocol/dlt645-1997/frame-builder.js';
+import { isDlmsProtocol } from '../protocol/protocol-router.js';
+import { buildGetRequest, buildSetRequest, buildReleaseRequest } from '../protocol/dlms/client.js';
+import { openDlmsAssociation } from './dlms-association.js';
+import { DLMS_DATA_TYPES, parseCosemDateTime } from '../protocol/dlms/data-types.js';
+import { ALARM_TYPES, ALARM_SEVERITY } from './status-manager.js';
+import config from '../config/index.js';
+
+const logger = createChildLogger({ module: 'clock-sync' });
+
+/**
+ * Clock sync events
+ */
+export const CLOCK_EVENTS = {
+  CLOCK_READ: 'clock:read',
+  CLOCK_DRIFT_DETECTED: 'clock:drift',
+  CLOCK_SYNCED: 'clock:synced',
+  CLOCK_ERROR: 'clock:error',
+};
+
+/**
+ * DLT645 resync methods
+ */
+export const SYNC_METHODS = {
+  BROADCAST: 'broadcast',
+  ADDRESSED: 'addressed',
+};
+
+/**
+ * DLMS Clock object (IEC 62056-6-2)
+ */
+export const DLMS_CLOCK = {
+  classId: 8,
+  obisCode: '0-0:1.0.0.255',
+  timeAttribute: 2,
+};
+
+/**
+ * COSEM clock_status bits (0xFF = not specified)
+ */
+export const DLMS_CLOCK_STATUS = {
+  INVALID_VALUE: 0x01,
+  DOUBTFUL_VALUE: 0x02,
+  DIFFERENT_CLOCK_BASE: 0x04,
+  INVALID_CLOCK_STATUS: 0x08,
+  DAYLIGHT_SAVING_ACTIVE: 0x80,
+  NOT_SPECIFIED: 0xff,
+};
+
+/**
+ * Time a COSEM date-time stands for
+ *
+ * The deviation is the offset of local time to UTC in minutes, with
+ * UTC = local time + deviation (Blue Book: CET is -60). Without one the
+ * fields are taken as gateway local time.
+ * @private
+ * @param {Object} dt - Parsed date-time from parseCosemDateTime()
+ * @returns {Date} Meter time
+ */
+const cosemDateTimeToDate = (dt) => {
+  const fields = [dt.year, dt.month - 1, dt.day, dt.hour ?? 0, dt.minute ?? 0, dt.second ?? 0];
+  if (dt.deviation === null || dt.deviation === undefined) {
+    return new Date(...fields);
+  }
+  return new Date(Date.UTC(...fields) + dt.deviation * 60000);
+};
+
+/**
+ * Whether a COSEM clock_status marks the time as invalid
+ * @private
+ * @param {number} [clockStatus] - clock_status byte
+ * @returns {boolean}
+ */
+const isClockStatusInvalid = (clockStatus) =>
+  clockStatus !== undefined &&
+  clockStatus !== DLMS_CLOCK_STATUS.NOT_SPECIFIED &&
+  (clockStatus & (DLMS_CLOCK_STATUS.INVALID_VALUE | DLMS_CLOCK_STATUS.INVALID_CLOCK_STATUS)) !== 0;
+
+/**
+ * Clock Sync Service class
+ */
+export class ClockSyncService extends EventEmitter {
+  /**
+   * @param {Object} options - Service options
+   * @param {Object} options.tcpServer - TCP server instance
+   * @param {Object} [options.publisher] - Telemetry publisher for drift telemetry
+   * @param {Object} [options.statusManager] - Status manager for clock_drift alarms
+   * @param {Object} [options.pollingManager] - Polling manager for DLMS lock coordination
+   * @param {number} [options.interval=3600000] - Scheduled check interval in ms
+   * @param {number} [options.driftThreshold=60] - Drift (seconds) that triggers alarm and resync
+   * @param {boolean} [options.autoSync=true] - Resync automatically when threshold is exceeded
+   * @param {string} [options.syncMethod='broadcast'] - DLT645 resync method
+   * @param {boolean} [options.checkOnConnect=true] - Check clock when a meter connects
+   * @param {number} [options.connectDelay=5000] - Delay after connect before checking (ms)
+   * @param {number} [options.timeout=10000] - Command timeout in ms
+   * @param {boolean} [options.enabled=true] - Enable the service
+   */
+  constructor(options = {}) {
+    super();
+
+    if (!options.tcpServer) {
+      throw new Error('TCP server instance required');
+    }
+
+    this.tcpServer = options.tcpServer;
+    this.publisher = options.publisher || null;
+    this.statusManager = options.statusManager || null;
+    this.pollingManager = options.pollingManager || null;
+    this.options = {
+      interval: options.interval ?? config.clock?.interval ?? 3600000,
+      driftThreshold: options.driftThreshold ?? config.clock?.driftThreshold ?? 60,
+      autoSync: options.autoSync ?? config.clock?.autoSync ?? true,
+      syncMethod: options.syncMethod ?? config.clock?.syncMethod ?? SYNC_METHODS.BROADCAST,
+      checkOnConnect: options.checkOnConnect ?? config.clock?.checkOnConnect ?? true,
+      connectDelay: options.connectDelay ?? config.clock?.connectDelay ?? 5000,
+      timeout: options.timeout ?? config.polling?.timeout ?? 10000,
+      enabled: options.enabled ?? config.clock?.enabled ?? true,
+    };
+
+    /** @type {boolean} */
+    this.isRunning = false;
+
+    /** @type {NodeJS.Timeout|null} */
+    this.checkTimer = null;
+
+    /** @type {Set<NodeJS.Timeout>} Pending on-connect checks */
+    this.connectTimers = new Set();
+
+    /** @type {Function|null} */
+    this.onMeterConnected = null;
+
+    /** @type {Map<string, Object>} Last clock check per meter */
+    this.meterClocks = new Map();
+
+    /** @type {Object} Statistics */
+    this.stats = {
+      checks: 0,
+      failedChecks: 0,
+      syncs: 0,
+      failedSyncs: 0,
+    };
+
+    logger.info('ClockSyncService created', { options: this.options });
+  }
+
+  /**
+   * Start the service
+   */
+  start() {
+    if (this.isRunning) {
+      logger.warn('ClockSyncService already running');
+      return;
+    }
+
+    if (!this.options.enabled) {
+      logger.info('Clock sync disabled by configuration');
+      return;
+    }
+
+    this.isRunning = true;
+
+    if (this.options.checkOnConnect) {
+      this.onMeterConnected = ({ meterId }) => {
+        const timer = setTimeout(() => {
+          this.connectTimers.delete(timer);
+          this.checkMeter(meterId).catch(() => {});
+        }, this.options.connectDelay);
+        this.connectTimers.add(timer);
+      };
+      this.tcpServer.on(SERVER_EVENTS.METER_CONNECTED, this.onMeterConnected);
+    }
+
+    this.scheduleCheck();
+
+    logger.info('ClockSyncService started', {
+      interval: this.options.interval,
+      driftThreshold: this.options.driftThreshold,
+      syncMethod: this.options.syncMethod,
+    });
+  }
+
+  /**
+   * Stop the service
+   */
+  stop() {
+    if (!this.isRunning) {
+      return;
+    }
+
+    this.isRunning = false;
+
+    if (this.checkTimer) {
+      clearTimeout(this.checkTimer);
+      this.checkTimer = null;
+    }
+
+    for (const timer of this.connectTimers) {
+      clearTimeout(timer);
+    }
+    this.connectTimers.clear();
+
+    if (this.onMeterConnected) {
+      this.tcpServer.removeListener(SERVER_EVENTS.METER_CONNECTED, this.onMeterConnected);
+      this.onMeterConnected = null;
+    }
+
+    logger.info('ClockSyncService stopped');
+  }
+
+  /**
+   * Schedule next clock check cycle
+   * @private
+   */
+  scheduleCheck() {
+    if (!this.isRunning) {
+      return;
+    }
+
+    this.checkTimer = setTimeout(async () => {
+      await this.checkAllMeters();
+      this.scheduleCheck();
+    }, this.options.interval);
+  }
+
+  /**
+   * Check clocks of all connected meters
+   * @returns {Promise<Object[]>} Per-meter check results
+   */
+  async checkAllMeters() {
+    const results = [];
+    for (const meterId of this.tcpServer.getConnectedMeters()) {
+      try {
+        results.push(await this.checkMeter(meterId));
+      } catch (error) {
+        results.push({ meterId, success: false, error: error.message });
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Read a meter clock, publish drift and resync if needed
+   *
+   * @param {string} meterId - Meter address
+   * @returns {Promise<Object>} Check result { meterId, success, meterTime, drift, synced }
+   * @throws {Error} If the clock cannot be read
+   */
+  async checkMeter(meterId) {
+    this.stats.checks++;
+
+    let reading;
+    try {
+      reading = await this.readMeterClock(meterId);
+    } catch (error) {
+      this.stats.failedChecks++;
+      logger.warn('Meter clock read failed', { meterId, error: error.message });
+      this.emit(CLOCK_EVENTS.CLOCK_ERROR, { meterId, operation: 'read', error: error.message });
+      throw error;
+    }
+
+    if (reading.skipped) {
+      return { meterId, success: true, skipped: reading.skipped };
+    }
+
+    // The meter says its own time is not to be trusted: no drift to report
+    if (reading.clockInvalid) {
+      logger.warn('Meter clock status is invalid, drift not computed', {
+        meterId,
+        clockStatus: reading.clockStatus,
+      });
+      return {
+        meterId,
+        success: true,
+        skipped: 'clock_invalid',
+        meterTime: reading.meterTime.toISOString(),
+        clockStatus: reading.clockStatus,
+      };
+    }
+
+    const drift = Math.round((reading.meterTime.getTime() - reading.gatewayTime) / 1000);
+    const exceeded = Math.abs(drift) > this.options.driftThreshold;
+
+    const check = {
+      meterId,
+      success: true,
+      meterTime: reading.meterTime.toISOString(),
+      drift,
+      exceeded,
+      checkedAt: reading.gatewayTime,
+      synced: false,
+    };
+    this.meterClocks.set(meterId, { ...check, lastSync: this.meterClocks.get(meterId)?.lastSync });
+
+    logger.debug('Meter clock read', { meterId, meterTime: check.meterTime, drift });
+    this.emit(CLOCK_EVENTS.CLOCK_READ, check);
+
+    if (this.publisher) {
+      await this.publisher.publishTelemetry(meterId, {
+        source: reading.source,
+        register: { key: 'CLOCK_DRIFT', name: 'Clock Drift' },
+        dataIdFormatted: 'CLOCK_DRIFT',
+        value: drift,
+        unit: 's',
+        timestamp: reading.gatewayTime,
+      });
+    }
+
+    if (!exceeded) {
+      this.statusManager?.clearAlarm(meterId, ALARM_TYPES.CLOCK_DRIFT);
+      return check;
+    }
+
+    logger.warn('Meter clock drift exceeds threshold', {
+      meterId,
+      drift,
+      threshold: this.options.driftThreshold,
+    });
+    this.emit(CLOCK_EVENTS.CLOCK_DRIFT_DETECTED, check);
+
+    this.statusManager?.createAlarm(meterId, ALARM_TYPES.CLOCK_DRIFT, ALARM_SEVERITY.WARNING, {
+      value: drift,
+      threshold: this.options.driftThreshold,
+      meterTime: check.meterTime,
+    });
+
+    if (this.options.autoSync) {
+      try {
+        await this.syncMeter(meterId);
+        check.synced = true;
+      } catch {
+        // Reported by syncMeter; the alarm stays active until the next check
+      }
+    }
+
+    return check;
+  }
+
+  /**
+   * Read the meter clock
+   *
+   * @param {string} meterId - Meter address
+   * @returns {Promise<Object>} { meterTime: Date, gatewayTime: number, source } or { skipped };
+   *   DLMS readings add clockStatus and clockInvalid
+   */
+  async readMeterClock(meterId) {
+    if (this.isDlmsMeter(meterId)) {
+      if (config.dlms?.passiveOnly !== false) {
+        logger.debug('Skipping clock read for DLMS meter (passive mode)', { meterId });
+        return { skipped: 'dlms_passive' };
+      }
+      return this.readDlmsClock(meterId);
+    }
+
+    // Date and time values have the same layout in both DLT645 generations
+    const is1997 = this.isDlt645v1997Meter(meterId);
+    const { DATE_TIME, TIME } = is1997 ? PARAMETER_REGISTERS_1997 : PARAMETER_REGISTERS;
+    const buildRead = is1997 ? buildReadFrame1997 : buildReadFrame;
+
+    const dateResponse = await this.tcpServer.sendCommand(
+      meterId,
+      buildRead(meterId, DATE_TIME.id),
+      DATE_TIME.id,
+      this.options.timeout
+    );
+    const timeResponse = await this.tcpServer.sendCommand(
+      meterId,
+      buildRead(meterId, TIME.id),
+      TIME.id,
+      this.options.timeout
+    );
+    const gatewayTime = Date.now();
+
+    return {
+      meterTime: decodeMeterDateTime(dateResponse.data, timeResponse.data),
+      gatewayTime,
+      source: 'dlt645',
+    };
+  }
+
+  /**
+   * Set the meter clock to gateway time
+   *
+   * @param {string} meterId - Meter address
+   * @param {string} [method] - DLT645 method override ('broadcast' or 'addressed')
+   * @returns {Promise<Object>} Sync result { meterId, method, time }
+   * @throws {Error} If the sync fails
+   */
+  async syncMeter(meterId, method = this.options.syncMethod) {
+    const dlms = this.isDlmsMeter(meterId);
+    const syncMethod = dlms ? 'dlms' : method;
+    const time = new Date();
+
+    try {
+      if (dlms) {
+        await this.setDlmsClock(meterId, time);
+      } else if (syncMethod === SYNC_METHODS.ADDRESSED) {
+        await this.writeMeterClock(meterId, time);
+      } else if (syncMethod === SYNC_METHODS.BROADCAST) {
+        const sent = await this.tcpServer.sendCommandNoWait(meterId, buildBroadcastTimeFrame(time));
+        if (!sent) {
+          throw new Error('Broadcast time send failed');
+        }
+      } else {
+        throw new Error(`Unknown clock sync method: ${syncMethod}`);
+      }
+    } catch (error) {
+      this.stats.failedSyncs++;
+      logger.warn('Meter clock sync failed', { meterId, method: syncMethod, error: error.message });
+      this.emit(CLOCK_EVENTS.CLOCK_ERROR, { meterId, operation: 'sync', error: error.message });
+      throw error;
+    }
+
+    this.stats.syncs++;
+    const result = { meterId, method: syncMethod, time: time.toISOString() };
+
+    const last = this.meterClocks.get(meterId) || { meterId };
+    this.meterClocks.set(meterId, { ...last, lastSync: result });
+
+    logger.info('Meter clock synchronised', result);
+    this.emit(CLOCK_EVENTS.CLOCK_SYNCED, result);
+
+    return result;
+  }
+
+  /**
+   * Write DATE_TIME and TIME registers (addressed DLT645 time set)
+   * @private
+   * @param {string} meterId - Meter address
+   * @param {Date} time - Time to set
+   */
+  async writeMeterClock(meterId, time) {
+    const is1997 = this.isDlt645v1997Meter(meterId);
+    const { DATE_TIME, TIME } = is1997 ? PARAMETER_REGISTERS_1997 : PARAMETER_REGISTERS;
+    const operatorCode = config.security?.operatorCode ?? '00000000';
+    const password = config.security?.password ?? '00000000';
+
+    // 1997 writes carry no operator code
+    const buildWrite = (dataId, value) =>
+      is1997
+        ? buildWriteFrame1997(meterId, dataId, value, password)
+        : buildWriteFrame(meterId, dataId, value, operatorCode, password);
+
+    await this.tcpServer.sendCommand(
+      meterId,
+      buildWrite(DATE_TIME.id, encodeMeterDate(time)),
+      DATE_TIME.id,
+      this.options.timeout
+    );
+    await this.tcpServer.sendCommand(
+      meterId,
+      buildWrite(TIME.id, encodeMeterTime(time)),
+      TIME.id,
+      this.options.timeout
+    );
+  }
+
+  /**
+   * Read the DLMS Clock object time attribute via AARQ → GET → RLRQ
+   * @private
+   * @param {string} meterId - Meter address
+   * @returns {Promise<Object>} { meterTime, gatewayTime, source, clockStatus, clockInvalid }
+   */
+  async readDlmsClock(meterId) {
+    return this.withDlmsAssociation(meterId, async () => {
+      const getReq = buildGetRequest(DLMS_CLOCK.classId, DLMS_CLOCK.obisCode, DLMS_CLOCK.timeAttribute);
+      await this.tcpServer.sendDlmsApdu(meterId, getReq);
+
+      const getResp = await this.waitForDlmsResponse(meterId, 'get-response');
+      const gatewayTime = Date.now();
+      if (!getResp || getResp.accessResult !== 'success') {
+        throw new Error(`DLMS clock GET failed: ${getResp?.data?.errorName || 'timeout'}`);
+      }
+
+      // Clock time is an octet-string holding a 12-byte COSEM date-time
+      const raw = getResp.data?.value;
+      const dt = Buffer.isBuffer(raw) && raw.length >= 12 ? parseCosemDateTime(raw) : raw;
+      if (!dt || dt.year == null || dt.month == null || dt.day == null) {
+        throw new Error('DLMS clock value not a valid date-time');
+      }
+
+      return {
+        meterTime: cosemDateTimeToDate(dt),
+        gatewayTime,
+        source: 'dlms',
+        clockStatus: dt.clockStatus ?? null,
+        clockInvalid: isClockStatusInvalid(dt.clockStatus),
+      };
+    });
+  }
+
+  /**
+   * Set the DLMS Clock object time attribute via AARQ → SET → RLRQ
+   * @private
+   * @param {string} meterId - Meter address
+   * @param {Date} time - Time to set
+   */
+  async setDlmsClock(meterId, time) {
+    return this.withDlmsAssociation(meterId, async () => {
+      // Clock time is an octet-string holding the 12-byte COSEM date-time
+      const setReq = buildSetRequest(
+        DLMS_CLOCK.classId,
+        DLMS_CLOCK.obisCode,
+        DLMS_CLOCK.timeAttribute,
+        { type: DLMS_DATA_TYPES.OCTET_STRING, value: time }
+      );
+      await this.tcpServer.sendDlmsApdu(meterId, setReq);
+
+      const setResp = await this.waitForDlmsResponse(meterId, 'set-response');
+      if (!setResp || !setResp.success) {
+        throw new Error(`DLMS clock SET failed: ${setResp?.accessResultName || 'timeout'}`);
+      }
+    });
+  }
+
+  /**
+   * Run a DLMS exchange inside an association (lock → AARQ → fn → RLRQ)
+   * @private
+   * @param {string} meterId - Meter address
+   * @param {Function} fn - async () => result
+   * @returns {Promise<*>} Result of fn
+   */
+  async withDlmsAssociation(meterId, fn) {
+    let release = null;
+    try {
+      if (this.pollingManager) {
+        release = await this.pollingManager.acquireDlmsLock(meterId, 15000);
+      }
+
+      await openDlmsAssociation(this.tcpServer, meterId, {
+        waitForResponse: (type) => this.waitForDlmsResponse(meterId, type),
+      });
+
+      try {
+        return await fn();
+      } finally {
+        await this.tcpServer.sendDlmsApdu(meterId, buildReleaseRequest());
+      }
+    } finally {
+      if (release) release();
+    }
+  }
+
+  /**
+   * Wait for a specific DLMS APDU type from a meter
+   * @private
+   * @param {string} meterId - Meter address
+   * @param {string} expectedType - Parsed APDU type (e.g. 'aare', 'get-response')
+   * @param {number} [timeout] - Timeout in ms (default: DLMS query timeout)
+   * @returns {Promise<Object|null>} Parsed APDU or null on timeout
+   */
+  waitForDlmsResponse(meterId, expectedType, timeout = config.dlms?.queryTimeout ?? 5000) {
+    return new Promise((resolve) => {
+      const connectionManager = this.tcpServer.connectionManager;
+      if (!connectionManager) {
+        resolve(null);
+        return;
+      }
+
+      const listener = (data) => {
+        if (data.meterId === meterId && data.parsedApdu?.type === expectedType) {
+          clearTimeout(timer);
+          connectionManager.removeListener(CONNECTION_EVENTS.DLMS_RECEIVED, listener);
+          resolve(data.parsedApdu);
+        }
+      };
+
+      const timer = setTimeout(() => {
+        connectionManager.removeListener(CONNECTION_EVENTS.DLMS_RECEIVED, listener);
+        resolve(null);
+      }, timeout);
+
+      connectionManager.on(CONNECTION_EVENTS.DLMS_RECEIVED, listener);
+    });
+  }
+
+  /**
+   * Check whether a meter speaks IVY/DLMS
+   * @private
+   * @param {string} meterId - Meter address
+   * @returns {boolean}
+   */
+  isDlmsMeter(meterId) {
+    const connection = this.tcpServer.connectionManager?.getConnectionByMeter(meterId);
+    return isDlmsProtocol(connection?.protocolType);
+  }
+
+  /**
+   * Check whether a DLT645 meter is addressed as DL/T 645-1997
+   * @private
+   * @param {string} meterId - Meter address
+   * @returns {boolean}
+   */
+  isDlt645v1997Meter(meterId) {
+    return this.tcpServer.getDlt645Variant?.(meterId) === DLT645_VARIANTS.V1997;
+  }
+
+  /**
+   * Get last clock check for a meter (or all meters)
+   * @param {string} [meterId] - Optional specific meter
+   * @returns {Object|null} Clock state
+   */
+  getMeterClock(meterId) {
+    if (meterId) {
+      return this.meterClocks.get(meterId) || null;
+    }
+
+    const clocks = {};
+    for (const [id, clock] of this.meterClocks) {
+      clocks[id] = clock;
+    }
+    return clocks;
+  }
+
+  /**
+   * Get service statistics
+   * @returns {Object} Stats
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      isRunning: this.isRunning,
+      metersTracked: this.meterClocks.size,
+      options: {
+        interval: this.options.interval,
+        driftThreshold: this.options.driftThreshold,
+        autoSync: this.options.autoSync,
+        syncMethod: this.options.syncMethod,
+      },
+    };
+  }
+}
+
+/**
+ * Create clock sync service instance
+ * @param {Object} options - Options
+ * @returns {ClockSyncService}
+ */
+export const createClockSyncService = (options) => {
+  return new ClockSyncService(options);
+};
+
+export default {
+  ClockSyncService,
+  CLOCK_EVENTS,
+  SYNC_METHODS,
+  DLMS_CLOCK,
+  DLMS_CLOCK_STATUS,
+  createClockSyncService,
+};
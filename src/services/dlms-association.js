@@ -0,0 +1,181 @@
+/**
+ * DLMS Association
+ *
+ * Opens an application association with a DLMS meter and, for HLS-GMAC,
+ * runs the pass 3/pass 4 challenge exchange on the Association LN object
+ * before any data is read. Shared by the command handler, clock sync and
+ * polling so all of them authenticate the same way.
+ *
+ * HLS-GMAC association:
+ *   1. AARQ with our system title and CtoS challenge
+ *   2. AARE with the meter's system title and StoC challenge
+ *   3. ACTION reply_to_HLS_authentication with f(StoC)
+ *   4. ACTION.response with f(CtoS), verified against our challenge
+ *
+ * @module services/dlms-association
+ */
+
+import { CONNECTION_EVENTS } from '../tcp/connection-manager.js';
+import {
+  AUTHENTICATION_MECHANISMS,
+  buildAarq,
+  buildActionRequest,
+  resolveAssociation,
+} from '../protocol/dlms/client.js';
+import { describeAssociationResult, parseInitiateResponse } from '../protocol/dlms/apdu-parser.js';
+import { createSecurityContext } from '../protocol/dlms/security.js';
+import { createChildLogger } from '../utils/logger.js';
+import config from '../config/index.js';
+
+const logger = createChildLogger({ module: 'dlms-association' });
+
+/**
+ * Association LN object (class 15) and its HLS method
+ */
+export const ASSOCIATION_LN = {
+  CLASS_ID: 15,
+  OBIS: '0-0:40.0.0.255', // current association
+  REPLY_TO_HLS_AUTHENTICATION: 1,
+};
+
+/**
+ * Wait for a specific DLMS APDU from a meter
+ *
+ * @param {import('../tcp/connection-manager.js').ConnectionManager} connectionManager
+ * @param {string} meterId - Meter address
+ * @param {string|Function} expected - Parsed APDU type (e.g. 'aare', 'action-response'),
+ *   or a (parsedApdu) => boolean match
+ * @param {number} [timeout=5000] - Timeout in ms
+ * @returns {Promise<Object|null>} Parsed APDU or null on timeout
+ */
+export const waitForDlmsApdu = (connectionManager, meterId, expected, timeout = 5000) => {
+  return new Promise((resolve) => {
+    if (!connectionManager) {
+      resolve(null);
+      return;
+    }
+
+    const matches =
+      typeof expected === 'function' ? expected : (parsedApdu) => parsedApdu.type === expected;
+    const listener = (data) => {
+      if (data.meterId === meterId && data.parsedApdu && matches(data.parsedApdu)) {
+        clearTimeout(timer);
+        connectionManager.removeListener(CONNECTION_EVENTS.DLMS_RECEIVED, listener);
+        resolve(data.parsedApdu);
+      }
+    };
+
+    const timer = setTimeout(() => {
+      connectionManager.removeListener(CONNECTION_EVENTS.DLMS_RECEIVED, listener);
+      resolve(null);
+    }, timeout);
+
+    connectionManager.on(CONNECTION_EVENTS.DLMS_RECEIVED, listener);
+  });
+};
+
+/**
+ * Get the meter's security context, creating it on first use
+ * @private
+ */
+const getSecurityContext = (connectionManager, meterId, keys) => {
+  let security = connectionManager.getDlmsSecurityContext(meterId);
+  if (!security) {
+    security = createSecurityContext(keys);
+    connectionManager.setDlmsSecurityContext(meterId, security);
+  }
+  return security;
+};
+
+/**
+ * Open an association with a meter
+ *
+ * @param {import('../tcp/server.js').TCPServer} tcpServer - TCP server
+ * @param {string} meterId - Meter address
+ * @param {Object} [options] - Options
+ * @param {number} [options.timeout] - Response timeout in ms (default: association timeout)
+ * @param {Function} [options.waitForResponse] - (type, timeout) => Promise<Object|null>,
+ *   defaults to waiting on the connection manager's DLMS events
+ * @returns {Promise<Object>} Parsed AARE (with the deciphered InitiateResponse for HLS)
+ * @throws {Error} If the meter rejects the association or fails HLS authentication
+ */
+export const openDlmsAssociation = async (tcpServer, meterId, options = {}) => {
+  const {
+    timeout = config.dlms?.associationTimeout ?? 5000,
+    waitForResponse = (type, ms) => waitForDlmsApdu(tcpServer.connectionManager, meterId, type, ms),
+  } = options;
+
+  const association = resolveAssociation(
+    tcpServer.connectionManager?.getMeterSettingsId?.(meterId) ?? meterId
+  );
+  const hls = association.authentication === AUTHENTICATION_MECHANISMS.HLS_GMAC;
+  const security = hls
+    ? getSecurityContext(tcpServer.connectionManager, meterId, association.keys)
+    : null;
+
+  let challenge = null;
+  if (security) {
+    security.reset();
+    challenge = security.createChallenge();
+  }
+
+  await tcpServer.sendDlmsApdu(meterId, buildAarq({ ...association, security, challenge }));
+  const aare = await waitForResponse('aare', timeout);
+  if (!aare || !aare.accepted) {
+    throw new Error(`DLMS association failed: ${describeAssociationResult(aare)}`);
+  }
+  if (!security) {
+    return aare;
+  }
+
+  // 2. Meter system title and StoC challenge
+  if (!aare.respondingApTitle || !aare.respondingAuthenticationValue) {
+    throw new Error('DLMS association failed: AARE without system title or HLS challenge');
+  }
+  try {
+    security.setPeerSystemTitle(aare.respondingApTitle);
+    if (aare.cipheredInitiateResponse) {
+      Object.assign(aare, parseInitiateResponse(security.decrypt(aare.cipheredInitiateResponse)));
+    }
+  } catch (err) {
+    security.reset();
+    throw new Error(`DLMS association failed: ${err.message}`);
+  }
+
+  // 3. Answer the meter's challenge (sent ciphered)
+  const response = security.respondToChallenge(aare.respondingAuthenticationValue);
+  await tcpServer.sendDlmsApdu(
+    meterId,
+    buildActionRequest(
+      ASSOCIATION_LN.CLASS_ID,
+      ASSOCIATION_LN.OBIS,
+      ASSOCIATION_LN.REPLY_TO_HLS_AUTHENTICATION,
+      1,
+      Buffer.concat([Buffer.from([0x09, response.length]), response])
+    )
+  );
+
+  // 4. Check the meter's answer to ours
+  const reply = await waitForResponse('action-response', timeout);
+  if (!reply || !reply.success) {
+    security.reset();
+    const reason = reply ? reply.actionResultName : 'timeout';
+    throw new Error(`DLMS association failed: HLS authentication ${reason}`);
+  }
+  if (!security.verifyChallengeResponse(reply.data?.value)) {
+    security.reset();
+    throw new Error('DLMS association failed: meter failed HLS authentication');
+  }
+
+  logger.debug('HLS-GMAC association established', {
+    meterId,
+    meterSystemTitle: aare.respondingApTitle.toString('hex'),
+  });
+  return aare;
+};
+
+export default {
+  ASSOCIATION_LN,
+  waitForDlmsApdu,
+  openDlmsAssociation,
+};
@@ -0,0 +1,154 @@
+/**
+ * DLMS Object Discovery
+ *
+ * Reads the object_list of the current association (Association LN,
+ * 0-0:40.0.0.255) over the live connection and merges it into a per-meter
+ * capability profile: every object the meter exposes with its class,
+ * version and access rights, and whether the OBIS registry knows it.
+ * Profiles can be written to a JSON file so they survive restarts.
+ *
+ * Discovery run:
+ *   1. GET object_list (attribute 2), usually as a block transfer
+ *   2. Objects merged into the meter's profile (new codes added, known ones updated)
+ *
+ * @module services/dlms-discovery
+ */
+
+import { buildGetRequest } from '../protocol/dlms/client.js';
+import { ASSOCIATION_LN, parseObjectList } from '../protocol/dlms/association-ln.js';
+import { lookupObis } from '../protocol/dlms/obis-registry.js';
+import { sendDlmsGet } from './dlms-transfer.js';
+import { JsonFileStore } from './json-file-store.js';
+import { createChildLogger } from '../utils/logger.js';
+import config from '../config/index.js';
+
+const logger = createChildLogger({ module: 'dlms-discovery' });
+
+/**
+ * Per-meter capability profiles
+ */
+export class CapabilityStore extends JsonFileStore {
+  /**
+   * @param {Object} [options] - Store options
+   * @param {string} [options.file] - JSON file to persist the profiles in ('' = memory only)
+   */
+  constructor(options = {}) {
+    super(options.file ?? config.dlms?.capabilityFile ?? '', 'DLMS capability profiles');
+
+    /** @type {Map<string, Object>} Meter ID -> capability profile */
+    this.profiles = new Map();
+  }
+
+  /**
+   * Get a meter's capability profile
+   * @param {string} meterId - Meter address
+   * @returns {Object|null} { meterId, updatedAt, objects: { [obisCode]: object } }
+   */
+  get(meterId) {
+    return this.profiles.get(meterId) ?? null;
+  }
+
+  /**
+   * Merge a discovered object list into a meter's profile and persist it
+   *
+   * Objects keep their firstSeen time; objects missing from this list
+   * (e.g. only visible to another client) stay in the profile.
+   *
+   * @param {string} meterId - Meter address
+   * @param {Object[]} objects - Objects from parseObjectList()
+   * @returns {Object} { profile, added, unknown } with added and unknown OBIS code lists
+   */
+  merge(meterId, objects) {
+    const now = new Date().toISOString();
+    const profile = this.profiles.get(meterId) ?? { meterId, updatedAt: now, objects: {} };
+    const added = [];
+    const unknown = [];
+
+    for (const object of objects) {
+      const previous = profile.objects[object.obisCode];
+      const obisInfo = lookupObis(object.obisCode);
+      if (!previous) {
+        added.push(object.obisCode);
+      }
+      if (!obisInfo) {
+        unknown.push(object.obisCode);
+      }
+      profile.objects[object.obisCode] = {
+        ...object,
+        name: obisInfo?.key ?? null,
+        firstSeen: previous?.firstSeen ?? now,
+        lastSeen: now,
+      };
+    }
+    profile.updatedAt = now;
+
+    this.profiles.set(meterId, profile);
+    this.save();
+    return { profile, added, unknown };
+  }
+
+  /**
+   * Restore the profiles from their file
+   * @param {Object} stored - { [meterId]: profile }
+   */
+  restore(stored) {
+    for (const [meterId, profile] of Object.entries(stored)) {
+      this.profiles.set(meterId, profile);
+    }
+  }
+
+  /**
+   * Build the profile file contents
+   * @returns {Object} { [meterId]: profile }
+   */
+  serialize() {
+    return Object.fromEntries(this.profiles);
+  }
+}
+
+/**
+ * Read the object_list of the current association
+ *
+ * Must run inside an open association; the list only holds the objects
+ * visible to that association's client.
+ *
+ * @param {import('../tcp/server.js').TCPServer} tcpServer - TCP server
+ * @param {string} meterId - Meter address
+ * @param {Object} [options] - sendDlmsGet() options (timeout, waitForResponse, maxBlocks)
+ * @param {Function} [options.get] - (request) => Promise<Object|null> sending one GET, e.g.
+ *   a DlmsSession's get(); defaults to sendDlmsGet()
+ * @returns {Promise<Object[]>} Objects from parseObjectList()
+ * @throws {Error} If the GET fails or the list cannot be decoded
+ */
+export const readObjectList = async (tcpServer, meterId, options = {}) => {
+  const request = buildGetRequest(
+    ASSOCIATION_LN.CLASS_ID,
+    ASSOCIATION_LN.CURRENT,
+    ASSOCIATION_LN.OBJECT_LIST
+  );
+  const get = options.get ?? ((apdu) => sendDlmsGet(tcpServer, meterId, apdu, options));
+  const response = await get(request);
+  if (!response || response.accessResult !== 'success') {
+    const reason = response?.data?.errorName || response?.accessResult || 'timeout';
+    throw new Error(`DLMS GET object_list failed: ${reason}`);
+  }
+
+  const objects = parseObjectList(response.data);
+  logger.debug('DLMS object_list read', { meterId, objects: objects.length });
+  return objects;
+};
+
+/**
+ * Create a capability store
+ * @param {Object} [options] - Options
+ * @returns {CapabilityStore}
+ */
+export const createCapabilityStore = (options) => {
+  return new CapabilityStore(options);
+};
+
+export default {
+  CapabilityStore,
+  createCapabilityStore,
+  readObjectList,
+};
@@ -0,0 +1,170 @@
+/**
+ * DLMS Limiter
+ *
+ * Reads a limiter object (class 71) over the live connection, together
+ * with the current value of the attribute it monitors, so the gateway can
+ * tell whether the limiter is over its threshold. readLimiterState() reads
+ * only what a trip is judged on, with the disconnector state, for polling.
+ *
+ * @module services/dlms-limiter
+ */
+
+import { buildGetRequest } from '../protocol/dlms/client.js';
+import { DISCONNECT_CONTROL, toRelayState } from '../protocol/dlms/disconnect-control.js';
+import {
+  LIMITER,
+  parseEmergencyProfile,
+  parseThreshold,
+  parseValueDefinition,
+} from '../protocol/dlms/limiter.js';
+import { sendDlmsGet } from './dlms-transfer.js';
+import { createChildLogger } from '../utils/logger.js';
+
+const logger = createChildLogger({ module: 'dlms-limiter' });
+
+/**
+ * Limiter attributes read by readLimiter()
+ * @private
+ */
+const LIMITER_READS = [
+  ['monitoredValue', LIMITER.MONITORED_VALUE, parseValueDefinition],
+  ['thresholdActive', LIMITER.THRESHOLD_ACTIVE, parseThreshold],
+  ['thresholdNormal', LIMITER.THRESHOLD_NORMAL, parseThreshold],
+  ['thresholdEmergency', LIMITER.THRESHOLD_EMERGENCY, parseThreshold],
+  ['minOverThresholdDuration', LIMITER.MIN_OVER_THRESHOLD_DURATION, (data) => data.value],
+  ['minUnderThresholdDuration', LIMITER.MIN_UNDER_THRESHOLD_DURATION, (data) => data.value],
+  ['emergencyProfile', LIMITER.EMERGENCY_PROFILE, parseEmergencyProfile],
+  ['emergencyProfileActive', LIMITER.EMERGENCY_PROFILE_ACTIVE, (data) => data.value],
+];
+
+/**
+ * Failure reason of a GET.response
+ * @private
+ */
+const failureReason = (response) =>
+  response?.data?.errorName || response?.accessResult || 'timeout';
+
+/**
+ * Read a limiter object and the value it monitors
+ *
+ * Must run inside an open association. monitored_value is required; the
+ * other attributes are null when the meter does not give them.
+ * thresholdType is the DLMS type tag of the first threshold read, which
+ * thresholds written back must keep.
+ *
+ * @param {import('../tcp/server.js').TCPServer} tcpServer - TCP server
+ * @param {string} meterId - Meter address
+ * @param {string} [obisCode='0-0:17.0.0.255'] - Limiter logical name
+ * @param {Object} [options] - sendDlmsGet() options (timeout, waitForResponse, maxBlocks)
+ * @param {Function} [options.get] - (request) => Promise<Object|null> sending one GET, e.g.
+ *   a DlmsSession's get(); defaults to sendDlmsGet()
+ * @returns {Promise<Object>} { obisCode, monitoredValue, thresholdActive, thresholdNormal,
+ *   thresholdEmergency, minOverThresholdDuration, minUnderThresholdDuration,
+ *   emergencyProfile, emergencyProfileActive, thresholdType, currentValue }
+ * @throws {Error} If monitored_value cannot be read or an attribute cannot be decoded
+ */
+export const readLimiter = async (tcpServer, meterId, obisCode = LIMITER.DEFAULT, options = {}) => {
+  const get = options.get ?? ((request) => sendDlmsGet(tcpServer, meterId, request, options));
+  const limiter = { obisCode };
+  let thresholdType = null;
+  for (const [i, [name, attribute, parse]] of LIMITER_READS.entries()) {
+    const request = buildGetRequest(LIMITER.CLASS_ID, obisCode, attribute, i + 1);
+    const response = await get(request);
+    if (response?.accessResult === 'success') {
+      limiter[name] = parse(response.data);
+      if (parse === parseThreshold && thresholdType === null) {
+        thresholdType = response.data.type;
+      }
+      continue;
+    }
+
+    const reason = failureReason(response);
+    if (attribute === LIMITER.MONITORED_VALUE) {
+      throw new Error(`DLMS GET monitored_value failed: ${reason}`);
+    }
+    logger.debug('DLMS limiter attribute not read', { meterId, obisCode, attribute, reason });
+    limiter[name] = null;
+  }
+  limiter.thresholdType = thresholdType;
+
+  // Current value of the monitored attribute
+  const { classId, obisCode: monitored, attributeIndex } = limiter.monitoredValue;
+  const request = buildGetRequest(classId, monitored, attributeIndex, LIMITER_READS.length + 1);
+  const response = await get(request);
+  limiter.currentValue = response?.accessResult === 'success' ? response.data.value : null;
+  if (limiter.currentValue === null) {
+    logger.debug('DLMS monitored value not read', {
+      meterId,
+      obisCode: monitored,
+      reason: failureReason(response),
+    });
+  }
+
+  return limiter;
+};
+
+/**
+ * Read threshold_active, the monitored value and the disconnector's
+ * control_state
+ *
+ * Must run inside an open association. monitored_value is read first unless
+ * given (it rarely changes, so a caller can keep it between reads).
+ *
+ * @param {import('../tcp/server.js').TCPServer} tcpServer - TCP server
+ * @param {string} meterId - Meter address
+ * @param {string} [obisCode='0-0:17.0.0.255'] - Limiter logical name
+ * @param {Object} [options] - sendDlmsGet() options (timeout, waitForResponse, maxBlocks)
+ * @param {Function} [options.get] - (request) => Promise<Object|null> sending one GET, e.g.
+ *   a DlmsSession's get(); defaults to sendDlmsGet()
+ * @param {Object} [options.monitoredValue] - monitored_value read before
+ * @returns {Promise<Object|null>} { obisCode, monitoredValue, thresholdActive, currentValue,
+ *   relayState } with values not read null and relayState from toRelayState(); null when
+ *   the meter refuses monitored_value (no limiter)
+ * @throws {Error} If monitored_value is not answered or cannot be decoded
+ */
+export const readLimiterState = async (
+  tcpServer,
+  meterId,
+  obisCode = LIMITER.DEFAULT,
+  options = {}
+) => {
+  const get = options.get ?? ((request) => sendDlmsGet(tcpServer, meterId, request, options));
+
+  let { monitoredValue } = options;
+  if (!monitoredValue) {
+    const request = buildGetRequest(LIMITER.CLASS_ID, obisCode, LIMITER.MONITORED_VALUE, 1);
+    const response = await get(request);
+    if (!response) {
+      throw new Error('DLMS GET monitored_value failed: timeout');
+    }
+    if (response.accessResult !== 'success') {
+      logger.debug('DLMS limiter not read', { meterId, obisCode, reason: failureReason(response) });
+      return null;
+    }
+    monitoredValue = parseValueDefinition(response.data);
+  }
+
+  const reads = [
+    [LIMITER.CLASS_ID, obisCode, LIMITER.THRESHOLD_ACTIVE],
+    [monitoredValue.classId, monitoredValue.obisCode, monitoredValue.attributeIndex],
+    [DISCONNECT_CONTROL.CLASS_ID, DISCONNECT_CONTROL.DEFAULT, DISCONNECT_CONTROL.CONTROL_STATE],
+  ];
+  const values = [];
+  for (const [i, [classId, logicalName, attribute]] of reads.entries()) {
+    const response = await get(buildGetRequest(classId, logicalName, attribute, i + 2));
+    values.push(response?.accessResult === 'success' ? response.data.value : null);
+  }
+  const [thresholdActive, currentValue, controlState] = values;
+  return {
+    obisCode,
+    monitoredValue,
+    thresholdActive,
+    currentValue,
+    relayState: toRelayState({ controlState }),
+  };
+};
+
+export default {
+  readLimiter,
+  readLimiterState,
+};
@@ -0,0 +1,145 @@
+/**
+ * DLMS Profile Reading
+ *
+ * Reads rows from a Profile Generic object (load profile, event log)
+ * inside an open association. The columns are learnt from capture_objects
+ * on every read, since meters can be reconfigured, and the buffer is read
+ * with selective access so only the requested rows are transferred.
+ *
+ * Profile read:
+ *   1. GET capture_objects (attribute 3) and capture_period (attribute 4)
+ *   2. (with a scaler_unit cache) GET scaler_unit of new register columns
+ *   3. (last N rows) GET entries_in_use (attribute 7)
+ *   4. GET buffer (attribute 2) with range_descriptor or entry_descriptor
+ *   5. Rows mapped to timestamped, named and scaled values
+ *
+ * @module services/dlms-profile
+ */
+
+import { buildGetRequest } from '../protocol/dlms/client.js';
+import {
+  PROFILE_GENERIC,
+  buildEntryDescriptor,
+  buildRangeDescriptor,
+  mapProfileRows,
+  parseCaptureObjects,
+} from '../protocol/dlms/profile-generic.js';
+import { sendDlmsGet } from './dlms-transfer.js';
+import { discoverScalerUnits } from './dlms-scaler-units.js';
+import { createChildLogger } from '../utils/logger.js';
+
+const logger = createChildLogger({ module: 'dlms-profile' });
+
+/**
+ * Profile read by the read_load_profile command when none is given
+ */
+export const DEFAULT_LOAD_PROFILE = '1-0:99.1.0.255';
+
+/**
+ * GET one attribute of the profile, throwing on failure
+ * @private
+ */
+const getAttribute = async (sendGet, request, name) => {
+  const response = await sendGet(request);
+  if (!response || response.accessResult !== 'success') {
+    const reason = response?.data?.errorName || response?.accessResult || 'timeout';
+    throw new Error(`DLMS GET ${name} failed: ${reason}`);
+  }
+  return response.data;
+};
+
+/**
+ * Read rows from a Profile Generic object
+ *
+ * Give either a time range (from/to), the last N rows (entries), or an
+ * entry range (fromEntry/toEntry). Without any, the whole buffer is read.
+ *
+ * @param {import('../tcp/server.js').TCPServer} tcpServer - TCP server
+ * @param {string} meterId - Meter address
+ * @param {Object} [options] - Options
+ * @param {string} [options.obisCode=DEFAULT_LOAD_PROFILE] - Profile object
+ * @param {Date} [options.from] - First capture time
+ * @param {Date} [options.to] - Last capture time (default: now when from is given)
+ * @param {number} [options.entries] - Read the N newest rows
+ * @param {number} [options.fromEntry] - First row (1 = oldest)
+ * @param {number} [options.toEntry] - Last row (0 = newest)
+ * @param {import('./dlms-scaler-units.js').ScalerUnitCache} [options.scalerUnits] - Column scaling
+ * @param {number} [options.timeout] - Timeout per response in ms
+ * @param {Function} [options.waitForResponse] - (type, timeout) => Promise<Object|null>
+ * @param {Function} [options.get] - (request) => Promise<Object|null> sending one GET, e.g.
+ *   a DlmsSession's get(); defaults to sendDlmsGet()
+ * @returns {Promise<Object>} { obisCode, columns, capturePeriod, rows }
+ * @throws {Error} If a GET fails or the profile attributes cannot be decoded
+ */
+export const readDlmsProfile = async (tcpServer, meterId, options = {}) => {
+  const { obisCode = DEFAULT_LOAD_PROFILE, from, entries, scalerUnits } = options;
+  const { timeout, waitForResponse } = options;
+  const to = options.to ?? (from ? new Date() : undefined);
+  const getOptions = { timeout, waitForResponse };
+  const sendGet =
+    options.get ?? ((request) => sendDlmsGet(tcpServer, meterId, request, getOptions));
+  const get = (attribute, invokeId, name, accessSelection) =>
+    getAttribute(
+      sendGet,
+      buildGetRequest(PROFILE_GENERIC.CLASS_ID, obisCode, attribute, invokeId, accessSelection),
+      name
+    );
+
+  // 1. Columns and capture period
+  const columns = parseCaptureObjects(
+    await get(PROFILE_GENERIC.CAPTURE_OBJECTS, 1, 'capture_objects')
+  );
+  const capturePeriod = (await get(PROFILE_GENERIC.CAPTURE_PERIOD, 2, 'capture_period')).value;
+
+  // 2. Scaling of the columns
+  if (scalerUnits) {
+    await discoverScalerUnits(tcpServer, meterId, columns, scalerUnits, {
+      ...getOptions,
+      get: sendGet,
+    });
+  }
+
+  // 3. Which rows
+  let accessSelection;
+  if (from) {
+    accessSelection = buildRangeDescriptor({ from, to });
+  } else if (entries !== undefined) {
+    const inUse = (await get(PROFILE_GENERIC.ENTRIES_IN_USE, 3, 'entries_in_use')).value;
+    if (!inUse) {
+      return { obisCode, columns, capturePeriod, rows: [] };
+    }
+    accessSelection = buildEntryDescriptor({
+      fromEntry: Math.max(1, inUse - entries + 1),
+      toEntry: inUse,
+    });
+  } else if (options.fromEntry !== undefined || options.toEntry !== undefined) {
+    accessSelection = buildEntryDescriptor({
+      fromEntry: options.fromEntry,
+      toEntry: options.toEntry,
+    });
+  }
+
+  // 4. Buffer
+  const buffer = await get(PROFILE_GENERIC.BUFFER, 4, 'buffer', accessSelection);
+  let rows = mapProfileRows(buffer, columns, {
+    capturePeriod,
+    scalerUnitFor: (obis) => scalerUnits?.get(meterId, obis),
+  });
+  if (from) {
+    // Meters may include the row before the range as a baseline
+    rows = rows.filter(({ timestamp }) => timestamp >= from && timestamp <= to);
+  }
+
+  logger.debug('DLMS profile read', {
+    meterId,
+    obisCode,
+    columns: columns.length,
+    rows: rows.length,
+  });
+  return { obisCode, columns, capturePeriod, rows };
+};
+
+export default {
+  DEFAULT_LOAD_PROFILE,
+  readDlmsProfile,
+};
@@ -0,0 +1,190 @@
+/**
+ * DLMS Push Setups
+ *
+ * Reads push setup objects (class 40) over the live connection and keeps
+ * them per meter, so an unsolicited DataNotification can be matched to the
+ * push_object_list that produced it and its unlabelled fields named. Push
+ * setups can be written to a JSON file so they survive restarts; the file
+ * can also be written by hand for meters whose push setup cannot be read.
+ *
+ * A DataNotification matches a push setup when it has one field per
+ * pushed object and, if the list starts with the push setup's own logical
+ * name, that field carries the same name.
+ *
+ * @module services/dlms-push
+ */
+
+import { buildGetRequest } from '../protocol/dlms/client.js';
+import {
+  PUSH_SETUP,
+  parseCommunicationWindow,
+  parsePushObjectList,
+  parseSendDestination,
+  pushLogicalName,
+} from '../protocol/dlms/push-setup.js';
+import { sendDlmsGet } from './dlms-transfer.js';
+import { JsonFileStore } from './json-file-store.js';
+import { createChildLogger } from '../utils/logger.js';
+import config from '../config/index.js';
+
+const logger = createChildLogger({ module: 'dlms-push' });
+
+/**
+ * Push setup attributes read by readPushSetup()
+ * @private
+ */
+const PUSH_SETUP_READS = [
+  ['objectList', PUSH_SETUP.PUSH_OBJECT_LIST, parsePushObjectList],
+  ['sendDestinationAndMethod', PUSH_SETUP.SEND_DESTINATION_AND_METHOD, parseSendDestination],
+  ['communicationWindow', PUSH_SETUP.COMMUNICATION_WINDOW, parseCommunicationWindow],
+  ['randomisationStartInterval', PUSH_SETUP.RANDOMISATION_START_INTERVAL, (data) => data.value],
+];
+
+/**
+ * Per-meter push setups
+ */
+export class PushSetupStore extends JsonFileStore {
+  /**
+   * @param {Object} [options] - Store options
+   * @param {string} [options.file] - JSON file to persist the push setups in ('' = memory only)
+   */
+  constructor(options = {}) {
+    super(options.file ?? config.dlms?.pushSetupFile ?? '', 'DLMS push setups');
+
+    /** @type {Map<string, Object>} Meter ID -> { [obisCode]: push setup } */
+    this.setups = new Map();
+  }
+
+  /**
+   * Get a meter's push setups
+   * @param {string} meterId - Meter address
+   * @returns {Object|null} { [obisCode]: { obisCode, objectList, ..., updatedAt } }
+   */
+  get(meterId) {
+    return this.setups.get(meterId) ?? null;
+  }
+
+  /**
+   * Merge read or written attributes into a meter's push setup and persist it
+   *
+   * @param {string} meterId - Meter address
+   * @param {string} obisCode - Push setup logical name
+   * @param {Object} attributes - Any of objectList, sendDestinationAndMethod,
+   *   communicationWindow and randomisationStartInterval
+   * @returns {Object} The updated push setup
+   */
+  update(meterId, obisCode, attributes) {
+    const setups = this.setups.get(meterId) ?? {};
+    const setup = {
+      ...setups[obisCode],
+      obisCode,
+      ...attributes,
+      updatedAt: new Date().toISOString(),
+    };
+    setups[obisCode] = setup;
+
+    this.setups.set(meterId, setups);
+    this.save();
+    return setup;
+  }
+
+  /**
+   * Find the push_object_list a DataNotification was pushed by
+   *
+   * @param {string} meterId - Meter address
+   * @param {Object[]} fields - Typed fields of the DataNotification body
+   * @returns {Object[]|null} The push_object_list, or null when no push setup (or more
+   *   than one) matches
+   */
+  match(meterId, fields) {
+    const logicalName = pushLogicalName(fields);
+    const candidates = Object.values(this.setups.get(meterId) ?? {}).filter(({ objectList }) => {
+      if (objectList?.length !== fields.length) {
+        return false;
+      }
+      const [first] = objectList;
+      const named =
+        first.classId === PUSH_SETUP.CLASS_ID && first.attributeIndex === PUSH_SETUP.LOGICAL_NAME;
+      return !named || first.obisCode === logicalName;
+    });
+    return candidates.length === 1 ? candidates[0].objectList : null;
+  }
+
+  /**
+   * Restore the push setups from their file
+   * @param {Object} stored - { [meterId]: { [obisCode]: push setup } }
+   */
+  restore(stored) {
+    for (const [meterId, setups] of Object.entries(stored)) {
+      this.setups.set(meterId, setups);
+    }
+  }
+
+  /**
+   * Build the push setup file contents
+   * @returns {Object} { [meterId]: { [obisCode]: push setup } }
+   */
+  serialize() {
+    return Object.fromEntries(this.setups);
+  }
+}
+
+/**
+ * Read a push setup object
+ *
+ * Must run inside an open association. push_object_list is required; the
+ * other attributes are null when the meter does not give them (e.g. no
+ * read access for this client).
+ *
+ * @param {import('../tcp/server.js').TCPServer} tcpServer - TCP server
+ * @param {string} meterId - Meter address
+ * @param {string} [obisCode='0-0:25.9.0.255'] - Push setup logical name
+ * @param {Object} [options] - sendDlmsGet() options (timeout, waitForResponse, maxBlocks)
+ * @param {Function} [options.get] - (request) => Promise<Object|null> sending one GET, e.g.
+ *   a DlmsSession's get(); defaults to sendDlmsGet()
+ * @returns {Promise<Object>} { obisCode, objectList, sendDestinationAndMethod,
+ *   communicationWindow, randomisationStartInterval }
+ * @throws {Error} If push_object_list cannot be read or an attribute cannot be decoded
+ */
+export const readPushSetup = async (
+  tcpServer,
+  meterId,
+  obisCode = PUSH_SETUP.DEFAULT,
+  options = {}
+) => {
+  const get = options.get ?? ((request) => sendDlmsGet(tcpServer, meterId, request, options));
+  const setup = { obisCode };
+  for (const [i, [name, attribute, parse]] of PUSH_SETUP_READS.entries()) {
+    const request = buildGetRequest(PUSH_SETUP.CLASS_ID, obisCode, attribute, i + 1);
+    const response = await get(request);
+    if (response?.accessResult === 'success') {
+      setup[name] = parse(response.data);
+      continue;
+    }
+
+    const reason = response?.data?.errorName || response?.accessResult || 'timeout';
+    if (attribute === PUSH_SETUP.PUSH_OBJECT_LIST) {
+      throw new Error(`DLMS GET push_object_list failed: ${reason}`);
+    }
+    logger.debug('DLMS push setup attribute not read', { meterId, obisCode, attribute, reason });
+    setup[name] = null;
+  }
+
+  logger.debug('DLMS push setup read', { meterId, obisCode, objects: setup.objectList.length });
+  return setup;
+};
+
+/**
+ * Create a push setup store
+ * @param {Object} [options] - Options
+ * @returns {PushSetupStore}
+ */
+export const createPushSetupStore = (options) => {
+  return new PushSetupStore(options);
+};
+
+export default {
+  PushSetupStore,
+  createPushSetupStore,
+  readPushSetup,
+};
@@ -0,0 +1,168 @@
+/**
+ * DLMS Scaler/Unit Discovery
+ *
+ * Reads the scaler_unit attribute of each register once per meter and
+ * caches it, so values are scaled the way the meter's firmware defines
+ * them rather than by the static OBIS registry. The cache can be written
+ * to a JSON file so a restart does not read every meter again.
+ *
+ * Cache entries:
+ *   { scaler, unit } - read from the meter
+ *   null             - the meter refused the attribute; registry fallback
+ *   (missing)        - not read yet (or the read timed out)
+ *
+ * @module services/dlms-scaler-units
+ */
+
+import { buildGetRequest } from '../protocol/dlms/client.js';
+import { SCALER_UNIT_ATTRIBUTES, parseScalerUnit } from '../protocol/dlms/scaler-unit.js';
+import { sendDlmsGet } from './dlms-transfer.js';
+import { JsonFileStore } from './json-file-store.js';
+import { createChildLogger } from '../utils/logger.js';
+import config from '../config/index.js';
+
+const logger = createChildLogger({ module: 'dlms-scaler-units' });
+
+/**
+ * Per-meter scaler_unit cache
+ */
+export class ScalerUnitCache extends JsonFileStore {
+  /**
+   * @param {Object} [options] - Cache options
+   * @param {string} [options.file] - JSON file to persist the cache in ('' = memory only)
+   */
+  constructor(options = {}) {
+    super(options.file ?? config.dlms?.scalerUnitFile ?? '', 'DLMS scaler/unit cache');
+
+    /** @type {Map<string, Map<string, Object|null>>} Meter ID -> OBIS code -> scaler_unit */
+    this.meters = new Map();
+  }
+
+  /**
+   * Check whether a register's scaler_unit has been read
+   * @param {string} meterId - Meter address
+   * @param {string} obisCode - OBIS code
+   * @returns {boolean}
+   */
+  has(meterId, obisCode) {
+    return this.meters.get(meterId)?.has(obisCode) ?? false;
+  }
+
+  /**
+   * Get a register's scaler_unit
+   * @param {string} meterId - Meter address
+   * @param {string} obisCode - OBIS code
+   * @returns {Object|null} { scaler, unit }, or null if unknown
+   */
+  get(meterId, obisCode) {
+    return this.meters.get(meterId)?.get(obisCode) ?? null;
+  }
+
+  /**
+   * Store a register's scaler_unit and persist the cache
+   * @param {string} meterId - Meter address
+   * @param {string} obisCode - OBIS code
+   * @param {Object|null} scalerUnit - { scaler, unit }, or null if the meter has none
+   */
+  set(meterId, obisCode, scalerUnit) {
+    if (!this.meters.has(meterId)) {
+      this.meters.set(meterId, new Map());
+    }
+    this.meters.get(meterId).set(obisCode, scalerUnit);
+    this.save();
+  }
+
+  /**
+   * Forget a meter's scaler_units (e.g. after a firmware update)
+   * @param {string} meterId - Meter address
+   */
+  clear(meterId) {
+    if (this.meters.delete(meterId)) {
+      this.save();
+    }
+  }
+
+  /**
+   * Restore the cache from its file
+   * @param {Object} stored - { [meterId]: { [obisCode]: scaler_unit } }
+   */
+  restore(stored) {
+    for (const [meterId, registers] of Object.entries(stored)) {
+      this.meters.set(meterId, new Map(Object.entries(registers)));
+    }
+  }
+
+  /**
+   * Build the cache file contents
+   * @returns {Object} { [meterId]: { [obisCode]: scaler_unit } }
+   */
+  serialize() {
+    const stored = {};
+    for (const [meterId, registers] of this.meters) {
+      stored[meterId] = Object.fromEntries(registers);
+    }
+    return stored;
+  }
+}
+
+/**
+ * Read the scaler_unit of registers not in the cache yet
+ *
+ * Must run inside an open association. Registers of classes without a
+ * scaler_unit are skipped; a register whose read times out is tried again
+ * next time.
+ *
+ * @param {import('../tcp/server.js').TCPServer} tcpServer - TCP server
+ * @param {string} meterId - Meter address
+ * @param {Object[]} registers - Registers ({ classId, obisCode })
+ * @param {ScalerUnitCache} cache - Cache to fill
+ * @param {Object} [options] - sendDlmsGet() options (timeout, waitForResponse)
+ * @param {Function} [options.get] - (request) => Promise<Object|null> sending one GET, e.g.
+ *   a DlmsSession's get(); defaults to sendDlmsGet()
+ * @returns {Promise<number>} Number of registers read
+ */
+export const discoverScalerUnits = async (tcpServer, meterId, registers, cache, options = {}) => {
+  const get = options.get ?? ((request) => sendDlmsGet(tcpServer, meterId, request, options));
+  let read = 0;
+  for (const { classId, obisCode } of registers) {
+    const attribute = SCALER_UNIT_ATTRIBUTES[classId];
+    if (!attribute || cache.has(meterId, obisCode)) {
+      continue;
+    }
+
+    read++;
+    const request = buildGetRequest(classId, obisCode, attribute, read & 0xff);
+    const response = await get(request);
+    if (!response) {
+      logger.debug('DLMS scaler_unit read timed out', { meterId, obisCode });
+      continue;
+    }
+
+    let scalerUnit = null;
+    if (response.accessResult === 'success') {
+      try {
+        scalerUnit = parseScalerUnit(response.data);
+      } catch (error) {
+        logger.warn('Invalid DLMS scaler_unit', { meterId, obisCode, error: error.message });
+      }
+    }
+    logger.debug('DLMS scaler_unit read', { meterId, obisCode, scalerUnit });
+    cache.set(meterId, obisCode, scalerUnit);
+  }
+  return read;
+};
+
+/**
+ * Create a scaler_unit cache
+ * @param {Object} [options] - Options
+ * @returns {ScalerUnitCache}
+ */
+export const createScalerUnitCache = (options) => {
+  return new ScalerUnitCache(options);
+};
+
+export default {
+  ScalerUnitCache,
+  createScalerUnitCache,
+  discoverScalerUnits,
+};
@@ -0,0 +1,457 @@
+/**
+ * DLMS Session
+ *
+ * One application association with one meter, kept open across requests.
+ * The session opens the association and checks that the AARE was accepted.
+ * Each request gets its own invoke ID, so a response is matched to its
+ * request; a late answer to an abandoned request is dropped. GETs that time
+ * out are sent again. An idle session is released with an RLRQ.
+ *
+ * States:
+ *   idle → associating → associated → releasing → idle
+ *   (a failed association or a closed connection returns to idle)
+ *
+ * @module services/dlms-session
+ */
+
+import { CONNECTION_EVENTS } from '../tcp/connection-manager.js';
+import { buildReleaseRequest } from '../protocol/dlms/client.js';
+import { parseObisCode } from '../protocol/dlms/data-types.js';
+import { openDlmsAssociation } from './dlms-association.js';
+import { sendDlmsGet } from './dlms-transfer.js';
+import { createChildLogger } from '../utils/logger.js';
+import config from '../config/index.js';
+
+const logger = createChildLogger({ module: 'dlms-session' });
+
+/**
+ * Session states
+ */
+export const DLMS_SESSION_STATES = {
+  IDLE: 'idle',
+  ASSOCIATING: 'associating',
+  ASSOCIATED: 'associated',
+  RELEASING: 'releasing',
+};
+
+/**
+ * Highest invoke ID used; IDs cycle 1..15 in the low bits of invoke-id-and-priority
+ */
+const MAX_INVOKE_ID = 0x0f;
+
+/**
+ * APDU types that answer a request carrying an invoke ID
+ */
+const RESPONSE_TYPES = new Set(['get-response', 'set-response', 'action-response']);
+
+/**
+ * data-access-result of a GET worth sending again
+ */
+const TEMPORARY_FAILURE = 'temporary-failure';
+
+/**
+ * Association with one DLMS meter
+ */
+export class DlmsSession {
+  /**
+   * @param {import('../tcp/server.js').TCPServer} tcpServer - TCP server
+   * @param {string} meterId - Meter address
+   * @param {Object} [options] - Session options
+   * @param {number} [options.timeout] - Response timeout in ms (default: query timeout)
+   * @param {number} [options.associationTimeout] - AARE timeout in ms
+   * @param {number} [options.retries=2] - Times a GET is sent again after a timeout
+   * @param {number} [options.idleTimeout] - Idle time in ms before onIdle is called
+   *   (0 = never)
+   * @param {Function} [options.onIdle] - Called when the session was idle for idleTimeout
+   */
+  constructor(tcpServer, meterId, options = {}) {
+    this.tcpServer = tcpServer;
+    this.meterId = meterId;
+    this.options = {
+      timeout: options.timeout ?? config.dlms?.queryTimeout ?? 5000,
+      associationTimeout: options.associationTimeout ?? config.dlms?.associationTimeout ?? 5000,
+      retries: options.retries ?? 2,
+      idleTimeout: options.idleTimeout ?? config.dlms?.sessionIdleTimeout ?? 0,
+      onIdle: options.onIdle ?? null,
+    };
+
+    /** @type {string} */
+    this.state = DLMS_SESSION_STATES.IDLE;
+
+    /** @type {Object|null} Parsed AARE of the open association */
+    this.aare = null;
+
+    /** @type {number} Last invoke ID used */
+    this.invokeId = 0;
+
+    /** @type {Map<number, Buffer>} Pending request sent with each invoke ID */
+    this.requests = new Map();
+
+    /** @type {Set<Object>} Open inboxes: { matches, queue, waiter, closed } */
+    this.inboxes = new Set();
+
+    /** @type {NodeJS.Timeout|null} */
+    this.idleTimer = null;
+
+    this.onDlmsReceived = this.onDlmsReceived.bind(this);
+    this.onConnectionClosed = this.onConnectionClosed.bind(this);
+
+    const { connectionManager } = tcpServer;
+    connectionManager?.on(CONNECTION_EVENTS.DLMS_RECEIVED, this.onDlmsReceived);
+    connectionManager?.on(CONNECTION_EVENTS.CONNECTION_CLOSED, this.onConnectionClosed);
+  }
+
+  /**
+   * Whether the association is open
+   * @returns {boolean}
+   */
+  isAssociated() {
+    return this.state === DLMS_SESSION_STATES.ASSOCIATED;
+  }
+
+  /**
+   * Open the association, or keep using the open one
+   *
+   * @returns {Promise<Object>} Parsed AARE
+   * @throws {Error} If the session is busy or the meter rejects the association
+   */
+  async open() {
+    if (this.isAssociated()) {
+      this.clearIdleTimer();
+      return this.aare;
+    }
+    if (this.state !== DLMS_SESSION_STATES.IDLE) {
+      throw new Error(`DLMS session for ${this.meterId} is ${this.state}`);
+    }
+
+    this.setState(DLMS_SESSION_STATES.ASSOCIATING);
+    const inbox = this.openInbox(
+      (apdu) =>
+        apdu.type === 'aare' ||
+        apdu.type === 'action-response' ||
+        apdu.type === 'exception-response'
+    );
+    try {
+      this.aare = await openDlmsAssociation(this.tcpServer, this.meterId, {
+        timeout: this.options.associationTimeout,
+        waitForResponse: (type, ms) => inbox.next(ms, type),
+      });
+    } catch (error) {
+      this.setState(DLMS_SESSION_STATES.IDLE);
+      throw error;
+    } finally {
+      inbox.close();
+    }
+
+    this.setState(DLMS_SESSION_STATES.ASSOCIATED);
+    return this.aare;
+  }
+
+  /**
+   * Send a GET.request and wait for the complete response
+   *
+   * The invoke ID in the request is replaced by the session's. A GET that
+   * times out or meets a temporary failure is sent again with a new invoke ID.
+   *
+   * @param {Buffer} request - GET.request APDU
+   * @returns {Promise<Object|null>} Parsed GET.response (see sendDlmsGet()), or null when
+   *   every attempt timed out
+   * @throws {Error} If the association is not open
+   */
+  async get(request) {
+    let response = null;
+    for (let attempt = 0; attempt <= this.options.retries; attempt++) {
+      if (attempt > 0) {
+        logger.debug('DLMS GET retry', { meterId: this.meterId, attempt });
+      }
+
+      const { apdu, inbox } = this.prepare(request);
+      try {
+        response = await sendDlmsGet(this.tcpServer, this.meterId, apdu, {
+          timeout: this.options.timeout,
+          waitForResponse: (type, ms) => inbox.next(ms),
+        });
+      } finally {
+        inbox.close();
+        if (response) {
+          this.requests.delete(apdu[2]);
+        }
+      }
+
+      if (response && response.data?.errorName !== TEMPORARY_FAILURE) {
+        return response;
+      }
+    }
+    return response;
+  }
+
+  /**
+   * Send a request and wait for its single response (SET, ACTION,
+   * GET.request-with-list)
+   *
+   * @param {Buffer} request - Request APDU; its invoke ID is replaced by the session's
+   * @returns {Promise<Object|null>} Parsed response or exception-response, null on timeout
+   * @throws {Error} If the association is not open
+   */
+  async request(request) {
+    const { apdu, inbox } = this.prepare(request);
+    let response = null;
+    try {
+      await this.tcpServer.sendDlmsApdu(this.meterId, apdu);
+      response = await inbox.next(this.options.timeout);
+      return response;
+    } finally {
+      inbox.close();
+      if (response) {
+        this.requests.delete(apdu[2]);
+      }
+    }
+  }
+
+  /**
+   * Attribute (or method) addressed by the last request sent with an invoke ID
+   *
+   * Lets an error response seen elsewhere, e.g. in the server's DLMS events,
+   * be reported with its register. Requests are forgotten once their
+   * response is consumed and when the association ends, so a late or
+   * unrelated response is not reported with a stale register.
+   *
+   * @param {number} invokeId - Invoke ID of a response
+   * @returns {{classId: number, obisCode: string, attributeIndex: number}|null} null for
+   *   IDs without a pending request and list requests
+   */
+  getRequestAttribute(invokeId) {
+    const request = this.requests.get(invokeId);
+    if (!request || request[1] !== 0x01 || request.length < 12) {
+      return null;
+    }
+    return {
+      classId: request.readUInt16BE(3),
+      obisCode: parseObisCode(request.subarray(5, 11)),
+      attributeIndex: request[11],
+    };
+  }
+
+  /**
+   * Release the association (RLRQ, wait for the RLRE)
+   *
+   * A meter that does not answer is treated as released. No-op when no
+   * association is open.
+   *
+   * @returns {Promise<void>}
+   */
+  async release() {
+    this.clearIdleTimer();
+    if (!this.isAssociated()) {
+      return;
+    }
+
+    this.setState(DLMS_SESSION_STATES.RELEASING);
+    const inbox = this.openInbox((apdu) => apdu.type === 'rlre');
+    try {
+      await this.tcpServer.sendDlmsApdu(this.meterId, buildReleaseRequest());
+      if (!(await inbox.next(this.options.timeout))) {
+        logger.debug('No RLRE from DLMS meter', { meterId: this.meterId });
+      }
+    } catch (error) {
+      logger.debug('DLMS release failed', { meterId: this.meterId, error: error.message });
+    } finally {
+      inbox.close();
+      this.aare = null;
+      this.requests.clear();
+      this.setState(DLMS_SESSION_STATES.IDLE);
+    }
+  }
+
+  /**
+   * Start the idle timer; onIdle is called unless the session is used again
+   * before it runs out
+   */
+  keepAlive() {
+    this.clearIdleTimer();
+    if (!this.isAssociated() || !this.options.idleTimeout || !this.options.onIdle) {
+      return;
+    }
+    this.idleTimer = setTimeout(() => {
+      this.idleTimer = null;
+      this.options.onIdle(this);
+    }, this.options.idleTimeout);
+  }
+
+  /**
+   * Forget the association without telling the meter (it dropped it, or
+   * the connection closed). Waiting requests resolve with null.
+   */
+  reset() {
+    this.clearIdleTimer();
+    for (const inbox of this.inboxes) {
+      inbox.closed = true;
+      inbox.waiter?.(null);
+    }
+    this.inboxes.clear();
+    this.aare = null;
+    this.requests.clear();
+    this.setState(DLMS_SESSION_STATES.IDLE);
+  }
+
+  /**
+   * Reset the session and stop listening to the connection manager
+   */
+  close() {
+    this.reset();
+    const { connectionManager } = this.tcpServer;
+    connectionManager?.removeListener(CONNECTION_EVENTS.DLMS_RECEIVED, this.onDlmsReceived);
+    connectionManager?.removeListener(CONNECTION_EVENTS.CONNECTION_CLOSED, this.onConnectionClosed);
+  }
+
+  /**
+   * Copy a request with the next invoke ID and open the inbox for its response
+   * @private
+   * @param {Buffer} request - Request APDU
+   * @returns {{apdu: Buffer, inbox: Object}}
+   */
+  prepare(request) {
+    if (!this.isAssociated()) {
+      throw new Error(`DLMS session for ${this.meterId} is not associated`);
+    }
+    this.clearIdleTimer();
+
+    this.invokeId = (this.invokeId % MAX_INVOKE_ID) + 1;
+    const invokeId = this.invokeId;
+    const apdu = Buffer.from(request);
+    apdu[2] = invokeId;
+    this.requests.set(invokeId, apdu);
+
+    const inbox = this.openInbox(
+      (response) =>
+        (RESPONSE_TYPES.has(response.type) && response.invokeId === invokeId) ||
+        response.type === 'exception-response'
+    );
+    return { apdu, inbox };
+  }
+
+  /**
+   * Open an inbox for the APDUs matching `matches`
+   *
+   * Opened before the request is sent, so an answer arriving before
+   * anyone waits for it is queued instead of lost.
+   * @private
+   * @param {Function} matches - (parsedApdu) => boolean
+   * @returns {{next: Function, close: Function}} next(timeout[, type]) resolves with the
+   *   next matching APDU (of `type`, if given) or null on timeout
+   */
+  openInbox(matches) {
+    const inbox = { matches, queue: [], waiter: null, closed: false };
+    this.inboxes.add(inbox);
+
+    const next = (timeout, type = null) => {
+      if (inbox.closed) {
+        return Promise.resolve(null);
+      }
+      const index = inbox.queue.findIndex((apdu) => !type || apdu.type === type);
+      if (index >= 0) {
+        return Promise.resolve(inbox.queue.splice(index, 1)[0]);
+      }
+      return new Promise((resolve) => {
+        const timer = setTimeout(() => {
+          inbox.waiter = null;
+          resolve(null);
+        }, timeout);
+        inbox.waiter = (apdu) => {
+          if (apdu && type && apdu.type !== type && apdu.type !== 'exception-response') {
+            inbox.queue.push(apdu);
+            return;
+          }
+          clearTimeout(timer);
+          inbox.waiter = null;
+          resolve(apdu);
+        };
+      });
+    };
+
+    const close = () => {
+      inbox.closed = true;
+      this.inboxes.delete(inbox);
+    };
+    return { next, close };
+  }
+
+  /**
+   * Hand a received APDU to the first inbox waiting for it
+   * @private
+   */
+  onDlmsReceived({ meterId, parsedApdu }) {
+    if (meterId !== this.meterId || !parsedApdu) {
+      return;
+    }
+
+    for (const inbox of this.inboxes) {
+      if (inbox.matches(parsedApdu)) {
+        if (inbox.waiter) {
+          inbox.waiter(parsedApdu);
+        } else {
+          inbox.queue.push(parsedApdu);
+        }
+        return;
+      }
+    }
+
+    if (RESPONSE_TYPES.has(parsedApdu.type) && this.state !== DLMS_SESSION_STATES.IDLE) {
+      logger.debug('Dropped DLMS response without pending request', {
+        meterId: this.meterId,
+        type: parsedApdu.type,
+        invokeId: parsedApdu.invokeId,
+      });
+    }
+  }
+
+  /**
+   * The association ends with the connection
+   * @private
+   */
+  onConnectionClosed({ meterId, meterIds }) {
+    if (meterId === this.meterId || meterIds?.includes(this.meterId)) {
+      if (this.state !== DLMS_SESSION_STATES.IDLE) {
+        logger.debug('DLMS session closed with connection', { meterId: this.meterId });
+      }
+      this.reset();
+    }
+  }
+
+  /**
+   * @private
+   */
+  setState(state) {
+    if (state !== this.state) {
+      logger.debug('DLMS session state', { meterId: this.meterId, from: this.state, to: state });
+      this.state = state;
+    }
+  }
+
+  /**
+   * @private
+   */
+  clearIdleTimer() {
+    if (this.idleTimer) {
+      clearTimeout(this.idleTimer);
+      this.idleTimer = null;
+    }
+  }
+}
+
+/**
+ * Create a DLMS session
+ * @param {import('../tcp/server.js').TCPServer} tcpServer - TCP server
+ * @param {string} meterId - Meter address
+ * @param {Object} [options] - Session options
+ * @returns {DlmsSession}
+ */
+export const createDlmsSession = (tcpServer, meterId, options) => {
+  return new DlmsSession(tcpServer, meterId, options);
+};
+
+export default {
+  DLMS_SESSION_STATES,
+  DlmsSession,
+  createDlmsSession,
+};
@@ -0,0 +1,130 @@
+/**
+ * DLMS Transfer
+ *
+ * Request/response exchanges with a DLMS meter inside an open association.
+ * Attributes larger than one APDU (profile buffers, object lists) come back
+ * as GET-response-with-datablock; the blocks are fetched with
+ * GET-request-next and joined so callers see one ordinary GET.response.
+ *
+ * Long GET:
+ *   1. GET.request → GET-response-with-datablock (block 1, last-block = false)
+ *   2. GET-request-next (block 1) → block 2 ... until last-block = true
+ *   3. raw-data of all blocks joined and parsed as one DLMS value
+ *
+ * @module services/dlms-transfer
+ */
+
+import { buildGetRequestNext } from '../protocol/dlms/client.js';
+import { DATA_ACCESS_RESULT_NAMES } from '../protocol/dlms/apdu-parser.js';
+import { parseDlmsValue } from '../protocol/dlms/data-types.js';
+import { waitForDlmsApdu } from './dlms-association.js';
+import { createChildLogger } from '../utils/logger.js';
+import config from '../config/index.js';
+
+const logger = createChildLogger({ module: 'dlms-transfer' });
+
+/**
+ * Most blocks accepted for one long GET before it is abandoned
+ */
+export const MAX_GET_BLOCKS = 1024;
+
+/**
+ * data-access-result reported when we give up on a long GET ourselves
+ */
+const LONG_GET_ABORTED = 10;
+
+/**
+ * Turn a datablock response into a failed GET.response
+ * @private
+ */
+const abortLongGet = (meterId, response, reason) => {
+  logger.warn('DLMS long GET aborted', { meterId, invokeId: response.invokeId, reason });
+  return {
+    ...response,
+    accessResult: 'error',
+    data: {
+      errorCode: LONG_GET_ABORTED,
+      errorName: DATA_ACCESS_RESULT_NAMES[LONG_GET_ABORTED],
+      reason,
+    },
+  };
+};
+
+/**
+ * Send a GET.request and wait for the complete response
+ *
+ * A normal GET.response is returned as received. For a long GET the
+ * remaining blocks are requested and the joined value is returned as
+ * `data`, with `blocks` set to the number of blocks received.
+ *
+ * @param {import('../tcp/server.js').TCPServer} tcpServer - TCP server
+ * @param {string} meterId - Meter address
+ * @param {Buffer} request - GET.request APDU
+ * @param {Object} [options] - Options
+ * @param {number} [options.timeout] - Timeout per response in ms (default: query timeout)
+ * @param {Function} [options.waitForResponse] - (type, timeout) => Promise<Object|null>,
+ *   defaults to waiting on the connection manager's DLMS events
+ * @param {number} [options.maxBlocks=MAX_GET_BLOCKS] - Most blocks to accept
+ * @returns {Promise<Object|null>} Parsed GET.response, or null on timeout. A
+ *   failed long GET has accessResult 'error' and the data-access-result in `data`
+ */
+export const sendDlmsGet = async (tcpServer, meterId, request, options = {}) => {
+  const {
+    timeout = config.dlms?.queryTimeout ?? 5000,
+    waitForResponse = (type, ms) => waitForDlmsApdu(tcpServer.connectionManager, meterId, type, ms),
+    maxBlocks = MAX_GET_BLOCKS,
+  } = options;
+  const invokeId = request[2];
+
+  await tcpServer.sendDlmsApdu(meterId, request);
+  let response = await waitForResponse('get-response', timeout);
+
+  const parts = [];
+  while (response?.block) {
+    const { block } = response;
+    if (response.accessResult !== 'success') {
+      // Meter ended the transfer with a data-access-result
+      return response;
+    }
+    if (block.blockNumber !== parts.length + 1) {
+      return abortLongGet(
+        meterId,
+        response,
+        `unexpected block ${block.blockNumber} (expected ${parts.length + 1})`
+      );
+    }
+
+    parts.push(block.rawData);
+    if (block.lastBlock) {
+      break;
+    }
+    if (parts.length >= maxBlocks) {
+      return abortLongGet(meterId, response, `more than ${maxBlocks} blocks`);
+    }
+
+    await tcpServer.sendDlmsApdu(meterId, buildGetRequestNext(block.blockNumber, invokeId));
+    response = await waitForResponse('get-response', timeout);
+  }
+
+  if (!response?.block) {
+    // Normal response, timeout, or the meter gave up with a normal error response
+    return response;
+  }
+
+  const rawData = Buffer.concat(parts);
+  let data;
+  try {
+    data = parseDlmsValue(rawData, 0);
+  } catch (err) {
+    logger.debug('Failed to parse long GET data', { meterId, error: err.message });
+    data = { raw: rawData };
+  }
+
+  logger.debug('DLMS long GET complete', { meterId, blocks: parts.length, bytes: rawData.length });
+  return { ...response, data, blocks: parts.length };
+};
+
+export default {
+  MAX_GET_BLOCKS,
+  sendDlmsGet,
+};
@@ -0,0 +1,385 @@
+/**
+ * Event Record Service
+ *
+ * Periodically reads DLT645 event record counters (power down, voltage loss,
+ * programming, cover open, relay operation) and publishes records the
+ * gateway has not seen yet.
+ *
+ * Features:
+ * - Occurrence counts compared with the last known value per meter
+ * - Only new records are read (up to MAX_EVENT_RECORDS per type) and
+ *   published oldest first through publishMeterEvent
+ * - First collection for a meter only records the baseline counts
+ * - meter_tamper alarm raised on new cover-open records and cleared once
+ *   every cover is closed again
+ *
+ * @module services/event-record-service
+ */
+
+import { EventEmitter } from 'events';
+import { createChildLogger } from '../utils/logger.js';
+import { buildReadFrame } from '../protocol/frame-builder.js';
+import { decodeEventCount, parseEventRecord } from '../protocol/frame-parser.js';
+import { EVENT_RECORD_TYPES, getSeriesDataId } from '../protocol/registers.js';
+import { isDlmsProtocol } from '../protocol/protocol-router.js';
+import { DLT645_VARIANTS } from '../protocol/dlt645-1997/registers.js';
+import { ALARM_TYPES, ALARM_SEVERITY } from './status-manager.js';
+import config from '../config/index.js';
+
+const logger = createChildLogger({ module: 'event-records' });
+
+/**
+ * Event record service events
+ */
+export const EVENT_RECORD_EVENTS = {
+  RECORD_RECEIVED: 'event_record:received',
+  COLLECTION_COMPLETED: 'event_record:completed',
+  COLLECTION_ERROR: 'event_record:error',
+};
+
+/**
+ * Event Record Service class
+ */
+export class EventRecordService extends EventEmitter {
+  /**
+   * @param {Object} options - Service options
+   * @param {Object} options.tcpServer - TCP server instance
+   * @param {Object} [options.publisher] - Telemetry publisher for meter events
+   * @param {Object} [options.statusManager] - Status manager for meter_tamper alarms
+   * @param {number} [options.interval=900000] - Collection interval in ms
+   * @param {string[]|null} [options.types] - Event type keys to collect (null = all)
+   * @param {number} [options.timeout=10000] - Command timeout in ms
+   * @param {boolean} [options.enabled=true] - Enable the service
+   */
+  constructor(options = {}) {
+    super();
+
+    if (!options.tcpServer) {
+      throw new Error('TCP server instance required');
+    }
+
+    this.tcpServer = options.tcpServer;
+    this.publisher = options.publisher || null;
+    this.statusManager = options.statusManager || null;
+    this.options = {
+      interval: options.interval ?? config.eventRecords?.interval ?? 900000,
+      types: options.types ?? config.eventRecords?.types ?? null,
+      timeout: options.timeout ?? config.polling?.timeout ?? 10000,
+      enabled: options.enabled ?? config.eventRecords?.enabled ?? true,
+    };
+
+    /** @type {Object[]} Event record types to collect */
+    this.eventTypes = Object.values(EVENT_RECORD_TYPES).filter(
+      (type) => !this.options.types || this.options.types.includes(type.key)
+    );
+
+    /** @type {boolean} */
+    this.isRunning = false;
+
+    /** @type {NodeJS.Timeout|null} */
+    this.collectTimer = null;
+
+    /** @type {Map<string, {counts: Map<string, number>, openCovers: Set<string>}>} */
+    this.meterState = new Map();
+
+    /** @type {Object} Statistics */
+    this.stats = {
+      collections: 0,
+      failedCollections: 0,
+      recordsPublished: 0,
+    };
+
+    logger.info('EventRecordService created', { options: this.options });
+  }
+
+  /**
+   * Start the service
+   */
+  start() {
+    if (this.isRunning) {
+      logger.warn('EventRecordService already running');
+      return;
+    }
+
+    if (!this.options.enabled) {
+      logger.info('Event record collection disabled by configuration');
+      return;
+    }
+
+    this.isRunning = true;
+    this.scheduleCollection();
+
+    logger.info('EventRecordService started', {
+      interval: this.options.interval,
+      types: this.eventTypes.map((type) => type.key),
+    });
+  }
+
+  /**
+   * Stop the service
+   */
+  stop() {
+    if (!this.isRunning) {
+      return;
+    }
+
+    this.isRunning = false;
+
+    if (this.collectTimer) {
+      clearTimeout(this.collectTimer);
+      this.collectTimer = null;
+    }
+
+    logger.info('EventRecordService stopped');
+  }
+
+  /**
+   * Schedule next collection cycle
+   * @private
+   */
+  scheduleCollection() {
+    if (!this.isRunning) {
+      return;
+    }
+
+    this.collectTimer = setTimeout(async () => {
+      await this.collectAllMeters();
+      this.scheduleCollection();
+    }, this.options.interval);
+  }
+
+  /**
+   * Collect event records from all connected meters
+   * @returns {Promise<Object[]>} Per-meter collection results
+   */
+  async collectAllMeters() {
+    const results = [];
+    for (const meterId of this.tcpServer.getConnectedMeters()) {
+      try {
+        results.push(await this.collectMeter(meterId));
+      } catch (error) {
+        results.push({ meterId, success: false, error: error.message });
+      }
+    }
+
+    this.emit(EVENT_RECORD_EVENTS.COLLECTION_COMPLETED, { results });
+    return results;
+  }
+
+  /**
+   * Compare event counts with the last known values and publish new records
+   *
+   * @param {string} meterId - Meter address
+   * @returns {Promise<Object>} { meterId, success, published, baseline } or { skipped }
+   * @throws {Error} If a count or record read fails
+   */
+  async collectMeter(meterId) {
+    const connection = this.tcpServer.connectionManager?.getConnectionByMeter(meterId);
+    if (isDlmsProtocol(connection?.protocolType)) {
+      return { meterId, success: true, skipped: 'dlms' };
+    }
+
+    // Event record registers are only defined for DL/T 645-2007
+    if (this.tcpServer.getDlt645Variant?.(meterId) === DLT645_VARIANTS.V1997) {
+      return { meterId, success: true, skipped: 'dlt645_1997' };
+    }
+
+    this.stats.collections++;
+
+    const state = this.meterState.get(meterId) || { counts: new Map(), openCovers: new Set() };
+    const baseline = !this.meterState.has(meterId);
+    const newTamperRecords = [];
+    let published = 0;
+
+    try {
+      for (const type of this.eventTypes) {
+        const countData = await this.readRecord(meterId, type.count);
+        if (!countData) continue; // Event type not supported by this meter
+
+        const count = decodeEventCount(countData);
+        const lastCount = state.counts.get(type.key);
+
+        // Baseline, or the meter's event records were cleared
+        if (baseline || lastCount === undefined || count < lastCount) {
+          state.counts.set(type.key, count);
+          continue;
+        }
+
+        // Oldest first; the count advances per record so a failed read resumes there
+        const newRecords = Math.min(count - lastCount, type.record.series);
+        for (let n = newRecords; n >= 1; n--) {
+          const record = await this.readEventRecord(meterId, type, n);
+          if (record) {
+            await this.publishRecord(meterId, type, count - n + 1, record);
+            published++;
+
+            if (type.tamper) {
+              newTamperRecords.push({ type: type.key, ...record });
+              if (record.end) {
+                state.openCovers.delete(type.key);
+              } else {
+                state.openCovers.add(type.key);
+              }
+            }
+          }
+          state.counts.set(type.key, count - n + 1);
+        }
+        state.counts.set(type.key, count);
+
+        // A cover seen open earlier: check whether it has been closed since
+        if (type.tamper && newRecords === 0 && state.openCovers.has(type.key)) {
+          const latest = await this.readEventRecord(meterId, type, 1);
+          if (latest?.end) {
+            state.openCovers.delete(type.key);
+          }
+        }
+      }
+    } catch (error) {
+      this.stats.failedCollections++;
+      logger.warn('Event record collection failed', { meterId, error: error.message });
+      this.emit(EVENT_RECORD_EVENTS.COLLECTION_ERROR, { meterId, error: error.message });
+      throw error;
+    } finally {
+      this.meterState.set(meterId, state);
+    }
+
+    this.updateTamperAlarm(meterId, state, newTamperRecords);
+
+    return { meterId, success: true, published, baseline };
+  }
+
+  /**
+   * Raise meter_tamper on new cover-open records, clear it once all covers are closed
+   * @private
+   * @param {string} meterId - Meter address
+   * @param {Object} state - Meter state
+   * @param {Object[]} newTamperRecords - Tamper records published in this collection
+   */
+  updateTamperAlarm(meterId, state, newTamperRecords) {
+    if (!this.statusManager) return;
+
+    if (newTamperRecords.length > 0) {
+      const latest = newTamperRecords[newTamperRecords.length - 1];
+      this.statusManager.createAlarm(meterId, ALARM_TYPES.METER_TAMPER, ALARM_SEVERITY.CRITICAL, {
+        event: latest.type,
+        start: latest.start?.getTime() ?? null,
+        end: latest.end?.getTime() ?? null,
+      });
+    } else if (state.openCovers.size === 0) {
+      this.statusManager.clearAlarm(meterId, ALARM_TYPES.METER_TAMPER);
+    }
+  }
+
+  /**
+   * Read and decode the Nth most recent record of an event type
+   * @private
+   * @param {string} meterId - Meter address
+   * @param {Object} type - Entry of EVENT_RECORD_TYPES
+   * @param {number} n - Record number (1 = most recent)
+   * @returns {Promise<Object|null>} Decoded record, or null for an empty slot
+   */
+  async readEventRecord(meterId, type, n) {
+    const register = { ...type.record, id: getSeriesDataId(type.record, n) };
+    const data = await this.readRecord(meterId, register);
+    return data ? parseEventRecord(data, type.fields) : null;
+  }
+
+  /**
+   * Publish one event record as a meter event
+   * @private
+   * @param {string} meterId - Meter address
+   * @param {Object} type - Entry of EVENT_RECORD_TYPES
+   * @param {number} sequence - Occurrence number of the record
+   * @param {Object} record - Decoded record
+   */
+  async publishRecord(meterId, type, sequence, record) {
+    const data = { source: 'dlt645', sequence };
+    for (const [key, value] of Object.entries(record)) {
+      data[key] = value instanceof Date ? value.getTime() : value;
+    }
+
+    this.stats.recordsPublished++;
+    logger.info('Meter event record', { meterId, event: type.key, sequence });
+    this.emit(EVENT_RECORD_EVENTS.RECORD_RECEIVED, { meterId, event: type.key, ...data });
+
+    if (this.publisher) {
+      await this.publisher.publishMeterEvent(meterId, type.key, data);
+    }
+  }
+
+  /**
+   * Read a record register and return its raw value bytes
+   * @private
+   * @param {string} meterId - Meter address
+   * @param {Object} register - Register with format: 'record'
+   * @returns {Promise<Buffer|null>} Value bytes, or null if the meter has no such data
+   */
+  async readRecord(meterId, register) {
+    const frame = buildReadFrame(meterId, register.id);
+
+    try {
+      const response = await this.tcpServer.sendCommand(
+        meterId,
+        frame,
+        register.id,
+        this.options.timeout
+      );
+      return response.data;
+    } catch (error) {
+      // NO_DATA: event type or record slot not supported
+      if (typeof error.errorCode === 'number' && error.errorCode & 0x02) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get last known event counts
+   * @param {string} [meterId] - Specific meter or all
+   * @returns {Object|null} Counts by event type key
+   */
+  getEventCounts(meterId) {
+    if (meterId) {
+      const state = this.meterState.get(meterId);
+      return state ? Object.fromEntries(state.counts) : null;
+    }
+
+    const counts = {};
+    for (const [id, state] of this.meterState) {
+      counts[id] = Object.fromEntries(state.counts);
+    }
+    return counts;
+  }
+
+  /**
+   * Get service statistics
+   * @returns {Object} Statistics
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      isRunning: this.isRunning,
+      metersTracked: this.meterState.size,
+      options: {
+        interval: this.options.interval,
+        types: this.eventTypes.map((type) => type.key),
+      },
+    };
+  }
+}
+
+/**
+ * Create event record service instance
+ * @param {Object} options - Options
+ * @returns {EventRecordService}
+ */
+export const createEventRecordService = (options) => {
+  return new EventRecordService(options);
+};
+
+export default {
+  EventRecordService,
+  EVENT_RECORD_EVENTS,
+  createEventRecordService,
+};
@@ -0,0 +1,115 @@
+/**
+ * JSON File Store
+ *
+ * Base of the per-meter stores kept in memory and, when a file is
+ * configured, in a JSON file that survives restarts (scaler_unit cache,
+ * capability profiles, push setups, published billing freezes). Subclasses
+ * hold the data and implement restore() and serialize().
+ *
+ * The whole file is rewritten after every change. Writes are queued so
+ * they never overlap, and each one goes to a temporary file that is then
+ * renamed over the old one, so a crash mid-write leaves the previous
+ * version. The file's directory is created when missing. A file that exists but cannot be read or parsed is left alone:
+ * the store runs from memory until the file is fixed or removed.
+ *
+ * @module services/json-file-store
+ */
+
+import { mkdir, readFile, rename, writeFile } from 'fs/promises';
+import { dirname } from 'path';
+import { createChildLogger } from '../utils/logger.js';
+
+const logger = createChildLogger({ module: 'json-file-store' });
+
+/**
+ * Per-meter store persisted in a JSON file
+ */
+export class JsonFileStore {
+  /**
+   * @param {string} file - JSON file ('' = memory only)
+   * @param {string} description - What the file holds, for log messages
+   */
+  constructor(file, description) {
+    this.options = { file };
+    this.description = description;
+
+    /** @type {boolean} The file could not be loaded, so it must not be overwritten */
+    this.readOnly = false;
+
+    /** @type {Promise<void>} Last pending write, so writes never overlap */
+    this.saving = Promise.resolve();
+  }
+
+  /**
+   * Restore the store from the parsed file
+   * @abstract
+   * @param {Object} _stored - Parsed file contents, keyed by meter ID
+   */
+  restore(_stored) {
+    throw new Error(`${this.constructor.name} does not implement restore()`);
+  }
+
+  /**
+   * Build the object written to the file
+   * @abstract
+   * @returns {Object} File contents, keyed by meter ID
+   */
+  serialize() {
+    throw new Error(`${this.constructor.name} does not implement serialize()`);
+  }
+
+  /**
+   * Load the file, if configured. A missing file is an empty store.
+   * @returns {Promise<void>}
+   */
+  async load() {
+    const { file } = this.options;
+    if (!file) {
+      return;
+    }
+
+    let stored;
+    try {
+      stored = JSON.parse(await readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this.readOnly = true;
+        logger.warn(`Failed to load ${this.description}, keeping it in memory only`, {
+          file,
+          error: error.message,
+        });
+      }
+      return;
+    }
+
+    this.restore(stored);
+    logger.info(`${this.description} loaded`, { file, meters: Object.keys(stored).length });
+  }
+
+  /**
+   * Write the file, if configured and loaded
+   * @returns {Promise<void>} Resolves when this and earlier writes are done
+   */
+  save() {
+    const { file } = this.options;
+    if (!file || this.readOnly) {
+      return this.saving;
+    }
+
+    this.saving = this.saving.then(async () => {
+      const temporary = `${file}.${process.pid}.tmp`;
+      try {
+        await mkdir(dirname(file), { recursive: true });
+        await writeFile(temporary, JSON.stringify(this.serialize(), null, 2));
+        await rename(temporary, file);
+      } catch (error) {
+        logger.warn(`Failed to save ${this.description}`, { file, error: error.message });
+      }
+    });
+    return this.saving;
+  }
+}
+
+export default {
+  JsonFileStore,
+};
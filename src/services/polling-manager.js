@@ -6,10 +6,14 @@
  *
  * Features:
  * - Configurable polling interval per meter or global
- * - Register groups (energy, instantaneous, all)
+ * - Register groups (energy, instantaneous, demand, status, all)
  * - Staggered polling to avoid thundering herd
  * - Automatic retry on failure
  * - Statistics tracking
+ * - DL/T 645-1997 meters poll the 1997 equivalent of each register
+ * - Nightly billing job: frozen / settlement snapshots published once per freeze
+ * - DLMS meters read over an association kept open between polls (DlmsSession)
+ * - Optional DLMS limiter and disconnector read after each poll, for limiter trips
  *
  * @module services/polling-manager
  */
@@ -17,13 +21,51 @@
 import { EventEmitter } from 'events';
 import { createChildLogger } from '../utils/logger.js';
 import { buildReadFrame } from '../protocol/frame-builder.js';
-import { ENERGY_REGISTERS, INSTANTANEOUS_REGISTERS } from '../protocol/registers.js';
-import { PROTOCOL_TYPES } from '../protocol/protocol-router.js';
-import { buildAarq, buildGetRequest, buildReleaseRequest, prepareDlmsForSending } from '../protocol/dlms/client.js';
+import { buildReadFrame1997 } from '../protocol/dlt645-1997/frame-builder.js';
+import { DLT645_VARIANTS, toRegister1997 } from '../protocol/dlt645-1997/registers.js';
+import {
+  ENERGY_REGISTERS,
+  MAX_DEMAND_REGISTERS,
+  INSTANTANEOUS_REGISTERS,
+  PARAMETER_REGISTERS,
+  SETTLEMENT_REGISTERS,
+  FREEZE_KINDS,
+  STATUS_WORDS,
+} from '../protocol/registers.js';
+import {
+  decodeFreezeTime,
+  decodeEnergyBlock,
+  decodeSettlementDay,
+  parseStatusWords,
+} from '../protocol/frame-parser.js';
+import { isDlmsProtocol } from '../protocol/protocol-router.js';
+import { CONFORMANCE, buildGetRequest, buildGetRequestWithList } from '../protocol/dlms/client.js';
+import { lookupObis } from '../protocol/dlms/obis-registry.js';
+import { scaleDlmsValue } from '../protocol/dlms/scaler-unit.js';
+import { discoverScalerUnits } from './dlms-scaler-units.js';
+import { createDlmsSession } from './dlms-session.js';
+import { createBillingSnapshotStore } from './billing-snapshots.js';
+import { readLimiterState } from './dlms-limiter.js';
+import { isOverThreshold } from '../protocol/dlms/limiter.js';
 import config from '../config/index.js';
 
 const logger = createChildLogger({ module: 'polling-manager' });
 
+/**
+ * Bytes per attribute in a GET.request-with-list (class, OBIS, attribute, access selection)
+ */
+const DLMS_ATTRIBUTE_DESCRIPTOR_SIZE = 10;
+
+/**
+ * Room kept in the meter's receive PDU for the GET header and ciphering
+ */
+const DLMS_LIST_REQUEST_OVERHEAD = 32;
+
+/**
+ * Unanswered GET.request-with-list in a row before a meter is read one register at a time
+ */
+const DLMS_LIST_TIMEOUT_LIMIT = 3;
+
 /**
  * Polling events
  */
@@ -35,6 +77,10 @@ export const POLLING_EVENTS = {
   METER_POLL_ERROR: 'meter:poll:error',
   CYCLE_STARTED: 'cycle:started',
   CYCLE_COMPLETED: 'cycle:completed',
+  BILLING_SNAPSHOT: 'billing:snapshot',
+  BILLING_ERROR: 'billing:error',
+  BILLING_COMPLETED: 'billing:completed',
+  LIMITER_READ: 'limiter:read',
 };
 
 /**
@@ -43,6 +89,8 @@ export const POLLING_EVENTS = {
 export const REGISTER_GROUPS = {
   ENERGY: 'energy',
   INSTANTANEOUS: 'instantaneous',
+  DEMAND: 'demand',
+  STATUS: 'status',
   ALL: 'all',
   CUSTOM: 'custom',
 };
@@ -59,6 +107,17 @@ export const DEFAULT_POLL_REGISTERS = {
     INSTANTANEOUS_REGISTERS.POWER_FACTOR_TOTAL,
     INSTANTANEOUS_REGISTERS.FREQUENCY,
   ],
+  [REGISTER_GROUPS.DEMAND]: [
+    MAX_DEMAND_REGISTERS.ACTIVE_IMPORT_MAX_DEMAND,
+    MAX_DEMAND_REGISTERS.TARIFF_1_ACTIVE_IMPORT_MAX_DEMAND,
+    MAX_DEMAND_REGISTERS.TARIFF_2_ACTIVE_IMPORT_MAX_DEMAND,
+    MAX_DEMAND_REGISTERS.TARIFF_3_ACTIVE_IMPORT_MAX_DEMAND,
+    MAX_DEMAND_REGISTERS.TARIFF_4_ACTIVE_IMPORT_MAX_DEMAND,
+    MAX_DEMAND_REGISTERS.ACTIVE_EXPORT_MAX_DEMAND,
+    MAX_DEMAND_REGISTERS.REACTIVE_IMPORT_MAX_DEMAND,
+    MAX_DEMAND_REGISTERS.REACTIVE_EXPORT_MAX_DEMAND,
+  ],
+  [REGISTER_GROUPS.STATUS]: [PARAMETER_REGISTERS.METER_STATUS],
   [REGISTER_GROUPS.ALL]: [
     ENERGY_REGISTERS.TOTAL_ACTIVE_POSITIVE,
     ENERGY_REGISTERS.TARIFF_1_ACTIVE,
@@ -69,6 +128,9 @@ export const DEFAULT_POLL_REGISTERS = {
     INSTANTANEOUS_REGISTERS.REACTIVE_POWER_TOTAL,
     INSTANTANEOUS_REGISTERS.POWER_FACTOR_TOTAL,
     INSTANTANEOUS_REGISTERS.FREQUENCY,
+    MAX_DEMAND_REGISTERS.ACTIVE_IMPORT_MAX_DEMAND,
+    MAX_DEMAND_REGISTERS.ACTIVE_EXPORT_MAX_DEMAND,
+    PARAMETER_REGISTERS.METER_STATUS,
   ],
 };
 
@@ -95,6 +157,10 @@ export const DLMS_POLL_REGISTERS = {
     { classId: 3, obisCode: '1-0:13.7.0.255', name: 'Power factor total' },
     { classId: 3, obisCode: '1-0:14.7.0.255', name: 'Frequency' },
   ],
+  [REGISTER_GROUPS.DEMAND]: [
+    { classId: 4, obisCode: '1-0:1.6.0.255', name: 'Maximum demand active import' },
+    { classId: 4, obisCode: '1-0:2.6.0.255', name: 'Maximum demand active export' },
+  ],
   [REGISTER_GROUPS.ALL]: [
     { classId: 3, obisCode: '1-0:15.8.0.255', name: 'Total energy absolute' },
     { classId: 3, obisCode: '1-0:12.7.0.255', name: 'Voltage total' },
@@ -123,6 +189,16 @@ export class PollingManager extends EventEmitter {
    * @param {number} [options.retries=2] - Retry count on failure
    * @param {number} [options.staggerDelay=100] - Delay between meters in ms
    * @param {boolean} [options.enabled=true] - Enable polling
+   * @param {Object} [options.publisher] - Telemetry publisher for billing snapshots
+   * @param {boolean} [options.billingEnabled=true] - Enable the nightly billing job
+   * @param {number} [options.billingDelay=600000] - Billing job delay after midnight in ms
+   * @param {string[]} [options.billingKinds] - Freeze kinds to collect (FREEZE_KINDS keys)
+   * @param {Object} [options.billingSnapshots] - Store of the freezes already published;
+   *   memory only when not given
+   * @param {Object} [options.scalerUnits] - DLMS scaler_unit cache, filled on the first poll
+   *   of each meter
+   * @param {number} [options.dlmsSessionIdleTimeout] - Idle time in ms before a DLMS
+   *   association kept between polls is released (0 = release after every poll)
    */
   constructor(options = {}) {
     super();
@@ -132,6 +208,9 @@ export class PollingManager extends EventEmitter {
     }
 
     this.tcpServer = options.tcpServer;
+    this.publisher = options.publisher || null;
+    /** @type {import('./dlms-scaler-units.js').ScalerUnitCache|null} */
+    this.scalerUnits = options.scalerUnits || null;
     this.options = {
       interval: options.interval ?? config.polling?.interval ?? 60000,
       registerGroup:
@@ -141,6 +220,12 @@ export class PollingManager extends EventEmitter {
       retries: options.retries ?? config.polling?.retries ?? 2,
       staggerDelay: options.staggerDelay ?? config.polling?.staggerDelay ?? 100,
       enabled: options.enabled ?? config.polling?.enabled ?? true,
+      billingEnabled: options.billingEnabled ?? config.billing?.enabled ?? true,
+      billingDelay: options.billingDelay ?? config.billing?.delay ?? 600000,
+      billingKinds: options.billingKinds ?? config.billing?.kinds ?? ['daily', 'settlement'],
+      dlmsSessionIdleTimeout:
+        options.dlmsSessionIdleTimeout ?? config.dlms?.sessionIdleTimeout ?? 120000,
+      dlmsLimiterPolling: options.dlmsLimiterPolling ?? config.dlms?.limiterPolling ?? false,
     };
 
     /** @type {boolean} */
@@ -152,6 +237,15 @@ export class PollingManager extends EventEmitter {
     /** @type {boolean} */
     this.isPolling = false;
 
+    /** @type {NodeJS.Timeout|null} */
+    this.billingTimer = null;
+
+    /** @type {boolean} */
+    this.isCollectingBilling = false;
+
+    /** @type {import('./billing-snapshots.js').BillingSnapshotStore} Last published freezes */
+    this.billingSnapshots = options.billingSnapshots || createBillingSnapshotStore({ file: '' });
+
     /** @type {number} */
     this.cycleCount = 0;
 
@@ -169,8 +263,23 @@ export class PollingManager extends EventEmitter {
     /** @type {Map<string, Object>} Per-meter polling stats */
     this.meterStats = new Map();
 
-    /** @type {Map<string, Map<number, Object>>} meterId → Map<invokeId, {obisCode, name, classId, sentAt}> */
-    this.pendingDlmsRequests = new Map();
+    /** @type {Map<string, import('./dlms-session.js').DlmsSession>} Per-meter DLMS sessions */
+    this.dlmsSessions = new Map();
+
+    /** @type {Set<string>} DLMS meters that rejected GET.request-with-list */
+    this.dlmsListUnsupported = new Set();
+
+    /** @type {Map<string, number>} Unanswered GET.request-with-list in a row, per meter */
+    this.dlmsListTimeouts = new Map();
+
+    /** @type {Map<string, Object>} Limiter monitored_value per DLMS meter */
+    this.dlmsLimiters = new Map();
+
+    /** @type {Set<string>} DLMS meters that refused the limiter's monitored_value */
+    this.dlmsLimiterUnsupported = new Set();
+
+    /** @type {Set<string>} DLT645 meters that refused the METER_STATUS block read */
+    this.statusBlockUnsupported = new Set();
 
     /** @type {Map<string, {promise: Promise, resolve: Function}>} Per-meter DLMS association locks */
     this.dlmsAssociationLocks = new Map();
@@ -187,6 +296,10 @@ export class PollingManager extends EventEmitter {
       return;
     }
 
+    if (this.options.billingEnabled && !this.billingTimer) {
+      this.scheduleBillingJob();
+    }
+
     if (!this.options.enabled) {
       logger.info('Polling disabled by configuration');
       return;
@@ -205,6 +318,11 @@ export class PollingManager extends EventEmitter {
    * Stop polling
    */
   stop() {
+    if (this.billingTimer) {
+      clearTimeout(this.billingTimer);
+      this.billingTimer = null;
+    }
+
     if (!this.isRunning) {
       return;
     }
@@ -222,6 +340,12 @@ export class PollingManager extends EventEmitter {
     }
     this.dlmsAssociationLocks.clear();
 
+    // Release kept DLMS associations
+    for (const session of this.dlmsSessions.values()) {
+      session.release().then(() => session.close());
+    }
+    this.dlmsSessions.clear();
+
     logger.info('PollingManager stopped');
   }
 
@@ -330,6 +454,196 @@ export class PollingManager extends EventEmitter {
     return results;
   }
 
+  /**
+   * Schedule the billing job for the next run after local midnight
+   * @private
+   */
+  scheduleBillingJob() {
+    const now = new Date();
+    let runAt = new Date(now.getFullYear(), now.getMonth(), now.getDate()).getTime();
+    runAt += this.options.billingDelay;
+    if (runAt <= now.getTime()) {
+      runAt = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1).getTime();
+      runAt += this.options.billingDelay;
+    }
+
+    this.billingTimer = setTimeout(async () => {
+      await this.executeBillingJob();
+      // stop() clears the timer while the job runs
+      if (this.billingTimer) {
+        this.scheduleBillingJob();
+      }
+    }, runAt - now.getTime());
+
+    logger.debug('Billing job scheduled', { runAt: new Date(runAt).toISOString() });
+  }
+
+  /**
+   * Collect frozen / settlement snapshots from all connected DLT645 meters
+   * and publish each new freeze once
+   *
+   * @returns {Promise<Object>} Job results
+   */
+  async executeBillingJob() {
+    if (this.isCollectingBilling) {
+      logger.warn('Billing job already in progress, skipping');
+      return { skipped: true };
+    }
+
+    this.isCollectingBilling = true;
+
+    const results = { metersRead: 0, published: 0, duplicates: 0, failed: 0 };
+
+    try {
+      const meters = this.tcpServer.getConnectedMeters();
+
+      for (let i = 0; i < meters.length; i++) {
+        const meterId = meters[i];
+
+        // Frozen data registers are DL/T 645-2007 only
+        const connection = this.tcpServer.connectionManager?.getConnectionByMeter(meterId);
+        if (
+          isDlmsProtocol(connection?.protocolType) ||
+          this.tcpServer.getDlt645Variant?.(meterId) === DLT645_VARIANTS.V1997
+        ) {
+          continue;
+        }
+
+        if (i > 0 && this.options.staggerDelay > 0) {
+          await this.delay(this.options.staggerDelay);
+        }
+
+        results.metersRead++;
+
+        for (const kind of this.options.billingKinds) {
+          try {
+            const published = await this.collectBillingSnapshot(meterId, kind);
+            if (published) {
+              results.published++;
+            } else {
+              results.duplicates++;
+            }
+          } catch (error) {
+            results.failed++;
+            logger.warn('Billing snapshot read failed', { meterId, kind, error: error.message });
+            this.emit(POLLING_EVENTS.BILLING_ERROR, { meterId, kind, error: error.message });
+          }
+        }
+      }
+    } finally {
+      this.isCollectingBilling = false;
+    }
+
+    logger.info('Billing job completed', results);
+    this.emit(POLLING_EVENTS.BILLING_COMPLETED, results);
+
+    return results;
+  }
+
+  /**
+   * Read one freeze kind from a meter and publish it unless already published
+   *
+   * @param {string} meterId - Meter address
+   * @param {string} kind - Freeze kind key ('timed', 'instant', 'daily', 'settlement')
+   * @returns {Promise<boolean>} True if published, false if the freeze was already published
+   * @throws {Error} If the kind is unknown, a read fails or publishing fails
+   */
+  async collectBillingSnapshot(meterId, kind) {
+    const freezeKind = Object.values(FREEZE_KINDS).find((k) => k.key === kind);
+    if (!freezeKind) {
+      throw new Error(`Unknown freeze kind: ${kind}`);
+    }
+
+    const snapshot = await this.readFrozenSnapshot(meterId, freezeKind);
+
+    if (this.billingSnapshots.isPublished(meterId, snapshot.kind, snapshot.freezeTime)) {
+      logger.debug('Billing snapshot already published', { meterId, kind });
+      return false;
+    }
+
+    if (this.publisher && !(await this.publisher.publishBillingSnapshot(meterId, snapshot))) {
+      throw new Error('Billing snapshot publish failed');
+    }
+
+    await this.billingSnapshots.markPublished(meterId, snapshot.kind, snapshot.freezeTime);
+    this.emit(POLLING_EVENTS.BILLING_SNAPSHOT, { meterId, ...snapshot });
+
+    return true;
+  }
+
+  /**
+   * Read the most recent freeze of one kind: freeze time plus its energy blocks
+   *
+   * @param {string} meterId - Meter address
+   * @param {Object} freezeKind - Entry of FREEZE_KINDS
+   * @returns {Promise<Object>} { kind, freezeTime: Date, values }
+   */
+  async readFrozenSnapshot(meterId, freezeKind) {
+    let freezeTime;
+    if (freezeKind.time) {
+      freezeTime = decodeFreezeTime(await this.readRecord(meterId, freezeKind.time));
+    } else {
+      const settlementDay = decodeSettlementDay(
+        await this.readRecord(meterId, SETTLEMENT_REGISTERS.SETTLEMENT_DAY)
+      );
+      freezeTime = this.getLastSettlementTime(settlementDay);
+    }
+
+    const values = {};
+    for (const [key, register] of Object.entries(freezeKind.values)) {
+      const data = await this.readRecord(meterId, register);
+      values[key] = { ...decodeEnergyBlock(data, register), unit: register.unit };
+    }
+
+    return { kind: freezeKind.key, freezeTime, values };
+  }
+
+  /**
+   * Read a record register and return its raw value bytes
+   * @private
+   * @param {string} meterId - Meter address
+   * @param {Object} register - Register with format: 'record'
+   * @returns {Promise<Buffer>} Value bytes (offset removed, DI stripped)
+   */
+  async readRecord(meterId, register) {
+    let lastError = null;
+
+    for (let attempt = 0; attempt <= this.options.retries; attempt++) {
+      try {
+        const frame = buildReadFrame(meterId, register.id);
+        const response = await this.tcpServer.sendCommand(
+          meterId,
+          frame,
+          register.id,
+          this.options.timeout
+        );
+        return response.data;
+      } catch (error) {
+        lastError = error;
+        if (attempt < this.options.retries) {
+          await this.delay(100);
+        }
+      }
+    }
+
+    throw lastError;
+  }
+
+  /**
+   * Most recent settlement time at or before now
+   * @private
+   * @param {Object} settlementDay - { day, hour } from decodeSettlementDay()
+   * @param {Date} [now] - Reference time
+   * @returns {Date} Settlement freeze time
+   */
+  getLastSettlementTime({ day, hour }, now = new Date()) {
+    const time = new Date(now.getFullYear(), now.getMonth(), day, hour);
+    if (time > now) {
+      return new Date(now.getFullYear(), now.getMonth() - 1, day, hour);
+    }
+    return time;
+  }
+
   /**
    * Poll a single meter for all configured registers
    *
@@ -345,9 +659,9 @@ export class PollingManager extends EventEmitter {
       errors: [],
     };
 
-    // Check protocol type - skip active polling for IVY/DLMS in passive mode
+    // Check protocol type - skip active polling for DLMS (IVY or HDLC) in passive mode
     const connection = this.tcpServer.connectionManager?.getConnectionByMeter(meterId);
-    if (connection?.protocolType === PROTOCOL_TYPES.IVY_DLMS) {
+    if (isDlmsProtocol(connection?.protocolType)) {
       const dlmsConfig = config.dlms || {};
       if (dlmsConfig.passiveOnly !== false) {
         logger.debug('Skipping active poll for DLMS meter (passive mode)', { meterId });
@@ -356,17 +670,11 @@ export class PollingManager extends EventEmitter {
       return this.pollDlmsMeter(meterId);
     }
 
-    // Initialize meter stats if needed
-    if (!this.meterStats.has(meterId)) {
-      this.meterStats.set(meterId, {
-        totalPolls: 0,
-        successful: 0,
-        failed: 0,
-        lastPoll: null,
-      });
+    if (this.tcpServer.getDlt645Variant?.(meterId) === DLT645_VARIANTS.V1997) {
+      registers = this.mapRegisters1997(meterId, registers);
     }
 
-    const meterStat = this.meterStats.get(meterId);
+    const meterStat = this.getOrCreateMeterStats(meterId);
 
     this.emit(POLLING_EVENTS.POLL_STARTED, { meterId, registers });
 
@@ -390,13 +698,44 @@ export class PollingManager extends EventEmitter {
       }
     }
 
-    meterStat.lastPoll = Date.now();
+    return this.completePoll(result, registers.length);
+  }
+
+  /**
+   * Get a meter's polling stats, creating them on first use
+   * @private
+   * @param {string} meterId - Meter address
+   * @returns {Object} Meter stats
+   */
+  getOrCreateMeterStats(meterId) {
+    if (!this.meterStats.has(meterId)) {
+      this.meterStats.set(meterId, {
+        totalPolls: 0,
+        successful: 0,
+        failed: 0,
+        lastPoll: null,
+      });
+    }
+    return this.meterStats.get(meterId);
+  }
+
+  /**
+   * Settle a meter poll and emit its events
+   * @private
+   * @param {Object} result - Poll result ({ meterId, success, readings, errors })
+   * @param {number} registerCount - Number of registers polled
+   * @returns {Object} The poll result
+   */
+  completePoll(result, registerCount) {
+    const { meterId } = result;
+    this.getOrCreateMeterStats(meterId).lastPoll = Date.now();
 
     // Mark as failed if more than half of registers failed
-    if (result.errors.length > registers.length / 2) {
+    if (result.errors.length > registerCount / 2) {
       result.success = false;
       this.emit(POLLING_EVENTS.POLL_FAILED, {
         meterId,
+        readings: result.readings,
         errors: result.errors,
       });
     } else {
@@ -416,19 +755,55 @@ export class PollingManager extends EventEmitter {
     return result;
   }
 
+  /**
+   * Map registers to their DL/T 645-1997 equivalents, dropping those the
+   * 1997 tables do not define
+   * @private
+   * @param {string} meterId - Meter address
+   * @param {Object[]} registers - Registers from the 2007 tables
+   * @returns {Object[]} 1997 registers
+   */
+  mapRegisters1997(meterId, registers) {
+    const mapped = [];
+    const unavailable = [];
+
+    for (const register of registers) {
+      const register1997 = toRegister1997(register);
+      if (register1997) {
+        mapped.push(register1997);
+      } else {
+        unavailable.push(register.key || register.name);
+      }
+    }
+
+    if (unavailable.length > 0) {
+      logger.debug('Registers not available on DL/T 645-1997 meter', { meterId, unavailable });
+    }
+
+    return mapped;
+  }
+
   /**
    * Read a single register from a meter
    *
    * @param {string} meterId - Meter address
-   * @param {Object} register - Register to read
+   * @param {Object} register - Register to read (1997 registers carry variant: '1997')
    * @returns {Promise<Object>} Read result
    */
   async readRegister(meterId, register) {
+    const statusBlock = register.id === PARAMETER_REGISTERS.METER_STATUS.id;
+    if (statusBlock && this.statusBlockUnsupported.has(meterId)) {
+      return this.readStatusWords(meterId, register);
+    }
+
     let lastError = null;
 
     for (let attempt = 0; attempt <= this.options.retries; attempt++) {
       try {
-        const frame = buildReadFrame(meterId, register.id);
+        const frame =
+          register.variant === DLT645_VARIANTS.V1997
+            ? buildReadFrame1997(meterId, register.id)
+            : buildReadFrame(meterId, register.id);
 
         const response = await this.tcpServer.sendCommand(
           meterId,
@@ -451,6 +826,8 @@ export class PollingManager extends EventEmitter {
             register: register.key || register.name,
             dataId: register.id,
             value: response.value,
+            ...(response.occurredAt !== undefined && { occurredAt: response.occurredAt }),
+            ...(response.flags && { flags: response.flags }),
             unit: response.unit || register.unit,
             timestamp: Date.now(),
           },
@@ -470,6 +847,16 @@ export class PollingManager extends EventEmitter {
       }
     }
 
+    // The meter answered with an error: it may only read the words one by one
+    if (statusBlock && lastError?.errorCode !== undefined) {
+      logger.info('Status word block read refused, reading words one by one', {
+        meterId,
+        error: lastError.message,
+      });
+      this.statusBlockUnsupported.add(meterId);
+      return this.readStatusWords(meterId, register);
+    }
+
     logger.warn('Register read failed after retries', {
       meterId,
       register: register.key || register.name,
@@ -489,128 +876,404 @@ export class PollingManager extends EventEmitter {
   }
 
   /**
-   * Poll a DLMS meter using COSEM GET.request.
-   * Fire-and-forget: sends AARQ, GET requests, and RLRQ.
-   * Responses flow through the standard DLMS event pipeline to MQTT.
+   * Read status words 1-7 one by one (DI0 = 01..07) for meters that refuse
+   * the METER_STATUS block read
+   *
+   * Stops at the first word the meter does not answer, like a block read
+   * returning fewer words; fails only if word 1 cannot be read.
    *
+   * @private
    * @param {string} meterId - Meter address
-   * @returns {Promise<Object>} Poll result
+   * @param {Object} register - METER_STATUS register
+   * @returns {Promise<Object>} Read result shaped like readRegister()
+   */
+  async readStatusWords(meterId, register) {
+    const words = [];
+    const flags = {};
+
+    for (let word = 1; word <= STATUS_WORDS.length; word++) {
+      let decoded;
+      try {
+        const data = await this.readRecord(meterId, { id: (register.id & ~0xff) | word });
+        decoded = parseStatusWords(data.subarray(0, 2), word);
+      } catch (error) {
+        if (word === 1) {
+          logger.warn('Status word read failed', { meterId, error: error.message });
+          this.emit(POLLING_EVENTS.METER_POLL_ERROR, {
+            meterId,
+            register: register.key || register.name,
+            error,
+          });
+          return { success: false, error: error.message };
+        }
+        logger.debug('Status word not read, keeping the words before it', {
+          meterId,
+          word,
+          error: error.message,
+        });
+        break;
+      }
+
+      words.push(...decoded.words);
+      Object.assign(flags, decoded.flags);
+    }
+
+    return {
+      success: true,
+      data: {
+        meterId,
+        register: register.key || register.name,
+        dataId: register.id,
+        value: words,
+        flags,
+        unit: register.unit,
+        timestamp: Date.now(),
+      },
+    };
+  }
+
+  /**
+   * Poll a DLMS meter with COSEM GET.requests over the meter's DLMS session
+   *
+   * The association is opened on the first poll and kept for the next ones
+   * until it has been idle for dlms.sessionIdleTimeout (0 = released after
+   * every poll). A kept association the meter no longer answers is opened
+   * again once.
+   *
+   * @param {string} meterId - Meter address
+   * @returns {Promise<Object>} Poll result with the scaled readings
    */
   async pollDlmsMeter(meterId) {
-    const dlmsRegisters = DLMS_POLL_REGISTERS[this.options.registerGroup]
-      || DLMS_POLL_REGISTERS[REGISTER_GROUPS.ENERGY];
+    const dlmsRegisters =
+      DLMS_POLL_REGISTERS[this.options.registerGroup] ||
+      DLMS_POLL_REGISTERS[REGISTER_GROUPS.ENERGY];
 
-    const wrapWithIvy = config.dlms?.wrapOutgoing !== false;
-    logger.info('Starting DLMS active poll', { meterId, registerCount: dlmsRegisters.length, wrapWithIvy });
+    logger.info('Starting DLMS active poll', { meterId, registerCount: dlmsRegisters.length });
+    this.emit(POLLING_EVENTS.POLL_STARTED, { meterId, registers: dlmsRegisters });
 
-    const preparePacket = (apdu) => prepareDlmsForSending(apdu, { wrapWithIvy });
+    const result = { meterId, success: true, readings: [], errors: [] };
 
-    // Acquire DLMS association lock to prevent collision with commands
-    let release = null;
+    // Lock the meter so commands do not associate in the middle of the poll
+    let unlock = null;
     try {
-      release = await this.acquireDlmsLock(meterId, 30000);
-
-      // 1. Send AARQ (Association Request)
-      const aarq = preparePacket(buildAarq());
-      logger.debug('Sending AARQ', { meterId, hex: aarq.subarray(0, Math.min(32, aarq.length)).toString('hex') });
-      const sent = await this.tcpServer.sendCommandNoWait(meterId, aarq);
-      if (!sent) {
-        logger.warn('Failed to send AARQ to DLMS meter', { meterId });
-        return { meterId, success: false, readings: [], errors: ['AARQ send failed'] };
+      unlock = await this.lockDlmsMeter(meterId, 30000);
+      const session = this.getDlmsSession(meterId);
+      const reused = session.isAssociated();
+
+      let read = await this.readDlmsRegisters(session, dlmsRegisters);
+      if (reused && read.readings.length === 0) {
+        // The meter may have dropped the association while it was idle
+        logger.debug('Kept DLMS association not answered, associating again', { meterId });
+        session.reset();
+        read = await this.readDlmsRegisters(session, dlmsRegisters);
       }
+      result.readings = read.readings;
+      result.errors = read.errors;
 
-      // Wait for AARE response to be processed
-      await this.delay(config.dlms?.associationTimeout ?? 2000);
+      if (this.options.dlmsLimiterPolling && read.readings.length > 0) {
+        await this.readDlmsLimiter(session);
+      }
 
-      // 2. Send GET.request for each register
-      // Initialize pending requests map for this meter
-      if (!this.pendingDlmsRequests.has(meterId)) {
-        this.pendingDlmsRequests.set(meterId, new Map());
+      if (this.options.dlmsSessionIdleTimeout > 0) {
+        session.keepAlive();
+      } else {
+        await session.release();
       }
-      const meterPending = this.pendingDlmsRequests.get(meterId);
+    } catch (error) {
+      logger.warn('DLMS active poll failed', { meterId, error: error.message });
+      this.dlmsSessions.get(meterId)?.reset();
+      result.errors = dlmsRegisters.map(({ obisCode }) => ({
+        register: obisCode,
+        error: error.message,
+      }));
+    } finally {
+      if (unlock) unlock();
+    }
 
-      for (let i = 0; i < dlmsRegisters.length; i++) {
-        const reg = dlmsRegisters[i];
-        const invokeId = (i + 1) & 0xFF;
-        const getReq = preparePacket(
-          buildGetRequest(reg.classId, reg.obisCode, 2, invokeId)
-        );
-        // Store invokeId → request info mapping
-        meterPending.set(invokeId, {
-          obisCode: reg.obisCode,
-          name: reg.name,
-          classId: reg.classId,
-          sentAt: Date.now(),
-        });
-        logger.debug('Sending GET.request', { meterId, obisCode: reg.obisCode, invokeId, hex: getReq.subarray(0, Math.min(32, getReq.length)).toString('hex') });
-        await this.tcpServer.sendCommandNoWait(meterId, getReq);
+    const meterStat = this.getOrCreateMeterStats(meterId);
+    this.stats.totalPolls += dlmsRegisters.length;
+    this.stats.successfulPolls += result.readings.length;
+    this.stats.failedPolls += result.errors.length;
+    meterStat.totalPolls += dlmsRegisters.length;
+    meterStat.successful += result.readings.length;
+    meterStat.failed += result.errors.length;
 
-        // Small delay between requests to avoid overwhelming the meter
-        await this.delay(200);
-      }
+    logger.info('DLMS active poll completed', {
+      meterId,
+      readings: result.readings.length,
+      errors: result.errors.length,
+    });
 
-      // Cleanup stale pending requests after 30s
-      setTimeout(() => {
-        const pending = this.pendingDlmsRequests.get(meterId);
-        if (pending) {
-          const cutoff = Date.now() - 30000;
-          for (const [id, info] of pending) {
-            if (info.sentAt < cutoff) {
-              pending.delete(id);
-            }
-          }
-          if (pending.size === 0) {
-            this.pendingDlmsRequests.delete(meterId);
-          }
+    return this.completePoll(result, dlmsRegisters.length);
+  }
+
+  /**
+   * Read registers inside the session's association, opening it if needed
+   * @private
+   * @param {import('./dlms-session.js').DlmsSession} session - Meter's DLMS session
+   * @param {Object[]} registers - Registers to read ({ classId, obisCode, name })
+   * @returns {Promise<{readings: Object[], errors: Object[]}>}
+   * @throws {Error} If the association cannot be opened
+   */
+  async readDlmsRegisters(session, registers) {
+    const { meterId } = session;
+    const aare = await session.open();
+
+    // Read scaler_unit of registers this meter has not reported yet
+    if (this.scalerUnits) {
+      await discoverScalerUnits(this.tcpServer, meterId, registers, this.scalerUnits, {
+        get: (request) => session.get(request),
+      });
+    }
+
+    const readings = [];
+    const errors = [];
+    const listSize = this.getDlmsListSize(meterId, aare);
+    for (let i = 0; i < registers.length; i += listSize) {
+      const batch = registers.slice(i, i + listSize);
+      const results = batch.length > 1 ? await this.readDlmsList(session, batch) : null;
+
+      for (const [j, register] of batch.entries()) {
+        const response = results
+          ? results[j]
+          : await session.get(buildGetRequest(register.classId, register.obisCode, 2));
+        if (response?.accessResult === 'success') {
+          readings.push(this.toDlmsReading(meterId, register, response.data));
+        } else {
+          errors.push({
+            register: register.obisCode,
+            error: response?.data?.errorName ?? response?.type ?? 'timeout',
+          });
         }
-      }, 30000);
+      }
+    }
 
-      // 3. Send RLRQ (Release Request)
-      await this.delay(500);
-      const rlrq = preparePacket(buildReleaseRequest());
-      logger.debug('Sending RLRQ', { meterId, hex: rlrq.subarray(0, Math.min(32, rlrq.length)).toString('hex') });
-      await this.tcpServer.sendCommandNoWait(meterId, rlrq);
+    return { readings, errors };
+  }
 
-      logger.info('DLMS active poll requests sent', { meterId, registerCount: dlmsRegisters.length });
+  /**
+   * Read the meter's limiter and disconnector state and emit LIMITER_READ
+   *
+   * The status manager judges limiter trips on these readings, so a trip is
+   * seen without a read_limiter command. monitored_value is read once per
+   * meter; a meter that refuses it has no limiter and is not asked again.
+   * Failures are logged and leave the poll as it is.
+   * @private
+   * @param {import('./dlms-session.js').DlmsSession} session - Meter's open DLMS session
+   * @returns {Promise<void>}
+   */
+  async readDlmsLimiter(session) {
+    const { meterId } = session;
+    if (this.dlmsLimiterUnsupported.has(meterId)) {
+      return;
+    }
 
-      // Responses arrive asynchronously through the DLMS event pipeline
-      return { meterId, success: true, readings: [], errors: [], dlmsPollSent: true };
+    try {
+      const get = (request) => session.get(request);
+      const limiter = await readLimiterState(this.tcpServer, meterId, undefined, {
+        get,
+        monitoredValue: this.dlmsLimiters.get(meterId),
+      });
+      if (!limiter) {
+        this.dlmsLimiterUnsupported.add(meterId);
+        return;
+      }
+      this.dlmsLimiters.set(meterId, limiter.monitoredValue);
+
+      const { obisCode: monitored } = limiter.monitoredValue;
+      if (this.scalerUnits) {
+        await discoverScalerUnits(
+          this.tcpServer,
+          meterId,
+          [limiter.monitoredValue],
+          this.scalerUnits,
+          {
+            get,
+          }
+        );
+      }
+      const scalerUnit = this.scalerUnits?.get(meterId, monitored) ?? null;
+      const value = scaleDlmsValue(limiter.currentValue, monitored, scalerUnit);
+      const threshold = scaleDlmsValue(limiter.thresholdActive, monitored, scalerUnit);
+
+      this.emit(POLLING_EVENTS.LIMITER_READ, {
+        meterId,
+        reading: { overThreshold: isOverThreshold(limiter), relayState: limiter.relayState },
+        obisCode: limiter.obisCode,
+        monitored,
+        value: value.value,
+        threshold: threshold.value,
+        unit: threshold.unit,
+        relayState: limiter.relayState.controlStateName,
+      });
     } catch (error) {
-      logger.warn('DLMS active poll failed', { meterId, error: error.message });
-      return { meterId, success: false, readings: [], errors: [error.message] };
-    } finally {
-      if (release) release();
+      logger.debug('DLMS limiter not read', { meterId, error: error.message });
+    }
+  }
+
+  /**
+   * Number of registers to read per GET.request-with-list
+   *
+   * Limited by DLMS_MAX_LIST_SIZE and by the meter's negotiated receive PDU
+   * size. 1 (single GETs) when the meter did not negotiate
+   * multiple-references or rejected a list before.
+   * @private
+   * @param {string} meterId - Meter address
+   * @param {Object|null} aare - Parsed AARE of the current association
+   * @returns {number} Registers per request
+   */
+  getDlmsListSize(meterId, aare) {
+    const configured = config.dlms?.maxListSize ?? 10;
+    if (configured <= 1 || this.dlmsListUnsupported.has(meterId)) {
+      return 1;
     }
+    if (
+      aare?.negotiatedConformance !== undefined &&
+      !(aare.negotiatedConformance & CONFORMANCE.MULTIPLE_REFERENCES)
+    ) {
+      return 1;
+    }
+    if (!aare?.serverMaxReceivePduSize) {
+      return configured;
+    }
+
+    const fit = Math.floor(
+      (aare.serverMaxReceivePduSize - DLMS_LIST_REQUEST_OVERHEAD) / DLMS_ATTRIBUTE_DESCRIPTOR_SIZE
+    );
+    return Math.max(1, Math.min(configured, fit));
   }
 
   /**
-   * Resolve a pending DLMS invoke ID to request info.
-   * Returns and removes the stored mapping, or null if not found.
+   * Read a batch of registers with one GET.request-with-list
    *
+   * A meter that rejects the list (exception-response or a data-access-result
+   * for the whole request) is read one register at a time from then on. An
+   * unanswered list may just be a lost packet, so that only happens after
+   * DLMS_LIST_TIMEOUT_LIMIT in a row.
+   * @private
+   * @param {import('./dlms-session.js').DlmsSession} session - Meter's DLMS session
+   * @param {Object[]} registers - Registers to read ({ classId, obisCode, name })
+   * @returns {Promise<Object[]|null>} Results in register order ({ accessResult, data }),
+   *   or null if the meter rejected the list or did not answer
+   */
+  async readDlmsList(session, registers) {
+    const { meterId } = session;
+    logger.debug('Sending GET.request-with-list', { meterId, count: registers.length });
+    const response = await session.request(buildGetRequestWithList(registers));
+    if (response?.results) {
+      this.dlmsListTimeouts.delete(meterId);
+      return response.results;
+    }
+
+    const rejected = response?.type === 'exception-response' || response?.accessResult === 'error';
+    const timeouts = rejected ? 0 : (this.dlmsListTimeouts.get(meterId) ?? 0) + 1;
+    if (rejected || timeouts >= DLMS_LIST_TIMEOUT_LIMIT) {
+      this.dlmsListUnsupported.add(meterId);
+      this.dlmsListTimeouts.delete(meterId);
+      logger.info('DLMS meter refuses GET.request-with-list, reading registers one by one', {
+        meterId,
+        response: response?.data?.errorName ?? response?.type ?? 'timeout',
+        timeouts,
+      });
+    } else {
+      this.dlmsListTimeouts.set(meterId, timeouts);
+      logger.debug('GET.request-with-list not answered, reading this batch one by one', {
+        meterId,
+        timeouts,
+      });
+    }
+    return null;
+  }
+
+  /**
+   * Build a reading from a register's attribute 2, scaled by its scaler_unit
+   * @private
    * @param {string} meterId - Meter address
-   * @param {number} invokeId - DLMS invoke ID from GET.response
-   * @returns {Object|null} { obisCode, name, classId, sentAt } or null
+   * @param {Object} register - Register read ({ obisCode })
+   * @param {Object} data - Parsed DLMS value
+   * @returns {Object} Reading
+   */
+  toDlmsReading(meterId, register, data) {
+    const value = data?.value !== undefined ? data.value : data;
+    const scaled = scaleDlmsValue(
+      value,
+      register.obisCode,
+      this.scalerUnits?.get(meterId, register.obisCode)
+    );
+    return {
+      meterId,
+      register: lookupObis(register.obisCode)?.key || register.obisCode,
+      obisCode: register.obisCode,
+      value: scaled.value,
+      unit: scaled.unit,
+      source: 'dlms',
+      timestamp: Date.now(),
+    };
+  }
+
+  /**
+   * Register a poll addressed with an invoke ID, for reporting DLMS errors
+   * @param {string} meterId - Meter address
+   * @param {number} invokeId - Invoke ID of the response
+   * @returns {{obisCode: string, name: string}|null} null when no open session sent it
    */
   resolveDlmsInvokeId(meterId, invokeId) {
-    const meterPending = this.pendingDlmsRequests.get(meterId);
-    if (!meterPending) return null;
+    const attribute = this.dlmsSessions.get(meterId)?.getRequestAttribute(invokeId);
+    if (!attribute) {
+      return null;
+    }
+    return {
+      obisCode: attribute.obisCode,
+      name: lookupObis(attribute.obisCode)?.key || attribute.obisCode,
+    };
+  }
 
-    const info = meterPending.get(invokeId);
-    if (!info) return null;
+  /**
+   * Get the meter's DLMS session, creating it on first use
+   * @private
+   * @param {string} meterId - Meter address
+   * @returns {import('./dlms-session.js').DlmsSession}
+   */
+  getDlmsSession(meterId) {
+    let session = this.dlmsSessions.get(meterId);
+    if (!session) {
+      session = createDlmsSession(this.tcpServer, meterId, {
+        retries: this.options.retries,
+        idleTimeout: this.options.dlmsSessionIdleTimeout,
+        onIdle: () => this.releaseDlmsSession(meterId),
+      });
+      this.dlmsSessions.set(meterId, session);
+    }
+    return session;
+  }
 
-    meterPending.delete(invokeId);
-    // Note: Do NOT delete the meter entry from pendingDlmsRequests here even if
-    // meterPending is empty. pollDlmsMeter() holds a local reference to the inner
-    // Map and may still be adding invokeIds for subsequent GET.requests. Premature
-    // deletion causes a race condition where invokeIds 2-6 are stored in a detached
-    // Map that resolveDlmsInvokeId can no longer find. The 30s timeout in
-    // pollDlmsMeter() handles stale entry cleanup instead.
-    return info;
+  /**
+   * Release a meter's idle DLMS session
+   * @private
+   * @param {string} meterId - Meter address
+   * @returns {Promise<void>}
+   */
+  async releaseDlmsSession(meterId) {
+    let unlock = null;
+    try {
+      unlock = await this.lockDlmsMeter(meterId, 30000);
+      const session = this.dlmsSessions.get(meterId);
+      // A poll that ran while we waited for the lock restarted the idle timer
+      if (session && !session.idleTimer) {
+        await session.release();
+      }
+    } catch (error) {
+      logger.debug('Idle DLMS session not released', { meterId, error: error.message });
+    } finally {
+      if (unlock) unlock();
+    }
   }
 
   /**
    * Acquire a per-meter DLMS association lock.
    * Ensures only one DLMS association sequence runs at a time per meter.
+   * The poller's kept association is released first, so the caller can
+   * open its own.
    *
    * @param {string} meterId - Meter address
    * @param {number} [timeout=30000] - Maximum time to wait for lock (ms)
@@ -618,6 +1281,20 @@ export class PollingManager extends EventEmitter {
    * @throws {Error} If timeout expires waiting for lock
    */
   async acquireDlmsLock(meterId, timeout = 30000) {
+    const unlock = await this.lockDlmsMeter(meterId, timeout);
+    await this.dlmsSessions.get(meterId)?.release();
+    return unlock;
+  }
+
+  /**
+   * Lock a meter for one DLMS association sequence
+   * @private
+   * @param {string} meterId - Meter address
+   * @param {number} timeout - Maximum time to wait for lock (ms)
+   * @returns {Promise<Function>} Release function to call when done
+   * @throws {Error} If timeout expires waiting for lock
+   */
+  async lockDlmsMeter(meterId, timeout) {
     const startTime = Date.now();
 
     while (this.dlmsAssociationLocks.has(meterId)) {
@@ -8,6 +8,8 @@
  * - Gateway health monitoring (uptime, memory, connections)
  * - Meter online/offline tracking with timestamps
  * - Event/alarm processing and publishing
+ * - Alarms from DLT645 meter status word flags
+ * - limiter_trip alarm from DLMS limiter readings
  * - Configurable status publish interval
  * - Historical status tracking
  *
@@ -17,6 +19,7 @@
 import { EventEmitter } from 'events';
 import { createChildLogger } from '../utils/logger.js';
 import { SERVER_EVENTS } from '../tcp/server.js';
+import { isLimiterTrip } from '../protocol/dlms/limiter.js';
 
 const logger = createChildLogger({ module: 'status-manager' });
 
@@ -83,6 +86,13 @@ export const ALARM_TYPES = {
   METER_TAMPER: 'meter_tamper',
   METER_FAULT: 'meter_fault',
   LOW_BALANCE: 'low_balance',
+  CLOCK_DRIFT: 'clock_drift',
+  CLOCK_FAULT: 'clock_fault',
+  BATTERY_LOW: 'battery_low',
+  REVERSE_POWER: 'reverse_power',
+  RELAY_OPEN: 'relay_open',
+  COVER_OPEN: 'cover_open',
+  LIMITER_TRIP: 'limiter_trip',
 };
 
 /**
@@ -94,6 +104,53 @@ export const ALARM_SEVERITY = {
   CRITICAL: 'critical',
 };
 
+/**
+ * Alarms driven by meter status word flags (STATUS_WORDS in protocol/registers.js)
+ * An alarm is raised while any of its flags is set and cleared once all of
+ * the flags the meter reported are clear.
+ */
+export const STATUS_WORD_ALARMS = [
+  {
+    type: ALARM_TYPES.BATTERY_LOW,
+    severity: ALARM_SEVERITY.WARNING,
+    flags: ['clockBatteryLow', 'readingBatteryLow'],
+  },
+  { type: ALARM_TYPES.CLOCK_FAULT, severity: ALARM_SEVERITY.WARNING, flags: ['clockFault'] },
+  {
+    type: ALARM_TYPES.METER_FAULT,
+    severity: ALARM_SEVERITY.CRITICAL,
+    flags: ['controlCircuitError', 'esamError', 'internalProgramError', 'memoryFault'],
+  },
+  {
+    type: ALARM_TYPES.REVERSE_POWER,
+    severity: ALARM_SEVERITY.WARNING,
+    flags: ['activePowerReverse', 'powerReverseA', 'powerReverseB', 'powerReverseC'],
+  },
+  {
+    type: ALARM_TYPES.VOLTAGE_LOSS,
+    severity: ALARM_SEVERITY.CRITICAL,
+    flags: [
+      'voltageLossA',
+      'voltageLossB',
+      'voltageLossC',
+      'phaseBreakA',
+      'phaseBreakB',
+      'phaseBreakC',
+    ],
+  },
+  {
+    type: ALARM_TYPES.CURRENT_IMBALANCE,
+    severity: ALARM_SEVERITY.WARNING,
+    flags: ['currentImbalance', 'currentSevereImbalance'],
+  },
+  { type: ALARM_TYPES.RELAY_OPEN, severity: ALARM_SEVERITY.INFO, flags: ['relayOpen'] },
+  {
+    type: ALARM_TYPES.COVER_OPEN,
+    severity: ALARM_SEVERITY.CRITICAL,
+    flags: ['coverOpen', 'terminalCoverOpen'],
+  },
+];
+
 /**
  * Default alarm thresholds
  */
@@ -142,6 +199,9 @@ export class StatusManager extends EventEmitter {
     /** @type {Map<string, Object>} Active alarms map */
     this.activeAlarms = new Map();
 
+    /** @type {Map<string, Object>} Last limiter reading per meter, to see the relay open */
+    this.limiterReadings = new Map();
+
     /** @type {Object[]} Recent events (limited buffer) */
     this.recentEvents = [];
     this.maxRecentEvents = 100;
@@ -411,6 +471,54 @@ export class StatusManager extends EventEmitter {
         this.clearAlarm(meterId, ALARM_TYPES.LOW_BALANCE);
       }
     }
+
+    // Status word flags (METER_STATUS)
+    if (data.flags) {
+      this.checkStatusFlags(meterId, data.flags);
+    }
+  }
+
+  /**
+   * Raise and clear status word alarms from decoded flags
+   * @private
+   * @param {string} meterId - Meter address
+   * @param {Object<string, boolean>} flags - Decoded status word flags
+   */
+  checkStatusFlags(meterId, flags) {
+    for (const alarm of STATUS_WORD_ALARMS) {
+      // Flags of words the meter did not return leave the alarm untouched
+      const reported = alarm.flags.filter((flag) => flag in flags);
+      if (reported.length === 0) continue;
+
+      const active = reported.filter((flag) => flags[flag]);
+      if (active.length > 0) {
+        this.createAlarm(meterId, alarm.type, alarm.severity, { flags: active });
+      } else {
+        this.clearAlarm(meterId, alarm.type);
+      }
+    }
+  }
+
+  /**
+   * Raise or clear the limiter_trip alarm from a DLMS limiter reading
+   *
+   * The reading is compared with the meter's previous one (isLimiterTrip()),
+   * so readings from polling and from read_limiter must both come here.
+   * @param {string} meterId - Meter address
+   * @param {Object} reading - { overThreshold, relayState } from isOverThreshold() and
+   *   toRelayState()
+   * @param {Object} [data] - Limiter details for the alarm (value, threshold, relayState, ...)
+   * @returns {boolean|null} From isLimiterTrip(); null left the alarm as it was
+   */
+  handleLimiterReading(meterId, reading, data = {}) {
+    const tripped = isLimiterTrip(this.limiterReadings.get(meterId) ?? null, reading);
+    this.limiterReadings.set(meterId, reading);
+    if (tripped === true) {
+      this.createAlarm(meterId, ALARM_TYPES.LIMITER_TRIP, ALARM_SEVERITY.WARNING, data);
+    } else if (tripped === false) {
+      this.clearAlarm(meterId, ALARM_TYPES.LIMITER_TRIP);
+    }
+    return tripped;
   }
 
   /**
@@ -720,6 +828,7 @@ export default {
   EVENT_TYPES,
   ALARM_TYPES,
   ALARM_SEVERITY,
+  STATUS_WORD_ALARMS,
   DEFAULT_THRESHOLDS,
   createStatusManager,
 };
@@ -6,7 +6,8 @@
  *
  * Features:
  * - Connection registration and tracking
- * - Meter address association
+ * - Meter address association, several meters per connection (RS485 multi-drop)
+ * - Per-meter online/offline tracking on shared connections
  * - Activity monitoring and timeouts
  * - Stream parser per connection
  * - Event emission for connection events
@@ -17,7 +18,7 @@
 import { EventEmitter } from 'events';
 import { createStreamParser } from '../protocol/frame-parser.js';
 import { createHeartbeatHandler } from '../protocol/heartbeat-handler.js';
-import { createProtocolRouter } from '../protocol/protocol-router.js';
+import { createProtocolRouter, DLMS_TRANSPORTS } from '../protocol/protocol-router.js';
 import { createChildLogger } from '../utils/logger.js';
 import config from '../config/index.js';
 
@@ -49,13 +50,16 @@ export const CONNECTION_EVENTS = {
   HEARTBEAT_RECEIVED: 'heartbeat:received',
   DLMS_RECEIVED: 'dlms:received',
   PROTOCOL_DETECTED: 'protocol:detected',
+  METER_ONLINE: 'meter:online',
+  METER_OFFLINE: 'meter:offline',
 };
 
 /**
  * Connection info object
  * @typedef {Object} ConnectionInfo
  * @property {string} id - Unique connection ID
- * @property {string|null} meterId - Associated meter address (12 digits)
+ * @property {string|null} meterId - First meter address identified on the connection (12 digits)
+ * @property {BusMeterInfo[]} meters - All meters reached through the connection
  * @property {string} remoteAddress - Client IP address
  * @property {number} remotePort - Client port
  * @property {string} state - Current connection state
@@ -67,6 +71,19 @@ export const CONNECTION_EVENTS = {
  * @property {number} framesSent - Total frames sent
  */
 
+/**
+ * Meter on a connection's RS485 bus
+ * @typedef {Object} BusMeterInfo
+ * @property {string} meterId - 12-digit meter address
+ * @property {boolean} online - False after repeated command timeouts, until it answers again
+ * @property {string|null} dlt645Variant - '2007' or '1997', detected from the meter's frames
+ * @property {string} source - How the meter was found: 'frame', 'heartbeat', 'hdlc',
+ *   'wpdu' or 'config'
+ * @property {number} addedAt - Timestamp the meter was added to the connection
+ * @property {number|null} lastSeen - Timestamp of the meter's last frame
+ * @property {number} timeouts - Consecutive command timeouts
+ */
+
 /**
  * TCP Connection Manager
  * Singleton pattern - use getInstance() or createConnectionManager()
@@ -77,6 +94,13 @@ export class ConnectionManager extends EventEmitter {
    * @param {number} [options.heartbeatInterval=30000] - Heartbeat check interval (ms)
    * @param {number} [options.connectionTimeout=120000] - Connection timeout (ms)
    * @param {number} [options.maxConnections=1000] - Maximum concurrent connections
+   * @param {string[][]} [options.buses] - Meter addresses sharing one connection, per bus
+   * @param {number} [options.meterOfflineAfter=3] - Consecutive timeouts before a meter is offline
+   * @param {string} [options.transport='auto'] - DLMS transport of this listener, see DLMS_TRANSPORTS
+   * @param {Object} [options.scalerUnits] - Per-meter scaler_unit cache ({ get(meterId, obisCode) })
+   *   used to scale DLMS telemetry
+   * @param {Object} [options.pushSetups] - Per-meter push setups ({ match(meterId, fields) })
+   *   used to name the readings of DataNotifications
    */
   constructor(options = {}) {
     super();
@@ -85,6 +109,9 @@ export class ConnectionManager extends EventEmitter {
       heartbeatInterval: options.heartbeatInterval || config.tcp.heartbeatInterval || 30000,
       connectionTimeout: options.connectionTimeout || config.tcp.connectionTimeout || 120000,
       maxConnections: options.maxConnections || 1000,
+      buses: options.buses || config.dlt645?.buses || [],
+      meterOfflineAfter: options.meterOfflineAfter ?? config.dlt645?.meterOfflineAfter ?? 3,
+      transport: options.transport || config.dlms?.transport || DLMS_TRANSPORTS.AUTO,
     };
 
     /** @type {Map<string, Object>} Connection ID -> Connection object */
@@ -93,6 +120,19 @@ export class ConnectionManager extends EventEmitter {
     /** @type {Map<string, string>} Meter ID -> Connection ID */
     this.meterToConnection = new Map();
 
+    /**
+     * Meter ID -> DLMS security context. Kept across reconnects so
+     * invocation counters keep increasing.
+     * @type {Map<string, import('../protocol/dlms/security.js').DlmsSecurityContext>}
+     */
+    this.dlmsSecurityContexts = new Map();
+
+    /** @type {import('../services/dlms-scaler-units.js').ScalerUnitCache|null} */
+    this.scalerUnits = options.scalerUnits || null;
+
+    /** @type {import('../services/dlms-push.js').PushSetupStore|null} */
+    this.pushSetups = options.pushSetups || null;
+
     /** @type {NodeJS.Timeout|null} */
     this.heartbeatTimer = null;
 
@@ -173,33 +213,57 @@ export class ConnectionManager extends EventEmitter {
     );
 
     // Create protocol router for auto-detection
-    const protocolRouter = createProtocolRouter({
-      onHeartbeat: (heartbeat) => {
-        this.handleRouterHeartbeat(connectionId, heartbeat);
-      },
-      onDlt645Frame: (parsed, frame) => {
-        this.handleFrame(connectionId, parsed, frame);
-      },
-      onDlt645Error: (error, frame) => {
-        this.handleParseError(connectionId, error, frame);
-      },
-      onDlmsApdu: (parsedApdu, telemetry, raw) => {
-        this.handleDlmsData(connectionId, parsedApdu, telemetry, raw);
-      },
-      onDlmsError: (error) => {
-        const level = error.message.includes('discarding') || error.message.includes('Skipping') ? 'warn' : 'debug';
-        logger[level]('DLMS parse error', { connectionId, error: error.message });
+    const protocolRouter = createProtocolRouter(
+      {
+        onHeartbeat: (heartbeat) => {
+          this.handleRouterHeartbeat(connectionId, heartbeat);
+        },
+        onDlt645Frame: (parsed, frame) => {
+          this.handleFrame(connectionId, parsed, frame);
+        },
+        onDlt645Error: (error, frame) => {
+          this.handleParseError(connectionId, error, frame);
+        },
+        onDlmsApdu: (parsedApdu, telemetry, raw) => {
+          this.handleDlmsData(connectionId, parsedApdu, telemetry, raw);
+        },
+        onDlmsError: (error) => {
+          const level =
+            error.message.includes('discarding') || error.message.includes('Skipping')
+              ? 'warn'
+              : 'debug';
+          logger[level]('DLMS parse error', { connectionId, error: error.message });
+        },
+        onProtocolDetected: (protocolType) => {
+          this.handleProtocolDetected(connectionId, protocolType);
+        },
+        onHdlcFrame: () => {
+          this.handleHdlcFrame(connectionId);
+        },
+        sendHdlcFrame: (frame) => this.send(connectionId, frame),
+        onWpduPacket: () => {
+          this.handleWpduPacket(connectionId);
+        },
+        decipherApdu: (apdu) => this.decipherDlmsApdu(connectionId, apdu),
+        scalerUnitFor: (obisCode) => {
+          const meterId = this.connections.get(connectionId)?.meterId;
+          return meterId ? (this.scalerUnits?.get(meterId, obisCode) ?? null) : null;
+        },
+        pushObjectListFor: (fields) => {
+          const meterId = this.connections.get(connectionId)?.meterId;
+          return meterId ? (this.pushSetups?.match(meterId, fields) ?? null) : null;
+        },
       },
-      onProtocolDetected: (protocolType) => {
-        this.handleProtocolDetected(connectionId, protocolType);
-      },
-    });
+      { transport: this.options.transport }
+    );
 
     const connection = {
       id: connectionId,
       socket,
       meterId: null,
-      protocolType: null,
+      meters: new Map(), // meterId -> bus meter state, see BusMeterInfo
+      busQueue: Promise.resolve(), // tail of the serialised request/response exchanges
+      protocolType: protocolRouter.getProtocol(),
       remoteAddress: socket.remoteAddress || 'unknown',
       remotePort: socket.remotePort || 0,
       state: CONNECTION_STATE.CONNECTED,
@@ -234,6 +298,12 @@ export class ConnectionManager extends EventEmitter {
       remotePort: connection.remotePort,
     });
 
+    // Meters behind transparent modems may stay silent until the gateway
+    // opens the HDLC link, so they are reachable from the start
+    if (this.options.transport === DLMS_TRANSPORTS.HDLC) {
+      this.identifyConnection(connectionId, this.endpointMeterId(connection), 'hdlc');
+    }
+
     return connection;
   }
 
@@ -317,9 +387,16 @@ export class ConnectionManager extends EventEmitter {
       heartbeatCount: connection.heartbeatCount + 1,
     });
 
-    // Identify connection on first heartbeat
+    // Identify connection on first heartbeat. A modem registering after the
+    // connection was identified by its endpoint replaces that ID.
     if (!connection.meterId) {
-      this.identifyConnection(connectionId, meterId);
+      this.identifyConnection(connectionId, meterId, 'heartbeat');
+    } else if (
+      connection.meterId === this.endpointMeterId(connection) &&
+      connection.meterId !== meterId
+    ) {
+      this.forgetMeter(connection, connection.meterId);
+      this.identifyConnection(connectionId, meterId, 'heartbeat');
     }
 
     connection.lastHeartbeat = Date.now();
@@ -358,6 +435,85 @@ export class ConnectionManager extends EventEmitter {
     });
   }
 
+  /**
+   * Decipher a glo-ciphered APDU with the security context of the
+   * connection's meter
+   * @private
+   * @returns {Buffer|null} Plain APDU, or null without an active context or on failure
+   */
+  decipherDlmsApdu(connectionId, apdu) {
+    const meterId = this.connections.get(connectionId)?.meterId;
+    const security = meterId ? this.dlmsSecurityContexts.get(meterId) : null;
+    if (!security?.isActive()) {
+      logger.debug('Ciphered DLMS APDU without security context', { connectionId, meterId });
+      return null;
+    }
+
+    try {
+      return security.decrypt(apdu);
+    } catch (err) {
+      logger.warn('DLMS APDU deciphering failed', { connectionId, meterId, error: err.message });
+      return null;
+    }
+  }
+
+  /**
+   * Handle an HDLC frame received via protocol router
+   *
+   * HDLC server addresses are only unique on a meter's own link (most
+   * meters answer as logical device 1), so a connection that has not
+   * registered with a heartbeat is identified by its remote endpoint, as for
+   * WPDU.
+   * @private
+   */
+  handleHdlcFrame(connectionId) {
+    const connection = this.connections.get(connectionId);
+    if (!connection || connection.meterId) return;
+
+    this.identifyConnection(connectionId, this.endpointMeterId(connection), 'hdlc');
+  }
+
+  /**
+   * Handle a WPDU received via protocol router
+   *
+   * Standard DLMS meters send no heartbeat and their wPorts name an
+   * application, not a device, so a connection that has not registered with
+   * a heartbeat is identified by its remote endpoint.
+   * @private
+   */
+  handleWpduPacket(connectionId) {
+    const connection = this.connections.get(connectionId);
+    if (!connection || connection.meterId) return;
+
+    this.identifyConnection(connectionId, this.endpointMeterId(connection), 'wpdu');
+  }
+
+  /**
+   * Meter ID of a connection identified by its remote endpoint
+   *
+   * The IP and source port are used (auto_<ip>_<port>), so meters sharing a
+   * public IP behind NAT stay on separate connections. The ID changes when
+   * the meter reconnects; per-meter settings are looked up by the remote IP
+   * instead (getMeterSettingsId), and meters that need state kept across
+   * reconnects must register with a heartbeat.
+   * @private
+   * @param {Object} connection - Connection object
+   * @returns {string} Meter ID
+   */
+  endpointMeterId(connection) {
+    return `${this.endpointSettingsId(connection)}_${connection.remotePort}`;
+  }
+
+  /**
+   * Settings ID of a connection identified by its remote endpoint (auto_<ip>)
+   * @private
+   * @param {Object} connection - Connection object
+   * @returns {string} Settings ID
+   */
+  endpointSettingsId(connection) {
+    return `auto_${connection.remoteAddress.replace(/[.:]/g, '_')}`;
+  }
+
   /**
    * Handle protocol detection from router
    * @private
@@ -430,11 +586,19 @@ export class ConnectionManager extends EventEmitter {
 
     connection.state = CONNECTION_STATE.DISCONNECTED;
 
-    // Remove from meter mapping
-    if (connection.meterId) {
-      this.meterToConnection.delete(connection.meterId);
+    // Remove bus meters from meter mapping (unless they moved to another connection)
+    const meterIds = [];
+    for (const meter of connection.meters.values()) {
+      if (this.meterToConnection.get(meter.meterId) === connectionId) {
+        this.meterToConnection.delete(meter.meterId);
+      }
+      if (meter.online) {
+        meterIds.push(meter.meterId);
+      }
     }
 
+    connection.protocolRouter.getHdlcSession()?.close();
+
     // Cancel pending commands
     for (const [, pending] of connection.pendingCommands) {
       clearTimeout(pending.timeout);
@@ -456,6 +620,7 @@ export class ConnectionManager extends EventEmitter {
     this.emit(CONNECTION_EVENTS.CONNECTION_CLOSED, {
       connectionId,
       meterId: connection.meterId,
+      meterIds,
       hadError,
       stats: {
         duration: Date.now() - connection.connectedAt,
@@ -517,19 +682,50 @@ export class ConnectionManager extends EventEmitter {
 
   /**
    * Associate a meter ID with a connection
-   * Called when first response from meter identifies it
+   * Called when a response or heartbeat from a meter identifies it. The first
+   * meter becomes the connection's meterId; further addresses seen on the same
+   * connection are added as meters on its RS485 bus, together with the rest of
+   * any configured bus (options.buses) the meter belongs to.
    *
    * @param {string} connectionId - Connection ID
    * @param {string} meterId - 12-digit meter address
+   * @param {string} [source='frame'] - How the meter was found: 'frame', 'heartbeat', 'hdlc' or 'wpdu'
    * @returns {boolean} Success
    */
-  identifyConnection(connectionId, meterId) {
+  identifyConnection(connectionId, meterId, source = 'frame') {
     const connection = this.connections.get(connectionId);
     if (!connection) {
       logger.warn('Cannot identify unknown connection', { connectionId, meterId });
       return false;
     }
 
+    if (connection.meters.has(meterId)) {
+      return true;
+    }
+
+    this.attachMeter(connection, meterId, source);
+
+    // Meters configured on the same bus are reached through this connection too
+    const bus = this.options.buses.find((addresses) => addresses.includes(meterId));
+    for (const busMeterId of bus || []) {
+      if (!connection.meters.has(busMeterId)) {
+        this.attachMeter(connection, busMeterId, 'config');
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Add a meter to a connection's bus
+   * @private
+   * @param {Object} connection - Connection object
+   * @param {string} meterId - 12-digit meter address
+   * @param {string} source - 'frame', 'heartbeat', 'hdlc', 'wpdu' or 'config'
+   */
+  attachMeter(connection, meterId, source) {
+    const connectionId = connection.id;
+
     // Check if meter is already connected elsewhere
     const existingConnectionId = this.meterToConnection.get(meterId);
     if (existingConnectionId && existingConnectionId !== connectionId) {
@@ -538,17 +734,31 @@ export class ConnectionManager extends EventEmitter {
         existingConnectionId,
         newConnectionId: connectionId,
       });
-      // Close old connection
-      this.closeConnection(existingConnectionId, 'duplicate_meter');
+      this.detachMeter(existingConnectionId, meterId);
     }
 
-    connection.meterId = meterId;
-    connection.state = CONNECTION_STATE.IDENTIFIED;
+    const now = Date.now();
+    connection.meters.set(meterId, {
+      meterId,
+      online: true,
+      dlt645Variant: null,
+      source,
+      addedAt: now,
+      lastSeen: source === 'config' ? null : now,
+      timeouts: 0,
+    });
     this.meterToConnection.set(meterId, connectionId);
 
+    if (!connection.meterId) {
+      connection.meterId = meterId;
+      connection.state = CONNECTION_STATE.IDENTIFIED;
+    }
+
     logger.info('Connection identified', {
       connectionId,
       meterId,
+      source,
+      busMeters: connection.meters.size,
       remoteAddress: connection.remoteAddress,
     });
 
@@ -557,10 +767,122 @@ export class ConnectionManager extends EventEmitter {
       meterId,
       remoteAddress: connection.remoteAddress,
     });
+  }
+
+  /**
+   * Remove a meter from a connection without closing it
+   * @private
+   * @param {Object} connection - Connection object
+   * @param {string} meterId - Meter address
+   */
+  forgetMeter(connection, meterId) {
+    connection.meters.delete(meterId);
+    this.meterToConnection.delete(meterId);
+    if (connection.meterId === meterId) {
+      connection.meterId = connection.meters.keys().next().value ?? null;
+    }
+  }
+
+  /**
+   * Remove a meter that moved to another connection
+   * The old connection is closed once it has no meters left.
+   * @private
+   * @param {string} connectionId - Connection the meter was on
+   * @param {string} meterId - 12-digit meter address
+   */
+  detachMeter(connectionId, meterId) {
+    const connection = this.connections.get(connectionId);
+    if (!connection) {
+      return;
+    }
+
+    connection.meters.delete(meterId);
+    this.meterToConnection.delete(meterId);
+
+    if (connection.meters.size === 0) {
+      this.closeConnection(connectionId, 'duplicate_meter');
+    } else if (connection.meterId === meterId) {
+      connection.meterId = connection.meters.keys().next().value;
+    }
+  }
+
+  /**
+   * Record a frame received from a meter
+   * Adds meters not yet known on the connection and brings offline meters back online.
+   *
+   * @param {string} connectionId - Connection ID
+   * @param {string} meterId - Address of the responding meter
+   * @returns {Object|null} Bus meter state, null for an unknown connection
+   */
+  recordMeterActivity(connectionId, meterId) {
+    const connection = this.connections.get(connectionId);
+    if (!connection) {
+      return null;
+    }
+
+    if (!connection.meters.has(meterId)) {
+      this.identifyConnection(connectionId, meterId);
+      return connection.meters.get(meterId) || null;
+    }
+
+    const meter = connection.meters.get(meterId);
+    meter.lastSeen = Date.now();
+    meter.timeouts = 0;
+
+    if (!meter.online) {
+      meter.online = true;
+      logger.info('Meter back online', { connectionId, meterId });
+      this.emit(CONNECTION_EVENTS.METER_ONLINE, {
+        connectionId,
+        meterId,
+        remoteAddress: connection.remoteAddress,
+      });
+    }
+
+    return meter;
+  }
+
+  /**
+   * Record a command timeout for a meter
+   * After options.meterOfflineAfter consecutive timeouts the meter is reported
+   * offline; the connection stays open for the other meters on the bus.
+   *
+   * @param {string} meterId - 12-digit meter address
+   * @returns {boolean} True if the meter went offline with this timeout
+   */
+  recordMeterTimeout(meterId) {
+    const connection = this.getConnectionByMeter(meterId);
+    const meter = connection?.meters.get(meterId);
+    if (!meter) {
+      return false;
+    }
+
+    meter.timeouts++;
+    if (!meter.online || meter.timeouts < this.options.meterOfflineAfter) {
+      return false;
+    }
+
+    meter.online = false;
+    logger.warn('Meter not responding', {
+      connectionId: connection.id,
+      meterId,
+      timeouts: meter.timeouts,
+    });
+    this.emit(CONNECTION_EVENTS.METER_OFFLINE, { connectionId: connection.id, meterId });
 
     return true;
   }
 
+  /**
+   * Get the bus state of a meter
+   *
+   * @param {string} meterId - 12-digit meter address
+   * @returns {Object|null} Bus meter state (see BusMeterInfo)
+   */
+  getMeterState(meterId) {
+    return this.getConnectionByMeter(meterId)?.meters.get(meterId) || null;
+  }
+
   /**
    * Send data to a connection
    *
@@ -605,6 +927,26 @@ export class ConnectionManager extends EventEmitter {
     });
   }
 
+  /**
+   * Run a request/response exchange once the connection's bus is free
+   * RS485 is half-duplex, so exchanges with meters sharing a connection run
+   * one at a time; a failed exchange does not hold up the ones queued after it.
+   *
+   * @param {string} connectionId - Connection ID
+   * @param {Function} task - Async exchange, started when the bus is free
+   * @returns {Promise<*>} Result of the task
+   */
+  runExclusive(connectionId, task) {
+    const connection = this.connections.get(connectionId);
+    if (!connection) {
+      return Promise.reject(new Error(`Unknown connection: ${connectionId}`));
+    }
+
+    const run = connection.busQueue.then(task);
+    connection.busQueue = run.catch(() => {});
+    return run;
+  }
+
   /**
    * Send data to a meter by its ID
    *
@@ -671,6 +1013,76 @@ export class ConnectionManager extends EventEmitter {
     return this.connections.get(connectionId) || null;
   }
 
+  /**
+   * Get the HDLC link session of a connection
+   *
+   * @param {string} connectionId - Connection ID
+   * @returns {import('../protocol/dlms/hdlc-session.js').HdlcSession|null} Session, or null
+   *   if the connection does not speak HDLC
+   */
+  getHdlcSession(connectionId) {
+    return this.connections.get(connectionId)?.protocolRouter.getHdlcSession() ?? null;
+  }
+
+  /**
+   * Switch a connection to HDLC and get its link session
+   *
+   * For meters configured as HDLC whose modem registered with a heartbeat;
+   * the session exists before the meter has sent any frame.
+   *
+   * @param {string} connectionId - Connection ID
+   * @returns {import('../protocol/dlms/hdlc-session.js').HdlcSession|null} Session, or null
+   *   for an unknown connection
+   */
+  startHdlcSession(connectionId) {
+    return this.connections.get(connectionId)?.protocolRouter.startHdlc() ?? null;
+  }
+
+  /**
+   * Get the wPorts a WPDU connection's meter last used
+   *
+   * @param {string} connectionId - Connection ID
+   * @returns {{client: number, server: number}|null} wPorts, or null before the first WPDU
+   */
+  getWpduPorts(connectionId) {
+    return this.connections.get(connectionId)?.protocolRouter.getWpduPorts() ?? null;
+  }
+
+  /**
+   * Get a meter's DLMS security context
+   * @param {string} meterId - Meter address
+   * @returns {import('../protocol/dlms/security.js').DlmsSecurityContext|null}
+   */
+  getDlmsSecurityContext(meterId) {
+    return this.dlmsSecurityContexts.get(meterId) ?? null;
+  }
+
+  /**
+   * Set a meter's DLMS security context, used to decipher its APDUs
+   * @param {string} meterId - Meter address
+   * @param {import('../protocol/dlms/security.js').DlmsSecurityContext} security - Context
+   */
+  setDlmsSecurityContext(meterId, security) {
+    this.dlmsSecurityContexts.set(meterId, security);
+  }
+
+  /**
+   * Get the ID a meter's configured settings are keyed by
+   *
+   * Meters identified by their remote endpoint get a new ID on every
+   * reconnect, so their settings are keyed by their remote IP (auto_<ip>),
+   * shared by every such meter behind that IP. Other meters use their ID.
+   *
+   * @param {string} meterId - Meter ID
+   * @returns {string} Settings ID
+   */
+  getMeterSettingsId(meterId) {
+    const connection = this.getConnectionByMeter(meterId);
+    return connection && connection.meterId === this.endpointMeterId(connection)
+      ? this.endpointSettingsId(connection)
+      : meterId;
+  }
+
   /**
    * Get connection by meter ID
    *
@@ -700,6 +1112,7 @@ export class ConnectionManager extends EventEmitter {
     return {
       id: connection.id,
       meterId: connection.meterId,
+      meters: Array.from(connection.meters.values(), (meter) => ({ ...meter })),
       remoteAddress: connection.remoteAddress,
       remotePort: connection.remotePort,
       state: connection.state,
@@ -730,6 +1143,7 @@ export class ConnectionManager extends EventEmitter {
 
   /**
    * Get all connected meter IDs
+   * Includes bus meters that are currently offline, so they keep being polled.
    *
    * @returns {string[]} Array of meter IDs
    */
@@ -754,6 +1168,7 @@ export class ConnectionManager extends EventEmitter {
    */
   getStats() {
     let identifiedCount = 0;
+    let meterCount = 0;
     let activeCount = 0;
     let idleCount = 0;
     let totalBytesReceived = 0;
@@ -761,6 +1176,7 @@ export class ConnectionManager extends EventEmitter {
 
     for (const [, connection] of this.connections) {
       if (connection.meterId) identifiedCount++;
+      meterCount += connection.meters.size;
       if (connection.state === CONNECTION_STATE.ACTIVE) activeCount++;
       if (connection.state === CONNECTION_STATE.IDLE) idleCount++;
       totalBytesReceived += connection.bytesReceived;
@@ -770,6 +1186,7 @@ export class ConnectionManager extends EventEmitter {
     return {
       totalConnections: this.connections.size,
       identifiedConnections: identifiedCount,
+      meters: meterCount,
       activeConnections: activeCount,
       idleConnections: idleCount,
       totalBytesReceived,
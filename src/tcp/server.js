@@ -5,6 +5,10 @@
  * connections from 4G energy meters. Integrates with
  * ConnectionManager for connection lifecycle management.
  *
+ * A connection may reach several DLT645 meters on an RS485 bus (multi-drop):
+ * meter addresses are taken from response frames, and commands to meters on
+ * the same connection are sent one at a time.
+ *
  * @module tcp/server
  */
 
@@ -17,9 +21,33 @@ import {
 import {
   parseFrame,
   parseReadResponse,
+  parseWriteResponse,
   parseErrorResponse,
+  combineReadSegments,
 } from '../protocol/frame-parser.js';
-import { findRegisterById } from '../protocol/registers.js';
+import { buildReadFollowFrame } from '../protocol/frame-builder.js';
+import {
+  CONTROL_CODES,
+  findRegisterById,
+  getRequestCode,
+  MAX_FOLLOW_SEQUENCE,
+  BROADCAST_ADDRESS,
+  BROADCAST_ADDRESS_AA,
+} from '../protocol/registers.js';
+import {
+  CONTROL_CODES as CONTROL_CODES_1997,
+  DLT645_VARIANTS,
+  detectVariant,
+} from '../protocol/dlt645-1997/registers.js';
+import {
+  parseReadResponse1997,
+  parseErrorResponse1997,
+} from '../protocol/dlt645-1997/frame-parser.js';
+import { buildReadFollowFrame1997 } from '../protocol/dlt645-1997/frame-builder.js';
+import { prepareDlmsForSending, resolveAssociation } from '../protocol/dlms/client.js';
+import { buildWpdu, WPDU_PORTS } from '../protocol/dlms/wpdu.js';
+import { isCipherableApdu } from '../protocol/dlms/security.js';
+import { PROTOCOL_TYPES } from '../protocol/protocol-router.js';
 import { createChildLogger } from '../utils/logger.js';
 import config from '../config/index.js';
 
@@ -53,6 +81,12 @@ export class TCPServer extends EventEmitter {
    * @param {string} [options.host='0.0.0.0'] - Bind host
    * @param {number} [options.port=8899] - Listen port
    * @param {Object} [options.connectionManagerOptions] - Options for ConnectionManager
+   * @param {string} [options.defaultVariant='2007'] - DLT645 generation until detected
+   * @param {string[]} [options.meters1997] - Meters always addressed as DL/T 645-1997
+   * @param {Object} [options.wpduMeters] - Meter ID -> { serverPort, clientPort } for meters
+   *   always sent standard WPDUs (IEC 62056-47)
+   * @param {Object} [options.hdlcMeters] - Meter ID -> { serverAddress, physicalAddress } for
+   *   meters always sent HDLC (IEC 62056-46)
    */
   constructor(options = {}) {
     super();
@@ -61,6 +95,11 @@ export class TCPServer extends EventEmitter {
       host: options.host || config.tcp.host || '0.0.0.0',
       port: options.port || config.tcp.port || 8899,
       connectionManagerOptions: options.connectionManagerOptions || {},
+      defaultVariant:
+        options.defaultVariant || config.dlt645?.defaultVariant || DLT645_VARIANTS.V2007,
+      meters1997: options.meters1997 || config.dlt645?.meters1997 || [],
+      wpduMeters: options.wpduMeters || config.dlms?.wpduMeters || {},
+      hdlcMeters: options.hdlcMeters || config.dlms?.hdlcMeters || {},
     };
 
     /** @type {net.Server|null} */
@@ -88,12 +127,23 @@ export class TCPServer extends EventEmitter {
       this.emit(SERVER_EVENTS.METER_CONNECTED, data);
     });
 
+    // One disconnect per meter that was online on the connection's bus
     this.connectionManager.on(CONNECTION_EVENTS.CONNECTION_CLOSED, (data) => {
-      if (data.meterId) {
-        this.emit(SERVER_EVENTS.METER_DISCONNECTED, data);
+      const meterIds = data.meterIds ?? (data.meterId ? [data.meterId] : []);
+      for (const meterId of meterIds) {
+        this.emit(SERVER_EVENTS.METER_DISCONNECTED, { ...data, meterId });
       }
     });
 
+    // Meters on a shared connection going quiet or answering again
+    this.connectionManager.on(CONNECTION_EVENTS.METER_ONLINE, (data) => {
+      this.emit(SERVER_EVENTS.METER_CONNECTED, data);
+    });
+
+    this.connectionManager.on(CONNECTION_EVENTS.METER_OFFLINE, (data) => {
+      this.emit(SERVER_EVENTS.METER_DISCONNECTED, data);
+    });
+
     // Forward heartbeat events
     this.connectionManager.on(CONNECTION_EVENTS.HEARTBEAT_RECEIVED, (data) => {
       this.emit(SERVER_EVENTS.HEARTBEAT_RECEIVED, data);
@@ -213,19 +263,34 @@ export class TCPServer extends EventEmitter {
     try {
       const parsed = parseFrame(frame);
 
-      // If connection not yet identified, try to identify from frame
-      if (!meterId && parsed.address) {
-        this.connectionManager.identifyConnection(connectionId, parsed.address);
+      // Responses identify the meter that sent them (several may share the connection)
+      if (
+        parsed.address &&
+        parsed.address !== BROADCAST_ADDRESS &&
+        parsed.address !== BROADCAST_ADDRESS_AA
+      ) {
+        this.connectionManager.recordMeterActivity(connectionId, parsed.address);
         meterId = parsed.address;
       }
 
+      const variant = this.recordDlt645Variant(meterId, parsed.controlCode);
+      const is1997 = variant === DLT645_VARIANTS.V1997;
+      const requestCode = getRequestCode(parsed.controlCode);
+
       if (parsed.isError) {
         // Handle error response
-        const errorResult = parseErrorResponse(frame);
+        const errorResult = is1997 ? parseErrorResponse1997(frame) : parseErrorResponse(frame);
         this.handleErrorResponse(connectionId, meterId, errorResult);
+      } else if (
+        requestCode === CONTROL_CODES.WRITE_DATA ||
+        (is1997 && requestCode === CONTROL_CODES_1997.WRITE_DATA)
+      ) {
+        // Write acknowledgment (no DI echoed back)
+        const writeResult = parseWriteResponse(frame);
+        this.handleWriteResponse(connectionId, meterId, writeResult);
       } else {
         // Handle success response
-        const telemetry = parseReadResponse(frame);
+        const telemetry = is1997 ? parseReadResponse1997(frame) : parseReadResponse(frame);
         this.handleSuccessResponse(connectionId, meterId, telemetry);
       }
     } catch (error) {
@@ -238,6 +303,43 @@ export class TCPServer extends EventEmitter {
     }
   }
 
+  /**
+   * Remember the DLT645 generation a meter speaks
+   * Tracked per meter: a bus can mix 1997 and 2007 meters.
+   * @private
+   * @param {string|null} meterId - Address of the meter that sent the frame
+   * @param {number} controlCode - Control code of a received frame
+   * @returns {string|null} Generation of this frame (DLT645_VARIANTS), null if undetermined
+   */
+  recordDlt645Variant(meterId, controlCode) {
+    const variant = detectVariant(controlCode);
+    const meter = meterId ? this.connectionManager.getMeterState(meterId) : null;
+
+    if (variant && meter && meter.dlt645Variant !== variant) {
+      meter.dlt645Variant = variant;
+      logger.info('DLT645 protocol generation detected', { meterId, variant });
+    }
+
+    return variant;
+  }
+
+  /**
+   * Get the DLT645 generation to address a meter with
+   *
+   * Meters configured as 1997 always use 1997; otherwise the generation
+   * detected from the meter's frames, or the default until one is received.
+   *
+   * @param {string} meterId - Meter address
+   * @returns {string} DLT645_VARIANTS value
+   */
+  getDlt645Variant(meterId) {
+    if (this.options.meters1997.includes(meterId)) {
+      return DLT645_VARIANTS.V1997;
+    }
+    const meter = this.connectionManager.getMeterState(meterId);
+    return meter?.dlt645Variant || this.options.defaultVariant;
+  }
+
   /**
    * Handle successful response frame
    * @private
@@ -254,6 +356,14 @@ export class TCPServer extends EventEmitter {
       return;
     }
 
+    const connection = this.connectionManager.getConnection(connectionId);
+
+    // Multi-frame read: collect segments until the last frame arrives
+    if (result.hasFollowUp || result.isFollowUp) {
+      result = connection ? this.collectReadSegment(connection, result) : null;
+      if (!result) return;
+    }
+
     const register = result.register || findRegisterById(result.dataId);
 
     logger.debug('Telemetry received', {
@@ -264,22 +374,136 @@ export class TCPServer extends EventEmitter {
       unit: result.unit,
     });
 
-    this.emit(SERVER_EVENTS.TELEMETRY_RECEIVED, {
+    // Record payloads (load profile, ...) are published by the requesting command
+    if (register?.format !== 'record') {
+      this.emit(SERVER_EVENTS.TELEMETRY_RECEIVED, {
+        connectionId,
+        meterId,
+        dataId: result.dataId,
+        dataIdFormatted: result.dataIdHex,
+        register,
+        value: result.value,
+        rawValue: result.rawValue,
+        ...(result.occurredAt !== undefined && { occurredAt: result.occurredAt }),
+        ...(result.flags && { flags: result.flags }),
+        unit: result.unit,
+        timestamp: Date.now(),
+      });
+    }
+
+    // Check for pending command
+    if (connection) {
+      this.resolvePendingCommand(connection, result);
+    }
+  }
+
+  /**
+   * Collect one segment of a multi-frame read response
+   *
+   * Requests the next frame (READ_FOLLOW, 0x12) while the meter signals that
+   * more data follows, refreshing the pending command timeout on each frame.
+   *
+   * @private
+   * @param {Object} connection - Connection object
+   * @param {Object} result - Parsed read response segment
+   * @returns {Object|null} Combined result once the last segment arrives, null while waiting
+   */
+  collectReadSegment(connection, result) {
+    let cmdId = null;
+    let pending = null;
+    for (const [id, entry] of connection.pendingCommands) {
+      if (entry.dataId === result.dataId) {
+        cmdId = id;
+        pending = entry;
+        break;
+      }
+    }
+
+    if (!pending) {
+      logger.warn('Unsolicited multi-frame read segment dropped', {
+        connectionId: connection.id,
+        dataId: result.dataIdHex,
+        sequence: result.sequence,
+      });
+      return null;
+    }
+
+    pending.segments = pending.segments || [];
+    pending.segments.push(result);
+
+    if (!result.hasFollowUp) {
+      return combineReadSegments(pending.segments);
+    }
+
+    const sequence = pending.segments.length;
+    if (sequence > MAX_FOLLOW_SEQUENCE) {
+      clearTimeout(pending.timeout);
+      connection.pendingCommands.delete(cmdId);
+      pending.reject(new Error(`Read follow-up exceeded ${MAX_FOLLOW_SEQUENCE} frames`));
+      return null;
+    }
+
+    // Give the meter a full timeout window for each follow-up frame
+    const timeoutMs = pending.timeoutMs ?? 10000;
+    clearTimeout(pending.timeout);
+    pending.timeout = setTimeout(() => {
+      connection.pendingCommands.delete(cmdId);
+      pending.reject(new Error(`Read follow-up timeout after ${timeoutMs}ms (frame ${sequence})`));
+    }, timeoutMs);
+
+    logger.debug('Requesting read follow-up frame', {
+      connectionId: connection.id,
+      dataId: result.dataIdHex,
+      sequence,
+    });
+
+    const frame =
+      result.variant === DLT645_VARIANTS.V1997
+        ? buildReadFollowFrame1997(result.address, result.dataId)
+        : buildReadFollowFrame(result.address, result.dataId, sequence);
+    this.connectionManager.send(connection.id, frame)
+      .catch((error) => {
+        clearTimeout(pending.timeout);
+        connection.pendingCommands.delete(cmdId);
+        pending.reject(error);
+      });
+
+    return null;
+  }
+
+  /**
+   * Handle write acknowledgment frame
+   * @private
+   * @param {string} connectionId - Connection ID
+   * @param {string|null} meterId - Meter ID
+   * @param {Object} result - Parsed write result
+   */
+  handleWriteResponse(connectionId, meterId, result) {
+    logger.debug('Write acknowledged', {
       connectionId,
       meterId,
-      dataId: result.dataId,
-      dataIdFormatted: result.dataIdHex,
-      register,
-      value: result.value,
-      rawValue: result.rawValue,
-      unit: result.unit,
+    });
+
+    this.emit(SERVER_EVENTS.COMMAND_RESPONSE, {
+      connectionId,
+      meterId,
+      source: 'dlt645',
+      controlCode: result.controlCode,
       timestamp: Date.now(),
     });
 
-    // Check for pending command
+    // Write acks carry no DI - resolve the oldest pending write (FIFO)
     const connection = this.connectionManager.getConnection(connectionId);
     if (connection) {
-      this.resolvePendingCommand(connection, result);
+      const writeCode = getRequestCode(result.controlCode);
+      for (const [cmdId, pending] of connection.pendingCommands) {
+        if (pending.controlCode === writeCode) {
+          clearTimeout(pending.timeout);
+          pending.resolve(result);
+          connection.pendingCommands.delete(cmdId);
+          break;
+        }
+      }
     }
   }
 
@@ -321,9 +545,12 @@ export class TCPServer extends EventEmitter {
    * @param {Object} result - Parsed result
    */
   resolvePendingCommand(connection, result) {
-    // Find matching pending command by dataId
+    // Find matching pending command by dataId (and meter, on shared connections)
     for (const [cmdId, pending] of connection.pendingCommands) {
-      if (pending.dataId === result.dataId) {
+      if (
+        pending.dataId === result.dataId &&
+        (!pending.meterId || !result.address || pending.meterId === result.address)
+      ) {
         clearTimeout(pending.timeout);
         pending.resolve(result);
         connection.pendingCommands.delete(cmdId);
@@ -344,7 +571,11 @@ export class TCPServer extends EventEmitter {
     if (entry) {
       const [cmdId, pending] = entry;
       clearTimeout(pending.timeout);
-      pending.reject(new Error(result.errorMessage || 'Command failed'));
+      // Keep the meter's error byte so callers can report structured errors
+      const error = new Error(result.errorMessage || 'Command failed');
+      error.errorCode = result.errorCode;
+      error.controlCode = result.controlCode;
+      pending.reject(error);
       connection.pendingCommands.delete(cmdId);
     }
   }
@@ -402,6 +633,15 @@ export class TCPServer extends EventEmitter {
           });
         }
       }
+    } else if (apduType === 'get-response' && parsedApdu.block) {
+      // One block of a long GET; the requester joins the blocks
+      logger.debug('DLMS GET.response data block', {
+        connectionId,
+        meterId,
+        invokeId: parsedApdu.invokeId,
+        blockNumber: parsedApdu.block.blockNumber,
+        lastBlock: parsedApdu.block.lastBlock,
+      });
     } else if (apduType === 'get-response') {
       if (parsedApdu.accessResult === 'success') {
         // Emit COMMAND_RESPONSE for pending command resolution
@@ -426,6 +666,7 @@ export class TCPServer extends EventEmitter {
             source: 'dlms',
             type: 'get-response',
             data: parsedApdu.data,
+            results: parsedApdu.results, // GET-response-with-list, in request order
             readings: {},
           },
           timestamp: Date.now(),
@@ -455,6 +696,9 @@ export class TCPServer extends EventEmitter {
   /**
    * Send a command to a meter and wait for response
    *
+   * Commands to meters sharing a connection are queued and sent one at a
+   * time; the timeout starts when the command is sent.
+   *
    * @param {string} meterId - 12-digit meter address
    * @param {Buffer} frame - Command frame to send
    * @param {number} [dataId] - Expected response data ID (for matching)
@@ -467,21 +711,42 @@ export class TCPServer extends EventEmitter {
       throw new Error(`Meter not connected: ${meterId}`);
     }
 
+    return this.connectionManager.runExclusive(connection.id, () =>
+      this.exchangeCommand(connection, meterId, frame, dataId, timeout)
+    );
+  }
+
+  /**
+   * Send one command frame and wait for the matching response
+   * @private
+   * @param {Object} connection - Connection object
+   * @param {string} meterId - 12-digit meter address
+   * @param {Buffer} frame - Command frame to send
+   * @param {number|null} dataId - Expected response data ID
+   * @param {number} timeout - Response timeout in ms
+   * @returns {Promise<Object>} Parsed response
+   */
+  exchangeCommand(connection, meterId, frame, dataId, timeout) {
     const commandId = `cmd_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 
     return new Promise((resolve, reject) => {
       // Setup timeout
       const timeoutHandle = setTimeout(() => {
         connection.pendingCommands.delete(commandId);
+        this.connectionManager.recordMeterTimeout(meterId);
         reject(new Error(`Command timeout after ${timeout}ms`));
       }, timeout);
 
       // Store pending command
       connection.pendingCommands.set(commandId, {
+        meterId,
         dataId,
+        controlCode: frame[8],
         resolve,
         reject,
         timeout: timeoutHandle,
+        timeoutMs: timeout,
+        segments: [],
         sentAt: Date.now(),
       });
 
@@ -503,7 +768,111 @@ export class TCPServer extends EventEmitter {
    * @returns {Promise<boolean>} Send success
    */
   async sendCommandNoWait(meterId, frame) {
-    return this.connectionManager.sendToMeter(meterId, frame);
+    const connection = this.connectionManager.getConnectionByMeter(meterId);
+    if (!connection) {
+      return this.connectionManager.sendToMeter(meterId, frame);
+    }
+
+    // Still waits for the bus: a frame sent mid-exchange would collide on RS485
+    return this.connectionManager.runExclusive(connection.id, () =>
+      this.connectionManager.send(connection.id, frame)
+    );
+  }
+
+  /**
+   * Send a DLMS APDU without waiting for the response, framed for the meter's transport
+   *
+   * HDLC meters (detected, on an 'hdlc' listener, or listed in
+   * options.hdlcMeters) get the APDU in I-frames; the link is set up with
+   * SNRM first if needed, from the meter's client address and configured
+   * server address;
+   * WPDU meters (detected, or listed in options.wpduMeters) get a standard
+   * wrapper header; IVY meters get it IVY-wrapped unless
+   * config.dlms.wrapOutgoing is false. Responses arrive through the DLMS
+   * event pipeline. Inside an HLS-GMAC association, xDLMS requests are
+   * glo-ciphered with the meter's security context first.
+   *
+   * @param {string} meterId - Meter address
+   * @param {Buffer} apdu - DLMS APDU
+   * @returns {Promise<boolean>} Send success
+   */
+  async sendDlmsApdu(meterId, apdu) {
+    const security = this.connectionManager.getDlmsSecurityContext(meterId);
+    if (security?.isActive() && isCipherableApdu(apdu)) {
+      apdu = security.encrypt(apdu);
+    }
+
+    const connection = this.connectionManager.getConnectionByMeter(meterId);
+    const settingsId = this.connectionManager.getMeterSettingsId(meterId);
+    const hdlcMeter = this.options.hdlcMeters[settingsId];
+    let hdlcSession = null;
+    if (connection) {
+      hdlcSession = hdlcMeter
+        ? this.connectionManager.startHdlcSession(connection.id)
+        : this.connectionManager.getHdlcSession(connection.id);
+    }
+
+    if (!hdlcSession) {
+      const wpduPorts = this.resolveWpduPorts(meterId, connection);
+      if (wpduPorts) {
+        const wpdu = buildWpdu(apdu, { source: wpduPorts.client, destination: wpduPorts.server });
+        return this.sendCommandNoWait(meterId, wpdu);
+      }
+
+      const wrapWithIvy = config.dlms?.wrapOutgoing !== false;
+      return this.sendCommandNoWait(meterId, prepareDlmsForSending(apdu, { wrapWithIvy }));
+    }
+
+    return this.connectionManager.runExclusive(connection.id, async () => {
+      try {
+        await hdlcSession.setClientAddress(resolveAssociation(settingsId).clientAddress);
+        if (hdlcMeter?.serverAddress !== undefined) {
+          await hdlcSession.setServerAddress(
+            hdlcMeter.serverAddress,
+            hdlcMeter.physicalAddress ?? null
+          );
+        }
+        return await hdlcSession.sendApdu(apdu);
+      } catch (error) {
+        logger.warn('HDLC send failed', { meterId, error: error.message });
+        return false;
+      }
+    });
+  }
+
+  /**
+   * Resolve the wPorts for a WPDU send
+   *
+   * Per-meter configuration (wPorts, then the association's client address),
+   * looked up by the meter's settings ID, wins over the wPorts the meter last
+   * used, which win over the configured defaults.
+   * @private
+   * @param {string} meterId - Meter address
+   * @param {Object|null} connection - Connection carrying the meter
+   * @returns {{client: number, server: number}|null} wPorts, or null if the
+   *   meter does not use the standard wrapper
+   */
+  resolveWpduPorts(meterId, connection) {
+    const settingsId = this.connectionManager.getMeterSettingsId(meterId);
+    const override = this.options.wpduMeters[settingsId];
+    if (!override && connection?.protocolType !== PROTOCOL_TYPES.WPDU_DLMS) {
+      return null;
+    }
+
+    const seen = connection ? this.connectionManager.getWpduPorts(connection.id) : null;
+    return {
+      client:
+        override?.clientPort ??
+        config.dlms?.meterCredentials?.[settingsId]?.clientAddress ??
+        seen?.client ??
+        config.dlms?.wpduClientPort ??
+        WPDU_PORTS.PUBLIC_CLIENT,
+      server:
+        override?.serverPort ??
+        seen?.server ??
+        config.dlms?.wpduServerPort ??
+        WPDU_PORTS.MANAGEMENT_LOGICAL_DEVICE,
+    };
   }
 
   /**
@@ -10,7 +10,24 @@ import {
   COMMAND_STATUS,
   createCommandHandler,
 } from '../../../src/mqtt/command-handler.js';
-import { ENERGY_REGISTERS } from '../../../src/protocol/registers.js';
+import {
+  ENERGY_REGISTERS,
+  PREPAID_REGISTERS,
+  LOAD_PROFILE_REGISTERS,
+} from '../../../src/protocol/registers.js';
+import { buildWriteFrame, buildLoadProfileReadFrame } from '../../../src/protocol/frame-builder.js';
+import { decimalToBcd } from '../../../src/protocol/bcd.js';
+import {
+  DLMS_DATA_TYPES,
+  encodeDlmsValue,
+  encodeCosemDateTime,
+  parseDlmsValue,
+} from '../../../src/protocol/dlms/data-types.js';
+import { ScalerUnitCache } from '../../../src/services/dlms-scaler-units.js';
+import { CapabilityStore } from '../../../src/services/dlms-discovery.js';
+import { PushSetupStore } from '../../../src/services/dlms-push.js';
+import { StatusManager } from '../../../src/services/status-manager.js';
+import config from '../../../src/config/index.js';
 
 // Mock logger
 vi.mock('../../../src/utils/logger.js', () => ({
@@ -30,10 +47,36 @@ vi.mock('../../../src/utils/logger.js', () => ({
 
 // Mock frame-builder
 vi.mock('../../../src/protocol/frame-builder.js', () => ({
+  buildFrame: vi.fn((meterId, controlCode) => Buffer.from(`frame:${meterId}:${controlCode}`)),
   buildReadFrame: vi.fn((meterId, dataId) => Buffer.from(`read:${meterId}:${dataId}`)),
   buildSimpleRelayFrame: vi.fn((meterId, command) => Buffer.from(`relay:${meterId}:${command}`)),
+  buildWriteFrame: vi.fn((meterId, dataId) => Buffer.from(`write:${meterId}:${dataId}`)),
+  buildLoadProfileReadFrame: vi.fn((meterId) => Buffer.from(`load_profile:${meterId}`)),
 }));
 
+/**
+ * Build load profile blocks with no recorded sections, one per timestamp
+ * @param {Date[]} times - Block times
+ * @returns {Buffer} Concatenated A0 A0 LEN mmhhDDMMYY CS E5 blocks
+ */
+const buildLoadProfileBlocks = (times) =>
+  Buffer.concat(
+    times.map((time) => {
+      const body = Buffer.concat(
+        [
+          time.getMinutes(),
+          time.getHours(),
+          time.getDate(),
+          time.getMonth() + 1,
+          time.getFullYear() % 100,
+        ].map((part) => decimalToBcd(part, 1))
+      );
+      const head = Buffer.from([0xa0, 0xa0, body.length]);
+      const checksum = [...head, ...body].reduce((sum, byte) => (sum + byte) & 0xff, 0);
+      return Buffer.concat([head, body, Buffer.from([checksum, 0xe5])]);
+    })
+  );
+
 /**
  * Create mock MQTT broker
  */
@@ -77,6 +120,7 @@ const createMockTCPServer = () => ({
  */
 const createMockPublisher = () => ({
   publishCommandResponse: vi.fn(() => Promise.resolve(true)),
+  publishMeterEvent: vi.fn(() => Promise.resolve(true)),
 });
 
 describe('Command Handler', () => {
@@ -318,6 +362,25 @@ describe('Command Handler', () => {
       expect(result.error).toBe('Missing register or dataId parameter');
     });
 
+    it('should reject write_register without value', () => {
+      const result = handler.validateCommand({
+        id: 'cmd_1',
+        method: 'write_register',
+        params: { register: 'RELAY_STATUS' },
+      });
+      expect(result.valid).toBe(false);
+      expect(result.error).toContain('invalid value');
+    });
+
+    it('should accept write_register with register and value', () => {
+      const result = handler.validateCommand({
+        id: 'cmd_1',
+        method: 'write_register',
+        params: { register: 'RELAY_STATUS', value: 0 },
+      });
+      expect(result.valid).toBe(true);
+    });
+
     it('should accept read_register with register param', () => {
       const result = handler.validateCommand({
         id: 'cmd_1',
@@ -553,6 +616,64 @@ describe('Command Handler', () => {
       );
     });
 
+    describe('on DL/T 645-1997 meters', () => {
+      const readRegister = (params) =>
+        handler.handleCommandMessage({
+          topic: 'ivy/v1/meters/000000001234/command/request',
+          payload: Buffer.from(JSON.stringify({ id: 'cmd_1', method: 'read_register', params })),
+        });
+
+      beforeEach(() => {
+        mockTCPServer.getDlt645Variant = vi.fn(() => '1997');
+      });
+
+      it('should read the 1997 equivalent of a register name', async () => {
+        await readRegister({ register: 'TOTAL_ACTIVE_POSITIVE' });
+
+        expect(mockTCPServer.sendCommand).toHaveBeenCalledWith(
+          '000000001234',
+          Buffer.from('frame:000000001234:1'),
+          0x9010,
+          10000
+        );
+        expect(mockPublisher.publishCommandResponse).toHaveBeenCalledWith(
+          '000000001234',
+          'cmd_1',
+          true,
+          expect.objectContaining({
+            register: 'TOTAL_ACTIVE_POSITIVE',
+            dataId: '0x9010',
+            variant: '1997',
+          })
+        );
+      });
+
+      it('should read 2-byte data identifiers', async () => {
+        await readRegister({ dataId: 'B611' });
+
+        expect(mockTCPServer.sendCommand).toHaveBeenCalledWith(
+          '000000001234',
+          expect.any(Buffer),
+          0xb611,
+          10000
+        );
+      });
+
+      it('should fail for registers without a 1997 equivalent', async () => {
+        await readRegister({ register: 'FREQUENCY' });
+
+        expect(mockTCPServer.sendCommand).not.toHaveBeenCalled();
+        expect(mockPublisher.publishCommandResponse).toHaveBeenCalledWith(
+          '000000001234',
+          'cmd_1',
+          false,
+          expect.objectContaining({
+            error: 'Register not available on DL/T 645-1997 meters: FREQUENCY',
+          })
+        );
+      });
+    });
+
     it('should publish success response', async () => {
       const packet = {
         topic: 'ivy/v1/meters/000000001234/command/request',
@@ -629,6 +750,429 @@ describe('Command Handler', () => {
     });
   });
 
+  describe('executeWriteRegister', () => {
+    let handler;
+
+    const writePacket = (params) => ({
+      topic: 'ivy/v1/meters/000000001234/command/request',
+      payload: Buffer.from(JSON.stringify({ id: 'cmd_w', method: 'write_register', params })),
+    });
+
+    beforeEach(() => {
+      handler = new CommandHandler({
+        broker: mockBroker,
+        tcpServer: mockTCPServer,
+        publisher: mockPublisher,
+      });
+      handler.start();
+    });
+
+    afterEach(() => {
+      handler.stop();
+    });
+
+    it('should encode engineering value to BCD using register resolution', async () => {
+      await handler.handleCommandMessage(writePacket({ register: 'BALANCE_MONEY', value: 12.34 }));
+
+      expect(buildWriteFrame).toHaveBeenCalledWith(
+        '000000001234',
+        PREPAID_REGISTERS.BALANCE_MONEY.id,
+        Buffer.from([0x34, 0x12, 0x00, 0x00]),
+        '00000000',
+        '00000000'
+      );
+      expect(mockTCPServer.sendCommand).toHaveBeenCalledWith(
+        '000000001234',
+        expect.any(Buffer),
+        PREPAID_REGISTERS.BALANCE_MONEY.id,
+        10000
+      );
+      expect(mockPublisher.publishCommandResponse).toHaveBeenCalledWith(
+        '000000001234',
+        'cmd_w',
+        true,
+        expect.objectContaining({ register: 'BALANCE_MONEY', value: 12.34, rawValue: 1234 })
+      );
+    });
+
+    it('should use operator code and password from params', async () => {
+      await handler.handleCommandMessage(
+        writePacket({
+          register: 'RELAY_STATUS',
+          value: 1,
+          operatorCode: '12345678',
+          password: '02000000',
+        })
+      );
+
+      expect(buildWriteFrame).toHaveBeenCalledWith(
+        '000000001234',
+        0x04000501,
+        Buffer.from([0x01]),
+        '12345678',
+        '02000000'
+      );
+    });
+
+    it('should require bytes for unknown dataId', async () => {
+      await handler.handleCommandMessage(writePacket({ dataId: '0x04009999', value: 1 }));
+
+      expect(mockTCPServer.sendCommand).not.toHaveBeenCalled();
+      expect(mockPublisher.publishCommandResponse).toHaveBeenCalledWith(
+        '000000001234',
+        'cmd_w',
+        false,
+        expect.objectContaining({ error: expect.stringContaining('Unknown value length') })
+      );
+    });
+
+    it('should reject values that do not fit the register', async () => {
+      await expect(
+        handler.execute('000000001234', 'write_register', { register: 'RELAY_STATUS', value: 100 })
+      ).rejects.toThrow('does not fit');
+      await expect(
+        handler.execute('000000001234', 'write_register', { register: 'RELAY_STATUS', value: -1 })
+      ).rejects.toThrow('Negative value');
+    });
+
+    it('should reject invalid password format', async () => {
+      await expect(
+        handler.execute('000000001234', 'write_register', {
+          register: 'RELAY_STATUS',
+          value: 1,
+          password: 'secret',
+        })
+      ).rejects.toThrow('Invalid password');
+    });
+
+    it('should map DLT645 error responses to structured errors', async () => {
+      const meterError = new Error('Password error / Unauthorized');
+      meterError.errorCode = 0x04;
+      mockTCPServer.sendCommand.mockRejectedValueOnce(meterError);
+
+      const failedEvent = vi.fn();
+      handler.on(COMMAND_EVENTS.COMMAND_FAILED, failedEvent);
+
+      await handler.handleCommandMessage(writePacket({ register: 'RELAY_STATUS', value: 0 }));
+
+      expect(mockPublisher.publishCommandResponse).toHaveBeenCalledWith(
+        '000000001234',
+        'cmd_w',
+        false,
+        {
+          error: 'Password error / Unauthorized',
+          code: 'PASSWORD_ERROR',
+          errorCode: 0x04,
+        }
+      );
+      expect(failedEvent).toHaveBeenCalledWith(
+        expect.objectContaining({ code: 'PASSWORD_ERROR' })
+      );
+    });
+
+    it('should name error bits of 1997 meters by the 1997 table', async () => {
+      mockTCPServer.getDlt645Variant = vi.fn(() => '1997');
+      const meterError = new Error('Data identifier error');
+      meterError.errorCode = 0x02;
+      mockTCPServer.sendCommand.mockRejectedValueOnce(meterError);
+
+      await handler.handleCommandMessage(writePacket({ register: 'RELAY_STATUS', value: 0 }));
+
+      expect(mockPublisher.publishCommandResponse).toHaveBeenCalledWith(
+        '000000001234',
+        'cmd_w',
+        false,
+        expect.objectContaining({ code: 'DATA_ID_ERROR', errorCode: 0x02 })
+      );
+    });
+
+    it('should reject write_register for DLMS meters', async () => {
+      mockTCPServer.connectionManager.getConnectionByMeter.mockReturnValue({
+        id: 'conn-1',
+        protocolType: 'ivy_dlms',
+      });
+
+      await expect(
+        handler.execute('000000001234', 'write_register', { register: 'RELAY_STATUS', value: 1 })
+      ).rejects.toThrow('not supported for DLMS');
+    });
+  });
+
+  describe('executeReadLoadProfile', () => {
+    let handler;
+
+    const at = (minutes) => new Date(2024, 0, 15, 0, minutes);
+
+    beforeEach(() => {
+      mockPublisher.publishLoadProfile = vi.fn(() => Promise.resolve(true));
+      handler = new CommandHandler({
+        broker: mockBroker,
+        tcpServer: mockTCPServer,
+        publisher: mockPublisher,
+      });
+    });
+
+    describe('validation', () => {
+      const validate = (params) =>
+        handler.validateCommand({ id: 'lp', method: 'read_load_profile', params });
+
+      it('should require start or blocks', () => {
+        expect(validate({})).toEqual({
+          valid: false,
+          error: 'Missing start or blocks parameter',
+        });
+      });
+
+      it('should reject out-of-range blocks', () => {
+        expect(validate({ blocks: 0 }).valid).toBe(false);
+        expect(validate({ blocks: 100 }).error).toBe('Invalid blocks parameter (must be 1-99)');
+      });
+
+      it('should reject invalid dates and intervals', () => {
+        expect(validate({ start: 'yesterday' }).error).toBe(
+          'Invalid start parameter (must be a date)'
+        );
+        expect(validate({ start: 0, end: 'soon' }).error).toBe(
+          'Invalid end parameter (must be a date)'
+        );
+        expect(validate({ start: 0, interval: 0 }).valid).toBe(false);
+      });
+
+      it('should accept a window or a block count', () => {
+        expect(validate({ start: '2024-01-15T00:00:00', end: Date.now() }).valid).toBe(true);
+        expect(validate({ blocks: 4 }).valid).toBe(true);
+      });
+
+      it('should reject an invalid profile', () => {
+        expect(validate({ blocks: 4, profile: 7 }).error).toBe(
+          'Invalid profile parameter (OBIS code or name)'
+        );
+        expect(validate({ blocks: 4, profile: 'POWER_FAILURE_LOG' }).valid).toBe(true);
+      });
+    });
+
+    it('should read the latest blocks and publish them', async () => {
+      mockTCPServer.sendCommand.mockResolvedValueOnce({
+        data: buildLoadProfileBlocks([at(0), at(15)]),
+      });
+
+      const result = await handler.execute('000000001234', 'read_load_profile', { blocks: 2 });
+
+      expect(buildLoadProfileReadFrame).toHaveBeenCalledWith('000000001234', { count: 2 });
+      expect(mockTCPServer.sendCommand).toHaveBeenCalledWith(
+        '000000001234',
+        expect.any(Buffer),
+        LOAD_PROFILE_REGISTERS.LATEST_BLOCKS.id,
+        10000
+      );
+      expect(mockPublisher.publishLoadProfile).toHaveBeenCalledWith(
+        '000000001234',
+        [
+          expect.objectContaining({ timestamp: at(0) }),
+          expect.objectContaining({ timestamp: at(15) }),
+        ],
+        { blocks: 2 }
+      );
+      expect(result).toMatchObject({
+        blocks: 2,
+        count: 2,
+        first: at(0).getTime(),
+        last: at(15).getTime(),
+        published: true,
+      });
+    });
+
+    it('should split a window into requests of at most 99 blocks', async () => {
+      // 150 blocks of 15 minutes
+      const start = at(0);
+      const end = at(149 * 15);
+      mockTCPServer.sendCommand
+        .mockResolvedValueOnce({ data: buildLoadProfileBlocks([at(0), at(15)]) })
+        .mockResolvedValueOnce({ data: buildLoadProfileBlocks([at(99 * 15)]) });
+
+      const result = await handler.execute('000000001234', 'read_load_profile', {
+        start: start.toISOString(),
+        end: end.toISOString(),
+        interval: 15,
+      });
+
+      expect(buildLoadProfileReadFrame).toHaveBeenNthCalledWith(1, '000000001234', {
+        count: 99,
+        start,
+      });
+      expect(buildLoadProfileReadFrame).toHaveBeenNthCalledWith(2, '000000001234', {
+        count: 51,
+        start: at(99 * 15),
+      });
+      expect(mockTCPServer.sendCommand).toHaveBeenCalledWith(
+        '000000001234',
+        expect.any(Buffer),
+        LOAD_PROFILE_REGISTERS.BLOCKS_FROM_TIME.id,
+        10000
+      );
+      expect(result).toMatchObject({
+        start: start.getTime(),
+        end: end.getTime(),
+        interval: 15,
+        count: 3,
+      });
+    });
+
+    it('should drop records outside the window and duplicates', async () => {
+      mockTCPServer.sendCommand.mockResolvedValueOnce({
+        data: buildLoadProfileBlocks([at(15), at(30), at(30), at(60)]),
+      });
+
+      const result = await handler.execute('000000001234', 'read_load_profile', {
+        start: at(15).getTime(),
+        end: at(45).getTime(),
+        interval: 15,
+      });
+
+      const [, records] = mockPublisher.publishLoadProfile.mock.calls[0];
+      expect(records.map((record) => record.timestamp)).toEqual([at(15), at(30)]);
+      expect(result.count).toBe(2);
+    });
+
+    it('should treat a NO_DATA meter error as an empty window', async () => {
+      const error = new Error('No data requested');
+      error.errorCode = 0x02;
+      mockTCPServer.sendCommand.mockRejectedValueOnce(error);
+
+      const result = await handler.execute('000000001234', 'read_load_profile', { blocks: 4 });
+
+      expect(result.count).toBe(0);
+      expect(result.first).toBeNull();
+      expect(mockPublisher.publishLoadProfile).toHaveBeenCalledWith('000000001234', [], {
+        blocks: 4,
+      });
+    });
+
+    it('should reject windows larger than the configured maximum', async () => {
+      const originalMax = config.loadProfile.maxBlocks;
+      config.loadProfile.maxBlocks = 10;
+      try {
+        await expect(
+          handler.execute('000000001234', 'read_load_profile', {
+            start: at(0).getTime(),
+            end: at(15 * 20).getTime(),
+            interval: 15,
+          })
+        ).rejects.toThrow('Load profile range too large: 21 blocks (max 10)');
+      } finally {
+        config.loadProfile.maxBlocks = originalMax;
+      }
+      expect(mockTCPServer.sendCommand).not.toHaveBeenCalled();
+    });
+
+    it('should reject end before start', async () => {
+      await expect(
+        handler.execute('000000001234', 'read_load_profile', {
+          start: at(30).getTime(),
+          end: at(0).getTime(),
+        })
+      ).rejects.toThrow('Load profile end must not be before start');
+    });
+
+    it('should read a DLMS profile and publish the rows', async () => {
+      const { ARRAY, STRUCTURE, UINT16, UINT32, INT8, OCTET_STRING } = DLMS_DATA_TYPES;
+      const typedCaptureObject = (classId, obis) => ({
+        type: STRUCTURE,
+        value: [
+          { type: UINT16, value: classId },
+          { type: OCTET_STRING, value: Buffer.from(obis) },
+          { type: INT8, value: 2 },
+          { type: UINT16, value: 0 },
+        ],
+      });
+      const attributes = {
+        2: {
+          type: ARRAY,
+          value: [
+            {
+              type: STRUCTURE,
+              value: [
+                { type: OCTET_STRING, value: encodeCosemDateTime(at(0)) },
+                { type: UINT32, value: 1500 },
+              ],
+            },
+          ],
+        },
+        3: {
+          type: ARRAY,
+          value: [
+            typedCaptureObject(8, [0, 0, 1, 0, 0, 255]),
+            typedCaptureObject(3, [1, 0, 1, 8, 0, 255]),
+          ],
+        },
+        4: { type: UINT32, value: 900 },
+        7: { type: UINT32, value: 1 },
+      };
+
+      const listeners = [];
+      Object.assign(mockTCPServer.connectionManager, {
+        // Only DLMS APDUs; a session also listens for closed connections
+        on: vi.fn((event, listener) => event === 'dlms:received' && listeners.push(listener)),
+        removeListener: vi.fn((event, listener) => {
+          if (listeners.includes(listener)) listeners.splice(listeners.indexOf(listener), 1);
+        }),
+      });
+      mockTCPServer.connectionManager.getConnectionByMeter.mockReturnValue({
+        id: 'conn-1',
+        protocolType: 'ivy_dlms',
+      });
+      // Answer AARQ, GET.requests and RLRQ like a meter
+      mockTCPServer.sendDlmsApdu = vi.fn((meterId, apdu) => {
+        let parsedApdu = null;
+        if (apdu[0] === 0x60) {
+          parsedApdu = { type: 'aare', accepted: true };
+        } else if (apdu[0] === 0x62) {
+          parsedApdu = { type: 'rlre' };
+        } else if (apdu[0] === 0xc0) {
+          const data = parseDlmsValue(encodeDlmsValue(attributes[apdu[11]]));
+          parsedApdu = { type: 'get-response', invokeId: apdu[2], accessResult: 'success', data };
+        }
+        if (parsedApdu) {
+          setTimeout(() => [...listeners].forEach((l) => l({ meterId, parsedApdu })), 5);
+        }
+        return Promise.resolve(true);
+      });
+
+      const result = await handler.execute('000000001234', 'read_load_profile', { blocks: 1 });
+
+      expect(result).toMatchObject({
+        source: 'dlms',
+        profile: 'LOAD_PROFILE_1',
+        obisCode: '1-0:99.1.0.255',
+        blocks: 1,
+        count: 1,
+        first: at(0).getTime(),
+        published: true,
+      });
+      expect(mockPublisher.publishLoadProfile).toHaveBeenCalledWith(
+        '000000001234',
+        [{ timestamp: at(0), values: { TOTAL_ACTIVE_IMPORT: 1500 } }],
+        expect.objectContaining({ source: 'dlms', capturePeriod: 900 })
+      );
+      expect(mockTCPServer.sendDlmsApdu.mock.lastCall[1][0]).toBe(0x62); // RLRQ
+      expect(mockTCPServer.sendCommand).not.toHaveBeenCalled();
+    });
+
+    it('should reject a DLMS object that is not a profile', async () => {
+      mockTCPServer.connectionManager.getConnectionByMeter.mockReturnValue({
+        id: 'conn-1',
+        protocolType: 'ivy_dlms',
+      });
+
+      await expect(
+        handler.execute('000000001234', 'read_load_profile', {
+          blocks: 1,
+          profile: 'TOTAL_ACTIVE_IMPORT',
+        })
+      ).rejects.toThrow('Not a DLMS profile: TOTAL_ACTIVE_IMPORT');
+    });
+  });
+
   describe('executeRelayControl', () => {
     let handler;
 
@@ -1179,7 +1723,7 @@ describe('Command Handler', () => {
         removeListener: vi.fn(),
       };
       mockTCPServer.connectionManager = mockConnectionManager;
-      mockTCPServer.sendCommandNoWait = vi.fn(() => Promise.resolve(true));
+      mockTCPServer.sendDlmsApdu = vi.fn(() => Promise.resolve(true));
 
       handler = new CommandHandler({
         broker: mockBroker,
@@ -1216,35 +1760,41 @@ describe('Command Handler', () => {
     it('should use DLMS path when protocolType is IVY_DLMS', async () => {
       mockConnectionManager.getConnectionByMeter.mockReturnValue({ protocolType: 'ivy_dlms' });
 
-      // Simulate AARE response
-      mockConnectionManager.on.mockImplementation((event, listener) => {
-        if (event === 'dlms:received') {
-          setTimeout(() => {
-            listener({
-              meterId: '000000001234',
-              parsedApdu: { type: 'aare', accepted: true },
-            });
-          }, 10);
-          setTimeout(() => {
-            listener({
-              meterId: '000000001234',
-              parsedApdu: { type: 'action-response', success: true, actionResult: 0, actionResultName: 'success' },
-            });
-          }, 20);
-          setTimeout(() => {
-            listener({
-              meterId: '000000001234',
-              parsedApdu: { type: 'get-response', accessResult: 'success', data: { value: false } },
-            });
-          }, 1030);
+      // Answer AARQ, ACTION.request and every GET.request
+      const listeners = [];
+      mockConnectionManager.on.mockImplementation(
+        (event, listener) => event === 'dlms:received' && listeners.push(listener)
+      );
+      mockTCPServer.sendDlmsApdu = vi.fn((meterId, apdu) => {
+        const parsedApdu = {
+          0x60: { type: 'aare', accepted: true },
+          0xC0: {
+            type: 'get-response',
+            invokeId: apdu[2],
+            accessResult: 'success',
+            data: { value: false },
+          },
+          0xC3: {
+            type: 'action-response',
+            invokeId: apdu[2],
+            success: true,
+            actionResult: 0,
+            actionResultName: 'success',
+          },
+          0x62: { type: 'rlre' },
+        }[apdu[0]];
+        if (parsedApdu) {
+          setTimeout(() => [...listeners].forEach((l) => l({ meterId, parsedApdu })), 10);
         }
+        return Promise.resolve(true);
       });
+      handler.delay = vi.fn(() => Promise.resolve());
 
       const result = await handler.execute('000000001234', 'relay_control', { state: 'open' });
 
       expect(result.protocol).toBe('dlms');
       expect(result.relay_state).toBe('open');
-      expect(mockTCPServer.sendCommandNoWait).toHaveBeenCalled();
+      expect(mockTCPServer.sendDlmsApdu).toHaveBeenCalled();
     });
 
     it('should fail DLMS relay control on association failure', async () => {
@@ -1265,6 +1815,30 @@ describe('Command Handler', () => {
       await expect(handler.execute('000000001234', 'relay_control', { state: 'open' }))
         .rejects.toThrow('DLMS association failed');
     });
+
+    it('should report the AARE diagnostic when authentication fails', async () => {
+      mockConnectionManager.getConnectionByMeter.mockReturnValue({ protocolType: 'ivy_dlms' });
+
+      mockConnectionManager.on.mockImplementation((event, listener) => {
+        if (event === 'dlms:received') {
+          setTimeout(() => {
+            listener({
+              meterId: '000000001234',
+              parsedApdu: {
+                type: 'aare',
+                accepted: false,
+                associationResultName: 'rejected-permanent',
+                diagnosticName: 'authentication-failure',
+              },
+            });
+          }, 10);
+        }
+      });
+
+      await expect(
+        handler.execute('000000001234', 'relay_control', { state: 'open' })
+      ).rejects.toThrow('DLMS association failed: rejected-permanent: authentication-failure');
+    });
   });
 
   describe('read_relay_state command', () => {
@@ -1278,7 +1852,7 @@ describe('Command Handler', () => {
         removeListener: vi.fn(),
       };
       mockTCPServer.connectionManager = mockConnectionManager;
-      mockTCPServer.sendCommandNoWait = vi.fn(() => Promise.resolve(true));
+      mockTCPServer.sendDlmsApdu = vi.fn(() => Promise.resolve(true));
 
       handler = new CommandHandler({
         broker: mockBroker,
@@ -1309,39 +1883,27 @@ describe('Command Handler', () => {
     it('should execute read_relay_state for DLMS meters', async () => {
       mockConnectionManager.getConnectionByMeter.mockReturnValue({ protocolType: 'ivy_dlms' });
 
-      // Track all listeners registered and emit events to each
+      // Answer AARQ, GET output_state, control_state and control_mode, and RLRQ
       const listeners = [];
-      mockConnectionManager.on.mockImplementation((event, listener) => {
-        if (event === 'dlms:received') {
-          listeners.push(listener);
-          // Emit AARE on first listener registration
-          if (listeners.length === 1) {
-            setTimeout(() => {
-              listeners.forEach(l => l({
-                meterId: '000000001234',
-                parsedApdu: { type: 'aare', accepted: true },
-              }));
-            }, 10);
-          }
-          // Emit first GET.response on second registration
-          if (listeners.length === 2) {
-            setTimeout(() => {
-              listeners.forEach(l => l({
-                meterId: '000000001234',
-                parsedApdu: { type: 'get-response', accessResult: 'success', data: { value: true } },
-              }));
-            }, 10);
-          }
-          // Emit second GET.response on third registration
-          if (listeners.length === 3) {
-            setTimeout(() => {
-              listeners.forEach(l => l({
-                meterId: '000000001234',
-                parsedApdu: { type: 'get-response', accessResult: 'success', data: { value: 1 } },
-              }));
-            }, 10);
-          }
+      const values = { 2: true, 3: 1, 4: 1 };
+      mockConnectionManager.on.mockImplementation(
+        (event, listener) => event === 'dlms:received' && listeners.push(listener)
+      );
+      mockTCPServer.sendDlmsApdu = vi.fn((meterId, apdu) => {
+        const parsedApdu = {
+          0x60: { type: 'aare', accepted: true },
+          0xC0: {
+            type: 'get-response',
+            invokeId: apdu[2],
+            accessResult: 'success',
+            data: { value: values[apdu[11]] },
+          },
+          0x62: { type: 'rlre' },
+        }[apdu[0]];
+        if (parsedApdu) {
+          setTimeout(() => [...listeners].forEach((l) => l({ meterId, parsedApdu })), 10);
         }
+        return Promise.resolve(true);
       });
 
       const result = await handler.execute('000000001234', 'read_relay_state');
@@ -1349,6 +1911,846 @@ describe('Command Handler', () => {
       expect(result.protocol).toBe('dlms');
       expect(result.output_state).toBe(true);
       expect(result.control_state).toBe(1);
+      expect(result).toMatchObject({ control_state_name: 'connected', control_mode: 1 });
+    });
+  });
+
+  describe('DLMS relay state model', () => {
+    let handler;
+    let listeners;
+    let meter;
+
+    // Disconnector under control_mode 1: remote_reconnect only arms the relay
+    const RECONNECT_TO = { 1: 2, 2: 1, 3: 2, 4: 1, 5: 2, 6: 2 };
+
+    beforeEach(() => {
+      listeners = [];
+      meter = { 2: true, 3: 1, 4: 1, setResult: 'success' };
+      mockTCPServer.connectionManager = {
+        getConnectionByMeter: vi.fn(() => ({ protocolType: 'ivy_dlms' })),
+        // Only DLMS APDUs; a session also listens for closed connections
+        on: vi.fn((event, listener) => event === 'dlms:received' && listeners.push(listener)),
+        removeListener: vi.fn((event, listener) => {
+          if (listeners.includes(listener)) listeners.splice(listeners.indexOf(listener), 1);
+        }),
+      };
+      // Answer like a disconnector: GET attributes 2-4, ACTION methods 1-2, SET attribute 4
+      mockTCPServer.sendDlmsApdu = vi.fn((meterId, apdu) => {
+        let parsedApdu = null;
+        if (apdu[0] === 0x60) {
+          parsedApdu = { type: 'aare', accepted: true };
+        } else if (apdu[0] === 0xC0) {
+          parsedApdu = {
+            type: 'get-response',
+            invokeId: apdu[2],
+            accessResult: 'success',
+            data: { value: meter[apdu[11]] },
+          };
+        } else if (apdu[0] === 0xC3) {
+          meter[3] = apdu[11] === 1 ? 0 : RECONNECT_TO[meter[4]];
+          meter[2] = meter[3] === 1;
+          parsedApdu = {
+            type: 'action-response',
+            invokeId: apdu[2],
+            success: true,
+            actionResultName: 'success',
+          };
+        } else if (apdu[0] === 0xC1) {
+          const success = meter.setResult === 'success';
+          if (success) meter[4] = apdu[14];
+          parsedApdu = {
+            type: 'set-response',
+            invokeId: apdu[2],
+            success,
+            accessResultName: meter.setResult,
+          };
+        } else if (apdu[0] === 0x62) {
+          parsedApdu = { type: 'rlre' };
+        }
+        if (parsedApdu) {
+          setTimeout(() => [...listeners].forEach((l) => l({ meterId, parsedApdu })), 10);
+        }
+        return Promise.resolve(true);
+      });
+      mockPublisher.publishMeterEvent.mockClear();
+
+      handler = new CommandHandler({
+        broker: mockBroker,
+        tcpServer: mockTCPServer,
+        publisher: mockPublisher,
+      });
+      handler.delay = vi.fn(() => Promise.resolve());
+    });
+
+    it('should read the state before and after a remote disconnect', async () => {
+      const result = await handler.execute('000000001234', 'relay_control', { state: 'open' });
+
+      expect(result).toMatchObject({
+        relay_state: 'open',
+        output_state: false,
+        control_state: 0,
+        control_state_name: 'disconnected',
+        control_mode: 1,
+        explanation: null,
+        before: { output_state: true, control_state_name: 'connected' },
+      });
+      const sent = mockTCPServer.sendDlmsApdu.mock.calls.map(([, apdu]) => apdu);
+      expect(sent.map((apdu) => apdu[0])).toEqual([
+        0x60, 0xC0, 0xC0, 0xC0, 0xC3, 0xC0, 0xC0, 0xC0, 0x62,
+      ]);
+      expect(sent.filter((apdu) => apdu[0] === 0xC0).map((apdu) => apdu[11])).toEqual([
+        2, 3, 4, 2, 3, 4,
+      ]);
+    });
+
+    it('should explain a reconnect that leaves the relay ready_for_reconnection', async () => {
+      meter = { ...meter, 2: false, 3: 0 };
+
+      const result = await handler.execute('000000001234', 'relay_control', { state: 'close' });
+
+      expect(result).toMatchObject({
+        output_state: false,
+        control_state_name: 'ready_for_reconnection',
+      });
+      expect(result.explanation).toContain('until the button on the meter is pressed');
+    });
+
+    it('should match each GET to its response by invoke ID', async () => {
+      const answer = mockTCPServer.sendDlmsApdu.getMockImplementation();
+      mockTCPServer.sendDlmsApdu.mockImplementation((meterId, apdu) => {
+        if (apdu[0] === 0xC0) {
+          // A late answer to an earlier request arrives first
+          const parsedApdu = {
+            type: 'get-response',
+            invokeId: 9,
+            accessResult: 'success',
+            data: { value: 6 },
+          };
+          [...listeners].forEach((l) => l({ meterId, parsedApdu }));
+        }
+        return answer(meterId, apdu);
+      });
+
+      const result = await handler.execute('000000001234', 'read_relay_state');
+
+      expect(result).toMatchObject({ output_state: true, control_state: 1, control_mode: 1 });
+    });
+
+    it('should publish relay transitions, including ones made at the meter', async () => {
+      await handler.execute('000000001234', 'read_relay_state');
+      expect(mockPublisher.publishMeterEvent).not.toHaveBeenCalled();
+
+      await handler.execute('000000001234', 'relay_control', { state: 'open' });
+      expect(mockPublisher.publishMeterEvent).toHaveBeenLastCalledWith(
+        '000000001234',
+        'relay_state_changed',
+        expect.objectContaining({
+          from: 'connected',
+          to: 'disconnected',
+          cause: 'remote_disconnect',
+        })
+      );
+
+      await handler.execute('000000001234', 'relay_control', { state: 'close' });
+      // Button pressed at the meter
+      meter = { ...meter, 2: true, 3: 1 };
+      await handler.execute('000000001234', 'read_relay_state');
+
+      const events = mockPublisher.publishMeterEvent.mock.calls.map(([, , data]) => data);
+      expect(events.map(({ from, to, cause }) => [from, to, cause])).toEqual([
+        ['connected', 'disconnected', 'remote_disconnect'],
+        ['disconnected', 'ready_for_reconnection', 'remote_reconnect'],
+        ['ready_for_reconnection', 'connected', null],
+      ]);
+    });
+
+    it('should change control_mode with a SET and report the new state', async () => {
+      const invalid = handler.validateCommand({
+        id: 'cmd_1',
+        method: 'set_relay_control_mode',
+        params: { mode: 7 },
+      });
+      expect(invalid.error).toContain('control_mode 0-6');
+
+      const result = await handler.execute('000000001234', 'set_relay_control_mode', { mode: 2 });
+
+      expect(result).toMatchObject({ control_mode: 2, control_state_name: 'connected' });
+      const set = mockTCPServer.sendDlmsApdu.mock.calls.map(([, apdu]) => apdu).find(
+        (apdu) => apdu[0] === 0xC1
+      );
+      expect(set.readUInt16BE(3)).toBe(70);
+      expect(set.subarray(11)).toEqual(Buffer.from([0x04, 0x00, 0x16, 0x02]));
+
+      // Under mode 2 a remote reconnect closes the relay at once
+      await handler.execute('000000001234', 'relay_control', { state: 'open' });
+      const reconnect = await handler.execute('000000001234', 'relay_control', { state: 'close' });
+      expect(reconnect).toMatchObject({ output_state: true, control_state_name: 'connected' });
+    });
+
+    it('should report a refused control_mode SET', async () => {
+      meter.setResult = 'read-write-denied';
+
+      await expect(
+        handler.execute('000000001234', 'set_relay_control_mode', { mode: 4 })
+      ).rejects.toThrow('DLMS SET control_mode failed: read-write-denied');
+    });
+  });
+
+  describe('dlms_set command', () => {
+    let handler;
+    let mockConnectionManager;
+    let listeners;
+    let setResponse;
+
+    const params = {
+      obis: '1-0:0.3.0.255',
+      classId: 3,
+      attribute: 2,
+      value: { type: 'uint16', value: 1000 },
+    };
+
+    beforeEach(() => {
+      listeners = [];
+      setResponse = { type: 'set-response', success: true, accessResultName: 'success' };
+      mockConnectionManager = {
+        getConnectionByMeter: vi.fn(() => ({ protocolType: 'ivy_dlms' })),
+        // Only DLMS APDUs; a session also listens for closed connections
+        on: vi.fn((event, listener) => event === 'dlms:received' && listeners.push(listener)),
+        removeListener: vi.fn((event, listener) => {
+          if (listeners.includes(listener)) listeners.splice(listeners.indexOf(listener), 1);
+        }),
+      };
+      mockTCPServer.connectionManager = mockConnectionManager;
+      // Answer AARQ, SET.request and RLRQ like a meter
+      mockTCPServer.sendDlmsApdu = vi.fn((meterId, apdu) => {
+        const parsedApdu = {
+          0x60: { type: 'aare', accepted: true },
+          0xC1: { ...setResponse, invokeId: apdu[2] },
+          0x62: { type: 'rlre' },
+        }[apdu[0]];
+        if (parsedApdu) {
+          setTimeout(() => [...listeners].forEach((l) => l({ meterId, parsedApdu })), 10);
+        }
+        return Promise.resolve(true);
+      });
+
+      handler = new CommandHandler({
+        broker: mockBroker,
+        tcpServer: mockTCPServer,
+        publisher: mockPublisher,
+      });
+    });
+
+    it('should validate dlms_set params', () => {
+      const validate = (overrides) =>
+        handler.validateCommand({
+          id: 'cmd_1',
+          method: 'dlms_set',
+          params: { ...params, ...overrides },
+        });
+
+      expect(validate({}).valid).toBe(true);
+      expect(validate({ obis: '1.0.0.3.0.255' }).error).toContain('obis');
+      expect(validate({ classId: 0 }).error).toContain('classId');
+      expect(validate({ attribute: 128 }).error).toContain('attribute');
+      expect(validate({ value: { type: 'uint8', value: 1000 } }).error).toBe(
+        'Invalid value parameter: DLMS encode: 1000 is not a valid UINT8'
+      );
+      expect(validate({ value: undefined }).error).toContain('Invalid value parameter');
+    });
+
+    it('should write the encoded value and release the association', async () => {
+      const result = await handler.execute('000000001234', 'dlms_set', params);
+
+      expect(result).toMatchObject({
+        obisCode: '1-0:0.3.0.255',
+        classId: 3,
+        attribute: 2,
+        result: 'success',
+        protocol: 'dlms',
+      });
+      const sent = mockTCPServer.sendDlmsApdu.mock.calls.map(([, apdu]) => apdu);
+      expect(sent[1][0]).toBe(0xC1);
+      expect(sent[1][2]).toBe(1); // the session's invoke ID
+      expect(sent[1].subarray(13)).toEqual(Buffer.from([0x12, 0x03, 0xE8]));
+      expect(sent[2][0]).toBe(0x62); // RLRQ
+    });
+
+    it('should report the data-access-result of a refused SET', async () => {
+      setResponse = { type: 'set-response', success: false, accessResultName: 'read-write-denied' };
+
+      await expect(handler.execute('000000001234', 'dlms_set', params)).rejects.toThrow(
+        'DLMS SET failed: read-write-denied'
+      );
+      expect(mockTCPServer.sendDlmsApdu.mock.calls.at(-1)[1][0]).toBe(0x62); // RLRQ
+    });
+
+    it('should reject dlms_set for non-DLMS meters', async () => {
+      mockConnectionManager.getConnectionByMeter.mockReturnValue({ protocolType: 'dlt645' });
+
+      await expect(handler.execute('000000001234', 'dlms_set', params)).rejects.toThrow(
+        'dlms_set is only supported for DLMS meters'
+      );
+      expect(mockTCPServer.sendDlmsApdu).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('DLMS scaler_unit', () => {
+    let handler;
+    let listeners;
+    let scalerUnits;
+
+    // GET.responses by attribute: scaler_unit { -1, V } and value 2301
+    const getResponses = {
+      3: {
+        type: 'get-response',
+        accessResult: 'success',
+        data: {
+          type: DLMS_DATA_TYPES.STRUCTURE,
+          value: [
+            { type: DLMS_DATA_TYPES.INT8, value: -1 },
+            { type: DLMS_DATA_TYPES.ENUM, value: 35 },
+          ],
+        },
+      },
+      2: { type: 'get-response', accessResult: 'success', data: { value: 2301 } },
+    };
+
+    beforeEach(() => {
+      listeners = [];
+      mockTCPServer.connectionManager = {
+        getConnectionByMeter: vi.fn(() => ({ protocolType: 'ivy_dlms' })),
+        // Only DLMS APDUs; a session also listens for closed connections
+        on: vi.fn((event, listener) => event === 'dlms:received' && listeners.push(listener)),
+        removeListener: vi.fn((event, listener) => {
+          if (listeners.includes(listener)) listeners.splice(listeners.indexOf(listener), 1);
+        }),
+      };
+      // Answer AARQ, GET.requests and RLRQ like a meter
+      mockTCPServer.sendDlmsApdu = vi.fn((meterId, apdu) => {
+        const parsedApdu = {
+          0x60: { type: 'aare', accepted: true },
+          0xC0: { ...getResponses[apdu[11]], invokeId: apdu[2] },
+          0x62: { type: 'rlre' },
+        }[apdu[0]];
+        if (parsedApdu) {
+          setTimeout(() => [...listeners].forEach((l) => l({ meterId, parsedApdu })), 10);
+        }
+        return Promise.resolve(true);
+      });
+      scalerUnits = new ScalerUnitCache({ file: '' });
+
+      handler = new CommandHandler({
+        broker: mockBroker,
+        tcpServer: mockTCPServer,
+        publisher: mockPublisher,
+        scalerUnits,
+      });
+    });
+
+    it('should read the scaler_unit once and scale read_register values by it', async () => {
+      const first = await handler.execute('000000001234', 'read_register', {
+        register: '1-0:32.7.0.255',
+      });
+      const second = await handler.execute('000000001234', 'read_register', {
+        register: '1-0:32.7.0.255',
+      });
+
+      expect(first).toMatchObject({ value: 230.1, unit: 'V' });
+      expect(second).toMatchObject({ value: 230.1, unit: 'V' });
+      expect(scalerUnits.get('000000001234', '1-0:32.7.0.255')).toEqual({ scaler: -1, unit: 35 });
+      const attributes = mockTCPServer.sendDlmsApdu.mock.calls
+        .filter(([, apdu]) => apdu[0] === 0xC0)
+        .map(([, apdu]) => apdu[11]);
+      expect(attributes).toEqual([3, 2, 2]);
+    });
+  });
+
+  describe('discover_objects command', () => {
+    let handler;
+    let mockConnectionManager;
+    let listeners;
+    let capabilities;
+
+    const objectList = {
+      type: 'get-response',
+      accessResult: 'success',
+      data: parseDlmsValue(
+        encodeDlmsValue({
+          type: DLMS_DATA_TYPES.ARRAY,
+          value: [
+            [3, [1, 0, 32, 7, 0, 255]],
+            [1, [0, 0, 96, 99, 9, 255]],
+          ].map(([classId, obis]) => ({
+            type: DLMS_DATA_TYPES.STRUCTURE,
+            value: [
+              { type: DLMS_DATA_TYPES.UINT16, value: classId },
+              { type: DLMS_DATA_TYPES.UINT8, value: 0 },
+              { type: DLMS_DATA_TYPES.OCTET_STRING, value: Buffer.from(obis) },
+              {
+                type: DLMS_DATA_TYPES.STRUCTURE,
+                value: [
+                  { type: DLMS_DATA_TYPES.ARRAY, value: [] },
+                  { type: DLMS_DATA_TYPES.ARRAY, value: [] },
+                ],
+              },
+            ],
+          })),
+        })
+      ),
+    };
+
+    beforeEach(() => {
+      listeners = [];
+      mockConnectionManager = {
+        getConnectionByMeter: vi.fn(() => ({ protocolType: 'ivy_dlms' })),
+        // Only DLMS APDUs; a session also listens for closed connections
+        on: vi.fn((event, listener) => event === 'dlms:received' && listeners.push(listener)),
+        removeListener: vi.fn((event, listener) => {
+          if (listeners.includes(listener)) listeners.splice(listeners.indexOf(listener), 1);
+        }),
+      };
+      mockTCPServer.connectionManager = mockConnectionManager;
+      // Answer AARQ, GET.request and RLRQ like a meter
+      mockTCPServer.sendDlmsApdu = vi.fn((meterId, apdu) => {
+        const parsedApdu = {
+          0x60: { type: 'aare', accepted: true },
+          0xC0: { ...objectList, invokeId: apdu[2] },
+          0x62: { type: 'rlre' },
+        }[apdu[0]];
+        if (parsedApdu) {
+          setTimeout(() => [...listeners].forEach((l) => l({ meterId, parsedApdu })), 10);
+        }
+        return Promise.resolve(true);
+      });
+      capabilities = new CapabilityStore({ file: '' });
+
+      handler = new CommandHandler({
+        broker: mockBroker,
+        tcpServer: mockTCPServer,
+        publisher: mockPublisher,
+        capabilities,
+      });
+    });
+
+    it('should read the object_list and merge it into the capability profile', async () => {
+      const result = await handler.execute('000000001234', 'discover_objects');
+
+      expect(result).toMatchObject({
+        objects: 2,
+        added: ['1-0:32.7.0.255', '0-0:96.99.9.255'],
+        protocol: 'dlms',
+      });
+      expect(result.unknown.map((object) => object.obisCode)).toEqual(['0-0:96.99.9.255']);
+      expect(Object.keys(capabilities.get('000000001234').objects)).toHaveLength(2);
+
+      const sent = mockTCPServer.sendDlmsApdu.mock.calls.map(([, apdu]) => apdu);
+      expect(sent[1].readUInt16BE(3)).toBe(15);
+      expect(sent[1].subarray(5, 12)).toEqual(Buffer.from([0, 0, 40, 0, 0, 255, 2]));
+      expect(sent[1][2]).toBe(1); // the session's invoke ID
+      expect(sent[2][0]).toBe(0x62); // RLRQ
+    });
+
+    it('should reject discover_objects for non-DLMS meters', async () => {
+      mockConnectionManager.getConnectionByMeter.mockReturnValue({ protocolType: 'dlt645' });
+
+      await expect(handler.execute('000000001234', 'discover_objects')).rejects.toThrow(
+        'discover_objects is only supported for DLMS meters'
+      );
+    });
+  });
+
+  describe('push setup commands', () => {
+    let handler;
+    let mockConnectionManager;
+    let listeners;
+    let pushSetups;
+    let setResponse;
+
+    const OBJECT_LIST = [
+      { classId: 40, obisCode: '0-0:25.9.0.255', attributeIndex: 1, dataIndex: 0 },
+      { classId: 3, obisCode: '1-0:1.8.0.255', attributeIndex: 2, dataIndex: 0 },
+    ];
+
+    // GET.responses by attribute: push_object_list, destination, no window, 30 s
+    const getResponses = {
+      2: parseDlmsValue(
+        encodeDlmsValue({
+          type: DLMS_DATA_TYPES.ARRAY,
+          value: [
+            [40, [0, 0, 25, 9, 0, 255], 1],
+            [3, [1, 0, 1, 8, 0, 255], 2],
+          ].map(([classId, obis, attribute]) => ({
+            type: DLMS_DATA_TYPES.STRUCTURE,
+            value: [
+              { type: DLMS_DATA_TYPES.UINT16, value: classId },
+              { type: DLMS_DATA_TYPES.OCTET_STRING, value: Buffer.from(obis) },
+              { type: DLMS_DATA_TYPES.INT8, value: attribute },
+              { type: DLMS_DATA_TYPES.UINT16, value: 0 },
+            ],
+          })),
+        })
+      ),
+      3: parseDlmsValue(
+        encodeDlmsValue({
+          type: DLMS_DATA_TYPES.STRUCTURE,
+          value: [
+            { type: DLMS_DATA_TYPES.ENUM, value: 0 },
+            { type: DLMS_DATA_TYPES.OCTET_STRING, value: Buffer.from('10.0.0.1:4059') },
+            { type: DLMS_DATA_TYPES.ENUM, value: 0 },
+          ],
+        })
+      ),
+      4: parseDlmsValue(encodeDlmsValue({ type: DLMS_DATA_TYPES.ARRAY, value: [] })),
+      5: parseDlmsValue(encodeDlmsValue({ type: DLMS_DATA_TYPES.UINT16, value: 30 })),
+    };
+
+    beforeEach(() => {
+      listeners = [];
+      setResponse = { type: 'set-response', success: true, accessResultName: 'success' };
+      mockConnectionManager = {
+        getConnectionByMeter: vi.fn(() => ({ protocolType: 'ivy_dlms' })),
+        // Only DLMS APDUs; a session also listens for closed connections
+        on: vi.fn((event, listener) => event === 'dlms:received' && listeners.push(listener)),
+        removeListener: vi.fn((event, listener) => {
+          if (listeners.includes(listener)) listeners.splice(listeners.indexOf(listener), 1);
+        }),
+      };
+      mockTCPServer.connectionManager = mockConnectionManager;
+      // Answer AARQ, GET.request, SET.request and RLRQ like a meter
+      mockTCPServer.sendDlmsApdu = vi.fn((meterId, apdu) => {
+        const parsedApdu = {
+          0x60: { type: 'aare', accepted: true },
+          0xC0: {
+            type: 'get-response',
+            invokeId: apdu[2],
+            accessResult: 'success',
+            data: getResponses[apdu[11]],
+          },
+          0xC1: { ...setResponse, invokeId: apdu[2] },
+          0x62: { type: 'rlre' },
+        }[apdu[0]];
+        if (parsedApdu) {
+          setTimeout(() => [...listeners].forEach((l) => l({ meterId, parsedApdu })), 10);
+        }
+        return Promise.resolve(true);
+      });
+      pushSetups = new PushSetupStore({ file: '' });
+
+      handler = new CommandHandler({
+        broker: mockBroker,
+        tcpServer: mockTCPServer,
+        publisher: mockPublisher,
+        pushSetups,
+      });
+    });
+
+    it('should validate write_push_setup params', () => {
+      const validate = (params) =>
+        handler.validateCommand({ id: 'cmd_1', method: 'write_push_setup', params });
+
+      expect(validate({ randomisationStartInterval: 60 }).valid).toBe(true);
+      expect(validate({}).error).toContain('No push setup attribute to write');
+      expect(validate({ obis: '0.0.25.9.0.255', randomisationStartInterval: 60 }).error).toContain(
+        'obis'
+      );
+      expect(validate({ randomisationStartInterval: -1 }).error).toContain('0-65535');
+      expect(
+        validate({ sendDestinationAndMethod: { transport: 'pigeon', destination: 'x' } }).error
+      ).toBe('Unknown transport: pigeon');
+      expect(validate({ objectList: [{ classId: 3, obisCode: '1-0:1.8.0.255' }] }).error).toBe(
+        'DLMS encode: undefined is not a valid INT8'
+      );
+    });
+
+    it('should read the push setup and keep its object list', async () => {
+      const result = await handler.execute('000000001234', 'read_push_setup');
+
+      expect(result).toMatchObject({
+        obisCode: '0-0:25.9.0.255',
+        objectList: OBJECT_LIST,
+        sendDestinationAndMethod: {
+          transport: 'tcp',
+          destination: '10.0.0.1:4059',
+          message: 'a-xdr',
+        },
+        communicationWindow: [],
+        randomisationStartInterval: 30,
+        protocol: 'dlms',
+      });
+      expect(pushSetups.get('000000001234')['0-0:25.9.0.255'].objectList).toEqual(OBJECT_LIST);
+
+      const sent = mockTCPServer.sendDlmsApdu.mock.calls.map(([, apdu]) => apdu);
+      expect(sent.slice(1, 5).map((apdu) => apdu.readUInt16BE(3))).toEqual([40, 40, 40, 40]);
+      expect(sent.slice(1, 5).map((apdu) => apdu[11])).toEqual([2, 3, 4, 5]);
+      expect(sent.slice(1, 5).map((apdu) => apdu[2])).toEqual([1, 2, 3, 4]);
+      expect(sent[5][0]).toBe(0x62); // RLRQ
+    });
+
+    it('should write the given attributes and update the kept push setup', async () => {
+      const result = await handler.execute('000000001234', 'write_push_setup', {
+        obis: '0-0:25.9.1.255',
+        objectList: OBJECT_LIST,
+        randomisationStartInterval: 60,
+      });
+
+      expect(result).toMatchObject({
+        obisCode: '0-0:25.9.1.255',
+        written: ['objectList', 'randomisationStartInterval'],
+      });
+      const sets = mockTCPServer.sendDlmsApdu.mock.calls
+        .map(([, apdu]) => apdu)
+        .filter((apdu) => apdu[0] === 0xC1);
+      expect(sets.map((apdu) => apdu[11])).toEqual([2, 5]);
+      expect(sets.map((apdu) => apdu[2])).toEqual([1, 2]);
+      expect(sets[1].subarray(13)).toEqual(Buffer.from([0x12, 0x00, 0x3C]));
+      expect(pushSetups.get('000000001234')['0-0:25.9.1.255']).toMatchObject({
+        objectList: OBJECT_LIST,
+        randomisationStartInterval: 60,
+      });
+    });
+
+    it('should report the attribute whose SET the meter refuses', async () => {
+      setResponse = { type: 'set-response', success: false, accessResultName: 'read-write-denied' };
+
+      await expect(
+        handler.execute('000000001234', 'write_push_setup', { randomisationStartInterval: 60 })
+      ).rejects.toThrow('DLMS SET randomisationStartInterval failed: read-write-denied');
+      expect(pushSetups.get('000000001234')).toBeNull();
+      // The association is released after the refused SET
+      expect(mockTCPServer.sendDlmsApdu.mock.calls.at(-1)[1][0]).toBe(0x62);
+    });
+
+    it('should reject push setup commands for non-DLMS meters', async () => {
+      mockConnectionManager.getConnectionByMeter.mockReturnValue({ protocolType: 'dlt645' });
+
+      await expect(handler.execute('000000001234', 'read_push_setup')).rejects.toThrow(
+        'read_push_setup is only supported for DLMS meters'
+      );
+    });
+  });
+
+  describe('limiter commands', () => {
+    let handler;
+    let mockConnectionManager;
+    let listeners;
+    let statusManager;
+    let meter;
+
+    const { STRUCTURE, UINT16, UINT32, INT8, ENUM, OCTET_STRING, BOOLEAN } = DLMS_DATA_TYPES;
+    const typed = (type, value) => parseDlmsValue(encodeDlmsValue({ type, value }));
+
+    // Typed attribute values by class ID and attribute
+    const createMeter = () => ({
+      71: {
+        2: parseDlmsValue(
+          encodeDlmsValue({
+            type: STRUCTURE,
+            value: [
+              { type: UINT16, value: 3 },
+              { type: OCTET_STRING, value: Buffer.from([1, 0, 1, 7, 0, 255]) },
+              { type: INT8, value: 2 },
+            ],
+          })
+        ),
+        3: typed(UINT16, 50),
+        4: typed(UINT16, 50),
+        5: typed(UINT16, 20),
+        6: typed(UINT32, 60),
+        7: typed(UINT32, 300),
+        10: typed(BOOLEAN, false),
+      },
+      // Active power 6.2 kW at scaler 2, unit W
+      3: {
+        2: typed(UINT16, 62),
+        3: parseDlmsValue(
+          encodeDlmsValue({
+            type: STRUCTURE,
+            value: [
+              { type: INT8, value: 2 },
+              { type: ENUM, value: 27 },
+            ],
+          })
+        ),
+      },
+      70: { 2: typed(BOOLEAN, true), 3: typed(ENUM, 1), 4: typed(ENUM, 4) },
+    });
+
+    beforeEach(() => {
+      listeners = [];
+      meter = createMeter();
+      mockConnectionManager = {
+        getConnectionByMeter: vi.fn(() => ({ protocolType: 'ivy_dlms' })),
+        // Only DLMS APDUs; a session also listens for closed connections
+        on: vi.fn((event, listener) => event === 'dlms:received' && listeners.push(listener)),
+        removeListener: vi.fn((event, listener) => {
+          if (listeners.includes(listener)) listeners.splice(listeners.indexOf(listener), 1);
+        }),
+      };
+      mockTCPServer.connectionManager = mockConnectionManager;
+      // Answer AARQ, GET.request, SET.request and RLRQ like a meter
+      mockTCPServer.sendDlmsApdu = vi.fn((meterId, apdu) => {
+        let parsedApdu = null;
+        if (apdu[0] === 0x60) {
+          parsedApdu = { type: 'aare', accepted: true };
+        } else if (apdu[0] === 0xC0) {
+          const data = meter[apdu.readUInt16BE(3)]?.[apdu[11]];
+          parsedApdu = data
+            ? { type: 'get-response', invokeId: apdu[2], accessResult: 'success', data }
+            : {
+                type: 'get-response',
+                invokeId: apdu[2],
+                accessResult: 'error',
+                data: { errorCode: 4, errorName: 'object-undefined' },
+              };
+        } else if (apdu[0] === 0xC1) {
+          parsedApdu = {
+            type: 'set-response',
+            invokeId: apdu[2],
+            success: true,
+            accessResultName: 'success',
+          };
+        } else if (apdu[0] === 0x62) {
+          parsedApdu = { type: 'rlre' };
+        }
+        if (parsedApdu) {
+          setTimeout(() => [...listeners].forEach((l) => l({ meterId, parsedApdu })), 10);
+        }
+        return Promise.resolve(true);
+      });
+      statusManager = new StatusManager({ publisher: mockPublisher });
+      vi.spyOn(statusManager, 'handleLimiterReading');
+
+      handler = new CommandHandler({
+        broker: mockBroker,
+        tcpServer: mockTCPServer,
+        publisher: mockPublisher,
+        scalerUnits: new ScalerUnitCache({ file: '' }),
+        statusManager,
+      });
+    });
+
+    it('should validate limiter params', () => {
+      const validate = (params) =>
+        handler.validateCommand({ id: 'cmd_1', method: 'write_limiter', params });
+
+      expect(validate({ thresholdNormal: 50 }).valid).toBe(true);
+      expect(validate({ thresholdNormal: 5000, scaled: true, thresholdType: 'UINT8' }).valid).toBe(
+        true
+      );
+      expect(validate({ thresholdNormal: 5000, scaled: 'yes' }).error).toContain('scaled');
+      expect(validate({}).error).toContain('No limiter attribute to write');
+      expect(validate({ thresholdNormal: 70000, thresholdType: 'UINT16' }).error).toContain(
+        'UINT16'
+      );
+      expect(
+        handler.validateCommand({ id: 'cmd_1', method: 'read_limiter', params: { obis: 'x' } })
+          .error
+      ).toContain('obis');
+    });
+
+    it('should read the limiter and scale it', async () => {
+      const result = await handler.execute('000000001234', 'read_limiter');
+
+      expect(result).toMatchObject({
+        obisCode: '0-0:17.0.0.255',
+        monitoredValue: { classId: 3, obisCode: '1-0:1.7.0.255', attributeIndex: 2 },
+        thresholdActive: 50,
+        emergencyProfile: null,
+        currentValue: 62,
+        scaled: {
+          currentValue: { value: 6200, unit: 'W' },
+          thresholdActive: { value: 5000, unit: 'W' },
+          thresholdEmergency: { value: 2000, unit: 'W' },
+        },
+        tripped: false,
+        relay: { control_state_name: 'connected', control_mode: 4 },
+      });
+      expect(statusManager.handleLimiterReading).toHaveBeenCalledWith(
+        '000000001234',
+        {
+          overThreshold: true,
+          relayState: expect.objectContaining({ controlStateName: 'connected' }),
+        },
+        expect.objectContaining({
+          value: 6200,
+          threshold: 5000,
+          unit: 'W',
+          relayState: 'connected',
+        })
+      );
+      const sent = mockTCPServer.sendDlmsApdu.mock.calls.map(([, apdu]) => apdu);
+      const gets = sent.filter((apdu) => apdu[0] === 0xC0).map((apdu) => apdu[2]);
+      expect(new Set(gets.slice(0, 9)).size).toBe(9);
+      expect(sent.at(-1)[0]).toBe(0x62); // RLRQ
+    });
+
+    it('should report a trip once the relay opens over the threshold', async () => {
+      await handler.execute('000000001234', 'read_limiter');
+
+      // The relay opened and the value dropped
+      meter[3][2] = typed(UINT16, 0);
+      meter[70] = { 2: typed(BOOLEAN, false), 3: typed(ENUM, 2), 4: typed(ENUM, 4) };
+      const result = await handler.execute('000000001234', 'read_limiter');
+
+      expect(result.tripped).toBe(true);
+      expect(mockPublisher.publishMeterEvent).toHaveBeenCalledWith(
+        '000000001234',
+        'alarm:limiter_trip',
+        expect.objectContaining({ value: 0, threshold: 5000, relayState: 'ready_for_reconnection' })
+      );
+
+      // The trip lasts while the relay stays open
+      expect((await handler.execute('000000001234', 'read_limiter')).tripped).toBeNull();
+      expect(statusManager.activeAlarms.has('000000001234:limiter_trip')).toBe(true);
+    });
+
+    it('should write thresholds in the type of threshold_active', async () => {
+      const result = await handler.execute('000000001234', 'write_limiter', {
+        thresholdNormal: 40,
+        minOverThresholdDuration: 30,
+      });
+
+      expect(result).toMatchObject({
+        obisCode: '0-0:17.0.0.255',
+        written: ['thresholdNormal', 'minOverThresholdDuration'],
+      });
+      const sent = mockTCPServer.sendDlmsApdu.mock.calls.map(([, apdu]) => apdu);
+      expect(sent.map((apdu) => [apdu[0], apdu[11]]).slice(1, 4)).toEqual([
+        [0xC0, 3],
+        [0xC1, 4],
+        [0xC1, 6],
+      ]);
+      expect(sent[2].readUInt16BE(3)).toBe(71);
+      expect(sent[2].subarray(13)).toEqual(Buffer.from([0x12, 0x00, 0x28]));
+      expect(sent[3].subarray(13)).toEqual(Buffer.from([0x06, 0x00, 0x00, 0x00, 0x1E]));
+    });
+
+    it('should write scaled thresholds as raw values of the monitored value', async () => {
+      const result = await handler.execute('000000001234', 'write_limiter', {
+        thresholdNormal: 4000,
+        scaled: true,
+      });
+
+      expect(result).toMatchObject({ written: ['thresholdNormal'], raw: { thresholdNormal: 40 } });
+      const sent = mockTCPServer.sendDlmsApdu.mock.calls.map(([, apdu]) => apdu);
+      expect(sent.map((apdu) => [apdu[0], apdu.readUInt16BE(3), apdu[11]]).slice(1, 5)).toEqual([
+        [0xC0, 71, 3],
+        [0xC0, 71, 2],
+        [0xC0, 3, 3],
+        [0xC1, 71, 4],
+      ]);
+      expect(sent[4].subarray(13)).toEqual(Buffer.from([0x12, 0x00, 0x28]));
+    });
+
+    it('should not write thresholds it cannot type', async () => {
+      delete meter[71][3];
+
+      await expect(
+        handler.execute('000000001234', 'write_limiter', { thresholdNormal: 40 })
+      ).rejects.toThrow('DLMS GET threshold_active failed: object-undefined');
+      const sent = mockTCPServer.sendDlmsApdu.mock.calls.map(([, apdu]) => apdu);
+      expect(sent.some((apdu) => apdu[0] === 0xC1)).toBe(false);
     });
   });
 
@@ -1425,6 +2827,22 @@ describe('Command Handler', () => {
       expect(result).toBeNull();
     });
 
+    it('should ignore responses with a different invoke ID when given one', async () => {
+      mockConnectionManager.on.mockImplementation((event, listener) => {
+        setTimeout(() => {
+          [3, 2].forEach((invokeId) =>
+            listener({
+              meterId: 'meter1',
+              parsedApdu: { type: 'get-response', invokeId, data: {} },
+            })
+          );
+        }, 10);
+      });
+
+      const result = await handler.waitForDlmsResponse('meter1', 'get-response', 1000, 2);
+      expect(result).toEqual({ type: 'get-response', invokeId: 2, data: {} });
+    });
+
     it('should clean up listener after resolving', async () => {
       mockConnectionManager.on.mockImplementation((event, listener) => {
         setTimeout(() => {
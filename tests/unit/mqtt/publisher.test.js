@@ -49,6 +49,16 @@ describe('MQTT Telemetry Publisher', () => {
       expect(Topics.meterEvents('000000001234')).toBe('ivy/v1/meters/000000001234/events');
     });
 
+    it('should generate correct load profile topic', () => {
+      expect(Topics.meterLoadProfile('000000001234')).toBe(
+        'ivy/v1/meters/000000001234/load_profile'
+      );
+    });
+
+    it('should generate correct billing topic', () => {
+      expect(Topics.meterBilling('000000001234')).toBe('ivy/v1/meters/000000001234/billing');
+    });
+
     it('should generate correct command response topic', () => {
       expect(Topics.meterCommandResponse('000000001234')).toBe(
         'ivy/v1/meters/000000001234/command/response'
@@ -181,6 +191,37 @@ describe('MQTT Telemetry Publisher', () => {
       );
     });
 
+    it('should include demand occurrence time', async () => {
+      const occurredAt = new Date(2024, 2, 15, 14, 30);
+      await publisher.publishTelemetry('000000001234', {
+        value: 12.3456,
+        unit: 'kW',
+        register: { key: 'ACTIVE_IMPORT_MAX_DEMAND' },
+        occurredAt,
+      });
+
+      expect(mockBroker.publish).toHaveBeenCalledWith(
+        'ivy/v1/meters/000000001234/telemetry',
+        expect.objectContaining({ occurredAt: occurredAt.getTime() }),
+        expect.any(Object)
+      );
+    });
+
+    it('should include decoded status word flags', async () => {
+      const flags = { relayOpen: true, coverOpen: false };
+      await publisher.publishTelemetry('000000001234', {
+        value: [0, 0, 0x0010, 0, 0, 0, 0],
+        register: { key: 'METER_STATUS' },
+        flags,
+      });
+
+      expect(mockBroker.publish).toHaveBeenCalledWith(
+        'ivy/v1/meters/000000001234/telemetry',
+        expect.objectContaining({ register: 'METER_STATUS', flags }),
+        expect.any(Object)
+      );
+    });
+
     it('should emit TELEMETRY_PUBLISHED event', async () => {
       const handler = vi.fn();
       publisher.on(PUBLISHER_EVENTS.TELEMETRY_PUBLISHED, handler);
@@ -405,6 +446,89 @@ describe('MQTT Telemetry Publisher', () => {
     });
   });
 
+  describe('publishLoadProfile', () => {
+    const records = [
+      { timestamp: new Date(2024, 0, 15, 10, 0), values: { voltageA: 220.1 } },
+      { timestamp: new Date(2024, 0, 15, 10, 15), values: { voltageA: 219.8 } },
+    ];
+
+    beforeEach(() => {
+      publisher.start();
+    });
+
+    it('should publish records as timestamped points', async () => {
+      const result = await publisher.publishLoadProfile('000000001234', records, { blocks: 2 });
+
+      expect(result).toBe(true);
+      expect(mockBroker.publish).toHaveBeenCalledWith(
+        'ivy/v1/meters/000000001234/load_profile',
+        expect.objectContaining({
+          meterId: '000000001234',
+          source: 'dlt645',
+          blocks: 2,
+          count: 2,
+          points: [
+            { ts: records[0].timestamp.getTime(), values: { voltageA: 220.1 } },
+            { ts: records[1].timestamp.getTime(), values: { voltageA: 219.8 } },
+          ],
+        }),
+        expect.objectContaining({ retain: false })
+      );
+      expect(publisher.getStats().loadProfilesPublished).toBe(1);
+    });
+
+    it('should emit LOAD_PROFILE_PUBLISHED', async () => {
+      const handler = vi.fn();
+      publisher.on(PUBLISHER_EVENTS.LOAD_PROFILE_PUBLISHED, handler);
+
+      await publisher.publishLoadProfile('000000001234', []);
+
+      expect(handler).toHaveBeenCalledWith(
+        expect.objectContaining({ message: expect.objectContaining({ count: 0, points: [] }) })
+      );
+    });
+
+    it('should return false when not running', async () => {
+      await publisher.stop();
+      expect(await publisher.publishLoadProfile('000000001234', records)).toBe(false);
+    });
+  });
+
+  describe('publishBillingSnapshot', () => {
+    const snapshot = {
+      kind: 'daily',
+      freezeTime: new Date(2024, 0, 16, 0, 0),
+      values: { activeImport: { total: 1234.56, tariffs: [], unit: 'kWh' } },
+    };
+
+    beforeEach(() => {
+      publisher.start();
+    });
+
+    it('should publish snapshot to billing topic', async () => {
+      const result = await publisher.publishBillingSnapshot('000000001234', snapshot);
+
+      expect(result).toBe(true);
+      expect(mockBroker.publish).toHaveBeenCalledWith(
+        'ivy/v1/meters/000000001234/billing',
+        expect.objectContaining({
+          meterId: '000000001234',
+          source: 'dlt645',
+          kind: 'daily',
+          freezeTime: snapshot.freezeTime.getTime(),
+          values: snapshot.values,
+        }),
+        expect.objectContaining({ retain: false })
+      );
+      expect(publisher.getStats().billingPublished).toBe(1);
+    });
+
+    it('should return false when not running', async () => {
+      await publisher.stop();
+      expect(await publisher.publishBillingSnapshot('000000001234', snapshot)).toBe(false);
+    });
+  });
+
   describe('publishCommandResponse', () => {
     beforeEach(() => {
       publisher.start();
@@ -2,7 +2,7 @@
  * DLMS APDU Parser Unit Tests
  */
 
-import { describe, it, expect } from 'vitest';
+import { describe, it, expect, vi } from 'vitest';
 import {
   APDU_TAGS,
   DATA_ACCESS_RESULT_NAMES,
@@ -12,6 +12,8 @@ import {
   parseDataNotification,
   parseGetResponse,
   parseAare,
+  describeAssociationResult,
+  parseSetResponse,
   parseActionResponse,
   parseExceptionResponse,
   extractTelemetry,
@@ -31,6 +33,12 @@ describe('DLMS APDU Parser', () => {
   });
 
   describe('parseApdu', () => {
+    it('should mark glo-ciphered APDUs it cannot decipher', () => {
+      const result = parseApdu(Buffer.from([0xCC, 0x05, 0x30, 0x00, 0x00, 0x00, 0x01]));
+      expect(result.type).toBe('ciphered');
+      expect(result.tagName).toBe('glo-ciphered(0xcc)');
+    });
+
     it('should dispatch EventNotification (0xC2)', () => {
       // Minimal EventNotification: tag + classId(2) + obis(6) + attrIdx(1) + null-data(1)
       const buf = Buffer.from([
@@ -252,6 +260,89 @@ describe('DLMS APDU Parser', () => {
       expect(result.data.errorName).toBe('unknown(255)');
     });
 
+    it('should parse get-response-with-datablock raw data', () => {
+      const buf = Buffer.from([
+        0xC4,
+        0x02, // response-with-datablock
+        0x03, // invokeId
+        0x00, // last-block: false
+        0x00, 0x00, 0x00, 0x01, // block-number 1
+        0x00, // choice: raw-data
+        0x04, 0x01, 0x02, 0x12, 0x00, // 4 bytes of the encoded value
+      ]);
+      const result = parseGetResponse(buf);
+
+      expect(result.responseType).toBe(2);
+      expect(result.invokeId).toBe(3);
+      expect(result.accessResult).toBe('success');
+      expect(result.data).toBeNull();
+      expect(result.block).toEqual({
+        lastBlock: false,
+        blockNumber: 1,
+        rawData: Buffer.from([0x01, 0x02, 0x12, 0x00]),
+      });
+    });
+
+    it('should parse get-response-with-datablock with a long raw-data length', () => {
+      const buf = Buffer.concat([
+        Buffer.from([0xC4, 0x02, 0x01, 0x01, 0x00, 0x00, 0x00, 0x02, 0x00, 0x81, 0x90]),
+        Buffer.alloc(0x90, 0x11),
+      ]);
+      const result = parseGetResponse(buf);
+
+      expect(result.block.lastBlock).toBe(true);
+      expect(result.block.blockNumber).toBe(2);
+      expect(result.block.rawData).toHaveLength(0x90);
+    });
+
+    it('should parse a data block error', () => {
+      const buf = Buffer.from([0xC4, 0x02, 0x01, 0x01, 0x00, 0x00, 0x00, 0x03, 0x01, 0x0A]);
+      const result = parseGetResponse(buf);
+
+      expect(result.accessResult).toBe('error');
+      expect(result.block.blockNumber).toBe(3);
+      expect(result.data).toEqual({ errorCode: 10, errorName: 'long-get-aborted' });
+    });
+
+    it('should flag a truncated data block', () => {
+      const buf = Buffer.from([0xC4, 0x02, 0x01, 0x00, 0x00, 0x00, 0x00, 0x01, 0x00, 0x10, 0x01]);
+      const result = parseGetResponse(buf);
+
+      expect(result.block).toBeUndefined();
+      expect(result.parseError).toContain('truncated');
+    });
+
+    it('should parse get-response-with-list results in order', () => {
+      const buf = Buffer.from([
+        0xC4,
+        0x03, // response-with-list
+        0x02, // invokeId
+        0x03, // 3 results
+        0x00, DLMS_DATA_TYPES.UINT16, 0x00, 0xE6, // data: 230
+        0x01, 0x04, // data-access-result: object-undefined
+        0x00, DLMS_DATA_TYPES.UINT32, 0x00, 0x00, 0x03, 0xE8, // data: 1000
+      ]);
+      const result = parseGetResponse(buf);
+
+      expect(result.responseType).toBe(3);
+      expect(result.accessResult).toBe('success');
+      expect(result.results).toHaveLength(3);
+      expect(result.results[0]).toMatchObject({ accessResult: 'success', data: { value: 230 } });
+      expect(result.results[1]).toEqual({
+        accessResult: 'error',
+        data: { errorCode: 4, errorName: 'object-undefined' },
+      });
+      expect(result.results[2].data.value).toBe(1000);
+    });
+
+    it('should flag a truncated list response', () => {
+      const buf = Buffer.from([0xC4, 0x03, 0x02, 0x02, 0x00, DLMS_DATA_TYPES.UINT8, 0x05]);
+      const result = parseGetResponse(buf);
+
+      expect(result.accessResult).toBeNull();
+      expect(result.parseError).toContain('List result 2 of 2 truncated');
+    });
+
     it('should handle minimal get-response', () => {
       const buf = Buffer.from([0xC4]);
       const result = parseGetResponse(buf);
@@ -290,6 +381,86 @@ describe('DLMS APDU Parser', () => {
       const result = parseAare(buf);
       expect(result.accepted).toBe(false);
     });
+
+    it('should report result, diagnostic and negotiated parameters', () => {
+      const buf = Buffer.from(
+        '6129a109060760857405080101a203020100a305a103020100' +
+          'be10040e0800065f1f040000101400ef0007',
+        'hex'
+      );
+      const result = parseAare(buf);
+
+      expect(result.accepted).toBe(true);
+      expect(result.associationResultName).toBe('accepted');
+      expect(result.diagnosticSource).toBe('acse-service-user');
+      expect(result.diagnosticName).toBe('null');
+      expect(result.negotiatedDlmsVersion).toBe(6);
+      expect(result.negotiatedConformance).toBe(0x001014);
+      expect(result.serverMaxReceivePduSize).toBe(0xef);
+    });
+
+    it('should report authentication failures', () => {
+      const buf = Buffer.from(
+        '611fa109060760857405080101a203020101a305a10302010d' + '890760857405080201',
+        'hex'
+      );
+      const result = parseAare(buf);
+
+      expect(result.accepted).toBe(false);
+      expect(result.associationResultName).toBe('rejected-permanent');
+      expect(result.diagnostic).toBe(13);
+      expect(result.diagnosticName).toBe('authentication-failure');
+      expect(result.mechanism).toBe(1);
+    });
+
+    it('should report provider diagnostics and initiate errors', () => {
+      const buf = Buffer.from('6119a203020101a305a203020102' + 'be0604040e010601', 'hex');
+      const result = parseAare(buf);
+
+      expect(result.diagnosticSource).toBe('acse-service-provider');
+      expect(result.diagnosticName).toBe('no-common-acse-version');
+      expect(result.initiateError).toEqual({ service: 1, errorType: 6, error: 1 });
+    });
+
+    it('should return the HLS system title, challenge and ciphered initiate response', () => {
+      const buf = Buffer.from(
+        '612ca203020100' +
+          'a40a04084d4d4d0000bc614e' + // responding-AP-title
+          '890760857405080205' + // HLS-GMAC
+          'aa0680040102' + '0304' + // responding-authentication-value (StoC)
+          'be070405280330000000',
+        'hex'
+      );
+      const result = parseAare(buf);
+
+      expect(result.mechanism).toBe(5);
+      expect(result.respondingApTitle.toString('hex')).toBe('4d4d4d0000bc614e');
+      expect(result.respondingAuthenticationValue).toEqual(Buffer.from([1, 2, 3, 4]));
+      expect(result.cipheredInitiateResponse).toEqual(Buffer.from([0x28, 0x03, 0x30, 0x00, 0x00]));
+      expect(result.negotiatedDlmsVersion).toBeUndefined();
+    });
+  });
+
+  describe('describeAssociationResult', () => {
+    it('should describe missing, accepted and rejected associations', () => {
+      expect(describeAssociationResult(null)).toBe('timeout');
+      expect(describeAssociationResult({ accepted: true })).toBe('accepted');
+      expect(describeAssociationResult({ accepted: false })).toBe('rejected');
+      expect(
+        describeAssociationResult({
+          accepted: false,
+          associationResultName: 'rejected-permanent',
+          diagnosticName: 'authentication-failure',
+        })
+      ).toBe('rejected-permanent: authentication-failure');
+      expect(
+        describeAssociationResult({
+          accepted: false,
+          associationResultName: 'rejected-transient',
+          diagnosticName: 'null',
+        })
+      ).toBe('rejected-transient');
+    });
   });
 
   describe('parseExceptionResponse', () => {
@@ -322,6 +493,25 @@ describe('DLMS APDU Parser', () => {
       expect(result.readings.TOTAL_ACTIVE_IMPORT.unit).toBe('kWh');
     });
 
+    it('should scale EventNotification values by the meter scaler_unit', () => {
+      const parsed = {
+        type: 'event-notification',
+        obisCode: '1-0:32.7.0.255',
+        obisInfo: { name: 'Voltage phase A', unit: 'V', key: 'VOLTAGE_A' },
+        classId: 3,
+        data: { value: 23015 },
+      };
+      const scalerUnitFor = vi.fn(() => ({ scaler: -2, unit: 35 }));
+
+      const result = extractTelemetry(parsed, { scalerUnitFor });
+      expect(scalerUnitFor).toHaveBeenCalledWith('1-0:32.7.0.255');
+      expect(result.readings.VOLTAGE_A).toEqual({
+        value: 230.15,
+        unit: 'V',
+        obis: '1-0:32.7.0.255',
+      });
+    });
+
     it('should extract telemetry from DataNotification', () => {
       const parsed = {
         type: 'data-notification',
@@ -342,6 +532,72 @@ describe('DLMS APDU Parser', () => {
       expect(result.type).toBe('data-notification');
     });
 
+    it('should extract the newest row of a compact-array DataNotification', () => {
+      const buf = Buffer.from([
+        0x0F,
+        0x00, 0x00, 0x00, 0x01, // invokeId
+        0x00, // no datetime
+        DLMS_DATA_TYPES.COMPACT_ARRAY,
+        0x02, 0x02, DLMS_DATA_TYPES.UINT32, DLMS_DATA_TYPES.UINT16, // structure { uint32, uint16 }
+        0x0C,
+        0x00, 0x00, 0x00, 0x64, 0x00, 0xE6, // row 1
+        0x00, 0x00, 0x00, 0x65, 0x00, 0xE7, // row 2
+      ]);
+
+      const result = extractTelemetry(parseDataNotification(buf));
+
+      expect(result.data.value).toHaveLength(2);
+      expect(result.readings).toEqual({ UINT32: { value: 101 }, UINT16: { value: 231 } });
+    });
+
+    it('should keep repeated field types of a DataNotification apart', () => {
+      const parsed = {
+        type: 'data-notification',
+        data: {
+          typeName: 'STRUCTURE',
+          value: [
+            { typeName: 'UINT16', value: 230 },
+            { typeName: 'UINT16', value: 231 },
+          ],
+        },
+      };
+
+      expect(extractTelemetry(parsed).readings).toEqual({
+        UINT16: { value: 230 },
+        UINT16_1: { value: 231 },
+      });
+    });
+
+    it('should name DataNotification fields by the push_object_list that sent them', () => {
+      const parsed = {
+        type: 'data-notification',
+        invokeId: 1,
+        timestamp: null,
+        data: {
+          typeName: 'STRUCTURE',
+          value: [
+            { typeName: 'OCTET_STRING', value: Buffer.from([0, 0, 25, 9, 0, 255]) },
+            { typeName: 'UINT32', value: 12345 },
+          ],
+        },
+      };
+      const objectList = [
+        { classId: 40, obisCode: '0-0:25.9.0.255', attributeIndex: 1, dataIndex: 0 },
+        { classId: 3, obisCode: '1-0:1.8.0.255', attributeIndex: 2, dataIndex: 0 },
+      ];
+      const pushObjectListFor = vi.fn(() => objectList);
+
+      const result = extractTelemetry(parsed, {
+        pushObjectListFor,
+        scalerUnitFor: () => ({ scaler: -2, unit: 30 }),
+      });
+
+      expect(pushObjectListFor).toHaveBeenCalledWith(parsed.data.value);
+      expect(result.readings).toEqual({
+        TOTAL_ACTIVE_IMPORT: { value: 123.45, unit: 'Wh', obis: '1-0:1.8.0.255' },
+      });
+    });
+
     it('should extract from successful GET.response', () => {
       const parsed = {
         type: 'get-response',
@@ -460,8 +716,9 @@ describe('DLMS APDU Parser', () => {
     });
 
     it('should parse ACTION.response with optional return data', () => {
-      // c7 01 01 00 01 03 01 = tag, response-normal, invokeId=1, success, return-data-present=1, boolean true
-      const buf = Buffer.from([0xC7, 0x01, 0x01, 0x00, 0x01, 0x03, 0x01]);
+      // c7 01 01 00 01 00 03 01 = tag, response-normal, invokeId=1, success,
+      // return-parameters present, Get-Data-Result data, boolean true
+      const buf = Buffer.from([0xC7, 0x01, 0x01, 0x00, 0x01, 0x00, 0x03, 0x01]);
       const result = parseActionResponse(buf);
 
       expect(result.success).toBe(true);
@@ -470,6 +727,13 @@ describe('DLMS APDU Parser', () => {
       expect(result.data.value).toBe(true);
     });
 
+    it('should parse a data-access-result in the return parameters', () => {
+      const buf = Buffer.from([0xC7, 0x01, 0x01, 0x00, 0x01, 0x01, 0x03]);
+      const result = parseActionResponse(buf);
+
+      expect(result.data).toEqual({ errorCode: 3, errorName: 'read-write-denied' });
+    });
+
     it('should handle ACTION.response with no return data indicator', () => {
       const buf = Buffer.from([0xC7, 0x01, 0x05, 0x00, 0x00]);
       const result = parseActionResponse(buf);
@@ -488,6 +752,31 @@ describe('DLMS APDU Parser', () => {
     });
   });
 
+  describe('parseSetResponse', () => {
+    it('should parse successful SET.response', () => {
+      const result = parseSetResponse(Buffer.from([0xC5, 0x01, 0x02, 0x00]));
+
+      expect(result.type).toBe('set-response');
+      expect(result.invokeId).toBe(2);
+      expect(result.accessResult).toBe(0);
+      expect(result.accessResultName).toBe('success');
+      expect(result.success).toBe(true);
+    });
+
+    it('should parse rejected SET.response', () => {
+      const result = parseSetResponse(Buffer.from([0xC5, 0x01, 0x01, 0x03]));
+
+      expect(result.success).toBe(false);
+      expect(result.accessResultName).toBe('read-write-denied');
+    });
+
+    it('should be dispatched by parseApdu', () => {
+      const result = parseApdu(Buffer.from([0xC5, 0x01, 0x01, 0x00]));
+      expect(result.type).toBe('set-response');
+      expect(result.success).toBe(true);
+    });
+  });
+
   describe('parseApdu dispatches ACTION.response', () => {
     it('should dispatch 0xC7 to parseActionResponse', () => {
       const buf = Buffer.from([0xC7, 0x01, 0x01, 0x00, 0x00]);
@@ -0,0 +1,128 @@
+/**
+ * DLMS Association LN Unit Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import { parseObjectList } from '../../../../src/protocol/dlms/association-ln.js';
+import {
+  DLMS_DATA_TYPES,
+  encodeDlmsValue,
+  parseDlmsValue,
+} from '../../../../src/protocol/dlms/data-types.js';
+
+const { ARRAY, STRUCTURE, UINT16, UINT8, INT8, ENUM, BOOLEAN, OCTET_STRING, NULL_DATA } =
+  DLMS_DATA_TYPES;
+
+/** Encode and parse again, as the value arrives in a GET.response */
+const asReceived = (typed) => parseDlmsValue(encodeDlmsValue(typed));
+
+const attributeAccess = (id, mode, selectors = null) => ({
+  type: STRUCTURE,
+  value: [
+    { type: INT8, value: id },
+    { type: ENUM, value: mode },
+    selectors
+      ? { type: ARRAY, value: selectors.map((s) => ({ type: INT8, value: s })) }
+      : { type: NULL_DATA },
+  ],
+});
+
+const methodAccess = (id, mode) => ({
+  type: STRUCTURE,
+  value: [
+    { type: INT8, value: id },
+    typeof mode === 'boolean' ? { type: BOOLEAN, value: mode } : { type: ENUM, value: mode },
+  ],
+});
+
+const element = (classId, version, obis, attributes, methods = []) => ({
+  type: STRUCTURE,
+  value: [
+    { type: UINT16, value: classId },
+    { type: UINT8, value: version },
+    { type: OCTET_STRING, value: Buffer.from(obis) },
+    {
+      type: STRUCTURE,
+      value: [
+        { type: ARRAY, value: attributes },
+        { type: ARRAY, value: methods },
+      ],
+    },
+  ],
+});
+
+describe('DLMS Association LN', () => {
+  describe('parseObjectList', () => {
+    it('should list objects with class, version and access rights', () => {
+      const data = asReceived({
+        type: ARRAY,
+        value: [
+          element(3, 0, [1, 0, 32, 7, 0, 255], [attributeAccess(1, 1), attributeAccess(2, 1)]),
+          element(
+            7,
+            1,
+            [1, 0, 99, 1, 0, 255],
+            [attributeAccess(2, 1, [1, 2]), attributeAccess(4, 3)],
+            [methodAccess(1, 2)]
+          ),
+        ],
+      });
+
+      expect(parseObjectList(data)).toEqual([
+        {
+          classId: 3,
+          version: 0,
+          obisCode: '1-0:32.7.0.255',
+          attributes: [
+            { id: 1, access: 'read-only' },
+            { id: 2, access: 'read-only' },
+          ],
+          methods: [],
+        },
+        {
+          classId: 7,
+          version: 1,
+          obisCode: '1-0:99.1.0.255',
+          attributes: [
+            { id: 2, access: 'read-only', selectors: [1, 2] },
+            { id: 4, access: 'read-and-write' },
+          ],
+          methods: [{ id: 1, access: 'authenticated-access' }],
+        },
+      ]);
+    });
+
+    it('should read version 0 boolean method access', () => {
+      const data = asReceived({
+        type: ARRAY,
+        value: [
+          element(
+            70,
+            0,
+            [0, 0, 96, 3, 10, 255],
+            [],
+            [methodAccess(1, true), methodAccess(2, false)]
+          ),
+        ],
+      });
+
+      expect(parseObjectList(data)[0].methods).toEqual([
+        { id: 1, access: 'access' },
+        { id: 2, access: 'no-access' },
+      ]);
+    });
+
+    it('should reject malformed object lists', () => {
+      expect(() => parseObjectList(asReceived({ type: UINT16, value: 1 }))).toThrow(
+        'object_list is not an array'
+      );
+      const data = asReceived({
+        type: ARRAY,
+        value: [{ type: STRUCTURE, value: [{ type: UINT16, value: 3 }] }],
+      });
+      expect(() => parseObjectList(data)).toThrow(
+        'object_list entry 0 is not an object list element'
+      );
+    });
+  });
+});
@@ -2,17 +2,25 @@
  * DLMS Client Unit Tests
  */
 
-import { describe, it, expect } from 'vitest';
+import { describe, it, expect, afterEach } from 'vitest';
 import {
+  AUTHENTICATION_MECHANISMS,
+  CLIENT_ADDRESSES,
   buildAarq,
+  resolveAssociation,
   buildGetRequest,
+  buildGetRequestNext,
+  buildGetRequestWithList,
+  buildSetRequest,
   buildActionRequest,
   buildReleaseRequest,
   wrapDlmsForSending,
   prepareDlmsForSending,
   obisToBytes,
 } from '../../../../src/protocol/dlms/client.js';
+import { createSecurityContext } from '../../../../src/protocol/dlms/security.js';
 import { IVY_HEADER_LENGTH } from '../../../../src/protocol/ivy-wrapper.js';
+import config from '../../../../src/config/index.js';
 
 describe('DLMS Client', () => {
   describe('buildAarq', () => {
@@ -27,6 +35,152 @@ describe('DLMS Client', () => {
       const bodyLen = aarq[1];
       expect(aarq.length).toBe(2 + bodyLen);
     });
+
+    it('should omit authentication fields without a password', () => {
+      const aarq = buildAarq();
+      expect(aarq.includes(Buffer.from([0x8A, 0x02, 0x07, 0x80]))).toBe(false);
+    });
+
+    it('should add LLS authentication fields before user-information', () => {
+      const aarq = buildAarq({ password: '12345678' });
+      const hex = aarq.toString('hex');
+
+      expect(aarq.length).toBe(2 + aarq[1]);
+      // sender-acse-requirements, mechanism-name (LLS), calling-authentication-value
+      const lls =
+        '8a020780' + '8b0760857405080201' + 'ac0a8008' + Buffer.from('12345678').toString('hex');
+      expect(hex).toContain(lls);
+      expect(hex.indexOf(lls)).toBeLessThan(hex.indexOf('be'));
+    });
+
+    it('should accept a binary password', () => {
+      const aarq = buildAarq({
+        authentication: AUTHENTICATION_MECHANISMS.LLS,
+        password: Buffer.from([0x00, 0xff]),
+      });
+      expect(aarq.toString('hex')).toContain('ac04800200ff');
+    });
+
+    it('should reject LLS without a password', () => {
+      expect(() => buildAarq({ authentication: AUTHENTICATION_MECHANISMS.LLS })).toThrow(
+        'LLS authentication requires a password'
+      );
+    });
+
+    it('should reject overlong passwords', () => {
+      expect(() => buildAarq({ password: 'x'.repeat(65) })).toThrow('LLS password too long');
+    });
+
+    it('should reject unsupported mechanisms', () => {
+      expect(() => buildAarq({ authentication: 7, password: 'secret' })).toThrow(
+        'Unsupported authentication mechanism: 7'
+      );
+    });
+
+    it('should build an HLS-GMAC AARQ with system title, challenge and ciphered initiate', () => {
+      const security = createSecurityContext({
+        systemTitle: '4956590000000001',
+        blockCipherKey: '000102030405060708090A0B0C0D0E0F',
+        authenticationKey: 'D0D1D2D3D4D5D6D7D8D9DADBDCDDDEDF',
+        invocationCounter: 0,
+      });
+      const challenge = Buffer.from('0102030405060708', 'hex');
+
+      const aarq = buildAarq({
+        authentication: AUTHENTICATION_MECHANISMS.HLS_GMAC,
+        security,
+        challenge,
+      });
+      const hex = aarq.toString('hex');
+
+      expect(aarq.length).toBe(2 + aarq[1]);
+      // LN with ciphering, then calling-AP-title
+      expect(hex).toContain('a109060760857405080103' + 'a60a04084956590000000001');
+      expect(hex).toContain('8a020780' + '8b0760857405080205' + 'ac0a80080102030405060708');
+      // user-information holds a glo-initiate-request with invocation counter 1
+      const userInfo = aarq.subarray(aarq.indexOf(0xbe));
+      expect(userInfo[2]).toBe(0x04);
+      expect(userInfo[4]).toBe(0x21);
+      expect(userInfo.subarray(6, 11).toString('hex')).toBe('3000000001');
+    });
+
+    it('should reject HLS-GMAC without a security context', () => {
+      expect(() => buildAarq({ authentication: AUTHENTICATION_MECHANISMS.HLS_GMAC })).toThrow(
+        'requires a security context'
+      );
+    });
+  });
+
+  describe('resolveAssociation', () => {
+    const original = { ...config.dlms };
+
+    afterEach(() => {
+      Object.assign(config.dlms, original);
+    });
+
+    it('should default to the public client without authentication', () => {
+      config.dlms.password = '';
+      config.dlms.meterCredentials = {};
+
+      expect(resolveAssociation('000000000001')).toEqual({
+        clientAddress: CLIENT_ADDRESSES.PUBLIC,
+        password: null,
+        authentication: AUTHENTICATION_MECHANISMS.NONE,
+        keys: null,
+      });
+    });
+
+    it('should use the global password with LLS', () => {
+      config.dlms.password = 'global';
+      config.dlms.meterCredentials = {};
+
+      expect(resolveAssociation('000000000001')).toMatchObject({
+        password: 'global',
+        authentication: AUTHENTICATION_MECHANISMS.LLS,
+      });
+    });
+
+    it('should prefer per-meter client address and password', () => {
+      config.dlms.password = 'global';
+      config.dlms.meterCredentials = {
+        '000000000001': { clientAddress: CLIENT_ADDRESSES.MANAGEMENT, password: 'meter' },
+        '000000000002': { clientAddress: 0x20, password: undefined },
+      };
+
+      expect(resolveAssociation('000000000001')).toEqual({
+        clientAddress: CLIENT_ADDRESSES.MANAGEMENT,
+        password: 'meter',
+        authentication: AUTHENTICATION_MECHANISMS.LLS,
+        keys: null,
+      });
+      expect(resolveAssociation('000000000002')).toMatchObject({
+        clientAddress: 0x20,
+        password: 'global',
+      });
+    });
+
+    it('should select HLS-GMAC with per-meter keys', () => {
+      config.dlms.password = 'global';
+      config.dlms.authentication = '';
+      config.dlms.systemTitle = '4956590000000001';
+      config.dlms.blockCipherKey = 'aa'.repeat(16);
+      config.dlms.authenticationKey = 'bb'.repeat(16);
+      config.dlms.meterKeys = { '000000000001': { blockCipherKey: 'cc'.repeat(16) } };
+
+      expect(resolveAssociation('000000000001')).toMatchObject({
+        password: null,
+        authentication: AUTHENTICATION_MECHANISMS.HLS_GMAC,
+        keys: {
+          systemTitle: '4956590000000001',
+          blockCipherKey: 'cc'.repeat(16),
+          authenticationKey: 'bb'.repeat(16),
+        },
+      });
+      expect(resolveAssociation('000000000002').authentication).toBe(AUTHENTICATION_MECHANISMS.LLS);
+
+      config.dlms.authentication = 'hls-gmac';
+      expect(resolveAssociation('000000000002').keys.blockCipherKey).toBe('aa'.repeat(16));
+    });
   });
 
   describe('buildGetRequest', () => {
@@ -54,6 +208,67 @@ describe('DLMS Client', () => {
     });
   });
 
+  describe('buildGetRequestNext', () => {
+    it('should ask for the block after the given block number', () => {
+      expect(buildGetRequestNext(0x01020304, 5)).toEqual(
+        Buffer.from([0xC0, 0x02, 0x05, 0x01, 0x02, 0x03, 0x04])
+      );
+    });
+
+    it('should encode block numbers above 2^31', () => {
+      expect(buildGetRequestNext(0xFFFFFFFE).subarray(3)).toEqual(
+        Buffer.from([0xFF, 0xFF, 0xFF, 0xFE])
+      );
+    });
+  });
+
+  describe('buildGetRequestWithList', () => {
+    it('should encode one attribute descriptor per attribute', () => {
+      const req = buildGetRequestWithList(
+        [
+          { classId: 3, obisCode: '1-0:1.8.0.255' },
+          { classId: 8, obisCode: '0-0:1.0.0.255', attributeIndex: 4 },
+        ],
+        7
+      );
+
+      expect(req.subarray(0, 4)).toEqual(Buffer.from([0xC0, 0x03, 0x07, 0x02]));
+      expect(req.length).toBe(24);
+      expect(req.subarray(4, 14)).toEqual(
+        Buffer.from([0x00, 0x03, 1, 0, 1, 8, 0, 255, 0x02, 0x00])
+      );
+      expect(req.subarray(14, 24)).toEqual(
+        Buffer.from([0x00, 0x08, 0, 0, 1, 0, 0, 255, 0x04, 0x00])
+      );
+    });
+
+    it('should reject an empty list', () => {
+      expect(() => buildGetRequestWithList([])).toThrow('at least one attribute');
+    });
+  });
+
+  describe('buildSetRequest', () => {
+    it('should build a SET.request-normal with the value appended', () => {
+      const value = Buffer.from([0x12, 0x00, 0x0A]); // long-unsigned 10
+      const req = buildSetRequest(8, '0-0:1.0.0.255', 2, value, 5);
+
+      expect(req[0]).toBe(0xC1);
+      expect(req[1]).toBe(0x01); // set-request-normal
+      expect(req[2]).toBe(5);
+      expect(req.readUInt16BE(3)).toBe(8);
+      expect([...req.subarray(5, 11)]).toEqual([0, 0, 1, 0, 0, 255]);
+      expect(req[11]).toBe(2);
+      expect(req[12]).toBe(0x00); // no selective access
+      expect(req.subarray(13)).toEqual(value);
+    });
+
+    it('should encode a typed value', () => {
+      const req = buildSetRequest(3, '1-0:0.3.0.255', 3, { type: 'uint16', value: 1000 });
+
+      expect(req.subarray(13)).toEqual(Buffer.from([0x12, 0x03, 0xE8]));
+    });
+  });
+
   describe('buildActionRequest', () => {
     it('should build an ACTION.request starting with tag 0xC3', () => {
       const req = buildActionRequest(70, '0-0:96.3.10.255', 1);
@@ -97,6 +312,12 @@ describe('DLMS Client', () => {
       expect(req[12]).toBe(0x00);
     });
 
+    it('should append method-invocation-parameters when given', () => {
+      const req = buildActionRequest(15, '0-0:40.0.0.255', 1, 1, Buffer.from([0x09, 0x01, 0xaa]));
+      expect(req.length).toBe(16);
+      expect(req.subarray(12).toString('hex')).toBe('010901aa');
+    });
+
     it('should use custom invokeId', () => {
       const req = buildActionRequest(70, '0-0:96.3.10.255', 1, 3);
       expect(req[2]).toBe(3);
@@ -5,8 +5,12 @@
 import { describe, it, expect } from 'vitest';
 import {
   DLMS_DATA_TYPES,
+  parseAxdrLength,
+  encodeAxdrLength,
   parseDlmsValue,
+  encodeDlmsValue,
   parseCosemDateTime,
+  encodeCosemDateTime,
   parseObisCode,
   looksLikeCosemDateTime,
 } from '../../../../src/protocol/dlms/data-types.js';
@@ -225,6 +229,52 @@ describe('DLMS Data Types', () => {
       expect(result.value.second).toBe(45);
       expect(result.bytesConsumed).toBe(5);
     });
+
+    it('should parse arrays with a multi-byte length', () => {
+      const buf = Buffer.concat([
+        Buffer.from([DLMS_DATA_TYPES.ARRAY, 0x81, 200]),
+        Buffer.alloc(200 * 2).fill(Buffer.from([DLMS_DATA_TYPES.UINT8, 0x07])),
+      ]);
+      const result = parseDlmsValue(buf);
+      expect(result.value).toHaveLength(200);
+      expect(result.value[199]).toBe(7);
+      expect(result.bytesConsumed).toBe(403);
+    });
+
+    it('should parse octet-strings with a multi-byte length', () => {
+      const buf = Buffer.concat([
+        Buffer.from([DLMS_DATA_TYPES.OCTET_STRING, 0x82, 0x01, 0x2C]),
+        Buffer.alloc(300, 0xAB),
+      ]);
+      const result = parseDlmsValue(buf);
+      expect(result.value).toHaveLength(300);
+      expect(result.bytesConsumed).toBe(304);
+    });
+  });
+
+  describe('parseAxdrLength', () => {
+    it('should parse short and long forms', () => {
+      expect(parseAxdrLength(Buffer.from([0x7F]))).toEqual({ length: 127, bytesConsumed: 1 });
+      expect(parseAxdrLength(Buffer.from([0x81, 0x80]))).toEqual({ length: 128, bytesConsumed: 2 });
+      expect(parseAxdrLength(Buffer.from([0x00, 0x82, 0x12, 0x34]), 1)).toEqual({
+        length: 0x1234,
+        bytesConsumed: 3,
+      });
+    });
+
+    it('should round-trip encoded lengths', () => {
+      for (const length of [0, 0x7F, 0x80, 0xFF, 0x100, 0xFFFF, 0x10000]) {
+        const encoded = encodeAxdrLength(length);
+        expect(parseAxdrLength(encoded)).toEqual({ length, bytesConsumed: encoded.length });
+      }
+      expect(encodeAxdrLength(200)).toEqual(Buffer.from([0x81, 200]));
+    });
+
+    it('should reject invalid encodings', () => {
+      expect(() => parseAxdrLength(Buffer.from([0x80]))).toThrow('invalid length encoding');
+      expect(() => parseAxdrLength(Buffer.from([0x82, 0x01]))).toThrow('invalid length encoding');
+      expect(() => parseAxdrLength(Buffer.alloc(0))).toThrow('beyond buffer length');
+    });
   });
 
   describe('parseCosemDateTime', () => {
@@ -302,6 +352,341 @@ describe('DLMS Data Types', () => {
     });
   });
 
+  describe('encodeCosemDateTime', () => {
+    it('should encode a 12-byte date-time that round-trips through the parser', () => {
+      const buf = encodeCosemDateTime(new Date(2025, 2, 20, 10, 15, 30, 250));
+      expect(buf.length).toBe(12);
+
+      const result = parseCosemDateTime(buf);
+      expect(result.year).toBe(2025);
+      expect(result.month).toBe(3);
+      expect(result.day).toBe(20);
+      expect(result.dayOfWeek).toBe(4); // Thursday
+      expect(result.hour).toBe(10);
+      expect(result.minute).toBe(15);
+      expect(result.second).toBe(30);
+      expect(buf[8]).toBe(25); // hundredths
+    });
+
+    it('should encode Sunday as day 7 and deviation as not specified by default', () => {
+      const buf = encodeCosemDateTime(new Date(2025, 2, 23));
+      expect(buf[4]).toBe(7);
+      expect(buf.readInt16BE(9)).toBe(-0x8000);
+      expect(buf[11]).toBe(0x00);
+    });
+
+    it('should write deviation and clock status when given', () => {
+      const buf = encodeCosemDateTime(new Date(2025, 0, 1), { deviation: -60, clockStatus: 0x80 });
+      expect(buf.readInt16BE(9)).toBe(-60);
+      expect(buf[11]).toBe(0x80);
+    });
+  });
+
+  describe('encodeDlmsValue', () => {
+    const roundTrip = (typed) => parseDlmsValue(encodeDlmsValue(typed));
+
+    it('should encode integers of every width', () => {
+      expect(encodeDlmsValue({ type: DLMS_DATA_TYPES.UINT16, value: 10 })).toEqual(
+        Buffer.from([0x12, 0x00, 0x0A])
+      );
+      expect(roundTrip({ type: DLMS_DATA_TYPES.INT8, value: -128 }).value).toBe(-128);
+      expect(roundTrip({ type: DLMS_DATA_TYPES.INT32, value: -100000 }).value).toBe(-100000);
+      expect(roundTrip({ type: DLMS_DATA_TYPES.UINT32, value: 0xFFFFFFFF }).value).toBe(
+        0xFFFFFFFF
+      );
+      expect(roundTrip({ type: DLMS_DATA_TYPES.ENUM, value: 2 }).value).toBe(2);
+    });
+
+    it('should accept numbers, strings and bigints for 64-bit integers', () => {
+      expect(roundTrip({ type: DLMS_DATA_TYPES.INT64, value: -5 }).value).toBe(-5);
+      expect(roundTrip({ type: DLMS_DATA_TYPES.UINT64, value: '123456789012' }).value).toBe(
+        123456789012
+      );
+      expect(encodeDlmsValue({ type: DLMS_DATA_TYPES.UINT64, value: 2n ** 64n - 1n })).toEqual(
+        Buffer.from([0x15, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF])
+      );
+    });
+
+    it('should accept type names', () => {
+      expect(encodeDlmsValue({ type: 'uint16', value: 10 })).toEqual(
+        Buffer.from([0x12, 0x00, 0x0A])
+      );
+      expect(encodeDlmsValue({ type: 'octet-string', value: 'ABCD' })).toEqual(
+        Buffer.from([0x09, 0x02, 0xAB, 0xCD])
+      );
+    });
+
+    it('should encode booleans, floats and null-data', () => {
+      expect(encodeDlmsValue({ type: DLMS_DATA_TYPES.BOOLEAN, value: true })).toEqual(
+        Buffer.from([0x03, 0x01])
+      );
+      expect(roundTrip({ type: DLMS_DATA_TYPES.FLOAT32, value: 1.5 }).value).toBe(1.5);
+      expect(roundTrip({ type: DLMS_DATA_TYPES.FLOAT64, value: -0.1 }).value).toBe(-0.1);
+      expect(encodeDlmsValue({ type: DLMS_DATA_TYPES.NULL_DATA })).toEqual(Buffer.from([0x00]));
+    });
+
+    it('should encode strings with their length', () => {
+      expect(roundTrip({ type: DLMS_DATA_TYPES.VISIBLE_STRING, value: 'METER01' }).value).toBe(
+        'METER01'
+      );
+      expect(roundTrip({ type: DLMS_DATA_TYPES.UTF8_STRING, value: 'Zähler' }).value).toBe(
+        'Zähler'
+      );
+      const long = encodeDlmsValue({
+        type: DLMS_DATA_TYPES.OCTET_STRING,
+        value: Buffer.alloc(200),
+      });
+      expect([...long.subarray(0, 3)]).toEqual([0x09, 0x81, 0xC8]);
+      expect(parseDlmsValue(long).bytesConsumed).toBe(203);
+    });
+
+    it('should encode a Date octet-string as a COSEM date-time', () => {
+      const date = new Date(2025, 2, 20, 10, 15, 30);
+      const buf = encodeDlmsValue({ type: DLMS_DATA_TYPES.OCTET_STRING, value: date });
+      expect(buf[1]).toBe(12);
+      expect(buf.subarray(2)).toEqual(encodeCosemDateTime(date));
+    });
+
+    it('should encode bit strings from digits or bytes', () => {
+      expect(encodeDlmsValue({ type: DLMS_DATA_TYPES.BIT_STRING, value: '1010000001' })).toEqual(
+        Buffer.from([0x04, 0x0A, 0xA0, 0x40])
+      );
+      expect(
+        encodeDlmsValue({ type: DLMS_DATA_TYPES.BIT_STRING, value: Buffer.from([0xF0]) })
+      ).toEqual(Buffer.from([0x04, 0x08, 0xF0]));
+    });
+
+    it('should encode date-time, date and time', () => {
+      const dateTime = roundTrip({ type: DLMS_DATA_TYPES.DATE_TIME, value: '2025-01-01T12:00:00' });
+      expect(dateTime.value.year).toBe(2025);
+      expect(dateTime.value.hour).toBe(12);
+
+      expect(
+        roundTrip({ type: DLMS_DATA_TYPES.DATE, value: { year: 2025, month: 6, day: 1 } }).value
+      ).toEqual({ year: 2025, month: 6, day: 1, dayOfWeek: 0xFF });
+      const time = encodeDlmsValue({ type: DLMS_DATA_TYPES.TIME, value: { hour: 6, minute: 30 } });
+      expect(time).toEqual(Buffer.from([0x1B, 0x06, 0x1E, 0xFF, 0xFF]));
+    });
+
+    it('should encode nested arrays and structures', () => {
+      const typed = {
+        type: DLMS_DATA_TYPES.ARRAY,
+        value: [
+          {
+            type: DLMS_DATA_TYPES.STRUCTURE,
+            value: [
+              { type: DLMS_DATA_TYPES.UINT16, value: 3 },
+              { type: DLMS_DATA_TYPES.OCTET_STRING, value: '0100010800FF' },
+            ],
+          },
+        ],
+      };
+      const buf = encodeDlmsValue(typed);
+
+      expect([...buf.subarray(0, 4)]).toEqual([0x01, 0x01, 0x02, 0x02]);
+      const result = parseDlmsValue(buf);
+      expect(result.value[0][0].value).toBe(3);
+      expect(result.value[0][1].value).toEqual(Buffer.from('0100010800FF', 'hex'));
+      expect(encodeDlmsValue({ type: DLMS_DATA_TYPES.STRUCTURE, value: result.value[0] })).toEqual(
+        buf.subarray(2)
+      );
+      expect(result.bytesConsumed).toBe(buf.length);
+    });
+
+    it('should reject out-of-range and mistyped values', () => {
+      expect(() => encodeDlmsValue({ type: DLMS_DATA_TYPES.UINT8, value: 256 })).toThrow(
+        'DLMS encode: 256 is not a valid UINT8'
+      );
+      expect(() => encodeDlmsValue({ type: DLMS_DATA_TYPES.INT16, value: 1.5 })).toThrow(
+        'not a valid INT16'
+      );
+      expect(() => encodeDlmsValue({ type: DLMS_DATA_TYPES.UINT64, value: -1 })).toThrow(
+        'not a valid UINT64'
+      );
+      expect(() => encodeDlmsValue({ type: DLMS_DATA_TYPES.BOOLEAN, value: 1 })).toThrow(
+        'not a valid BOOLEAN'
+      );
+      expect(() => encodeDlmsValue({ type: DLMS_DATA_TYPES.OCTET_STRING, value: 'xyz' })).toThrow(
+        'OCTET_STRING needs a Buffer, hex string or Date'
+      );
+      expect(() => encodeDlmsValue({ type: DLMS_DATA_TYPES.DATE_TIME, value: 'never' })).toThrow(
+        'DATE_TIME needs a date or a 12-byte Buffer'
+      );
+      expect(() => encodeDlmsValue({ type: DLMS_DATA_TYPES.STRUCTURE, value: 5 })).toThrow(
+        'STRUCTURE needs an array of typed values'
+      );
+    });
+
+    it('should reject unknown types', () => {
+      expect(() => encodeDlmsValue({ type: 'uint24', value: 1 })).toThrow(
+        'DLMS encode: unknown data type uint24'
+      );
+    });
+  });
+
+  describe('compact-array', () => {
+    const { COMPACT_ARRAY, STRUCTURE, ARRAY, UINT8, UINT16, UINT32, INT8, OCTET_STRING } =
+      DLMS_DATA_TYPES;
+
+    it('should parse a compact array of simple values', () => {
+      // contents-description long-unsigned, 6 content bytes
+      const buf = Buffer.from([0x0D, 0x12, 0x06, 0x00, 0x01, 0x00, 0x02, 0x00, 0x03]);
+
+      const result = parseDlmsValue(buf);
+
+      expect(result.typeName).toBe('COMPACT_ARRAY');
+      expect(result.value).toEqual([1, 2, 3]);
+      expect(result.contentsDescription).toEqual({ type: UINT16 });
+      expect(result.bytesConsumed).toBe(9);
+    });
+
+    it('should parse rows of structures with variable-length fields', () => {
+      const buf = Buffer.from([
+        0x0D,
+        0x02, 0x02, 0x11, 0x09, // structure { unsigned, octet-string }
+        0x07, // contents length
+        0x05, 0x02, 0xAA, 0xBB, // row 1
+        0x07, 0x01, 0xCC, // row 2
+        0xEE, // next value
+      ]);
+
+      const result = parseDlmsValue(buf);
+
+      expect(result.value).toHaveLength(2);
+      expect(result.value[0][0]).toMatchObject({ value: 5, typeName: 'UINT8' });
+      expect(result.value[0][1].value).toEqual(Buffer.from([0xAA, 0xBB]));
+      expect(result.value[1][0].value).toBe(7);
+      expect(result.value[1][1].value).toEqual(Buffer.from([0xCC]));
+      expect(result.bytesConsumed).toBe(buf.length - 1);
+    });
+
+    it('should parse arrays nested in structures', () => {
+      const buf = Buffer.from([
+        0x0D,
+        0x02, 0x02, 0x06, 0x01, 0x00, 0x02, 0x0F, // structure { double-long-unsigned, array[2] of integer }
+        0x06,
+        0x00, 0x00, 0x00, 0x64, 0xFF, 0x01,
+      ]);
+
+      const result = parseDlmsValue(buf);
+
+      expect(result.contentsDescription).toEqual({
+        type: STRUCTURE,
+        fields: [{ type: UINT32 }, { type: ARRAY, count: 2, element: { type: INT8 } }],
+      });
+      expect(result.value[0].map((field) => field.value)).toEqual([100, [-1, 1]]);
+    });
+
+    it('should reject invalid descriptions and truncated contents', () => {
+      expect(() => parseDlmsValue(Buffer.from([0x0D, 0x0D, 0x00]))).toThrow(
+        'is not a compact-array element type'
+      );
+      expect(() => parseDlmsValue(Buffer.from([0x0D, 0x12, 0x04, 0x00, 0x01]))).toThrow(
+        'beyond buffer length'
+      );
+      expect(() => parseDlmsValue(Buffer.from([0x0D, 0x12, 0x03, 0x00, 0x01, 0x00]))).toThrow(
+        'beyond contents'
+      );
+    });
+
+    it('should encode rows with one contents-description', () => {
+      const row = (a, b) => ({
+        type: STRUCTURE,
+        value: [
+          { type: UINT8, value: a },
+          { type: OCTET_STRING, value: b },
+        ],
+      });
+
+      const encoded = encodeDlmsValue({
+        type: 'compact-array',
+        value: [row(5, 'aabb'), row(7, 'cc')],
+      });
+
+      expect(encoded).toEqual(
+        Buffer.from([0x0D, 0x02, 0x02, 0x11, 0x09, 0x07, 0x05, 0x02, 0xAA, 0xBB, 0x07, 0x01, 0xCC])
+      );
+    });
+
+    it('should round-trip nested arrays and empty arrays', () => {
+      const typed = {
+        type: COMPACT_ARRAY,
+        value: [
+          {
+            type: STRUCTURE,
+            value: [
+              { type: UINT32, value: 100 },
+              { type: ARRAY, value: [{ type: INT8, value: -1 }, { type: INT8, value: 1 }] },
+            ],
+          },
+        ],
+      };
+
+      const parsed = parseDlmsValue(encodeDlmsValue(typed));
+      expect(parsed.value[0].map((field) => field.value)).toEqual([100, [-1, 1]]);
+
+      const empty = encodeDlmsValue({
+        type: COMPACT_ARRAY,
+        value: [],
+        contentsDescription: parsed.contentsDescription,
+      });
+      expect(parseDlmsValue(empty)).toMatchObject({
+        value: [],
+        contentsDescription: parsed.contentsDescription,
+      });
+    });
+
+    it('should encode a parsed compact array again', () => {
+      const buffers = [
+        Buffer.from([0x0D, 0x12, 0x06, 0x00, 0x01, 0x00, 0x02, 0x00, 0x03]),
+        Buffer.from([0x0D, 0x02, 0x02, 0x11, 0x09, 0x07, 0x05, 0x02, 0xAA, 0xBB, 0x07, 0x01, 0xCC]),
+        Buffer.from([
+          0x0D,
+          0x02, 0x02, 0x06, 0x01, 0x00, 0x02, 0x0F,
+          0x06,
+          0x00, 0x00, 0x00, 0x64, 0xFF, 0x01,
+        ]),
+        Buffer.from([0x0D, 0x01, 0x00, 0x02, 0x11, 0x04, 0x01, 0x02, 0x03, 0x04]),
+      ];
+
+      for (const buf of buffers) {
+        expect(encodeDlmsValue(parseDlmsValue(buf))).toEqual(buf);
+      }
+    });
+
+    it('should reject parsed elements that do not fit the contents-description', () => {
+      expect(() =>
+        encodeDlmsValue({
+          type: COMPACT_ARRAY,
+          value: [[{ type: UINT8, value: 1 }]],
+          contentsDescription: { type: STRUCTURE, fields: [{ type: UINT8 }, { type: UINT8 }] },
+        })
+      ).toThrow('COMPACT_ARRAY elements must all have one type');
+      expect(() =>
+        encodeDlmsValue({
+          type: COMPACT_ARRAY,
+          value: [[1]],
+          contentsDescription: { type: ARRAY, count: 2, element: { type: UINT8 } },
+        })
+      ).toThrow('COMPACT_ARRAY elements must all have one type');
+    });
+
+    it('should reject mixed element types', () => {
+      expect(() =>
+        encodeDlmsValue({
+          type: COMPACT_ARRAY,
+          value: [
+            { type: UINT8, value: 1 },
+            { type: UINT16, value: 2 },
+          ],
+        })
+      ).toThrow('COMPACT_ARRAY elements must all have one type');
+      expect(() => encodeDlmsValue({ type: COMPACT_ARRAY, value: [] })).toThrow(
+        'empty COMPACT_ARRAY needs a contentsDescription'
+      );
+    });
+  });
+
   describe('parseObisCode', () => {
     it('should parse standard OBIS code', () => {
       const buf = Buffer.from([1, 0, 1, 8, 0, 255]); // 1-0:1.8.0.255
@@ -0,0 +1,75 @@
+/**
+ * DLMS Disconnect Control Unit Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  expectedControlState,
+  explainRelayState,
+  isRelayTransition,
+  toRelayState,
+} from '../../../../src/protocol/dlms/disconnect-control.js';
+
+describe('DLMS Disconnect Control', () => {
+  describe('toRelayState', () => {
+    it('should name the control state and keep attributes not read as null', () => {
+      expect(toRelayState({ outputState: false, controlState: 2, controlMode: 1 })).toEqual({
+        outputState: false,
+        controlState: 2,
+        controlStateName: 'ready_for_reconnection',
+        controlMode: 1,
+      });
+      expect(toRelayState({ outputState: 1, controlState: null })).toEqual({
+        outputState: null,
+        controlState: null,
+        controlStateName: null,
+        controlMode: null,
+      });
+    });
+  });
+
+  describe('expectedControlState', () => {
+    it('should follow the transitions of each control_mode', () => {
+      expect(expectedControlState('disconnect', 1)).toBe('disconnected');
+      expect(expectedControlState('reconnect', 1)).toBe('ready_for_reconnection');
+      expect(expectedControlState('reconnect', 2)).toBe('connected');
+      expect(expectedControlState('reconnect', 4)).toBe('connected');
+      expect(expectedControlState('reconnect', 6)).toBe('ready_for_reconnection');
+      expect(expectedControlState('disconnect', 0)).toBeNull();
+      expect(expectedControlState('reconnect', null)).toBeNull();
+    });
+  });
+
+  describe('explainRelayState', () => {
+    it('should explain why a reconnected relay is still open', () => {
+      const state = toRelayState({ outputState: false, controlState: 2, controlMode: 5 });
+
+      expect(explainRelayState(state, 'reconnect')).toBe(
+        'ready_for_reconnection: the relay stays open until the button on the meter is pressed' +
+          ' or a local reconnection (control_mode 5)'
+      );
+    });
+
+    it('should explain control_mode 0 and states the action did not reach', () => {
+      expect(explainRelayState(toRelayState({ controlState: 1, controlMode: 0 }))).toContain(
+        'ignores remote actions'
+      );
+      expect(
+        explainRelayState(toRelayState({ controlState: 1, controlMode: 4 }), 'disconnect')
+      ).toBe('expected disconnected after remote_disconnect, the meter reports connected');
+      expect(explainRelayState(toRelayState({ controlState: 1, controlMode: 4 }))).toBeNull();
+    });
+  });
+
+  describe('isRelayTransition', () => {
+    it('should compare output and control state with the previous state', () => {
+      const connected = toRelayState({ outputState: true, controlState: 1, controlMode: 1 });
+      const armed = toRelayState({ outputState: false, controlState: 2, controlMode: 1 });
+
+      expect(isRelayTransition(null, connected)).toBe(false);
+      expect(isRelayTransition(connected, { ...connected, controlMode: 2 })).toBe(false);
+      expect(isRelayTransition(connected, armed)).toBe(true);
+      expect(isRelayTransition(connected, toRelayState({}))).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,324 @@
+/**
+ * HDLC Session Unit Tests
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+  HDLC_STATES,
+  HDLC_EVENTS,
+  createHdlcSession,
+} from '../../../../src/protocol/dlms/hdlc-session.js';
+import {
+  HDLC_CONTROL,
+  HDLC_POLL_FINAL,
+  HDLC_FRAME_TYPES,
+  encodeHdlcAddress,
+  buildHdlcFrame,
+  buildHdlcParameters,
+  buildInformationControl,
+  buildReceiveReadyControl,
+  parseHdlcFrame,
+} from '../../../../src/protocol/dlms/hdlc.js';
+
+vi.mock('../../../../src/utils/logger.js', () => ({
+  createChildLogger: () => ({
+    info: vi.fn(),
+    debug: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+  }),
+}));
+
+/**
+ * Build a parsed meter → client frame
+ */
+const fromMeter = (control, information = null, segmented = false) =>
+  parseHdlcFrame(
+    buildHdlcFrame({
+      destination: encodeHdlcAddress(0x10),
+      source: encodeHdlcAddress(1),
+      control,
+      information,
+      segmented,
+    })
+  );
+
+const UA_PARAMS = buildHdlcParameters({ maxInfoTransmit: 64, maxInfoReceive: 32 });
+
+describe('HDLC Session', () => {
+  let session;
+  let sent;
+  let reply;
+
+  beforeEach(() => {
+    sent = [];
+    // Meter simulation: (parsedFrame) => parsed reply frame or null
+    reply = (frame) =>
+      frame.type === HDLC_FRAME_TYPES.SNRM
+        ? fromMeter(HDLC_CONTROL.UA | HDLC_POLL_FINAL, UA_PARAMS)
+        : null;
+    session = createHdlcSession({
+      clientAddress: 0x10,
+      serverAddress: 1,
+      responseTimeout: 50,
+      send: (frame) => {
+        const parsed = parseHdlcFrame(frame);
+        sent.push(parsed);
+        const answer = reply(parsed);
+        if (answer) {
+          setTimeout(() => session.handleFrame(answer), 0);
+        }
+        return Promise.resolve(true);
+      },
+    });
+  });
+
+  describe('link setup', () => {
+    it('should send SNRM and become connected on UA', async () => {
+      const onConnected = vi.fn();
+      session.on(HDLC_EVENTS.CONNECTED, onConnected);
+
+      const params = await session.connect();
+
+      expect(sent[0].type).toBe(HDLC_FRAME_TYPES.SNRM);
+      expect(sent[0].destination).toEqual({ upper: 1, lower: null });
+      expect(sent[0].source).toEqual({ upper: 0x10, lower: null });
+      expect(session.getState()).toBe(HDLC_STATES.CONNECTED);
+      // Meter's receive limit is our transmit limit
+      expect(params).toEqual({ maxInfoTransmit: 32, maxInfoReceive: 64 });
+      expect(onConnected).toHaveBeenCalledWith(params);
+    });
+
+    it('should share a link setup already in progress', async () => {
+      await Promise.all([session.connect(), session.connect()]);
+      expect(sent.filter((f) => f.type === HDLC_FRAME_TYPES.SNRM)).toHaveLength(1);
+    });
+
+    it('should fail when the meter answers DM', async () => {
+      reply = () => fromMeter(HDLC_CONTROL.DM | HDLC_POLL_FINAL);
+
+      await expect(session.connect()).rejects.toThrow('refused by meter (DM)');
+      expect(session.getState()).toBe(HDLC_STATES.DISCONNECTED);
+    });
+
+    it('should time out without UA', async () => {
+      reply = () => null;
+
+      await expect(session.connect()).rejects.toThrow('HDLC link setup timeout');
+      expect(session.isConnected()).toBe(false);
+    });
+
+    it('should fail when the transport cannot send', async () => {
+      const offline = createHdlcSession({ send: () => false, responseTimeout: 50 });
+      await expect(offline.connect()).rejects.toThrow('frame not sent');
+    });
+  });
+
+  describe('sendApdu', () => {
+    it('should connect first and send the APDU with LLC header in an I-frame', async () => {
+      const apdu = Buffer.from([0xc0, 0x01, 0x01]);
+
+      const result = await session.sendApdu(apdu);
+
+      expect(result).toBe(true);
+      const iFrame = sent.find((f) => f.type === HDLC_FRAME_TYPES.I);
+      expect(iFrame.sendSequence).toBe(0);
+      expect(iFrame.receiveSequence).toBe(0);
+      expect(iFrame.information).toEqual(Buffer.from([0xe6, 0xe6, 0x00, 0xc0, 0x01, 0x01]));
+    });
+
+    it('should advance N(S) and acknowledge received frames in N(R)', async () => {
+      await session.connect();
+      await session.sendApdu(Buffer.from([0x60, 0x00]));
+      session.handleFrame(
+        fromMeter(buildInformationControl(0, 1), Buffer.from([0xe6, 0xe7, 0x00, 0x61, 0x00]))
+      );
+      await session.sendApdu(Buffer.from([0xc0, 0x01]));
+
+      const iFrames = sent.filter((f) => f.type === HDLC_FRAME_TYPES.I);
+      expect(iFrames[1].sendSequence).toBe(1);
+      expect(iFrames[1].receiveSequence).toBe(1);
+    });
+
+    it('should segment long APDUs and wait for RR between segments', async () => {
+      reply = (frame) => {
+        if (frame.type === HDLC_FRAME_TYPES.SNRM) {
+          return fromMeter(HDLC_CONTROL.UA | HDLC_POLL_FINAL, UA_PARAMS);
+        }
+        if (frame.type === HDLC_FRAME_TYPES.I && frame.segmented) {
+          return fromMeter(buildReceiveReadyControl((frame.sendSequence + 1) & 0x07));
+        }
+        return null;
+      };
+      const apdu = Buffer.alloc(70, 0xaa);
+
+      await session.sendApdu(apdu);
+
+      const iFrames = sent.filter((f) => f.type === HDLC_FRAME_TYPES.I);
+      expect(iFrames.map((f) => f.information.length)).toEqual([32, 32, 9]);
+      expect(iFrames.map((f) => f.segmented)).toEqual([true, true, false]);
+      expect(iFrames.map((f) => f.sendSequence)).toEqual([0, 1, 2]);
+      expect(Buffer.concat(iFrames.map((f) => f.information)).subarray(3)).toEqual(apdu);
+    });
+
+    it('should fail when a segment is not acknowledged', async () => {
+      await session.connect();
+      await expect(session.sendApdu(Buffer.alloc(40))).rejects.toThrow(
+        'HDLC segment acknowledgement timeout'
+      );
+    });
+  });
+
+  describe('receiving', () => {
+    beforeEach(async () => {
+      await session.connect();
+    });
+
+    it('should emit the APDU without LLC header', () => {
+      const onApdu = vi.fn();
+      session.on(HDLC_EVENTS.APDU, onApdu);
+
+      session.handleFrame(
+        fromMeter(buildInformationControl(0, 0), Buffer.from([0xe6, 0xe7, 0x00, 0x63, 0x00]))
+      );
+
+      expect(onApdu).toHaveBeenCalledWith(Buffer.from([0x63, 0x00]));
+    });
+
+    it('should request and reassemble segmented responses', () => {
+      const onApdu = vi.fn();
+      session.on(HDLC_EVENTS.APDU, onApdu);
+
+      session.handleFrame(
+        fromMeter(buildInformationControl(0, 0), Buffer.from([0xe6, 0xe7, 0x00, 0xc4, 0x01]), true)
+      );
+      expect(onApdu).not.toHaveBeenCalled();
+      const rr = sent[sent.length - 1];
+      expect(rr.type).toBe(HDLC_FRAME_TYPES.RR);
+      expect(rr.receiveSequence).toBe(1);
+
+      session.handleFrame(
+        fromMeter(buildInformationControl(1, 0), Buffer.from([0x01, 0x00, 0x06]))
+      );
+
+      expect(onApdu).toHaveBeenCalledWith(Buffer.from([0xc4, 0x01, 0x01, 0x00, 0x06]));
+    });
+
+    it('should emit APDUs carried in UI frames', () => {
+      const onApdu = vi.fn();
+      session.on(HDLC_EVENTS.APDU, onApdu);
+
+      session.handleFrame(fromMeter(HDLC_CONTROL.UI, Buffer.from([0xe6, 0xe7, 0x00, 0x0f, 0x01])));
+
+      expect(onApdu).toHaveBeenCalledWith(Buffer.from([0x0f, 0x01]));
+    });
+
+    it('should drop the link on unsolicited DM', () => {
+      const onDisconnected = vi.fn();
+      session.on(HDLC_EVENTS.DISCONNECTED, onDisconnected);
+
+      session.handleFrame(fromMeter(HDLC_CONTROL.DM | HDLC_POLL_FINAL));
+
+      expect(session.getState()).toBe(HDLC_STATES.DISCONNECTED);
+      expect(onDisconnected).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('server address', () => {
+    const uiFrom = (upper, lower) =>
+      parseHdlcFrame(
+        buildHdlcFrame({
+          destination: encodeHdlcAddress(0x10),
+          source: encodeHdlcAddress(upper, lower),
+          control: HDLC_CONTROL.UI,
+          information: Buffer.from([0xe6, 0xe7, 0x00, 0x0f, 0x01]),
+        })
+      );
+
+    it('should address the meter as it answered when no server address is given', async () => {
+      const frames = [];
+      const follower = createHdlcSession({
+        responseTimeout: 20,
+        send: (frame) => frames.push(parseHdlcFrame(frame)) > 0,
+      });
+
+      follower.handleFrame(uiFrom(1, 77));
+      await expect(follower.connect()).rejects.toThrow('timeout');
+
+      expect(frames[0].destination).toEqual({ upper: 1, lower: 77 });
+    });
+
+    it('should keep a configured server address', async () => {
+      session.handleFrame(uiFrom(1, 77));
+      await session.setServerAddress(1, 4660);
+      session.handleFrame(uiFrom(1, 77));
+      await session.connect();
+
+      expect(sent[0].type).toBe(HDLC_FRAME_TYPES.SNRM);
+      expect(sent[0].destination).toEqual({ upper: 1, lower: 4660 });
+    });
+
+    it('should set up the link again for a new server address', async () => {
+      await session.connect();
+      reply = (frame) =>
+        frame.type === HDLC_FRAME_TYPES.DISC ? fromMeter(HDLC_CONTROL.UA | HDLC_POLL_FINAL) : null;
+
+      await session.setServerAddress(1);
+      expect(session.isConnected()).toBe(true);
+
+      await session.setServerAddress(1, 17);
+      expect(sent[sent.length - 1].type).toBe(HDLC_FRAME_TYPES.DISC);
+      expect(session.isConnected()).toBe(false);
+    });
+  });
+
+  describe('disconnect', () => {
+    it('should send DISC and become disconnected on UA', async () => {
+      await session.connect();
+      reply = (frame) =>
+        frame.type === HDLC_FRAME_TYPES.DISC ? fromMeter(HDLC_CONTROL.UA | HDLC_POLL_FINAL) : null;
+
+      await session.disconnect();
+
+      expect(sent[sent.length - 1].type).toBe(HDLC_FRAME_TYPES.DISC);
+      expect(session.getState()).toBe(HDLC_STATES.DISCONNECTED);
+    });
+
+    it('should consider the link closed when DISC is not answered', async () => {
+      await session.connect();
+      reply = () => null;
+
+      await session.disconnect();
+
+      expect(session.getState()).toBe(HDLC_STATES.DISCONNECTED);
+    });
+
+    it('should set up the link again for a new client address', async () => {
+      await session.connect();
+      reply = (frame) =>
+        frame.type === HDLC_FRAME_TYPES.SNRM || frame.type === HDLC_FRAME_TYPES.DISC
+          ? fromMeter(HDLC_CONTROL.UA | HDLC_POLL_FINAL, UA_PARAMS)
+          : null;
+
+      await session.setClientAddress(0x10);
+      expect(session.isConnected()).toBe(true);
+
+      await session.setClientAddress(0x01);
+      expect(sent[sent.length - 1].type).toBe(HDLC_FRAME_TYPES.DISC);
+      expect(session.isConnected()).toBe(false);
+
+      await session.sendApdu(Buffer.from([0x60, 0x00]));
+      const snrm = sent.filter((f) => f.type === HDLC_FRAME_TYPES.SNRM).pop();
+      expect(snrm.source).toEqual({ upper: 0x01, lower: null });
+    });
+
+    it('should fail a pending exchange when closed', async () => {
+      reply = () => null;
+      const pending = session.connect();
+
+      session.close();
+
+      await expect(pending).rejects.toThrow('HDLC link disconnected');
+    });
+  });
+});
@@ -0,0 +1,307 @@
+/**
+ * HDLC Framing Unit Tests
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import {
+  HDLC_CONTROL,
+  HDLC_POLL_FINAL,
+  HDLC_FRAME_TYPES,
+  computeFcs,
+  encodeHdlcAddress,
+  decodeHdlcAddress,
+  buildInformationControl,
+  buildReceiveReadyControl,
+  decodeControl,
+  buildHdlcFrame,
+  parseHdlcFrame,
+  stripLlcHeader,
+  buildHdlcParameters,
+  parseHdlcParameters,
+  createHdlcStreamParser,
+} from '../../../../src/protocol/dlms/hdlc.js';
+
+/**
+ * Build a meter → client frame (server 1 → public client 0x10)
+ */
+const meterFrame = (control, information = null, segmented = false) =>
+  buildHdlcFrame({
+    destination: encodeHdlcAddress(0x10),
+    source: encodeHdlcAddress(1, 0x11),
+    control,
+    information,
+    segmented,
+  });
+
+describe('HDLC Framing', () => {
+  describe('computeFcs', () => {
+    it('should compute CRC-16/X.25', () => {
+      expect(computeFcs(Buffer.from('123456789'))).toBe(0x906e);
+    });
+
+    it('should honour start and end offsets', () => {
+      const buf = Buffer.from('xx123456789yy');
+      expect(computeFcs(buf, 2, 11)).toBe(0x906e);
+    });
+  });
+
+  describe('encodeHdlcAddress / decodeHdlcAddress', () => {
+    it('should encode a one-byte client address', () => {
+      expect(encodeHdlcAddress(0x10)).toEqual(Buffer.from([0x21]));
+    });
+
+    it('should encode two-byte server addresses', () => {
+      expect(encodeHdlcAddress(1, 0x11)).toEqual(Buffer.from([0x02, 0x23]));
+    });
+
+    it('should encode four-byte server addresses for large physical addresses', () => {
+      const encoded = encodeHdlcAddress(1, 0x3fff);
+      expect(encoded).toEqual(Buffer.from([0x00, 0x02, 0xfe, 0xff]));
+      expect(decodeHdlcAddress(encoded, 0)).toEqual({ upper: 1, lower: 0x3fff, length: 4 });
+    });
+
+    it('should round-trip one- and two-byte addresses', () => {
+      expect(decodeHdlcAddress(encodeHdlcAddress(0x10), 0)).toEqual({
+        upper: 0x10,
+        lower: null,
+        length: 1,
+      });
+      expect(decodeHdlcAddress(encodeHdlcAddress(1, 0x11), 0)).toEqual({
+        upper: 1,
+        lower: 0x11,
+        length: 2,
+      });
+    });
+
+    it('should reject out-of-range addresses', () => {
+      expect(() => encodeHdlcAddress(0x80)).toThrow('One-byte addresses');
+      expect(() => encodeHdlcAddress(1, 0x4000)).toThrow('Invalid HDLC physical address');
+    });
+
+    it('should reject three-byte and unterminated addresses', () => {
+      expect(() => decodeHdlcAddress(Buffer.from([0x02, 0x02, 0x03]), 0)).toThrow(
+        'Invalid HDLC address length: 3'
+      );
+      expect(() => decodeHdlcAddress(Buffer.from([0x02, 0x02]), 0)).toThrow('not terminated');
+    });
+  });
+
+  describe('control field', () => {
+    it('should build and decode I-frame sequence numbers', () => {
+      const control = buildInformationControl(3, 5);
+      expect(control).toBe(0xb6);
+      expect(decodeControl(control)).toEqual({
+        type: HDLC_FRAME_TYPES.I,
+        pollFinal: true,
+        sendSequence: 3,
+        receiveSequence: 5,
+      });
+    });
+
+    it('should build and decode RR frames', () => {
+      const control = buildReceiveReadyControl(2);
+      expect(control).toBe(0x51);
+      expect(decodeControl(control)).toMatchObject({
+        type: HDLC_FRAME_TYPES.RR,
+        receiveSequence: 2,
+      });
+    });
+
+    it('should decode unnumbered frames with and without the poll/final bit', () => {
+      expect(decodeControl(0x93).type).toBe(HDLC_FRAME_TYPES.SNRM);
+      expect(decodeControl(0x73)).toMatchObject({ type: HDLC_FRAME_TYPES.UA, pollFinal: true });
+      expect(decodeControl(HDLC_CONTROL.DM).type).toBe(HDLC_FRAME_TYPES.DM);
+      expect(decodeControl(0x53).type).toBe(HDLC_FRAME_TYPES.DISC);
+      expect(decodeControl(0x97).type).toBe(HDLC_FRAME_TYPES.FRMR);
+    });
+  });
+
+  describe('buildHdlcFrame', () => {
+    it('should build a SNRM frame without information field', () => {
+      const frame = buildHdlcFrame({
+        destination: encodeHdlcAddress(1),
+        source: encodeHdlcAddress(0x10),
+        control: HDLC_CONTROL.SNRM | HDLC_POLL_FINAL,
+      });
+      expect(frame.toString('hex')).toBe('7ea0070321930f017e');
+    });
+
+    it('should add HCS and information field', () => {
+      const info = Buffer.from([0xe6, 0xe6, 0x00, 0x62, 0x00]);
+      const frame = buildHdlcFrame({
+        destination: encodeHdlcAddress(1),
+        source: encodeHdlcAddress(0x10),
+        control: 0x10,
+        information: info,
+      });
+      // format(2) + addr(2) + control(1) + HCS(2) + info(5) + FCS(2)
+      expect(frame.readUInt16BE(1)).toBe(0xa000 | 14);
+      expect(frame.readUInt16LE(6)).toBe(computeFcs(frame, 1, 6));
+      expect(frame.subarray(8, 13)).toEqual(info);
+    });
+
+    it('should set the segmentation bit', () => {
+      const frame = meterFrame(0x10, Buffer.from([1, 2, 3]), true);
+      expect(frame[1] & 0x08).toBe(0x08);
+    });
+
+    it('should reject frames longer than the length field allows', () => {
+      expect(() => meterFrame(0x10, Buffer.alloc(2100))).toThrow('HDLC frame too long');
+    });
+  });
+
+  describe('parseHdlcFrame', () => {
+    it('should parse a frame built by buildHdlcFrame', () => {
+      const info = Buffer.from([0xe6, 0xe7, 0x00, 0xc4, 0x01]);
+      const parsed = parseHdlcFrame(meterFrame(buildInformationControl(2, 4), info, true));
+
+      expect(parsed.destination).toEqual({ upper: 0x10, lower: null });
+      expect(parsed.source).toEqual({ upper: 1, lower: 0x11 });
+      expect(parsed.type).toBe(HDLC_FRAME_TYPES.I);
+      expect(parsed.sendSequence).toBe(2);
+      expect(parsed.receiveSequence).toBe(4);
+      expect(parsed.segmented).toBe(true);
+      expect(parsed.information).toEqual(info);
+    });
+
+    it('should return an empty information field for S and U frames', () => {
+      const parsed = parseHdlcFrame(meterFrame(HDLC_CONTROL.UA | HDLC_POLL_FINAL));
+      expect(parsed.type).toBe(HDLC_FRAME_TYPES.UA);
+      expect(parsed.information.length).toBe(0);
+    });
+
+    it('should reject a corrupted FCS', () => {
+      const frame = meterFrame(HDLC_CONTROL.UA | HDLC_POLL_FINAL);
+      frame[frame.length - 2] ^= 0xff;
+      expect(() => parseHdlcFrame(frame)).toThrow('HDLC FCS mismatch');
+    });
+
+    it('should reject a corrupted HCS', () => {
+      const frame = meterFrame(0x10, Buffer.from([0x01, 0x02]));
+      frame[7] ^= 0xff;
+      // Fix up the FCS so only the HCS is wrong
+      frame.writeUInt16LE(computeFcs(frame, 1, frame.length - 3), frame.length - 3);
+      expect(() => parseHdlcFrame(frame)).toThrow('HDLC HCS mismatch');
+    });
+
+    it('should reject a length mismatch', () => {
+      const frame = Buffer.concat([meterFrame(0x73).subarray(0, -1), Buffer.from([0x00, 0x7e])]);
+      expect(() => parseHdlcFrame(frame)).toThrow('HDLC length mismatch');
+    });
+
+    it('should reject frames without flags', () => {
+      const frame = meterFrame(0x73);
+      frame[0] = 0x00;
+      expect(() => parseHdlcFrame(frame)).toThrow('missing flag');
+    });
+  });
+
+  describe('stripLlcHeader', () => {
+    it('should remove command and response LLC headers', () => {
+      expect(stripLlcHeader(Buffer.from([0xe6, 0xe7, 0x00, 0x61]))).toEqual(Buffer.from([0x61]));
+      expect(stripLlcHeader(Buffer.from([0xe6, 0xe6, 0x00, 0x60]))).toEqual(Buffer.from([0x60]));
+    });
+
+    it('should leave data without LLC header unchanged', () => {
+      const data = Buffer.from([0x0f, 0x00]);
+      expect(stripLlcHeader(data)).toEqual(data);
+    });
+  });
+
+  describe('link parameters', () => {
+    it('should round-trip negotiation parameters', () => {
+      const info = buildHdlcParameters({ maxInfoTransmit: 512, maxInfoReceive: 128 });
+      expect(info.subarray(0, 2)).toEqual(Buffer.from([0x81, 0x80]));
+      expect(parseHdlcParameters(info)).toEqual({
+        maxInfoTransmit: 512,
+        maxInfoReceive: 128,
+        windowTransmit: 1,
+        windowReceive: 1,
+      });
+    });
+
+    it('should parse a typical meter UA parameter field', () => {
+      const info = Buffer.from('818012050180060180070400000001080400000001', 'hex');
+      expect(parseHdlcParameters(info)).toMatchObject({
+        maxInfoTransmit: 128,
+        maxInfoReceive: 128,
+      });
+    });
+
+    it('should return null for a field that is not a parameter group', () => {
+      expect(parseHdlcParameters(Buffer.alloc(0))).toBeNull();
+      expect(parseHdlcParameters(Buffer.from([0x01, 0x02, 0x03]))).toBeNull();
+    });
+  });
+
+  describe('createHdlcStreamParser', () => {
+    it('should emit a frame split across chunks', () => {
+      const onFrame = vi.fn();
+      const parser = createHdlcStreamParser(onFrame);
+      const frame = meterFrame(0x10, Buffer.from([0xe6, 0xe7, 0x00, 0x63, 0x00]));
+
+      parser.push(frame.subarray(0, 5));
+      expect(onFrame).not.toHaveBeenCalled();
+      parser.push(frame.subarray(5));
+
+      expect(onFrame).toHaveBeenCalledTimes(1);
+      expect(onFrame.mock.calls[0][1]).toEqual(frame);
+    });
+
+    it('should handle frames sharing a flag', () => {
+      const onFrame = vi.fn();
+      const parser = createHdlcStreamParser(onFrame);
+      const first = meterFrame(HDLC_CONTROL.UA | HDLC_POLL_FINAL);
+      const second = meterFrame(buildReceiveReadyControl(1));
+
+      parser.push(Buffer.concat([first, second.subarray(1)]));
+
+      expect(onFrame).toHaveBeenCalledTimes(2);
+      expect(onFrame.mock.calls[1][0].type).toBe(HDLC_FRAME_TYPES.RR);
+      expect(parser.getFrameCount()).toBe(2);
+    });
+
+    it('should handle back-to-back frames with their own flags', () => {
+      const onFrame = vi.fn();
+      const parser = createHdlcStreamParser(onFrame);
+
+      parser.push(Buffer.concat([meterFrame(0x73), meterFrame(0x73)]));
+
+      expect(onFrame).toHaveBeenCalledTimes(2);
+    });
+
+    it('should skip garbage before a frame', () => {
+      const onFrame = vi.fn();
+      const onError = vi.fn();
+      const parser = createHdlcStreamParser(onFrame, onError);
+
+      parser.push(Buffer.concat([Buffer.from([0x01, 0x02]), meterFrame(0x73)]));
+
+      expect(onFrame).toHaveBeenCalledTimes(1);
+      expect(onError.mock.calls[0][0].message).toContain('Skipping 2 bytes');
+    });
+
+    it('should report a corrupted frame and recover', () => {
+      const onFrame = vi.fn();
+      const onError = vi.fn();
+      const parser = createHdlcStreamParser(onFrame, onError);
+      const bad = meterFrame(0x73);
+      bad[bad.length - 2] ^= 0xff;
+
+      parser.push(Buffer.concat([bad, meterFrame(0x73)]));
+
+      expect(onError).toHaveBeenCalledWith(
+        expect.objectContaining({ message: expect.stringContaining('FCS') })
+      );
+      expect(onFrame).toHaveBeenCalledTimes(1);
+    });
+
+    it('should reset buffered data', () => {
+      const parser = createHdlcStreamParser(vi.fn());
+      parser.push(meterFrame(0x73).subarray(0, 4));
+      expect(parser.getBufferLength()).toBe(4);
+      parser.reset();
+      expect(parser.getBufferLength()).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,139 @@
+/**
+ * DLMS Limiter Unit Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  encodeLimiterChanges,
+  isLimiterTrip,
+  isOverThreshold,
+  parseEmergencyProfile,
+  parseThreshold,
+  parseValueDefinition,
+} from '../../../../src/protocol/dlms/limiter.js';
+import { toRelayState } from '../../../../src/protocol/dlms/disconnect-control.js';
+import {
+  DLMS_DATA_TYPES,
+  encodeDlmsValue,
+  parseDlmsValue,
+} from '../../../../src/protocol/dlms/data-types.js';
+
+const { UINT16, UINT32, STRUCTURE } = DLMS_DATA_TYPES;
+
+/** Encode and parse again, as the value arrives in a GET.response */
+const asReceived = (typed) => parseDlmsValue(encodeDlmsValue(typed));
+
+/** Typed value of one change from encodeLimiterChanges() */
+const encodedValue = (changes, thresholdType) => encodeLimiterChanges(changes, thresholdType)[0];
+
+describe('DLMS Limiter', () => {
+  describe('attributes', () => {
+    it('should write and read back monitored_value', () => {
+      const monitored = { classId: 3, obisCode: '1-0:1.7.0.255', attributeIndex: 2 };
+      const { attribute, value } = encodedValue({ monitoredValue: monitored });
+
+      expect(attribute).toBe(2);
+      expect(parseValueDefinition(asReceived(value))).toEqual(monitored);
+    });
+
+    it('should write thresholds in the monitored value type', () => {
+      const changes = encodeLimiterChanges(
+        { thresholdNormal: 5000, thresholdEmergency: 2000 },
+        'UINT32'
+      );
+
+      expect(changes.map(({ name, attribute }) => [name, attribute])).toEqual([
+        ['thresholdNormal', 4],
+        ['thresholdEmergency', 5],
+      ]);
+      expect(encodeDlmsValue(changes[0].value)).toEqual(Buffer.from([0x06, 0, 0, 0x13, 0x88]));
+      expect(parseThreshold(asReceived(changes[1].value))).toBe(2000);
+      expect(encodedValue({ thresholdActive: 5000 }).value).toEqual({
+        type: undefined,
+        value: 5000,
+      });
+    });
+
+    it('should write and read back emergency_profile', () => {
+      const profile = { id: 7, activationTime: '2026-01-15T18:00:00', duration: 3600 };
+      const { attribute, value } = encodedValue({ emergencyProfile: profile });
+
+      expect(attribute).toBe(8);
+      expect(value.value[2]).toEqual({ type: UINT32, value: 3600 });
+      expect(parseEmergencyProfile(asReceived(value))).toEqual(profile);
+    });
+
+    it('should refuse bad values', () => {
+      expect(() => encodeLimiterChanges({ obis: '0-0:17.0.0.255' })).toThrow(
+        'No limiter attribute to write'
+      );
+      expect(() => encodeLimiterChanges({ thresholdNormal: '5 kW' })).toThrow(
+        'thresholdNormal must be a number'
+      );
+      expect(() => encodeLimiterChanges({ minOverThresholdDuration: -1 })).toThrow(
+        'minOverThresholdDuration must be 0-4294967295 seconds'
+      );
+      expect(() =>
+        encodeLimiterChanges({ emergencyProfile: { id: 1, activationTime: 'soon', duration: 60 } })
+      ).toThrow('emergencyProfile needs an activationTime');
+      expect(() => encodeLimiterChanges({ monitoredValue: { obisCode: '1-0:1.7.0.255' } })).toThrow(
+        'monitoredValue needs a classId and an obisCode'
+      );
+    });
+
+    it('should reject malformed attribute values', () => {
+      expect(() => parseValueDefinition(asReceived({ type: UINT16, value: 3 }))).toThrow(
+        'monitored_value is not a value_definition'
+      );
+      expect(() => parseThreshold(asReceived({ type: STRUCTURE, value: [] }))).toThrow(
+        'threshold is not a number (STRUCTURE)'
+      );
+      expect(() =>
+        parseEmergencyProfile(asReceived({ type: STRUCTURE, value: [{ type: UINT16, value: 1 }] }))
+      ).toThrow('emergency_profile is not a structure');
+    });
+  });
+
+  describe('isOverThreshold', () => {
+    it('should compare the monitored value with threshold_active', () => {
+      expect(isOverThreshold({ currentValue: 6200, thresholdActive: 5000 })).toBe(true);
+      expect(isOverThreshold({ currentValue: 1200, thresholdActive: 5000 })).toBe(false);
+      expect(isOverThreshold({ currentValue: null, thresholdActive: 5000 })).toBeNull();
+    });
+  });
+
+  describe('isLimiterTrip', () => {
+    const connected = toRelayState({ outputState: true, controlState: 1, controlMode: 4 });
+    const open = toRelayState({ outputState: false, controlState: 2, controlMode: 4 });
+    const disconnected = toRelayState({ outputState: false, controlState: 0, controlMode: 4 });
+
+    it('should trip when the relay opens while over threshold_active', () => {
+      const over = { overThreshold: true, relayState: connected };
+
+      expect(isLimiterTrip(over, { overThreshold: false, relayState: open })).toBe(true);
+      expect(isLimiterTrip(over, { overThreshold: null, relayState: disconnected })).toBe(true);
+      expect(isLimiterTrip(null, { overThreshold: true, relayState: open })).toBe(true);
+    });
+
+    it('should not trip over threshold_active while the relay stays connected', () => {
+      expect(isLimiterTrip(null, { overThreshold: true, relayState: connected })).toBe(false);
+    });
+
+    it('should not trip when the relay opens under threshold_active', () => {
+      const under = { overThreshold: false, relayState: connected };
+
+      expect(isLimiterTrip(under, { overThreshold: false, relayState: open })).toBe(false);
+      expect(isLimiterTrip(null, { overThreshold: false, relayState: open })).toBeNull();
+    });
+
+    it('should leave a trip as it is until the relay is connected again', () => {
+      const tripped = { overThreshold: false, relayState: open };
+
+      expect(isLimiterTrip(tripped, { overThreshold: false, relayState: open })).toBeNull();
+      expect(isLimiterTrip(tripped, { overThreshold: false, relayState: connected })).toBe(false);
+      expect(isLimiterTrip(null, { overThreshold: true, relayState: toRelayState({}) })).toBe(
+        false
+      );
+    });
+  });
+});
@@ -0,0 +1,210 @@
+/**
+ * DLMS Profile Generic Unit Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  PROFILE_ACCESS_SELECTORS,
+  buildRangeDescriptor,
+  buildEntryDescriptor,
+  parseCaptureObjects,
+  mapProfileRows,
+} from '../../../../src/protocol/dlms/profile-generic.js';
+import {
+  DLMS_DATA_TYPES,
+  encodeDlmsValue,
+  encodeCosemDateTime,
+  parseDlmsValue,
+} from '../../../../src/protocol/dlms/data-types.js';
+import { buildGetRequest } from '../../../../src/protocol/dlms/client.js';
+
+const { ARRAY, COMPACT_ARRAY, STRUCTURE, UINT16, UINT32, INT8, OCTET_STRING, NULL_DATA } =
+  DLMS_DATA_TYPES;
+
+/** Encode and parse again, as the value arrives in a GET.response */
+const asReceived = (typed) => parseDlmsValue(encodeDlmsValue(typed));
+
+const captureObject = (classId, obisCode, attributeIndex = 2) => ({
+  type: STRUCTURE,
+  value: [
+    { type: UINT16, value: classId },
+    { type: OCTET_STRING, value: Buffer.from(obisCode.split(/[-:.]/).map(Number)) },
+    { type: INT8, value: attributeIndex },
+    { type: UINT16, value: 0 },
+  ],
+});
+
+const COLUMNS = [
+  { classId: 8, obisCode: '0-0:1.0.0.255', attributeIndex: 2, dataIndex: 0 },
+  { classId: 3, obisCode: '1-0:15.8.0.255', attributeIndex: 2, dataIndex: 0 },
+  { classId: 3, obisCode: '1-0:32.7.0.255', attributeIndex: 2, dataIndex: 0 },
+  { classId: 1, obisCode: '0-0:96.10.1.255', attributeIndex: 2, dataIndex: 0 },
+];
+
+const row = (time, energy, voltage, status = 0) => ({
+  type: STRUCTURE,
+  value: [
+    time ? { type: OCTET_STRING, value: time } : { type: NULL_DATA },
+    { type: UINT32, value: energy },
+    { type: UINT16, value: voltage },
+    { type: UINT16, value: status },
+  ],
+});
+
+describe('DLMS Profile Generic', () => {
+  describe('buildRangeDescriptor', () => {
+    it('should restrict on the clock column and select all columns', () => {
+      const from = new Date(2025, 0, 1, 0, 0);
+      const to = new Date(2025, 0, 1, 1, 0);
+      const { selector, parameters } = buildRangeDescriptor({ from, to });
+
+      expect(selector).toBe(PROFILE_ACCESS_SELECTORS.RANGE);
+      const fields = asReceived(parameters).value;
+      expect(fields[0].value.map((f) => f.value)).toEqual([
+        8,
+        Buffer.from([0, 0, 1, 0, 0, 255]),
+        2,
+        0,
+      ]);
+      expect(fields[1].value).toEqual(encodeCosemDateTime(from));
+      expect(fields[2].value).toEqual(encodeCosemDateTime(to));
+      expect(fields[3].value).toEqual([]);
+    });
+
+    it('should produce a GET.request with access-selection', () => {
+      const access = buildRangeDescriptor({ from: new Date(2025, 0, 1), to: new Date(2025, 0, 2) });
+      const req = buildGetRequest(7, '1-0:99.1.0.255', 2, 1, access);
+
+      expect(req[12]).toBe(0x01); // access-selection present
+      expect(req[13]).toBe(0x01); // range_descriptor
+      expect(req.subarray(14)).toEqual(encodeDlmsValue(access.parameters));
+    });
+  });
+
+  describe('buildEntryDescriptor', () => {
+    it('should encode entries and columns', () => {
+      const { selector, parameters } = buildEntryDescriptor({ fromEntry: 10, toEntry: 12 });
+
+      expect(selector).toBe(PROFILE_ACCESS_SELECTORS.ENTRY);
+      expect(encodeDlmsValue(parameters)).toEqual(
+        Buffer.from([
+          0x02, 0x04,
+          0x06, 0x00, 0x00, 0x00, 0x0A,
+          0x06, 0x00, 0x00, 0x00, 0x0C,
+          0x12, 0x00, 0x01,
+          0x12, 0x00, 0x00,
+        ])
+      );
+    });
+  });
+
+  describe('parseCaptureObjects', () => {
+    it('should list the columns', () => {
+      const data = asReceived({
+        type: ARRAY,
+        value: [captureObject(8, '0-0:1.0.0.255'), captureObject(3, '1-0:1.8.0.255', 3)],
+      });
+
+      expect(parseCaptureObjects(data)).toEqual([
+        { classId: 8, obisCode: '0-0:1.0.0.255', attributeIndex: 2, dataIndex: 0 },
+        { classId: 3, obisCode: '1-0:1.8.0.255', attributeIndex: 3, dataIndex: 0 },
+      ]);
+    });
+
+    it('should reject malformed capture objects', () => {
+      expect(() => parseCaptureObjects(asReceived({ type: UINT16, value: 1 }))).toThrow(
+        'capture_objects is not an array'
+      );
+      const data = asReceived({
+        type: ARRAY,
+        value: [{ type: STRUCTURE, value: [{ type: UINT16, value: 3 }] }],
+      });
+      expect(() => parseCaptureObjects(data)).toThrow(
+        'capture_objects entry 0 is not a capture object definition'
+      );
+    });
+  });
+
+  describe('mapProfileRows', () => {
+    it('should name, scale and timestamp each row', () => {
+      const data = asReceived({
+        type: ARRAY,
+        value: [row(encodeCosemDateTime(new Date(2025, 0, 1, 0, 15)), 123456, 2301, 4)],
+      });
+
+      expect(mapProfileRows(data, COLUMNS)).toEqual([
+        {
+          timestamp: new Date(2025, 0, 1, 0, 15),
+          values: {
+            TOTAL_ENERGY_ABSOLUTE: 123.456,
+            VOLTAGE_A: 2301,
+            '0-0:96.10.1.255': 4,
+          },
+        },
+      ]);
+    });
+
+    it('should fill null timestamps from the capture period', () => {
+      const data = asReceived({
+        type: ARRAY,
+        value: [
+          row(encodeCosemDateTime(new Date(2025, 0, 1, 0, 0)), 1000, 2300),
+          row(null, 2000, 2300),
+          row(null, 3000, 2300),
+        ],
+      });
+
+      const rows = mapProfileRows(data, COLUMNS, { capturePeriod: 900 });
+      expect(rows.map((r) => r.timestamp)).toEqual([
+        new Date(2025, 0, 1, 0, 0),
+        new Date(2025, 0, 1, 0, 15),
+        new Date(2025, 0, 1, 0, 30),
+      ]);
+    });
+
+    it('should map a buffer sent as a compact array', () => {
+      const data = asReceived({
+        type: COMPACT_ARRAY,
+        value: [
+          row(encodeCosemDateTime(new Date(2025, 0, 1, 0, 0)), 1000, 2300),
+          row(encodeCosemDateTime(new Date(2025, 0, 1, 0, 15)), 2000, 2310),
+        ],
+      });
+
+      const rows = mapProfileRows(data, COLUMNS);
+      expect(rows.map((r) => r.timestamp)).toEqual([
+        new Date(2025, 0, 1, 0, 0),
+        new Date(2025, 0, 1, 0, 15),
+      ]);
+      expect(rows[1].values).toEqual({
+        TOTAL_ENERGY_ABSOLUTE: 2,
+        VOLTAGE_A: 2310,
+        '0-0:96.10.1.255': 0,
+      });
+    });
+
+    it('should drop rows without a time', () => {
+      const data = asReceived({ type: ARRAY, value: [row(null, 1000, 2300)] });
+
+      expect(mapProfileRows(data, COLUMNS, { capturePeriod: 900 })).toEqual([]);
+    });
+
+    it('should name attributes other than the value', () => {
+      const data = asReceived({
+        type: ARRAY,
+        value: [
+          {
+            type: STRUCTURE,
+            value: [
+              { type: OCTET_STRING, value: encodeCosemDateTime(new Date(2025, 0, 1)) },
+              { type: OCTET_STRING, value: Buffer.from([0x01, 0x02]) },
+            ],
+          },
+        ],
+      });
+      const columns = [COLUMNS[0], { classId: 4, obisCode: '1-0:1.6.0.255', attributeIndex: 5 }];
+
+      expect(mapProfileRows(data, columns)[0].values).toEqual({ 'MAX_DEMAND_IMPORT.5': '0102' });
+    });
+  });
+});
@@ -0,0 +1,161 @@
+/**
+ * DLMS Push Setup Unit Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  encodePushSetupChanges,
+  mapPushPayload,
+  parseCommunicationWindow,
+  parsePushObjectList,
+  parseSendDestination,
+  pushLogicalName,
+} from '../../../../src/protocol/dlms/push-setup.js';
+import {
+  DLMS_DATA_TYPES,
+  encodeCosemDateTime,
+  encodeDlmsValue,
+  parseDlmsValue,
+} from '../../../../src/protocol/dlms/data-types.js';
+
+const { ARRAY, STRUCTURE, UINT16, UINT32, ENUM, OCTET_STRING } = DLMS_DATA_TYPES;
+
+/** Encode and parse again, as the value arrives in a GET.response */
+const asReceived = (typed) => parseDlmsValue(encodeDlmsValue(typed));
+
+const OBJECT_LIST = [
+  { classId: 40, obisCode: '0-0:25.9.0.255', attributeIndex: 1, dataIndex: 0 },
+  { classId: 8, obisCode: '0-0:1.0.0.255', attributeIndex: 2, dataIndex: 0 },
+  { classId: 3, obisCode: '1-0:1.8.0.255', attributeIndex: 2, dataIndex: 0 },
+  { classId: 1, obisCode: '0-0:96.99.9.255', attributeIndex: 2, dataIndex: 0 },
+  { classId: 3, obisCode: '1-0:1.8.0.255', attributeIndex: 3, dataIndex: 0 },
+];
+
+describe('DLMS Push Setup', () => {
+  describe('attributes', () => {
+    it('should write and read back a push_object_list', () => {
+      const [{ attribute, value }] = encodePushSetupChanges({ objectList: OBJECT_LIST });
+
+      expect(attribute).toBe(2);
+      expect(parsePushObjectList(asReceived(value))).toEqual(OBJECT_LIST);
+    });
+
+    it('should write and read back send_destination_and_method', () => {
+      const [{ attribute, value }] = encodePushSetupChanges({
+        sendDestinationAndMethod: { transport: 'udp', destination: '10.0.0.1:4059', message: 0 },
+      });
+
+      expect(attribute).toBe(3);
+      expect(value.value.map((field) => field.value)).toEqual([1, Buffer.from('10.0.0.1:4059'), 0]);
+      expect(parseSendDestination(asReceived(value))).toEqual({
+        transport: 'udp',
+        destination: '10.0.0.1:4059',
+        message: 'a-xdr',
+      });
+    });
+
+    it('should keep wildcards of a communication_window', () => {
+      const window = {
+        start: {
+          year: null,
+          month: null,
+          day: null,
+          dayOfWeek: null,
+          hour: 2,
+          minute: 0,
+          second: 0,
+          hundredths: 0,
+          deviation: null,
+          clockStatus: 0xff,
+        },
+        end: { hour: 4, minute: 30 },
+      };
+      const [{ attribute, value }] = encodePushSetupChanges({ communicationWindow: [window] });
+
+      expect(attribute).toBe(4);
+      expect(value.value[0].value[1].value).toEqual(
+        Buffer.from([0xff, 0xff, 0xff, 0xff, 0xff, 4, 30, 0xff, 0xff, 0x80, 0x00, 0xff])
+      );
+      const [read] = parseCommunicationWindow(asReceived(value));
+      expect(read.start).toEqual(window.start);
+      expect(read.end).toMatchObject({ year: null, hour: 4, minute: 30, second: null });
+    });
+
+    it('should list changes in attribute order and refuse bad values', () => {
+      const changes = encodePushSetupChanges({
+        randomisationStartInterval: 300,
+        objectList: [],
+      });
+
+      expect(changes.map(({ name, attribute }) => [name, attribute])).toEqual([
+        ['objectList', 2],
+        ['randomisationStartInterval', 5],
+      ]);
+      expect(() => encodePushSetupChanges({ obis: '0-0:25.9.0.255' })).toThrow(
+        'No push setup attribute to write'
+      );
+      expect(() =>
+        encodePushSetupChanges({ sendDestinationAndMethod: { destination: 'x', message: 'json' } })
+      ).toThrow('Unknown message: json');
+      expect(() => encodePushSetupChanges({ objectList: [{ classId: 3 }] })).toThrow(
+        'objectList entry 0 needs an obisCode'
+      );
+    });
+
+    it('should reject malformed attribute values', () => {
+      expect(() => parsePushObjectList(asReceived({ type: UINT16, value: 1 }))).toThrow(
+        'push_object_list is not an array'
+      );
+      expect(() =>
+        parseSendDestination(asReceived({ type: STRUCTURE, value: [{ type: UINT16, value: 0 }] }))
+      ).toThrow('send_destination_and_method is not a structure');
+      expect(() =>
+        parseCommunicationWindow(
+          asReceived({
+            type: ARRAY,
+            value: [{ type: STRUCTURE, value: [{ type: OCTET_STRING, value: Buffer.alloc(4) }] }],
+          })
+        )
+      ).toThrow('communication_window entry 0 is not a start and end date-time');
+    });
+  });
+
+  describe('mapPushPayload', () => {
+    const fields = asReceived({
+      type: STRUCTURE,
+      value: [
+        { type: OCTET_STRING, value: Buffer.from([0, 0, 25, 9, 0, 255]) },
+        { type: OCTET_STRING, value: encodeCosemDateTime(new Date(2026, 0, 15, 10, 0, 0)) },
+        { type: UINT32, value: 123456 },
+        { type: OCTET_STRING, value: Buffer.from('AB12') },
+        {
+          type: STRUCTURE,
+          value: [
+            { type: DLMS_DATA_TYPES.INT8, value: 0 },
+            { type: ENUM, value: 30 },
+          ],
+        },
+      ],
+    }).value;
+
+    it('should name, scale and timestamp the pushed values', () => {
+      const result = mapPushPayload(fields, OBJECT_LIST, {
+        scalerUnitFor: (obisCode) =>
+          obisCode === '1-0:1.8.0.255' ? { scaler: -3, unit: 30 } : null,
+      });
+
+      expect(result).toEqual({
+        timestamp: '2026-01-15T10:00:00',
+        readings: {
+          TOTAL_ACTIVE_IMPORT: { value: 123.456, unit: 'Wh', obis: '1-0:1.8.0.255' },
+          '0-0:96.99.9.255': { value: '41423132', unit: '', obis: '0-0:96.99.9.255' },
+        },
+      });
+    });
+
+    it('should read the push setup name from the first field', () => {
+      expect(pushLogicalName(fields)).toBe('0-0:25.9.0.255');
+      expect(pushLogicalName(fields.slice(2))).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * DLMS scaler_unit Unit Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  parseScalerUnit,
+  scaleDlmsValue,
+  unscaleDlmsValue,
+} from '../../../../src/protocol/dlms/scaler-unit.js';
+import {
+  DLMS_DATA_TYPES,
+  encodeDlmsValue,
+  parseDlmsValue,
+} from '../../../../src/protocol/dlms/data-types.js';
+
+const { STRUCTURE, INT8, ENUM, UINT16 } = DLMS_DATA_TYPES;
+
+describe('DLMS scaler_unit', () => {
+  describe('parseScalerUnit', () => {
+    it('should parse the structure of scaler and unit', () => {
+      const data = parseDlmsValue(
+        encodeDlmsValue({
+          type: STRUCTURE,
+          value: [
+            { type: INT8, value: -2 },
+            { type: ENUM, value: 35 },
+          ],
+        })
+      );
+
+      expect(parseScalerUnit(data)).toEqual({ scaler: -2, unit: 35 });
+    });
+
+    it('should reject other values', () => {
+      const notEnum = parseDlmsValue(
+        encodeDlmsValue({
+          type: STRUCTURE,
+          value: [
+            { type: INT8, value: 0 },
+            { type: UINT16, value: 35 },
+          ],
+        })
+      );
+
+      expect(() => parseScalerUnit(notEnum)).toThrow('scaler_unit is not a structure');
+      expect(() => parseScalerUnit({ type: INT8, value: 1 })).toThrow(
+        'scaler_unit is not a structure'
+      );
+      expect(() => parseScalerUnit(null)).toThrow('scaler_unit is not a structure');
+    });
+  });
+
+  describe('scaleDlmsValue', () => {
+    it('should apply the meter scaler and unit', () => {
+      expect(scaleDlmsValue(23015, '1-0:32.7.0.255', { scaler: -2, unit: 35 })).toEqual({
+        value: 230.15,
+        unit: 'V',
+      });
+      expect(scaleDlmsValue(12, '1-0:1.8.0.255', { scaler: 3, unit: 30 })).toEqual({
+        value: 12000,
+        unit: 'Wh',
+      });
+    });
+
+    it('should prefer the meter scaler over the registry scaler', () => {
+      expect(scaleDlmsValue(2301, '1-0:12.7.0.255', { scaler: -1, unit: 35 }).value).toBe(230.1);
+    });
+
+    it('should fall back to the registry unit for unknown unit codes', () => {
+      expect(scaleDlmsValue(5, '1-0:1.8.0.255', { scaler: 0, unit: 200 })).toEqual({
+        value: 5,
+        unit: 'kWh',
+      });
+    });
+
+    it('should fall back to the registry scaler without a scaler_unit', () => {
+      expect(scaleDlmsValue(123456, '1-0:15.8.0.255')).toEqual({ value: 123.456, unit: 'kWh' });
+      expect(scaleDlmsValue(42, '9-9:9.9.9.255')).toEqual({ value: 42, unit: '' });
+    });
+
+    it('should leave non-numeric values unchanged', () => {
+      expect(scaleDlmsValue('abc', '1-0:32.7.0.255', { scaler: -2, unit: 35 })).toEqual({
+        value: 'abc',
+        unit: 'V',
+      });
+    });
+  });
+
+  describe('unscaleDlmsValue', () => {
+    it('should undo the meter scaler', () => {
+      expect(unscaleDlmsValue(230.15, '1-0:32.7.0.255', { scaler: -2, unit: 35 })).toBe(23015);
+      expect(unscaleDlmsValue(5000, '1-0:1.7.0.255', { scaler: 2, unit: 27 })).toBe(50);
+    });
+
+    it('should undo the registry scaler without a scaler_unit', () => {
+      expect(unscaleDlmsValue(123.456, '1-0:15.8.0.255')).toBe(123456);
+      expect(unscaleDlmsValue(42, '9-9:9.9.9.255')).toBe(42);
+    });
+
+    it('should refuse values that are not numbers', () => {
+      expect(() => unscaleDlmsValue('5 kW', '1-0:1.7.0.255')).toThrow(
+        'Scaled value must be a number'
+      );
+    });
+  });
+});
@@ -0,0 +1,202 @@
+/**
+ * DLMS Security Suite 0 Unit Tests
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  SECURITY_CONTROL,
+  isCipheredApdu,
+  isCipherableApdu,
+  createSecurityContext,
+} from '../../../../src/protocol/dlms/security.js';
+
+// Test keys and system titles from the DLMS UA Green Book examples
+const KEYS = {
+  blockCipherKey: '000102030405060708090A0B0C0D0E0F',
+  authenticationKey: 'D0D1D2D3D4D5D6D7D8D9DADBDCDDDEDF',
+};
+const CLIENT_TITLE = '4D4D4D0000000001';
+const SERVER_TITLE = '4D4D4D0000BC614E';
+
+const GET_REQUEST = Buffer.from('C0010000080000010000FF0200', 'hex');
+
+/**
+ * Gateway and simulated meter contexts that know each other's system title
+ */
+const createPair = (options = {}) => {
+  const client = createSecurityContext({ ...KEYS, systemTitle: CLIENT_TITLE, ...options });
+  const server = createSecurityContext({ ...KEYS, systemTitle: SERVER_TITLE, ...options });
+  client.setPeerSystemTitle(server.systemTitle);
+  server.setPeerSystemTitle(client.systemTitle);
+  return { client, server };
+};
+
+describe('DLMS Security', () => {
+  describe('encrypt', () => {
+    it('should match the Green Book glo-get-request example', () => {
+      const server = createSecurityContext({
+        ...KEYS,
+        systemTitle: SERVER_TITLE,
+        invocationCounter: 0x01234566,
+      });
+
+      expect(server.encrypt(GET_REQUEST).toString('hex').toUpperCase()).toBe(
+        'C81E3001234567411312FF935A47566827C467BC7D825C3BE4A77C3FCC056B6B'
+      );
+    });
+
+    it('should increment the invocation counter for every APDU', () => {
+      const { client } = createPair({ invocationCounter: 9 });
+
+      expect(client.encrypt(GET_REQUEST).readUInt32BE(3)).toBe(10);
+      expect(client.encrypt(GET_REQUEST).readUInt32BE(3)).toBe(11);
+    });
+
+    it('should use a long-form length for large APDUs', () => {
+      const { client, server } = createPair({ invocationCounter: 0 });
+      const apdu = Buffer.concat([
+        Buffer.from([0xc4, 0x01, 0x01, 0x00, 0x09, 0x81, 0xc8]),
+        Buffer.alloc(200, 0x55),
+      ]);
+
+      const ciphered = client.encrypt(apdu);
+
+      expect(ciphered[1]).toBe(0x81);
+      expect(server.decrypt(ciphered)).toEqual(apdu);
+    });
+
+    it('should reject APDUs without a glo-ciphered form', () => {
+      const { client } = createPair();
+      expect(() => client.encrypt(Buffer.from([0x60, 0x00]))).toThrow('no glo-ciphered form');
+    });
+
+    it('should refuse to wrap the invocation counter', () => {
+      const { client } = createPair({ invocationCounter: 0xffffffff });
+      expect(() => client.encrypt(GET_REQUEST)).toThrow('invocation counter exhausted');
+    });
+  });
+
+  describe('decrypt', () => {
+    let client;
+    let server;
+
+    beforeEach(() => {
+      ({ client, server } = createPair({ invocationCounter: 100 }));
+    });
+
+    it('should decipher authenticated and encrypted APDUs', () => {
+      expect(server.decrypt(client.encrypt(GET_REQUEST))).toEqual(GET_REQUEST);
+      expect(server.peerInvocationCounter).toBe(101);
+    });
+
+    it.each([
+      ['authenticated', SECURITY_CONTROL.AUTHENTICATED],
+      ['encrypted', SECURITY_CONTROL.ENCRYPTED],
+    ])('should decipher %s-only APDUs', (_name, securityControl) => {
+      client.securityControl = securityControl;
+
+      const ciphered = client.encrypt(GET_REQUEST);
+
+      expect(ciphered[2]).toBe(securityControl);
+      expect(server.decrypt(ciphered)).toEqual(GET_REQUEST);
+    });
+
+    it('should reject tampered APDUs', () => {
+      const ciphered = client.encrypt(GET_REQUEST);
+      ciphered[10] ^= 0x01;
+
+      expect(() => server.decrypt(ciphered)).toThrow('failed authentication');
+    });
+
+    it('should reject APDUs ciphered with other keys', () => {
+      const other = createSecurityContext({
+        ...KEYS,
+        authenticationKey: '00'.repeat(16),
+        systemTitle: CLIENT_TITLE,
+      });
+
+      expect(() => server.decrypt(other.encrypt(GET_REQUEST))).toThrow('failed authentication');
+    });
+
+    it('should reject replayed invocation counters', () => {
+      const ciphered = client.encrypt(GET_REQUEST);
+      server.decrypt(ciphered);
+
+      expect(() => server.decrypt(ciphered)).toThrow('Replayed invocation counter 101');
+    });
+
+    it('should reject other security suites and truncated APDUs', () => {
+      const ciphered = client.encrypt(GET_REQUEST);
+
+      expect(() => server.decrypt(Buffer.from([0xc8, 0x05, 0x31, 0, 0, 0, 1]))).toThrow(
+        'Unsupported security suite: 1'
+      );
+      expect(() => server.decrypt(ciphered.subarray(0, 20))).toThrow('truncated');
+      expect(() => server.decrypt(GET_REQUEST)).toThrow('Not a glo-ciphered APDU');
+    });
+
+    it('should need the peer system title', () => {
+      server.reset();
+      expect(() => server.decrypt(client.encrypt(GET_REQUEST))).toThrow('system title unknown');
+    });
+  });
+
+  describe('HLS-GMAC challenges', () => {
+    it('should accept f(challenge) computed with the shared keys', () => {
+      const { client, server } = createPair({ invocationCounter: 0 });
+      const ctos = client.createChallenge();
+      const stoc = server.createChallenge();
+
+      // pass 3: gateway answers StoC; pass 4: meter answers CtoS
+      expect(server.verifyChallengeResponse(client.respondToChallenge(stoc))).toBe(true);
+      expect(client.verifyChallengeResponse(server.respondToChallenge(ctos))).toBe(true);
+    });
+
+    it('should use the fixed challenge when configured', () => {
+      const context = createSecurityContext({
+        ...KEYS,
+        systemTitle: CLIENT_TITLE,
+        challenge: '0102030405060708',
+      });
+      expect(context.createChallenge().toString('hex')).toBe('0102030405060708');
+    });
+
+    it('should reject responses to another challenge or with other keys', () => {
+      const { client, server } = createPair({ invocationCounter: 0 });
+      client.createChallenge();
+      const impostor = createSecurityContext({
+        blockCipherKey: KEYS.blockCipherKey,
+        authenticationKey: 'FF'.repeat(16),
+        systemTitle: SERVER_TITLE,
+      });
+
+      expect(client.verifyChallengeResponse(server.respondToChallenge(Buffer.from('other')))).toBe(
+        false
+      );
+      expect(client.verifyChallengeResponse(impostor.respondToChallenge(client.challenge))).toBe(
+        false
+      );
+      expect(client.verifyChallengeResponse(Buffer.alloc(3))).toBe(false);
+      expect(client.verifyChallengeResponse(undefined)).toBe(false);
+    });
+  });
+
+  describe('helpers', () => {
+    it('should recognise ciphered and cipherable tags', () => {
+      expect(isCipheredApdu(Buffer.from([0xcc, 0x00]))).toBe(true);
+      expect(isCipheredApdu(Buffer.from([0x28, 0x00]))).toBe(true);
+      expect(isCipheredApdu(Buffer.from([0xc4, 0x00]))).toBe(false);
+      expect(isCipherableApdu(Buffer.from([0xc3, 0x00]))).toBe(true);
+      expect(isCipherableApdu(Buffer.from([0x62, 0x00]))).toBe(false);
+    });
+
+    it('should validate key and system title lengths', () => {
+      expect(() => createSecurityContext({ ...KEYS, systemTitle: '0102' })).toThrow(
+        'system title must be 8 bytes, got 2'
+      );
+      expect(() =>
+        createSecurityContext({ ...KEYS, blockCipherKey: '', systemTitle: CLIENT_TITLE })
+      ).toThrow('block cipher key must be 16 bytes');
+    });
+  });
+});
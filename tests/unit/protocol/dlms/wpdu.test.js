@@ -0,0 +1,159 @@
+/**
+ * WPDU (IEC 62056-47) Unit Tests
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import {
+  WPDU_HEADER_LENGTH,
+  WPDU_PORTS,
+  isWpdu,
+  parseWpduHeader,
+  buildWpdu,
+  createWpduStreamParser,
+} from '../../../../src/protocol/dlms/wpdu.js';
+
+const GET_RESPONSE = Buffer.from([0xc4, 0x01, 0x01, 0x00, 0x12, 0x00, 0xe6]);
+
+describe('WPDU', () => {
+  describe('buildWpdu', () => {
+    it('should default to public client and management logical device wPorts', () => {
+      const wpdu = buildWpdu(Buffer.from([0x62, 0x00]));
+      expect(wpdu.toString('hex')).toBe('000100100001000262' + '00');
+    });
+
+    it('should use the given wPorts', () => {
+      const wpdu = buildWpdu(GET_RESPONSE, { source: 0x0011, destination: 0x0020 });
+      expect(parseWpduHeader(wpdu)).toEqual({
+        version: 1,
+        source: 0x0011,
+        destination: 0x0020,
+        length: GET_RESPONSE.length,
+      });
+      expect(wpdu.subarray(WPDU_HEADER_LENGTH)).toEqual(GET_RESPONSE);
+    });
+
+    it('should reject APDUs longer than the length field', () => {
+      expect(() => buildWpdu(Buffer.alloc(0x10000))).toThrow('APDU too long');
+    });
+  });
+
+  describe('parseWpduHeader', () => {
+    it('should reject short buffers', () => {
+      expect(() => parseWpduHeader(Buffer.from([0x00, 0x01, 0x00]))).toThrow('too short');
+    });
+
+    it('should reject unknown versions', () => {
+      expect(() => parseWpduHeader(Buffer.alloc(8))).toThrow('Unsupported WPDU version: 0x0');
+    });
+  });
+
+  describe('isWpdu', () => {
+    it('should check the version field', () => {
+      expect(isWpdu(buildWpdu(GET_RESPONSE))).toBe(true);
+      expect(isWpdu(Buffer.from([0x00, 0x02]))).toBe(false);
+      expect(isWpdu(Buffer.from([0x00]))).toBe(false);
+      expect(isWpdu(null)).toBe(false);
+    });
+  });
+
+  describe('createWpduStreamParser', () => {
+    const meterWpdu = (apdu) =>
+      buildWpdu(apdu, {
+        source: WPDU_PORTS.MANAGEMENT_LOGICAL_DEVICE,
+        destination: WPDU_PORTS.PUBLIC_CLIENT,
+      });
+
+    it('should emit header, APDU and raw packet', () => {
+      const onPacket = vi.fn();
+      const parser = createWpduStreamParser(onPacket);
+      const wpdu = meterWpdu(GET_RESPONSE);
+
+      parser.push(wpdu);
+
+      expect(onPacket).toHaveBeenCalledWith(
+        { version: 1, source: 1, destination: 0x10, length: GET_RESPONSE.length },
+        GET_RESPONSE,
+        wpdu
+      );
+      expect(parser.getPacketCount()).toBe(1);
+    });
+
+    it('should reassemble packets split across chunks', () => {
+      const onPacket = vi.fn();
+      const parser = createWpduStreamParser(onPacket);
+      const wpdu = meterWpdu(GET_RESPONSE);
+
+      parser.push(wpdu.subarray(0, 5));
+      parser.push(wpdu.subarray(5, 10));
+      expect(onPacket).not.toHaveBeenCalled();
+      expect(parser.getBufferLength()).toBe(10);
+
+      parser.push(wpdu.subarray(10));
+      expect(onPacket).toHaveBeenCalledOnce();
+      expect(parser.getBufferLength()).toBe(0);
+    });
+
+    it('should split several packets in one chunk', () => {
+      const onPacket = vi.fn();
+      const parser = createWpduStreamParser(onPacket);
+
+      parser.push(Buffer.concat([meterWpdu(GET_RESPONSE), meterWpdu(Buffer.from([0x63, 0x00]))]));
+
+      expect(onPacket).toHaveBeenCalledTimes(2);
+      expect(onPacket.mock.calls[1][1]).toEqual(Buffer.from([0x63, 0x00]));
+    });
+
+    it('should skip garbage before the next header', () => {
+      const onPacket = vi.fn();
+      const onError = vi.fn();
+      const parser = createWpduStreamParser(onPacket, onError);
+
+      parser.push(Buffer.concat([Buffer.from([0xff, 0xee]), meterWpdu(GET_RESPONSE)]));
+
+      expect(onError.mock.calls[0][0].message).toContain('Skipping 2 bytes');
+      expect(onPacket).toHaveBeenCalledOnce();
+    });
+
+    it('should keep a trailing zero byte when discarding garbage', () => {
+      const onPacket = vi.fn();
+      const onError = vi.fn();
+      const parser = createWpduStreamParser(onPacket, onError);
+      const wpdu = meterWpdu(GET_RESPONSE);
+
+      parser.push(Buffer.from([0xff, 0xee, 0x00]));
+      expect(onError.mock.calls[0][0].message).toContain('discarding 2 bytes');
+      parser.push(wpdu.subarray(1));
+
+      expect(onPacket).toHaveBeenCalledOnce();
+    });
+
+    it('should reject oversized length fields', () => {
+      const onError = vi.fn();
+      const parser = createWpduStreamParser(vi.fn(), onError);
+
+      parser.push(Buffer.from([0x00, 0x01, 0x00, 0x01, 0x00, 0x10, 0xff, 0xff]));
+
+      expect(onError.mock.calls[0][0].message).toContain('WPDU length too large');
+    });
+
+    it('should report callback errors and continue', () => {
+      const onError = vi.fn();
+      const onPacket = vi.fn(() => {
+        throw new Error('boom');
+      });
+      const parser = createWpduStreamParser(onPacket, onError);
+
+      parser.push(Buffer.concat([meterWpdu(GET_RESPONSE), meterWpdu(GET_RESPONSE)]));
+
+      expect(onPacket).toHaveBeenCalledTimes(2);
+      expect(onError).toHaveBeenCalledWith(expect.objectContaining({ message: 'boom' }));
+    });
+
+    it('should clear buffered data on reset', () => {
+      const parser = createWpduStreamParser(vi.fn());
+      parser.push(meterWpdu(GET_RESPONSE).subarray(0, 6));
+      parser.reset();
+      expect(parser.getBufferLength()).toBe(0);
+    });
+  });
+});
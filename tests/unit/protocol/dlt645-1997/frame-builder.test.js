@@ -0,0 +1,65 @@
+/**
+ * DL/T 645-1997 Frame Builder Unit Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  dataIdToBuffer1997,
+  buildReadFrame1997,
+  buildReadFollowFrame1997,
+  buildWriteFrame1997,
+} from '../../../../src/protocol/dlt645-1997/frame-builder.js';
+import { CONTROL_CODES } from '../../../../src/protocol/dlt645-1997/registers.js';
+import { verifyChecksum, validateFrameStructure } from '../../../../src/protocol/checksum.js';
+
+describe('DL/T 645-1997 Frame Builder', () => {
+  describe('dataIdToBuffer1997', () => {
+    it('should encode DI little-endian with offset', () => {
+      expect(dataIdToBuffer1997(0x9010)).toEqual(Buffer.from([0x43, 0xc3]));
+    });
+
+    it('should reject identifiers wider than 2 bytes', () => {
+      expect(() => dataIdToBuffer1997(0x00010000)).toThrow('Invalid DL/T 645-1997 data identifier');
+    });
+  });
+
+  describe('buildReadFrame1997', () => {
+    it('should build a valid 0x01 read frame with a 2-byte DI', () => {
+      const frame = buildReadFrame1997('000000001234', 0x9010);
+
+      expect(validateFrameStructure(frame).valid).toBe(true);
+      expect(verifyChecksum(frame).valid).toBe(true);
+      expect(frame.subarray(1, 7)).toEqual(Buffer.from([0x34, 0x12, 0x00, 0x00, 0x00, 0x00]));
+      expect(frame[8]).toBe(CONTROL_CODES.READ_DATA);
+      expect(frame[9]).toBe(2);
+      expect(frame.subarray(10, 12)).toEqual(Buffer.from([0x43, 0xc3]));
+    });
+  });
+
+  describe('buildReadFollowFrame1997', () => {
+    it('should build a 0x02 follow-up frame without sequence number', () => {
+      const frame = buildReadFollowFrame1997('000000001234', 0x9010);
+
+      expect(frame[8]).toBe(CONTROL_CODES.READ_FOLLOW);
+      expect(frame[9]).toBe(2);
+    });
+  });
+
+  describe('buildWriteFrame1997', () => {
+    it('should build DI + password + value without operator code', () => {
+      const frame = buildWriteFrame1997(
+        '000000001234',
+        0xc011,
+        Buffer.from([0x00, 0x30, 0x12]),
+        '02123456'
+      );
+
+      expect(verifyChecksum(frame).valid).toBe(true);
+      expect(frame[8]).toBe(CONTROL_CODES.WRITE_DATA);
+      expect(frame[9]).toBe(2 + 4 + 3);
+      // Password bytes with offset
+      expect(frame.subarray(12, 16)).toEqual(Buffer.from([0x35, 0x45, 0x67, 0x89]));
+      expect(frame.subarray(16, 19)).toEqual(Buffer.from([0x33, 0x63, 0x45]));
+    });
+  });
+});
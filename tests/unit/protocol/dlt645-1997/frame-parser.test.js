@@ -0,0 +1,131 @@
+/**
+ * DL/T 645-1997 Frame Parser Unit Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  formatDataId1997,
+  parseReadResponse1997,
+  parseErrorResponse1997,
+} from '../../../../src/protocol/dlt645-1997/frame-parser.js';
+import {
+  CONTROL_CODES,
+  DLT645_VARIANTS,
+  ENERGY_REGISTERS,
+} from '../../../../src/protocol/dlt645-1997/registers.js';
+import { buildFrame } from '../../../../src/protocol/frame-builder.js';
+import { combineReadSegments } from '../../../../src/protocol/frame-parser.js';
+import { applyOffset } from '../../../../src/protocol/bcd.js';
+
+const ADDRESS = '000000001234';
+
+/**
+ * Build a 1997 response frame: DI (2 bytes) + value
+ */
+const buildMockResponse = (dataId, value, controlCode = CONTROL_CODES.READ_DATA_RESPONSE) =>
+  buildFrame(
+    ADDRESS,
+    controlCode,
+    applyOffset(Buffer.concat([Buffer.from([dataId & 0xff, dataId >> 8]), value]))
+  );
+
+describe('DL/T 645-1997 Frame Parser', () => {
+  describe('parseReadResponse1997', () => {
+    it('should decode total active energy', () => {
+      // 12345.67 kWh
+      const frame = buildMockResponse(0x9010, Buffer.from([0x67, 0x45, 0x23, 0x01]));
+
+      const result = parseReadResponse1997(frame);
+
+      expect(result.success).toBe(true);
+      expect(result.variant).toBe(DLT645_VARIANTS.V1997);
+      expect(result.address).toBe(ADDRESS);
+      expect(result.dataId).toBe(0x9010);
+      expect(result.dataIdHex).toBe('0x9010');
+      expect(result.register.key).toBe('TOTAL_ACTIVE_POSITIVE');
+      expect(result.rawValue).toBe(1234567);
+      expect(result.value).toBeCloseTo(12345.67, 2);
+      expect(result.unit).toBe('kWh');
+    });
+
+    it('should convert active power to the 2007 unit', () => {
+      // 1.2345 kW
+      const frame = buildMockResponse(0xb630, Buffer.from([0x45, 0x23, 0x01]));
+
+      const result = parseReadResponse1997(frame);
+
+      expect(result.value).toBeCloseTo(1234.5, 1);
+      expect(result.unit).toBe('W');
+    });
+
+    it('should return raw value for unknown identifiers', () => {
+      const result = parseReadResponse1997(buildMockResponse(0x1234, Buffer.from([0x99])));
+
+      expect(result.register).toBeNull();
+      expect(result.value).toBe(99);
+    });
+
+    it('should leave multi-frame segments undecoded', () => {
+      const first = parseReadResponse1997(
+        buildMockResponse(0x9010, Buffer.from([0x67, 0x45]), CONTROL_CODES.READ_DATA_RESPONSE_MORE)
+      );
+      const last = parseReadResponse1997(
+        buildMockResponse(0x9010, Buffer.from([0x23, 0x01]), CONTROL_CODES.READ_FOLLOW_RESPONSE)
+      );
+
+      expect(first.hasFollowUp).toBe(true);
+      expect(first.value).toBeNull();
+      expect(last.isFollowUp).toBe(true);
+
+      const combined = combineReadSegments([first, last]);
+      expect(combined.variant).toBe(DLT645_VARIANTS.V1997);
+      expect(combined.value).toBeCloseTo(12345.67, 2);
+    });
+
+    it('should use a provided register definition', () => {
+      const frame = buildMockResponse(0x9010, Buffer.from([0x00, 0x01, 0x00, 0x00]));
+
+      const result = parseReadResponse1997(frame, ENERGY_REGISTERS.TARIFF_1_ACTIVE);
+
+      expect(result.register).toBe(ENERGY_REGISTERS.TARIFF_1_ACTIVE);
+      expect(result.value).toBe(1);
+    });
+
+    it('should reject responses without a data identifier', () => {
+      const frame = buildFrame(
+        ADDRESS,
+        CONTROL_CODES.READ_DATA_RESPONSE,
+        applyOffset(Buffer.from([0x10]))
+      );
+      expect(() => parseReadResponse1997(frame)).toThrow('Read response data too short');
+    });
+  });
+
+  describe('parseErrorResponse1997', () => {
+    it('should read the status byte without DI', () => {
+      const frame = buildFrame(
+        ADDRESS,
+        CONTROL_CODES.READ_DATA_ERROR,
+        applyOffset(Buffer.from([0x02]))
+      );
+
+      const result = parseErrorResponse1997(frame);
+
+      expect(result).toMatchObject({
+        success: false,
+        variant: DLT645_VARIANTS.V1997,
+        isError: true,
+        errorCode: 0x02,
+        errorMessage: 'Data identifier error',
+      });
+      expect(parseReadResponse1997(frame).isError).toBe(true);
+    });
+  });
+
+  describe('formatDataId1997', () => {
+    it('should pad to 4 hex digits', () => {
+      expect(formatDataId1997(0x9010)).toBe('0x9010');
+      expect(formatDataId1997(0x10)).toBe('0x0010');
+    });
+  });
+});
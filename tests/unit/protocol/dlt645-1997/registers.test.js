@@ -0,0 +1,133 @@
+/**
+ * DL/T 645-1997 Registers Unit Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  DLT645_VARIANTS,
+  CONTROL_CODES,
+  ENERGY_REGISTERS,
+  INSTANTANEOUS_REGISTERS,
+  ALL_REGISTERS,
+  findRegisterById,
+  toRegister1997,
+  detectVariant,
+  parseErrorCode,
+  getErrorCodeNames,
+} from '../../../../src/protocol/dlt645-1997/registers.js';
+import {
+  ENERGY_REGISTERS as ENERGY_REGISTERS_2007,
+  INSTANTANEOUS_REGISTERS as INSTANTANEOUS_REGISTERS_2007,
+  ALL_REGISTERS as ALL_REGISTERS_2007,
+} from '../../../../src/protocol/registers.js';
+
+describe('DL/T 645-1997 Registers', () => {
+  describe('CONTROL_CODES', () => {
+    it('should define the 1997 read, write and response codes', () => {
+      expect(CONTROL_CODES.READ_DATA).toBe(0x01);
+      expect(CONTROL_CODES.WRITE_DATA).toBe(0x04);
+      expect(CONTROL_CODES.READ_DATA_RESPONSE).toBe(0x81);
+      expect(CONTROL_CODES.READ_DATA_ERROR).toBe(0xc1);
+    });
+  });
+
+  describe('register tables', () => {
+    it('should use 2-byte data identifiers', () => {
+      for (const register of Object.values(ALL_REGISTERS)) {
+        expect(register.id).toBeGreaterThan(0);
+        expect(register.id).toBeLessThanOrEqual(0xffff);
+      }
+    });
+
+    it('should share keys, names and units with the 2007 tables', () => {
+      for (const [key, register] of Object.entries(ALL_REGISTERS)) {
+        expect(ALL_REGISTERS_2007[key]).toBeDefined();
+        expect(register.name).toBe(ALL_REGISTERS_2007[key].name);
+        expect(register.unit).toBe(ALL_REGISTERS_2007[key].unit);
+      }
+    });
+
+    it('should define total active energy at 9010', () => {
+      expect(ENERGY_REGISTERS.TOTAL_ACTIVE_POSITIVE.id).toBe(0x9010);
+      expect(INSTANTANEOUS_REGISTERS.VOLTAGE_A.id).toBe(0xb611);
+    });
+  });
+
+  describe('findRegisterById', () => {
+    it('should find register with key and variant', () => {
+      expect(findRegisterById(0xb621)).toMatchObject({
+        key: 'CURRENT_A',
+        unit: 'A',
+        variant: DLT645_VARIANTS.V1997,
+      });
+    });
+
+    it('should return null for unknown identifiers', () => {
+      expect(findRegisterById(0x1234)).toBeNull();
+    });
+  });
+
+  describe('toRegister1997', () => {
+    it('should map a 2007 register to its 1997 equivalent', () => {
+      const register = toRegister1997(ENERGY_REGISTERS_2007.TOTAL_ACTIVE_POSITIVE);
+
+      expect(register.id).toBe(0x9010);
+      expect(register.variant).toBe(DLT645_VARIANTS.V1997);
+      expect(register.key).toBeUndefined();
+    });
+
+    it('should keep the key of keyed registers', () => {
+      expect(toRegister1997({ key: 'VOLTAGE_A', id: 0x02010100 })).toMatchObject({
+        key: 'VOLTAGE_A',
+        id: 0xb611,
+      });
+    });
+
+    it('should return null when 1997 has no equivalent', () => {
+      expect(toRegister1997(INSTANTANEOUS_REGISTERS_2007.FREQUENCY)).toBeNull();
+      expect(toRegister1997(null)).toBeNull();
+    });
+
+    it('should return 1997 registers unchanged', () => {
+      const register = findRegisterById(0x9010);
+      expect(toRegister1997(register)).toBe(register);
+    });
+  });
+
+  describe('detectVariant', () => {
+    it('should detect 1997 from request and response codes', () => {
+      expect(detectVariant(0x01)).toBe(DLT645_VARIANTS.V1997);
+      expect(detectVariant(0x81)).toBe(DLT645_VARIANTS.V1997);
+      expect(detectVariant(0xa1)).toBe(DLT645_VARIANTS.V1997);
+      expect(detectVariant(0xc1)).toBe(DLT645_VARIANTS.V1997);
+      expect(detectVariant(0x84)).toBe(DLT645_VARIANTS.V1997);
+    });
+
+    it('should detect 2007 from request and response codes', () => {
+      expect(detectVariant(0x11)).toBe(DLT645_VARIANTS.V2007);
+      expect(detectVariant(0x91)).toBe(DLT645_VARIANTS.V2007);
+      expect(detectVariant(0xd1)).toBe(DLT645_VARIANTS.V2007);
+      expect(detectVariant(0x9c)).toBe(DLT645_VARIANTS.V2007);
+    });
+
+    it('should not decide on the shared broadcast time code', () => {
+      expect(detectVariant(0x08)).toBeNull();
+    });
+  });
+
+  describe('parseErrorCode', () => {
+    it('should describe 1997 error bits', () => {
+      expect(parseErrorCode(0x02)).toBe('Data identifier error');
+      expect(parseErrorCode(0x05)).toBe('Illegal data, Password error');
+      expect(parseErrorCode(0x80)).toBe('Unknown error: 0x80');
+    });
+  });
+
+  describe('getErrorCodeNames', () => {
+    it('should name 1997 error bits', () => {
+      expect(getErrorCodeNames(0x01)).toEqual(['ILLEGAL_DATA']);
+      expect(getErrorCodeNames(0x42)).toEqual(['DATA_ID_ERROR', 'TARIFF_COUNT_EXCEEDED']);
+      expect(getErrorCodeNames(0x80)).toEqual(['UNKNOWN_ERROR']);
+    });
+  });
+});
@@ -6,11 +6,15 @@ import { describe, it, expect } from 'vitest';
 import {
   buildReadFrame,
   buildReadFrameFromRegister,
+  buildReadFollowFrame,
   buildWriteFrame,
   buildRelayControlFrame,
   buildSimpleRelayFrame,
   buildReadAddressFrame,
   buildBroadcastTimeFrame,
+  encodeMeterDate,
+  encodeMeterTime,
+  buildLoadProfileReadFrame,
   buildBatchReadFrames,
   buildBatchReadFramesFromRegisters,
   describeFrame,
@@ -119,6 +123,25 @@ describe('Frame Builder', () => {
     });
   });
 
+  describe('buildReadFollowFrame', () => {
+    it('should build follow-up frame with DI and sequence', () => {
+      const frame = buildReadFollowFrame('000000001234', 0x06000001, 1);
+
+      expect(verifyChecksum(frame).valid).toBe(true);
+      expect(frame[8]).toBe(CONTROL_CODES.READ_FOLLOW);
+      expect(frame[9]).toBe(5);
+
+      // DI 0x06000001 little-endian with +0x33 offset, then SEQ 1 + 0x33
+      expect([...frame.subarray(10, 15)]).toEqual([0x34, 0x33, 0x33, 0x39, 0x34]);
+    });
+
+    it('should throw on invalid sequence', () => {
+      expect(() => buildReadFollowFrame('000000001234', 0x06000001, -1)).toThrow();
+      expect(() => buildReadFollowFrame('000000001234', 0x06000001, 256)).toThrow();
+      expect(() => buildReadFollowFrame('000000001234', 0x06000001, 1.5)).toThrow();
+    });
+  });
+
   describe('buildWriteFrame', () => {
     it('should build valid write frame', () => {
       const value = Buffer.from([0x00, 0x10]); // Some test value
@@ -278,6 +301,58 @@ describe('Frame Builder', () => {
     });
   });
 
+  describe('buildLoadProfileReadFrame', () => {
+    it('should request the latest N blocks without a start time', () => {
+      const frame = buildLoadProfileReadFrame('000000001234', { count: 12 });
+
+      expect(frame[8]).toBe(CONTROL_CODES.READ_DATA);
+      expect(frame[9]).toBe(5);
+      expect([...frame.subarray(10, 14)]).toEqual([0x35, 0x33, 0x33, 0x39]); // 0x06000002
+      expect(frame[14]).toBe(0x12 + 0x33);
+      expect(verifyChecksum(frame).valid).toBe(true);
+    });
+
+    it('should request N blocks from a start time as NN mmhhDDMMYY', () => {
+      const frame = buildLoadProfileReadFrame('000000001234', {
+        count: 4,
+        start: new Date(2024, 0, 15, 10, 45),
+      });
+
+      expect(frame[9]).toBe(10);
+      expect([...frame.subarray(10, 14)]).toEqual([0x34, 0x33, 0x33, 0x39]); // 0x06000001
+      expect([...frame.subarray(14, 20)].map((b) => b - 0x33)).toEqual([
+        0x04, 0x45, 0x10, 0x15, 0x01, 0x24,
+      ]);
+    });
+
+    it('should reject invalid block counts', () => {
+      expect(() => buildLoadProfileReadFrame('000000001234', { count: 0 })).toThrow(
+        'Invalid load profile block count'
+      );
+      expect(() => buildLoadProfileReadFrame('000000001234', { count: 100 })).toThrow(
+        'Must be 1-99'
+      );
+    });
+  });
+
+  describe('encodeMeterDate / encodeMeterTime', () => {
+    it('should encode date as WW DD MM YY in BCD', () => {
+      // 2024-01-15 is a Monday
+      const date = encodeMeterDate(new Date(2024, 0, 15, 10, 30, 45));
+      expect([...date]).toEqual([0x01, 0x15, 0x01, 0x24]);
+    });
+
+    it('should encode Sunday as week day 0', () => {
+      const date = encodeMeterDate(new Date(2024, 5, 23));
+      expect(date[0]).toBe(0x00);
+    });
+
+    it('should encode time as ss mm hh in BCD', () => {
+      const time = encodeMeterTime(new Date(2024, 0, 15, 10, 30, 45));
+      expect([...time]).toEqual([0x45, 0x30, 0x10]);
+    });
+  });
+
   describe('buildBroadcastTimeFrame', () => {
     it('should build valid broadcast time frame', () => {
       const frame = buildBroadcastTimeFrame();
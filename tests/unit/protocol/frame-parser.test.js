@@ -9,9 +9,18 @@ import {
   extractControlCode,
   extractData,
   parseReadResponse,
+  combineReadSegments,
+  decodeMeterDateTime,
+  parseLoadProfileRecords,
+  decodeFreezeTime,
+  decodeEnergyBlock,
+  decodeSettlementDay,
+  decodeEventCount,
+  parseEventRecord,
   parseWriteResponse,
   parseRelayResponse,
   parseErrorResponse,
+  parseStatusWords,
   parseTelemetryData,
   buildTelemetryObject,
   isCompleteFrame,
@@ -27,22 +36,37 @@ import {
 } from '../../../src/protocol/frame-builder.js';
 
 import { appendChecksum } from '../../../src/protocol/checksum.js';
-import { applyOffset, addressToBuffer } from '../../../src/protocol/bcd.js';
+import {
+  applyOffset,
+  addressToBuffer,
+  decimalToBcd,
+  signedDecimalToBcd,
+} from '../../../src/protocol/bcd.js';
 import {
   CONTROL_CODES,
   ENERGY_REGISTERS,
   INSTANTANEOUS_REGISTERS,
+  LOAD_PROFILE_REGISTERS,
+  FROZEN_DATA_REGISTERS,
+  EVENT_RECORD_TYPES,
+  MAX_DEMAND_REGISTERS,
+  PARAMETER_REGISTERS,
 } from '../../../src/protocol/registers.js';
 
 /**
  * Build a mock read response frame
  */
-const buildMockReadResponse = (address, dataId, valueBuffer) => {
+const buildMockReadResponse = (
+  address,
+  dataId,
+  valueBuffer,
+  controlCode = CONTROL_CODES.READ_DATA_RESPONSE // 0x91
+) => {
   const header = Buffer.alloc(10);
   header[0] = 0x68;
   addressToBuffer(address).copy(header, 1);
   header[7] = 0x68;
-  header[8] = CONTROL_CODES.READ_DATA_RESPONSE; // 0x91
+  header[8] = controlCode;
 
   // Data: DI (4 bytes) + Value
   const diBuffer = Buffer.alloc(4);
@@ -76,6 +100,21 @@ const buildMockErrorResponse = (address, errorCode) => {
   return appendChecksum(frameWithoutChecksum);
 };
 
+/**
+ * Build a load profile record block (A0 A0 LEN mmhhDDMMYY sections... CS E5)
+ * @param {number[]} time - [minute, hour, day, month, year (2 digits)]
+ * @param {Buffer[]} sections - Section payloads; empty buffer for an unrecorded section
+ */
+const buildLoadProfileBlock = (time, sections) => {
+  const body = Buffer.concat([
+    Buffer.concat(time.map((part) => decimalToBcd(part, 1))),
+    ...sections.map((section) => Buffer.concat([section, Buffer.from([0xaa])])),
+  ]);
+  const head = Buffer.from([0xa0, 0xa0, body.length]);
+  const checksum = [...head, ...body].reduce((sum, byte) => (sum + byte) & 0xff, 0);
+  return Buffer.concat([head, body, Buffer.from([checksum, 0xe5])]);
+};
+
 describe('Frame Parser', () => {
   describe('parseFrame', () => {
     it('should parse a valid response frame', () => {
@@ -229,6 +268,310 @@ describe('Frame Parser', () => {
       expect(result.isError).toBe(true);
       expect(result.errorCode).toBe(0x02);
     });
+
+    it('should flag responses with more frames following', () => {
+      const frame = buildMockReadResponse(
+        '000000001234',
+        0x06000001,
+        Buffer.from([0x11, 0x22]),
+        CONTROL_CODES.READ_DATA_RESPONSE_MORE
+      );
+
+      const result = parseReadResponse(frame);
+
+      expect(result.success).toBe(true);
+      expect(result.hasFollowUp).toBe(true);
+      expect(result.isFollowUp).toBe(false);
+      expect(result.value).toBeNull();
+      expect([...result.data]).toEqual([0x11, 0x22]);
+    });
+
+    it('should strip sequence byte from follow-up responses', () => {
+      const frame = buildMockReadResponse(
+        '000000001234',
+        0x06000001,
+        Buffer.from([0x33, 0x44, 0x02]),
+        CONTROL_CODES.READ_FOLLOW_RESPONSE
+      );
+
+      const result = parseReadResponse(frame);
+
+      expect(result.dataId).toBe(0x06000001);
+      expect(result.hasFollowUp).toBe(false);
+      expect(result.isFollowUp).toBe(true);
+      expect(result.sequence).toBe(2);
+      expect([...result.data]).toEqual([0x33, 0x44]);
+    });
+
+    it('should not flag single-frame responses', () => {
+      const frame = buildMockReadResponse('000000001234', 0x02010100, Buffer.from([0x05, 0x22]));
+
+      const result = parseReadResponse(frame);
+
+      expect(result.hasFollowUp).toBe(false);
+      expect(result.isFollowUp).toBe(false);
+      expect(result.sequence).toBeNull();
+    });
+  });
+
+  describe('combineReadSegments', () => {
+    it('should concatenate segment data and decode the value', () => {
+      const first = parseReadResponse(
+        buildMockReadResponse(
+          '000000001234',
+          0x00000000,
+          Buffer.from([0x67, 0x45]),
+          CONTROL_CODES.READ_DATA_RESPONSE_MORE
+        )
+      );
+      const last = parseReadResponse(
+        buildMockReadResponse(
+          '000000001234',
+          0x00000000,
+          Buffer.from([0x23, 0x01, 0x01]),
+          CONTROL_CODES.READ_FOLLOW_RESPONSE
+        )
+      );
+
+      const result = combineReadSegments([first, last]);
+
+      expect(result.success).toBe(true);
+      expect(result.segments).toBe(2);
+      expect([...result.data]).toEqual([0x67, 0x45, 0x23, 0x01]);
+      expect(result.rawValue).toBe(1234567);
+      expect(result.value).toBeCloseTo(12345.67);
+    });
+
+    it('should leave value null for non-BCD payloads', () => {
+      const segment = parseReadResponse(
+        buildMockReadResponse(
+          '000000001234',
+          0x06000001,
+          Buffer.from([0xff, 0xee, 0x01]),
+          CONTROL_CODES.READ_FOLLOW_RESPONSE
+        )
+      );
+
+      const result = combineReadSegments([segment]);
+
+      expect(result.rawValue).toBeNull();
+      expect([...result.data]).toEqual([0xff, 0xee]);
+    });
+
+    it('should throw on empty or mismatched segments', () => {
+      const a = parseReadResponse(
+        buildMockReadResponse('000000001234', 0x00000000, Buffer.from([0x01]))
+      );
+      const b = parseReadResponse(
+        buildMockReadResponse('000000001234', 0x02010100, Buffer.from([0x01]))
+      );
+
+      expect(() => combineReadSegments([])).toThrow('No read segments');
+      expect(() => combineReadSegments([a, b])).toThrow('mismatched');
+    });
+  });
+
+  describe('decodeMeterDateTime', () => {
+    it('should combine date and time registers into a Date', () => {
+      const date = decodeMeterDateTime(
+        Buffer.from([0x01, 0x15, 0x01, 0x24]),
+        Buffer.from([0x45, 0x30, 0x10])
+      );
+      expect(date).toEqual(new Date(2024, 0, 15, 10, 30, 45));
+    });
+
+    it('should reject short buffers', () => {
+      expect(() => decodeMeterDateTime(Buffer.from([0x01]), Buffer.alloc(3))).toThrow(
+        'Meter date value too short'
+      );
+      expect(() => decodeMeterDateTime(Buffer.alloc(4), Buffer.from([0x00]))).toThrow(
+        'Meter time value too short'
+      );
+    });
+
+    it('should reject invalid calendar values', () => {
+      expect(() =>
+        decodeMeterDateTime(Buffer.from([0x01, 0x31, 0x02, 0x24]), Buffer.from([0, 0, 0]))
+      ).toThrow('Invalid meter date/time');
+    });
+  });
+
+  describe('parseLoadProfileRecords', () => {
+    const voltageSection = Buffer.concat([
+      decimalToBcd(2201, 2), // voltageA 220.1 V
+      decimalToBcd(2202, 2),
+      decimalToBcd(2203, 2),
+      signedDecimalToBcd(5123, 3), // currentA 5.123 A
+      signedDecimalToBcd(-1000, 3), // currentB -1.000 A
+      decimalToBcd(0, 3),
+      decimalToBcd(5001, 2), // 50.01 Hz
+    ]);
+    const energySection = Buffer.concat([
+      decimalToBcd(1234567, 4), // 12345.67 kWh
+      decimalToBcd(100, 4),
+      decimalToBcd(0, 4),
+      decimalToBcd(0, 4),
+    ]);
+    const empty = Buffer.alloc(0);
+
+    it('should decode timestamp and recorded channels', () => {
+      const block = buildLoadProfileBlock(
+        [15, 10, 15, 1, 24],
+        [voltageSection, empty, empty, energySection, empty, empty]
+      );
+
+      const [record] = parseLoadProfileRecords(block);
+
+      expect(record.timestamp).toEqual(new Date(2024, 0, 15, 10, 15));
+      expect(record.values.voltageA).toBeCloseTo(220.1);
+      expect(record.values.currentA).toBeCloseTo(5.123);
+      expect(record.values.currentB).toBeCloseTo(-1);
+      expect(record.values.frequency).toBeCloseTo(50.01);
+      expect(record.values.activeEnergyImport).toBeCloseTo(12345.67);
+      expect(record.values).not.toHaveProperty('activePowerTotal');
+      expect(record.values).not.toHaveProperty('activeDemand');
+    });
+
+    it('should decode consecutive blocks and tolerate omitted trailing sections', () => {
+      const buffer = Buffer.concat([
+        buildLoadProfileBlock([0, 10, 15, 1, 24], [voltageSection]),
+        buildLoadProfileBlock([15, 10, 15, 1, 24], [voltageSection]),
+      ]);
+
+      const records = parseLoadProfileRecords(buffer);
+
+      expect(records).toHaveLength(2);
+      expect(records[1].timestamp - records[0].timestamp).toBe(15 * 60 * 1000);
+    });
+
+    it('should return no records for an empty buffer', () => {
+      expect(parseLoadProfileRecords(Buffer.alloc(0))).toEqual([]);
+    });
+
+    it('should reject a block with a bad checksum', () => {
+      const block = buildLoadProfileBlock([0, 10, 15, 1, 24], [voltageSection]);
+      block[block.length - 2] ^= 0xff;
+
+      expect(() => parseLoadProfileRecords(block)).toThrow('checksum error');
+    });
+
+    it('should reject missing start code and truncated blocks', () => {
+      const block = buildLoadProfileBlock([0, 10, 15, 1, 24], [voltageSection]);
+
+      expect(() => parseLoadProfileRecords(block.subarray(1))).toThrow('block start not found');
+      expect(() => parseLoadProfileRecords(block.subarray(0, 10))).toThrow('truncated');
+    });
+
+    it('should reject a section without its separator', () => {
+      const oversized = Buffer.concat([voltageSection, Buffer.from([0x00])]);
+      const block = buildLoadProfileBlock([0, 10, 15, 1, 24], [oversized]);
+
+      expect(() => parseLoadProfileRecords(block)).toThrow('separator missing');
+    });
+
+    it('should not decode record registers as a BCD value in read responses', () => {
+      const block = buildLoadProfileBlock([0, 10, 15, 1, 24], [voltageSection]);
+      const frame = buildMockReadResponse(
+        '000000001234',
+        LOAD_PROFILE_REGISTERS.LATEST_BLOCKS.id,
+        block
+      );
+
+      const result = parseReadResponse(frame);
+
+      expect(result.value).toBeNull();
+      expect(parseLoadProfileRecords(result.data)).toHaveLength(1);
+    });
+  });
+
+  describe('frozen data decoders', () => {
+    it('should decode freeze time sent as mm hh DD MM YY', () => {
+      const time = decodeFreezeTime(Buffer.from([0x00, 0x00, 0x15, 0x03, 0x24]));
+      expect(time).toEqual(new Date(2024, 2, 15, 0, 0));
+    });
+
+    it('should reject short or invalid freeze times', () => {
+      expect(() => decodeFreezeTime(Buffer.from([0x00, 0x00]))).toThrow('too short');
+      expect(() => decodeFreezeTime(Buffer.from([0x00, 0x00, 0x31, 0x02, 0x24]))).toThrow(
+        'Invalid freeze time'
+      );
+    });
+
+    it('should decode energy block total and tariffs', () => {
+      const block = Buffer.concat([
+        decimalToBcd(1234567, 4),
+        decimalToBcd(1000000, 4),
+        decimalToBcd(234567, 4),
+      ]);
+
+      const result = decodeEnergyBlock(block, FROZEN_DATA_REGISTERS.DAILY_FREEZE_ACTIVE_IMPORT);
+
+      expect(result.total).toBeCloseTo(12345.67, 2);
+      expect(result.tariffs).toHaveLength(2);
+      expect(result.tariffs[1]).toBeCloseTo(2345.67, 2);
+    });
+
+    it('should reject energy blocks that are not whole values', () => {
+      expect(() => decodeEnergyBlock(Buffer.alloc(6), null)).toThrow('Invalid energy block length');
+    });
+
+    it('should decode settlement day DDhh', () => {
+      expect(decodeSettlementDay(Buffer.from([0x00, 0x01]))).toEqual({ day: 1, hour: 0 });
+      expect(() => decodeSettlementDay(Buffer.from([0x00, 0x30]))).toThrow(
+        'Invalid settlement day'
+      );
+    });
+  });
+
+  describe('event record decoders', () => {
+    it('should decode the occurrence count from the first 3 bytes', () => {
+      expect(decodeEventCount(Buffer.from([0x34, 0x12, 0x00]))).toBe(1234);
+      // Voltage loss: count followed by cumulative minutes
+      expect(decodeEventCount(Buffer.from([0x07, 0x00, 0x00, 0x99, 0x00, 0x00]))).toBe(7);
+      expect(() => decodeEventCount(Buffer.from([0x01]))).toThrow('too short');
+    });
+
+    it('should decode start, numeric fields and end', () => {
+      const start = Buffer.from([0x05, 0x00, 0x10, 0x15, 0x03, 0x24]); // 2024-03-15 10:00:05
+      const current = Buffer.from([0x50, 0x12, 0x00]); // 1.250 A
+      const end = Buffer.from([0x00, 0x30, 0x10, 0x15, 0x03, 0x24]); // 2024-03-15 10:30:00
+
+      const record = parseEventRecord(
+        Buffer.concat([start, current, end]),
+        EVENT_RECORD_TYPES.VOLTAGE_LOSS.fields
+      );
+
+      expect(record.start).toEqual(new Date(2024, 2, 15, 10, 0, 5));
+      expect(record.current).toBeCloseTo(1.25, 3);
+      expect(record.end).toEqual(new Date(2024, 2, 15, 10, 30, 0));
+    });
+
+    it('should decode an unset end time as null and operator code as hex', () => {
+      const cover = parseEventRecord(
+        Buffer.concat([Buffer.from([0x00, 0x00, 0x09, 0x15, 0x03, 0x24]), Buffer.alloc(54)]),
+        EVENT_RECORD_TYPES.COVER_OPEN.fields
+      );
+      expect(cover.end).toBeNull();
+
+      const trip = parseEventRecord(
+        Buffer.concat([
+          Buffer.from([0x00, 0x00, 0x09, 0x15, 0x03, 0x24, 0x78, 0x56, 0x34, 0x12]),
+          Buffer.alloc(24),
+        ]),
+        EVENT_RECORD_TYPES.RELAY_TRIP.fields
+      );
+      expect(trip.operator).toBe('12345678');
+    });
+
+    it('should return null for an empty record slot', () => {
+      expect(parseEventRecord(Buffer.alloc(12), EVENT_RECORD_TYPES.POWER_DOWN.fields)).toBeNull();
+    });
+
+    it('should reject truncated records', () => {
+      expect(() => parseEventRecord(Buffer.alloc(6), EVENT_RECORD_TYPES.POWER_DOWN.fields)).toThrow(
+        'Event record too short'
+      );
+    });
   });
 
   describe('parseWriteResponse', () => {
@@ -312,6 +655,110 @@ describe('Frame Parser', () => {
       expect(result.value).toBe(2205);
       expect(result.unit).toBeNull();
     });
+
+    it('should decode demand value with its occurrence time', () => {
+      // 12.3456 kW at 2024-03-15 14:30
+      const buffer = Buffer.from([0x56, 0x34, 0x12, 0x30, 0x14, 0x15, 0x03, 0x24]);
+      const result = parseTelemetryData(buffer, MAX_DEMAND_REGISTERS.ACTIVE_IMPORT_MAX_DEMAND);
+
+      expect(result.rawValue).toBe(123456);
+      expect(result.value).toBeCloseTo(12.3456, 4);
+      expect(result.unit).toBe('kW');
+      expect(result.occurredAt).toEqual(new Date(2024, 2, 15, 14, 30));
+    });
+
+    it('should return null occurrence time when no demand is recorded', () => {
+      const result = parseTelemetryData(
+        Buffer.alloc(8),
+        MAX_DEMAND_REGISTERS.TARIFF_1_ACTIVE_IMPORT_MAX_DEMAND
+      );
+
+      expect(result.value).toBe(0);
+      expect(result.occurredAt).toBeNull();
+    });
+
+    it('should reject short demand values', () => {
+      expect(() =>
+        parseTelemetryData(Buffer.alloc(3), MAX_DEMAND_REGISTERS.REACTIVE_IMPORT_MAX_DEMAND)
+      ).toThrow('Demand value too short');
+    });
+
+    it('should carry demand occurrence time in read responses', () => {
+      const frame = buildMockReadResponse(
+        '000000001234',
+        MAX_DEMAND_REGISTERS.ACTIVE_EXPORT_MAX_DEMAND.id,
+        Buffer.from([0x00, 0x50, 0x01, 0x15, 0x08, 0x01, 0x02, 0x24])
+      );
+
+      const result = parseReadResponse(frame);
+
+      expect(result.value).toBeCloseTo(1.5, 4);
+      expect(result.occurredAt).toEqual(new Date(2024, 1, 1, 8, 15));
+
+      const telemetry = buildTelemetryObject([result]);
+      expect(telemetry.demand.ACTIVE_EXPORT_MAX_DEMAND).toEqual({
+        value: result.value,
+        unit: 'kW',
+        occurredAt: result.occurredAt.toISOString(),
+      });
+    });
+  });
+
+  describe('parseStatusWords', () => {
+    it('should decode named flags from all seven words', () => {
+      const buffer = Buffer.alloc(14);
+      buffer.writeUInt16LE(0x8004, 0); // word 1: clock battery low, clock fault
+      buffer.writeUInt16LE(0x0010, 4); // word 3: relay open
+      buffer.writeUInt16LE(0x0081, 8); // word 5: phase B voltage loss, phase break
+      buffer.writeUInt16LE(0x0200, 12); // word 7: cover open
+
+      const { words, flags } = parseStatusWords(buffer);
+
+      expect(words).toEqual([0x8004, 0, 0x0010, 0, 0x0081, 0, 0x0200]);
+      expect(flags).toMatchObject({
+        clockBatteryLow: true,
+        clockFault: true,
+        activePowerReverse: false,
+        relayOpen: true,
+        voltageLossA: false,
+        voltageLossB: true,
+        phaseBreakB: true,
+        coverOpen: true,
+        terminalCoverOpen: false,
+      });
+    });
+
+    it('should leave out flags of words the meter did not return', () => {
+      const { words, flags } = parseStatusWords(Buffer.from([0x10, 0x00]), 3);
+
+      expect(words).toEqual([0x0010]);
+      expect(flags.relayOpen).toBe(true);
+      expect(flags).not.toHaveProperty('clockFault');
+      expect(flags).not.toHaveProperty('coverOpen');
+    });
+
+    it('should reject short buffers and unknown word numbers', () => {
+      expect(() => parseStatusWords(Buffer.from([0x01]))).toThrow('Status word value too short');
+      expect(() => parseStatusWords(Buffer.alloc(2), 8)).toThrow('Invalid status word number');
+    });
+
+    it('should carry status flags in read responses', () => {
+      const value = Buffer.alloc(14);
+      value.writeUInt16LE(0x0010, 4);
+      const frame = buildMockReadResponse(
+        '000000001234',
+        PARAMETER_REGISTERS.METER_STATUS.id,
+        value
+      );
+
+      const result = parseReadResponse(frame);
+
+      expect(result.value).toEqual([0, 0, 0x0010, 0, 0, 0, 0]);
+      expect(result.flags.relayOpen).toBe(true);
+
+      const telemetry = buildTelemetryObject([result]);
+      expect(telemetry.parameters.METER_STATUS.flags).toBe(result.flags);
+    });
   });
 
   describe('buildTelemetryObject', () => {
@@ -462,6 +462,15 @@ describe('IVY Wrapper Parser', () => {
       expect(computeRawDlmsLength(buf)).toBe(8);
     });
 
+    it('should compute BER-TLV length for glo-ciphered responses', () => {
+      const buf = Buffer.alloc(0x83 + 3);
+      buf[0] = 0xCC;
+      buf[1] = 0x81; // long form
+      buf[2] = 0x83;
+      expect(computeRawDlmsLength(buf)).toBe(0x83 + 3);
+      expect(computeRawDlmsLength(buf.subarray(0, 20))).toBe(-1);
+    });
+
     it('should compute BER-TLV length for RLRQ (0x62)', () => {
       const buf = Buffer.alloc(7);
       buf[0] = 0x62;
@@ -484,6 +493,18 @@ describe('IVY Wrapper Parser', () => {
       expect(computeRawDlmsLength(Buffer.from([0xC0, 0x01, 0x01]))).toBe(-1);
     });
 
+    it('should compute DataNotification length with a compact array', () => {
+      const buf = Buffer.from([
+        0x0F, 0x00, 0x00, 0x00, 0x01, // tag + invokeId
+        0x00,                         // no datetime
+        0x0D, 0x12, 0x04,             // compact array of long-unsigned, 4 bytes
+        0x00, 0xE6, 0x00, 0xE7,
+        0x0F,                         // start of the next APDU
+      ]);
+      expect(computeRawDlmsLength(buf)).toBe(13);
+      expect(computeRawDlmsLength(buf.subarray(0, 11))).toBe(-1);
+    });
+
     it('should return -1 for unknown tags', () => {
       expect(computeRawDlmsLength(Buffer.from([0x99]))).toBe(-1);
     });
@@ -5,10 +5,20 @@
 import { describe, it, expect, vi } from 'vitest';
 import {
   PROTOCOL_TYPES,
+  DLMS_TRANSPORTS,
   detectProtocol,
+  isDlmsProtocol,
   createProtocolRouter,
 } from '../../../src/protocol/protocol-router.js';
 import { DLMS_DATA_TYPES } from '../../../src/protocol/dlms/data-types.js';
+import {
+  HDLC_FRAME_TYPES,
+  buildHdlcFrame,
+  buildInformationControl,
+  encodeHdlcAddress,
+  parseHdlcFrame,
+} from '../../../src/protocol/dlms/hdlc.js';
+import { buildWpdu } from '../../../src/protocol/dlms/wpdu.js';
 
 /**
  * Build a valid IVY packet for testing
@@ -57,6 +67,17 @@ const buildDlt645Frame = () => {
   return frame;
 };
 
+/**
+ * Build a meter → client HDLC I-frame (server 1/17 → public client)
+ */
+const buildHdlcIFrame = (apdu, sendSequence = 0) =>
+  buildHdlcFrame({
+    destination: encodeHdlcAddress(0x10),
+    source: encodeHdlcAddress(1, 17),
+    control: buildInformationControl(sendSequence, 0),
+    information: Buffer.concat([Buffer.from([0xe6, 0xe7, 0x00]), apdu]),
+  });
+
 describe('Protocol Router', () => {
   describe('detectProtocol', () => {
     it('should detect DLT645 from 0x68 start byte', () => {
@@ -82,6 +103,29 @@ describe('Protocol Router', () => {
     it('should return UNKNOWN for too-short buffer for IVY detection', () => {
       expect(detectProtocol(Buffer.from([0x00, 0x01]))).toBe(PROTOCOL_TYPES.UNKNOWN);
     });
+
+    it('should detect HDLC from the 0x7E flag and frame format', () => {
+      expect(detectProtocol(Buffer.from([0x7e, 0xa0, 0x07]))).toBe(PROTOCOL_TYPES.HDLC_DLMS);
+    });
+
+    it('should not detect HDLC when the format byte is wrong', () => {
+      expect(detectProtocol(Buffer.from([0x7e, 0x12]))).toBe(PROTOCOL_TYPES.UNKNOWN);
+    });
+
+    it('should detect WPDU from a version field with non-IVY wPorts', () => {
+      const wpdu = buildWpdu(Buffer.from([0x63, 0x00]), { source: 0x11, destination: 0x10 });
+      expect(detectProtocol(wpdu)).toBe(PROTOCOL_TYPES.WPDU_DLMS);
+    });
+  });
+
+  describe('isDlmsProtocol', () => {
+    it('should accept IVY, HDLC and WPDU DLMS only', () => {
+      expect(isDlmsProtocol(PROTOCOL_TYPES.IVY_DLMS)).toBe(true);
+      expect(isDlmsProtocol(PROTOCOL_TYPES.HDLC_DLMS)).toBe(true);
+      expect(isDlmsProtocol(PROTOCOL_TYPES.WPDU_DLMS)).toBe(true);
+      expect(isDlmsProtocol(PROTOCOL_TYPES.DLT645)).toBe(false);
+      expect(isDlmsProtocol(null)).toBe(false);
+    });
   });
 
   describe('createProtocolRouter', () => {
@@ -428,4 +472,186 @@ describe('Protocol Router', () => {
       expect(router.getProtocol()).toBe(PROTOCOL_TYPES.IVY_DLMS);
     });
   });
+
+  describe('HDLC connections', () => {
+    // GET.response-normal, invokeId 1, success, uint16 230
+    const getResponse = Buffer.from([0xc4, 0x01, 0x01, 0x00, DLMS_DATA_TYPES.UINT16, 0x00, 0xe6]);
+
+    it('should detect HDLC and route I-frame APDUs to the DLMS pipeline', () => {
+      const onDlmsApdu = vi.fn();
+      const onHdlcFrame = vi.fn();
+      const onProtocolDetected = vi.fn();
+
+      const router = createProtocolRouter({ onDlmsApdu, onHdlcFrame, onProtocolDetected });
+      router.push(buildHdlcIFrame(getResponse));
+
+      expect(onProtocolDetected).toHaveBeenCalledWith(PROTOCOL_TYPES.HDLC_DLMS);
+      expect(onHdlcFrame).toHaveBeenCalledOnce();
+      expect(onHdlcFrame.mock.calls[0][0].source).toEqual({ upper: 1, lower: 17 });
+      expect(onDlmsApdu).toHaveBeenCalledOnce();
+      const [parsed] = onDlmsApdu.mock.calls[0];
+      expect(parsed.type).toBe('get-response');
+      expect(parsed.data.value).toBe(230);
+    });
+
+    it('should expose an HDLC session that sends through sendHdlcFrame', async () => {
+      const sendHdlcFrame = vi.fn(() => Promise.resolve(true));
+      const router = createProtocolRouter({ onDlmsApdu: vi.fn(), sendHdlcFrame });
+      router.push(buildHdlcIFrame(getResponse));
+
+      const session = router.getHdlcSession();
+      expect(session).not.toBeNull();
+
+      // Link is down, so sending starts with SNRM; complete it with a UA
+      const sending = session.sendApdu(Buffer.from([0x62, 0x00]));
+      router.push(
+        buildHdlcFrame({
+          destination: encodeHdlcAddress(0x10),
+          source: encodeHdlcAddress(1, 17),
+          control: 0x73,
+        })
+      );
+      await sending;
+
+      const types = sendHdlcFrame.mock.calls.map(([frame]) => parseHdlcFrame(frame).type);
+      expect(types).toEqual([HDLC_FRAME_TYPES.SNRM, HDLC_FRAME_TYPES.I]);
+    });
+
+    it('should open the link to a silent meter on a forced HDLC listener', async () => {
+      const sendHdlcFrame = vi.fn(() => Promise.resolve(true));
+      const router = createProtocolRouter(
+        { onDlmsApdu: vi.fn(), sendHdlcFrame },
+        { transport: DLMS_TRANSPORTS.HDLC }
+      );
+
+      expect(router.getProtocol()).toBe(PROTOCOL_TYPES.HDLC_DLMS);
+      const session = router.getHdlcSession();
+      session.options.responseTimeout = 20;
+      await expect(session.connect()).rejects.toThrow('timeout');
+
+      expect(parseHdlcFrame(sendHdlcFrame.mock.calls[0][0]).type).toBe(HDLC_FRAME_TYPES.SNRM);
+    });
+
+    it('should route modem heartbeats on an HDLC connection', () => {
+      const onHeartbeat = vi.fn();
+      const onHdlcFrame = vi.fn();
+
+      const router = createProtocolRouter(
+        { onHeartbeat, onHdlcFrame },
+        { transport: DLMS_TRANSPORTS.HDLC }
+      );
+      router.push(buildHeartbeatPacket());
+      router.push(buildHdlcIFrame(getResponse));
+
+      expect(onHeartbeat).toHaveBeenCalledOnce();
+      expect(onHdlcFrame).toHaveBeenCalledOnce();
+    });
+
+    it('should switch a detected connection to HDLC on startHdlc()', () => {
+      const onHeartbeat = vi.fn();
+      const onDlmsApdu = vi.fn();
+      const onProtocolDetected = vi.fn();
+
+      const router = createProtocolRouter({ onHeartbeat, onDlmsApdu, onProtocolDetected });
+      router.push(buildHeartbeatPacket());
+      const session = router.startHdlc();
+      router.push(buildHdlcIFrame(getResponse));
+
+      expect(router.startHdlc()).toBe(session);
+      expect(onProtocolDetected.mock.calls).toEqual([
+        [PROTOCOL_TYPES.IVY_DLMS],
+        [PROTOCOL_TYPES.HDLC_DLMS],
+      ]);
+      expect(router.getProtocol()).toBe(PROTOCOL_TYPES.HDLC_DLMS);
+      expect(onDlmsApdu.mock.calls[0][0].data.value).toBe(230);
+    });
+
+    it('should have no HDLC session for other protocols', () => {
+      const router = createProtocolRouter({ onDlt645Frame: vi.fn() });
+      router.push(buildDlt645Frame());
+      expect(router.getHdlcSession()).toBeNull();
+    });
+  });
+
+  describe('WPDU connections', () => {
+    // GET.response-normal, invokeId 1, success, uint16 230
+    const getResponse = Buffer.from([0xc4, 0x01, 0x01, 0x00, DLMS_DATA_TYPES.UINT16, 0x00, 0xe6]);
+    const fromMeter = (apdu) => buildWpdu(apdu, { source: 0x11, destination: 0x10 });
+
+    it('should detect WPDU and route APDUs to the DLMS pipeline', () => {
+      const onDlmsApdu = vi.fn();
+      const onWpduPacket = vi.fn();
+      const onProtocolDetected = vi.fn();
+
+      const router = createProtocolRouter({ onDlmsApdu, onWpduPacket, onProtocolDetected });
+      router.push(fromMeter(getResponse));
+
+      expect(onProtocolDetected).toHaveBeenCalledWith(PROTOCOL_TYPES.WPDU_DLMS);
+      expect(onWpduPacket).toHaveBeenCalledWith(expect.objectContaining({ source: 0x11 }));
+      expect(onDlmsApdu).toHaveBeenCalledOnce();
+      expect(onDlmsApdu.mock.calls[0][0].data.value).toBe(230);
+      expect(router.getWpduPorts()).toEqual({ client: 0x10, server: 0x11 });
+    });
+
+    it('should treat IVY-signature packets as WPDUs when the transport is forced', () => {
+      const onDlmsApdu = vi.fn();
+      const onProtocolDetected = vi.fn();
+
+      const router = createProtocolRouter(
+        { onDlmsApdu, onProtocolDetected },
+        { transport: DLMS_TRANSPORTS.WPDU }
+      );
+      router.push(buildWpdu(getResponse, { source: 0x01, destination: 0x10 }));
+
+      expect(onProtocolDetected).toHaveBeenCalledWith(PROTOCOL_TYPES.WPDU_DLMS);
+      expect(onDlmsApdu).toHaveBeenCalledOnce();
+      expect(router.getWpduPorts()).toEqual({ client: 0x10, server: 0x01 });
+    });
+
+    it('should route modem heartbeats on a forced WPDU listener', () => {
+      const onHeartbeat = vi.fn();
+      const onDlmsApdu = vi.fn();
+
+      const router = createProtocolRouter(
+        { onHeartbeat, onDlmsApdu },
+        { transport: DLMS_TRANSPORTS.WPDU }
+      );
+      router.push(buildHeartbeatPacket());
+
+      expect(onHeartbeat).toHaveBeenCalledOnce();
+      expect(onDlmsApdu).not.toHaveBeenCalled();
+      expect(router.getWpduPorts()).toBeNull();
+    });
+
+    it('should decipher glo-ciphered APDUs before parsing', () => {
+      const onDlmsApdu = vi.fn();
+      const ciphered = Buffer.from([0xcc, 0x05, 0x30, 0x00, 0x00, 0x00, 0x01]);
+      const decipherApdu = vi.fn(() => getResponse);
+
+      const router = createProtocolRouter({ onDlmsApdu, decipherApdu });
+      router.push(fromMeter(ciphered));
+      router.push(fromMeter(getResponse));
+
+      expect(decipherApdu).toHaveBeenCalledOnce();
+      expect(decipherApdu).toHaveBeenCalledWith(ciphered);
+      expect(onDlmsApdu.mock.calls[0][0].data.value).toBe(230);
+      expect(onDlmsApdu.mock.calls[0][2]).toEqual(fromMeter(ciphered));
+    });
+
+    it('should pass ciphered APDUs on when they cannot be deciphered', () => {
+      const onDlmsApdu = vi.fn();
+
+      const router = createProtocolRouter({ onDlmsApdu, decipherApdu: () => null });
+      router.push(fromMeter(Buffer.from([0xcc, 0x05, 0x30, 0x00, 0x00, 0x00, 0x01])));
+
+      expect(onDlmsApdu.mock.calls[0][0].type).toBe('ciphered');
+    });
+
+    it('should forget the wPorts on reset', () => {
+      const router = createProtocolRouter({ onDlmsApdu: vi.fn() });
+      router.push(fromMeter(getResponse));
+      router.reset();
+      expect(router.getWpduPorts()).toBeNull();
+    });
+  });
 });
@@ -10,20 +10,31 @@ import {
   ENERGY_REGISTERS,
   INSTANTANEOUS_REGISTERS,
   PARAMETER_REGISTERS,
+  STATUS_WORDS,
   PREPAID_REGISTERS,
+  LOAD_PROFILE_REGISTERS,
+  LOAD_PROFILE_CHANNELS,
+  MAX_DEMAND_REGISTERS,
+  FROZEN_DATA_REGISTERS,
+  FREEZE_KINDS,
+  EVENT_RECORD_REGISTERS,
+  EVENT_RECORD_TYPES,
   ALL_REGISTERS,
   TELEMETRY_REGISTERS,
   RELAY_COMMANDS,
   BROADCAST_ADDRESS,
   findRegisterById,
   findRegisterByName,
+  getSeriesDataId,
   getRegistersByCategory,
   isResponseCode,
   isErrorResponse,
+  hasFollowUpFrames,
   getRequestCode,
   getResponseCode,
   getErrorResponseCode,
   parseErrorCode,
+  getErrorCodeNames,
   formatDataId,
   toEngineeringUnits,
   fromEngineeringUnits,
@@ -132,6 +143,110 @@ describe('Data Registers & Constants', () => {
     });
   });
 
+  describe('LOAD_PROFILE_REGISTERS', () => {
+    it('should define block queries in the load profile category', () => {
+      expect(LOAD_PROFILE_REGISTERS.BLOCKS_FROM_TIME.id).toBe(0x06000001);
+      expect(LOAD_PROFILE_REGISTERS.LATEST_BLOCKS.id).toBe(0x06000002);
+      expect(getRegistersByCategory(REGISTER_CATEGORIES.LOAD_PROFILE)).toHaveLength(3);
+    });
+
+    it('should mark load profile registers as record payloads', () => {
+      expect(findRegisterById(0x06000002).format).toBe('record');
+    });
+
+    it('should lay out six record sections', () => {
+      expect(LOAD_PROFILE_CHANNELS).toHaveLength(6);
+      const sectionBytes = LOAD_PROFILE_CHANNELS.map((channels) =>
+        channels.reduce((sum, channel) => sum + channel.bytes, 0)
+      );
+      expect(sectionBytes).toEqual([17, 24, 8, 16, 16, 6]);
+    });
+  });
+
+  describe('MAX_DEMAND_REGISTERS', () => {
+    it('should define total and per-tariff demand in the max demand category', () => {
+      expect(MAX_DEMAND_REGISTERS.ACTIVE_IMPORT_MAX_DEMAND.id).toBe(0x01010000);
+      expect(MAX_DEMAND_REGISTERS.TARIFF_4_REACTIVE_IMPORT_MAX_DEMAND.id).toBe(0x01030400);
+      expect(getRegistersByCategory(REGISTER_CATEGORIES.MAX_DEMAND)).toHaveLength(20);
+    });
+
+    it('should describe demand value plus timestamp blocks', () => {
+      for (const register of Object.values(MAX_DEMAND_REGISTERS)) {
+        expect(register.format).toBe('demand');
+        expect(register.bytes).toBe(8);
+        expect(register.resolution).toBe(0.0001);
+      }
+    });
+  });
+
+  describe('STATUS_WORDS', () => {
+    it('should define status words 1-7 in METER_STATUS block order', () => {
+      expect(STATUS_WORDS.map((word) => word.word)).toEqual([1, 2, 3, 4, 5, 6, 7]);
+      expect(PARAMETER_REGISTERS.METER_STATUS.id).toBe(0x040005ff);
+      expect(PARAMETER_REGISTERS.METER_STATUS.bytes).toBe(STATUS_WORDS.length * 2);
+    });
+
+    it('should use unique flag names within 16-bit words', () => {
+      const names = STATUS_WORDS.flatMap((word) => Object.values(word.flags));
+      expect(new Set(names).size).toBe(names.length);
+      for (const word of STATUS_WORDS) {
+        expect(Object.keys(word.flags).every((bit) => Number(bit) < 16)).toBe(true);
+      }
+    });
+  });
+
+  describe('FROZEN_DATA_REGISTERS', () => {
+    it('should define freeze time and energy blocks in the frozen data category', () => {
+      expect(FROZEN_DATA_REGISTERS.DAILY_FREEZE_TIME.id).toBe(0x05060001);
+      expect(FROZEN_DATA_REGISTERS.DAILY_FREEZE_ACTIVE_IMPORT.id).toBe(0x05060101);
+      expect(getRegistersByCategory(REGISTER_CATEGORIES.FROZEN_DATA)).toHaveLength(9);
+    });
+
+    it('should mark frozen registers as record payloads', () => {
+      for (const register of Object.values(FROZEN_DATA_REGISTERS)) {
+        expect(register.format).toBe('record');
+      }
+    });
+
+    it('should pair every freeze kind with its energy blocks', () => {
+      expect(FREEZE_KINDS.DAILY.time).toBe(FROZEN_DATA_REGISTERS.DAILY_FREEZE_TIME);
+      expect(FREEZE_KINDS.SETTLEMENT.time).toBeNull();
+      expect(findRegisterById(0x0001ff01).name).toBe('Last Settlement Active Energy (Import)');
+      for (const kind of Object.values(FREEZE_KINDS)) {
+        expect(Object.keys(kind.values)).toEqual(['activeImport', 'activeExport']);
+      }
+    });
+  });
+
+  describe('EVENT_RECORD_REGISTERS', () => {
+    it('should define counts and records in the event records category', () => {
+      expect(EVENT_RECORD_REGISTERS.COVER_OPEN_COUNT.id).toBe(0x03300d00);
+      expect(EVENT_RECORD_REGISTERS.COVER_OPEN_RECORD.id).toBe(0x03300d01);
+      expect(getRegistersByCategory(REGISTER_CATEGORIES.EVENT_RECORDS)).toHaveLength(10);
+    });
+
+    it('should describe each event type with fields that fit its record', () => {
+      for (const type of Object.values(EVENT_RECORD_TYPES)) {
+        const length = type.fields.reduce((sum, field) => sum + field.bytes, 0);
+        expect(length).toBeLessThanOrEqual(type.record.bytes);
+        expect(type.count.id + 1).toBe(type.record.id);
+      }
+      expect(EVENT_RECORD_TYPES.COVER_OPEN.tamper).toBe(true);
+    });
+
+    it('should resolve the Nth record of a series', () => {
+      const { POWER_DOWN_RECORD } = EVENT_RECORD_REGISTERS;
+      expect(getSeriesDataId(POWER_DOWN_RECORD, 10)).toBe(0x0311000a);
+      expect(() => getSeriesDataId(POWER_DOWN_RECORD, 11)).toThrow('out of range');
+
+      const register = findRegisterById(0x0311000a);
+      expect(register.key).toBe('POWER_DOWN_RECORD');
+      expect(register.id).toBe(0x0311000a);
+      expect(register.format).toBe('record');
+      expect(findRegisterById(0x0311000b)).toBeNull();
+    });
+  });
+
   describe('ALL_REGISTERS', () => {
     it('should contain all individual registers', () => {
       expect(ALL_REGISTERS.TOTAL_ACTIVE_POSITIVE).toBeDefined();
@@ -281,6 +396,25 @@ describe('Data Registers & Constants', () => {
         expect(getRequestCode(0xd4)).toBe(0x14);
         expect(getRequestCode(0xdc)).toBe(0x1c);
       });
+
+      it('should strip follow-up flag', () => {
+        expect(getRequestCode(0xb1)).toBe(0x11);
+        expect(getRequestCode(0xb2)).toBe(0x12);
+      });
+    });
+
+    describe('hasFollowUpFrames', () => {
+      it('should detect more-data-follows responses', () => {
+        expect(hasFollowUpFrames(0xb1)).toBe(true);
+        expect(hasFollowUpFrames(0xb2)).toBe(true);
+      });
+
+      it('should return false for final, error and request codes', () => {
+        expect(hasFollowUpFrames(0x91)).toBe(false);
+        expect(hasFollowUpFrames(0x92)).toBe(false);
+        expect(hasFollowUpFrames(0xd1)).toBe(false);
+        expect(hasFollowUpFrames(0x12)).toBe(false);
+      });
     });
 
     describe('getResponseCode', () => {
@@ -300,6 +434,17 @@ describe('Data Registers & Constants', () => {
     });
   });
 
+  describe('getErrorCodeNames', () => {
+    it('should name single and combined error bits', () => {
+      expect(getErrorCodeNames(0x04)).toEqual(['PASSWORD_ERROR']);
+      expect(getErrorCodeNames(0x03)).toEqual(['OTHER_ERROR', 'NO_DATA']);
+    });
+
+    it('should handle unknown error', () => {
+      expect(getErrorCodeNames(0x80)).toEqual(['UNKNOWN_ERROR']);
+    });
+  });
+
   describe('parseErrorCode', () => {
     it('should parse single error', () => {
       expect(parseErrorCode(0x01)).toBe('Other error');
@@ -0,0 +1,415 @@
+/**
+ * Clock Sync Service Unit Tests
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { EventEmitter } from 'events';
+import {
+  ClockSyncService,
+  CLOCK_EVENTS,
+  SYNC_METHODS,
+  DLMS_CLOCK,
+  createClockSyncService,
+} from '../../../src/services/clock-sync-service.js';
+import { ALARM_TYPES, ALARM_SEVERITY } from '../../../src/services/status-manager.js';
+import { SERVER_EVENTS } from '../../../src/tcp/server.js';
+import { CONNECTION_EVENTS } from '../../../src/tcp/connection-manager.js';
+import { PARAMETER_REGISTERS, CONTROL_CODES } from '../../../src/protocol/registers.js';
+import { encodeMeterDate, encodeMeterTime } from '../../../src/protocol/frame-builder.js';
+import {
+  CONTROL_CODES as CONTROL_CODES_1997,
+  DLT645_VARIANTS,
+  PARAMETER_REGISTERS as PARAMETER_REGISTERS_1997,
+} from '../../../src/protocol/dlt645-1997/registers.js';
+import { encodeCosemDateTime } from '../../../src/protocol/dlms/data-types.js';
+import config from '../../../src/config/index.js';
+
+// Mock logger
+vi.mock('../../../src/utils/logger.js', () => ({
+  createChildLogger: () => ({
+    info: vi.fn(),
+    debug: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+  }),
+  default: {
+    info: vi.fn(),
+    debug: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+  },
+}));
+
+const METER_ID = '000000001234';
+
+/**
+ * Create mock TCP server answering DATE_TIME/TIME reads with the given meter time
+ * @param {Date} meterTime - Time the mock meter reports
+ */
+const createMockTCPServer = (meterTime) => {
+  const server = new EventEmitter();
+  server.connectionManager = Object.assign(new EventEmitter(), {
+    getConnectionByMeter: vi.fn(() => ({ id: 'conn-1', protocolType: 'dlt645' })),
+  });
+  server.getConnectedMeters = vi.fn(() => [METER_ID]);
+  server.sendCommandNoWait = vi.fn(() => Promise.resolve(true));
+  server.sendDlmsApdu = vi.fn(() => Promise.resolve(true));
+  server.sendCommand = vi.fn((meterId, frame, dataId) => {
+    if (frame[8] === CONTROL_CODES.WRITE_DATA || frame[8] === CONTROL_CODES_1997.WRITE_DATA) {
+      return Promise.resolve({ success: true });
+    }
+    if (
+      dataId === PARAMETER_REGISTERS.DATE_TIME.id ||
+      dataId === PARAMETER_REGISTERS_1997.DATE_TIME.id
+    ) {
+      return Promise.resolve({ success: true, data: encodeMeterDate(meterTime) });
+    }
+    return Promise.resolve({ success: true, data: encodeMeterTime(meterTime) });
+  });
+  return server;
+};
+
+const createMockStatusManager = () => ({
+  createAlarm: vi.fn(),
+  clearAlarm: vi.fn(),
+});
+
+const createMockPublisher = () => ({
+  publishTelemetry: vi.fn(() => Promise.resolve(true)),
+});
+
+describe('Clock Sync Service', () => {
+  let tcpServer;
+  let statusManager;
+  let publisher;
+
+  beforeEach(() => {
+    tcpServer = createMockTCPServer(new Date());
+    statusManager = createMockStatusManager();
+    publisher = createMockPublisher();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.clearAllMocks();
+  });
+
+  const createService = (options = {}) =>
+    new ClockSyncService({
+      tcpServer,
+      statusManager,
+      publisher,
+      driftThreshold: 60,
+      ...options,
+    });
+
+  describe('constants', () => {
+    it('should define clock events', () => {
+      expect(CLOCK_EVENTS.CLOCK_READ).toBe('clock:read');
+      expect(CLOCK_EVENTS.CLOCK_SYNCED).toBe('clock:synced');
+    });
+
+    it('should define sync methods and DLMS clock object', () => {
+      expect(SYNC_METHODS.BROADCAST).toBe('broadcast');
+      expect(SYNC_METHODS.ADDRESSED).toBe('addressed');
+      expect(DLMS_CLOCK).toEqual({ classId: 8, obisCode: '0-0:1.0.0.255', timeAttribute: 2 });
+    });
+  });
+
+  describe('constructor', () => {
+    it('should require tcpServer', () => {
+      expect(() => new ClockSyncService({})).toThrow('TCP server instance required');
+    });
+
+    it('should create via factory', () => {
+      expect(createClockSyncService({ tcpServer })).toBeInstanceOf(ClockSyncService);
+    });
+  });
+
+  describe('checkMeter (DLT645)', () => {
+    it('should publish drift and clear alarm when within threshold', async () => {
+      const service = createService();
+
+      const result = await service.checkMeter(METER_ID);
+
+      expect(result.success).toBe(true);
+      expect(Math.abs(result.drift)).toBeLessThanOrEqual(1);
+      expect(result.exceeded).toBe(false);
+      expect(publisher.publishTelemetry).toHaveBeenCalledWith(
+        METER_ID,
+        expect.objectContaining({
+          register: { key: 'CLOCK_DRIFT', name: 'Clock Drift' },
+          unit: 's',
+        })
+      );
+      expect(statusManager.clearAlarm).toHaveBeenCalledWith(METER_ID, ALARM_TYPES.CLOCK_DRIFT);
+      expect(tcpServer.sendCommandNoWait).not.toHaveBeenCalled();
+    });
+
+    it('should raise alarm and broadcast time when drift exceeds threshold', async () => {
+      tcpServer = createMockTCPServer(new Date(Date.now() + 5 * 60 * 1000));
+      const service = createService();
+      const syncedHandler = vi.fn();
+      service.on(CLOCK_EVENTS.CLOCK_SYNCED, syncedHandler);
+
+      const result = await service.checkMeter(METER_ID);
+
+      expect(result.drift).toBeGreaterThanOrEqual(299);
+      expect(result.exceeded).toBe(true);
+      expect(result.synced).toBe(true);
+      expect(statusManager.createAlarm).toHaveBeenCalledWith(
+        METER_ID,
+        ALARM_TYPES.CLOCK_DRIFT,
+        ALARM_SEVERITY.WARNING,
+        expect.objectContaining({ threshold: 60 })
+      );
+
+      const frame = tcpServer.sendCommandNoWait.mock.calls[0][1];
+      expect(frame[8]).toBe(CONTROL_CODES.BROADCAST_TIME);
+      expect(syncedHandler).toHaveBeenCalledWith(
+        expect.objectContaining({ meterId: METER_ID, method: 'broadcast' })
+      );
+    });
+
+    it('should write DATE_TIME and TIME for addressed sync', async () => {
+      tcpServer = createMockTCPServer(new Date(Date.now() - 10 * 60 * 1000));
+      const service = createService({ syncMethod: SYNC_METHODS.ADDRESSED });
+
+      await service.checkMeter(METER_ID);
+
+      const writes = tcpServer.sendCommand.mock.calls.filter(
+        ([, frame]) => frame[8] === CONTROL_CODES.WRITE_DATA
+      );
+      expect(writes.map(([, , dataId]) => dataId)).toEqual([
+        PARAMETER_REGISTERS.DATE_TIME.id,
+        PARAMETER_REGISTERS.TIME.id,
+      ]);
+    });
+
+    it('should read and write the 1997 clock registers on 1997 meters', async () => {
+      tcpServer = createMockTCPServer(new Date(Date.now() - 10 * 60 * 1000));
+      tcpServer.getDlt645Variant = vi.fn(() => DLT645_VARIANTS.V1997);
+      const service = createService({ syncMethod: SYNC_METHODS.ADDRESSED });
+
+      const result = await service.checkMeter(METER_ID);
+
+      expect(result.synced).toBe(true);
+      expect(
+        tcpServer.sendCommand.mock.calls.map(([, frame, dataId]) => [frame[8], dataId])
+      ).toEqual([
+        [CONTROL_CODES_1997.READ_DATA, PARAMETER_REGISTERS_1997.DATE_TIME.id],
+        [CONTROL_CODES_1997.READ_DATA, PARAMETER_REGISTERS_1997.TIME.id],
+        [CONTROL_CODES_1997.WRITE_DATA, PARAMETER_REGISTERS_1997.DATE_TIME.id],
+        [CONTROL_CODES_1997.WRITE_DATA, PARAMETER_REGISTERS_1997.TIME.id],
+      ]);
+    });
+
+    it('should not sync when autoSync is disabled', async () => {
+      tcpServer = createMockTCPServer(new Date(Date.now() + 5 * 60 * 1000));
+      const service = createService({ autoSync: false });
+
+      const result = await service.checkMeter(METER_ID);
+
+      expect(result.synced).toBe(false);
+      expect(statusManager.createAlarm).toHaveBeenCalled();
+      expect(tcpServer.sendCommandNoWait).not.toHaveBeenCalled();
+    });
+
+    it('should emit error and rethrow when clock read fails', async () => {
+      tcpServer.sendCommand.mockRejectedValueOnce(new Error('Command timeout after 10000ms'));
+      const service = createService();
+      const errorHandler = vi.fn();
+      service.on(CLOCK_EVENTS.CLOCK_ERROR, errorHandler);
+
+      await expect(service.checkMeter(METER_ID)).rejects.toThrow('Command timeout');
+      expect(errorHandler).toHaveBeenCalledWith(
+        expect.objectContaining({ meterId: METER_ID, operation: 'read' })
+      );
+      expect(service.getStats().failedChecks).toBe(1);
+    });
+  });
+
+  describe('DLMS meters', () => {
+    let originalDlms;
+
+    beforeEach(() => {
+      originalDlms = config.dlms;
+      config.dlms = { ...originalDlms, passiveOnly: false };
+      tcpServer.connectionManager.getConnectionByMeter.mockReturnValue({
+        id: 'conn-1',
+        protocolType: 'ivy_dlms',
+      });
+    });
+
+    afterEach(() => {
+      config.dlms = originalDlms;
+    });
+
+    /**
+     * Answer each sent APDU with the matching response via DLMS_RECEIVED
+     */
+    const respondWith = (responses) => {
+      tcpServer.sendDlmsApdu.mockImplementation((meterId, apdu) => {
+        const parsedApdu = responses[apdu[0]];
+        if (parsedApdu) {
+          setTimeout(
+            () =>
+              tcpServer.connectionManager.emit(CONNECTION_EVENTS.DLMS_RECEIVED, {
+                meterId,
+                parsedApdu,
+              }),
+            0
+          );
+        }
+        return Promise.resolve(true);
+      });
+    };
+
+    it('should skip clock check in passive mode', async () => {
+      config.dlms = { ...originalDlms, passiveOnly: true };
+      const service = createService();
+
+      const result = await service.checkMeter(METER_ID);
+
+      expect(result.skipped).toBe('dlms_passive');
+      expect(tcpServer.sendDlmsApdu).not.toHaveBeenCalled();
+    });
+
+    it('should read clock and SET class 8 time when drifted', async () => {
+      const meterTime = new Date(Date.now() - 3600 * 1000);
+      respondWith({
+        0x60: { type: 'aare', accepted: true },
+        0xc0: {
+          type: 'get-response',
+          accessResult: 'success',
+          data: { value: encodeCosemDateTime(meterTime) },
+        },
+        0xc1: { type: 'set-response', success: true, accessResult: 0 },
+      });
+      const service = createService();
+
+      const result = await service.checkMeter(METER_ID);
+
+      expect(result.drift).toBeLessThanOrEqual(-3599);
+      expect(result.synced).toBe(true);
+
+      const setReq = tcpServer.sendDlmsApdu.mock.calls
+        .map(([, apdu]) => apdu)
+        .find((apdu) => apdu[0] === 0xc1);
+      expect(setReq.readUInt16BE(3)).toBe(8);
+      expect([...setReq.subarray(5, 11)]).toEqual([0, 0, 1, 0, 0, 255]);
+      expect(setReq[11]).toBe(2);
+      expect(setReq[13]).toBe(0x09); // octet-string
+      expect(setReq[14]).toBe(12);
+    });
+
+    /** COSEM date-time of a time as a meter at a UTC offset (minutes) shows it */
+    const meterClockAt = (time, offset, clockStatus = 0x00) => {
+      const local = new Date(time.getTime() + offset * 60000);
+      const buffer = Buffer.alloc(12);
+      buffer.writeUInt16BE(local.getUTCFullYear(), 0);
+      buffer[2] = local.getUTCMonth() + 1;
+      buffer[3] = local.getUTCDate();
+      buffer[4] = 0xff;
+      buffer[5] = local.getUTCHours();
+      buffer[6] = local.getUTCMinutes();
+      buffer[7] = local.getUTCSeconds();
+      buffer[8] = 0xff;
+      buffer.writeInt16BE(-offset, 9);
+      buffer[11] = clockStatus;
+      return buffer;
+    };
+
+    it('should read the clock in UTC through its deviation', async () => {
+      // A meter at UTC+3 with the right time
+      respondWith({
+        0x60: { type: 'aare', accepted: true },
+        0xc0: {
+          type: 'get-response',
+          accessResult: 'success',
+          data: { value: meterClockAt(new Date(), 180) },
+        },
+      });
+      const service = createService();
+
+      const result = await service.checkMeter(METER_ID);
+
+      expect(Math.abs(result.drift)).toBeLessThanOrEqual(1);
+      expect(result.exceeded).toBe(false);
+      expect(tcpServer.sendDlmsApdu.mock.calls.some(([, apdu]) => apdu[0] === 0xc1)).toBe(false);
+    });
+
+    it('should not compute drift or sync when the clock status is invalid', async () => {
+      respondWith({
+        0x60: { type: 'aare', accepted: true },
+        0xc0: {
+          type: 'get-response',
+          accessResult: 'success',
+          data: { value: meterClockAt(new Date(Date.now() - 3600 * 1000), 0, 0x01) },
+        },
+      });
+      const service = createService();
+
+      const result = await service.checkMeter(METER_ID);
+
+      expect(result).toMatchObject({ skipped: 'clock_invalid', clockStatus: 0x01 });
+      expect(result.drift).toBeUndefined();
+      expect(tcpServer.sendDlmsApdu.mock.calls.some(([, apdu]) => apdu[0] === 0xc1)).toBe(false);
+    });
+
+    it('should fail sync when SET is rejected', async () => {
+      respondWith({
+        0x60: { type: 'aare', accepted: true },
+        0xc1: { type: 'set-response', success: false, accessResultName: 'read-write-denied' },
+      });
+      const service = createService();
+
+      await expect(service.syncMeter(METER_ID)).rejects.toThrow('read-write-denied');
+      expect(service.getStats().failedSyncs).toBe(1);
+    });
+  });
+
+  describe('scheduling', () => {
+    it('should check clock after meter connects', async () => {
+      vi.useFakeTimers();
+      const service = createService({ connectDelay: 1000, interval: 3600000 });
+      const checkSpy = vi.spyOn(service, 'checkMeter').mockResolvedValue({});
+
+      service.start();
+      tcpServer.emit(SERVER_EVENTS.METER_CONNECTED, { meterId: METER_ID });
+
+      expect(checkSpy).not.toHaveBeenCalled();
+      await vi.advanceTimersByTimeAsync(1000);
+      expect(checkSpy).toHaveBeenCalledWith(METER_ID);
+
+      service.stop();
+    });
+
+    it('should check all meters on interval', async () => {
+      vi.useFakeTimers();
+      const service = createService({ checkOnConnect: false, interval: 60000 });
+      const checkSpy = vi.spyOn(service, 'checkMeter').mockResolvedValue({});
+
+      service.start();
+      await vi.advanceTimersByTimeAsync(60000);
+
+      expect(checkSpy).toHaveBeenCalledTimes(1);
+      service.stop();
+    });
+
+    it('should not start when disabled', () => {
+      const service = createService({ enabled: false });
+      service.start();
+      expect(service.isRunning).toBe(false);
+    });
+
+    it('should remove connect listener on stop', () => {
+      const service = createService();
+      service.start();
+      expect(tcpServer.listenerCount(SERVER_EVENTS.METER_CONNECTED)).toBe(1);
+
+      service.stop();
+      expect(tcpServer.listenerCount(SERVER_EVENTS.METER_CONNECTED)).toBe(0);
+    });
+  });
+});
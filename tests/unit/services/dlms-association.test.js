@@ -0,0 +1,241 @@
+/**
+ * DLMS Association Unit Tests
+ *
+ * Runs the HLS-GMAC association against a simulated meter that speaks the
+ * standard TCP wrapper and uses the Green Book test keys.
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import net from 'net';
+import { createTCPServer, resetInstance } from '../../../src/tcp/server.js';
+import { openDlmsAssociation, waitForDlmsApdu } from '../../../src/services/dlms-association.js';
+import { createSecurityContext } from '../../../src/protocol/dlms/security.js';
+import { buildGetRequest } from '../../../src/protocol/dlms/client.js';
+import { buildWpdu, createWpduStreamParser } from '../../../src/protocol/dlms/wpdu.js';
+import config from '../../../src/config/index.js';
+
+vi.mock('../../../src/utils/logger.js', () => ({
+  createChildLogger: () => ({
+    info: vi.fn(),
+    debug: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+  }),
+}));
+
+const KEYS = {
+  blockCipherKey: '000102030405060708090A0B0C0D0E0F',
+  authenticationKey: 'D0D1D2D3D4D5D6D7D8D9DADBDCDDDEDF',
+};
+const GATEWAY_TITLE = '4D4D4D0000000001';
+const METER_TITLE = '4D4D4D0000BC614E';
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const getAvailablePort = () => {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+    probe.on('error', reject);
+  });
+};
+
+/**
+ * Read the AARQ fields the meter needs: calling-AP-title, CtoS and user-information
+ */
+const parseAarq = (aarq) => {
+  const fields = {};
+  let pos = 2;
+  while (pos < aarq.length) {
+    fields[aarq[pos]] = aarq.subarray(pos + 2, pos + 2 + aarq[pos + 1]);
+    pos += 2 + aarq[pos + 1];
+  }
+  return {
+    systemTitle: fields[0xa6].subarray(2),
+    challenge: fields[0xac].subarray(2),
+    userInformation: fields[0xbe].subarray(2),
+  };
+};
+
+const tlv = (tag, ...values) => {
+  const value = Buffer.concat(values.map((v) => (Buffer.isBuffer(v) ? v : Buffer.from(v))));
+  return Buffer.concat([Buffer.from([tag, value.length]), value]);
+};
+
+/**
+ * Simulated HLS-GMAC meter on a WPDU connection
+ *
+ * @param {number} port - Gateway port
+ * @param {Object} [options]
+ * @param {boolean} [options.forgeReply] - Answer pass 3 with f() of a wrong challenge
+ */
+const connectMeter = async (port, options = {}) => {
+  const security = createSecurityContext({
+    ...KEYS,
+    systemTitle: METER_TITLE,
+    invocationCounter: 1000,
+    challenge: '5354524F4E47434841',
+  });
+  const socket = new net.Socket();
+  let ctos = null;
+  const send = (apdu) => socket.write(buildWpdu(apdu, { source: 0x01, destination: 0x10 }));
+
+  const handleApdu = (apdu) => {
+    if (apdu[0] === 0x60) {
+      const aarq = parseAarq(apdu);
+      security.reset();
+      security.setPeerSystemTitle(aarq.systemTitle);
+      try {
+        security.decrypt(aarq.userInformation); // glo-initiate-request
+      } catch {
+        // rejected-permanent, acse-service-user: authentication-failure
+        send(tlv(0x61, tlv(0xa2, [0x02, 0x01, 0x01]), tlv(0xa3, tlv(0xa1, [0x02, 0x01, 0x0d]))));
+        return;
+      }
+      ctos = aarq.challenge;
+      const stoc = security.createChallenge();
+      const initiateResponse = security.encrypt(
+        Buffer.from('080006' + '5f1f040000101d' + '04000007', 'hex')
+      );
+      send(
+        tlv(
+          0x61,
+          tlv(0xa1, [0x06, 0x07, 0x60, 0x85, 0x74, 0x05, 0x08, 0x01, 0x03]),
+          tlv(0xa2, [0x02, 0x01, 0x00]),
+          tlv(0xa3, tlv(0xa1, [0x02, 0x01, 0x0e])), // authentication-required
+          tlv(0xa4, [0x04, 0x08], security.systemTitle),
+          tlv(0x88, [0x07, 0x80]),
+          tlv(0x89, [0x60, 0x85, 0x74, 0x05, 0x08, 0x02, 0x05]),
+          tlv(0xaa, [0x80, stoc.length], stoc),
+          tlv(0xbe, [0x04, initiateResponse.length], initiateResponse)
+        )
+      );
+      return;
+    }
+
+    const request = security.decrypt(apdu);
+    if (request[0] === 0xc3) {
+      // reply_to_HLS_authentication: octet-string f(StoC) after the 13-byte header
+      const verified = security.verifyChallengeResponse(request.subarray(15));
+      const answer = security.respondToChallenge(options.forgeReply ? Buffer.from('wrong') : ctos);
+      const response = verified
+        ? Buffer.concat([
+            Buffer.from([0xc7, 0x01, request[2], 0x00, 0x01, 0x00, 0x09, 0x11]),
+            answer,
+          ])
+        : Buffer.from([0xc7, 0x01, request[2], 0x03]); // read-write-denied
+      send(security.encrypt(response));
+    } else if (request[0] === 0xc0) {
+      // GET.response: long-unsigned 42
+      send(security.encrypt(Buffer.from([0xc4, 0x01, request[2], 0x00, 0x12, 0x00, 0x2a])));
+    }
+  };
+
+  const parser = createWpduStreamParser((_header, apdu) => handleApdu(apdu));
+  await new Promise((resolve) => socket.connect(port, '127.0.0.1', resolve));
+  socket.on('data', (data) => parser.push(data));
+  await wait(50);
+  // An unsolicited RLRE identifies the connection
+  send(Buffer.from([0x63, 0x00]));
+  await wait(100);
+  return socket;
+};
+
+describe('DLMS Association', () => {
+  const original = { ...config.dlms };
+  let server;
+  let port;
+  let meter;
+
+  beforeEach(async () => {
+    Object.assign(config.dlms, {
+      authentication: 'hls-gmac',
+      systemTitle: GATEWAY_TITLE,
+      ...KEYS,
+      meterKeys: {},
+      meterCredentials: {},
+      password: '',
+    });
+    port = await getAvailablePort();
+    // The meter's wPorts 0x0001/0x0010 would pass for an IVY header
+    server = createTCPServer({ port, connectionManagerOptions: { transport: 'wpdu' } });
+    await server.start();
+  });
+
+  afterEach(async () => {
+    meter?.destroy();
+    meter = null;
+    await server.stop();
+    await resetInstance();
+    Object.assign(config.dlms, original);
+  });
+
+  const meterIdOf = () => server.getConnectedMeters()[0];
+
+  it('should authenticate with HLS-GMAC and exchange ciphered APDUs', async () => {
+    meter = await connectMeter(port);
+    const meterId = meterIdOf();
+
+    const aare = await openDlmsAssociation(server, meterId, { timeout: 1000 });
+
+    expect(aare.mechanism).toBe(5);
+    expect(aare.respondingApTitle.toString('hex')).toBe(METER_TITLE.toLowerCase());
+    expect(aare.negotiatedDlmsVersion).toBe(6);
+    expect(aare.serverMaxReceivePduSize).toBe(0x0400);
+
+    const response = waitForDlmsApdu(server.connectionManager, meterId, 'get-response', 1000);
+    await server.sendDlmsApdu(meterId, buildGetRequest(3, '1-0:1.8.0.255', 2, 7));
+    const getResponse = await response;
+
+    expect(getResponse.invokeId).toBe(7);
+    expect(getResponse.data.value).toBe(42);
+    const security = server.connectionManager.getDlmsSecurityContext(meterId);
+    // initiate response, f(CtoS), ACTION.response, GET.response
+    expect(security.peerInvocationCounter).toBe(1004);
+  });
+
+  it('should keep the invocation counter increasing across associations', async () => {
+    meter = await connectMeter(port);
+    const meterId = meterIdOf();
+
+    await openDlmsAssociation(server, meterId, { timeout: 1000 });
+    const security = server.connectionManager.getDlmsSecurityContext(meterId);
+    const counter = security.invocationCounter;
+    await openDlmsAssociation(server, meterId, { timeout: 1000 });
+
+    expect(server.connectionManager.getDlmsSecurityContext(meterId)).toBe(security);
+    expect(security.invocationCounter).toBeGreaterThan(counter);
+  });
+
+  it('should report a rejected association with wrong keys', async () => {
+    meter = await connectMeter(port);
+    config.dlms.authenticationKey = 'FF'.repeat(16);
+
+    await expect(openDlmsAssociation(server, meterIdOf(), { timeout: 1000 })).rejects.toThrow(
+      'DLMS association failed: rejected-permanent: authentication-failure'
+    );
+  });
+
+  it('should reject a meter that does not prove the keys', async () => {
+    meter = await connectMeter(port, { forgeReply: true });
+    const meterId = meterIdOf();
+
+    await expect(openDlmsAssociation(server, meterId, { timeout: 1000 })).rejects.toThrow(
+      'DLMS association failed: meter failed HLS authentication'
+    );
+    expect(server.connectionManager.getDlmsSecurityContext(meterId).isActive()).toBe(false);
+  });
+
+  it('should time out without an AARE', async () => {
+    const sendDlmsApdu = vi.fn().mockResolvedValue(true);
+    config.dlms.authentication = '';
+
+    await expect(
+      openDlmsAssociation({ sendDlmsApdu, connectionManager: null }, 'meter1', { timeout: 20 })
+    ).rejects.toThrow('DLMS association failed: timeout');
+    expect(sendDlmsApdu.mock.calls[0][1][0]).toBe(0x60);
+  });
+});
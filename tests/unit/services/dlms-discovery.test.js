@@ -0,0 +1,168 @@
+/**
+ * DLMS Object Discovery Unit Tests
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { CapabilityStore, readObjectList } from '../../../src/services/dlms-discovery.js';
+import {
+  DLMS_DATA_TYPES,
+  encodeDlmsValue,
+  parseDlmsValue,
+} from '../../../src/protocol/dlms/data-types.js';
+
+vi.mock('../../../src/utils/logger.js', () => ({
+  createChildLogger: () => ({
+    info: vi.fn(),
+    debug: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+  }),
+}));
+
+const { ARRAY, STRUCTURE, UINT16, UINT8, OCTET_STRING } = DLMS_DATA_TYPES;
+
+const object = (classId, obisCode) => ({
+  classId,
+  version: 0,
+  obisCode,
+  attributes: [{ id: 2, access: 'read-only' }],
+  methods: [],
+});
+
+describe('DLMS Object Discovery', () => {
+  describe('CapabilityStore', () => {
+    let dir;
+
+    beforeEach(async () => {
+      dir = await mkdtemp(join(tmpdir(), 'capabilities-'));
+    });
+
+    afterEach(async () => {
+      await rm(dir, { recursive: true, force: true });
+    });
+
+    it('should merge object lists and report new and unknown codes', () => {
+      const store = new CapabilityStore({ file: '' });
+
+      const first = store.merge('meter1', [
+        object(3, '1-0:32.7.0.255'),
+        object(1, '0-0:96.99.9.255'),
+      ]);
+      expect(first.added).toEqual(['1-0:32.7.0.255', '0-0:96.99.9.255']);
+      expect(first.unknown).toEqual(['0-0:96.99.9.255']);
+      expect(first.profile.objects['1-0:32.7.0.255'].name).toBe('VOLTAGE_A');
+      expect(first.profile.objects['0-0:96.99.9.255'].name).toBeNull();
+
+      const second = store.merge('meter1', [object(3, '1-0:52.7.0.255')]);
+      expect(second.added).toEqual(['1-0:52.7.0.255']);
+      expect(Object.keys(store.get('meter1').objects)).toHaveLength(3);
+      expect(store.get('meter2')).toBeNull();
+    });
+
+    it('should keep the first sighting of an object', () => {
+      vi.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z') });
+      try {
+        const store = new CapabilityStore({ file: '' });
+        store.merge('meter1', [object(3, '1-0:32.7.0.255')]);
+        vi.setSystemTime(new Date('2026-02-01T00:00:00Z'));
+        const { added, profile } = store.merge('meter1', [object(4, '1-0:32.7.0.255')]);
+
+        expect(added).toEqual([]);
+        expect(profile.objects['1-0:32.7.0.255']).toMatchObject({
+          classId: 4,
+          firstSeen: '2026-01-01T00:00:00.000Z',
+          lastSeen: '2026-02-01T00:00:00.000Z',
+        });
+      } finally {
+        vi.useRealTimers();
+      }
+    });
+
+    it('should save and load the profile file', async () => {
+      const file = join(dir, 'capabilities.json');
+      const store = new CapabilityStore({ file });
+      store.merge('meter1', [object(3, '1-0:32.7.0.255')]);
+      await store.saving;
+
+      const loaded = new CapabilityStore({ file });
+      await loaded.load();
+      expect(loaded.get('meter1')).toEqual(store.get('meter1'));
+    });
+  });
+
+  describe('readObjectList', () => {
+    let tcpServer;
+    let response;
+    const waitForResponse = vi.fn(async () => response);
+
+    beforeEach(() => {
+      tcpServer = { sendDlmsApdu: vi.fn().mockResolvedValue(true) };
+    });
+
+    it('should GET the object_list of the current association', async () => {
+      response = {
+        type: 'get-response',
+        accessResult: 'success',
+        data: parseDlmsValue(
+          encodeDlmsValue({
+            type: ARRAY,
+            value: [
+              {
+                type: STRUCTURE,
+                value: [
+                  { type: UINT16, value: 8 },
+                  { type: UINT8, value: 0 },
+                  { type: OCTET_STRING, value: Buffer.from([0, 0, 1, 0, 0, 255]) },
+                  {
+                    type: STRUCTURE,
+                    value: [
+                      { type: ARRAY, value: [] },
+                      { type: ARRAY, value: [] },
+                    ],
+                  },
+                ],
+              },
+            ],
+          })
+        ),
+      };
+
+      const objects = await readObjectList(tcpServer, 'meter1', { waitForResponse });
+
+      expect(objects).toEqual([
+        { classId: 8, version: 0, obisCode: '0-0:1.0.0.255', attributes: [], methods: [] },
+      ]);
+      const request = tcpServer.sendDlmsApdu.mock.calls[0][1];
+      expect(request.readUInt16BE(3)).toBe(15);
+      expect(request.subarray(5, 11)).toEqual(Buffer.from([0, 0, 40, 0, 0, 255]));
+      expect(request[11]).toBe(2);
+    });
+
+    it('should throw when the meter refuses the list', async () => {
+      response = {
+        type: 'get-response',
+        accessResult: 'error',
+        data: { errorCode: 3, errorName: 'read-write-denied' },
+      };
+
+      await expect(readObjectList(tcpServer, 'meter1', { waitForResponse })).rejects.toThrow(
+        'DLMS GET object_list failed: read-write-denied'
+      );
+    });
+
+    it('should send the GET through options.get', async () => {
+      const get = vi.fn(async () => ({
+        type: 'get-response',
+        accessResult: 'success',
+        data: parseDlmsValue(encodeDlmsValue({ type: ARRAY, value: [] })),
+      }));
+
+      expect(await readObjectList(tcpServer, 'meter1', { get })).toEqual([]);
+      expect(get.mock.calls[0][0].subarray(5, 12)).toEqual(Buffer.from([0, 0, 40, 0, 0, 255, 2]));
+      expect(tcpServer.sendDlmsApdu).not.toHaveBeenCalled();
+    });
+  });
+});
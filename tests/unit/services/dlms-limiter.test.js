@@ -0,0 +1,167 @@
+/**
+ * DLMS Limiter Service Unit Tests
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { readLimiter, readLimiterState } from '../../../src/services/dlms-limiter.js';
+import {
+  DLMS_DATA_TYPES,
+  encodeDlmsValue,
+  parseDlmsValue,
+} from '../../../src/protocol/dlms/data-types.js';
+
+vi.mock('../../../src/utils/logger.js', () => ({
+  createChildLogger: () => ({
+    info: vi.fn(),
+    debug: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+  }),
+}));
+
+const { STRUCTURE, UINT16, UINT32, INT8, OCTET_STRING, BOOLEAN, ENUM } = DLMS_DATA_TYPES;
+
+describe('DLMS Limiter Service', () => {
+  let tcpServer;
+  let responses;
+  const waitForResponse = vi.fn(async () => responses.shift());
+
+  const success = (typed) => ({
+    type: 'get-response',
+    accessResult: 'success',
+    data: parseDlmsValue(encodeDlmsValue(typed)),
+  });
+  const denied = {
+    type: 'get-response',
+    accessResult: 'error',
+    data: { errorCode: 3, errorName: 'read-write-denied' },
+  };
+
+  const monitoredValue = success({
+    type: STRUCTURE,
+    value: [
+      { type: UINT16, value: 3 },
+      { type: OCTET_STRING, value: Buffer.from([1, 0, 1, 7, 0, 255]) },
+      { type: INT8, value: 2 },
+    ],
+  });
+
+  beforeEach(() => {
+    tcpServer = { sendDlmsApdu: vi.fn().mockResolvedValue(true) };
+  });
+
+  it('should read the limiter and the value it monitors', async () => {
+    responses = [
+      success({
+        type: STRUCTURE,
+        value: [
+          { type: UINT16, value: 3 },
+          { type: OCTET_STRING, value: Buffer.from([1, 0, 1, 7, 0, 255]) },
+          { type: INT8, value: 2 },
+        ],
+      }),
+      success({ type: UINT32, value: 5000 }),
+      success({ type: UINT32, value: 5000 }),
+      success({ type: UINT32, value: 2000 }),
+      success({ type: UINT32, value: 60 }),
+      success({ type: UINT32, value: 300 }),
+      denied,
+      success({ type: BOOLEAN, value: false }),
+      success({ type: UINT32, value: 6200 }),
+    ];
+
+    const limiter = await readLimiter(tcpServer, 'meter1', undefined, { waitForResponse });
+
+    expect(limiter).toEqual({
+      obisCode: '0-0:17.0.0.255',
+      monitoredValue: { classId: 3, obisCode: '1-0:1.7.0.255', attributeIndex: 2 },
+      thresholdActive: 5000,
+      thresholdNormal: 5000,
+      thresholdEmergency: 2000,
+      minOverThresholdDuration: 60,
+      minUnderThresholdDuration: 300,
+      emergencyProfile: null,
+      emergencyProfileActive: false,
+      thresholdType: UINT32,
+      currentValue: 6200,
+    });
+    const requests = tcpServer.sendDlmsApdu.mock.calls.map(([, request]) => request);
+    expect(requests[0].readUInt16BE(3)).toBe(71);
+    expect(requests[0].subarray(5, 12)).toEqual(Buffer.from([0, 0, 17, 0, 0, 255, 2]));
+    expect(requests[8].readUInt16BE(3)).toBe(3);
+    expect(requests[8].subarray(5, 12)).toEqual(Buffer.from([1, 0, 1, 7, 0, 255, 2]));
+  });
+
+  it('should send each GET through options.get with its own invoke ID', async () => {
+    responses = [monitoredValue, ...Array(7).fill(denied), success({ type: UINT32, value: 0 })];
+    const get = vi.fn(async () => responses.shift());
+
+    const limiter = await readLimiter(tcpServer, 'meter1', undefined, { get });
+
+    expect(limiter.currentValue).toBe(0);
+    expect(tcpServer.sendDlmsApdu).not.toHaveBeenCalled();
+    expect(get.mock.calls.map(([request]) => request[2])).toEqual([1, 2, 3, 4, 5, 6, 7, 8, 9]);
+  });
+
+  it('should throw when monitored_value cannot be read', async () => {
+    responses = [denied];
+
+    await expect(readLimiter(tcpServer, 'meter1', undefined, { waitForResponse })).rejects.toThrow(
+      'DLMS GET monitored_value failed: read-write-denied'
+    );
+  });
+
+  describe('readLimiterState', () => {
+    it('should read threshold_active, the monitored value and control_state', async () => {
+      responses = [
+        monitoredValue,
+        success({ type: UINT32, value: 5000 }),
+        success({ type: UINT32, value: 6200 }),
+        success({ type: ENUM, value: 1 }),
+      ];
+
+      const state = await readLimiterState(tcpServer, 'meter1', undefined, { waitForResponse });
+
+      expect(state).toEqual({
+        obisCode: '0-0:17.0.0.255',
+        monitoredValue: { classId: 3, obisCode: '1-0:1.7.0.255', attributeIndex: 2 },
+        thresholdActive: 5000,
+        currentValue: 6200,
+        relayState: {
+          outputState: null,
+          controlState: 1,
+          controlStateName: 'connected',
+          controlMode: null,
+        },
+      });
+      const requests = tcpServer.sendDlmsApdu.mock.calls.map(([, request]) => request);
+      expect(requests.map((request) => request.readUInt16BE(3))).toEqual([71, 71, 3, 70]);
+    });
+
+    it('should not read monitored_value again when given', async () => {
+      responses = [denied, denied, success({ type: ENUM, value: 2 })];
+      const monitored = { classId: 3, obisCode: '1-0:1.7.0.255', attributeIndex: 2 };
+
+      const state = await readLimiterState(tcpServer, 'meter1', undefined, {
+        waitForResponse,
+        monitoredValue: monitored,
+      });
+
+      expect(state.currentValue).toBeNull();
+      expect(state.relayState.controlStateName).toBe('ready_for_reconnection');
+      expect(tcpServer.sendDlmsApdu).toHaveBeenCalledTimes(3);
+    });
+
+    it('should tell a meter without a limiter from one that does not answer', async () => {
+      responses = [denied];
+      await expect(
+        readLimiterState(tcpServer, 'meter1', undefined, { waitForResponse })
+      ).resolves.toBeNull();
+
+      responses = [null];
+      await expect(
+        readLimiterState(tcpServer, 'meter1', undefined, { waitForResponse })
+      ).rejects.toThrow('DLMS GET monitored_value failed: timeout');
+    });
+  });
+});
@@ -0,0 +1,186 @@
+/**
+ * DLMS Profile Reading Unit Tests
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { readDlmsProfile } from '../../../src/services/dlms-profile.js';
+import { ScalerUnitCache } from '../../../src/services/dlms-scaler-units.js';
+import {
+  DLMS_DATA_TYPES,
+  encodeDlmsValue,
+  encodeCosemDateTime,
+  parseDlmsValue,
+} from '../../../src/protocol/dlms/data-types.js';
+
+vi.mock('../../../src/utils/logger.js', () => ({
+  createChildLogger: () => ({
+    info: vi.fn(),
+    debug: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+  }),
+}));
+
+const { ARRAY, STRUCTURE, UINT16, UINT32, INT8, OCTET_STRING } = DLMS_DATA_TYPES;
+
+const at = (minutes) => new Date(2025, 0, 1, 0, minutes);
+
+const success = (typed) => ({
+  type: 'get-response',
+  accessResult: 'success',
+  data: parseDlmsValue(encodeDlmsValue(typed)),
+});
+
+const captureObject = (classId, obis) => ({
+  type: STRUCTURE,
+  value: [
+    { type: UINT16, value: classId },
+    { type: OCTET_STRING, value: Buffer.from(obis) },
+    { type: INT8, value: 2 },
+    { type: UINT16, value: 0 },
+  ],
+});
+
+const CAPTURE_OBJECTS = success({
+  type: ARRAY,
+  value: [captureObject(8, [0, 0, 1, 0, 0, 255]), captureObject(3, [1, 0, 1, 8, 0, 255])],
+});
+
+const buffer = (...times) =>
+  success({
+    type: ARRAY,
+    value: times.map((time, i) => ({
+      type: STRUCTURE,
+      value: [
+        { type: OCTET_STRING, value: encodeCosemDateTime(time) },
+        { type: UINT32, value: 1000 + i },
+      ],
+    })),
+  });
+
+describe('DLMS Profile', () => {
+  let tcpServer;
+  let answers;
+
+  // Answer each GET.request by its attribute index
+  const waitForResponse = vi.fn(async () => {
+    const request = tcpServer.sendDlmsApdu.mock.lastCall[1];
+    return answers[request[11]] ?? null;
+  });
+
+  const sent = () => tcpServer.sendDlmsApdu.mock.calls.map(([, apdu]) => apdu);
+
+  beforeEach(() => {
+    tcpServer = { sendDlmsApdu: vi.fn().mockResolvedValue(true) };
+    answers = {
+      2: buffer(at(0), at(15)),
+      3: CAPTURE_OBJECTS,
+      4: success({ type: UINT32, value: 900 }),
+      7: success({ type: UINT32, value: 96 }),
+    };
+  });
+
+  it('should read the newest entries with an entry_descriptor', async () => {
+    const result = await readDlmsProfile(tcpServer, 'meter1', { entries: 2, waitForResponse });
+
+    expect(result.obisCode).toBe('1-0:99.1.0.255');
+    expect(result.capturePeriod).toBe(900);
+    expect(result.columns).toHaveLength(2);
+    expect(result.rows).toEqual([
+      { timestamp: at(0), values: { TOTAL_ACTIVE_IMPORT: 1000 } },
+      { timestamp: at(15), values: { TOTAL_ACTIVE_IMPORT: 1001 } },
+    ]);
+
+    const requests = sent();
+    expect(requests.map((apdu) => apdu[11])).toEqual([3, 4, 7, 2]);
+    const selection = requests[3].subarray(12);
+    expect(selection[0]).toBe(0x01);
+    expect(selection[1]).toBe(0x02); // entry_descriptor
+    expect(parseDlmsValue(selection, 2).value.map((f) => f.value)).toEqual([95, 96, 1, 0]);
+  });
+
+  it('should read a time window with a range_descriptor', async () => {
+    answers[2] = buffer(at(0), at(15), at(30));
+
+    const result = await readDlmsProfile(tcpServer, 'meter1', {
+      obisCode: '1-0:99.2.0.255',
+      from: at(15),
+      to: at(30),
+      waitForResponse,
+    });
+
+    // The row before the window is dropped
+    expect(result.rows.map((r) => r.timestamp)).toEqual([at(15), at(30)]);
+    const request = sent()[2];
+    expect(request.subarray(5, 11)).toEqual(Buffer.from([1, 0, 99, 2, 0, 255]));
+    expect(request[13]).toBe(0x01); // range_descriptor
+    expect(sent().some((apdu) => apdu[11] === 7)).toBe(false);
+  });
+
+  it('should not read the buffer of an empty profile', async () => {
+    answers[7] = success({ type: UINT32, value: 0 });
+
+    const result = await readDlmsProfile(tcpServer, 'meter1', { entries: 4, waitForResponse });
+
+    expect(result.rows).toEqual([]);
+    expect(tcpServer.sendDlmsApdu).toHaveBeenCalledTimes(3);
+  });
+
+  it('should scale columns by the scaler_unit read from the meter', async () => {
+    const scalerUnit = success({
+      type: STRUCTURE,
+      value: [
+        { type: INT8, value: -1 },
+        { type: DLMS_DATA_TYPES.ENUM, value: 30 },
+      ],
+    });
+    // The capture_objects and scaler_unit GETs both ask for attribute 3
+    waitForResponse.mockImplementationOnce(async () => answers[3]);
+    waitForResponse.mockImplementationOnce(async () => answers[4]);
+    waitForResponse.mockImplementationOnce(async () => scalerUnit);
+    const scalerUnits = new ScalerUnitCache({ file: '' });
+
+    const result = await readDlmsProfile(tcpServer, 'meter1', {
+      fromEntry: 1,
+      scalerUnits,
+      waitForResponse,
+    });
+
+    expect(scalerUnits.get('meter1', '1-0:1.8.0.255')).toEqual({ scaler: -1, unit: 30 });
+    expect(sent()[2].readUInt16BE(3)).toBe(3);
+    expect(result.rows.map((r) => r.values.TOTAL_ACTIVE_IMPORT)).toEqual([100, 100.1]);
+  });
+
+  it('should throw when the meter refuses an attribute', async () => {
+    answers[2] = {
+      type: 'get-response',
+      accessResult: 'error',
+      data: { errorCode: 3, errorName: 'read-write-denied' },
+    };
+
+    await expect(
+      readDlmsProfile(tcpServer, 'meter1', { fromEntry: 1, waitForResponse })
+    ).rejects.toThrow('DLMS GET buffer failed: read-write-denied');
+  });
+
+  it('should throw on a timeout', async () => {
+    delete answers[3];
+
+    await expect(readDlmsProfile(tcpServer, 'meter1', { waitForResponse })).rejects.toThrow(
+      'DLMS GET capture_objects failed: timeout'
+    );
+  });
+
+  it('should send every GET, scaler_units included, through options.get', async () => {
+    const get = vi.fn(async (request) =>
+      request.readUInt16BE(3) === 3 ? null : (answers[request[11]] ?? null)
+    );
+    const scalerUnits = new ScalerUnitCache({ file: '' });
+
+    const result = await readDlmsProfile(tcpServer, 'meter1', { entries: 2, scalerUnits, get });
+
+    expect(result.rows).toHaveLength(2);
+    expect(get.mock.calls.map(([request]) => request.readUInt16BE(3))).toEqual([7, 7, 3, 7, 7]);
+    expect(tcpServer.sendDlmsApdu).not.toHaveBeenCalled();
+  });
+});
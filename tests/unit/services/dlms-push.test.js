@@ -0,0 +1,163 @@
+/**
+ * DLMS Push Setup Service Unit Tests
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { PushSetupStore, readPushSetup } from '../../../src/services/dlms-push.js';
+import {
+  DLMS_DATA_TYPES,
+  encodeDlmsValue,
+  parseDlmsValue,
+} from '../../../src/protocol/dlms/data-types.js';
+
+vi.mock('../../../src/utils/logger.js', () => ({
+  createChildLogger: () => ({
+    info: vi.fn(),
+    debug: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+  }),
+}));
+
+const { ARRAY, STRUCTURE, UINT16, UINT32, INT8, OCTET_STRING } = DLMS_DATA_TYPES;
+
+const pushSetupName = (obisCode) => ({
+  classId: 40,
+  obisCode,
+  attributeIndex: 1,
+  dataIndex: 0,
+});
+
+const ENERGY = { classId: 3, obisCode: '1-0:1.8.0.255', attributeIndex: 2, dataIndex: 0 };
+const VOLTAGE = { classId: 3, obisCode: '1-0:32.7.0.255', attributeIndex: 2, dataIndex: 0 };
+
+/** Typed DataNotification fields */
+const fieldsOf = (...values) =>
+  values.map((value) =>
+    Buffer.isBuffer(value)
+      ? { type: OCTET_STRING, typeName: 'OCTET_STRING', value }
+      : { type: UINT32, typeName: 'UINT32', value }
+  );
+
+describe('DLMS Push Setups', () => {
+  describe('PushSetupStore', () => {
+    let dir;
+
+    beforeEach(async () => {
+      dir = await mkdtemp(join(tmpdir(), 'push-setups-'));
+    });
+
+    afterEach(async () => {
+      await rm(dir, { recursive: true, force: true });
+    });
+
+    it('should match a push by the logical name it carries', () => {
+      const store = new PushSetupStore({ file: '' });
+      const daily = [pushSetupName('0-0:25.9.0.255'), ENERGY];
+      const alarm = [pushSetupName('0-0:25.9.1.255'), VOLTAGE];
+      store.update('meter1', '0-0:25.9.0.255', { objectList: daily });
+      store.update('meter1', '0-0:25.9.1.255', { objectList: alarm });
+
+      expect(store.match('meter1', fieldsOf(Buffer.from([0, 0, 25, 9, 1, 255]), 2301))).toBe(alarm);
+      expect(store.match('meter1', fieldsOf(Buffer.from([0, 0, 25, 9, 0, 255]), 5))).toBe(daily);
+      expect(store.match('meter1', fieldsOf(Buffer.from([0, 0, 25, 9, 2, 255]), 5))).toBeNull();
+      expect(store.match('meter2', fieldsOf(Buffer.from([0, 0, 25, 9, 0, 255]), 5))).toBeNull();
+    });
+
+    it('should match unnamed pushes by field count only when unambiguous', () => {
+      const store = new PushSetupStore({ file: '' });
+      store.update('meter1', '0-0:25.9.0.255', { objectList: [ENERGY, VOLTAGE] });
+
+      expect(store.match('meter1', fieldsOf(5, 2301))).toEqual([ENERGY, VOLTAGE]);
+      expect(store.match('meter1', fieldsOf(5))).toBeNull();
+
+      store.update('meter1', '0-0:25.9.1.255', { objectList: [VOLTAGE, ENERGY] });
+      expect(store.match('meter1', fieldsOf(5, 2301))).toBeNull();
+    });
+
+    it('should merge updates and save and load the push setup file', async () => {
+      const file = join(dir, 'push-setups.json');
+      const store = new PushSetupStore({ file });
+      store.update('meter1', '0-0:25.9.0.255', { objectList: [ENERGY] });
+      store.update('meter1', '0-0:25.9.0.255', { randomisationStartInterval: 60 });
+      await store.saving;
+
+      const loaded = new PushSetupStore({ file });
+      await loaded.load();
+      expect(loaded.get('meter1')['0-0:25.9.0.255']).toMatchObject({
+        obisCode: '0-0:25.9.0.255',
+        objectList: [ENERGY],
+        randomisationStartInterval: 60,
+      });
+    });
+  });
+
+  describe('readPushSetup', () => {
+    let tcpServer;
+    let responses;
+    const waitForResponse = vi.fn(async () => responses.shift());
+
+    const success = (typed) => ({
+      type: 'get-response',
+      accessResult: 'success',
+      data: parseDlmsValue(encodeDlmsValue(typed)),
+    });
+    const denied = {
+      type: 'get-response',
+      accessResult: 'error',
+      data: { errorCode: 3, errorName: 'read-write-denied' },
+    };
+
+    beforeEach(() => {
+      tcpServer = { sendDlmsApdu: vi.fn().mockResolvedValue(true) };
+    });
+
+    it('should read the attributes of a push setup', async () => {
+      responses = [
+        success({
+          type: ARRAY,
+          value: [
+            {
+              type: STRUCTURE,
+              value: [
+                { type: UINT16, value: 3 },
+                { type: OCTET_STRING, value: Buffer.from([1, 0, 1, 8, 0, 255]) },
+                { type: INT8, value: 2 },
+                { type: UINT16, value: 0 },
+              ],
+            },
+          ],
+        }),
+        denied,
+        success({ type: ARRAY, value: [] }),
+        success({ type: UINT16, value: 30 }),
+      ];
+
+      const setup = await readPushSetup(tcpServer, 'meter1', '0-0:25.9.1.255', {
+        waitForResponse,
+      });
+
+      expect(setup).toEqual({
+        obisCode: '0-0:25.9.1.255',
+        objectList: [ENERGY],
+        sendDestinationAndMethod: null,
+        communicationWindow: [],
+        randomisationStartInterval: 30,
+      });
+      const request = tcpServer.sendDlmsApdu.mock.calls[0][1];
+      expect(request.readUInt16BE(3)).toBe(40);
+      expect(request.subarray(5, 12)).toEqual(Buffer.from([0, 0, 25, 9, 1, 255, 2]));
+    });
+
+    it('should throw when the push_object_list cannot be read', async () => {
+      responses = [denied];
+
+      await expect(
+        readPushSetup(tcpServer, 'meter1', undefined, { waitForResponse })
+      ).rejects.toThrow('DLMS GET push_object_list failed: read-write-denied');
+    });
+  });
+});
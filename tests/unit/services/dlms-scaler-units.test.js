@@ -0,0 +1,161 @@
+/**
+ * DLMS Scaler/Unit Discovery Unit Tests
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, readFile, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { ScalerUnitCache, discoverScalerUnits } from '../../../src/services/dlms-scaler-units.js';
+import {
+  DLMS_DATA_TYPES,
+  encodeDlmsValue,
+  parseDlmsValue,
+} from '../../../src/protocol/dlms/data-types.js';
+
+vi.mock('../../../src/utils/logger.js', () => ({
+  createChildLogger: () => ({
+    info: vi.fn(),
+    debug: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+  }),
+}));
+
+const { STRUCTURE, INT8, ENUM } = DLMS_DATA_TYPES;
+
+const scalerUnit = (scaler, unit) => ({
+  type: 'get-response',
+  accessResult: 'success',
+  data: parseDlmsValue(
+    encodeDlmsValue({
+      type: STRUCTURE,
+      value: [
+        { type: INT8, value: scaler },
+        { type: ENUM, value: unit },
+      ],
+    })
+  ),
+});
+
+const VOLTAGE = { classId: 3, obisCode: '1-0:32.7.0.255' };
+const DEMAND = { classId: 5, obisCode: '1-0:1.4.0.255' };
+const SERIAL = { classId: 1, obisCode: '0-0:96.1.0.255' };
+
+describe('DLMS Scaler/Unit Discovery', () => {
+  describe('ScalerUnitCache', () => {
+    let dir;
+
+    beforeEach(async () => {
+      dir = await mkdtemp(join(tmpdir(), 'scaler-units-'));
+    });
+
+    afterEach(async () => {
+      await rm(dir, { recursive: true, force: true });
+    });
+
+    it('should tell unread registers from registers without a scaler_unit', () => {
+      const cache = new ScalerUnitCache({ file: '' });
+      cache.set('meter1', VOLTAGE.obisCode, null);
+
+      expect(cache.has('meter1', VOLTAGE.obisCode)).toBe(true);
+      expect(cache.get('meter1', VOLTAGE.obisCode)).toBeNull();
+      expect(cache.has('meter1', DEMAND.obisCode)).toBe(false);
+      expect(cache.has('meter2', VOLTAGE.obisCode)).toBe(false);
+    });
+
+    it('should forget a meter', () => {
+      const cache = new ScalerUnitCache({ file: '' });
+      cache.set('meter1', VOLTAGE.obisCode, { scaler: -1, unit: 35 });
+      cache.clear('meter1');
+
+      expect(cache.has('meter1', VOLTAGE.obisCode)).toBe(false);
+    });
+
+    it('should save and load the cache file', async () => {
+      const file = join(dir, 'scaler-units.json');
+      const cache = new ScalerUnitCache({ file });
+      cache.set('meter1', VOLTAGE.obisCode, { scaler: -1, unit: 35 });
+      cache.set('meter1', DEMAND.obisCode, null);
+      await cache.saving;
+
+      const loaded = new ScalerUnitCache({ file });
+      await loaded.load();
+      expect(loaded.get('meter1', VOLTAGE.obisCode)).toEqual({ scaler: -1, unit: 35 });
+      expect(loaded.has('meter1', DEMAND.obisCode)).toBe(true);
+      expect(JSON.parse(await readFile(file, 'utf8'))).toEqual({
+        meter1: { [VOLTAGE.obisCode]: { scaler: -1, unit: 35 }, [DEMAND.obisCode]: null },
+      });
+    });
+
+    it('should start empty without a cache file or with a broken one', async () => {
+      const missing = new ScalerUnitCache({ file: join(dir, 'missing.json') });
+      await missing.load();
+      expect(missing.meters.size).toBe(0);
+
+      const file = join(dir, 'broken.json');
+      await writeFile(file, '{');
+      const broken = new ScalerUnitCache({ file });
+      await broken.load();
+      expect(broken.meters.size).toBe(0);
+    });
+  });
+
+  describe('discoverScalerUnits', () => {
+    let tcpServer;
+    let cache;
+    let responses;
+    const waitForResponse = vi.fn(async () => responses.shift() ?? null);
+
+    const sent = () => tcpServer.sendDlmsApdu.mock.calls.map(([, apdu]) => apdu);
+
+    beforeEach(() => {
+      tcpServer = { sendDlmsApdu: vi.fn().mockResolvedValue(true) };
+      cache = new ScalerUnitCache({ file: '' });
+      responses = [];
+    });
+
+    it('should read the scaler_unit attribute of each register class', async () => {
+      responses.push(scalerUnit(-2, 35), scalerUnit(0, 27));
+
+      const read = await discoverScalerUnits(
+        tcpServer,
+        'meter1',
+        [VOLTAGE, SERIAL, DEMAND],
+        cache,
+        { waitForResponse }
+      );
+
+      expect(read).toBe(2);
+      expect(sent().map((apdu) => [apdu.readUInt16BE(3), apdu[11]])).toEqual([
+        [3, 3],
+        [5, 4],
+      ]);
+      expect(cache.get('meter1', VOLTAGE.obisCode)).toEqual({ scaler: -2, unit: 35 });
+      expect(cache.get('meter1', DEMAND.obisCode)).toEqual({ scaler: 0, unit: 27 });
+    });
+
+    it('should skip registers already read', async () => {
+      cache.set('meter1', VOLTAGE.obisCode, null);
+
+      expect(await discoverScalerUnits(tcpServer, 'meter1', [VOLTAGE], cache)).toBe(0);
+      expect(tcpServer.sendDlmsApdu).not.toHaveBeenCalled();
+    });
+
+    it('should remember refused reads but retry timeouts', async () => {
+      responses.push({
+        type: 'get-response',
+        accessResult: 'error',
+        data: { errorCode: 4, errorName: 'object-undefined' },
+      });
+
+      await discoverScalerUnits(tcpServer, 'meter1', [VOLTAGE, DEMAND], cache, {
+        waitForResponse,
+      });
+
+      expect(cache.has('meter1', VOLTAGE.obisCode)).toBe(true);
+      expect(cache.get('meter1', VOLTAGE.obisCode)).toBeNull();
+      expect(cache.has('meter1', DEMAND.obisCode)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,244 @@
+/**
+ * DLMS Session Unit Tests
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { EventEmitter } from 'events';
+import { DlmsSession, DLMS_SESSION_STATES } from '../../../src/services/dlms-session.js';
+import { CONNECTION_EVENTS } from '../../../src/tcp/connection-manager.js';
+import { buildGetRequest, buildGetRequestWithList } from '../../../src/protocol/dlms/client.js';
+import { parseGetResponse } from '../../../src/protocol/dlms/apdu-parser.js';
+
+vi.mock('../../../src/utils/logger.js', () => ({
+  createChildLogger: () => ({
+    info: vi.fn(),
+    debug: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+  }),
+}));
+
+const AARE = { type: 'aare', accepted: true };
+
+/** GET.response-normal carrying an unsigned value */
+const getResponse = (invokeId, value) =>
+  parseGetResponse(Buffer.from([0xc4, 0x01, invokeId, 0x00, 0x11, value]));
+
+describe('DLMS Session', () => {
+  let connectionManager;
+  let tcpServer;
+  let sent;
+  let answer;
+
+  const receive = (parsedApdu, meterId = 'meter1') =>
+    connectionManager.emit(CONNECTION_EVENTS.DLMS_RECEIVED, { meterId, parsedApdu });
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    connectionManager = new EventEmitter();
+    sent = [];
+    // Default meter: answers the AARQ, RLRQ and every GET
+    answer = (apdu) => {
+      if (apdu[0] === 0x60) return AARE;
+      if (apdu[0] === 0x62) return { type: 'rlre' };
+      return getResponse(apdu[2], 7);
+    };
+    tcpServer = {
+      connectionManager,
+      sendDlmsApdu: vi.fn(async (_meterId, apdu) => {
+        sent.push(apdu);
+        const reply = answer(apdu);
+        if (reply) {
+          Promise.resolve().then(() => receive(reply));
+        }
+        return true;
+      }),
+    };
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  const createSession = (options = {}) =>
+    new DlmsSession(tcpServer, 'meter1', { timeout: 1000, retries: 1, ...options });
+
+  describe('open', () => {
+    it('should associate once and reuse the association', async () => {
+      const session = createSession();
+
+      expect(await session.open()).toBe(AARE);
+      await session.open();
+
+      expect(session.state).toBe(DLMS_SESSION_STATES.ASSOCIATED);
+      expect(sent.filter((apdu) => apdu[0] === 0x60)).toHaveLength(1);
+    });
+
+    it('should fail and return to idle when the AARE rejects the association', async () => {
+      answer = () => ({ type: 'aare', accepted: false, resultName: 'rejected-permanent' });
+      const session = createSession();
+
+      await expect(session.open()).rejects.toThrow('DLMS association failed');
+      expect(session.state).toBe(DLMS_SESSION_STATES.IDLE);
+    });
+
+    it('should fail when no AARE arrives', async () => {
+      answer = () => null;
+      const session = createSession({ associationTimeout: 500 });
+
+      const opening = expect(session.open()).rejects.toThrow('DLMS association failed');
+      await vi.advanceTimersByTimeAsync(500);
+      await opening;
+      expect(session.isAssociated()).toBe(false);
+    });
+  });
+
+  describe('get', () => {
+    it('should refuse requests outside an association', async () => {
+      const session = createSession();
+
+      await expect(session.get(buildGetRequest(3, '1-0:32.7.0.255', 2))).rejects.toThrow(
+        'DLMS session for meter1 is not associated'
+      );
+    });
+
+    it('should give each request its own invoke ID', async () => {
+      const session = createSession();
+      await session.open();
+
+      const first = await session.get(buildGetRequest(3, '1-0:32.7.0.255', 2));
+      const second = await session.get(buildGetRequest(3, '1-0:32.7.0.255', 2));
+
+      expect(first.invokeId).toBe(1);
+      expect(second.invokeId).toBe(2);
+      expect(sent.slice(1).map((apdu) => apdu[2])).toEqual([1, 2]);
+    });
+
+    it('should drop a late response to an earlier request', async () => {
+      const session = createSession();
+      await session.open();
+      answer = (apdu) => {
+        // Late answer to invoke ID 9 arrives ahead of the real one
+        receive(getResponse(9, 1));
+        return getResponse(apdu[2], 7);
+      };
+
+      const response = await session.get(buildGetRequest(3, '1-0:32.7.0.255', 2));
+
+      expect(response.invokeId).toBe(1);
+      expect(response.data.value).toBe(7);
+    });
+
+    it('should retry a GET that times out with a new invoke ID', async () => {
+      const session = createSession();
+      await session.open();
+      let calls = 0;
+      answer = (apdu) => (++calls === 1 ? null : getResponse(apdu[2], 7));
+
+      const getting = session.get(buildGetRequest(3, '1-0:32.7.0.255', 2));
+      await vi.advanceTimersByTimeAsync(1000);
+      const response = await getting;
+
+      expect(response.data.value).toBe(7);
+      expect(sent.slice(1).map((apdu) => apdu[2])).toEqual([1, 2]);
+    });
+
+    it('should return null when every attempt times out', async () => {
+      const session = createSession();
+      await session.open();
+      answer = () => null;
+
+      const getting = session.get(buildGetRequest(3, '1-0:32.7.0.255', 2));
+      await vi.advanceTimersByTimeAsync(2000);
+
+      expect(await getting).toBeNull();
+      expect(sent).toHaveLength(3);
+    });
+
+    it('should tell which attribute a pending request reads, by invoke ID', async () => {
+      // Looked up when the response arrives, as the server does for errors
+      const seen = [];
+      connectionManager.on(CONNECTION_EVENTS.DLMS_RECEIVED, ({ parsedApdu }) =>
+        seen.push(session.getRequestAttribute(parsedApdu.invokeId))
+      );
+      const session = createSession();
+      await session.open();
+
+      await session.get(buildGetRequest(3, '1-0:32.7.0.255', 2));
+      await session.get(buildGetRequestWithList([{ classId: 3, obisCode: '1-0:31.7.0.255' }]));
+
+      expect(seen.slice(1)).toEqual([
+        { classId: 3, obisCode: '1-0:32.7.0.255', attributeIndex: 2 },
+        null,
+      ]);
+      // Answered requests are forgotten
+      expect(session.getRequestAttribute(1)).toBeNull();
+      expect(session.getRequestAttribute(3)).toBeNull();
+    });
+
+    it('should not tell the attribute of a request after a release', async () => {
+      const session = createSession();
+      await session.open();
+      answer = (apdu) => (apdu[0] === 0x62 ? { type: 'rlre' } : null);
+
+      const getting = session.get(buildGetRequest(3, '1-0:32.7.0.255', 2));
+      await vi.advanceTimersByTimeAsync(2000);
+      await getting;
+      expect(session.getRequestAttribute(1)).not.toBeNull();
+
+      await session.release();
+
+      // A late error for the request is not reported with its register
+      expect(session.getRequestAttribute(1)).toBeNull();
+      expect(session.getRequestAttribute(2)).toBeNull();
+    });
+  });
+
+  describe('release', () => {
+    it('should send an RLRQ and wait for the RLRE', async () => {
+      const session = createSession();
+      await session.open();
+
+      await session.release();
+
+      expect(sent.at(-1)[0]).toBe(0x62);
+      expect(session.state).toBe(DLMS_SESSION_STATES.IDLE);
+      expect(session.aare).toBeNull();
+    });
+
+    it('should not send an RLRQ without an association', async () => {
+      const session = createSession();
+
+      await session.release();
+
+      expect(sent).toHaveLength(0);
+    });
+
+    it('should call onIdle once the session is idle for idleTimeout', async () => {
+      const onIdle = vi.fn();
+      const session = createSession({ idleTimeout: 5000, onIdle });
+      await session.open();
+
+      session.keepAlive();
+      await vi.advanceTimersByTimeAsync(4999);
+      expect(onIdle).not.toHaveBeenCalled();
+      await vi.advanceTimersByTimeAsync(1);
+      expect(onIdle).toHaveBeenCalledWith(session);
+    });
+  });
+
+  it('should forget the association when the connection closes', async () => {
+    const session = createSession();
+    await session.open();
+    answer = () => null;
+
+    const getting = session.get(buildGetRequest(3, '1-0:32.7.0.255', 2));
+    connectionManager.emit(CONNECTION_EVENTS.CONNECTION_CLOSED, {
+      meterId: 'meter1',
+      meterIds: ['meter1'],
+    });
+
+    expect(session.state).toBe(DLMS_SESSION_STATES.IDLE);
+    await expect(getting).rejects.toThrow('not associated');
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * DLMS Transfer Unit Tests
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { sendDlmsGet } from '../../../src/services/dlms-transfer.js';
+import { buildGetRequest } from '../../../src/protocol/dlms/client.js';
+import { parseGetResponse } from '../../../src/protocol/dlms/apdu-parser.js';
+
+vi.mock('../../../src/utils/logger.js', () => ({
+  createChildLogger: () => ({
+    info: vi.fn(),
+    debug: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+  }),
+}));
+
+/**
+ * GET-response-with-datablock carrying one slice of raw data
+ */
+const dataBlock = (blockNumber, rawData, lastBlock = false, invokeId = 1) => {
+  const header = Buffer.alloc(9);
+  header[0] = 0xc4;
+  header[1] = 0x02;
+  header[2] = invokeId;
+  header[3] = lastBlock ? 0x01 : 0x00;
+  header.writeUInt32BE(blockNumber, 4);
+  header[8] = 0x00;
+  return parseGetResponse(Buffer.concat([header, Buffer.from([rawData.length]), rawData]));
+};
+
+// array of three long-unsigned: 1, 2, 3 — split across blocks
+const VALUE = Buffer.from([0x01, 0x03, 0x12, 0x00, 0x01, 0x12, 0x00, 0x02, 0x12, 0x00, 0x03]);
+
+describe('DLMS Transfer', () => {
+  let tcpServer;
+  let responses;
+  let waitForResponse;
+
+  beforeEach(() => {
+    tcpServer = { sendDlmsApdu: vi.fn().mockResolvedValue(true) };
+    responses = [];
+    waitForResponse = vi.fn(async () => responses.shift() ?? null);
+  });
+
+  const get = (options = {}) =>
+    sendDlmsGet(tcpServer, 'meter1', buildGetRequest(7, '1-0:99.1.0.255', 2, 4), {
+      waitForResponse,
+      ...options,
+    });
+
+  it('should return a normal GET.response as received', async () => {
+    const response = parseGetResponse(Buffer.from([0xc4, 0x01, 0x04, 0x00, 0x11, 0x2a]));
+    responses.push(response);
+
+    expect(await get()).toBe(response);
+    expect(tcpServer.sendDlmsApdu).toHaveBeenCalledTimes(1);
+  });
+
+  it('should request and join all blocks of a long GET', async () => {
+    responses.push(
+      dataBlock(1, VALUE.subarray(0, 4), false, 4),
+      dataBlock(2, VALUE.subarray(4, 8), false, 4),
+      dataBlock(3, VALUE.subarray(8), true, 4)
+    );
+
+    const response = await get();
+
+    expect(response.accessResult).toBe('success');
+    expect(response.data.value).toEqual([1, 2, 3]);
+    expect(response.blocks).toBe(3);
+    const sent = tcpServer.sendDlmsApdu.mock.calls.map(([, apdu]) => apdu);
+    expect(sent).toHaveLength(3);
+    expect(sent[1]).toEqual(Buffer.from([0xc0, 0x02, 0x04, 0x00, 0x00, 0x00, 0x01]));
+    expect(sent[2]).toEqual(Buffer.from([0xc0, 0x02, 0x04, 0x00, 0x00, 0x00, 0x02]));
+  });
+
+  it('should return the error when the meter aborts the transfer', async () => {
+    responses.push(
+      dataBlock(1, VALUE.subarray(0, 4)),
+      parseGetResponse(Buffer.from([0xc4, 0x02, 0x01, 0x01, 0x00, 0x00, 0x00, 0x02, 0x01, 0x0a]))
+    );
+
+    const response = await get();
+
+    expect(response.accessResult).toBe('error');
+    expect(response.data.errorName).toBe('long-get-aborted');
+  });
+
+  it('should abort on an out-of-sequence block', async () => {
+    responses.push(dataBlock(1, VALUE.subarray(0, 4)), dataBlock(3, VALUE.subarray(4), true));
+
+    const response = await get();
+
+    expect(response.accessResult).toBe('error');
+    expect(response.data).toEqual({
+      errorCode: 10,
+      errorName: 'long-get-aborted',
+      reason: 'unexpected block 3 (expected 2)',
+    });
+  });
+
+  it('should abort after the block limit', async () => {
+    responses.push(dataBlock(1, VALUE.subarray(0, 4)), dataBlock(2, VALUE.subarray(4, 8)));
+
+    const response = await get({ maxBlocks: 2 });
+
+    expect(response.data.reason).toBe('more than 2 blocks');
+    expect(tcpServer.sendDlmsApdu).toHaveBeenCalledTimes(2);
+  });
+
+  it('should return null when a block times out', async () => {
+    responses.push(dataBlock(1, VALUE.subarray(0, 4)));
+
+    expect(await get()).toBeNull();
+  });
+});
@@ -0,0 +1,312 @@
+/**
+ * Event Record Service Unit Tests
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import {
+  EventRecordService,
+  EVENT_RECORD_EVENTS,
+  createEventRecordService,
+} from '../../../src/services/event-record-service.js';
+import { ALARM_TYPES, ALARM_SEVERITY } from '../../../src/services/status-manager.js';
+import { EVENT_RECORD_REGISTERS, getSeriesDataId } from '../../../src/protocol/registers.js';
+import { decimalToBcd, byteToBcd } from '../../../src/protocol/bcd.js';
+
+// Mock logger
+vi.mock('../../../src/utils/logger.js', () => ({
+  createChildLogger: () => ({
+    info: vi.fn(),
+    debug: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+  }),
+  default: {
+    info: vi.fn(),
+    debug: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+  },
+}));
+
+const METER_ID = '000000001234';
+const { COVER_OPEN_COUNT, COVER_OPEN_RECORD, POWER_DOWN_COUNT, POWER_DOWN_RECORD } =
+  EVENT_RECORD_REGISTERS;
+
+/** ss mm hh DD MM YY */
+const encodeEventTime = (date) =>
+  Buffer.from(
+    [
+      date.getSeconds(),
+      date.getMinutes(),
+      date.getHours(),
+      date.getDate(),
+      date.getMonth() + 1,
+      date.getFullYear() % 100,
+    ].map(byteToBcd)
+  );
+
+/** Start, end (null = still active) and trailing energy snapshot bytes */
+const encodeRecord = (start, end = null, trailing = 0) =>
+  Buffer.concat([
+    encodeEventTime(start),
+    end ? encodeEventTime(end) : Buffer.alloc(6),
+    Buffer.alloc(trailing),
+  ]);
+
+const noDataError = () => Object.assign(new Error('No data requested'), { errorCode: 0x02 });
+
+/**
+ * Create mock TCP server answering reads from a dataId → value map.
+ * Unknown data identifiers are answered with a NO_DATA error.
+ */
+const createMockTCPServer = (values) => ({
+  connectionManager: {
+    getConnectionByMeter: vi.fn(() => ({ id: 'conn-1', protocolType: 'dlt645' })),
+  },
+  getConnectedMeters: vi.fn(() => [METER_ID]),
+  sendCommand: vi.fn((meterId, frame, dataId) =>
+    values.has(dataId)
+      ? Promise.resolve({ data: values.get(dataId) })
+      : Promise.reject(noDataError())
+  ),
+});
+
+describe('Event Record Service', () => {
+  let values;
+  let tcpServer;
+  let statusManager;
+  let publisher;
+
+  const setCount = (register, count) => values.set(register.id, decimalToBcd(count, 3));
+  const setRecord = (register, n, record) => values.set(getSeriesDataId(register, n), record);
+
+  const createService = (options = {}) =>
+    new EventRecordService({
+      tcpServer,
+      statusManager,
+      publisher,
+      types: ['power_down', 'cover_open'],
+      ...options,
+    });
+
+  beforeEach(() => {
+    values = new Map();
+    setCount(POWER_DOWN_COUNT, 5);
+    setCount(COVER_OPEN_COUNT, 1);
+    tcpServer = createMockTCPServer(values);
+    statusManager = { createAlarm: vi.fn(), clearAlarm: vi.fn() };
+    publisher = { publishMeterEvent: vi.fn(() => Promise.resolve(true)) };
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.clearAllMocks();
+  });
+
+  describe('constructor', () => {
+    it('should require tcpServer', () => {
+      expect(() => new EventRecordService({})).toThrow('TCP server instance required');
+    });
+
+    it('should create via factory', () => {
+      expect(createEventRecordService({ tcpServer })).toBeInstanceOf(EventRecordService);
+    });
+
+    it('should collect all event types by default', () => {
+      const service = createService({ types: null });
+      expect(service.eventTypes.map((type) => type.key)).toContain('relay_trip');
+    });
+  });
+
+  describe('collectMeter', () => {
+    it('should only record baseline counts on first collection', async () => {
+      const service = createService();
+
+      const result = await service.collectMeter(METER_ID);
+
+      expect(result).toEqual({ meterId: METER_ID, success: true, published: 0, baseline: true });
+      expect(service.getEventCounts(METER_ID)).toEqual({ power_down: 5, cover_open: 1 });
+      expect(publisher.publishMeterEvent).not.toHaveBeenCalled();
+    });
+
+    it('should publish only new records, oldest first', async () => {
+      const service = createService();
+      await service.collectMeter(METER_ID);
+
+      const first = new Date(2024, 2, 15, 10, 0, 5);
+      const second = new Date(2024, 2, 15, 11, 30, 0);
+      setCount(POWER_DOWN_COUNT, 7);
+      setRecord(POWER_DOWN_RECORD, 2, encodeRecord(first, new Date(2024, 2, 15, 10, 5, 0)));
+      setRecord(POWER_DOWN_RECORD, 1, encodeRecord(second));
+
+      const result = await service.collectMeter(METER_ID);
+
+      expect(result.published).toBe(2);
+      expect(publisher.publishMeterEvent.mock.calls).toEqual([
+        [
+          METER_ID,
+          'power_down',
+          {
+            source: 'dlt645',
+            sequence: 6,
+            start: first.getTime(),
+            end: new Date(2024, 2, 15, 10, 5, 0).getTime(),
+          },
+        ],
+        [
+          METER_ID,
+          'power_down',
+          { source: 'dlt645', sequence: 7, start: second.getTime(), end: null },
+        ],
+      ]);
+      expect(service.getEventCounts(METER_ID).power_down).toBe(7);
+    });
+
+    it('should emit RECORD_RECEIVED for each new record', async () => {
+      const service = createService();
+      const handler = vi.fn();
+      service.on(EVENT_RECORD_EVENTS.RECORD_RECEIVED, handler);
+      await service.collectMeter(METER_ID);
+
+      setCount(POWER_DOWN_COUNT, 6);
+      setRecord(POWER_DOWN_RECORD, 1, encodeRecord(new Date(2024, 2, 15, 10, 0, 0)));
+      await service.collectMeter(METER_ID);
+
+      expect(handler).toHaveBeenCalledWith(
+        expect.objectContaining({ meterId: METER_ID, event: 'power_down', sequence: 6 })
+      );
+    });
+
+    it('should read at most the stored number of records', async () => {
+      const service = createService();
+      await service.collectMeter(METER_ID);
+
+      setCount(POWER_DOWN_COUNT, 50);
+      for (let n = 1; n <= 10; n++) {
+        setRecord(POWER_DOWN_RECORD, n, encodeRecord(new Date(2024, 2, 15, 10, n, 0)));
+      }
+
+      const result = await service.collectMeter(METER_ID);
+
+      expect(result.published).toBe(10);
+      expect(publisher.publishMeterEvent.mock.calls[0][2].sequence).toBe(41);
+    });
+
+    it('should reset the baseline when meter events were cleared', async () => {
+      const service = createService();
+      await service.collectMeter(METER_ID);
+
+      setCount(POWER_DOWN_COUNT, 0);
+      const result = await service.collectMeter(METER_ID);
+
+      expect(result.published).toBe(0);
+      expect(service.getEventCounts(METER_ID).power_down).toBe(0);
+    });
+
+    it('should skip event types the meter does not support', async () => {
+      values.delete(COVER_OPEN_COUNT.id);
+      const service = createService();
+
+      await service.collectMeter(METER_ID);
+
+      expect(service.getEventCounts(METER_ID)).toEqual({ power_down: 5 });
+    });
+
+    it('should resume from the last published record after a read failure', async () => {
+      const service = createService();
+      const errorHandler = vi.fn();
+      service.on(EVENT_RECORD_EVENTS.COLLECTION_ERROR, errorHandler);
+      await service.collectMeter(METER_ID);
+
+      setCount(POWER_DOWN_COUNT, 7);
+      setRecord(POWER_DOWN_RECORD, 2, encodeRecord(new Date(2024, 2, 15, 10, 0, 0)));
+      const recordId = getSeriesDataId(POWER_DOWN_RECORD, 1);
+      tcpServer.sendCommand.mockImplementation((meterId, frame, dataId) =>
+        dataId === recordId
+          ? Promise.reject(new Error('Command timeout after 10000ms'))
+          : Promise.resolve({ data: values.get(dataId) })
+      );
+
+      await expect(service.collectMeter(METER_ID)).rejects.toThrow('Command timeout');
+      expect(errorHandler).toHaveBeenCalled();
+      expect(service.getEventCounts(METER_ID).power_down).toBe(6);
+      expect(service.getStats().failedCollections).toBe(1);
+    });
+
+    it('should skip DLMS meters', async () => {
+      tcpServer.connectionManager.getConnectionByMeter.mockReturnValue({
+        protocolType: 'ivy_dlms',
+      });
+      const service = createService();
+
+      const result = await service.collectMeter(METER_ID);
+
+      expect(result.skipped).toBe('dlms');
+      expect(tcpServer.sendCommand).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('tamper alarm', () => {
+    const opened = new Date(2024, 2, 15, 9, 0, 0);
+
+    it('should raise meter_tamper on a new cover-open record', async () => {
+      const service = createService();
+      await service.collectMeter(METER_ID);
+
+      setCount(COVER_OPEN_COUNT, 2);
+      setRecord(COVER_OPEN_RECORD, 1, encodeRecord(opened, null, 48));
+      await service.collectMeter(METER_ID);
+
+      expect(publisher.publishMeterEvent).toHaveBeenCalledWith(
+        METER_ID,
+        'cover_open',
+        expect.objectContaining({ start: opened.getTime(), end: null })
+      );
+      expect(statusManager.createAlarm).toHaveBeenCalledWith(
+        METER_ID,
+        ALARM_TYPES.METER_TAMPER,
+        ALARM_SEVERITY.CRITICAL,
+        expect.objectContaining({ event: 'cover_open', start: opened.getTime() })
+      );
+    });
+
+    it('should clear meter_tamper once the cover is closed', async () => {
+      const service = createService();
+      await service.collectMeter(METER_ID);
+
+      setCount(COVER_OPEN_COUNT, 2);
+      setRecord(COVER_OPEN_RECORD, 1, encodeRecord(opened, null, 48));
+      await service.collectMeter(METER_ID);
+      statusManager.clearAlarm.mockClear();
+
+      // Still open: alarm stays
+      await service.collectMeter(METER_ID);
+      expect(statusManager.clearAlarm).not.toHaveBeenCalled();
+
+      setRecord(COVER_OPEN_RECORD, 1, encodeRecord(opened, new Date(2024, 2, 15, 9, 10, 0), 48));
+      await service.collectMeter(METER_ID);
+      expect(statusManager.clearAlarm).toHaveBeenCalledWith(METER_ID, ALARM_TYPES.METER_TAMPER);
+    });
+  });
+
+  describe('scheduling', () => {
+    it('should collect all meters on interval', async () => {
+      vi.useFakeTimers();
+      const service = createService({ interval: 60000 });
+      const collectSpy = vi.spyOn(service, 'collectMeter').mockResolvedValue({});
+
+      service.start();
+      await vi.advanceTimersByTimeAsync(60000);
+
+      expect(collectSpy).toHaveBeenCalledWith(METER_ID);
+      service.stop();
+      expect(service.collectTimer).toBeNull();
+    });
+
+    it('should not start when disabled', () => {
+      const service = createService({ enabled: false });
+      service.start();
+      expect(service.isRunning).toBe(false);
+    });
+  });
+});
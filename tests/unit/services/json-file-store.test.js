@@ -0,0 +1,120 @@
+/**
+ * JSON File Store Unit Tests
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, readdir, readFile, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { JsonFileStore } from '../../../src/services/json-file-store.js';
+
+vi.mock('../../../src/utils/logger.js', () => ({
+  createChildLogger: () => ({
+    info: vi.fn(),
+    debug: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+  }),
+}));
+
+/**
+ * Store of one value per meter
+ */
+class ValueStore extends JsonFileStore {
+  constructor(file) {
+    super(file, 'test values');
+    this.values = new Map();
+  }
+
+  set(meterId, value) {
+    this.values.set(meterId, value);
+    return this.save();
+  }
+
+  restore(stored) {
+    this.values = new Map(Object.entries(stored));
+  }
+
+  serialize() {
+    return Object.fromEntries(this.values);
+  }
+}
+
+describe('JSON File Store', () => {
+  let dir;
+  let file;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'json-file-store-'));
+    file = join(dir, 'values.json');
+  });
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('should save and load the file', async () => {
+    const store = new ValueStore(file);
+    store.set('meter1', 1);
+    await store.set('meter2', 2);
+
+    const loaded = new ValueStore(file);
+    await loaded.load();
+
+    expect(Object.fromEntries(loaded.values)).toEqual({ meter1: 1, meter2: 2 });
+    expect(loaded.readOnly).toBe(false);
+  });
+
+  it('should replace the file through a temporary file', async () => {
+    await writeFile(file, JSON.stringify({ meter1: 1 }));
+    const store = new ValueStore(file);
+    await store.load();
+
+    await store.set('meter2', 2);
+
+    expect(JSON.parse(await readFile(file, 'utf8'))).toEqual({ meter1: 1, meter2: 2 });
+    expect(await readdir(dir)).toEqual(['values.json']);
+  });
+
+  it('should create the directory of the file', async () => {
+    const nested = join(dir, 'data', 'values.json');
+    await new ValueStore(nested).set('meter1', 1);
+
+    expect(JSON.parse(await readFile(nested, 'utf8'))).toEqual({ meter1: 1 });
+  });
+
+  it('should not overwrite a file it could not parse', async () => {
+    await writeFile(file, '{"meter1": 1');
+    const store = new ValueStore(file);
+    await store.load();
+
+    await store.set('meter2', 2);
+
+    expect(store.readOnly).toBe(true);
+    expect(store.values.get('meter2')).toBe(2);
+    expect(await readFile(file, 'utf8')).toBe('{"meter1": 1');
+  });
+
+  it('should start empty without a file', async () => {
+    const store = new ValueStore(join(dir, 'missing.json'));
+    await store.load();
+
+    expect(store.values.size).toBe(0);
+    expect(store.readOnly).toBe(false);
+  });
+
+  it('should keep memory-only stores off disk', async () => {
+    const store = new ValueStore('');
+    await store.load();
+    await store.set('meter1', 1);
+
+    expect(await readdir(dir)).toEqual([]);
+  });
+
+  it('should require subclasses to restore and serialize', () => {
+    const store = new JsonFileStore('', 'bare');
+
+    expect(() => store.restore({})).toThrow('JsonFileStore does not implement restore()');
+    expect(() => store.serialize()).toThrow('JsonFileStore does not implement serialize()');
+  });
+});
@@ -11,7 +11,28 @@ import {
   DLMS_POLL_REGISTERS,
   createPollingManager,
 } from '../../../src/services/polling-manager.js';
-import { ENERGY_REGISTERS, INSTANTANEOUS_REGISTERS } from '../../../src/protocol/registers.js';
+import {
+  ENERGY_REGISTERS,
+  INSTANTANEOUS_REGISTERS,
+  MAX_DEMAND_REGISTERS,
+  FROZEN_DATA_REGISTERS,
+  SETTLEMENT_REGISTERS,
+  PARAMETER_REGISTERS,
+} from '../../../src/protocol/registers.js';
+import {
+  CONTROL_CODES as CONTROL_CODES_1997,
+  DLT645_VARIANTS,
+} from '../../../src/protocol/dlt645-1997/registers.js';
+import { decimalToBcd } from '../../../src/protocol/bcd.js';
+import { EventEmitter } from 'events';
+import { CONNECTION_EVENTS } from '../../../src/tcp/connection-manager.js';
+import { parseGetResponse } from '../../../src/protocol/dlms/apdu-parser.js';
+import { scaleDlmsValue } from '../../../src/protocol/dlms/scaler-unit.js';
+import { lookupObis } from '../../../src/protocol/dlms/obis-registry.js';
+import { BillingSnapshotStore } from '../../../src/services/billing-snapshots.js';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
 
 // Mock logger
 vi.mock('../../../src/utils/logger.js', () => ({
@@ -31,6 +52,7 @@ vi.mock('../../../src/utils/logger.js', () => ({
 
 // Mock frame-builder
 vi.mock('../../../src/protocol/frame-builder.js', () => ({
+  buildFrame: vi.fn((meterId, controlCode) => Buffer.from(`frame:${meterId}:${controlCode}`)),
   buildReadFrame: vi.fn((meterId, dataId) => Buffer.from(`read:${meterId}:${dataId}`)),
 }));
 
@@ -88,6 +110,10 @@ describe('Polling Manager', () => {
     it('should define CYCLE_COMPLETED event', () => {
       expect(POLLING_EVENTS.CYCLE_COMPLETED).toBe('cycle:completed');
     });
+
+    it('should define LIMITER_READ event', () => {
+      expect(POLLING_EVENTS.LIMITER_READ).toBe('limiter:read');
+    });
   });
 
   describe('REGISTER_GROUPS', () => {
@@ -103,6 +129,10 @@ describe('Polling Manager', () => {
       expect(REGISTER_GROUPS.ALL).toBe('all');
     });
 
+    it('should define DEMAND group', () => {
+      expect(REGISTER_GROUPS.DEMAND).toBe('demand');
+    });
+
     it('should define CUSTOM group', () => {
       expect(REGISTER_GROUPS.CUSTOM).toBe('custom');
     });
@@ -123,6 +153,16 @@ describe('Polling Manager', () => {
       expect(instantRegs).toContain(INSTANTANEOUS_REGISTERS.ACTIVE_POWER_TOTAL);
     });
 
+    it('should have max demand registers', () => {
+      const demandRegs = DEFAULT_POLL_REGISTERS[REGISTER_GROUPS.DEMAND];
+      expect(demandRegs).toContain(MAX_DEMAND_REGISTERS.ACTIVE_IMPORT_MAX_DEMAND);
+      expect(demandRegs).toContain(MAX_DEMAND_REGISTERS.TARIFF_1_ACTIVE_IMPORT_MAX_DEMAND);
+      expect(DEFAULT_POLL_REGISTERS[REGISTER_GROUPS.ALL]).toContain(
+        MAX_DEMAND_REGISTERS.ACTIVE_IMPORT_MAX_DEMAND
+      );
+      expect(DLMS_POLL_REGISTERS[REGISTER_GROUPS.DEMAND].map((r) => r.classId)).toEqual([4, 4]);
+    });
+
     it('should have all registers (combined)', () => {
       const allRegs = DEFAULT_POLL_REGISTERS[REGISTER_GROUPS.ALL];
       expect(allRegs).toBeDefined();
@@ -428,6 +468,23 @@ describe('Polling Manager', () => {
       expect(mockTCPServer.sendCommand).toHaveBeenCalledTimes(2);
     });
 
+    it('should poll DL/T 645-1997 equivalents on 1997 meters', async () => {
+      mockTCPServer.getDlt645Variant = vi.fn(() => DLT645_VARIANTS.V1997);
+      const pm = new PollingManager({ tcpServer: mockTCPServer });
+
+      const result = await pm.pollMeter('meter1', [
+        ENERGY_REGISTERS.TOTAL_ACTIVE_POSITIVE,
+        INSTANTANEOUS_REGISTERS.FREQUENCY, // no 1997 equivalent
+      ]);
+
+      expect(mockTCPServer.sendCommand).toHaveBeenCalledTimes(1);
+      const [, frame, dataId] = mockTCPServer.sendCommand.mock.calls[0];
+      expect(dataId).toBe(0x9010);
+      expect(frame.toString()).toBe(`frame:meter1:${CONTROL_CODES_1997.READ_DATA}`);
+      expect(result.readings[0].register).toBe(ENERGY_REGISTERS.TOTAL_ACTIVE_POSITIVE.name);
+      expect(result.errors).toEqual([]);
+    });
+
     it('should return readings on success', async () => {
       mockTCPServer.sendCommand.mockResolvedValue({ value: 100.5, unit: 'kWh' });
       const pm = new PollingManager({ tcpServer: mockTCPServer });
@@ -572,6 +629,58 @@ describe('Polling Manager', () => {
         error: expect.any(Error),
       });
     });
+
+    describe('status words', () => {
+      const refused = () => Object.assign(new Error('Other error'), { errorCode: 0x01 });
+      const word = (value) => {
+        const data = Buffer.alloc(2);
+        data.writeUInt16LE(value);
+        return { data };
+      };
+
+      it('should read the words one by one when the block read is refused', async () => {
+        mockTCPServer.sendCommand
+          .mockRejectedValueOnce(refused())
+          .mockResolvedValueOnce(word(0x0004)) // word 1: clockBatteryLow
+          .mockResolvedValueOnce(word(0x0000))
+          .mockRejectedValue(refused());
+        const pm = new PollingManager({ tcpServer: mockTCPServer, retries: 0 });
+        const pollError = vi.fn();
+        pm.on(POLLING_EVENTS.METER_POLL_ERROR, pollError);
+
+        const result = await pm.readRegister('meter1', PARAMETER_REGISTERS.METER_STATUS);
+
+        expect(result.success).toBe(true);
+        expect(result.data.dataId).toBe(0x040005ff);
+        expect(result.data.value).toEqual([0x0004, 0x0000]);
+        expect(result.data.flags.clockBatteryLow).toBe(true);
+        // Words the meter did not answer are not reported
+        expect(Object.keys(result.data.flags)).not.toContain('programmingEnabled');
+        expect(mockTCPServer.sendCommand.mock.calls.map((call) => call[2])).toEqual([
+          0x040005ff, 0x04000501, 0x04000502, 0x04000503,
+        ]);
+        expect(pollError).not.toHaveBeenCalled();
+
+        // The block read is not tried again for this meter
+        mockTCPServer.sendCommand.mockClear();
+        mockTCPServer.sendCommand.mockResolvedValue(word(0x0000));
+        await pm.readRegister('meter1', PARAMETER_REGISTERS.METER_STATUS);
+
+        expect(mockTCPServer.sendCommand.mock.calls.map((call) => call[2])).toEqual([
+          0x04000501, 0x04000502, 0x04000503, 0x04000504, 0x04000505, 0x04000506, 0x04000507,
+        ]);
+      });
+
+      it('should not read the words one by one when the block read times out', async () => {
+        mockTCPServer.sendCommand.mockRejectedValue(new Error('Timeout'));
+        const pm = new PollingManager({ tcpServer: mockTCPServer, retries: 0 });
+
+        const result = await pm.readRegister('meter1', PARAMETER_REGISTERS.METER_STATUS);
+
+        expect(result.success).toBe(false);
+        expect(mockTCPServer.sendCommand).toHaveBeenCalledTimes(1);
+      });
+    });
   });
 
   describe('pollMeterNow', () => {
@@ -732,81 +841,342 @@ describe('Polling Manager', () => {
     });
   });
 
-  describe('resolveDlmsInvokeId', () => {
-    it('should return null when no pending requests exist for meter', () => {
-      const pm = new PollingManager({ tcpServer: mockTCPServer });
+  describe('pollDlmsMeter', () => {
+    const AARE = {
+      type: 'aare',
+      accepted: true,
+      negotiatedConformance: 0x001e1d,
+      serverMaxReceivePduSize: 1024,
+    };
+    const REGISTERS = DLMS_POLL_REGISTERS[REGISTER_GROUPS.ENERGY];
+    let connectionManager;
+    let sent;
+    let aare;
+    let rejectLists;
+    let silent;
+
+    /** long-unsigned data item */
+    const longUnsigned = (value) => Buffer.from([0x12, value >> 8, value & 0xff]);
+    /** The mock meter answers register i with the value i, scaled by the registry */
+    const VALUES = REGISTERS.map((r, i) => scaleDlmsValue(i, r.obisCode).value);
+
+    beforeEach(() => {
+      connectionManager = new EventEmitter();
+      sent = [];
+      aare = AARE;
+      rejectLists = false;
+      silent = false;
+      const reply = (parsedApdu) =>
+        Promise.resolve().then(() =>
+          connectionManager.emit(CONNECTION_EVENTS.DLMS_RECEIVED, { meterId: 'meter1', parsedApdu })
+        );
+      mockTCPServer.connectionManager = connectionManager;
+      mockTCPServer.sendDlmsApdu = vi.fn(async (_meterId, apdu) => {
+        sent.push(apdu);
+        if (apdu[0] === 0x60) {
+          // A new association answers again
+          silent = false;
+          reply(aare);
+        } else if (apdu[0] === 0x62) {
+          reply({ type: 'rlre' });
+        } else if (silent) {
+          return true;
+        } else if (apdu[0] === 0xc0 && apdu[1] === 0x03) {
+          const count = apdu[3];
+          reply(
+            rejectLists
+              ? { type: 'exception-response' }
+              : parseGetResponse(
+                  Buffer.concat([
+                    Buffer.from([0xc4, 0x03, apdu[2], count]),
+                    ...Array.from({ length: count }, (_, i) =>
+                      Buffer.concat([Buffer.from([0x00]), longUnsigned(i)])
+                    ),
+                  ])
+                )
+          );
+        } else if (apdu[0] === 0xc0 && apdu[1] === 0x01) {
+          const register = REGISTERS.findIndex(
+            (r) => r.obisCode.split(/[-:.]/).map(Number)[2] === apdu[7]
+          );
+          reply(
+            parseGetResponse(
+              Buffer.concat([Buffer.from([0xc4, 0x01, apdu[2], 0x00]), longUnsigned(register)])
+            )
+          );
+        }
+        return true;
+      });
+    });
+
+    const createManager = (options = {}) =>
+      new PollingManager({
+        tcpServer: mockTCPServer,
+        registerGroup: REGISTER_GROUPS.ENERGY,
+        ...options,
+      });
+
+    it('should return the readings of one GET.request-with-list', async () => {
+      const pm = createManager();
+      const completed = vi.fn();
+      pm.on(POLLING_EVENTS.POLL_COMPLETED, completed);
 
-      const result = pm.resolveDlmsInvokeId('meter1', 1);
-      expect(result).toBeNull();
+      const result = await pm.pollDlmsMeter('meter1');
+
+      expect(result.success).toBe(true);
+      expect(result.errors).toEqual([]);
+      expect(result.readings.map((r) => [r.obisCode, r.value])).toEqual(
+        REGISTERS.map((r, i) => [r.obisCode, VALUES[i]])
+      );
+      expect(result.readings[0]).toMatchObject({
+        meterId: 'meter1',
+        register: 'TOTAL_ENERGY_ABSOLUTE',
+        unit: 'kWh',
+        source: 'dlms',
+      });
+      // Association kept for the next poll
+      expect(sent.map((apdu) => apdu[0])).toEqual([0x60, 0xc0]);
+      expect(sent[1][1]).toBe(0x03);
+      expect(sent[1][3]).toBe(REGISTERS.length);
+      expect(completed).toHaveBeenCalledWith({ meterId: 'meter1', readings: result.readings });
+    });
+
+    it('should fall back to single GETs when the meter rejects lists', async () => {
+      rejectLists = true;
+      const pm = createManager();
+
+      const result = await pm.pollDlmsMeter('meter1');
+
+      const gets = sent.filter((apdu) => apdu[0] === 0xc0);
+      expect(gets[0][1]).toBe(0x03);
+      expect(gets.slice(1).map((apdu) => apdu[1])).toEqual(Array(REGISTERS.length).fill(0x01));
+      expect(result.readings.map((r) => r.value)).toEqual(VALUES);
+      expect(pm.dlmsListUnsupported.has('meter1')).toBe(true);
+
+      sent = [];
+      await pm.pollDlmsMeter('meter1');
+      expect(sent.filter((apdu) => apdu[0] === 0xc0 && apdu[1] === 0x03)).toHaveLength(0);
+    });
+
+    it('should resolve the register a single GET read from its invoke ID', async () => {
+      rejectLists = true;
+      // Resolved when the response arrives, as the server's error handler does
+      const resolved = [];
+      let pm = null;
+      connectionManager.on(CONNECTION_EVENTS.DLMS_RECEIVED, ({ parsedApdu }) => {
+        if (parsedApdu.type === 'get-response') {
+          resolved.push(pm.resolveDlmsInvokeId('meter1', parsedApdu.invokeId));
+        }
+      });
+      pm = createManager();
+      await pm.pollDlmsMeter('meter1');
+
+      // The list took invoke ID 1, the single GETs the following ones
+      expect(resolved[0]).toEqual({
+        obisCode: REGISTERS[0].obisCode,
+        name: lookupObis(REGISTERS[0].obisCode).key,
+      });
+      expect(pm.resolveDlmsInvokeId('meter1', 1)).toBeNull();
+      expect(pm.resolveDlmsInvokeId('meter1', 2)).toBeNull();
+      expect(pm.resolveDlmsInvokeId('meter2', 2)).toBeNull();
     });
 
-    it('should return null for unknown invokeId', () => {
-      const pm = new PollingManager({ tcpServer: mockTCPServer });
-      pm.pendingDlmsRequests.set('meter1', new Map([
-        [1, { obisCode: '1-0:1.8.0.255', name: 'Test', classId: 3, sentAt: Date.now() }],
-      ]));
+    it('should keep using lists after a list goes unanswered', async () => {
+      const pm = createManager({ retries: 0 });
+      await pm.pollDlmsMeter('meter1');
+      silent = true;
+      sent = [];
 
-      const result = pm.resolveDlmsInvokeId('meter1', 99);
-      expect(result).toBeNull();
+      const polled = pm.pollDlmsMeter('meter1');
+      await vi.advanceTimersByTimeAsync(60000);
+      const result = await polled;
+
+      // The list is sent again once the meter answers after a new association
+      expect(result.readings.map((r) => r.value)).toEqual(VALUES);
+      expect(sent.filter((apdu) => apdu[0] === 0xc0 && apdu[1] === 0x03)).toHaveLength(2);
+      expect(pm.dlmsListUnsupported.has('meter1')).toBe(false);
+      expect(pm.dlmsListTimeouts.has('meter1')).toBe(false);
     });
 
-    it('should resolve and remove pending request', () => {
-      const pm = new PollingManager({ tcpServer: mockTCPServer });
-      const info = { obisCode: '1-0:1.8.0.255', name: 'Total active energy import', classId: 3, sentAt: Date.now() };
-      pm.pendingDlmsRequests.set('meter1', new Map([[1, info]]));
+    it('should read one by one after lists go unanswered repeatedly', async () => {
+      const pm = createManager();
+      const session = { meterId: 'meter1', request: vi.fn().mockResolvedValue(null) };
 
-      const result = pm.resolveDlmsInvokeId('meter1', 1);
-      expect(result).toEqual(info);
+      for (let i = 0; i < 3; i++) {
+        expect(await pm.readDlmsList(session, REGISTERS)).toBeNull();
+      }
 
-      // Should be removed after resolution
-      expect(pm.resolveDlmsInvokeId('meter1', 1)).toBeNull();
-      // Meter entry should still exist (empty Map) so that pollDlmsMeter's local
-      // reference remains reachable for subsequent invokeIds added during the loop
-      expect(pm.pendingDlmsRequests.has('meter1')).toBe(true);
-      expect(pm.pendingDlmsRequests.get('meter1').size).toBe(0);
+      expect(pm.dlmsListUnsupported.has('meter1')).toBe(true);
+      expect(pm.getDlmsListSize('meter1', AARE)).toBe(1);
     });
 
-    it('should not cause race condition when resolving first invokeId while loop adds more', () => {
-      // Regression test for Bug #1: pollDlmsMeter sends GET.requests in a loop
-      // with delays. If the response for invokeId=1 arrives and is resolved before
-      // invokeId=2 is stored, the meter entry must not be deleted from the outer Map.
-      const pm = new PollingManager({ tcpServer: mockTCPServer });
-      const info1 = { obisCode: '1-0:15.8.0.255', name: 'Energy', classId: 3, sentAt: Date.now() };
-      pm.pendingDlmsRequests.set('meter1', new Map([[1, info1]]));
-      const meterPending = pm.pendingDlmsRequests.get('meter1');
+    it('should reuse the association across polls', async () => {
+      const pm = createManager();
 
-      // Simulate response for invokeId=1 arriving before invokeId=2 is stored
-      const resolved = pm.resolveDlmsInvokeId('meter1', 1);
-      expect(resolved).toEqual(info1);
+      await pm.pollDlmsMeter('meter1');
+      const result = await pm.pollDlmsMeter('meter1');
 
-      // Simulate loop adding invokeId=2 to the local reference
-      const info2 = { obisCode: '1-0:12.7.0.255', name: 'Voltage', classId: 3, sentAt: Date.now() };
-      meterPending.set(2, info2);
+      expect(result.readings).toHaveLength(REGISTERS.length);
+      expect(sent.filter((apdu) => apdu[0] === 0x60)).toHaveLength(1);
+      expect(pm.dlmsSessions.get('meter1').isAssociated()).toBe(true);
+    });
+
+    it('should associate again when a kept association is not answered', async () => {
+      const pm = createManager({ retries: 0 });
+      pm.dlmsListUnsupported.add('meter1');
+      await pm.pollDlmsMeter('meter1');
+      silent = true;
 
-      // invokeId=2 must be resolvable through the outer Map
-      const resolved2 = pm.resolveDlmsInvokeId('meter1', 2);
-      expect(resolved2).toEqual(info2);
+      const polled = pm.pollDlmsMeter('meter1');
+      await vi.advanceTimersByTimeAsync(60000);
+      const result = await polled;
+
+      expect(result.success).toBe(true);
+      expect(result.readings).toHaveLength(REGISTERS.length);
+      expect(sent.filter((apdu) => apdu[0] === 0x60)).toHaveLength(2);
     });
 
-    it('should keep other pending requests when resolving one', () => {
-      const pm = new PollingManager({ tcpServer: mockTCPServer });
-      const info1 = { obisCode: '1-0:1.8.0.255', name: 'Energy', classId: 3, sentAt: Date.now() };
-      const info2 = { obisCode: '1-0:32.7.0.255', name: 'Voltage', classId: 3, sentAt: Date.now() };
-      pm.pendingDlmsRequests.set('meter1', new Map([[1, info1], [2, info2]]));
+    it('should fail the poll when the meter rejects the association', async () => {
+      aare = { type: 'aare', accepted: false, result: 1, resultName: 'rejected-permanent' };
+      const pm = createManager();
+      const failed = vi.fn();
+      pm.on(POLLING_EVENTS.POLL_FAILED, failed);
 
-      const result = pm.resolveDlmsInvokeId('meter1', 1);
-      expect(result).toEqual(info1);
+      const result = await pm.pollDlmsMeter('meter1');
 
-      // Second request should still be pending
-      expect(pm.pendingDlmsRequests.has('meter1')).toBe(true);
-      const result2 = pm.resolveDlmsInvokeId('meter1', 2);
-      expect(result2).toEqual(info2);
+      expect(result.success).toBe(false);
+      expect(result.readings).toEqual([]);
+      expect(result.errors).toHaveLength(REGISTERS.length);
+      expect(result.errors[0].error).toMatch(/^DLMS association failed/);
+      expect(sent.map((apdu) => apdu[0])).toEqual([0x60]);
+      expect(failed).toHaveBeenCalled();
     });
 
-    it('should initialize pendingDlmsRequests as empty Map', () => {
-      const pm = new PollingManager({ tcpServer: mockTCPServer });
-      expect(pm.pendingDlmsRequests).toBeInstanceOf(Map);
-      expect(pm.pendingDlmsRequests.size).toBe(0);
+    it('should release the association after the poll without an idle timeout', async () => {
+      const pm = createManager({ dlmsSessionIdleTimeout: 0 });
+
+      await pm.pollDlmsMeter('meter1');
+
+      expect(sent.map((apdu) => apdu[0])).toEqual([0x60, 0xc0, 0x62]);
+      expect(pm.dlmsSessions.get('meter1').isAssociated()).toBe(false);
+    });
+
+    it('should release an idle association', async () => {
+      const pm = createManager({ dlmsSessionIdleTimeout: 1000 });
+      await pm.pollDlmsMeter('meter1');
+
+      await vi.advanceTimersByTimeAsync(1000);
+
+      expect(sent.at(-1)[0]).toBe(0x62);
+      expect(pm.dlmsSessions.get('meter1').isAssociated()).toBe(false);
+    });
+
+    it('should release a kept association before a command takes the lock', async () => {
+      const pm = createManager();
+      await pm.pollDlmsMeter('meter1');
+
+      const release = await pm.acquireDlmsLock('meter1');
+
+      expect(sent.at(-1)[0]).toBe(0x62);
+      expect(pm.dlmsSessions.get('meter1').isAssociated()).toBe(false);
+      release();
+    });
+
+    describe('limiter', () => {
+      let limiter;
+
+      beforeEach(() => {
+        // Limiter on active power, which the mock meter gives as 3, relay connected
+        limiter = {
+          71: {
+            2: Buffer.from([
+              0x02, 0x03, 0x12, 0x00, 0x03, 0x09, 0x06, 0x01, 0x00, 0x01, 0x07, 0x00, 0xff, 0x0f,
+              0x02,
+            ]),
+            3: longUnsigned(2),
+          },
+          70: { 3: Buffer.from([0x16, 0x01]) },
+        };
+        const readRegister = mockTCPServer.sendDlmsApdu;
+        mockTCPServer.sendDlmsApdu = vi.fn(async (meterId, apdu) => {
+          const attributes = apdu[0] === 0xc0 && limiter[apdu.readUInt16BE(3)];
+          if (!attributes) {
+            return readRegister(meterId, apdu);
+          }
+          sent.push(apdu);
+          // Attributes the meter does not have answer object-undefined
+          const result = attributes[apdu[11]] ?? Buffer.from([0x01, 0x04]);
+          const body = attributes[apdu[11]] ? Buffer.concat([Buffer.from([0x00]), result]) : result;
+          const parsedApdu = parseGetResponse(
+            Buffer.concat([Buffer.from([0xc4, 0x01, apdu[2]]), body])
+          );
+          Promise.resolve().then(() =>
+            connectionManager.emit(CONNECTION_EVENTS.DLMS_RECEIVED, { meterId, parsedApdu })
+          );
+          return true;
+        });
+      });
+
+      it('should read the limiter and disconnector after the registers', async () => {
+        const pm = createManager({ dlmsLimiterPolling: true });
+        const limiterRead = vi.fn();
+        pm.on(POLLING_EVENTS.LIMITER_READ, limiterRead);
+
+        await pm.pollDlmsMeter('meter1');
+        await pm.pollDlmsMeter('meter1');
+
+        expect(limiterRead).toHaveBeenCalledTimes(2);
+        expect(limiterRead).toHaveBeenCalledWith({
+          meterId: 'meter1',
+          reading: {
+            overThreshold: true,
+            relayState: expect.objectContaining({ controlStateName: 'connected' }),
+          },
+          obisCode: '0-0:17.0.0.255',
+          monitored: '1-0:1.7.0.255',
+          value: VALUES[3],
+          threshold: scaleDlmsValue(2, '1-0:1.7.0.255').value,
+          unit: lookupObis('1-0:1.7.0.255').unit,
+          relayState: 'connected',
+        });
+        // monitored_value is read once per meter
+        const limiterGets = sent.filter((apdu) => apdu[0] === 0xc0 && apdu[4] === 71);
+        expect(limiterGets.map((apdu) => apdu[11])).toEqual([2, 3, 3]);
+      });
+
+      it('should not ask a meter without a limiter again', async () => {
+        delete limiter[71][2];
+        const pm = createManager({ dlmsLimiterPolling: true });
+        const limiterRead = vi.fn();
+        pm.on(POLLING_EVENTS.LIMITER_READ, limiterRead);
+
+        const result = await pm.pollDlmsMeter('meter1');
+        await pm.pollDlmsMeter('meter1');
+
+        expect(result.success).toBe(true);
+        expect(limiterRead).not.toHaveBeenCalled();
+        expect(pm.dlmsLimiterUnsupported.has('meter1')).toBe(true);
+        expect(sent.filter((apdu) => apdu[0] === 0xc0 && apdu[4] === 71)).toHaveLength(1);
+      });
+
+      it('should not read the limiter unless enabled', async () => {
+        const pm = createManager({ dlmsLimiterPolling: false });
+
+        await pm.pollDlmsMeter('meter1');
+
+        expect(sent.filter((apdu) => apdu[0] === 0xc0 && apdu[4] === 71)).toHaveLength(0);
+      });
+    });
+
+    it('should size lists from the negotiated conformance and PDU size', () => {
+      const pm = createManager();
+
+      expect(pm.getDlmsListSize('meter1', null)).toBe(10);
+      expect(pm.getDlmsListSize('meter1', AARE)).toBe(10);
+      expect(pm.getDlmsListSize('meter1', { ...AARE, serverMaxReceivePduSize: 72 })).toBe(4);
+      expect(pm.getDlmsListSize('meter1', { ...AARE, negotiatedConformance: 0x001c1d })).toBe(1);
+      pm.dlmsListUnsupported.add('meter1');
+      expect(pm.getDlmsListSize('meter1', AARE)).toBe(1);
     });
   });
 
@@ -940,4 +1310,171 @@ describe('Polling Manager', () => {
       expect(pm.cycleCount).toBe(1);
     });
   });
+
+  describe('billing job', () => {
+    const METER_ID = '000000001234';
+    let dailyFreeze;
+
+    /** mm hh DD MM YY */
+    const encodeFreezeTime = (date) =>
+      Buffer.from(
+        [
+          date.getMinutes(),
+          date.getHours(),
+          date.getDate(),
+          date.getMonth() + 1,
+          date.getFullYear() % 100,
+        ].map((n) => parseInt(String(n), 16))
+      );
+
+    const energyBlock = (total, tariff) =>
+      Buffer.concat([decimalToBcd(total, 4), decimalToBcd(tariff, 4)]);
+
+    const createMockPublisher = () => ({
+      publishBillingSnapshot: vi.fn(() => Promise.resolve(true)),
+    });
+
+    beforeEach(() => {
+      vi.setSystemTime(new Date(2024, 2, 16, 0, 5));
+      dailyFreeze = new Date(2024, 2, 16, 0, 0);
+      mockTCPServer.getConnectedMeters.mockReturnValue([METER_ID]);
+      mockTCPServer.sendCommand.mockImplementation((meterId, frame, dataId) => {
+        switch (dataId) {
+          case FROZEN_DATA_REGISTERS.DAILY_FREEZE_TIME.id:
+            return Promise.resolve({ data: encodeFreezeTime(dailyFreeze) });
+          case SETTLEMENT_REGISTERS.SETTLEMENT_DAY.id:
+            return Promise.resolve({ data: Buffer.from([0x00, 0x01]) }); // day 1, 00h
+          default:
+            return Promise.resolve({ data: energyBlock(1234567, 1234567) });
+        }
+      });
+    });
+
+    it('should read daily freeze and settlement snapshots with freeze time', async () => {
+      const publisher = createMockPublisher();
+      const pm = new PollingManager({ tcpServer: mockTCPServer, publisher });
+
+      const results = await pm.executeBillingJob();
+
+      expect(results).toEqual({ metersRead: 1, published: 2, duplicates: 0, failed: 0 });
+      const [[, daily], [, settlement]] = publisher.publishBillingSnapshot.mock.calls;
+      expect(daily.kind).toBe('daily');
+      expect(daily.freezeTime).toEqual(dailyFreeze);
+      expect(daily.values.activeImport.total).toBeCloseTo(12345.67, 2);
+      expect(daily.values.activeImport.tariffs).toHaveLength(1);
+      expect(daily.values.activeExport.unit).toBe('kWh');
+      expect(settlement.kind).toBe('settlement');
+      expect(settlement.freezeTime).toEqual(new Date(2024, 2, 1, 0, 0));
+    });
+
+    it('should publish each freeze only once', async () => {
+      const publisher = createMockPublisher();
+      const pm = new PollingManager({ tcpServer: mockTCPServer, publisher });
+
+      await pm.executeBillingJob();
+      const results = await pm.executeBillingJob();
+
+      expect(results.duplicates).toBe(2);
+      expect(publisher.publishBillingSnapshot).toHaveBeenCalledTimes(2);
+
+      // A new daily freeze is published, the unchanged settlement is not
+      dailyFreeze = new Date(2024, 2, 17, 0, 0);
+      await pm.executeBillingJob();
+      expect(publisher.publishBillingSnapshot).toHaveBeenCalledTimes(3);
+    });
+
+    it('should not publish a freeze again after a restart', async () => {
+      const dir = await mkdtemp(join(tmpdir(), 'billing-snapshots-'));
+      const file = join(dir, 'billing-snapshots.json');
+      try {
+        const publisher = createMockPublisher();
+        const before = new PollingManager({
+          tcpServer: mockTCPServer,
+          publisher,
+          billingSnapshots: new BillingSnapshotStore({ file }),
+        });
+        await before.executeBillingJob();
+
+        // A new process loads the freezes published by the last one
+        const billingSnapshots = new BillingSnapshotStore({ file });
+        await billingSnapshots.load();
+        const after = new PollingManager({ tcpServer: mockTCPServer, publisher, billingSnapshots });
+        const results = await after.executeBillingJob();
+
+        expect(results).toMatchObject({ published: 0, duplicates: 2 });
+        expect(publisher.publishBillingSnapshot).toHaveBeenCalledTimes(2);
+      } finally {
+        await rm(dir, { recursive: true, force: true });
+      }
+    });
+
+    it('should retry publishing on the next run when publish fails', async () => {
+      const publisher = createMockPublisher();
+      publisher.publishBillingSnapshot.mockResolvedValueOnce(false);
+      const pm = new PollingManager({
+        tcpServer: mockTCPServer,
+        publisher,
+        billingKinds: ['daily'],
+      });
+      const errorHandler = vi.fn();
+      pm.on(POLLING_EVENTS.BILLING_ERROR, errorHandler);
+
+      expect((await pm.executeBillingJob()).failed).toBe(1);
+      expect(errorHandler).toHaveBeenCalledWith(
+        expect.objectContaining({ meterId: METER_ID, kind: 'daily' })
+      );
+      expect((await pm.executeBillingJob()).published).toBe(1);
+    });
+
+    it('should skip DLMS meters', async () => {
+      mockTCPServer.connectionManager = {
+        getConnectionByMeter: vi.fn(() => ({ protocolType: 'ivy_dlms' })),
+      };
+      const publisher = createMockPublisher();
+      const pm = new PollingManager({ tcpServer: mockTCPServer, publisher });
+
+      const results = await pm.executeBillingJob();
+
+      expect(results.metersRead).toBe(0);
+      expect(mockTCPServer.sendCommand).not.toHaveBeenCalled();
+    });
+
+    it('should reject unknown freeze kinds', async () => {
+      const pm = new PollingManager({ tcpServer: mockTCPServer });
+      await expect(pm.collectBillingSnapshot(METER_ID, 'hourly')).rejects.toThrow(
+        'Unknown freeze kind: hourly'
+      );
+    });
+
+    it('should run after midnight and reschedule daily', async () => {
+      vi.setSystemTime(new Date(2024, 2, 15, 23, 0));
+      const pm = new PollingManager({
+        tcpServer: mockTCPServer,
+        enabled: false,
+        billingDelay: 5 * 60 * 1000,
+      });
+      const jobSpy = vi.spyOn(pm, 'executeBillingJob').mockResolvedValue({});
+
+      pm.start();
+      await vi.advanceTimersByTimeAsync(60 * 60 * 1000);
+      expect(jobSpy).not.toHaveBeenCalled();
+
+      await vi.advanceTimersByTimeAsync(5 * 60 * 1000);
+      expect(jobSpy).toHaveBeenCalledTimes(1);
+
+      await vi.advanceTimersByTimeAsync(24 * 60 * 60 * 1000);
+      expect(jobSpy).toHaveBeenCalledTimes(2);
+
+      pm.stop();
+      await vi.advanceTimersByTimeAsync(24 * 60 * 60 * 1000);
+      expect(jobSpy).toHaveBeenCalledTimes(2);
+    });
+
+    it('should not schedule when billing is disabled', () => {
+      const pm = new PollingManager({ tcpServer: mockTCPServer, billingEnabled: false });
+      pm.start();
+      expect(pm.billingTimer).toBeNull();
+      pm.stop();
+    });
+  });
 });
@@ -9,9 +9,11 @@ import {
   EVENT_TYPES,
   ALARM_TYPES,
   ALARM_SEVERITY,
+  STATUS_WORD_ALARMS,
   DEFAULT_THRESHOLDS,
   createStatusManager,
 } from '../../../src/services/status-manager.js';
+import { toRelayState } from '../../../src/protocol/dlms/disconnect-control.js';
 
 // Mock logger
 vi.mock('../../../src/utils/logger.js', () => ({
@@ -665,6 +667,70 @@ describe('Status Manager', () => {
       expect(alarmCleared).toHaveBeenCalled();
       expect(sm.activeAlarms.size).toBe(0);
     });
+
+    describe('status word flags', () => {
+      const statusTelemetry = (flags) => ({
+        meterId: '000000001234',
+        value: [],
+        unit: '',
+        register: { key: 'METER_STATUS' },
+        flags,
+      });
+
+      it('should map every alarm to a known alarm type', () => {
+        const types = Object.values(ALARM_TYPES);
+        for (const alarm of STATUS_WORD_ALARMS) {
+          expect(types).toContain(alarm.type);
+        }
+      });
+
+      it('should raise alarms for set flags with the active flags as data', () => {
+        const alarmTriggered = vi.fn();
+        sm.on(STATUS_EVENTS.ALARM_TRIGGERED, alarmTriggered);
+
+        sm.handleTelemetryReceived(
+          statusTelemetry({ clockFault: true, coverOpen: true, terminalCoverOpen: false })
+        );
+
+        expect(alarmTriggered).toHaveBeenCalledTimes(2);
+        expect(alarmTriggered).toHaveBeenCalledWith(
+          expect.objectContaining({
+            type: ALARM_TYPES.CLOCK_FAULT,
+            severity: ALARM_SEVERITY.WARNING,
+          })
+        );
+        expect(alarmTriggered).toHaveBeenCalledWith(
+          expect.objectContaining({
+            type: ALARM_TYPES.COVER_OPEN,
+            severity: ALARM_SEVERITY.CRITICAL,
+            data: { flags: ['coverOpen'] },
+          })
+        );
+      });
+
+      it('should clear alarms once all reported flags are clear', () => {
+        sm.handleTelemetryReceived(statusTelemetry({ voltageLossA: true, phaseBreakC: true }));
+        expect(sm.activeAlarms.has(`000000001234:${ALARM_TYPES.VOLTAGE_LOSS}`)).toBe(true);
+
+        const alarmCleared = vi.fn();
+        sm.on(STATUS_EVENTS.ALARM_CLEARED, alarmCleared);
+
+        sm.handleTelemetryReceived(statusTelemetry({ voltageLossA: false, phaseBreakC: true }));
+        expect(alarmCleared).not.toHaveBeenCalled();
+
+        sm.handleTelemetryReceived(statusTelemetry({ voltageLossA: false, phaseBreakC: false }));
+        expect(alarmCleared).toHaveBeenCalledWith(
+          expect.objectContaining({ type: ALARM_TYPES.VOLTAGE_LOSS })
+        );
+      });
+
+      it('should leave alarms untouched when their flags were not reported', () => {
+        sm.handleTelemetryReceived(statusTelemetry({ relayOpen: true }));
+        sm.handleTelemetryReceived(statusTelemetry({ clockFault: false }));
+
+        expect(sm.activeAlarms.has(`000000001234:${ALARM_TYPES.RELAY_OPEN}`)).toBe(true);
+      });
+    });
   });
 
   describe('createAlarm/clearAlarm', () => {
@@ -768,6 +834,74 @@ describe('Status Manager', () => {
     });
   });
 
+  describe('handleLimiterReading', () => {
+    let sm;
+
+    beforeEach(() => {
+      sm = new StatusManager({
+        publisher: mockPublisher,
+      });
+      sm.start();
+    });
+
+    afterEach(() => {
+      sm.stop();
+    });
+
+    it('should publish a limiter_trip alarm when the relay opens over the threshold', () => {
+      const connected = toRelayState({ controlState: 1 });
+      const open = toRelayState({ controlState: 2 });
+
+      expect(
+        sm.handleLimiterReading('000000001234', { overThreshold: true, relayState: connected })
+      ).toBe(false);
+      expect(mockPublisher.publishMeterEvent).not.toHaveBeenCalledWith(
+        '000000001234',
+        'alarm:limiter_trip',
+        expect.anything()
+      );
+
+      // The relay opened and the value dropped: the reading before counts
+      expect(
+        sm.handleLimiterReading(
+          '000000001234',
+          { overThreshold: false, relayState: open },
+          { value: 0, threshold: 5000, unit: 'W' }
+        )
+      ).toBe(true);
+      expect(mockPublisher.publishMeterEvent).toHaveBeenCalledWith(
+        '000000001234',
+        'alarm:limiter_trip',
+        { severity: ALARM_SEVERITY.WARNING, value: 0, threshold: 5000, unit: 'W' }
+      );
+
+      sm.handleLimiterReading('000000001234', { overThreshold: false, relayState: open });
+      expect(sm.activeAlarms.has(`000000001234:${ALARM_TYPES.LIMITER_TRIP}`)).toBe(true);
+
+      sm.handleLimiterReading('000000001234', { overThreshold: false, relayState: connected });
+      expect(mockPublisher.publishMeterEvent).toHaveBeenCalledWith(
+        '000000001234',
+        'alarm_cleared:limiter_trip',
+        {}
+      );
+    });
+
+    it('should not raise the alarm when the relay opens under the threshold', () => {
+      sm.handleLimiterReading('000000001234', {
+        overThreshold: false,
+        relayState: toRelayState({ controlState: 1 }),
+      });
+
+      expect(
+        sm.handleLimiterReading('000000001234', {
+          overThreshold: false,
+          relayState: toRelayState({ controlState: 0 }),
+        })
+      ).toBe(false);
+      expect(sm.activeAlarms.has(`000000001234:${ALARM_TYPES.LIMITER_TRIP}`)).toBe(false);
+    });
+  });
+
   describe('acknowledgeAlarm', () => {
     let sm;
 
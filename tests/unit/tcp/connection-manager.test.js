@@ -13,6 +13,15 @@ import {
   resetInstance,
 } from '../../../src/tcp/connection-manager.js';
 import { buildReadFrame } from '../../../src/protocol/frame-builder.js';
+import { PROTOCOL_TYPES, DLMS_TRANSPORTS } from '../../../src/protocol/protocol-router.js';
+import { buildWpdu } from '../../../src/protocol/dlms/wpdu.js';
+import {
+  HDLC_FRAME_TYPES,
+  buildHdlcFrame,
+  buildInformationControl,
+  encodeHdlcAddress,
+  parseHdlcFrame,
+} from '../../../src/protocol/dlms/hdlc.js';
 
 /**
  * Create a mock socket
@@ -41,6 +50,16 @@ const createMockSocket = (options = {}) => {
   return socket;
 };
 
+/**
+ * Build an IVY-style modem registration heartbeat
+ */
+const heartbeatPacket = (meterAddress) =>
+  Buffer.concat([
+    Buffer.from([0x00, 0x01, 0x00, 0x01, 0x00, 0x01, 0x00, 0x12, 0x0a, 0x02, 0x0c]),
+    Buffer.from(meterAddress, 'ascii'),
+    Buffer.from([0x00, 0x00, 0x00]),
+  ]);
+
 describe('TCP Connection Manager', () => {
   let manager;
 
@@ -304,6 +323,290 @@ describe('TCP Connection Manager', () => {
     });
   });
 
+  describe('multi-drop buses', () => {
+    it('should add further meters to the same connection', () => {
+      const connection = manager.registerConnection(createMockSocket());
+      const eventHandler = vi.fn();
+      manager.on(CONNECTION_EVENTS.CONNECTION_IDENTIFIED, eventHandler);
+
+      manager.identifyConnection(connection.id, '000000000001');
+      manager.recordMeterActivity(connection.id, '000000000002');
+      manager.recordMeterActivity(connection.id, '000000000002');
+
+      expect(connection.meterId).toBe('000000000001');
+      expect([...connection.meters.keys()]).toEqual(['000000000001', '000000000002']);
+      expect(manager.getConnectionByMeter('000000000002')).toBe(connection);
+      expect(manager.getConnectedMeterIds()).toEqual(['000000000001', '000000000002']);
+      expect(eventHandler).toHaveBeenCalledTimes(2);
+    });
+
+    it('should attach the rest of a configured bus', () => {
+      manager = createConnectionManager({
+        buses: [['000000000001', '000000000002', '000000000003']],
+      });
+      const connection = manager.registerConnection(createMockSocket());
+
+      manager.identifyConnection(connection.id, '000000000002');
+
+      expect(connection.meterId).toBe('000000000002');
+      expect(manager.getMeterState('000000000003')).toMatchObject({
+        online: true,
+        source: 'config',
+        lastSeen: null,
+      });
+      expect(manager.getStats().meters).toBe(3);
+    });
+
+    it('should report a meter offline after repeated timeouts and online when it answers', () => {
+      manager = createConnectionManager({ meterOfflineAfter: 2 });
+      const connection = manager.registerConnection(createMockSocket());
+      manager.identifyConnection(connection.id, '000000000001');
+      manager.identifyConnection(connection.id, '000000000002');
+      const offline = vi.fn();
+      const online = vi.fn();
+      manager.on(CONNECTION_EVENTS.METER_OFFLINE, offline);
+      manager.on(CONNECTION_EVENTS.METER_ONLINE, online);
+
+      expect(manager.recordMeterTimeout('000000000002')).toBe(false);
+      expect(manager.recordMeterTimeout('000000000002')).toBe(true);
+      expect(manager.recordMeterTimeout('000000000002')).toBe(false);
+
+      expect(offline).toHaveBeenCalledTimes(1);
+      expect(offline).toHaveBeenCalledWith({
+        connectionId: connection.id,
+        meterId: '000000000002',
+      });
+      expect(manager.getMeterState('000000000001').online).toBe(true);
+      expect(manager.isMeterConnected('000000000002')).toBe(true);
+
+      manager.recordMeterActivity(connection.id, '000000000002');
+
+      expect(online).toHaveBeenCalledWith(
+        expect.objectContaining({ connectionId: connection.id, meterId: '000000000002' })
+      );
+      expect(manager.getMeterState('000000000002')).toMatchObject({ online: true, timeouts: 0 });
+    });
+
+    it('should move one meter without closing a connection that still has others', () => {
+      const socket1 = createMockSocket();
+      const conn1 = manager.registerConnection(socket1);
+      const conn2 = manager.registerConnection(createMockSocket());
+      manager.identifyConnection(conn1.id, '000000000001');
+      manager.identifyConnection(conn1.id, '000000000002');
+
+      manager.identifyConnection(conn2.id, '000000000001');
+
+      expect(socket1.end).not.toHaveBeenCalled();
+      expect(conn1.meterId).toBe('000000000002');
+      expect(manager.getConnectionByMeter('000000000001')).toBe(conn2);
+    });
+
+    it('should list the online bus meters when the connection closes', () => {
+      manager = createConnectionManager({ meterOfflineAfter: 1 });
+      const socket = createMockSocket();
+      const connection = manager.registerConnection(socket);
+      manager.identifyConnection(connection.id, '000000000001');
+      manager.identifyConnection(connection.id, '000000000002');
+      manager.identifyConnection(connection.id, '000000000003');
+      manager.recordMeterTimeout('000000000003');
+      const eventHandler = vi.fn();
+      manager.on(CONNECTION_EVENTS.CONNECTION_CLOSED, eventHandler);
+
+      socket.emit('close', false);
+
+      expect(eventHandler).toHaveBeenCalledWith(
+        expect.objectContaining({ meterIds: ['000000000001', '000000000002'] })
+      );
+      expect(manager.getConnectedMeterIds()).toEqual([]);
+    });
+
+    it('should run exchanges on a connection one at a time', async () => {
+      const connection = manager.registerConnection(createMockSocket());
+      const order = [];
+      let releaseFirst;
+
+      const first = manager.runExclusive(connection.id, async () => {
+        order.push('first:start');
+        await new Promise((resolve) => {
+          releaseFirst = resolve;
+        });
+        order.push('first:end');
+        throw new Error('no answer');
+      });
+      const second = manager.runExclusive(connection.id, async () => {
+        order.push('second');
+        return 'ok';
+      });
+
+      await new Promise((resolve) => setTimeout(resolve, 10));
+      expect(order).toEqual(['first:start']);
+
+      releaseFirst();
+      await expect(first).rejects.toThrow('no answer');
+      await expect(second).resolves.toBe('ok');
+      expect(order).toEqual(['first:start', 'first:end', 'second']);
+    });
+
+    it('should reject exchanges on unknown connections', async () => {
+      await expect(manager.runExclusive('unknown_id', vi.fn())).rejects.toThrow(
+        'Unknown connection'
+      );
+    });
+  });
+
+  describe('HDLC connections', () => {
+    const meterIFrame = () =>
+      buildHdlcFrame({
+        destination: encodeHdlcAddress(0x10),
+        source: encodeHdlcAddress(1, 4660),
+        control: buildInformationControl(0, 0),
+        information: Buffer.from([0xe6, 0xe7, 0x00, 0x63, 0x03, 0x80, 0x01, 0x00]),
+      });
+
+    it('should identify the connection by its remote endpoint', () => {
+      const socket = createMockSocket();
+      const connection = manager.registerConnection(socket);
+      const dlmsHandler = vi.fn();
+      manager.on(CONNECTION_EVENTS.DLMS_RECEIVED, dlmsHandler);
+
+      socket.emit('data', meterIFrame());
+
+      expect(connection.protocolType).toBe(PROTOCOL_TYPES.HDLC_DLMS);
+      expect(connection.meterId).toBe('auto_192_168_1_100_12345');
+      expect(manager.getMeterState('auto_192_168_1_100_12345').source).toBe('hdlc');
+      expect(dlmsHandler).toHaveBeenCalledWith(
+        expect.objectContaining({ meterId: 'auto_192_168_1_100_12345' })
+      );
+    });
+
+    it('should keep meters with the same HDLC address on separate connections', () => {
+      const first = manager.registerConnection(createMockSocket());
+      const second = manager.registerConnection(createMockSocket({ remoteAddress: '10.0.0.7' }));
+
+      first.socket.emit('data', meterIFrame());
+      second.socket.emit('data', meterIFrame());
+
+      expect(manager.connections.size).toBe(2);
+      expect(first.state).toBe(CONNECTION_STATE.IDENTIFIED);
+      expect(second.meterId).toBe('auto_10_0_0_7_12345');
+      expect(manager.getConnectionByMeter(first.meterId)).toBe(first);
+    });
+
+    it('should identify silent meters on an HDLC listener when they connect', () => {
+      const hdlcManager = createConnectionManager({ transport: DLMS_TRANSPORTS.HDLC });
+      const connection = hdlcManager.registerConnection(createMockSocket());
+
+      expect(connection.protocolType).toBe(PROTOCOL_TYPES.HDLC_DLMS);
+      expect(connection.meterId).toBe('auto_192_168_1_100_12345');
+      expect(hdlcManager.getHdlcSession(connection.id)).not.toBeNull();
+    });
+
+    it('should replace the endpoint ID when the modem registers with a heartbeat', () => {
+      const hdlcManager = createConnectionManager({ transport: DLMS_TRANSPORTS.HDLC });
+      const socket = createMockSocket();
+      const connection = hdlcManager.registerConnection(socket);
+
+      socket.emit('data', heartbeatPacket('311501114070'));
+
+      expect(connection.meterId).toBe('311501114070');
+      expect([...connection.meters.keys()]).toEqual(['311501114070']);
+      expect(hdlcManager.getConnectionByMeter('auto_192_168_1_100_12345')).toBeNull();
+      expect(connection.state).not.toBe(CONNECTION_STATE.DISCONNECTED);
+    });
+
+    it('should switch a connection to HDLC on startHdlcSession()', () => {
+      const socket = createMockSocket();
+      const connection = manager.registerConnection(socket);
+      socket.emit('data', heartbeatPacket('311501114070'));
+
+      const session = manager.startHdlcSession(connection.id);
+
+      expect(session).toBe(manager.getHdlcSession(connection.id));
+      expect(connection.protocolType).toBe(PROTOCOL_TYPES.HDLC_DLMS);
+      expect(manager.startHdlcSession('unknown')).toBeNull();
+    });
+
+    it('should send HDLC session frames over the socket', async () => {
+      const socket = createMockSocket();
+      const connection = manager.registerConnection(socket);
+      socket.emit('data', meterIFrame());
+
+      const session = manager.getHdlcSession(connection.id);
+      session.options.responseTimeout = 20;
+      await expect(session.connect()).rejects.toThrow('timeout');
+
+      expect(parseHdlcFrame(socket.write.mock.calls[0][0]).type).toBe(HDLC_FRAME_TYPES.SNRM);
+    });
+
+    it('should have no HDLC session for other connections', () => {
+      const connection = manager.registerConnection(createMockSocket());
+      expect(manager.getHdlcSession(connection.id)).toBeNull();
+      expect(manager.getHdlcSession('unknown')).toBeNull();
+    });
+  });
+
+  describe('WPDU connections', () => {
+    // RLRE from the meter's wPort 0x11 to the public client
+    const meterWpdu = (source = 0x11) =>
+      buildWpdu(Buffer.from([0x63, 0x03, 0x80, 0x01, 0x00]), { source, destination: 0x10 });
+
+    it('should identify the connection from its remote endpoint', () => {
+      const socket = createMockSocket();
+      const connection = manager.registerConnection(socket);
+      const dlmsHandler = vi.fn();
+      manager.on(CONNECTION_EVENTS.DLMS_RECEIVED, dlmsHandler);
+
+      socket.emit('data', meterWpdu());
+
+      expect(connection.protocolType).toBe(PROTOCOL_TYPES.WPDU_DLMS);
+      expect(connection.meterId).toBe('auto_192_168_1_100_12345');
+      expect(manager.getMeterState('auto_192_168_1_100_12345').source).toBe('wpdu');
+      expect(manager.getWpduPorts(connection.id)).toEqual({ client: 0x10, server: 0x11 });
+      expect(dlmsHandler).toHaveBeenCalledOnce();
+    });
+
+    it('should keep meters sharing an address on separate connections', () => {
+      const first = manager.registerConnection(createMockSocket());
+      first.socket.emit('data', meterWpdu());
+
+      const second = manager.registerConnection(createMockSocket({ remotePort: 40001 }));
+      second.socket.emit('data', meterWpdu());
+
+      expect(second.meterId).toBe('auto_192_168_1_100_40001');
+      expect(manager.getConnectionByMeter(first.meterId)).toBe(first);
+      expect(manager.getConnectionByMeter(second.meterId)).toBe(second);
+      expect(first.state).toBe(CONNECTION_STATE.IDENTIFIED);
+    });
+
+    it('should key the settings of meters sharing an address by the address', () => {
+      const first = manager.registerConnection(createMockSocket());
+      first.socket.emit('data', meterWpdu());
+      const second = manager.registerConnection(createMockSocket({ remotePort: 40001 }));
+      second.socket.emit('data', meterWpdu());
+
+      expect(manager.getMeterSettingsId(first.meterId)).toBe('auto_192_168_1_100');
+      expect(manager.getMeterSettingsId(second.meterId)).toBe('auto_192_168_1_100');
+      expect(manager.getMeterSettingsId('311501114070')).toBe('311501114070');
+    });
+
+    it('should use the listener transport for IVY-looking WPDUs', () => {
+      const wpduManager = createConnectionManager({ transport: DLMS_TRANSPORTS.WPDU });
+      const socket = createMockSocket();
+      const connection = wpduManager.registerConnection(socket);
+
+      socket.emit('data', meterWpdu(0x01));
+
+      expect(connection.protocolType).toBe(PROTOCOL_TYPES.WPDU_DLMS);
+      expect(wpduManager.getWpduPorts(connection.id)).toEqual({ client: 0x10, server: 0x01 });
+    });
+
+    it('should have no wPorts for other connections', () => {
+      const connection = manager.registerConnection(createMockSocket());
+      expect(manager.getWpduPorts(connection.id)).toBeNull();
+      expect(manager.getWpduPorts('unknown')).toBeNull();
+    });
+  });
+
   describe('send / sendToMeter', () => {
     beforeEach(() => {
       manager.start();
@@ -14,6 +14,21 @@ import {
 import { appendChecksum } from '../../../src/protocol/checksum.js';
 import { addressToBuffer, dataIdToBuffer, applyOffset } from '../../../src/protocol/bcd.js';
 import { CONTROL_CODES } from '../../../src/protocol/registers.js';
+import {
+  CONTROL_CODES as CONTROL_CODES_1997,
+  DLT645_VARIANTS,
+} from '../../../src/protocol/dlt645-1997/registers.js';
+import { buildReadFrame1997 } from '../../../src/protocol/dlt645-1997/frame-builder.js';
+import { buildReadFrame } from '../../../src/protocol/frame-builder.js';
+import {
+  HDLC_FRAME_TYPES,
+  buildHdlcFrame,
+  buildInformationControl,
+  encodeHdlcAddress,
+  parseHdlcFrame,
+} from '../../../src/protocol/dlms/hdlc.js';
+import { buildWpdu, parseWpduHeader } from '../../../src/protocol/dlms/wpdu.js';
+import { PROTOCOL_TYPES, DLMS_TRANSPORTS } from '../../../src/protocol/protocol-router.js';
 
 /**
  * Helper: Build a mock response frame
@@ -40,6 +55,24 @@ const buildMockResponse = (address, controlCode, dataId, valueBuffer) => {
   return appendChecksum(frameWithoutChecksum);
 };
 
+/**
+ * Helper: Build a mock frame with raw data (no DI), e.g. write acks and error responses
+ * @param {string} address - 12-digit meter address
+ * @param {number} controlCode - Response control code
+ * @param {Buffer} dataBuffer - Data bytes (offset applied here)
+ * @returns {Buffer} Complete DLT645 frame
+ */
+const buildMockRawResponse = (address, controlCode, dataBuffer) => {
+  const header = Buffer.alloc(10);
+  header[0] = 0x68;
+  addressToBuffer(address).copy(header, 1);
+  header[7] = 0x68;
+  header[8] = controlCode;
+  header[9] = dataBuffer.length;
+
+  return appendChecksum(Buffer.concat([header, applyOffset(dataBuffer)]));
+};
+
 /**
  * Get an available port for testing
  * @returns {Promise<number>} Available port number
@@ -456,6 +489,400 @@ describe('TCP Server', () => {
 
       client.destroy();
     });
+
+    it('should request follow-up frames and resolve with combined data', async () => {
+      server = createTCPServer({ port: testPort });
+      await server.start();
+
+      const client = new net.Socket();
+      const received = [];
+      client.on('data', (data) => received.push(data));
+      await new Promise((resolve) => {
+        client.connect(testPort, '127.0.0.1', resolve);
+      });
+
+      await wait(50);
+
+      client.write(
+        buildMockResponse(
+          '000000005555',
+          CONTROL_CODES.READ_DATA_RESPONSE,
+          0x02010100,
+          Buffer.from([0x05, 0x22])
+        )
+      );
+
+      await wait(100);
+
+      const telemetryHandler = vi.fn();
+      server.on(SERVER_EVENTS.TELEMETRY_RECEIVED, telemetryHandler);
+
+      const pending = server.sendCommand(
+        '000000005555',
+        Buffer.from([0x68, 0x16]),
+        0x00000000,
+        1000
+      );
+
+      await wait(50);
+
+      // First segment, more frames follow
+      client.write(
+        buildMockResponse(
+          '000000005555',
+          CONTROL_CODES.READ_DATA_RESPONSE_MORE,
+          0x00000000,
+          Buffer.from([0x67, 0x45])
+        )
+      );
+
+      await wait(100);
+
+      // Gateway should have requested frame 1 with READ_FOLLOW
+      const followUp = received[received.length - 1];
+      expect(followUp[8]).toBe(CONTROL_CODES.READ_FOLLOW);
+      expect(followUp[14]).toBe(0x01 + 0x33);
+
+      // Last segment: value bytes + SEQ
+      client.write(
+        buildMockResponse(
+          '000000005555',
+          CONTROL_CODES.READ_FOLLOW_RESPONSE,
+          0x00000000,
+          Buffer.from([0x23, 0x01, 0x01])
+        )
+      );
+
+      const result = await pending;
+      expect(result.segments).toBe(2);
+      expect(result.rawValue).toBe(1234567);
+      expect(telemetryHandler).toHaveBeenCalledTimes(1);
+
+      client.destroy();
+    });
+
+    it('should resolve record reads with raw data and no telemetry event', async () => {
+      server = createTCPServer({ port: testPort });
+      await server.start();
+
+      const client = new net.Socket();
+      await new Promise((resolve) => {
+        client.connect(testPort, '127.0.0.1', resolve);
+      });
+      await wait(50);
+      client.write(
+        buildMockResponse(
+          '000000005656',
+          CONTROL_CODES.READ_DATA_RESPONSE,
+          0x00000000,
+          Buffer.from([0x00])
+        )
+      );
+      await wait(100);
+
+      const telemetryHandler = vi.fn();
+      server.on(SERVER_EVENTS.TELEMETRY_RECEIVED, telemetryHandler);
+
+      const pending = server.sendCommand(
+        '000000005656',
+        Buffer.from([0x68, 0x16]),
+        0x06000002,
+        1000
+      );
+      await wait(50);
+
+      // Load profile block: not valid BCD, must not be decoded as a number
+      const block = Buffer.from([0xa0, 0xa0, 0x05, 0x15, 0x10, 0x15, 0x01, 0x24, 0x00, 0xe5]);
+      client.write(
+        buildMockResponse('000000005656', CONTROL_CODES.READ_DATA_RESPONSE, 0x06000002, block)
+      );
+
+      const result = await pending;
+      expect(result.value).toBeNull();
+      expect(result.data).toEqual(block);
+      expect(telemetryHandler).not.toHaveBeenCalled();
+
+      client.destroy();
+    });
+  });
+
+  describe('write acknowledgments and error responses', () => {
+    const connectMeter = async (address) => {
+      const client = new net.Socket();
+      await new Promise((resolve) => {
+        client.connect(testPort, '127.0.0.1', resolve);
+      });
+      await wait(50);
+      client.write(
+        buildMockResponse(
+          address,
+          CONTROL_CODES.READ_DATA_RESPONSE,
+          0x00000000,
+          Buffer.from([0x00])
+        )
+      );
+      await wait(100);
+      return client;
+    };
+
+    it('should resolve pending write on write acknowledgment', async () => {
+      server = createTCPServer({ port: testPort });
+      await server.start();
+      const client = await connectMeter('000000006666');
+
+      const writeFrame = Buffer.from([0x68, 0, 0, 0, 0, 0, 0, 0x68, CONTROL_CODES.WRITE_DATA]);
+      const pending = server.sendCommand('000000006666', writeFrame, 0x04000501, 1000);
+
+      await wait(50);
+      client.write(
+        buildMockRawResponse('000000006666', CONTROL_CODES.WRITE_DATA_RESPONSE, Buffer.alloc(0))
+      );
+
+      const result = await pending;
+      expect(result.success).toBe(true);
+      expect(result.controlCode).toBe(CONTROL_CODES.WRITE_DATA_RESPONSE);
+
+      client.destroy();
+    });
+
+    it('should reject with meter error code on error response', async () => {
+      server = createTCPServer({ port: testPort });
+      await server.start();
+      const client = await connectMeter('000000007777');
+
+      const writeFrame = Buffer.from([0x68, 0, 0, 0, 0, 0, 0, 0x68, CONTROL_CODES.WRITE_DATA]);
+      const pending = server.sendCommand('000000007777', writeFrame, 0x04000501, 1000);
+      const assertion = expect(pending).rejects.toMatchObject({
+        message: 'Password error / Unauthorized',
+        errorCode: 0x04,
+      });
+
+      await wait(50);
+      client.write(
+        buildMockRawResponse('000000007777', CONTROL_CODES.WRITE_DATA_ERROR, Buffer.from([0x04]))
+      );
+
+      await assertion;
+      client.destroy();
+    });
+  });
+
+  describe('DL/T 645-1997 meters', () => {
+    const connect1997Meter = async (address) => {
+      const client = new net.Socket();
+      await new Promise((resolve) => {
+        client.connect(testPort, '127.0.0.1', resolve);
+      });
+      await wait(50);
+      client.write(
+        buildMockRawResponse(
+          address,
+          CONTROL_CODES_1997.READ_DATA_RESPONSE,
+          Buffer.from([0x20, 0xc0])
+        )
+      );
+      await wait(100);
+      return client;
+    };
+
+    it('should detect the generation from received frames', async () => {
+      server = createTCPServer({ port: testPort });
+      await server.start();
+
+      expect(server.getDlt645Variant('000000001997')).toBe(DLT645_VARIANTS.V2007);
+      const client = await connect1997Meter('000000001997');
+
+      expect(server.getDlt645Variant('000000001997')).toBe(DLT645_VARIANTS.V1997);
+
+      client.destroy();
+    });
+
+    it('should resolve 1997 reads and emit telemetry', async () => {
+      server = createTCPServer({ port: testPort });
+      await server.start();
+      const client = await connect1997Meter('000000001997');
+      const telemetryHandler = vi.fn();
+      server.on(SERVER_EVENTS.TELEMETRY_RECEIVED, telemetryHandler);
+
+      const pending = server.sendCommand(
+        '000000001997',
+        buildReadFrame1997('000000001997', 0x9010),
+        0x9010,
+        1000
+      );
+
+      await wait(50);
+      client.write(
+        buildMockRawResponse(
+          '000000001997',
+          CONTROL_CODES_1997.READ_DATA_RESPONSE,
+          Buffer.from([0x10, 0x90, 0x67, 0x45, 0x23, 0x01])
+        )
+      );
+
+      const result = await pending;
+      expect(result.variant).toBe(DLT645_VARIANTS.V1997);
+      expect(result.value).toBeCloseTo(12345.67, 2);
+      expect(telemetryHandler).toHaveBeenCalledWith(
+        expect.objectContaining({
+          meterId: '000000001997',
+          dataIdFormatted: '0x9010',
+          unit: 'kWh',
+        })
+      );
+
+      client.destroy();
+    });
+
+    it('should reject with the 1997 error status', async () => {
+      server = createTCPServer({ port: testPort });
+      await server.start();
+      const client = await connect1997Meter('000000001997');
+
+      const pending = server.sendCommand(
+        '000000001997',
+        buildReadFrame1997('000000001997', 0xb611),
+        0xb611,
+        1000
+      );
+      const assertion = expect(pending).rejects.toMatchObject({
+        message: 'Data identifier error',
+        errorCode: 0x02,
+      });
+
+      await wait(50);
+      client.write(
+        buildMockRawResponse(
+          '000000001997',
+          CONTROL_CODES_1997.READ_DATA_ERROR,
+          Buffer.from([0x02])
+        )
+      );
+
+      await assertion;
+      client.destroy();
+    });
+
+    it('should use configured 1997 meters without detection', () => {
+      server = createTCPServer({ port: testPort, meters1997: ['000000005555'] });
+
+      expect(server.getDlt645Variant('000000005555')).toBe(DLT645_VARIANTS.V1997);
+      expect(server.getDlt645Variant('000000006666')).toBe(DLT645_VARIANTS.V2007);
+    });
+  });
+
+  describe('multi-drop connections', () => {
+    const VOLTAGE_A = 0x02010100;
+
+    const connectBus = async (addresses) => {
+      const client = new net.Socket();
+      const received = [];
+      client.on('data', (data) => received.push(data));
+      await new Promise((resolve) => {
+        client.connect(testPort, '127.0.0.1', resolve);
+      });
+      await wait(50);
+      for (const address of addresses) {
+        client.write(
+          buildMockResponse(
+            address,
+            CONTROL_CODES.READ_DATA_RESPONSE,
+            0x00000000,
+            Buffer.from([0x00])
+          )
+        );
+      }
+      await wait(100);
+      return { client, received };
+    };
+
+    const voltageResponse = (address, raw) =>
+      buildMockResponse(address, CONTROL_CODES.READ_DATA_RESPONSE, VOLTAGE_A, raw);
+
+    it('should attribute responses to the meter that sent them', async () => {
+      server = createTCPServer({ port: testPort });
+      await server.start();
+      const connectedHandler = vi.fn();
+      server.on(SERVER_EVENTS.METER_CONNECTED, connectedHandler);
+
+      const { client } = await connectBus(['000000000001', '000000000002']);
+      const telemetryHandler = vi.fn();
+      server.on(SERVER_EVENTS.TELEMETRY_RECEIVED, telemetryHandler);
+
+      client.write(voltageResponse('000000000002', Buffer.from([0x05, 0x22])));
+      await wait(100);
+
+      expect(server.getConnectedMeters()).toEqual(['000000000001', '000000000002']);
+      expect(connectedHandler).toHaveBeenCalledTimes(2);
+      expect(telemetryHandler).toHaveBeenCalledWith(
+        expect.objectContaining({ meterId: '000000000002', value: 220.5 })
+      );
+
+      client.destroy();
+    });
+
+    it('should send the next command on a bus only after the previous one completes', async () => {
+      server = createTCPServer({ port: testPort });
+      await server.start();
+      const { client, received } = await connectBus(['000000000001', '000000000002']);
+      received.length = 0;
+
+      const first = server.sendCommand(
+        '000000000001',
+        buildReadFrame('000000000001', VOLTAGE_A),
+        VOLTAGE_A,
+        1000
+      );
+      const second = server.sendCommand(
+        '000000000002',
+        buildReadFrame('000000000002', VOLTAGE_A),
+        VOLTAGE_A,
+        1000
+      );
+      await wait(50);
+
+      expect(received).toHaveLength(1);
+
+      client.write(voltageResponse('000000000001', Buffer.from([0x00, 0x22])));
+      await expect(first).resolves.toMatchObject({ address: '000000000001', value: 220 });
+      await wait(50);
+
+      expect(received).toHaveLength(2);
+
+      client.write(voltageResponse('000000000002', Buffer.from([0x10, 0x22])));
+      await expect(second).resolves.toMatchObject({ address: '000000000002', value: 221 });
+
+      client.destroy();
+    });
+
+    it('should report meters offline individually', async () => {
+      server = createTCPServer({
+        port: testPort,
+        connectionManagerOptions: { meterOfflineAfter: 1 },
+      });
+      await server.start();
+      const { client } = await connectBus(['000000000001', '000000000002']);
+      const disconnectHandler = vi.fn();
+      server.on(SERVER_EVENTS.METER_DISCONNECTED, disconnectHandler);
+
+      await expect(
+        server.sendCommand('000000000002', Buffer.from([0x68, 0x16]), VOLTAGE_A, 50)
+      ).rejects.toThrow('Command timeout');
+
+      expect(disconnectHandler).toHaveBeenCalledTimes(1);
+      expect(disconnectHandler).toHaveBeenCalledWith(
+        expect.objectContaining({ meterId: '000000000002' })
+      );
+
+      client.destroy();
+      await wait(100);
+
+      // Only the meter still online is disconnected with the connection
+      expect(disconnectHandler).toHaveBeenCalledTimes(2);
+      expect(disconnectHandler).toHaveBeenLastCalledWith(
+        expect.objectContaining({ meterId: '000000000001' })
+      );
+    });
   });
 
   describe('sendCommandNoWait', () => {
@@ -496,6 +923,206 @@ describe('TCP Server', () => {
     });
   });
 
+  describe('sendDlmsApdu', () => {
+    const fromMeter = (control, information = null) =>
+      buildHdlcFrame({
+        destination: encodeHdlcAddress(0x10),
+        source: encodeHdlcAddress(1, 77),
+        control,
+        information,
+      });
+
+    it('should set up the HDLC link and send the APDU in an I-frame', async () => {
+      server = createTCPServer({ port: testPort });
+      await server.start();
+
+      const client = new net.Socket();
+      await new Promise((resolve) => {
+        client.connect(testPort, '127.0.0.1', resolve);
+      });
+
+      // Meter answers SNRM with UA and records every frame it receives
+      const received = [];
+      client.on('data', (data) => {
+        const frame = parseHdlcFrame(data);
+        received.push(frame);
+        if (frame.type === HDLC_FRAME_TYPES.SNRM) {
+          client.write(fromMeter(0x73));
+        }
+      });
+
+      await wait(50);
+      // An unsolicited data notification identifies the meter
+      client.write(fromMeter(0x03, Buffer.from([0xe6, 0xe7, 0x00, 0x0f, 0x00])));
+      await wait(100);
+
+      const [meterId] = server.getConnectedMeters();
+      const apdu = Buffer.from([0x62, 0x03, 0x80, 0x01, 0x00]);
+      const result = await server.sendDlmsApdu(meterId, apdu);
+      await wait(50);
+
+      expect(result).toBe(true);
+      expect(received.map((f) => f.type)).toEqual([HDLC_FRAME_TYPES.SNRM, HDLC_FRAME_TYPES.I]);
+      expect(received[1].information.subarray(3)).toEqual(apdu);
+
+      client.destroy();
+    });
+
+    it('should return false when the HDLC link cannot be set up', async () => {
+      server = createTCPServer({ port: testPort });
+      await server.start();
+
+      const client = new net.Socket();
+      await new Promise((resolve) => {
+        client.connect(testPort, '127.0.0.1', resolve);
+      });
+      client.on('data', () => {});
+
+      await wait(50);
+      client.write(
+        fromMeter(buildInformationControl(0, 0), Buffer.from([0xe6, 0xe7, 0x00, 0x0f, 0x00]))
+      );
+      await wait(100);
+
+      const [meterId] = server.getConnectedMeters();
+      const connection = server.connectionManager.getConnectionByMeter(meterId);
+      server.connectionManager.getHdlcSession(connection.id).options.responseTimeout = 50;
+
+      const result = await server.sendDlmsApdu(meterId, Buffer.from([0x60, 0x00]));
+      expect(result).toBe(false);
+
+      client.destroy();
+    });
+
+    it('should open the link to a silent meter on an HDLC listener', async () => {
+      server = createTCPServer({
+        port: testPort,
+        connectionManagerOptions: { transport: DLMS_TRANSPORTS.HDLC },
+      });
+      await server.start();
+
+      const client = new net.Socket();
+      await new Promise((resolve) => {
+        client.connect(testPort, '127.0.0.1', resolve);
+      });
+      const received = [];
+      client.on('data', (data) => {
+        const frame = parseHdlcFrame(data);
+        received.push(frame);
+        if (frame.type === HDLC_FRAME_TYPES.SNRM) {
+          client.write(fromMeter(0x73));
+        }
+      });
+      await wait(50);
+
+      const [meterId] = server.getConnectedMeters();
+      const result = await server.sendDlmsApdu(meterId, Buffer.from([0x60, 0x00]));
+      await wait(50);
+
+      expect(result).toBe(true);
+      expect(received.map((f) => f.type)).toEqual([HDLC_FRAME_TYPES.SNRM, HDLC_FRAME_TYPES.I]);
+
+      client.destroy();
+    });
+
+    it('should send HDLC to configured meters at their configured address', async () => {
+      server = createTCPServer({
+        port: testPort,
+        hdlcMeters: { 311501114070: { serverAddress: 1, physicalAddress: 4660 } },
+      });
+      await server.start();
+
+      const client = new net.Socket();
+      await new Promise((resolve) => {
+        client.connect(testPort, '127.0.0.1', resolve);
+      });
+      const received = [];
+      client.on('data', (data) => received.push(parseHdlcFrame(data)));
+      await wait(50);
+      // The modem registers with a heartbeat, then passes HDLC through
+      client.write(
+        Buffer.concat([
+          Buffer.from([0x00, 0x01, 0x00, 0x01, 0x00, 0x01, 0x00, 0x12, 0x0a, 0x02, 0x0c]),
+          Buffer.from('311501114070', 'ascii'),
+          Buffer.from([0x00, 0x00, 0x00]),
+        ])
+      );
+      await wait(100);
+
+      const connection = server.connectionManager.getConnectionByMeter('311501114070');
+      server.connectionManager.startHdlcSession(connection.id).options.responseTimeout = 50;
+      const result = await server.sendDlmsApdu('311501114070', Buffer.from([0x60, 0x00]));
+
+      expect(result).toBe(false);
+      expect(received[0].type).toBe(HDLC_FRAME_TYPES.SNRM);
+      expect(received[0].destination).toEqual({ upper: 1, lower: 4660 });
+      expect(connection.protocolType).toBe(PROTOCOL_TYPES.HDLC_DLMS);
+
+      client.destroy();
+    });
+
+    /**
+     * Connect a WPDU meter whose logical device answers on wPort 0x11
+     */
+    const connectWpduMeter = async (received) => {
+      const client = new net.Socket();
+      await new Promise((resolve) => {
+        client.connect(testPort, '127.0.0.1', resolve);
+      });
+      client.on('data', (data) => received.push(data));
+
+      await wait(50);
+      client.write(buildWpdu(Buffer.from([0x63, 0x00]), { source: 0x11, destination: 0x10 }));
+      await wait(100);
+      return client;
+    };
+
+    it('should send WPDUs back to the wPorts the meter used', async () => {
+      server = createTCPServer({ port: testPort });
+      await server.start();
+      const received = [];
+      const client = await connectWpduMeter(received);
+
+      const [meterId] = server.getConnectedMeters();
+      expect(meterId).toMatch(/^auto_/);
+      const apdu = Buffer.from([0x62, 0x00]);
+      const result = await server.sendDlmsApdu(meterId, apdu);
+      await wait(50);
+
+      expect(result).toBe(true);
+      expect(parseWpduHeader(received[0])).toEqual({
+        version: 1,
+        source: 0x10,
+        destination: 0x11,
+        length: 2,
+      });
+      expect(received[0].subarray(8)).toEqual(apdu);
+
+      client.destroy();
+    });
+
+    it('should prefer per-meter wPorts from the configuration', async () => {
+      server = createTCPServer({ port: testPort });
+      await server.start();
+      const received = [];
+      const client = await connectWpduMeter(received);
+
+      // Keyed by the remote IP, which outlives the per-connection meter ID
+      const [meterId] = server.getConnectedMeters();
+      const settingsId = server.connectionManager.getMeterSettingsId(meterId);
+      expect(settingsId).not.toBe(meterId);
+      server.options.wpduMeters = { [settingsId]: { serverPort: 0x20 } };
+      await server.sendDlmsApdu(meterId, Buffer.from([0x62, 0x00]));
+      await wait(50);
+
+      const header = parseWpduHeader(received[0]);
+      expect(header.source).toBe(0x10);
+      expect(header.destination).toBe(0x20);
+
+      client.destroy();
+    });
+  });
+
   describe('singleton pattern', () => {
     afterEach(async () => {
       await resetInstance();